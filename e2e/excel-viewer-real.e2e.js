@@ -43,8 +43,8 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
       if (await fileInput.count() > 0) {
         console.log(`Found file input on ${pageUrl}`);
         
-        // Use existing uploaded files from public/models or public/uploads
-        const testFile = path.join(process.cwd(), 'public', 'models', 'test-model.xlsx');
+        // Use existing uploaded files from storage/models or public/uploads
+        const testFile = path.join(process.cwd(), 'storage', 'models', 'test-model.xlsx');
         
         try {
           await fileInput.setInputFiles(testFile);
@@ -70,7 +70,7 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
   test('CRITICAL: Excel viewer performance with large file', async ({ page }) => {
     // Test with NVDA model if available
     const nvdaFiles = [
-      'public/models/1753144079501_NVDA_1Q26.xlsx',
+      'storage/models/1753144079501_NVDA_1Q26.xlsx',
       'public/uploads/excel/1754424311569_f98a4ee08829d12e_NVDA_1Q26.xlsx'
     ];
     
@@ -125,7 +125,7 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
     
     if (await fileInput.count() > 0) {
       // Use any available Excel file
-      const testFile = path.join(process.cwd(), 'public', 'models', 'test-model.xlsx');
+      const testFile = path.join(process.cwd(), 'storage', 'models', 'test-model.xlsx');
       
       try {
         await fileInput.setInputFiles(testFile);
@@ -164,7 +164,7 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
     const fileInput = page.locator('input[type="file"]');
     
     if (await fileInput.count() > 0) {
-      const testFile = path.join(process.cwd(), 'public', 'models', 'test-model.xlsx');
+      const testFile = path.join(process.cwd(), 'storage', 'models', 'test-model.xlsx');
       
       try {
         await fileInput.setInputFiles(testFile);
@@ -212,7 +212,7 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
     const fileInput = page.locator('input[type="file"]');
     
     if (await fileInput.count() > 0) {
-      const testFile = path.join(process.cwd(), 'public', 'models', 'test-model.xlsx');
+      const testFile = path.join(process.cwd(), 'storage', 'models', 'test-model.xlsx');
       
       try {
         await fileInput.setInputFiles(testFile);
@@ -252,7 +252,7 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
     const fileInput = page.locator('input[type="file"]');
     
     if (await fileInput.count() > 0) {
-      const testFile = path.join(process.cwd(), 'public', 'models', 'test-model.xlsx');
+      const testFile = path.join(process.cwd(), 'storage', 'models', 'test-model.xlsx');
       
       try {
         await fileInput.setInputFiles(testFile);
@@ -343,7 +343,7 @@ test.describe('EXCEL VIEWER - REAL FINANCIAL MODELS', () => {
     const fileInput = page.locator('input[type="file"]');
     
     if (await fileInput.count() > 0) {
-      const testFile = path.join(process.cwd(), 'public', 'models', 'test-model.xlsx');
+      const testFile = path.join(process.cwd(), 'storage', 'models', 'test-model.xlsx');
       
       try {
         await fileInput.setInputFiles(testFile);
@@ -44,29 +44,16 @@ export function middleware(request) {
     return response
   }
   
-  // Protect admin routes
+  // Protect admin routes. The edge runtime cannot read the database session,
+  // so only sign-in is checked here; the pages and /api routes check the role.
   if (pathname.startsWith('/admin')) {
-    const sessionToken = request.cookies.get('admin-session')?.value
-    
+    const sessionToken = request.cookies.get('__Secure-next-auth.session-token')?.value ||
+      request.cookies.get('next-auth.session-token')?.value
+
     if (!sessionToken) {
-      return NextResponse.redirect(new URL('/login', request.url))
-    }
-    
-    try {
-      const jwtSecret = process.env.JWT_SECRET;
-      if (!jwtSecret) {
-        console.error('SECURITY ALERT: JWT_SECRET not configured for admin access');
-        return NextResponse.redirect(new URL('/error?code=config', request.url))
-      }
-      
-      const payload = verify(sessionToken, jwtSecret)
-      if (!payload.isAdmin) {
-        console.warn('Non-admin user attempted admin access:', payload.userId);
-        return NextResponse.redirect(new URL('/unauthorized', request.url))
-      }
-    } catch (error) {
-      console.warn('Admin JWT verification failed:', error.message);
-      return NextResponse.redirect(new URL('/login', request.url))
+      const signInUrl = new URL('/auth/signin', request.url)
+      signInUrl.searchParams.set('callbackUrl', pathname)
+      return NextResponse.redirect(signInUrl)
     }
   }
   
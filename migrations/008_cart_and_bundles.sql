@@ -0,0 +1,78 @@
+-- ZenCap Production Database Schema
+-- Migration 008: Server-side Cart and Model Bundles
+
+BEGIN;
+
+-- Bundles sold as a single cart item at a fixed bundle price
+CREATE TABLE IF NOT EXISTS bundles (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  price NUMERIC NOT NULL,
+  features JSONB DEFAULT '[]'::jsonb,
+  most_popular BOOLEAN DEFAULT FALSE,
+  sort_order INTEGER DEFAULT 0,
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS bundle_models (
+  bundle_id INTEGER NOT NULL REFERENCES bundles(id) ON DELETE CASCADE,
+  model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+  PRIMARY KEY (bundle_id, model_id)
+);
+
+-- Carts are keyed by an anonymous cookie token and optionally a signed-in user
+CREATE TABLE IF NOT EXISTS carts (
+  id SERIAL PRIMARY KEY,
+  token VARCHAR(64) NOT NULL UNIQUE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(50) DEFAULT 'open',
+  stripe_session_id VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each cart item is either a single model or a bundle, never both
+CREATE TABLE IF NOT EXISTS cart_items (
+  id SERIAL PRIMARY KEY,
+  cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  model_id INTEGER REFERENCES models(id) ON DELETE CASCADE,
+  bundle_id INTEGER REFERENCES bundles(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_cart_items_single_target CHECK ((model_id IS NULL) <> (bundle_id IS NULL))
+);
+
+-- Orders now hold one row per purchased model, so a checkout session maps to many orders
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_stripe_session_id_key;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS bundle_id INTEGER REFERENCES bundles(id) ON DELETE SET NULL;
+
+ALTER TABLE bundles ADD CONSTRAINT chk_bundles_status_valid
+  CHECK (status IN ('active', 'inactive', 'archived'));
+
+ALTER TABLE bundles ADD CONSTRAINT chk_bundles_price_valid
+  CHECK (price > 0);
+
+ALTER TABLE bundles ADD CONSTRAINT chk_bundles_slug_format
+  CHECK (slug ~* '^[a-z0-9-]+$');
+
+ALTER TABLE carts ADD CONSTRAINT chk_carts_status_valid
+  CHECK (status IN ('open', 'converted', 'abandoned'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_session_model ON orders(stripe_session_id, model_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_model ON cart_items(cart_id, model_id) WHERE model_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_bundle ON cart_items(cart_id, bundle_id) WHERE bundle_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_carts_user_status ON carts(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_carts_stripe_session ON carts(stripe_session_id);
+CREATE INDEX IF NOT EXISTS idx_bundles_status ON bundles(status, sort_order);
+CREATE INDEX IF NOT EXISTS idx_bundle_models_model ON bundle_models(model_id);
+
+CREATE TRIGGER update_bundles_updated_at BEFORE UPDATE ON bundles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_carts_updated_at BEFORE UPDATE ON carts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- ZenCap Production Database Schema
+-- Migration 009: Server-authoritative Model Pricing
+
+BEGIN;
+
+-- Currency and time-boxed sale price live on the model so checkout never trusts the client
+ALTER TABLE models ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'usd';
+ALTER TABLE models ADD COLUMN IF NOT EXISTS sale_price NUMERIC;
+ALTER TABLE models ADD COLUMN IF NOT EXISTS sale_starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE models ADD COLUMN IF NOT EXISTS sale_ends_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE models SET currency = 'usd' WHERE currency IS NULL;
+
+ALTER TABLE models ADD CONSTRAINT chk_models_sale_price_valid
+  CHECK (sale_price IS NULL OR (sale_price > 0 AND sale_price <= price));
+
+ALTER TABLE models ADD CONSTRAINT chk_models_sale_window_valid
+  CHECK (sale_ends_at IS NULL OR sale_starts_at IS NULL OR sale_ends_at > sale_starts_at);
+
+COMMIT;
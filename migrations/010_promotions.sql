@@ -0,0 +1,58 @@
+-- ZenCap Production Database Schema
+-- Migration 010: Site-owned Promotions and Redemptions
+
+BEGIN;
+
+-- Promotion codes validated by the site before checkout is sent to Stripe
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) UNIQUE NOT NULL,
+  description TEXT,
+  discount_type VARCHAR(20) NOT NULL DEFAULT 'percent',
+  discount_value NUMERIC NOT NULL,
+  currency VARCHAR(3) DEFAULT 'usd',
+  category VARCHAR(100),
+  starts_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  usage_limit INTEGER,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  first_time_only BOOLEAN DEFAULT false,
+  status VARCHAR(20) DEFAULT 'active',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_promotions_discount_type CHECK (discount_type IN ('percent', 'fixed')),
+  CONSTRAINT chk_promotions_discount_value CHECK (
+    discount_value > 0 AND (discount_type <> 'percent' OR discount_value <= 100)
+  ),
+  CONSTRAINT chk_promotions_code_upper CHECK (code = UPPER(code)),
+  CONSTRAINT chk_promotions_window_valid CHECK (expires_at IS NULL OR starts_at IS NULL OR expires_at > starts_at),
+  CONSTRAINT chk_promotions_usage_limit CHECK (usage_limit IS NULL OR usage_limit > 0),
+  CONSTRAINT chk_promotions_status_valid CHECK (status IN ('active', 'inactive', 'archived'))
+);
+
+-- One redemption per promotion per checkout session
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE RESTRICT,
+  customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+  customer_email VARCHAR(255),
+  stripe_session_id VARCHAR(255) NOT NULL,
+  discount_amount INTEGER NOT NULL DEFAULT 0, -- cents
+  currency VARCHAR(3) DEFAULT 'usd',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (promotion_id, stripe_session_id)
+);
+
+-- Orders remember which promotion priced them and by how much
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_id INTEGER REFERENCES promotions(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount INTEGER NOT NULL DEFAULT 0; -- cents
+
+CREATE INDEX IF NOT EXISTS idx_promotions_status ON promotions(status);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_email ON promotion_redemptions(customer_email);
+CREATE INDEX IF NOT EXISTS idx_orders_promotion ON orders(promotion_id) WHERE promotion_id IS NOT NULL;
+
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
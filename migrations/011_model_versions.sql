@@ -0,0 +1,55 @@
+-- ZenCap Production Database Schema
+-- Migration 011: Model Versions and Changelog
+
+BEGIN;
+
+-- Every revision of a model keeps its own file so past buyers are never
+-- silently switched to a different workbook
+CREATE TABLE IF NOT EXISTS model_versions (
+  id SERIAL PRIMARY KEY,
+  model_id INTEGER NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  version_label VARCHAR(20) NOT NULL,
+  excel_url TEXT,
+  file_url TEXT,
+  release_notes TEXT,
+  status VARCHAR(20) DEFAULT 'draft',
+  published_at TIMESTAMP WITH TIME ZONE,
+  notified_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (model_id, version_number),
+  CONSTRAINT chk_model_versions_number_positive CHECK (version_number > 0),
+  CONSTRAINT chk_model_versions_status_valid CHECK (status IN ('draft', 'published', 'withdrawn')),
+  CONSTRAINT chk_model_versions_has_file CHECK (excel_url IS NOT NULL OR file_url IS NOT NULL),
+  CONSTRAINT chk_model_versions_published_at CHECK (status <> 'published' OR published_at IS NOT NULL)
+);
+
+ALTER TABLE models ADD COLUMN IF NOT EXISTS current_version_id INTEGER REFERENCES model_versions(id) ON DELETE SET NULL;
+
+-- Orders remember the version that was current when they were placed
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS model_version_id INTEGER REFERENCES model_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_model_versions_model ON model_versions(model_id, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_model_version ON orders(model_version_id);
+
+CREATE TRIGGER update_model_versions_updated_at BEFORE UPDATE ON model_versions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill: the file each model has today becomes its first published version
+INSERT INTO model_versions (model_id, version_number, version_label, excel_url, file_url, release_notes, status, published_at, notified_at)
+SELECT id, 1, '1.0', excel_url, file_url, 'Initial release', 'published',
+       COALESCE(published_at, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP
+FROM models
+WHERE excel_url IS NOT NULL OR file_url IS NOT NULL
+ON CONFLICT (model_id, version_number) DO NOTHING;
+
+UPDATE models m SET current_version_id = v.id
+FROM model_versions v
+WHERE v.model_id = m.id AND v.version_number = 1 AND m.current_version_id IS NULL;
+
+UPDATE orders o SET model_version_id = m.current_version_id
+FROM models m
+WHERE o.model_id = m.id AND o.model_version_id IS NULL;
+
+COMMIT;
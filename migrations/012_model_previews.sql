@@ -0,0 +1,29 @@
+-- ZenCap Production Database Schema
+-- Migration 012: Redacted Model Previews
+
+BEGIN;
+
+-- Visitors preview a server-built copy of each model instead of the file
+-- that is sold. The rules say which sheets and ranges the copy keeps and
+-- which regions are masked; the artifact is rebuilt whenever they change.
+CREATE TABLE IF NOT EXISTS model_previews (
+  id SERIAL PRIMARY KEY,
+  model_id INTEGER NOT NULL UNIQUE REFERENCES models(id) ON DELETE CASCADE,
+  rules JSONB NOT NULL DEFAULT '{}',
+  preview_path TEXT,
+  source_url TEXT,
+  status VARCHAR(20) DEFAULT 'pending',
+  error TEXT,
+  generated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_model_previews_status_valid CHECK (status IN ('pending', 'ready', 'failed')),
+  CONSTRAINT chk_model_previews_ready_has_file CHECK (status <> 'ready' OR preview_path IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_model_previews_status ON model_previews(status);
+
+CREATE TRIGGER update_model_previews_updated_at BEFORE UPDATE ON model_previews
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- ZenCap Production Database Schema
+-- Migration 013: Admin Roles
+
+BEGIN;
+
+-- Admin access comes from the signed-in NextAuth user's role. Everyone who
+-- signs in starts as a plain 'user'; promote the first owner by hand:
+--   UPDATE users SET role = 'owner' WHERE email = 'you@example.com';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+
+-- Databases set up through /api/migrate-excel-auth used admin/user/viewer
+ALTER TABLE users DROP CONSTRAINT IF EXISTS valid_role;
+UPDATE users SET role = 'owner' WHERE role = 'admin';
+UPDATE users SET role = 'analyst' WHERE role = 'viewer';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS chk_users_role_valid;
+ALTER TABLE users ADD CONSTRAINT chk_users_role_valid
+  CHECK (role IN ('user', 'owner', 'editor', 'analyst', 'support'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
+
+COMMIT;
@@ -0,0 +1,71 @@
+-- ZenCap Production Database Schema
+-- Migration 014: Organizations and Team Licenses
+
+BEGIN;
+
+-- A firm buying models for several analysts. Members are invited by email
+-- and linked to their user account the first time they sign in.
+CREATE TABLE IF NOT EXISTS organizations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'member',
+  status VARCHAR(20) NOT NULL DEFAULT 'invited',
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  invited_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  joined_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_organization_members_role_valid CHECK (role IN ('admin', 'member')),
+  CONSTRAINT chk_organization_members_status_valid CHECK (status IN ('invited', 'active')),
+  CONSTRAINT chk_organization_members_active_has_user CHECK (status <> 'active' OR user_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_members_org_email
+  ON organization_members(organization_id, LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_organization_members_email ON organization_members(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id);
+
+-- An order bought for an organization is a license for `seats` people.
+-- Single-buyer orders keep organization_id NULL and one seat.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS seats INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE orders ADD CONSTRAINT chk_orders_seats_positive CHECK (seats > 0);
+
+CREATE INDEX IF NOT EXISTS idx_orders_organization ON orders(organization_id) WHERE organization_id IS NOT NULL;
+
+-- Seats hand a team license to one member. Each seat gets the download
+-- allowance of a single purchase, starting when it is assigned; revoked
+-- seats are kept so the history of who held the license survives.
+CREATE TABLE IF NOT EXISTS license_seats (
+  id SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  member_id INTEGER NOT NULL REFERENCES organization_members(id) ON DELETE CASCADE,
+  assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  download_count INTEGER NOT NULL DEFAULT 0,
+  download_expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  CONSTRAINT chk_license_seats_download_count_positive CHECK (download_count >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_seats_active
+  ON license_seats(order_id, member_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_license_seats_member ON license_seats(member_id);
+
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organization_members_updated_at BEFORE UPDATE ON organization_members
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
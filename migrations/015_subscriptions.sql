@@ -0,0 +1,39 @@
+-- ZenCap Production Database Schema
+-- Migration 015: All-Access Subscriptions
+
+BEGIN;
+
+-- Mirrors Stripe subscriptions. Stripe is the source of truth: rows are
+-- written from checkout and customer.subscription.* / invoice.* webhooks
+-- and never changed by the site itself.
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id SERIAL PRIMARY KEY,
+  stripe_subscription_id VARCHAR(255) UNIQUE NOT NULL,
+  stripe_customer_id VARCHAR(255) NOT NULL,
+  customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  plan VARCHAR(50) NOT NULL DEFAULT 'all_access',
+  status VARCHAR(30) NOT NULL,
+  current_period_start TIMESTAMP WITH TIME ZONE,
+  current_period_end TIMESTAMP WITH TIME ZONE,
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+  canceled_at TIMESTAMP WITH TIME ZONE,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  latest_invoice_id VARCHAR(255),
+  latest_invoice_status VARCHAR(30),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_subscriptions_status_valid CHECK (status IN (
+    'incomplete', 'incomplete_expired', 'trialing', 'active',
+    'past_due', 'canceled', 'unpaid', 'paused'
+  ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_email ON subscriptions(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_subscriptions_stripe_customer ON subscriptions(stripe_customer_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status, current_period_end);
+
+CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
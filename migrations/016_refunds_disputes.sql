@@ -0,0 +1,46 @@
+-- ZenCap Production Database Schema
+-- Migration 016: Refunds, Disputes and Net Revenue
+
+BEGIN;
+
+-- Disputed orders lose download access until the dispute is won
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS chk_status_valid;
+ALTER TABLE orders ADD CONSTRAINT chk_status_valid
+  CHECK (status IN ('pending', 'completed', 'failed', 'cancelled', 'refunded', 'disputed'));
+
+-- Cents, like orders.amount. A partial refund keeps the order completed;
+-- refunding the full amount marks it refunded.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD CONSTRAINT chk_orders_refund_within_amount
+  CHECK (refunded_amount >= 0 AND refunded_amount <= amount);
+
+CREATE INDEX IF NOT EXISTS idx_orders_payment_intent ON orders(stripe_payment_intent_id);
+
+-- revenue_events was created by /api/analytics/init-tables; create it here
+-- too so refunds can be recorded on databases that never ran that endpoint
+CREATE TABLE IF NOT EXISTS revenue_events (
+  id SERIAL PRIMARY KEY,
+  transaction_id VARCHAR(255) UNIQUE NOT NULL,
+  model_id VARCHAR(255) NOT NULL,
+  model_title VARCHAR(255) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) DEFAULT 'USD',
+  customer_email VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Refunds and lost disputes are negative entries, so SUM(amount) is net
+-- revenue. transaction_id carries the Stripe refund or dispute id, which
+-- makes replayed webhooks no-ops.
+ALTER TABLE revenue_events ADD COLUMN IF NOT EXISTS event_type VARCHAR(20) NOT NULL DEFAULT 'purchase';
+ALTER TABLE revenue_events ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL;
+ALTER TABLE revenue_events DROP CONSTRAINT IF EXISTS chk_revenue_events_type_valid;
+ALTER TABLE revenue_events ADD CONSTRAINT chk_revenue_events_type_valid
+  CHECK (event_type IN ('purchase', 'refund', 'dispute', 'dispute_reversal'));
+
+CREATE INDEX IF NOT EXISTS idx_revenue_events_type ON revenue_events(event_type);
+CREATE INDEX IF NOT EXISTS idx_revenue_events_order ON revenue_events(order_id);
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- ZenCap Production Database Schema
+-- Migration 017: Stripe Event Ledger
+
+BEGIN;
+
+-- One row per Stripe event id. The webhook records the event and queues
+-- it; the payments queue claims the row before running its side effects,
+-- so redeliveries and retries never process an event twice.
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id SERIAL PRIMARY KEY,
+  stripe_event_id VARCHAR(255) UNIQUE NOT NULL,
+  type VARCHAR(100) NOT NULL,
+  livemode BOOLEAN NOT NULL DEFAULT FALSE,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  delivery_count INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  result JSONB,
+  stripe_created_at TIMESTAMP WITH TIME ZONE,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_stripe_events_status_valid CHECK (status IN (
+    'received', 'processing', 'processed', 'failed', 'ignored'
+  )),
+  CONSTRAINT chk_stripe_events_attempts_positive CHECK (attempts >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_type ON stripe_events(type);
+
+CREATE TRIGGER update_stripe_events_updated_at BEFORE UPDATE ON stripe_events
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMIT;
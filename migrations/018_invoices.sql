@@ -0,0 +1,37 @@
+-- ZenCap Production Database Schema
+-- Migration 018: Invoices
+
+BEGIN;
+
+-- Numbers run without gaps within a year: ZC-2026-00001, ZC-2026-00002, ...
+CREATE TABLE IF NOT EXISTS invoice_counters (
+  year INTEGER PRIMARY KEY,
+  last_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- One invoice per paid order. Billing details are copied from the Stripe
+-- Checkout session when the invoice is issued and never change afterwards.
+CREATE TABLE IF NOT EXISTS invoices (
+  id SERIAL PRIMARY KEY,
+  invoice_number VARCHAR(30) UNIQUE NOT NULL,
+  order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE RESTRICT,
+  customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+  billing_name VARCHAR(255),
+  billing_email VARCHAR(255) NOT NULL,
+  company_name VARCHAR(255),
+  tax_ids JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ type: 'eu_vat', value: 'DE123456789' }]
+  billing_address JSONB,                      -- Stripe address: line1, line2, city, state, postal_code, country
+  description VARCHAR(500) NOT NULL,
+  subtotal INTEGER NOT NULL,                  -- cents, before site promotions
+  discount_amount INTEGER NOT NULL DEFAULT 0, -- cents
+  total INTEGER NOT NULL,                     -- cents, what was charged
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_invoices_amounts_valid CHECK (total >= 0 AND discount_amount >= 0 AND subtotal = total + discount_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_email ON invoices(LOWER(billing_email));
+
+COMMIT;
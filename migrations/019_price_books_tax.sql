@@ -0,0 +1,75 @@
+-- ZenCap Production Database Schema
+-- Migration 019: Multi-currency Price Books, Checkout Tax and Reporting Currency
+
+BEGIN;
+
+-- A model or bundle can be priced in any number of currencies. The price on
+-- the model (or bundle) row stays the price in its own currency; an entry
+-- here adds another. Sale prices share the model's sale window.
+CREATE TABLE IF NOT EXISTS price_book_entries (
+  id SERIAL PRIMARY KEY,
+  model_id INTEGER REFERENCES models(id) ON DELETE CASCADE,
+  bundle_id INTEGER REFERENCES bundles(id) ON DELETE CASCADE,
+  currency VARCHAR(3) NOT NULL,
+  price NUMERIC NOT NULL,
+  sale_price NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_price_book_entries_single_target CHECK ((model_id IS NULL) <> (bundle_id IS NULL)),
+  CONSTRAINT chk_price_book_entries_currency_format CHECK (currency ~ '^[a-z]{3}$'),
+  CONSTRAINT chk_price_book_entries_price_valid CHECK (price > 0),
+  CONSTRAINT chk_price_book_entries_sale_price_valid CHECK (sale_price IS NULL OR (sale_price > 0 AND sale_price <= price))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_price_book_entries_model_currency
+  ON price_book_entries(model_id, currency) WHERE model_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_price_book_entries_bundle_currency
+  ON price_book_entries(bundle_id, currency) WHERE bundle_id IS NOT NULL;
+
+CREATE TRIGGER update_price_book_entries_updated_at BEFORE UPDATE ON price_book_entries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE bundles ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'usd';
+UPDATE bundles SET currency = 'usd' WHERE currency IS NULL;
+
+-- How many units of the reporting currency (REPORTING_CURRENCY) one unit of
+-- each currency buys. The reporting currency itself needs no row.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  currency VARCHAR(3) PRIMARY KEY,
+  rate NUMERIC(18,8) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_exchange_rates_currency_format CHECK (currency ~ '^[a-z]{3}$'),
+  CONSTRAINT chk_exchange_rates_rate_valid CHECK (rate > 0)
+);
+
+-- Tax is charged on top of amount, in the same currency and also in cents.
+-- exchange_rate is the rate to the reporting currency when the order was
+-- placed, so analytics never move with later rate changes.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_amount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(6,4);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_country VARCHAR(2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE orders ADD CONSTRAINT chk_orders_tax_valid
+  CHECK (tax_amount >= 0 AND (tax_rate IS NULL OR (tax_rate >= 0 AND tax_rate < 1)));
+
+-- Refunds can now include the tax charged with the order
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS chk_orders_refund_within_amount;
+ALTER TABLE orders ADD CONSTRAINT chk_orders_refund_within_amount
+  CHECK (refunded_amount >= 0 AND refunded_amount <= amount + tax_amount);
+
+-- Revenue in the reporting currency. Every entry so far was in USD.
+ALTER TABLE revenue_events ADD COLUMN IF NOT EXISTS reporting_amount DECIMAL(12,2);
+UPDATE revenue_events SET reporting_amount = amount WHERE reporting_amount IS NULL;
+ALTER TABLE revenue_events ALTER COLUMN reporting_amount SET NOT NULL;
+
+-- Invoices show the tax separately: total = subtotal - discount + tax
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_amount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(6,4);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_label VARCHAR(100);
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_amounts_valid;
+ALTER TABLE invoices ADD CONSTRAINT chk_invoices_amounts_valid
+  CHECK (total >= 0 AND discount_amount >= 0 AND tax_amount >= 0 AND total = subtotal - discount_amount + tax_amount);
+
+COMMIT;
@@ -0,0 +1,71 @@
+-- ZenCap Production Database Schema
+-- Migration 020: Insight Revisions, Review and Scheduling
+
+BEGIN;
+
+-- Review and scheduling states. Anything outside the old list becomes a draft.
+ALTER TABLE insights DROP CONSTRAINT IF EXISTS chk_insights_status_valid;
+UPDATE insights SET status = 'draft'
+WHERE status IS NULL OR status NOT IN ('draft', 'published', 'archived', 'deleted');
+ALTER TABLE insights ALTER COLUMN status SET NOT NULL;
+ALTER TABLE insights ADD CONSTRAINT chk_insights_status_valid
+  CHECK (status IN ('draft', 'in_review', 'approved', 'scheduled', 'published', 'archived', 'deleted'));
+
+-- Scheduled insights go out on their date_published
+ALTER TABLE insights ADD CONSTRAINT chk_insights_scheduled_has_date
+  CHECK (status <> 'scheduled' OR date_published IS NOT NULL);
+
+-- Saves name the revision they were made from, so a save based on an
+-- older revision is refused instead of overwriting someone else's work
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS approved_revision INTEGER;
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Every saved version of an insight's content
+CREATE TABLE IF NOT EXISTS insight_revisions (
+  id SERIAL PRIMARY KEY,
+  insight_id INTEGER NOT NULL REFERENCES insights(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  summary TEXT,
+  content TEXT,
+  author VARCHAR(100),
+  cover_image_url TEXT,
+  tags TEXT,
+  date_published DATE,
+  note VARCHAR(255), -- e.g. 'Restored revision 3'
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (insight_id, revision),
+  CONSTRAINT chk_insight_revisions_revision_positive CHECK (revision > 0)
+);
+
+-- Every change of review state, with who made it and any reviewer comment
+CREATE TABLE IF NOT EXISTS insight_workflow_events (
+  id SERIAL PRIMARY KEY,
+  insight_id INTEGER NOT NULL REFERENCES insights(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  action VARCHAR(30) NOT NULL,
+  from_status VARCHAR(50) NOT NULL,
+  to_status VARCHAR(50) NOT NULL,
+  comment TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_insight_workflow_events_action_valid CHECK (action IN (
+    'submit', 'request_changes', 'approve', 'publish', 'schedule', 'unschedule',
+    'unpublish', 'archive', 'reopen', 'edit', 'scheduled_publish'
+  ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_insight_revisions_insight ON insight_revisions(insight_id, revision DESC);
+CREATE INDEX IF NOT EXISTS idx_insight_workflow_events_insight ON insight_workflow_events(insight_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_insights_scheduled ON insights(date_published) WHERE status = 'scheduled';
+
+-- Backfill: the content each insight has today becomes its first revision
+INSERT INTO insight_revisions (insight_id, revision, title, summary, content, author, cover_image_url, tags, date_published, note, created_at)
+SELECT id, 1, title, summary, content, author, cover_image_url, tags, date_published, 'Initial revision',
+       COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+FROM insights
+ON CONFLICT (insight_id, revision) DO NOTHING;
+
+COMMIT;
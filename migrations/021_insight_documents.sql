@@ -0,0 +1,34 @@
+-- ZenCap Production Database Schema
+-- Migration 021: Structured Insight Documents
+
+BEGIN;
+
+-- The article is stored as a structured document (src/utils/articleDocument.js).
+-- content now holds the sanitized HTML rendered from it, with the table of
+-- contents and reading time worked out at the same time.
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS document JSONB;
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS toc JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS reading_minutes INTEGER;
+ALTER TABLE insights ADD CONSTRAINT chk_insights_document_is_doc
+  CHECK (document IS NULL OR document->>'type' = 'doc');
+
+ALTER TABLE insight_revisions ADD COLUMN IF NOT EXISTS document JSONB;
+
+-- The HTML as it was before conversion (022_convert_insight_html.js), kept
+-- in case anything the converter drops needs to be recovered by hand
+CREATE TABLE IF NOT EXISTS insight_legacy_html (
+  id SERIAL PRIMARY KEY,
+  insight_id INTEGER NOT NULL REFERENCES insights(id) ON DELETE CASCADE,
+  revision INTEGER, -- NULL for the live row
+  content TEXT,
+  archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO insight_legacy_html (insight_id, revision, content)
+SELECT id, NULL, content FROM insights WHERE content IS NOT NULL AND content <> ''
+UNION ALL
+SELECT insight_id, revision, content FROM insight_revisions WHERE content IS NOT NULL AND content <> '';
+
+CREATE INDEX IF NOT EXISTS idx_insight_legacy_html_insight ON insight_legacy_html(insight_id);
+
+COMMIT;
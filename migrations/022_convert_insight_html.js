@@ -0,0 +1,42 @@
+// ZenCap Production Database Schema
+// Migration 022: Convert Insight HTML to Documents
+//
+// Parses the HTML saved by the rich text editor into structured documents
+// and re-renders content from them. Needs application code, so it runs as a
+// script migration (see SCRIPT_MIGRATIONS in migrate.js). Rows that already
+// have a document are skipped, so running it again is harmless.
+
+import { sql } from '@vercel/postgres';
+import { htmlToDocument } from '../src/utils/articleDocument.js';
+import { renderArticle } from '../src/utils/articleRenderer.js';
+
+export async function up() {
+  const insights = await sql`SELECT id, content FROM insights WHERE document IS NULL;`;
+  for (const insight of insights.rows) {
+    const document = htmlToDocument(insight.content);
+    const { html, toc, readingMinutes } = renderArticle(document);
+    await sql`
+      UPDATE insights SET
+        document = ${JSON.stringify(document)}::jsonb,
+        content = ${html},
+        toc = ${JSON.stringify(toc)}::jsonb,
+        reading_minutes = ${readingMinutes}
+      WHERE id = ${insight.id} AND document IS NULL;
+    `;
+  }
+
+  // Old revisions too, so restoring one brings back a document and diffs
+  // compare like with like
+  const revisions = await sql`SELECT id, content FROM insight_revisions WHERE document IS NULL;`;
+  for (const revision of revisions.rows) {
+    const document = htmlToDocument(revision.content);
+    await sql`
+      UPDATE insight_revisions SET
+        document = ${JSON.stringify(document)}::jsonb,
+        content = ${renderArticle(document).html}
+      WHERE id = ${revision.id} AND document IS NULL;
+    `;
+  }
+
+  console.log(`   Converted ${insights.rows.length} insights and ${revisions.rows.length} revisions`);
+}
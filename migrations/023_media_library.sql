@@ -0,0 +1,45 @@
+-- ZenCap Production Database Schema
+-- Migration 023: Media Library
+
+BEGIN;
+
+-- Uploaded images. Each is re-encoded on upload into WebP variants at the
+-- widths in src/config/media.js, plus a tiny blurred preview for next/image.
+CREATE TABLE IF NOT EXISTS media (
+  id SERIAL PRIMARY KEY,
+  storage_key VARCHAR(64) NOT NULL UNIQUE, -- directory under public/uploads/media
+  sha256 VARCHAR(64) NOT NULL UNIQUE, -- the same file uploaded twice is one asset
+  original_filename VARCHAR(255),
+  mime_type VARCHAR(50) NOT NULL,
+  url TEXT NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  variants JSONB NOT NULL DEFAULT '[]', -- [{ width, height, url }], narrowest first
+  blur_data_url TEXT,
+  alt_text TEXT NOT NULL DEFAULT '',
+  caption TEXT,
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_media_dimensions_positive CHECK (width > 0 AND height > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_created_at ON media(created_at DESC);
+
+-- Where each asset is used, rebuilt whenever an insight or model is saved,
+-- so an image still in use can't be deleted
+CREATE TABLE IF NOT EXISTS media_references (
+  id SERIAL PRIMARY KEY,
+  media_id INTEGER NOT NULL REFERENCES media(id) ON DELETE CASCADE,
+  resource_type VARCHAR(20) NOT NULL,
+  resource_id INTEGER NOT NULL,
+  field VARCHAR(50) NOT NULL, -- cover_image_url, thumbnail_url or content
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_media_references_resource_type CHECK (resource_type IN ('insight', 'model')),
+  UNIQUE (media_id, resource_type, resource_id, field)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_references_resource ON media_references(resource_type, resource_id);
+
+COMMIT;
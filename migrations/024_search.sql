@@ -0,0 +1,50 @@
+-- ZenCap Production Database Schema
+-- Migration 024: Full-Text Search
+
+BEGIN;
+
+-- Trigram matching catches typos in titles and tags that full-text
+-- matching misses (src/utils/search.js)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Sheet names and text labels of a model's preview workbook, written when
+-- the preview is built (src/utils/previews.js). Only what the redacted
+-- preview shows is indexed, never the workbook that is sold.
+ALTER TABLE models ADD COLUMN IF NOT EXISTS workbook_text TEXT;
+
+ALTER TABLE insights ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(summary, '') || ' ' || COALESCE(tags, '')), 'B') ||
+  setweight(to_tsvector('english', regexp_replace(COALESCE(content, ''), '<[^>]+>', ' ', 'g')), 'C')
+) STORED;
+
+ALTER TABLE models ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '') || ' ' || COALESCE(category, '') || ' ' || COALESCE(tags, '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(workbook_text, '')), 'D')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_insights_search_vector ON insights USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_models_search_vector ON models USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_insights_title_trgm ON insights USING gin(title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_insights_tags_trgm ON insights USING gin(tags gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_models_title_trgm ON models USING gin(title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_models_tags_trgm ON models USING gin(tags gin_trgm_ops);
+
+-- What visitors search for. Keystrokes of one search are folded into a
+-- single row, keyed by a hash of the visitor's IP and user agent.
+CREATE TABLE IF NOT EXISTS search_queries (
+  id SERIAL PRIMARY KEY,
+  query TEXT NOT NULL,
+  type_filter VARCHAR(20),
+  category_filter VARCHAR(100),
+  result_count INTEGER NOT NULL DEFAULT 0,
+  searcher_hash VARCHAR(64),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_search_queries_result_count CHECK (result_count >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_queries_created_at ON search_queries(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_search_queries_searcher ON search_queries(searcher_hash, created_at DESC);
+
+COMMIT;
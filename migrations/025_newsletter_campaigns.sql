@@ -0,0 +1,73 @@
+-- ZenCap Production Database Schema
+-- Migration 025: Newsletter Double Opt-In and Campaigns
+
+BEGIN;
+
+-- New sign-ups are pending until they follow the link in the confirmation
+-- email. Addresses that subscribed before double opt-in stay active.
+ALTER TABLE newsletter_subscribers DROP CONSTRAINT IF EXISTS chk_newsletter_status_valid;
+ALTER TABLE newsletter_subscribers ADD CONSTRAINT chk_newsletter_status_valid
+  CHECK (status IN ('pending', 'active', 'unsubscribed', 'bounced', 'deleted'));
+
+ALTER TABLE newsletter_subscribers ADD COLUMN IF NOT EXISTS confirmation_sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE newsletter_subscribers ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE newsletter_subscribers ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP WITH TIME ZONE;
+
+-- A campaign is composed as a draft. Sending freezes its content (subject,
+-- intro and the insights pulled in) so every recipient gets the same email.
+CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+  id SERIAL PRIMARY KEY,
+  subject VARCHAR(200) NOT NULL,
+  preheader VARCHAR(200),
+  intro TEXT NOT NULL DEFAULT '',
+  insight_ids INTEGER[] NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'draft',
+  content JSONB, -- frozen when sending starts (src/utils/newsletter.js)
+  recipient_count INTEGER NOT NULL DEFAULT 0,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_newsletter_campaigns_status_valid CHECK (status IN ('draft', 'sending', 'sent', 'cancelled')),
+  CONSTRAINT chk_newsletter_campaigns_content_frozen CHECK (status = 'draft' OR content IS NOT NULL)
+);
+
+CREATE TRIGGER update_newsletter_campaigns_updated_at BEFORE UPDATE ON newsletter_campaigns
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per recipient of a campaign, claimed in batches by the email
+-- queue. Opens and clicks are recorded against it.
+CREATE TABLE IF NOT EXISTS newsletter_deliveries (
+  id SERIAL PRIMARY KEY,
+  campaign_id INTEGER NOT NULL REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+  subscriber_id INTEGER REFERENCES newsletter_subscribers(id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  message_id TEXT,
+  error TEXT,
+  opened_at TIMESTAMP WITH TIME ZONE,
+  open_count INTEGER NOT NULL DEFAULT 0,
+  clicked_at TIMESTAMP WITH TIME ZONE,
+  click_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_newsletter_deliveries_status_valid CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'skipped')),
+  UNIQUE (campaign_id, subscriber_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_deliveries_campaign_status ON newsletter_deliveries(campaign_id, status);
+
+-- Every click, by the index of the link in the campaign's frozen content
+CREATE TABLE IF NOT EXISTS newsletter_clicks (
+  id SERIAL PRIMARY KEY,
+  delivery_id INTEGER NOT NULL REFERENCES newsletter_deliveries(id) ON DELETE CASCADE,
+  link_index INTEGER NOT NULL,
+  clicked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_clicks_delivery ON newsletter_clicks(delivery_id);
+
+COMMIT;
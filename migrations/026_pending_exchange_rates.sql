@@ -0,0 +1,14 @@
+-- ZenCap Production Database Schema
+-- Migration 026: Orders Without an Exchange Rate Yet
+
+BEGIN;
+
+-- A sale in a currency with no exchange rate is still taken. Its rate and
+-- reporting amount stay NULL until the rate is set in the admin dashboard,
+-- which fills them in (src/pages/api/admin/exchange-rates.js).
+ALTER TABLE orders ALTER COLUMN exchange_rate DROP NOT NULL;
+ALTER TABLE revenue_events ALTER COLUMN reporting_amount DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_missing_exchange_rate ON orders(currency) WHERE exchange_rate IS NULL;
+
+COMMIT;
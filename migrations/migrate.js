@@ -4,6 +4,13 @@
 import fs from 'fs';
 import path from 'path';
 import { sql } from '@vercel/postgres';
+import * as convertInsightHtml from './022_convert_insight_html.js';
+
+// Migrations that need application code are modules exporting up(). They
+// are listed here rather than loaded by filename so bundlers can see them.
+const SCRIPT_MIGRATIONS = {
+  '022_convert_insight_html.js': convertInsightHtml
+};
 
 /**
  * Run all pending database migrations
@@ -100,7 +107,7 @@ function getMigrationFiles() {
   }
   
   return fs.readdirSync(migrationsDir)
-    .filter(file => file.endsWith('.sql') && file.match(/^\\d{3}_/))
+    .filter(file => /^\d{3}_/.test(file) && (file.endsWith('.sql') || SCRIPT_MIGRATIONS[file]))
     .sort();
 }
 
@@ -150,7 +157,7 @@ function getPendingMigrations(migrationFiles, executedMigrations, force, target)
  */
 async function executeMigration(migrationFile) {
   const startTime = Date.now();
-  const version = migrationFile.replace('.sql', '');
+  const version = migrationFile.replace(/\.(sql|js)$/, '');
   
   console.log(`📄 Executing migration: ${migrationFile}`);
   
@@ -162,6 +169,21 @@ async function executeMigration(migrationFile) {
     // Calculate checksum for verification
     const checksum = generateChecksum(migrationSQL);
     
+    if (SCRIPT_MIGRATIONS[migrationFile]) {
+      // Script migrations manage their own statements and must be safe to re-run
+      await SCRIPT_MIGRATIONS[migrationFile].up();
+      await sql`
+        INSERT INTO schema_migrations (version, filename, execution_time_ms, checksum)
+        VALUES (${version}, ${migrationFile}, ${Date.now() - startTime}, ${checksum})
+        ON CONFLICT (version) DO UPDATE SET
+          executed_at = CURRENT_TIMESTAMP,
+          execution_time_ms = EXCLUDED.execution_time_ms,
+          checksum = EXCLUDED.checksum;
+      `;
+      console.log(`✅ Completed migration: ${migrationFile} (${Date.now() - startTime}ms)`);
+      return;
+    }
+
     // Execute migration in transaction
     await sql.begin(async (sql) => {
       // Execute the migration SQL
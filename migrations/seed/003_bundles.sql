@@ -0,0 +1,58 @@
+-- ZenCap Production Database
+-- Seed Data: Model Bundles
+
+BEGIN;
+
+INSERT INTO bundles (slug, name, description, price, features, most_popular, sort_order, status) VALUES
+
+('pe-starter',
+'Private Equity Starter Pack',
+'Perfect for getting started with PE real estate modeling',
+11965.00,
+'["Three complete PE models", "Detailed instruction guides", "Sample data sets", "90-day email support", "Free updates for 1 year"]'::jsonb,
+TRUE,
+1,
+'active'),
+
+('complete-suite',
+'Complete Financial Modeling Suite',
+'Everything you need for comprehensive investment analysis',
+34985.00,
+'["Every premium model in the library", "Comprehensive documentation", "Video tutorials library", "Priority email & phone support", "Lifetime free updates", "Custom model consultation (1 hour)", "Exclusive investor community access"]'::jsonb,
+FALSE,
+2,
+'active'),
+
+('hospitality-focus',
+'Hospitality Investment Bundle',
+'Specialized models for hotel and resort investments',
+12465.00,
+'["Three hospitality-focused models", "Industry-specific metrics", "RevPAR analysis tools", "60-day email support", "Quarterly model updates"]'::jsonb,
+FALSE,
+3,
+'active')
+
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO bundle_models (bundle_id, model_id)
+SELECT b.id, m.id
+FROM bundles b
+JOIN models m ON m.slug IN ('multifamily-real-estate-model', 'mixed-use-development-model', 'commercial-real-estate-model')
+WHERE b.slug = 'pe-starter'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO bundle_models (bundle_id, model_id)
+SELECT b.id, m.id
+FROM bundles b
+JOIN models m ON m.status = 'active'
+WHERE b.slug = 'complete-suite'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO bundle_models (bundle_id, model_id)
+SELECT b.id, m.id
+FROM bundles b
+JOIN models m ON m.slug IN ('hospitality-real-estate-model', 'mixed-use-development-model', 'commercial-real-estate-model')
+WHERE b.slug = 'hospitality-focus'
+ON CONFLICT DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,641 @@
+// Chart parser for the Excel viewer worker
+// ExcelJS drops charts, so this reads the drawing and chart XML parts straight
+// from the xlsx package and returns each chart's type, anchor and cached series
+// values. Loaded by excelWorker.js via importScripts, and requirable from Node
+// so it can be unit tested.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChartParser = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Office 2013+ default theme, used when the package has no theme part
+  const DEFAULT_THEME = {
+    dk1: '#000000', lt1: '#FFFFFF', dk2: '#44546A', lt2: '#E7E6E6',
+    accent1: '#4472C4', accent2: '#ED7D31', accent3: '#A5A5A5',
+    accent4: '#FFC000', accent5: '#5B9BD5', accent6: '#70AD47',
+    hlink: '#0563C1', folHlink: '#954F72'
+  };
+  const SCHEME_ALIASES = { tx1: 'dk1', bg1: 'lt1', tx2: 'dk2', bg2: 'lt2' };
+  const ACCENTS = ['accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6'];
+
+  const CHART_GROUPS = {
+    barChart: 'bar', bar3DChart: 'bar',
+    lineChart: 'line', line3DChart: 'line', stockChart: 'line', radarChart: 'line',
+    areaChart: 'area', area3DChart: 'area',
+    pieChart: 'pie', pie3DChart: 'pie', ofPieChart: 'pie',
+    doughnutChart: 'doughnut',
+    scatterChart: 'scatter', bubbleChart: 'scatter'
+  };
+
+  // ---------------------------------------------------------------------------
+  // Zip package
+  // ---------------------------------------------------------------------------
+
+  function readZip(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end-of-central-directory record sits within the last 64KB
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error('Not a zip package');
+
+    const entries = new Map();
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+
+    for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+      entries.set(name, {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return { bytes, view, entries };
+  }
+
+  async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('DecompressionStream is not available');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function readZipText(zip, name) {
+    const entry = zip.entries.get(name);
+    if (!entry) return null;
+
+    const { view, bytes } = zip;
+    const start = entry.localOffset + 30 +
+      view.getUint16(entry.localOffset + 26, true) +
+      view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return new TextDecoder().decode(data);
+    if (entry.method === 8) return new TextDecoder().decode(await inflateRaw(data));
+    throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // XML
+  // ---------------------------------------------------------------------------
+  // Workers have no DOMParser. This handles the well-formed, namespace-prefixed
+  // XML Office writes; element names are stored without their prefix.
+
+  const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+      if (code[0] === '#') {
+        return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+      }
+      return ENTITIES[code] !== undefined ? ENTITIES[code] : match;
+    });
+  }
+
+  function localName(name) {
+    const colon = name.indexOf(':');
+    return colon >= 0 ? name.slice(colon + 1) : name;
+  }
+
+  function parseXml(text) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    const attributes = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = tokens.exec(text)) !== null) {
+      const [, cdata, closing, tagName, attrText, selfClosing, chars] = match;
+      const current = stack[stack.length - 1];
+
+      if (cdata !== undefined) {
+        current.text += cdata;
+      } else if (chars !== undefined) {
+        current.text += decodeEntities(chars);
+      } else if (tagName) {
+        if (closing) {
+          if (stack.length > 1) stack.pop();
+          continue;
+        }
+        const node = { name: localName(tagName), attrs: {}, children: [], text: '' };
+        let attr;
+        attributes.lastIndex = 0;
+        while ((attr = attributes.exec(attrText)) !== null) {
+          const value = decodeEntities(attr[3] !== undefined ? attr[3] : attr[4]);
+          node.attrs[attr[1]] = value;
+          // Also index by local name so "r:id" is found whatever the prefix
+          if (node.attrs[localName(attr[1])] === undefined) node.attrs[localName(attr[1])] = value;
+        }
+        current.children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
+    }
+
+    return root.children[0] || root;
+  }
+
+  function child(node, name) {
+    return node ? node.children.find(c => c.name === name) || null : null;
+  }
+
+  function childrenNamed(node, name) {
+    return node ? node.children.filter(c => c.name === name) : [];
+  }
+
+  // Follow a chain of child names: path(node, 'tx', 'strRef', 'strCache')
+  function path(node, ...names) {
+    return names.reduce((current, name) => child(current, name), node);
+  }
+
+  function descendant(node, name) {
+    if (!node) return null;
+    for (const c of node.children) {
+      if (c.name === name) return c;
+      const found = descendant(c, name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function descendants(node, name, found = []) {
+    if (!node) return found;
+    node.children.forEach(c => {
+      if (c.name === name) found.push(c);
+      descendants(c, name, found);
+    });
+    return found;
+  }
+
+  function val(node, fallback = null) {
+    return node && node.attrs.val !== undefined ? node.attrs.val : fallback;
+  }
+
+  function boolVal(node, fallback = false) {
+    if (!node) return fallback;
+    const value = val(node, '1');
+    return value === '1' || value === 'true';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Package relationships
+  // ---------------------------------------------------------------------------
+
+  function resolveTarget(basePath, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = basePath.split('/').slice(0, -1);
+    target.split('/').forEach(part => {
+      if (part === '..') parts.pop();
+      else if (part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  function relsPath(partPath) {
+    const parts = partPath.split('/');
+    const file = parts.pop();
+    return [...parts, '_rels', `${file}.rels`].join('/');
+  }
+
+  async function readRelationships(zip, partPath) {
+    const xml = await readZipText(zip, relsPath(partPath));
+    const rels = new Map();
+    if (!xml) return rels;
+    childrenNamed(parseXml(xml), 'Relationship').forEach(rel => {
+      if (rel.attrs.TargetMode === 'External') return;
+      rels.set(rel.attrs.Id, { type: rel.attrs.Type || '', target: resolveTarget(partPath, rel.attrs.Target || '') });
+    });
+    return rels;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Colours
+  // ---------------------------------------------------------------------------
+
+  async function readTheme(zip) {
+    const themePath = [...zip.entries.keys()].find(name => /^xl\/theme\/theme\d+\.xml$/.test(name));
+    const xml = themePath ? await readZipText(zip, themePath) : null;
+    if (!xml) return DEFAULT_THEME;
+
+    const scheme = descendant(parseXml(xml), 'clrScheme');
+    const theme = { ...DEFAULT_THEME };
+    (scheme ? scheme.children : []).forEach(entry => {
+      const color = entry.children[0];
+      if (!color) return;
+      const hex = color.name === 'sysClr' ? color.attrs.lastClr : color.attrs.val;
+      if (hex && /^[0-9a-f]{6}$/i.test(hex)) theme[entry.name] = `#${hex.toUpperCase()}`;
+    });
+    return theme;
+  }
+
+  function rgbToHsl([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return [h / 6, s, l];
+  }
+
+  function hslToRgb([h, s, l]) {
+    if (s === 0) return [l, l, l];
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hue = t => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return [hue(h + 1 / 3), hue(h), hue(h - 1 / 3)];
+  }
+
+  // Apply DrawingML colour transforms (lumMod/lumOff/tint/shade) to a hex colour
+  function transformColor(hex, transforms) {
+    if (transforms.length === 0) return hex;
+    let rgb = [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16) / 255);
+
+    transforms.forEach(t => {
+      const amount = Number(t.attrs.val) / 100000;
+      if (!isFinite(amount)) return;
+      if (t.name === 'lumMod' || t.name === 'lumOff') {
+        const hsl = rgbToHsl(rgb);
+        hsl[2] = Math.min(1, Math.max(0, t.name === 'lumMod' ? hsl[2] * amount : hsl[2] + amount));
+        rgb = hslToRgb(hsl);
+      } else if (t.name === 'tint') {
+        rgb = rgb.map(c => c + (1 - c) * (1 - amount));
+      } else if (t.name === 'shade') {
+        rgb = rgb.map(c => c * amount);
+      }
+    });
+
+    return '#' + rgb.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+
+  function parseColor(node, theme) {
+    if (!node) return null;
+    let hex = null;
+    if (node.name === 'srgbClr') hex = `#${(node.attrs.val || '000000').toUpperCase()}`;
+    else if (node.name === 'sysClr') hex = `#${(node.attrs.lastClr || '000000').toUpperCase()}`;
+    else if (node.name === 'schemeClr') hex = theme[SCHEME_ALIASES[node.attrs.val] || node.attrs.val] || null;
+    if (!hex) return null;
+    return transformColor(hex, node.children);
+  }
+
+  // Fill of a shape-properties node: a colour, 'none', or null when unset
+  function parseFill(spPr, theme) {
+    if (!spPr) return null;
+    if (child(spPr, 'noFill')) return 'none';
+    const solid = child(spPr, 'solidFill');
+    if (solid) return parseColor(solid.children[0], theme);
+    const gradientStop = descendant(child(spPr, 'gradFill'), 'gs');
+    if (gradientStop) return parseColor(gradientStop.children[0], theme);
+    return null;
+  }
+
+  function parseLine(spPr, theme) {
+    const line = child(spPr, 'ln');
+    if (!line) return null;
+    return parseFill(line, theme);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Charts
+  // ---------------------------------------------------------------------------
+
+  // Cached values of a series data source (cat, val, xVal, yVal, tx)
+  function readCache(source) {
+    if (!source) return { values: [], formatCode: null };
+    const cache = descendant(source, 'numCache') || descendant(source, 'strCache') ||
+      descendant(source, 'numLit') || descendant(source, 'strLit') ||
+      descendant(source, 'multiLvlStrCache');
+    if (!cache) {
+      const literal = child(source, 'v');
+      return { values: literal ? [literal.text] : [], formatCode: null };
+    }
+
+    // Multi-level category caches list the innermost level first
+    const level = cache.name === 'multiLvlStrCache' ? child(cache, 'lvl') : cache;
+    const isNumeric = cache.name === 'numCache' || cache.name === 'numLit';
+    const count = Number(val(child(cache, 'ptCount'), 0));
+    const values = new Array(count).fill(null);
+
+    childrenNamed(level, 'pt').forEach(pt => {
+      const index = Number(pt.attrs.idx);
+      const text = path(pt, 'v')?.text ?? '';
+      const value = isNumeric ? Number(text) : text;
+      values[index] = isNumeric && !isFinite(value) ? null : value;
+    });
+
+    const formatCode = path(cache, 'formatCode')?.text || null;
+    return { values, formatCode };
+  }
+
+  function readRichText(node) {
+    return descendants(node, 't').map(t => t.text).join('');
+  }
+
+  function readTitle(titleNode) {
+    if (!titleNode) return null;
+    const tx = child(titleNode, 'tx');
+    if (!tx) return null;
+    const rich = child(tx, 'rich');
+    if (rich) return readRichText(rich) || null;
+    return readCache(tx).values[0] || null;
+  }
+
+  function readAxes(plotArea) {
+    const axes = new Map();
+    ['valAx', 'catAx', 'dateAx', 'serAx'].forEach(kind => {
+      childrenNamed(plotArea, kind).forEach(axis => {
+        axes.set(val(child(axis, 'axId')), {
+          kind,
+          position: val(child(axis, 'axPos'), 'l'),
+          deleted: boolVal(child(axis, 'delete')),
+          formatCode: child(axis, 'numFmt')?.attrs.formatCode || null,
+          title: readTitle(child(axis, 'title'))
+        });
+      });
+    });
+    return axes;
+  }
+
+  function readSeries(ser, kind, theme, fallbackIndex) {
+    const index = Number(val(child(ser, 'idx'), fallbackIndex));
+    const spPr = child(ser, 'spPr');
+    const isLine = kind === 'line' || kind === 'scatter';
+    const fill = parseFill(spPr, theme);
+    const stroke = parseLine(spPr, theme);
+    const defaultColor = theme[ACCENTS[index % ACCENTS.length]];
+
+    const categories = readCache(child(ser, 'cat') || child(ser, 'xVal'));
+    const values = readCache(child(ser, 'val') || child(ser, 'yVal'));
+
+    const pointColors = {};
+    childrenNamed(ser, 'dPt').forEach(point => {
+      const color = parseFill(child(point, 'spPr'), theme);
+      if (color) pointColors[Number(val(child(point, 'idx')))] = color;
+    });
+
+    const color = isLine ? (stroke || fill) : fill;
+    return {
+      index,
+      order: Number(val(child(ser, 'order'), index)),
+      name: readCache(child(ser, 'tx')).values[0] || `Series${index + 1}`,
+      type: kind,
+      categories: categories.values,
+      values: values.values,
+      formatCode: values.formatCode,
+      color: color && color !== 'none' ? color : defaultColor,
+      hidden: color === 'none' && (isLine || !stroke || stroke === 'none'),
+      line: stroke !== 'none',
+      pointColors,
+      smooth: boolVal(child(ser, 'smooth')),
+      marker: val(path(ser, 'marker', 'symbol'), null) !== 'none',
+      invertIfNegative: boolVal(child(ser, 'invertIfNegative'))
+    };
+  }
+
+  function parseChartXml(xml, theme = DEFAULT_THEME) {
+    const space = typeof xml === 'string' ? parseXml(xml) : xml;
+    const chart = child(space, 'chart');
+    const plotArea = child(chart, 'plotArea');
+    if (!plotArea) return null;
+
+    const axes = readAxes(plotArea);
+    const groups = [];
+    const series = [];
+
+    plotArea.children.forEach(group => {
+      const kind = CHART_GROUPS[group.name];
+      if (!kind) return;
+
+      const valueAxis = childrenNamed(group, 'axId')
+        .map(axis => axes.get(val(axis)))
+        .find(axis => axis && axis.kind === 'valAx');
+      const secondary = !!valueAxis && (valueAxis.position === 'r' || valueAxis.position === 't') &&
+        kind !== 'scatter' && groups.some(g => g.kind !== 'pie' && g.kind !== 'doughnut');
+
+      groups.push({ kind, secondary });
+      childrenNamed(group, 'ser').forEach(ser => {
+        series.push({
+          ...readSeries(ser, kind, theme, series.length),
+          axis: secondary ? 'secondary' : 'primary',
+          ...(kind === 'bar' && {
+            barDirection: val(child(group, 'barDir'), 'col'),
+            grouping: val(child(group, 'grouping'), 'clustered')
+          }),
+          ...((kind === 'line' || kind === 'area') && { grouping: val(child(group, 'grouping'), 'standard') }),
+          ...(kind === 'scatter' && { scatterStyle: val(child(group, 'scatterStyle'), 'lineMarker') })
+        });
+      });
+
+      // Pie and doughnut charts vary colours by point unless told otherwise
+      if ((kind === 'pie' || kind === 'doughnut') && child(group, 'varyColors') && !boolVal(child(group, 'varyColors'), true)) {
+        series.forEach(s => { s.varyColors = false; });
+      }
+      if (kind === 'doughnut') {
+        groups[groups.length - 1].holeSize = Number(val(child(group, 'holeSize'), 50));
+      }
+    });
+
+    if (series.length === 0) return null;
+    series.sort((a, b) => a.order - b.order);
+
+    const kinds = [...new Set(groups.map(g => g.kind))];
+    const first = groups[0];
+    const valueAxes = [...axes.values()].filter(axis => axis.kind === 'valAx');
+    const categoryAxis = [...axes.values()].find(axis => axis.kind !== 'valAx');
+    const legend = child(chart, 'legend');
+
+    return {
+      type: kinds.length > 1 ? 'combo' : first.kind,
+      title: boolVal(child(chart, 'autoTitleDeleted')) ? null : readTitle(child(chart, 'title')),
+      legend: legend ? val(child(legend, 'legendPos'), 'r') : null,
+      barDirection: series.find(s => s.barDirection)?.barDirection || 'col',
+      grouping: series.find(s => s.type === first.kind)?.grouping || null,
+      holeSize: first.holeSize || null,
+      categories: (series.find(s => s.categories.length) || series[0]).categories,
+      valueFormat: valueAxes[0]?.formatCode || series[0].formatCode || null,
+      secondaryValueFormat: valueAxes[1]?.formatCode || null,
+      axes: {
+        category: categoryAxis ? { title: categoryAxis.title, hidden: categoryAxis.deleted } : null,
+        value: valueAxes[0] ? { title: valueAxes[0].title, hidden: valueAxes[0].deleted } : null
+      },
+      background: parseFill(child(space, 'spPr'), theme),
+      // Pie and doughnut slices cycle through the theme accents
+      palette: ACCENTS.map(accent => theme[accent]),
+      series
+    };
+  }
+
+  // chartEx text is either rich text or a cached formula value
+  function readChartExText(node) {
+    return readRichText(child(node, 'rich') || node) || descendant(node, 'v')?.text || null;
+  }
+
+  // Office 2016 chartEx parts hold waterfall, funnel, treemap and similar charts
+  function parseChartExXml(xml, theme = DEFAULT_THEME) {
+    const space = typeof xml === 'string' ? parseXml(xml) : xml;
+    const seriesNode = descendants(space, 'series').find(s => s.attrs.layoutId === 'waterfall');
+    if (!seriesNode) return null;
+
+    const dataId = val(child(seriesNode, 'dataId'));
+    const data = descendants(child(space, 'chartData'), 'data').find(d => d.attrs.id === dataId);
+    if (!data) return null;
+
+    const readDimension = dim => {
+      const level = child(dim, 'lvl');
+      const count = Number(level?.attrs.ptCount || 0);
+      const values = new Array(count).fill(null);
+      childrenNamed(level, 'pt').forEach(pt => {
+        values[Number(pt.attrs.idx)] = dim.name === 'numDim' ? Number(pt.text) : pt.text;
+      });
+      return { values, formatCode: level?.attrs.formatCode || null };
+    };
+
+    const categories = readDimension(childrenNamed(data, 'strDim')[0] || childrenNamed(data, 'numDim').find(d => d.attrs.type === 'cat'));
+    const values = readDimension(childrenNamed(data, 'numDim').find(d => d.attrs.type === 'val'));
+    const subtotals = descendants(child(seriesNode, 'layoutPr'), 'idx').map(idx => Number(val(idx)));
+    const chartNode = child(space, 'chart');
+
+    return {
+      type: 'waterfall',
+      title: readChartExText(path(chartNode, 'title', 'tx')),
+      legend: child(chartNode, 'legend') ? (child(chartNode, 'legend').attrs.pos || 'b') : null,
+      categories: categories.values,
+      valueFormat: values.formatCode,
+      background: parseFill(child(space, 'spPr'), theme),
+      subtotals,
+      colors: { increase: theme.accent1, decrease: theme.accent2, total: theme.accent3 },
+      series: [{
+        index: 0,
+        name: readChartExText(child(seriesNode, 'tx')) || 'Series1',
+        type: 'waterfall',
+        categories: categories.values,
+        values: values.values,
+        formatCode: values.formatCode,
+        color: theme.accent1,
+        pointColors: {},
+        axis: 'primary'
+      }]
+    };
+  }
+
+  function readMarker(node) {
+    if (!node) return null;
+    const number = name => Number(path(node, name)?.text || 0);
+    return { col: number('col'), colOff: number('colOff'), row: number('row'), rowOff: number('rowOff') };
+  }
+
+  // Anchor in the same terms ExcelJS uses for images: zero-based cells plus EMU offsets
+  function readAnchor(anchor) {
+    const ext = child(anchor, 'ext');
+    const size = ext ? { cx: Number(ext.attrs.cx || 0), cy: Number(ext.attrs.cy || 0) } : null;
+    if (anchor.name === 'absoluteAnchor') {
+      const pos = child(anchor, 'pos');
+      return { type: 'absolute', x: Number(pos?.attrs.x || 0), y: Number(pos?.attrs.y || 0), ext: size };
+    }
+    return {
+      type: anchor.name === 'oneCellAnchor' ? 'oneCell' : 'twoCell',
+      from: readMarker(child(anchor, 'from')),
+      to: readMarker(child(anchor, 'to')),
+      ext: size
+    };
+  }
+
+  async function readDrawingCharts(zip, drawingPath, theme) {
+    const xml = await readZipText(zip, drawingPath);
+    if (!xml) return [];
+
+    const rels = await readRelationships(zip, drawingPath);
+    const drawing = parseXml(xml);
+    const charts = [];
+    const anchors = drawing.children.filter(c => /^(twoCellAnchor|oneCellAnchor|absoluteAnchor)$/.test(c.name));
+
+    for (const anchor of anchors) {
+      // chartEx frames are wrapped in mc:AlternateContent; the first frame is the rich one
+      const frame = descendant(anchor, 'graphicFrame');
+      const reference = descendant(frame, 'chart');
+      const rel = reference && rels.get(reference.attrs.id);
+      if (!rel) continue;
+
+      try {
+        const chartXml = await readZipText(zip, rel.target);
+        if (!chartXml) continue;
+        const model = /chartEx$/i.test(rel.type) || rel.target.includes('chartEx')
+          ? parseChartExXml(chartXml, theme)
+          : parseChartXml(chartXml, theme);
+        if (!model) continue;
+
+        charts.push({
+          id: rel.target,
+          name: descendant(frame, 'cNvPr')?.attrs.name || null,
+          anchor: readAnchor(anchor),
+          ...model
+        });
+      } catch (error) {
+        console.warn(`[Charts] Could not read ${rel.target}:`, error);
+      }
+    }
+
+    return charts;
+  }
+
+  // Charts for every sheet, keyed by sheet name
+  async function extractCharts(arrayBuffer) {
+    const zip = readZip(arrayBuffer);
+    const workbookXml = await readZipText(zip, 'xl/workbook.xml');
+    if (!workbookXml) return {};
+
+    const theme = await readTheme(zip);
+    const workbookRels = await readRelationships(zip, 'xl/workbook.xml');
+    const sheets = descendants(parseXml(workbookXml), 'sheet');
+    const chartsBySheet = {};
+
+    for (const sheet of sheets) {
+      const sheetRel = workbookRels.get(sheet.attrs.id);
+      if (!sheetRel) continue;
+
+      const sheetRels = await readRelationships(zip, sheetRel.target);
+      const charts = [];
+      for (const rel of sheetRels.values()) {
+        if (/\/drawing$/.test(rel.type)) {
+          charts.push(...await readDrawingCharts(zip, rel.target, theme));
+        }
+      }
+      if (charts.length > 0) chartsBySheet[sheet.attrs.name] = charts;
+    }
+
+    return chartsBySheet;
+  }
+
+  return {
+    extractCharts,
+    parseChartXml,
+    parseChartExXml,
+    parseXml,
+    readZip,
+    readZipText
+  };
+});
@@ -25,6 +25,21 @@ try {
   });
 }
 
+// Load the formula engine used for what-if recalculation. The viewer still
+// works read-only without it.
+try {
+  self.importScripts('/formulaEngine.js');
+} catch (error) {
+  console.error('Failed to load formula engine:', error);
+}
+
+// Load the chart parser; without it sheets render without their charts
+try {
+  self.importScripts('/chartParser.js');
+} catch (error) {
+  console.error('Failed to load chart parser:', error);
+}
+
 // Memory monitoring
 function checkMemory() {
   if (self.performance && self.performance.memory) {
@@ -81,6 +96,15 @@ self.onmessage = async function(e) {
       case 'SEARCH_IN_SHEET':
         await searchInSheet(data, id);
         break;
+      case 'SET_CELL_VALUE':
+        setCellValue(data, id);
+        break;
+      case 'RESET_INPUTS':
+        resetInputs(data, id);
+        break;
+      case 'EXPORT_XLSX':
+        await exportRangeToXlsx(data, id);
+        break;
       case 'GET_MEMORY_INFO':
         checkMemory();
         break;
@@ -104,7 +128,7 @@ self.onmessage = async function(e) {
 
 async function loadWorkbook(data, id) {
   try {
-    const { arrayBuffer } = data;
+    const { arrayBuffer, inputCells } = data;
     // console.log('loadWorkbook called with ArrayBuffer size:', arrayBuffer.byteLength);
     
     // Check if ExcelJS is available
@@ -187,20 +211,29 @@ async function loadWorkbook(data, id) {
     //   });
     // }
     
+    // Store workbook and sheet mapping for later use
+    self.workbook = workbook;
+    self.worksheetMapping = finalWorksheets;
+    // Clear formula cache when loading new workbook
+    self.formulaCache = new Map();
+    setupFormulaEngine(workbook, inputCells);
+    self.chartsBySheet = await extractWorkbookCharts(arrayBuffer);
+    self.blurredRanges = getBlurredRanges(workbook);
+    
     self.postMessage({
       type: 'WORKBOOK_LOADED',
       data: {
         worksheets: finalWorksheets,
-        properties: workbook.properties || {}
+        properties: workbook.properties || {},
+        whatIf: {
+          // Preview copies carry values only, so there is nothing to recalculate
+          enabled: !!self.formulaEngine && self.formulaEngine.stats.formulas > 0,
+          formulas: self.formulaEngine?.stats.formulas || 0,
+          unsupported: self.formulaEngine?.stats.unsupported || 0
+        }
       },
       id: id
     });
-    
-    // Store workbook and sheet mapping for later use
-    self.workbook = workbook;
-    self.worksheetMapping = finalWorksheets;
-    // Clear formula cache when loading new workbook
-    self.formulaCache = new Map();
   } catch (error) {
     throw new Error(`Failed to load workbook: ${error.message}`);
   }
@@ -278,7 +311,9 @@ async function processSheet(data, id) {
     showGridLines: worksheet.views?.[0]?.showGridLines !== false,
     columnOutlines: [], // Store column grouping information
     rowOutlines: [], // Store row grouping information
-    images: [] // Store images with position and data
+    images: [], // Store images with position and data
+    charts: self.chartsBySheet?.[worksheet.name] || [], // Parsed from the package by chartParser.js
+    pageSetup: getPageSetup(worksheet) // Print area, paper and scaling used by PDF export
   };
   
   // console.log('Worksheet properties:', {
@@ -521,6 +556,22 @@ async function processSheet(data, id) {
               type: cell.type
             };
             
+            // Preview copies mark scrambled regions for ExcelSheet to blur
+            if (isBlurredCell(worksheet.name, rowNum, colNum)) {
+              cellData.redacted = true;
+            }
+            
+            // What-if: show recalculated results and flag editable inputs
+            if (self.formulaEngine) {
+              if (isWhatIfInput(worksheet.name, rowNum, colNum, cellStyle)) {
+                cellData.editable = true;
+              }
+              if (self.formulaEngine.isChanged(worksheet.name, rowNum, colNum)) {
+                cellData.value = self.formulaEngine.getValue(worksheet.name, rowNum, colNum);
+                cellData.recalculated = !cellData.editable;
+              }
+            }
+            
             // Fix for "Invalid Date" text in formula cells
             if (cell.text === 'Invalid Date' && cell.type === 6 && cell.formula) {
               // Don't use the invalid date text, rely on getCellValue instead
@@ -745,6 +796,10 @@ async function processSheet(data, id) {
     });
   }
   
+  // Conditional formatting is evaluated against what-if values when available
+  applyConditionalFormatting(worksheet, processedData.cells, { lastRow: actualLastRow, lastCol: actualLastCol });
+  processedData.hasConditionalFormatting = !!worksheet.conditionalFormattings?.length;
+  
   // Add spillover ranges to processed data
   processedData.spilloverRanges = spilloverRanges;
   
@@ -1859,6 +1914,10 @@ function clearCache() {
     // Clear workbook reference and mapping
     self.workbook = null;
     self.worksheetMapping = null;
+    self.formulaEngine = null;
+    self.whatIfInputs = null;
+    self.chartsBySheet = null;
+    self.blurredRanges = null;
     // Clear formula cache
     if (self.formulaCache) {
       self.formulaCache.clear();
@@ -1882,4 +1941,675 @@ function clearCache() {
   } catch (error) {
     console.error('Error clearing cache:', error);
   }
-}
\ No newline at end of file
+}
+// ---------------------------------------------------------------------------
+// Charts
+// ---------------------------------------------------------------------------
+
+// ExcelJS does not expose charts, so read them from the package itself. A
+// chart that cannot be parsed is left out rather than failing the load.
+async function extractWorkbookCharts(arrayBuffer) {
+  if (!self.ChartParser) return {};
+  try {
+    const chartsBySheet = await self.ChartParser.extractCharts(arrayBuffer);
+    const count = Object.values(chartsBySheet).reduce((total, charts) => total + charts.length, 0);
+    if (count > 0) console.log(`[Charts] Found ${count} charts`);
+    return chartsBySheet;
+  } catch (error) {
+    console.warn('[Charts] Could not read charts from the workbook:', error);
+    return {};
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Preview redaction
+// ---------------------------------------------------------------------------
+
+// Server-built previews (src/utils/previews.js) scramble the values in
+// "blur" regions and list those regions in this defined name
+const PREVIEW_BLUR_NAME = 'ZC_PREVIEW_BLUR';
+
+function getBlurredRanges(workbook) {
+  const entry = (workbook.definedNames?.model || []).find(({ name }) => name === PREVIEW_BLUR_NAME);
+  const bySheet = {};
+
+  (entry?.ranges || []).forEach(ref => {
+    const match = String(ref).match(/^(?:'((?:[^']|'')+)'|([^!]+))!(.+)$/);
+    if (!match) return;
+    const sheetName = match[1] ? match[1].replace(/''/g, "'") : match[2];
+    const [start, end = start] = match[3].replace(/\$/g, '').split(':');
+    const a = parseCellAddress(start);
+    const b = parseCellAddress(end);
+    (bySheet[sheetName] = bySheet[sheetName] || []).push({
+      r1: Math.min(a.row, b.row),
+      c1: Math.min(a.col, b.col),
+      r2: Math.max(a.row, b.row),
+      c2: Math.max(a.col, b.col)
+    });
+  });
+
+  return bySheet;
+}
+
+function isBlurredCell(sheetName, row, col) {
+  const areas = self.blurredRanges?.[sheetName];
+  return !!areas && areas.some(area => row >= area.r1 && row <= area.r2 && col >= area.c1 && col <= area.c2);
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Only the first print area is used when a sheet defines several
+function getPageSetup(worksheet) {
+  const setup = worksheet.pageSetup || {};
+  const margins = setup.margins || {};
+
+  return {
+    printArea: setup.printArea ? String(setup.printArea).split('&&')[0] : null,
+    printTitlesRow: setup.printTitlesRow || null,
+    orientation: setup.orientation === 'landscape' ? 'landscape' : 'portrait',
+    paperSize: setup.paperSize || null, // Unset means the printer default; exports use Letter
+    fitToPage: !!setup.fitToPage,
+    fitToWidth: setup.fitToWidth ?? 1,
+    fitToHeight: setup.fitToHeight ?? 1,
+    scale: setup.scale || 100,
+    horizontalCentered: !!setup.horizontalCentered,
+    printGridLines: !!setup.showGridLines,
+    margins: {
+      left: margins.left ?? 0.7,
+      right: margins.right ?? 0.7,
+      top: margins.top ?? 0.75,
+      bottom: margins.bottom ?? 0.75
+    }
+  };
+}
+
+// Copy a range into a fresh workbook as values. Formulas are dropped so the
+// export shows exactly what the viewer shows, including what-if results.
+async function exportRangeToXlsx(data, id) {
+  const { sheetIndex, range } = data;
+
+  if (!self.workbook) {
+    throw new Error('No workbook loaded');
+  }
+
+  const worksheet = self.workbook.worksheets[sheetIndex];
+  if (!worksheet) {
+    throw new Error(`Sheet at index ${sheetIndex} not found`);
+  }
+
+  const { startRow, startCol, endRow, endCol } = range;
+  const output = new self.ExcelJS.Workbook();
+  const target = output.addWorksheet(worksheet.name, {
+    views: [{ showGridLines: worksheet.views?.[0]?.showGridLines !== false }]
+  });
+
+  for (let col = startCol; col <= endCol; col++) {
+    const column = worksheet.getColumn(col);
+    if (column.width) target.getColumn(col - startCol + 1).width = column.width;
+  }
+
+  for (let row = startRow; row <= endRow; row++) {
+    const sourceRow = worksheet.getRow(row);
+    const targetRow = target.getRow(row - startRow + 1);
+    if (sourceRow.height) targetRow.height = sourceRow.height;
+
+    for (let col = startCol; col <= endCol; col++) {
+      const cell = sourceRow.getCell(col);
+      const targetCell = targetRow.getCell(col - startCol + 1);
+      const changed = self.formulaEngine?.isChanged(worksheet.name, row, col);
+      const value = changed ? self.formulaEngine.getValue(worksheet.name, row, col) : getCellValue(cell);
+
+      if (cell.type !== 1 && value !== null && value !== undefined && value !== '') {
+        targetCell.value = value;
+      }
+      if (cell.style && Object.keys(cell.style).length > 0) {
+        targetCell.style = JSON.parse(JSON.stringify(cell.style));
+      }
+    }
+  }
+
+  // Keep merges that sit entirely inside the exported range
+  (worksheet.model?.merges || []).forEach(merge => {
+    const [startCell, endCell] = merge.split(':');
+    const start = parseCellAddress(startCell);
+    const end = parseCellAddress(endCell || startCell);
+    if (start.row >= startRow && end.row <= endRow && start.col >= startCol && end.col <= endCol) {
+      target.mergeCells(
+        start.row - startRow + 1,
+        start.col - startCol + 1,
+        end.row - startRow + 1,
+        end.col - startCol + 1
+      );
+    }
+  });
+
+  const buffer = await output.xlsx.writeBuffer();
+  const arrayBuffer = buffer.buffer
+    ? buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    : buffer;
+
+  self.postMessage({
+    type: 'EXPORT_READY',
+    data: { buffer: arrayBuffer },
+    id: id
+  }, [arrayBuffer]);
+}
+
+// ---------------------------------------------------------------------------
+// What-if recalculation
+// ---------------------------------------------------------------------------
+
+// Snapshot every sheet into the formula engine. Inputs are either the cells
+// the viewer was given explicitly ("Sheet!B4") or, by default, typed-in
+// numbers styled with a blue font (the usual modelling convention) that at
+// least one formula reads.
+function setupFormulaEngine(workbook, inputCells) {
+  self.formulaEngine = null;
+  self.whatIfInputs = {
+    explicit: Array.isArray(inputCells) && inputCells.length > 0
+      ? new Set(inputCells.map(normalizeInputRef).filter(Boolean))
+      : null,
+    cache: new Map()
+  };
+
+  if (typeof self.FormulaEngine === 'undefined') return;
+
+  try {
+    const sheets = workbook.worksheets.map(worksheet => {
+      const cells = [];
+      worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+          // Merged cells repeat the master's value; only the master is real
+          if (cell.type === 1) return;
+          const isFormula = cell.type === 6 && !!cell.formula;
+          const hasResult = cell.result !== undefined && cell.result !== null;
+          cells.push({
+            row: rowNumber,
+            col: colNumber,
+            value: isFormula && !hasResult ? null : getCellValue(cell),
+            formula: isFormula ? cell.formula : null
+          });
+        });
+      });
+      return { name: worksheet.name, cells };
+    });
+
+    const definedNames = (workbook.definedNames?.model || []).map(({ name, ranges }) => ({ name, ranges }));
+
+    self.formulaEngine = self.FormulaEngine.createFormulaEngine({ sheets, definedNames });
+    if (self.formulaEngine.stats.uncached > 0) {
+      self.formulaEngine.recalculateAll();
+    }
+  } catch (error) {
+    console.error('[What-if] Failed to build formula engine:', error);
+    self.formulaEngine = null;
+  }
+}
+
+function normalizeInputRef(ref) {
+  const match = String(ref).match(/^(?:'((?:[^']|'')+)'|([^!]+))!\$?([A-Za-z]{1,3})\$?(\d+)$/);
+  if (!match) return null;
+  const sheet = (match[1] ? match[1].replace(/''/g, "'") : match[2]).toUpperCase();
+  return `${sheet}!${match[3].toUpperCase()}${match[4]}`;
+}
+
+// Blue-dominant font colours mark hard-coded inputs in most financial models
+function isInputFontColor(color) {
+  const hex = typeof color === 'string' ? color.replace('#', '') : '';
+  if (!/^[0-9a-f]{6}$/i.test(hex.slice(-6))) return false;
+  const value = hex.slice(-6);
+  const r = parseInt(value.slice(0, 2), 16);
+  const g = parseInt(value.slice(2, 4), 16);
+  const b = parseInt(value.slice(4, 6), 16);
+  return b >= 128 && b > r + 60 && b > g + 30;
+}
+
+function isWhatIfInput(sheetName, row, col, cellStyle) {
+  const inputs = self.whatIfInputs;
+  if (!self.formulaEngine || !inputs) return false;
+
+  const key = `${sheetName.toUpperCase()}!${getColumnName(col)}${row}`;
+  if (inputs.cache.has(key)) return inputs.cache.get(key);
+
+  const designated = inputs.explicit
+    ? inputs.explicit.has(key)
+    : isInputFontColor(cellStyle?.font?.color);
+  const editable = designated && self.formulaEngine.isInputCandidate(sheetName, row, col);
+
+  inputs.cache.set(key, editable);
+  return editable;
+}
+
+function toRecalculatedCells(changes) {
+  return changes.map(change => ({
+    sheetIndex: self.workbook.worksheets.findIndex(ws => ws.name === change.sheet),
+    sheetName: change.sheet,
+    row: change.row,
+    col: change.col,
+    value: change.value
+  }));
+}
+
+function setCellValue(data, id) {
+  const { sheetIndex, row, col, value } = data;
+
+  if (!self.workbook || !self.formulaEngine) {
+    throw new Error('What-if recalculation is not available for this workbook');
+  }
+
+  const worksheet = self.workbook.worksheets[sheetIndex];
+  if (!worksheet) {
+    throw new Error(`Sheet at index ${sheetIndex} not found`);
+  }
+
+  const cellStyle = extractCellStyle(worksheet.getCell(row, col));
+  if (!isWhatIfInput(worksheet.name, row, col, cellStyle)) {
+    throw new Error(`${worksheet.name}!${getColumnName(col)}${row} is not an editable input`);
+  }
+
+  const numeric = typeof value === 'number' ? value : Number(value);
+  if (!isFinite(numeric)) {
+    throw new Error('Inputs must be numbers');
+  }
+
+  const startTime = Date.now();
+  const changes = self.formulaEngine.setValue(worksheet.name, row, col, numeric);
+
+  self.postMessage({
+    type: 'CELLS_RECALCULATED',
+    data: {
+      changes: toRecalculatedCells(changes),
+      duration: Date.now() - startTime
+    },
+    id: id
+  });
+}
+
+function resetInputs(data, id) {
+  const changes = self.formulaEngine ? self.formulaEngine.reset() : [];
+
+  self.postMessage({
+    type: 'CELLS_RECALCULATED',
+    data: {
+      changes: self.workbook ? toRecalculatedCells(changes) : [],
+      duration: 0
+    },
+    id: id
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Conditional formatting
+// ---------------------------------------------------------------------------
+// Evaluates cellIs, expression, top/bottom, above-average, colour-scale,
+// data-bar and icon-set rules. Results are attached to each processed cell as
+// `cellData.conditional = { font, fill, dataBar, icon, hideValue }` and drawn by
+// ExcelSheet. Unsupported rule types are skipped so the cell keeps its own style.
+
+const CONDITIONAL_MAX_CELLS = 100000;
+const FORMULA_ERROR_CODES = /^#(NULL!|DIV\/0!|VALUE!|REF!|NAME\?|NUM!|N\/A|SPILL!|CALC!)$/;
+
+function parseConditionalRange(ref, bounds) {
+  return String(ref || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => {
+      const [start, end = start] = part.replace(/\$/g, '').split(':');
+      if (!/^[A-Z]+\d+$/.test(start) || !/^[A-Z]+\d+$/.test(end)) return null;
+      const a = parseCellAddress(start);
+      const b = parseCellAddress(end);
+      return {
+        r1: Math.min(a.row, b.row),
+        c1: Math.min(a.col, b.col),
+        r2: Math.min(Math.max(a.row, b.row), bounds.lastRow),
+        c2: Math.min(Math.max(a.col, b.col), bounds.lastCol)
+      };
+    })
+    .filter(Boolean);
+}
+
+// Rules in priority order; lower numbers win
+function getConditionalRules(worksheet, bounds) {
+  const rules = [];
+  (worksheet.conditionalFormattings || []).forEach(formatting => {
+    const areas = parseConditionalRange(formatting.ref, bounds);
+    if (areas.length === 0) return;
+    (formatting.rules || []).forEach(rule => {
+      rules.push({ rule, areas, anchor: { row: areas[0].r1, col: areas[0].c1 }, stats: null });
+    });
+  });
+  return rules.sort((a, b) => (a.rule.priority || 0) - (b.rule.priority || 0));
+}
+
+function getConditionalCellValue(worksheet, row, col) {
+  if (self.formulaEngine) {
+    const value = self.formulaEngine.getValue(worksheet.name, row, col);
+    if (value !== null && value !== undefined) return value;
+  }
+  const value = getCellValue(worksheet.getCell(row, col));
+  return value instanceof Date ? null : value;
+}
+
+// Numeric values of every cell a rule covers, sorted ascending
+function getRuleStatistics(worksheet, entry) {
+  if (entry.stats) return entry.stats;
+
+  const numbers = [];
+  let visited = 0;
+  entry.areas.forEach(area => {
+    for (let row = area.r1; row <= area.r2 && visited < CONDITIONAL_MAX_CELLS; row++) {
+      for (let col = area.c1; col <= area.c2 && visited < CONDITIONAL_MAX_CELLS; col++) {
+        visited++;
+        const value = getConditionalCellValue(worksheet, row, col);
+        if (typeof value === 'number' && isFinite(value)) numbers.push(value);
+      }
+    }
+  });
+  numbers.sort((a, b) => a - b);
+
+  const sum = numbers.reduce((total, value) => total + value, 0);
+  entry.stats = {
+    numbers,
+    min: numbers.length ? numbers[0] : 0,
+    max: numbers.length ? numbers[numbers.length - 1] : 0,
+    average: numbers.length ? sum / numbers.length : 0
+  };
+  return entry.stats;
+}
+
+function evaluateRuleFormula(worksheet, formula, row, col, anchor) {
+  if (formula === undefined || formula === null) return undefined;
+  if (self.formulaEngine) {
+    return self.formulaEngine.evaluate(worksheet.name, String(formula), {
+      row, col, anchorRow: anchor.row, anchorCol: anchor.col
+    });
+  }
+
+  // Without the engine only constant operands can be compared
+  const text = String(formula).trim();
+  if (/^-?\d*\.?\d+(e[+-]?\d+)?$/i.test(text)) return Number(text);
+  if (/^".*"$/.test(text)) return text.slice(1, -1).replace(/""/g, '"');
+  if (/^(TRUE|FALSE)$/i.test(text)) return text.toUpperCase() === 'TRUE';
+  return undefined;
+}
+
+// Excel ordering: numbers < text < booleans; text compares case-insensitively
+function compareConditionalValues(a, b) {
+  const rank = value => (typeof value === 'number' ? 0 : typeof value === 'string' ? 1 : 2);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (typeof a === 'string') return a.toLowerCase().localeCompare(b.toLowerCase());
+  return Number(a) - Number(b);
+}
+
+function isFormulaError(value) {
+  return typeof value === 'string' && FORMULA_ERROR_CODES.test(value);
+}
+
+function matchesCellIs(rule, value, operands) {
+  if (operands.length === 0 || operands.some(operand => operand === undefined || isFormulaError(operand))) return false;
+  if (isFormulaError(value)) return false;
+
+  // Blank cells compare as 0, as in Excel
+  const subject = value === null || value === undefined || value === '' ? 0 : value;
+  const [first, second = first] = operands;
+  const compare = operand => compareConditionalValues(subject, operand);
+
+  switch (rule.operator) {
+    case 'equal': return compare(first) === 0;
+    case 'notEqual': return compare(first) !== 0;
+    case 'greaterThan': return compare(first) > 0;
+    case 'lessThan': return compare(first) < 0;
+    case 'greaterThanOrEqual': return compare(first) >= 0;
+    case 'lessThanOrEqual': return compare(first) <= 0;
+    case 'between':
+    case 'notBetween': {
+      const [low, high] = compareConditionalValues(first, second) <= 0 ? [first, second] : [second, first];
+      const inside = compare(low) >= 0 && compare(high) <= 0;
+      return rule.operator === 'between' ? inside : !inside;
+    }
+    default: return false;
+  }
+}
+
+function matchesTopBottom(rule, value, stats) {
+  if (typeof value !== 'number' || stats.numbers.length === 0) return false;
+  const rank = rule.rank || 10;
+  const count = rule.percent
+    ? Math.max(1, Math.floor(stats.numbers.length * rank / 100))
+    : Math.min(rank, stats.numbers.length);
+  return rule.bottom
+    ? value <= stats.numbers[count - 1]
+    : value >= stats.numbers[stats.numbers.length - count];
+}
+
+function matchesAboveAverage(rule, value, stats) {
+  if (typeof value !== 'number' || stats.numbers.length === 0) return false;
+  if (rule.aboveAverage === false) {
+    return rule.equalAverage ? value <= stats.average : value < stats.average;
+  }
+  return rule.equalAverage ? value >= stats.average : value > stats.average;
+}
+
+function percentileOf(sorted, fraction) {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * Math.min(Math.max(fraction, 0), 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Threshold for a colour-scale, data-bar or icon-set value object
+function resolveCfvo(cfvo, stats, worksheet, row, col, anchor) {
+  const value = Number(cfvo?.value);
+  switch (cfvo?.type) {
+    case 'min':
+    case 'lowest':
+      return stats.min;
+    case 'max':
+    case 'highest':
+      return stats.max;
+    case 'autoMin':
+      return Math.min(0, stats.min);
+    case 'autoMax':
+      return Math.max(0, stats.max);
+    case 'percent':
+      return stats.min + (stats.max - stats.min) * value / 100;
+    case 'percentile':
+      return percentileOf(stats.numbers, value / 100);
+    case 'formula': {
+      const result = isFinite(value) ? value : evaluateRuleFormula(worksheet, cfvo.value, row, col, anchor);
+      return typeof result === 'number' ? result : null;
+    }
+    case 'num':
+    default:
+      return isFinite(value) ? value : null;
+  }
+}
+
+function hexToRgb(hex) {
+  const clean = String(hex || '').replace('#', '').slice(-6);
+  return [0, 2, 4].map(offset => parseInt(clean.substr(offset, 2), 16) || 0);
+}
+
+function interpolateColor(from, to, ratio) {
+  const a = hexToRgb(from);
+  const b = hexToRgb(to);
+  return '#' + a.map((channel, i) => Math.round(channel + (b[i] - channel) * ratio).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function conditionalColor(color) {
+  const resolved = resolveThemeColor(color);
+  return typeof resolved === 'string' ? resolved : null;
+}
+
+function colorScaleFill(rule, value, stats, worksheet, row, col, anchor) {
+  if (typeof value !== 'number') return null;
+  const scale = rule.cfvo || [];
+  const colors = (rule.color || []).map(conditionalColor);
+  if (scale.length < 2 || colors.length !== scale.length || colors.some(color => !color)) return null;
+
+  const thresholds = scale.map(cfvo => resolveCfvo(cfvo, stats, worksheet, row, col, anchor));
+  if (thresholds.some(threshold => threshold === null)) return null;
+
+  if (value <= thresholds[0]) return colors[0];
+  for (let i = 1; i < thresholds.length; i++) {
+    if (value <= thresholds[i]) {
+      const span = thresholds[i] - thresholds[i - 1];
+      return interpolateColor(colors[i - 1], colors[i], span > 0 ? (value - thresholds[i - 1]) / span : 1);
+    }
+  }
+  return colors[colors.length - 1];
+}
+
+// Bar geometry as fractions of the cell width; negative values grow left from the axis
+function dataBarFor(rule, value, stats, worksheet, row, col, anchor) {
+  if (typeof value !== 'number') return null;
+  const [minCfvo = { type: 'min' }, maxCfvo = { type: 'max' }] = rule.cfvo || [];
+  const low = resolveCfvo(minCfvo, stats, worksheet, row, col, anchor);
+  const high = resolveCfvo(maxCfvo, stats, worksheet, row, col, anchor);
+  if (low === null || high === null) return null;
+
+  const color = conditionalColor(rule.color) || '#638EC6';
+  const span = high - low;
+
+  if (low >= 0 || high <= 0) {
+    // Excel keeps a 10% stub for the smallest value and caps bars at 90%
+    const ratio = span > 0 ? Math.min(Math.max((value - low) / span, 0), 1) : 1;
+    const length = 0.1 + 0.8 * ratio;
+    return high <= 0
+      ? { color: '#FF0000', start: 1 - length, width: length, negative: true }
+      : { color, start: 0, width: length, negative: false };
+  }
+
+  const axis = -low / span;
+  const position = Math.min(Math.max((value - low) / span, 0), 1);
+  return value < 0
+    ? { color: '#FF0000', start: position, width: axis - position, negative: true, axis }
+    : { color, start: axis, width: position - axis, negative: false, axis };
+}
+
+function iconFor(rule, value, stats, worksheet, row, col, anchor) {
+  if (typeof value !== 'number') return null;
+  const set = rule.iconSet || '3TrafficLights1';
+  const count = parseInt(set, 10) || 3;
+  const thresholds = (rule.cfvo || []).slice(1, count);
+
+  let index = 0;
+  thresholds.forEach((cfvo, i) => {
+    const threshold = resolveCfvo(cfvo, stats, worksheet, row, col, anchor);
+    if (threshold !== null && (cfvo.gte === false ? value > threshold : value >= threshold)) index = i + 1;
+  });
+
+  return { set, count, index: rule.reverse ? count - 1 - index : index };
+}
+
+function dxfToConditionalStyle(style) {
+  const result = {};
+  if (style?.font) {
+    const font = {};
+    ['bold', 'italic', 'strike'].forEach(key => {
+      if (style.font[key] !== undefined) font[key] = style.font[key];
+    });
+    if (style.font.underline !== undefined) font.underline = style.font.underline;
+    const color = conditionalColor(style.font.color);
+    if (color) font.color = color;
+    if (Object.keys(font).length) result.font = font;
+  }
+  if (style?.fill) {
+    // Differential fills keep a solid colour in bgColor
+    const color = conditionalColor(style.fill.bgColor || style.fill.fgColor);
+    if (color) result.fill = color;
+  }
+  return result;
+}
+
+function applyConditionalFormatting(worksheet, cells, bounds) {
+  if (!worksheet.conditionalFormattings?.length || cells.length === 0) return;
+
+  let rules;
+  try {
+    rules = getConditionalRules(worksheet, bounds);
+  } catch (error) {
+    console.warn('[Conditional formatting] Could not read rules:', error);
+    return;
+  }
+  if (rules.length === 0) return;
+
+  cells.forEach(cellData => {
+    const { row, col } = cellData;
+    const applicable = rules.filter(entry =>
+      entry.areas.some(area => row >= area.r1 && row <= area.r2 && col >= area.c1 && col <= area.c2)
+    );
+    if (applicable.length === 0) return;
+
+    const value = getConditionalCellValue(worksheet, row, col);
+    const result = {};
+
+    for (const entry of applicable) {
+      const { rule, anchor } = entry;
+      let matched = false;
+
+      try {
+        switch (rule.type) {
+          case 'cellIs': {
+            const operands = (rule.formulae || []).map(formula => evaluateRuleFormula(worksheet, formula, row, col, anchor));
+            matched = matchesCellIs(rule, value, operands);
+            break;
+          }
+          case 'expression': {
+            const outcome = evaluateRuleFormula(worksheet, rule.formulae?.[0], row, col, anchor);
+            matched = outcome === true || (typeof outcome === 'number' && outcome !== 0);
+            break;
+          }
+          case 'top10':
+            matched = matchesTopBottom(rule, value, getRuleStatistics(worksheet, entry));
+            break;
+          case 'aboveAverage':
+            matched = matchesAboveAverage(rule, value, getRuleStatistics(worksheet, entry));
+            break;
+          case 'colorScale': {
+            const fill = result.fill ? null : colorScaleFill(rule, value, getRuleStatistics(worksheet, entry), worksheet, row, col, anchor);
+            if (fill) result.fill = fill;
+            continue;
+          }
+          case 'dataBar': {
+            if (!result.dataBar) {
+              const bar = dataBarFor(rule, value, getRuleStatistics(worksheet, entry), worksheet, row, col, anchor);
+              if (bar) result.dataBar = bar;
+            }
+            continue;
+          }
+          case 'iconSet': {
+            if (!result.icon) {
+              const icon = iconFor(rule, value, getRuleStatistics(worksheet, entry), worksheet, row, col, anchor);
+              if (icon) {
+                result.icon = icon;
+                if (rule.showValue === false) result.hideValue = true;
+              }
+            }
+            continue;
+          }
+          default:
+            continue; // containsText, timePeriod, duplicateValues etc. are not evaluated
+        }
+      } catch (error) {
+        console.warn(`[Conditional formatting] Rule ${rule.type} failed at ${getColumnName(col)}${row}:`, error);
+        continue;
+      }
+
+      if (!matched) continue;
+
+      // Higher-priority rules keep the properties they set
+      const style = dxfToConditionalStyle(rule.style);
+      if (style.font) result.font = { ...style.font, ...result.font };
+      if (style.fill && !result.fill) result.fill = style.fill;
+      if (rule.stopIfTrue) break;
+    }
+
+    if (Object.keys(result).length > 0) {
+      cellData.conditional = result;
+    }
+  });
+}
@@ -0,0 +1,1609 @@
+// Formula Engine for the Excel viewer worker
+// Parses cell formulas, tracks which cells depend on which, and recalculates
+// dependents when an input changes. Loaded by excelWorker.js via importScripts,
+// and requirable from Node so it can be unit tested.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FormulaEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MAX_ROW = 1048576;
+  const MAX_COL = 16384;
+  const ERROR_CODES = ['#NULL!', '#DIV/0!', '#VALUE!', '#REF!', '#NAME?', '#NUM!', '#N/A', '#SPILL!', '#CALC!'];
+  const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  // ---------------------------------------------------------------------------
+  // Values
+  // ---------------------------------------------------------------------------
+
+  function FormulaError(code) {
+    this.code = code;
+  }
+  FormulaError.prototype.toString = function () {
+    return this.code;
+  };
+
+  const ERRORS = {};
+  ERROR_CODES.forEach(code => {
+    ERRORS[code] = new FormulaError(code);
+  });
+  const DIV0 = ERRORS['#DIV/0!'];
+  const VALUE = ERRORS['#VALUE!'];
+  const REF = ERRORS['#REF!'];
+  const NAME = ERRORS['#NAME?'];
+  const NUM = ERRORS['#NUM!'];
+  const NA = ERRORS['#N/A'];
+
+  function isError(value) {
+    return value instanceof FormulaError;
+  }
+
+  // Raised for formulas the engine cannot evaluate; those cells keep the
+  // result Excel saved in the file
+  function UnsupportedFormula(reason) {
+    this.reason = reason;
+  }
+
+  // A rectangular reference into a sheet; resolved lazily so functions like
+  // INDEX and SUMIFS can work on the reference rather than copied values
+  function Range(sheet, r1, c1, r2, c2) {
+    this.sheet = sheet;
+    this.r1 = Math.min(r1, r2);
+    this.c1 = Math.min(c1, c2);
+    this.r2 = Math.max(r1, r2);
+    this.c2 = Math.max(c1, c2);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Addresses
+  // ---------------------------------------------------------------------------
+
+  function columnToNumber(letters) {
+    let n = 0;
+    for (let i = 0; i < letters.length; i++) {
+      n = n * 26 + (letters.toUpperCase().charCodeAt(i) - 64);
+    }
+    return n;
+  }
+
+  function numberToColumn(n) {
+    let letters = '';
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      letters = String.fromCharCode(65 + rem) + letters;
+      n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+  }
+
+  function cellKey(sheet, row, col) {
+    return `${sheet.toUpperCase()}!${row}:${col}`;
+  }
+
+  function unquoteSheet(name) {
+    if (name && name[0] === '\'') {
+      return name.slice(1, -1).replace(/''/g, '\'');
+    }
+    return name;
+  }
+
+  // Parses "A1", "$A$1", "A1:B2", "A:A" or "1:1" (without a sheet prefix).
+  // `fixed` records which edges are absolute ($) so relative references can
+  // be shifted when a rule formula is applied to other cells.
+  function parseArea(text) {
+    const cell = /^(\$?)([A-Za-z]{1,3})(\$?)(\d+)$/;
+    const [start, end = start] = text.split(':');
+    const a = start.match(cell);
+    const b = end.match(cell);
+    if (a && b) {
+      return {
+        r1: +a[4], c1: columnToNumber(a[2]), r2: +b[4], c2: columnToNumber(b[2]),
+        fixed: { r1: !!a[3], c1: !!a[1], r2: !!b[3], c2: !!b[1] }
+      };
+    }
+    const col = /^\$?([A-Za-z]{1,3})$/;
+    if (col.test(start) && col.test(end)) {
+      return {
+        r1: 1, c1: columnToNumber(start.replace('$', '')), r2: MAX_ROW, c2: columnToNumber(end.replace('$', '')),
+        fixed: { r1: true, c1: start.startsWith('$'), r2: true, c2: end.startsWith('$') }
+      };
+    }
+    const row = /^\$?(\d+)$/;
+    if (row.test(start) && row.test(end)) {
+      return {
+        r1: +start.replace('$', ''), c1: 1, r2: +end.replace('$', ''), c2: MAX_COL,
+        fixed: { r1: start.startsWith('$'), c1: true, r2: end.startsWith('$'), c2: true }
+      };
+    }
+    return null;
+  }
+
+  function shiftArea(area, shift) {
+    if (!shift || (!shift.rows && !shift.cols) || !area.fixed) return area;
+    const { fixed } = area;
+    const r1 = fixed.r1 ? area.r1 : area.r1 + shift.rows;
+    const c1 = fixed.c1 ? area.c1 : area.c1 + shift.cols;
+    const r2 = fixed.r2 ? area.r2 : area.r2 + shift.rows;
+    const c2 = fixed.c2 ? area.c2 : area.c2 + shift.cols;
+    if (r1 < 1 || c1 < 1 || r2 > MAX_ROW || c2 > MAX_COL) throw REF;
+    return { r1, c1, r2, c2 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tokenizer
+  // ---------------------------------------------------------------------------
+
+  const REF_PATTERN = /(?:('(?:[^']|'')+'|[A-Za-z0-9_.]+)!)?(\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?|\$?[A-Za-z]{1,3}:\$?[A-Za-z]{1,3}|\$?\d+:\$?\d+)(?![A-Za-z0-9_(.!])/y;
+  const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+  const NAME_PATTERN = /[A-Za-z_\\][A-Za-z0-9_.\\]*/y;
+  const OPERATORS = ['<=', '>=', '<>', '+', '-', '*', '/', '^', '&', '=', '<', '>', '%', ':'];
+
+  function tokenize(formula) {
+    const tokens = [];
+    let i = 0;
+
+    const matchAt = (pattern) => {
+      pattern.lastIndex = i;
+      const match = pattern.exec(formula);
+      return match && match.index === i ? match : null;
+    };
+
+    while (i < formula.length) {
+      const ch = formula[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (ch === '"') {
+        let value = '';
+        i++;
+        while (i < formula.length) {
+          if (formula[i] === '"') {
+            if (formula[i + 1] === '"') {
+              value += '"';
+              i += 2;
+              continue;
+            }
+            break;
+          }
+          value += formula[i++];
+        }
+        if (formula[i] !== '"') throw new UnsupportedFormula('Unterminated string');
+        i++;
+        tokens.push({ type: 'str', value });
+        continue;
+      }
+
+      if (ch === '#') {
+        const code = ERROR_CODES.find(c => formula.startsWith(c, i) || formula.toUpperCase().startsWith(c, i));
+        if (!code) throw new UnsupportedFormula(`Unknown error literal at ${i}`);
+        tokens.push({ type: 'err', value: ERRORS[code] });
+        i += code.length;
+        continue;
+      }
+
+      if (ch === '[' || ch === '{') {
+        // Structured table references and array constants are not supported
+        throw new UnsupportedFormula(ch === '[' ? 'Structured references' : 'Array constants');
+      }
+
+      const ref = matchAt(REF_PATTERN);
+      if (ref) {
+        const area = parseArea(ref[2]);
+        if (area) {
+          tokens.push({ type: 'ref', sheet: ref[1] ? unquoteSheet(ref[1]) : null, area });
+          i += ref[0].length;
+          continue;
+        }
+      }
+
+      if (ch === '\'') {
+        throw new UnsupportedFormula('Unsupported sheet reference');
+      }
+
+      const number = matchAt(NUMBER_PATTERN);
+      if (number) {
+        tokens.push({ type: 'num', value: parseFloat(number[0]) });
+        i += number[0].length;
+        continue;
+      }
+
+      const name = matchAt(NAME_PATTERN);
+      if (name) {
+        i += name[0].length;
+        if (formula[i] === '!') {
+          throw new UnsupportedFormula('Unsupported sheet reference');
+        }
+        const upper = name[0].toUpperCase();
+        if (formula[i] === '(') {
+          tokens.push({ type: 'func', value: upper.replace(/^_XLFN\.(_XLWS\.)?/, '') });
+        } else if (upper === 'TRUE' || upper === 'FALSE') {
+          tokens.push({ type: 'bool', value: upper === 'TRUE' });
+        } else {
+          tokens.push({ type: 'name', value: upper });
+        }
+        continue;
+      }
+
+      const op = OPERATORS.find(o => formula.startsWith(o, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op });
+        i += op.length;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')' || ch === ',' || ch === ';') {
+        tokens.push({ type: ch === ';' ? ',' : ch });
+        i++;
+        continue;
+      }
+
+      throw new UnsupportedFormula(`Unexpected character "${ch}"`);
+    }
+
+    return tokens;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Parser (precedence climbing, Excel operator order)
+  // ---------------------------------------------------------------------------
+
+  const BINARY_PRECEDENCE = {
+    '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1,
+    '&': 2,
+    '+': 3, '-': 3,
+    '*': 4, '/': 4,
+    '^': 5
+  };
+
+  function parseFormula(formula) {
+    const tokens = tokenize(formula.replace(/^=/, ''));
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (type) => {
+      const token = next();
+      if (!token || token.type !== type) throw new UnsupportedFormula(`Expected ${type}`);
+      return token;
+    };
+
+    function parseExpression(minPrecedence) {
+      let left = parseUnary();
+
+      for (;;) {
+        const token = peek();
+        if (!token || token.type !== 'op' || !(token.value in BINARY_PRECEDENCE)) break;
+        const precedence = BINARY_PRECEDENCE[token.value];
+        if (precedence < minPrecedence) break;
+        next();
+        const right = parseExpression(precedence + 1);
+        left = { type: 'binary', op: token.value, left, right };
+      }
+
+      return left;
+    }
+
+    // Negation binds tighter than ^ in Excel, so -2^2 is 4
+    function parseUnary() {
+      const token = peek();
+      if (token && token.type === 'op' && (token.value === '-' || token.value === '+')) {
+        next();
+        const arg = parseUnary();
+        return token.value === '-' ? { type: 'negate', arg } : arg;
+      }
+      return parsePostfix();
+    }
+
+    function parsePostfix() {
+      let node = parseRange();
+      while (peek() && peek().type === 'op' && peek().value === '%') {
+        next();
+        node = { type: 'percent', arg: node };
+      }
+      return node;
+    }
+
+    function parseRange() {
+      let node = parsePrimary();
+      while (peek() && peek().type === 'op' && peek().value === ':') {
+        next();
+        node = { type: 'range', left: node, right: parsePrimary() };
+      }
+      return node;
+    }
+
+    function parsePrimary() {
+      const token = next();
+      if (!token) throw new UnsupportedFormula('Unexpected end of formula');
+
+      switch (token.type) {
+        case 'num':
+        case 'str':
+        case 'bool':
+        case 'err':
+          return { type: 'literal', value: token.value };
+        case 'ref':
+          return { type: 'ref', sheet: token.sheet, area: token.area };
+        case 'name':
+          return { type: 'name', name: token.value };
+        case 'func': {
+          expect('(');
+          const args = [];
+          if (peek() && peek().type === ')') {
+            next();
+          } else {
+            for (;;) {
+              const t = peek();
+              args.push(t && (t.type === ',' || t.type === ')') ? { type: 'empty' } : parseExpression(1));
+              const sep = next();
+              if (!sep) throw new UnsupportedFormula('Unclosed function call');
+              if (sep.type === ')') break;
+              if (sep.type !== ',') throw new UnsupportedFormula('Expected , or )');
+            }
+          }
+          if (!FUNCTIONS[token.value]) throw new UnsupportedFormula(`Unsupported function ${token.value}`);
+          return { type: 'call', name: token.value, args };
+        }
+        case '(': {
+          const inner = parseExpression(1);
+          expect(')');
+          return inner;
+        }
+        default:
+          throw new UnsupportedFormula(`Unexpected token ${token.type}`);
+      }
+    }
+
+    const ast = parseExpression(1);
+    if (pos < tokens.length) throw new UnsupportedFormula('Unexpected trailing tokens');
+    return ast;
+  }
+
+  // Collect the areas a formula reads, for the dependency graph
+  function collectReferences(node, sheet, names, out) {
+    if (!node) return out;
+    switch (node.type) {
+      case 'ref':
+        out.push({ sheet: node.sheet || sheet, area: node.area });
+        break;
+      case 'name': {
+        const defined = names.get(node.name);
+        if (defined) out.push(defined);
+        break;
+      }
+      case 'binary':
+      case 'range':
+        collectReferences(node.left, sheet, names, out);
+        collectReferences(node.right, sheet, names, out);
+        break;
+      case 'negate':
+      case 'percent':
+        collectReferences(node.arg, sheet, names, out);
+        break;
+      case 'call':
+        node.args.forEach(arg => collectReferences(arg, sheet, names, out));
+        break;
+      default:
+        break;
+    }
+    return out;
+  }
+
+  function assertNamesDefined(node, names) {
+    if (!node) return;
+    if (node.type === 'name' && !names.has(node.name)) {
+      throw new UnsupportedFormula(`Unknown name ${node.name}`);
+    }
+    ['left', 'right', 'arg'].forEach(key => assertNamesDefined(node[key], names));
+    (node.args || []).forEach(arg => assertNamesDefined(arg, names));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Coercion helpers
+  // ---------------------------------------------------------------------------
+
+  function toNumber(value) {
+    if (isError(value)) throw value;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === null || value === undefined || value === '') return 0;
+    const parsed = Number(String(value).trim().replace(/,/g, '').replace(/%$/, ''));
+    if (String(value).trim() === '' || isNaN(parsed)) throw VALUE;
+    return /%$/.test(String(value).trim()) ? parsed / 100 : parsed;
+  }
+
+  function toText(value) {
+    if (isError(value)) throw value;
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') return String(parseFloat(value.toPrecision(15)));
+    return String(value);
+  }
+
+  function toBoolean(value) {
+    if (isError(value)) throw value;
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    if (value === null || value === undefined || value === '') return false;
+    const upper = String(value).toUpperCase();
+    if (upper === 'TRUE') return true;
+    if (upper === 'FALSE') return false;
+    throw VALUE;
+  }
+
+  function isArray(value) {
+    return Array.isArray(value);
+  }
+
+  function isRange(value) {
+    return value instanceof Range;
+  }
+
+  // Compare two scalars the way Excel does: numbers < text < booleans,
+  // text case-insensitively, blanks equal to 0, "" or FALSE
+  function compareValues(a, b) {
+    if (a === null || a === undefined) a = typeof b === 'string' ? '' : typeof b === 'boolean' ? false : 0;
+    if (b === null || b === undefined) b = typeof a === 'string' ? '' : typeof a === 'boolean' ? false : 0;
+    const rank = v => (typeof v === 'number' ? 0 : typeof v === 'string' ? 1 : 2);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (typeof a === 'string') {
+      const x = a.toLowerCase();
+      const y = b.toLowerCase();
+      return x < y ? -1 : x > y ? 1 : 0;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  function serialToDate(serial) {
+    return new Date(EXCEL_EPOCH + Math.floor(serial) * MS_PER_DAY);
+  }
+
+  function dateToSerial(date) {
+    return Math.round((date.getTime() - EXCEL_EPOCH) / MS_PER_DAY);
+  }
+
+  function roundTo(value, digits, mode) {
+    const factor = Math.pow(10, digits);
+    const shifted = parseFloat((Math.abs(value) * factor).toPrecision(15));
+    const rounded = mode === 'up' ? Math.ceil(shifted) : mode === 'down' ? Math.floor(shifted) : Math.round(shifted);
+    return Math.sign(value) * rounded / factor;
+  }
+
+  // Criteria strings like ">=5", "<>Closed", "North*" used by SUMIFS & co.
+  function compileCriteria(criteria) {
+    if (isError(criteria)) throw criteria;
+    if (typeof criteria === 'number' || typeof criteria === 'boolean') {
+      return value => value === criteria;
+    }
+
+    const text = criteria === null || criteria === undefined ? '' : String(criteria);
+    const match = text.match(/^(<=|>=|<>|=|<|>)?([\s\S]*)$/);
+    const op = match[1] || '=';
+    const operand = match[2];
+    const numeric = operand.trim() !== '' && !isNaN(Number(operand)) ? Number(operand) : null;
+
+    if (numeric !== null) {
+      return value => {
+        if (typeof value !== 'number') return op === '<>';
+        const cmp = value < numeric ? -1 : value > numeric ? 1 : 0;
+        return matchesComparison(op, cmp);
+      };
+    }
+
+    if (op === '=' || op === '<>') {
+      if (operand === '') {
+        return value => (value === null || value === undefined || value === '') === (op === '=');
+      }
+      const pattern = new RegExp(`^${operand.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/~\*/g, '\u0001').replace(/~\?/g, '\u0002').replace(/\*/g, '[\\s\\S]*').replace(/\?/g, '[\\s\\S]').replace(/\u0001/g, '\\*').replace(/\u0002/g, '\\?')}$`, 'i');
+      return value => {
+        const matches = typeof value === 'string' && pattern.test(value);
+        return op === '=' ? matches : !matches;
+      };
+    }
+
+    return value => typeof value === 'string' && matchesComparison(op, compareValues(value, operand));
+  }
+
+  function matchesComparison(op, cmp) {
+    switch (op) {
+      case '=': return cmp === 0;
+      case '<>': return cmp !== 0;
+      case '<': return cmp < 0;
+      case '>': return cmp > 0;
+      case '<=': return cmp <= 0;
+      case '>=': return cmp >= 0;
+      default: return false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Function library
+  // ---------------------------------------------------------------------------
+  // Each function receives evaluated arguments and the evaluation context.
+  // Functions listed in LAZY receive AST nodes instead, so they can skip or
+  // trap errors in branches that are not taken.
+
+  const LAZY = new Set(['IF', 'IFERROR', 'IFNA', 'IFS', 'ISERROR', 'ISERR', 'ISNA', 'CHOOSE', 'AND', 'OR', 'SWITCH']);
+
+  // Numbers from a mix of ranges and scalars: values typed directly into the
+  // call are coerced, text and booleans inside ranges are skipped
+  function collectNumbers(args, ctx) {
+    const numbers = [];
+    args.forEach(arg => {
+      if (isRange(arg) || isArray(arg)) {
+        ctx.values(arg).forEach(row => row.forEach(value => {
+          if (isError(value)) throw value;
+          if (typeof value === 'number') numbers.push(value);
+        }));
+      } else if (arg !== undefined) {
+        numbers.push(toNumber(arg));
+      }
+    });
+    return numbers;
+  }
+
+  function flattenValues(arg, ctx) {
+    if (isRange(arg) || isArray(arg)) {
+      return ctx.values(arg).reduce((all, row) => all.concat(row), []);
+    }
+    return [arg];
+  }
+
+  // Pairs of (range, criteria) shared by the *IFS family; returns the
+  // positions inside the first range that satisfy every pair
+  function matchingPositions(pairs, ctx) {
+    let positions = null;
+    for (let i = 0; i < pairs.length; i += 2) {
+      const values = ctx.values(pairs[i]);
+      const test = compileCriteria(ctx.scalar(pairs[i + 1]));
+      const matched = [];
+      values.forEach((row, r) => row.forEach((value, c) => {
+        if (test(value)) matched.push(`${r}:${c}`);
+      }));
+      positions = positions === null ? new Set(matched) : new Set(matched.filter(p => positions.has(p)));
+    }
+    return positions || new Set();
+  }
+
+  function valuesAt(range, positions, ctx) {
+    const values = ctx.values(range);
+    const picked = [];
+    positions.forEach(position => {
+      const [r, c] = position.split(':').map(Number);
+      const value = values[r] && values[r][c];
+      if (isError(value)) throw value;
+      if (typeof value === 'number') picked.push(value);
+    });
+    return picked;
+  }
+
+  function npv(rate, values) {
+    return values.reduce((total, value, i) => total + value / Math.pow(1 + rate, i + 1), 0);
+  }
+
+  function xnpv(rate, values, dates) {
+    return values.reduce((total, value, i) => total + value / Math.pow(1 + rate, (dates[i] - dates[0]) / 365), 0);
+  }
+
+  // Newton's method with a bisection fallback for IRR-style root finding
+  function solveRate(f, guess) {
+    let rate = guess;
+    for (let i = 0; i < 100; i++) {
+      const value = f(rate);
+      if (!isFinite(value)) break;
+      if (Math.abs(value) < 1e-10) return rate;
+      const h = Math.max(Math.abs(rate) * 1e-6, 1e-8);
+      const derivative = (f(rate + h) - value) / h;
+      if (!derivative || !isFinite(derivative)) break;
+      const nextRate = rate - value / derivative;
+      if (nextRate <= -1) break;
+      if (Math.abs(nextRate - rate) < 1e-12) return nextRate;
+      rate = nextRate;
+    }
+
+    let low = -0.9999;
+    let high = 10;
+    let fLow = f(low);
+    if (!isFinite(fLow) || fLow * f(high) > 0) throw NUM;
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      const fMid = f(mid);
+      if (Math.abs(fMid) < 1e-10 || (high - low) / 2 < 1e-12) return mid;
+      if (fMid * fLow < 0) {
+        high = mid;
+      } else {
+        low = mid;
+        fLow = fMid;
+      }
+    }
+    throw NUM;
+  }
+
+  function pmt(rate, nper, pv, fv, type) {
+    if (rate === 0) return -(pv + fv) / nper;
+    const factor = Math.pow(1 + rate, nper);
+    return -(rate * (pv * factor + fv)) / ((1 + rate * type) * (factor - 1));
+  }
+
+  function fvOf(rate, nper, payment, pv, type) {
+    if (rate === 0) return -(pv + payment * nper);
+    const factor = Math.pow(1 + rate, nper);
+    return -(pv * factor + payment * (1 + rate * type) * (factor - 1) / rate);
+  }
+
+  function interestPayment(rate, period, nper, pv, fv, type) {
+    const payment = pmt(rate, nper, pv, fv, type);
+    if (period === 1 && type === 1) return 0;
+    const balance = fvOf(rate, period - 1, payment, pv, type);
+    return type === 1 ? (balance - payment) * rate : balance * rate;
+  }
+
+  function optionalNumber(value, fallback) {
+    return value === undefined || value === null ? fallback : toNumber(value);
+  }
+
+  // Position of a value in a one-dimensional list, per MATCH's match_type
+  function findPosition(lookup, list, matchType) {
+    if (matchType === 0) {
+      const test = typeof lookup === 'string' ? compileCriteria(`=${lookup}`) : value => compareValues(value, lookup) === 0 && typeof value === typeof lookup;
+      return list.findIndex(value => test(value));
+    }
+
+    let found = -1;
+    for (let i = 0; i < list.length; i++) {
+      const value = list[i];
+      if (value === null || value === undefined || isError(value)) continue;
+      if (typeof value !== typeof lookup) continue;
+      const cmp = compareValues(value, lookup);
+      if (cmp === 0) return i;
+      if (matchType > 0 ? cmp < 0 : cmp > 0) {
+        found = i;
+      } else {
+        break;
+      }
+    }
+    return found;
+  }
+
+  function lineOf(arg, ctx) {
+    const values = ctx.values(arg);
+    if (values.length === 1) return values[0];
+    if (values.every(row => row.length === 1)) return values.map(row => row[0]);
+    throw NA;
+  }
+
+  // INDEX returns a reference so it can feed ranges like A1:INDEX(A:A, n)
+  function indexInto(arg, row, col, ctx) {
+    if (isRange(arg)) {
+      const height = arg.r2 - arg.r1 + 1;
+      const width = arg.c2 - arg.c1 + 1;
+      if (height === 1 && col === 0 && row > 0 && width > 1) {
+        col = row;
+        row = 1;
+      }
+      if (row > height || col > width || row < 0 || col < 0) throw REF;
+      if (row === 0 && col === 0) return arg;
+      if (row === 0) return new Range(arg.sheet, arg.r1, arg.c1 + col - 1, arg.r2, arg.c1 + col - 1);
+      if (col === 0) {
+        return width === 1
+          ? new Range(arg.sheet, arg.r1 + row - 1, arg.c1, arg.r1 + row - 1, arg.c1)
+          : new Range(arg.sheet, arg.r1 + row - 1, arg.c1, arg.r1 + row - 1, arg.c2);
+      }
+      return new Range(arg.sheet, arg.r1 + row - 1, arg.c1 + col - 1, arg.r1 + row - 1, arg.c1 + col - 1);
+    }
+
+    const values = ctx.values(arg);
+    const r = (values.length === 1 && col === 0 ? 1 : row) - 1;
+    const c = (values.length === 1 && col === 0 ? row : col || 1) - 1;
+    if (!values[r] || values[r][c] === undefined) throw REF;
+    return values[r][c];
+  }
+
+  const FUNCTIONS = {
+    // Math and aggregation
+    SUM: (args, ctx) => collectNumbers(args, ctx).reduce((a, b) => a + b, 0),
+    PRODUCT: (args, ctx) => collectNumbers(args, ctx).reduce((a, b) => a * b, 1),
+    AVERAGE: (args, ctx) => {
+      const numbers = collectNumbers(args, ctx);
+      if (numbers.length === 0) throw DIV0;
+      return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+    },
+    MIN: (args, ctx) => {
+      const numbers = collectNumbers(args, ctx);
+      return numbers.length ? Math.min.apply(null, numbers) : 0;
+    },
+    MAX: (args, ctx) => {
+      const numbers = collectNumbers(args, ctx);
+      return numbers.length ? Math.max.apply(null, numbers) : 0;
+    },
+    COUNT: (args, ctx) => args.reduce((count, arg) => count + flattenValues(arg, ctx).filter(v => typeof v === 'number').length, 0),
+    COUNTA: (args, ctx) => args.reduce((count, arg) => count + flattenValues(arg, ctx).filter(v => v !== null && v !== undefined && v !== '').length, 0),
+    COUNTBLANK: (args, ctx) => flattenValues(args[0], ctx).filter(v => v === null || v === undefined || v === '').length,
+    SUMPRODUCT: (args, ctx) => {
+      const arrays = args.map(arg => ctx.values(arg));
+      const rows = arrays[0].length;
+      const cols = arrays[0][0] ? arrays[0][0].length : 0;
+      if (arrays.some(a => a.length !== rows || (a[0] && a[0].length !== cols))) throw VALUE;
+      let total = 0;
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+          let product = 1;
+          for (const a of arrays) {
+            const value = a[r][c];
+            if (isError(value)) throw value;
+            product *= typeof value === 'number' ? value : 0;
+          }
+          total += product;
+        }
+      }
+      return total;
+    },
+    ROUND: (args, ctx) => roundTo(toNumber(ctx.scalar(args[0])), optionalNumber(ctx.scalar(args[1]), 0)),
+    ROUNDUP: (args, ctx) => roundTo(toNumber(ctx.scalar(args[0])), optionalNumber(ctx.scalar(args[1]), 0), 'up'),
+    ROUNDDOWN: (args, ctx) => roundTo(toNumber(ctx.scalar(args[0])), optionalNumber(ctx.scalar(args[1]), 0), 'down'),
+    INT: (args, ctx) => Math.floor(toNumber(ctx.scalar(args[0]))),
+    TRUNC: (args, ctx) => roundTo(toNumber(ctx.scalar(args[0])), optionalNumber(ctx.scalar(args[1]), 0), 'down'),
+    MOD: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      const d = toNumber(ctx.scalar(args[1]));
+      if (d === 0) throw DIV0;
+      return n - d * Math.floor(n / d);
+    },
+    ABS: (args, ctx) => Math.abs(toNumber(ctx.scalar(args[0]))),
+    SIGN: (args, ctx) => Math.sign(toNumber(ctx.scalar(args[0]))),
+    SQRT: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      if (n < 0) throw NUM;
+      return Math.sqrt(n);
+    },
+    POWER: (args, ctx) => Math.pow(toNumber(ctx.scalar(args[0])), toNumber(ctx.scalar(args[1]))),
+    EXP: (args, ctx) => Math.exp(toNumber(ctx.scalar(args[0]))),
+    LN: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      if (n <= 0) throw NUM;
+      return Math.log(n);
+    },
+    LOG: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      const base = optionalNumber(ctx.scalar(args[1]), 10);
+      if (n <= 0 || base <= 0) throw NUM;
+      return Math.log(n) / Math.log(base);
+    },
+    LOG10: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      if (n <= 0) throw NUM;
+      return Math.log10(n);
+    },
+    CEILING: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      const significance = optionalNumber(ctx.scalar(args[1]), 1);
+      return significance === 0 ? 0 : Math.ceil(n / significance) * significance;
+    },
+    FLOOR: (args, ctx) => {
+      const n = toNumber(ctx.scalar(args[0]));
+      const significance = optionalNumber(ctx.scalar(args[1]), 1);
+      if (significance === 0) throw DIV0;
+      return Math.floor(n / significance) * significance;
+    },
+
+    // Logic
+    IF: (nodes, ctx) => {
+      const condition = toBoolean(ctx.scalar(ctx.evaluate(nodes[0])));
+      if (condition) return nodes[1] ? ctx.evaluate(nodes[1]) : true;
+      return nodes[2] ? ctx.evaluate(nodes[2]) : false;
+    },
+    IFS: (nodes, ctx) => {
+      for (let i = 0; i < nodes.length; i += 2) {
+        if (toBoolean(ctx.scalar(ctx.evaluate(nodes[i])))) return ctx.evaluate(nodes[i + 1]);
+      }
+      throw NA;
+    },
+    SWITCH: (nodes, ctx) => {
+      const value = ctx.scalar(ctx.evaluate(nodes[0]));
+      for (let i = 1; i + 1 < nodes.length; i += 2) {
+        if (compareValues(value, ctx.scalar(ctx.evaluate(nodes[i]))) === 0) return ctx.evaluate(nodes[i + 1]);
+      }
+      if (nodes.length % 2 === 0) return ctx.evaluate(nodes[nodes.length - 1]);
+      throw NA;
+    },
+    IFERROR: (nodes, ctx) => {
+      try {
+        const value = ctx.scalar(ctx.evaluate(nodes[0]));
+        if (isError(value)) throw value;
+        return value;
+      } catch (error) {
+        if (!isError(error)) throw error;
+        return ctx.evaluate(nodes[1]);
+      }
+    },
+    IFNA: (nodes, ctx) => {
+      try {
+        const value = ctx.scalar(ctx.evaluate(nodes[0]));
+        if (value === NA) throw value;
+        return value;
+      } catch (error) {
+        if (error !== NA) throw error;
+        return ctx.evaluate(nodes[1]);
+      }
+    },
+    AND: (nodes, ctx) => nodes.every(node => {
+      const value = ctx.evaluate(node);
+      return isRange(value) || isArray(value)
+        ? flattenValues(value, ctx).filter(v => typeof v === 'number' || typeof v === 'boolean').every(toBoolean)
+        : toBoolean(value);
+    }),
+    OR: (nodes, ctx) => nodes.some(node => {
+      const value = ctx.evaluate(node);
+      return isRange(value) || isArray(value)
+        ? flattenValues(value, ctx).filter(v => typeof v === 'number' || typeof v === 'boolean').some(toBoolean)
+        : toBoolean(value);
+    }),
+    NOT: (args, ctx) => !toBoolean(ctx.scalar(args[0])),
+    TRUE: () => true,
+    FALSE: () => false,
+    CHOOSE: (nodes, ctx) => {
+      const index = Math.floor(toNumber(ctx.scalar(ctx.evaluate(nodes[0]))));
+      if (index < 1 || index >= nodes.length) throw VALUE;
+      return ctx.evaluate(nodes[index]);
+    },
+
+    // Information
+    ISERROR: (nodes, ctx) => {
+      try {
+        return isError(ctx.scalar(ctx.evaluate(nodes[0])));
+      } catch (error) {
+        if (!isError(error)) throw error;
+        return true;
+      }
+    },
+    ISERR: (nodes, ctx) => {
+      try {
+        const value = ctx.scalar(ctx.evaluate(nodes[0]));
+        return isError(value) && value !== NA;
+      } catch (error) {
+        if (!isError(error)) throw error;
+        return error !== NA;
+      }
+    },
+    ISNA: (nodes, ctx) => {
+      try {
+        return ctx.scalar(ctx.evaluate(nodes[0])) === NA;
+      } catch (error) {
+        if (!isError(error)) throw error;
+        return error === NA;
+      }
+    },
+    ISNUMBER: (args, ctx) => typeof ctx.scalar(args[0]) === 'number',
+    ISTEXT: (args, ctx) => typeof ctx.scalar(args[0]) === 'string',
+    ISBLANK: (args, ctx) => {
+      const value = ctx.scalar(args[0]);
+      return value === null || value === undefined;
+    },
+    NA: () => {
+      throw NA;
+    },
+
+    // Text
+    CONCATENATE: (args, ctx) => args.map(arg => toText(ctx.scalar(arg))).join(''),
+    CONCAT: (args, ctx) => args.map(arg => flattenValues(arg, ctx).map(toText).join('')).join(''),
+    LEFT: (args, ctx) => toText(ctx.scalar(args[0])).slice(0, optionalNumber(ctx.scalar(args[1]), 1)),
+    RIGHT: (args, ctx) => {
+      const text = toText(ctx.scalar(args[0]));
+      const count = optionalNumber(ctx.scalar(args[1]), 1);
+      return count === 0 ? '' : text.slice(-count);
+    },
+    MID: (args, ctx) => {
+      const start = toNumber(ctx.scalar(args[1]));
+      return toText(ctx.scalar(args[0])).substr(start - 1, toNumber(ctx.scalar(args[2])));
+    },
+    LEN: (args, ctx) => toText(ctx.scalar(args[0])).length,
+    UPPER: (args, ctx) => toText(ctx.scalar(args[0])).toUpperCase(),
+    LOWER: (args, ctx) => toText(ctx.scalar(args[0])).toLowerCase(),
+    TRIM: (args, ctx) => toText(ctx.scalar(args[0])).trim().replace(/ +/g, ' '),
+
+    // Dates (Excel serial numbers)
+    DATE: (args, ctx) => {
+      const year = toNumber(ctx.scalar(args[0]));
+      const month = toNumber(ctx.scalar(args[1]));
+      const day = toNumber(ctx.scalar(args[2]));
+      return dateToSerial(new Date(Date.UTC(year < 1900 ? year + 1900 : year, month - 1, day)));
+    },
+    YEAR: (args, ctx) => serialToDate(toNumber(ctx.scalar(args[0]))).getUTCFullYear(),
+    MONTH: (args, ctx) => serialToDate(toNumber(ctx.scalar(args[0]))).getUTCMonth() + 1,
+    DAY: (args, ctx) => serialToDate(toNumber(ctx.scalar(args[0]))).getUTCDate(),
+    EDATE: (args, ctx) => {
+      const date = serialToDate(toNumber(ctx.scalar(args[0])));
+      const months = Math.trunc(toNumber(ctx.scalar(args[1])));
+      const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+      const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+      target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+      return dateToSerial(target);
+    },
+    EOMONTH: (args, ctx) => {
+      const date = serialToDate(toNumber(ctx.scalar(args[0])));
+      const months = Math.trunc(toNumber(ctx.scalar(args[1])));
+      return dateToSerial(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months + 1, 0)));
+    },
+
+    // Conditional aggregation
+    SUMIF: (args, ctx) => {
+      const positions = matchingPositions([args[0], args[1]], ctx);
+      return valuesAt(args[2] !== undefined ? ctx.resize(args[2], args[0]) : args[0], positions, ctx).reduce((a, b) => a + b, 0);
+    },
+    SUMIFS: (args, ctx) => valuesAt(args[0], matchingPositions(args.slice(1), ctx), ctx).reduce((a, b) => a + b, 0),
+    COUNTIF: (args, ctx) => matchingPositions(args, ctx).size,
+    COUNTIFS: (args, ctx) => matchingPositions(args, ctx).size,
+    AVERAGEIF: (args, ctx) => {
+      const positions = matchingPositions([args[0], args[1]], ctx);
+      const values = valuesAt(args[2] !== undefined ? ctx.resize(args[2], args[0]) : args[0], positions, ctx);
+      if (values.length === 0) throw DIV0;
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    },
+    AVERAGEIFS: (args, ctx) => {
+      const values = valuesAt(args[0], matchingPositions(args.slice(1), ctx), ctx);
+      if (values.length === 0) throw DIV0;
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    },
+    MAXIFS: (args, ctx) => {
+      const values = valuesAt(args[0], matchingPositions(args.slice(1), ctx), ctx);
+      return values.length ? Math.max.apply(null, values) : 0;
+    },
+    MINIFS: (args, ctx) => {
+      const values = valuesAt(args[0], matchingPositions(args.slice(1), ctx), ctx);
+      return values.length ? Math.min.apply(null, values) : 0;
+    },
+
+    // Lookup and reference
+    INDEX: (args, ctx) => {
+      const row = optionalNumber(ctx.scalar(args[1]), 0);
+      const col = optionalNumber(ctx.scalar(args[2]), 0);
+      return indexInto(args[0], Math.floor(row), Math.floor(col), ctx);
+    },
+    MATCH: (args, ctx) => {
+      const lookup = ctx.scalar(args[0]);
+      if (isError(lookup)) throw lookup;
+      const position = findPosition(lookup, lineOf(args[1], ctx), optionalNumber(ctx.scalar(args[2]), 1));
+      if (position < 0) throw NA;
+      return position + 1;
+    },
+    VLOOKUP: (args, ctx) => {
+      const lookup = ctx.scalar(args[0]);
+      const table = ctx.values(args[1]);
+      const col = toNumber(ctx.scalar(args[2]));
+      const approximate = args[3] === undefined ? true : toBoolean(ctx.scalar(args[3]));
+      if (col < 1 || !table[0] || col > table[0].length) throw REF;
+      const position = findPosition(lookup, table.map(row => row[0]), approximate ? 1 : 0);
+      if (position < 0) throw NA;
+      return table[position][col - 1];
+    },
+    HLOOKUP: (args, ctx) => {
+      const lookup = ctx.scalar(args[0]);
+      const table = ctx.values(args[1]);
+      const row = toNumber(ctx.scalar(args[2]));
+      const approximate = args[3] === undefined ? true : toBoolean(ctx.scalar(args[3]));
+      if (row < 1 || row > table.length) throw REF;
+      const position = findPosition(lookup, table[0], approximate ? 1 : 0);
+      if (position < 0) throw NA;
+      return table[row - 1][position];
+    },
+    XLOOKUP: (args, ctx) => {
+      const lookup = ctx.scalar(args[0]);
+      const position = findPosition(lookup, lineOf(args[1], ctx), 0);
+      if (position < 0) {
+        if (args[3] !== undefined) return args[3];
+        throw NA;
+      }
+      const results = ctx.values(args[2]);
+      return results.length === 1 ? results[0][position] : results[position][0];
+    },
+    ROWS: (args, ctx) => ctx.values(args[0]).length,
+    COLUMNS: (args, ctx) => (ctx.values(args[0])[0] || []).length,
+    ROW: (args, ctx) => (isRange(args[0]) ? args[0].r1 : ctx.row),
+    COLUMN: (args, ctx) => (isRange(args[0]) ? args[0].c1 : ctx.col),
+
+    // Financial
+    NPV: (args, ctx) => npv(toNumber(ctx.scalar(args[0])), collectNumbers(args.slice(1), ctx)),
+    XNPV: (args, ctx) => {
+      const rate = toNumber(ctx.scalar(args[0]));
+      const values = collectNumbers([args[1]], ctx);
+      const dates = collectNumbers([args[2]], ctx);
+      if (values.length !== dates.length) throw NUM;
+      return xnpv(rate, values, dates);
+    },
+    IRR: (args, ctx) => {
+      const values = collectNumbers([args[0]], ctx);
+      if (!values.some(v => v > 0) || !values.some(v => v < 0)) throw NUM;
+      return solveRate(rate => values.reduce((total, value, i) => total + value / Math.pow(1 + rate, i), 0), optionalNumber(ctx.scalar(args[1]), 0.1));
+    },
+    XIRR: (args, ctx) => {
+      const values = collectNumbers([args[0]], ctx);
+      const dates = collectNumbers([args[1]], ctx).map(Math.floor);
+      if (values.length !== dates.length) throw NUM;
+      if (!values.some(v => v > 0) || !values.some(v => v < 0)) throw NUM;
+      return solveRate(rate => xnpv(rate, values, dates), optionalNumber(ctx.scalar(args[2]), 0.1));
+    },
+    PMT: (args, ctx) => pmt(
+      toNumber(ctx.scalar(args[0])),
+      toNumber(ctx.scalar(args[1])),
+      toNumber(ctx.scalar(args[2])),
+      optionalNumber(ctx.scalar(args[3]), 0),
+      optionalNumber(ctx.scalar(args[4]), 0)
+    ),
+    IPMT: (args, ctx) => interestPayment(
+      toNumber(ctx.scalar(args[0])),
+      toNumber(ctx.scalar(args[1])),
+      toNumber(ctx.scalar(args[2])),
+      toNumber(ctx.scalar(args[3])),
+      optionalNumber(ctx.scalar(args[4]), 0),
+      optionalNumber(ctx.scalar(args[5]), 0)
+    ),
+    PPMT: (args, ctx) => {
+      const rate = toNumber(ctx.scalar(args[0]));
+      const period = toNumber(ctx.scalar(args[1]));
+      const nper = toNumber(ctx.scalar(args[2]));
+      const pv = toNumber(ctx.scalar(args[3]));
+      const fv = optionalNumber(ctx.scalar(args[4]), 0);
+      const type = optionalNumber(ctx.scalar(args[5]), 0);
+      return pmt(rate, nper, pv, fv, type) - interestPayment(rate, period, nper, pv, fv, type);
+    },
+    PV: (args, ctx) => {
+      const rate = toNumber(ctx.scalar(args[0]));
+      const nper = toNumber(ctx.scalar(args[1]));
+      const payment = optionalNumber(ctx.scalar(args[2]), 0);
+      const fv = optionalNumber(ctx.scalar(args[3]), 0);
+      const type = optionalNumber(ctx.scalar(args[4]), 0);
+      if (rate === 0) return -(fv + payment * nper);
+      const factor = Math.pow(1 + rate, nper);
+      return -(fv + payment * (1 + rate * type) * (factor - 1) / rate) / factor;
+    },
+    FV: (args, ctx) => fvOf(
+      toNumber(ctx.scalar(args[0])),
+      toNumber(ctx.scalar(args[1])),
+      optionalNumber(ctx.scalar(args[2]), 0),
+      optionalNumber(ctx.scalar(args[3]), 0),
+      optionalNumber(ctx.scalar(args[4]), 0)
+    )
+  };
+
+  // ---------------------------------------------------------------------------
+  // Engine
+  // ---------------------------------------------------------------------------
+
+  function normalizeValue(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : dateToSerial(value);
+    if (value && typeof value === 'object' && value.error) return normalizeValue(value.error);
+    if (typeof value === 'string' && /^#+/.test(value)) {
+      const code = `#${value.replace(/^#+/, '')}`.toUpperCase();
+      if (ERRORS[code]) return ERRORS[code];
+    }
+    return value;
+  }
+
+  function sameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a === b || Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    return a === b;
+  }
+
+  /**
+   * Build an engine over a snapshot of the workbook.
+   * @param {Object} snapshot
+   * @param {Array<{name: string, cells: Array<{row, col, value, formula}>}>} snapshot.sheets
+   * @param {Array<{name: string, ranges: string[]}>} [snapshot.definedNames]
+   */
+  function createFormulaEngine({ sheets = [], definedNames = [] }) {
+    const sheetNames = new Map(); // upper-case name -> display name
+    const cells = new Map(); // cellKey -> { sheet, row, col, value, original, formula, ast, unsupported }
+    const extents = new Map(); // upper-case sheet -> { rows, cols }
+    const names = new Map(); // defined name -> { sheet, area }
+    const outsideFormulas = new Map(); // formula text -> parsed AST (null if unsupported)
+    const cellDependents = new Map(); // cellKey -> Set of formula cellKeys
+    const rangeDependents = new Map(); // upper-case sheet -> { byColumn: Map<col, [{ area, key }]>, wide: [] }
+    const stats = { formulas: 0, unsupported: 0, uncached: 0 };
+
+    sheets.forEach(sheet => {
+      sheetNames.set(sheet.name.toUpperCase(), sheet.name);
+      let rows = 0;
+      let cols = 0;
+      sheet.cells.forEach(cell => {
+        const value = normalizeValue(cell.value);
+        cells.set(cellKey(sheet.name, cell.row, cell.col), {
+          sheet: sheet.name,
+          row: cell.row,
+          col: cell.col,
+          value,
+          original: value,
+          formula: cell.formula || null
+        });
+        rows = Math.max(rows, cell.row);
+        cols = Math.max(cols, cell.col);
+      });
+      extents.set(sheet.name.toUpperCase(), { rows, cols });
+    });
+
+    definedNames.forEach(({ name, ranges = [] }) => {
+      // Only single-area names are supported; others make dependent formulas fall back
+      if (!name || ranges.length !== 1) return;
+      const match = String(ranges[0]).match(/^(?:('(?:[^']|'')+'|[^!]+)!)?(.+)$/);
+      const area = match && parseArea(match[2]);
+      if (area && match[1]) {
+        names.set(name.toUpperCase(), { sheet: unquoteSheet(match[1]), area });
+      }
+    });
+
+    // Parse every formula and register what it reads
+    cells.forEach((cell, key) => {
+      if (!cell.formula) return;
+      stats.formulas++;
+      if (cell.original === null) stats.uncached++;
+      try {
+        cell.ast = parseFormula(cell.formula);
+        assertNamesDefined(cell.ast, names);
+        collectReferences(cell.ast, cell.sheet, names, []).forEach(ref => {
+          const sheetKey = ref.sheet.toUpperCase();
+          if (!sheetNames.has(sheetKey)) throw new UnsupportedFormula(`Unknown sheet ${ref.sheet}`);
+          const { r1, c1, r2, c2 } = ref.area;
+          if (r1 === r2 && c1 === c2) {
+            const precedent = cellKey(ref.sheet, r1, c1);
+            if (!cellDependents.has(precedent)) cellDependents.set(precedent, new Set());
+            cellDependents.get(precedent).add(key);
+          } else {
+            addRangeDependent(sheetKey, ref.area, key);
+          }
+        });
+      } catch (error) {
+        if (!(error instanceof UnsupportedFormula)) throw error;
+        cell.unsupported = error.reason;
+        cell.ast = null;
+        stats.unsupported++;
+      }
+    });
+
+    // Ranges are indexed by column so a change only scans the ranges that
+    // could contain it; whole-row style ranges go into a short linear list
+    function addRangeDependent(sheetKey, area, key) {
+      if (!rangeDependents.has(sheetKey)) rangeDependents.set(sheetKey, { byColumn: new Map(), wide: [] });
+      const index = rangeDependents.get(sheetKey);
+      if (area.c2 - area.c1 > 256) {
+        index.wide.push({ area, key });
+        return;
+      }
+      for (let c = area.c1; c <= area.c2; c++) {
+        if (!index.byColumn.has(c)) index.byColumn.set(c, []);
+        index.byColumn.get(c).push({ area, key });
+      }
+    }
+
+    function dependentsOf(key) {
+      const cell = cells.get(key) || parseKey(key);
+      const found = new Set(cellDependents.get(key) || []);
+      const index = rangeDependents.get(cell.sheet.toUpperCase());
+      if (index) {
+        (index.byColumn.get(cell.col) || []).concat(index.wide).forEach(({ area, key: dependent }) => {
+          if (cell.row >= area.r1 && cell.row <= area.r2 && cell.col >= area.c1 && cell.col <= area.c2) {
+            found.add(dependent);
+          }
+        });
+      }
+      return found;
+    }
+
+    function parseKey(key) {
+      const bang = key.lastIndexOf('!');
+      const [row, col] = key.slice(bang + 1).split(':').map(Number);
+      return { sheet: sheetNames.get(key.slice(0, bang)) || key.slice(0, bang), row, col };
+    }
+
+    // Cells currently being recalculated, in dependency order, and the
+    // formulas being evaluated right now (the chain of reads in progress)
+    let dirty = new Set();
+    const evaluating = new Set();
+
+    function readCell(sheet, row, col) {
+      const key = cellKey(sheet, row, col);
+      const cell = cells.get(key);
+      if (!cell) return null;
+      // A formula that reads itself, directly or through others, is a
+      // circular reference; its cached value would be stale, so every cell
+      // in the cycle gets #REF! instead
+      if (evaluating.has(key)) throw REF;
+      if (dirty.has(key)) recalculate(key);
+      return cell.value;
+    }
+
+    function recalculate(key) {
+      const cell = cells.get(key);
+      dirty.delete(key);
+      if (!cell.ast || evaluating.has(key)) return;
+
+      evaluating.add(key);
+      try {
+        let value = evaluateNode(cell.ast, { sheet: cell.sheet, row: cell.row, col: cell.col });
+        value = toCellValue(value, cell);
+        cell.value = value;
+      } catch (error) {
+        if (isError(error)) {
+          cell.value = error;
+        } else if (error instanceof UnsupportedFormula) {
+          cell.unsupported = error.reason;
+        } else {
+          throw error;
+        }
+      } finally {
+        evaluating.delete(key);
+      }
+    }
+
+    function resolveSheet(name) {
+      const display = sheetNames.get(String(name).toUpperCase());
+      if (!display) throw REF;
+      return display;
+    }
+
+    // Bound whole-column/row references to the used area of the sheet
+    function clampRange(range) {
+      const extent = extents.get(range.sheet.toUpperCase()) || { rows: 0, cols: 0 };
+      return new Range(
+        range.sheet,
+        range.r1,
+        range.c1,
+        Math.min(range.r2, Math.max(extent.rows, range.r1)),
+        Math.min(range.c2, Math.max(extent.cols, range.c1))
+      );
+    }
+
+    function rangeValues(range) {
+      const bounded = clampRange(range);
+      const values = [];
+      for (let r = bounded.r1; r <= bounded.r2; r++) {
+        const row = [];
+        for (let c = bounded.c1; c <= bounded.c2; c++) {
+          row.push(readCell(bounded.sheet, r, c));
+        }
+        values.push(row);
+      }
+      return values;
+    }
+
+    function makeContext(position) {
+      const ctx = {
+        row: position.row,
+        col: position.col,
+        evaluate: node => evaluateNode(node, position),
+        values: value => {
+          if (isRange(value)) return rangeValues(value);
+          if (isArray(value)) return value;
+          return [[value]];
+        },
+        scalar: value => toScalar(value, position),
+        // SUMIF's sum_range takes the shape of the criteria range
+        resize: (range, like) => {
+          if (!isRange(range) || !isRange(like)) return range;
+          return new Range(range.sheet, range.r1, range.c1, range.r1 + (like.r2 - like.r1), range.c1 + (like.c2 - like.c1));
+        }
+      };
+      return ctx;
+    }
+
+    // Implicit intersection for ranges used where a single value is expected
+    function toScalar(value, position) {
+      if (isRange(value)) {
+        if (value.r1 === value.r2 && value.c1 === value.c2) {
+          return readCell(value.sheet, value.r1, value.c1);
+        }
+        if (value.sheet.toUpperCase() === position.sheet.toUpperCase()) {
+          if (value.c1 === value.c2 && position.row >= value.r1 && position.row <= value.r2) {
+            return readCell(value.sheet, position.row, value.c1);
+          }
+          if (value.r1 === value.r2 && position.col >= value.c1 && position.col <= value.c2) {
+            return readCell(value.sheet, value.r1, position.col);
+          }
+        }
+        throw VALUE;
+      }
+      if (isArray(value)) return value[0] && value[0][0];
+      return value;
+    }
+
+    function toCellValue(value, position) {
+      const scalar = toScalar(value, position);
+      if (isError(scalar)) throw scalar;
+      if (typeof scalar === 'number' && !isFinite(scalar)) throw NUM;
+      return scalar === undefined ? null : scalar;
+    }
+
+    // Element-wise application for array arithmetic such as (A1:A5="x")*B1:B5
+    function lift(left, right, position, op) {
+      const leftIsArea = isRange(left) || isArray(left);
+      const rightIsArea = isRange(right) || isArray(right);
+      if (!leftIsArea && !rightIsArea) return op(left, right);
+
+      const a = leftIsArea ? (isRange(left) ? rangeValues(left) : left) : [[left]];
+      const b = rightIsArea ? (isRange(right) ? rangeValues(right) : right) : [[right]];
+      const rows = Math.max(a.length, b.length);
+      const cols = Math.max(a[0].length, b[0].length);
+      const result = [];
+      for (let r = 0; r < rows; r++) {
+        const row = [];
+        for (let c = 0; c < cols; c++) {
+          const x = a.length === 1 ? a[0][a[0].length === 1 ? 0 : c] : a[r] && a[r][a[r].length === 1 ? 0 : c];
+          const y = b.length === 1 ? b[0][b[0].length === 1 ? 0 : c] : b[r] && b[r][b[r].length === 1 ? 0 : c];
+          try {
+            row.push(x === undefined || y === undefined ? NA : op(x, y));
+          } catch (error) {
+            if (!isError(error)) throw error;
+            row.push(error);
+          }
+        }
+        result.push(row);
+      }
+      return result;
+    }
+
+    const BINARY = {
+      '+': (a, b) => toNumber(a) + toNumber(b),
+      '-': (a, b) => toNumber(a) - toNumber(b),
+      '*': (a, b) => toNumber(a) * toNumber(b),
+      '/': (a, b) => {
+        const divisor = toNumber(b);
+        const dividend = toNumber(a);
+        if (divisor === 0) throw DIV0;
+        return dividend / divisor;
+      },
+      '^': (a, b) => {
+        const result = Math.pow(toNumber(a), toNumber(b));
+        if (!isFinite(result) || isNaN(result)) throw NUM;
+        return result;
+      },
+      '&': (a, b) => toText(a) + toText(b),
+      '=': (a, b) => compareScalars(a, b) === 0,
+      '<>': (a, b) => compareScalars(a, b) !== 0,
+      '<': (a, b) => compareScalars(a, b) < 0,
+      '>': (a, b) => compareScalars(a, b) > 0,
+      '<=': (a, b) => compareScalars(a, b) <= 0,
+      '>=': (a, b) => compareScalars(a, b) >= 0
+    };
+
+    function compareScalars(a, b) {
+      if (isError(a)) throw a;
+      if (isError(b)) throw b;
+      return compareValues(a, b);
+    }
+
+    function evaluateNode(node, position) {
+      switch (node.type) {
+        case 'literal':
+          if (isError(node.value)) throw node.value;
+          return node.value;
+        case 'empty':
+          return undefined;
+        case 'ref': {
+          const { r1, c1, r2, c2 } = shiftArea(node.area, position.shift);
+          return new Range(resolveSheet(node.sheet || position.sheet), r1, c1, r2, c2);
+        }
+        case 'name': {
+          const defined = names.get(node.name);
+          if (!defined) throw NAME;
+          const { r1, c1, r2, c2 } = defined.area;
+          return new Range(resolveSheet(defined.sheet), r1, c1, r2, c2);
+        }
+        case 'range': {
+          const left = evaluateNode(node.left, position);
+          const right = evaluateNode(node.right, position);
+          if (!isRange(left) || !isRange(right) || left.sheet !== right.sheet) throw VALUE;
+          return new Range(left.sheet, Math.min(left.r1, right.r1), Math.min(left.c1, right.c1), Math.max(left.r2, right.r2), Math.max(left.c2, right.c2));
+        }
+        case 'negate': {
+          const value = evaluateNode(node.arg, position);
+          return isRange(value) || isArray(value) ? lift(value, -1, position, (a, b) => toNumber(a) * b) : -toNumber(toScalar(value, position));
+        }
+        case 'percent': {
+          const value = evaluateNode(node.arg, position);
+          return isRange(value) || isArray(value) ? lift(value, 100, position, (a, b) => toNumber(a) / b) : toNumber(toScalar(value, position)) / 100;
+        }
+        case 'binary': {
+          const left = evaluateNode(node.left, position);
+          const right = evaluateNode(node.right, position);
+          const op = BINARY[node.op];
+          if (isArray(left) || isArray(right) || position.arrayContext) {
+            return lift(left, right, position, op);
+          }
+          return op(toScalar(left, position), toScalar(right, position));
+        }
+        case 'call': {
+          const fn = FUNCTIONS[node.name];
+          // Array-style arguments (e.g. SUMPRODUCT((A1:A3>0)*B1:B3)) are
+          // evaluated element-wise rather than by implicit intersection
+          const argPosition = ARRAY_FUNCTIONS.has(node.name) ? Object.assign({}, position, { arrayContext: true }) : position;
+          const ctx = makeContext(argPosition);
+          if (LAZY.has(node.name)) return fn(node.args, ctx);
+          const args = node.args.map(arg => (arg.type === 'empty' ? undefined : evaluateNode(arg, argPosition)));
+          return fn(args, ctx);
+        }
+        default:
+          throw new UnsupportedFormula(`Unknown node ${node.type}`);
+      }
+    }
+
+    const ARRAY_FUNCTIONS = new Set(['SUMPRODUCT']);
+
+    // Order the cells affected by a change so precedents are computed first
+    // (reverse post-order of an iterative depth-first walk over dependents)
+    function affectedCells(startKeys) {
+      const visited = new Set();
+      const order = [];
+      startKeys.forEach(start => {
+        const stack = [[start, Array.from(dependentsOf(start))]];
+        visited.add(start);
+        while (stack.length) {
+          const frame = stack[stack.length - 1];
+          const next = frame[1].pop();
+          if (next === undefined) {
+            order.push(frame[0]);
+            stack.pop();
+          } else if (!visited.has(next)) {
+            visited.add(next);
+            stack.push([next, Array.from(dependentsOf(next))]);
+          }
+        }
+      });
+      return order.reverse();
+    }
+
+    function recalculateFrom(startKeys) {
+      const order = affectedCells(startKeys).filter(key => cells.has(key) && cells.get(key).ast);
+      const before = new Map(order.map(key => [key, cells.get(key).value]));
+
+      dirty = new Set(order);
+      order.forEach(key => {
+        if (dirty.has(key)) recalculate(key);
+      });
+      dirty = new Set();
+
+      const changes = [];
+      order.forEach(key => {
+        const cell = cells.get(key);
+        if (!sameValue(before.get(key), cell.value)) changes.push(describe(cell));
+      });
+      return changes;
+    }
+
+    function describe(cell) {
+      return { sheet: cell.sheet, row: cell.row, col: cell.col, value: displayValue(cell.value) };
+    }
+
+    function displayValue(value) {
+      return isError(value) ? value.code : value;
+    }
+
+    return {
+      stats,
+
+      /**
+       * Whether a cell holds a typed-in number that at least one formula reads
+       */
+      isInputCandidate(sheet, row, col) {
+        const key = cellKey(sheet, row, col);
+        const cell = cells.get(key);
+        return !!cell && !cell.formula && typeof cell.original === 'number' && dependentsOf(key).size > 0;
+      },
+
+      getValue(sheet, row, col) {
+        const cell = cells.get(cellKey(sheet, row, col));
+        return cell ? displayValue(cell.value) : null;
+      },
+
+      isChanged(sheet, row, col) {
+        const cell = cells.get(cellKey(sheet, row, col));
+        return !!cell && !sameValue(cell.value, cell.original);
+      },
+
+      /**
+       * Change an input and recalculate everything that depends on it
+       * @returns {Array<{sheet, row, col, value}>} cells whose value changed
+       */
+      setValue(sheet, row, col, value) {
+        const key = cellKey(sheet, row, col);
+        let cell = cells.get(key);
+        if (cell && cell.formula) throw new Error(`${sheet}!${numberToColumn(col)}${row} is a formula cell`);
+        if (!cell) {
+          cell = { sheet: sheetNames.get(sheet.toUpperCase()) || sheet, row, col, value: null, original: null, formula: null };
+          cells.set(key, cell);
+        }
+
+        const next = normalizeValue(value);
+        if (sameValue(cell.value, next)) return [];
+        cell.value = next;
+        return [describe(cell)].concat(recalculateFrom([key]));
+      },
+
+      /**
+       * Recalculate every formula, for files saved without cached results.
+       * The recalculated values become the baseline that reset() restores.
+       */
+      recalculateAll() {
+        const keys = [];
+        cells.forEach((cell, key) => {
+          if (cell.ast) keys.push(key);
+        });
+        dirty = new Set(keys);
+        keys.forEach(key => {
+          if (dirty.has(key)) recalculate(key);
+        });
+        dirty = new Set();
+        cells.forEach(cell => {
+          if (cell.formula) cell.original = cell.value;
+        });
+      },
+
+      /**
+       * Restore every edited input and the results saved in the file
+       * @returns {Array<{sheet, row, col, value}>} cells whose value changed
+       */
+      reset() {
+        const changes = [];
+        cells.forEach(cell => {
+          if (cell.value !== cell.original) {
+            cell.value = cell.original;
+            changes.push(describe(cell));
+          }
+        });
+        return changes;
+      },
+
+      /**
+       * Evaluate a formula that lives outside the grid, such as a conditional
+       * formatting rule. Relative references are written for the anchor cell
+       * and shift to (row, col), as Excel applies them across a range.
+       * @returns {*} the value, an error code such as '#DIV/0!', or undefined if unsupported
+       */
+      evaluate(sheet, formula, { row, col, anchorRow = row, anchorCol = col }) {
+        let ast = outsideFormulas.get(formula);
+        if (ast === undefined) {
+          try {
+            ast = parseFormula(String(formula));
+          } catch (error) {
+            if (!(error instanceof UnsupportedFormula)) throw error;
+            ast = null;
+          }
+          outsideFormulas.set(formula, ast);
+        }
+        if (!ast) return undefined;
+
+        try {
+          const position = { sheet: resolveSheet(sheet), row, col, shift: { rows: row - anchorRow, cols: col - anchorCol } };
+          return displayValue(toScalar(evaluateNode(ast, position), position));
+        } catch (error) {
+          if (isError(error)) return error.code;
+          if (error instanceof UnsupportedFormula) return undefined;
+          throw error;
+        }
+      },
+
+      unsupportedCells() {
+        const list = [];
+        cells.forEach(cell => {
+          if (cell.unsupported) list.push({ sheet: cell.sheet, row: cell.row, col: cell.col, reason: cell.unsupported });
+        });
+        return list;
+      }
+    };
+  }
+
+  return {
+    createFormulaEngine,
+    parseFormula,
+    columnToNumber,
+    numberToColumn,
+    FUNCTIONS
+  };
+});
@@ -148,8 +148,10 @@ function setupProduction() {
     console.log('   - checkout.session.completed');
     console.log('   - payment_intent.succeeded');
     console.log('   - payment_intent.failed');
-    console.log('   - customer.subscription.created (if using subscriptions)');
-    console.log('   - customer.subscription.deleted (if using subscriptions)');
+    console.log('   - customer.subscription.* (all-access subscriptions)');
+    console.log('   - invoice.paid, invoice.payment_failed, invoice.payment_action_required');
+    console.log('   - checkout.session.expired, charge.refunded');
+    console.log('   - charge.dispute.created, charge.dispute.closed');
     console.log('5. Click "Add endpoint"');
     console.log('6. Copy the signing secret\n');
     
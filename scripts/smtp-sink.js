@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Local SMTP stand-in. Accepts every message, keeps it in memory and
+ * prints a summary instead of delivering it, so newsletter sends can be
+ * tried and tested without a real mail server.
+ *
+ * Run with: npm run smtp:sink (listens on SMTP_PORT, default 2525)
+ * Then start the app with SMTP_HOST=localhost SMTP_PORT=2525 and no
+ * SENDGRID_API_KEY.
+ *
+ * Tests start one on a free port with startSmtpSink({ port: 0 }).
+ */
+
+const net = require('net');
+
+const MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+
+// Header names are lower-cased; folded lines are joined
+function parseMessage(raw) {
+  const split = raw.indexOf('\r\n\r\n');
+  const head = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split + 4);
+
+  const headers = {};
+  head.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+
+  return { headers, body };
+}
+
+function handleConnection(socket, onMessage) {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null; // lines of the message while in DATA
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 localhost ZenCap SMTP sink ready');
+
+  const handleCommand = line => {
+    const command = line.slice(0, 4).toUpperCase();
+    const argument = line.slice(4).trim();
+
+    switch (command) {
+      case 'EHLO':
+        reply('250-localhost');
+        reply('250-8BITMIME');
+        reply('250-SMTPUTF8');
+        return reply(`250 SIZE ${MAX_MESSAGE_BYTES}`);
+      case 'HELO':
+        return reply('250 localhost');
+      case 'MAIL':
+        envelope = { from: argument.replace(/^FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0], to: [] };
+        return reply('250 OK');
+      case 'RCPT':
+        envelope.to.push(argument.replace(/^TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]);
+        return reply('250 OK');
+      case 'DATA':
+        if (!envelope.to.length) return reply('503 No recipients');
+        data = [];
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        return reply('250 OK');
+      case 'NOOP':
+        return reply('250 OK');
+      case 'QUIT':
+        reply('221 Bye');
+        return socket.end();
+      default:
+        return reply('502 Command not implemented');
+    }
+  };
+
+  const handleDataLine = line => {
+    if (line !== '.') {
+      // Undo dot-stuffing (RFC 5321 4.5.2)
+      data.push(line.startsWith('.') ? line.slice(1) : line);
+      return;
+    }
+
+    const raw = data.join('\r\n');
+    data = null;
+    const message = { ...envelope, raw, ...parseMessage(raw), receivedAt: new Date() };
+    envelope = { from: null, to: [] };
+    onMessage(message);
+    reply('250 OK: queued');
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (data) {
+        handleDataLine(line);
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+/**
+ * Start a sink
+ * @param {Object} [options]
+ * @param {number} [options.port=2525] - 0 picks a free port
+ * @param {Function} [options.onMessage] - Called with each message received
+ * @returns {Promise<{ port: number, messages: Array, close: Function }>}
+ */
+function startSmtpSink({ port = 2525, host = '127.0.0.1', onMessage = () => {} } = {}) {
+  const messages = [];
+  const server = net.createServer(socket => handleConnection(socket, message => {
+    messages.push(message);
+    onMessage(message);
+  }));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpSink, parseMessage };
+
+if (require.main === module) {
+  startSmtpSink({
+    port: parseInt(process.env.SMTP_PORT) || 2525,
+    onMessage: message => {
+      console.log('\n=== SMTP SINK RECEIVED ===');
+      console.log(`From: ${message.from}`);
+      console.log(`To: ${message.to.join(', ')}`);
+      console.log(`Subject: ${message.headers.subject || ''}`);
+      if (message.headers['list-unsubscribe']) {
+        console.log(`List-Unsubscribe: ${message.headers['list-unsubscribe']}`);
+      }
+      console.log(`Size: ${message.raw.length} bytes`);
+      console.log('==========================');
+    }
+  }).then(sink => {
+    console.log(`SMTP sink listening on localhost:${sink.port}`);
+  }).catch(error => {
+    console.error('Failed to start SMTP sink:', error.message);
+    process.exit(1);
+  });
+}
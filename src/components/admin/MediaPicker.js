@@ -0,0 +1,267 @@
+// src/components/admin/MediaPicker.js - Choose, upload and describe media library images
+import { useCallback, useEffect, useState } from 'react';
+import { MAX_MEDIA_BYTES, MEDIA_MIME_TYPES, pickVariant } from '@/config/media';
+
+const THUMBNAIL_WIDTH = 320;
+
+const FIELD_LABELS = {
+  cover_image_url: 'cover image',
+  thumbnail_url: 'thumbnail',
+  content: 'article'
+};
+
+/**
+ * A "Library" button that opens the media library below the field it
+ * belongs to. Choosing an image calls onSelect with its URL.
+ */
+export default function MediaPicker({ value, onSelect, buttonLabel = 'Library' }) {
+  const [open, setOpen] = useState(false);
+  const [media, setMedia] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [details, setDetails] = useState({ alt_text: '', caption: '' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchMedia = useCallback(async (query = '') => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch(`/api/media?search=${encodeURIComponent(query)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load media');
+      setMedia(data.media);
+      setTotal(data.total);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) fetchMedia();
+  }, [open, fetchMedia]);
+
+  const selectAsset = async (asset) => {
+    setSelected({ ...asset, references: null });
+    setDetails({ alt_text: asset.alt_text || '', caption: asset.caption || '' });
+    try {
+      const res = await fetch(`/api/media/${asset.id}`);
+      if (res.ok) setSelected(await res.json());
+    } catch (err) {
+      console.error('Failed to load media references:', err);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_MEDIA_BYTES) {
+      setError(`Images can be up to ${Math.round(MAX_MEDIA_BYTES / 1024 / 1024)}MB`);
+      return;
+    }
+
+    setUploading(true);
+    setError('');
+    try {
+      const body = new FormData();
+      body.append('file', file);
+      const res = await fetch('/api/media', { method: 'POST', body });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Upload failed');
+      await fetchMedia(search);
+      await selectAsset(data.media);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const saveDetails = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await fetch(`/api/media/${selected.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(details)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      setSelected(s => ({ ...s, ...data }));
+      setMedia(list => list.map(asset => (asset.id === data.id ? { ...asset, ...data } : asset)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteAsset = async () => {
+    if (!confirm('Delete this image from the library?')) return;
+    setError('');
+    try {
+      const res = await fetch(`/api/media/${selected.id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Failed to delete');
+      }
+      setSelected(null);
+      await fetchMedia(search);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const choose = () => {
+    onSelect(selected.url);
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className="bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 px-2 py-1 rounded hover:bg-gray-300 dark:hover:bg-navy-600 text-xs whitespace-nowrap"
+        onClick={() => setOpen(o => !o)}
+      >
+        {open ? 'Close' : buttonLabel}
+      </button>
+
+      {open && (
+        <div className="basis-full mt-2 p-4 rounded border border-gray-200 dark:border-navy-600 bg-white dark:bg-navy-800 space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="search"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter') { e.preventDefault(); fetchMedia(search); } }}
+              placeholder="Search filename, alt text or caption"
+              aria-label="Search media"
+              className="flex-1 min-w-0 px-3 py-1 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+            />
+            <button type="button" onClick={() => fetchMedia(search)} className="bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 px-3 py-1 rounded text-sm">
+              Search
+            </button>
+            <label className={`bg-teal-600 hover:bg-teal-700 text-white px-3 py-1 rounded text-sm cursor-pointer ${uploading ? 'opacity-50' : ''}`}>
+              {uploading ? 'Uploading…' : 'Upload'}
+              <input type="file" accept={MEDIA_MIME_TYPES.join(',')} className="hidden" onChange={handleUpload} disabled={uploading} />
+            </label>
+          </div>
+
+          {error && <div className="text-sm text-red-600">{error}</div>}
+
+          {loading ? (
+            <div className="text-sm text-gray-500 dark:text-gray-400">Loading…</div>
+          ) : media.length === 0 ? (
+            <div className="text-sm text-gray-500 dark:text-gray-400">No images yet. Upload one to start the library.</div>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-2 max-h-64 overflow-y-auto">
+                {media.map(asset => (
+                  <button
+                    key={asset.id}
+                    type="button"
+                    onClick={() => selectAsset(asset)}
+                    title={asset.original_filename || ''}
+                    className={`relative aspect-square rounded overflow-hidden border-2 ${
+                      selected?.id === asset.id ? 'border-teal-600' : asset.url === value ? 'border-blue-400' : 'border-transparent'
+                    }`}
+                  >
+                    <img
+                      src={pickVariant(asset.variants, THUMBNAIL_WIDTH)?.url || asset.url}
+                      alt={asset.alt_text || ''}
+                      className="w-full h-full object-cover"
+                      loading="lazy"
+                    />
+                    {!asset.alt_text && (
+                      <span className="absolute bottom-0 inset-x-0 bg-yellow-500 text-white text-[10px] text-center">No alt text</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+              {total > media.length && (
+                <div className="text-xs text-gray-500 dark:text-gray-400">Showing the newest {media.length} of {total}. Search to narrow it down.</div>
+              )}
+            </>
+          )}
+
+          {selected && (
+            <div className="flex flex-col md:flex-row gap-4 pt-3 border-t border-gray-200 dark:border-navy-700">
+              <img
+                src={pickVariant(selected.variants, 640)?.url || selected.url}
+                alt={selected.alt_text || ''}
+                className="w-full md:w-48 h-auto rounded"
+              />
+              <div className="flex-1 space-y-2 text-sm">
+                <div className="text-gray-500 dark:text-gray-400">
+                  {selected.original_filename} · {selected.width}×{selected.height}
+                </div>
+                <div>
+                  <label htmlFor={`media-alt-${selected.id}`} className="block font-medium text-gray-700 dark:text-gray-200 mb-1">Alt text</label>
+                  <input
+                    id={`media-alt-${selected.id}`}
+                    value={details.alt_text}
+                    onChange={e => setDetails(d => ({ ...d, alt_text: e.target.value }))}
+                    placeholder="Describe the image for screen readers"
+                    className="w-full px-3 py-1 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`media-caption-${selected.id}`} className="block font-medium text-gray-700 dark:text-gray-200 mb-1">Caption</label>
+                  <input
+                    id={`media-caption-${selected.id}`}
+                    value={details.caption}
+                    onChange={e => setDetails(d => ({ ...d, caption: e.target.value }))}
+                    className="w-full px-3 py-1 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white"
+                  />
+                </div>
+                <div className="text-gray-600 dark:text-gray-300">
+                  {selected.references === null || selected.references === undefined
+                    ? 'Checking where this image is used…'
+                    : selected.references.length === 0
+                      ? 'Not used anywhere yet.'
+                      : (
+                        <>
+                          Used as:
+                          <ul className="list-disc ml-5">
+                            {selected.references.map(ref => (
+                              <li key={`${ref.resource_type}-${ref.resource_id}-${ref.field}`}>
+                                {ref.resource_type} {FIELD_LABELS[ref.field] || ref.field}: {ref.title || ref.slug}
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button type="button" onClick={choose} className="bg-teal-600 hover:bg-teal-700 text-white px-3 py-1 rounded">
+                    Use this image
+                  </button>
+                  <button type="button" onClick={saveDetails} disabled={saving} className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded disabled:opacity-50">
+                    {saving ? 'Saving…' : 'Save details'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={deleteAsset}
+                    disabled={!!selected.references?.length}
+                    title={selected.references?.length ? 'Still in use' : undefined}
+                    className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -129,6 +129,13 @@ export default function Header() {
                     >
                       My Purchases
                     </Link>
+                    <Link
+                      href="/account/team"
+                      className="block px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-navy-700"
+                      onClick={() => setUserMenuOpen(false)}
+                    >
+                      Team
+                    </Link>
                     <button
                       onClick={() => {
                         setUserMenuOpen(false);
@@ -322,6 +329,12 @@ export default function Header() {
                   >
                     My Purchases
                   </Link>
+                  <Link 
+                    href="/account/team" 
+                    className="block w-full px-4 py-3 text-center rounded-md border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300 font-medium hover:bg-gray-50 dark:hover:bg-navy-700 transition duration-150 ease-in-out"
+                  >
+                    Team
+                  </Link>
                   <button
                     onClick={() => {
                       setMobileMenuOpen(false);
@@ -0,0 +1,93 @@
+// src/components/ui/AddToCartButton.js
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+
+export default function AddToCartButton({
+  modelSlug,
+  bundleSlug,
+  className = '',
+  children = null,
+  variant = 'secondary',
+  size = 'lg',
+  redirectToCart = true
+}) {
+  const router = useRouter();
+  const [loading, setLoading] = useState(false);
+  const [added, setAdded] = useState(false);
+
+  const handleAddToCart = async () => {
+    if (loading) return;
+
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/cart', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(bundleSlug ? { bundleSlug } : { modelSlug }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setAdded(true);
+        if (redirectToCart) {
+          router.push('/cart');
+          return;
+        }
+      } else {
+        console.error('Add to cart error:', data);
+        alert(data.error || 'Failed to add to cart. Please try again.');
+      }
+    } catch (error) {
+      console.error('Add to cart error:', error);
+      alert('An error occurred while updating your cart. Please try again.');
+    }
+
+    setLoading(false);
+  };
+
+  const baseClasses = 'inline-flex items-center justify-center font-medium rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  const variants = {
+    primary: 'bg-blue-600 text-white hover:bg-blue-700 focus:ring-blue-500',
+    accent: 'bg-teal-600 text-white hover:bg-teal-700 focus:ring-teal-500',
+    navy: 'bg-navy-700 text-white hover:bg-navy-800 focus:ring-navy-500',
+    secondary: 'bg-gray-100 text-gray-900 hover:bg-gray-200 focus:ring-gray-500',
+  };
+
+  const sizes = {
+    sm: 'px-3 py-2 text-sm min-h-[44px]',
+    md: 'px-4 py-3 text-sm min-h-[44px]',
+    lg: 'px-6 py-3 text-base min-h-[48px]',
+    xl: 'px-8 py-4 text-lg min-h-[52px]',
+  };
+
+  const buttonClass = `${baseClasses} ${variants[variant] || variants.secondary} ${sizes[size]} ${className}`;
+
+  return (
+    <button
+      onClick={handleAddToCart}
+      disabled={loading}
+      className={buttonClass}
+    >
+      {loading ? (
+        <>
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current mr-2"></div>
+          Adding...
+        </>
+      ) : children ? (
+        children
+      ) : (
+        <>
+          <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z" />
+          </svg>
+          {added ? 'Added to Cart' : 'Add to Cart'}
+        </>
+      )}
+    </button>
+  );
+}
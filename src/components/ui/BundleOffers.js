@@ -1,62 +1,50 @@
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Link from 'next/link';
+import AddToCartButton from '@/components/ui/AddToCartButton';
 
 export default function BundleOffers() {
-  const bundles = [
-    {
-      id: 'pe-starter',
-      name: 'Private Equity Starter Pack',
-      description: 'Perfect for getting started with PE real estate modeling',
-      models: ['Multifamily Development', 'Multifamily Acquisition', 'Commercial Acquisition'],
-      originalPrice: 29625,
-      bundlePrice: 17775,
-      savings: 11850,
-      mostPopular: true,
-      features: [
-        'Three complete PE models',
-        'Detailed instruction guides',
-        'Sample data sets',
-        '90-day email support',
-        'Free updates for 1 year'
-      ]
-    },
-    {
-      id: 'complete-suite',
-      name: 'Complete Financial Modeling Suite',
-      description: 'Everything you need for comprehensive investment analysis',
-      models: ['All 8 Private Equity Models', 'All 5 Public Equity Models'],
-      originalPrice: 152750,
-      bundlePrice: 91650,
-      savings: 61100,
-      mostPopular: false,
-      features: [
-        'All 13 premium models',
-        'Comprehensive documentation',
-        'Video tutorials library',
-        'Priority email & phone support',
-        'Lifetime free updates',
-        'Custom model consultation (1 hour)',
-        'Exclusive investor community access'
-      ]
-    },
-    {
-      id: 'hospitality-focus',
-      name: 'Hospitality Investment Bundle',
-      description: 'Specialized models for hotel and resort investments',
-      models: ['Hospitality Development', 'Hospitality Acquisition', 'Mixed-Use with Hotel'],
-      originalPrice: 29625,
-      bundlePrice: 19775,
-      savings: 9850,
-      mostPopular: false,
-      features: [
-        'Three hospitality-focused models',
-        'Industry-specific metrics',
-        'RevPAR analysis tools',
-        '60-day email support',
-        'Quarterly model updates'
-      ]
-    }
-  ];
+  const [bundles, setBundles] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchBundles = async () => {
+      try {
+        const response = await fetch('/api/bundles');
+        if (!response.ok) return;
+
+        const data = await response.json();
+        if (!cancelled) {
+          setBundles((data.bundles || []).map(bundle => {
+            const bundlePrice = parseFloat(bundle.price);
+            const originalPrice = parseFloat(bundle.original_price);
+            return {
+              id: bundle.slug,
+              name: bundle.name,
+              description: bundle.description,
+              models: bundle.models.map(model => model.title),
+              originalPrice,
+              bundlePrice,
+              savings: Math.max(0, originalPrice - bundlePrice),
+              savingsPercent: originalPrice > 0 ? Math.round((1 - bundlePrice / originalPrice) * 100) : 0,
+              mostPopular: bundle.most_popular,
+              features: bundle.features || []
+            };
+          }));
+        }
+      } catch (error) {
+        console.error('Error fetching bundles:', error);
+      }
+    };
+
+    fetchBundles();
+    return () => { cancelled = true; };
+  }, []);
+
+  if (bundles.length === 0) {
+    return null;
+  }
 
   return (
     <section className="py-16 bg-gray-50 dark:bg-navy-900/50">
@@ -146,20 +134,21 @@ export default function BundleOffers() {
                   </div>
                 </div>
                 
-                <Link
-                  href={`/contact?bundle=${bundle.id}`}
-                  className={`block w-full text-center py-3 px-6 rounded-lg font-medium transition-all duration-300 ${
+                <AddToCartButton
+                  bundleSlug={bundle.id}
+                  variant="navy"
+                  className={`w-full ${
                     bundle.mostPopular
-                      ? 'bg-gradient-to-r from-teal-500 to-navy-700 text-white hover:from-teal-600 hover:to-navy-800 transform hover:-translate-y-1 shadow-lg'
-                      : 'bg-navy-700 text-white hover:bg-navy-800'
+                      ? 'bg-gradient-to-r from-teal-500 to-navy-700 hover:from-teal-600 hover:to-navy-800 transform hover:-translate-y-1 shadow-lg'
+                      : ''
                   }`}
                 >
                   Get This Bundle
-                </Link>
+                </AddToCartButton>
                 
                 {bundle.mostPopular && (
                   <div className="text-center mt-4 text-sm text-gray-500">
-                    🔥 Limited time offer - Save 69%!
+                    🔥 Limited time offer - Save {bundle.savingsPercent}%!
                   </div>
                 )}
               </div>
@@ -1,11 +1,15 @@
 // src/components/ui/BuyNowButton.js
 import { useState } from 'react';
+import { DEFAULT_CURRENCY, formatMoney } from '@/config/currencies';
 
 export default function BuyNowButton({ 
   modelId,
   modelSlug, 
   modelTitle, 
   modelPrice, 
+  currency = DEFAULT_CURRENCY,
+  organizationId = null,
+  seats = 1,
   className = '', 
   children = null,
   variant = 'primary',
@@ -26,13 +30,18 @@ export default function BuyNowButton({
         headers: {
           'Content-Type': 'application/json',
         },
+        // The server prices the model from the catalog; modelPrice and
+        // currency are only sent so a stale page is rejected instead of
+        // charging a surprise amount
         body: JSON.stringify({
-          modelId: modelId || 'default',
-          modelSlug: modelSlug || 'model',
-          modelTitle: modelTitle || 'Financial Model',
-          modelPrice: modelPrice || 4985,
+          modelId,
+          modelSlug,
+          modelPrice,
+          currency,
           customerEmail: '', // Will be collected at Stripe checkout
           customerName: '',  // Will be collected at Stripe checkout
+          // Team licenses are bought by an organization admin for N seats
+          ...(organizationId && { organizationId, seats }),
         }),
       });
 
@@ -88,7 +97,7 @@ export default function BuyNowButton({
           <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3 3v8a3 3 0 003 3z" />
           </svg>
-          Buy Now - ${modelPrice?.toLocaleString() || '0'}
+          Buy Now - {formatMoney(modelPrice || 0, currency)}
         </>
       )}
     </button>
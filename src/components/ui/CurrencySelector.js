@@ -0,0 +1,63 @@
+// src/components/ui/CurrencySelector.js - Let visitors pick the currency they pay in
+import { useState, useEffect } from 'react';
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from '@/config/currencies';
+
+/**
+ * The visitor's currency: their saved choice, else the one for their
+ * country. Starts as the default until /api/currency answers.
+ * @returns {[string, (currency: string) => Promise<void>]}
+ */
+export function useCurrency() {
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch('/api/currency')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data?.currency) setCurrency(data.currency);
+      })
+      .catch(error => console.error('Error resolving currency:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const chooseCurrency = async (next) => {
+    setCurrency(next);
+    try {
+      await fetch('/api/currency', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ currency: next }),
+      });
+    } catch (error) {
+      console.error('Error saving currency:', error);
+    }
+  };
+
+  return [currency, chooseCurrency];
+}
+
+export default function CurrencySelector({ value, onChange, currencies = Object.keys(SUPPORTED_CURRENCIES), className = '' }) {
+  if (currencies.length < 2) return null;
+
+  return (
+    <select
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      aria-label="Currency"
+      className={`px-2 py-1 border border-gray-300 dark:border-navy-600 rounded bg-white dark:bg-navy-700 text-gray-900 dark:text-white text-sm ${className}`}
+    >
+      {currencies.map(code => (
+        <option key={code} value={code}>
+          {code.toUpperCase()}{SUPPORTED_CURRENCIES[code] ? ` - ${SUPPORTED_CURRENCIES[code].label}` : ''}
+        </option>
+      ))}
+    </select>
+  );
+}
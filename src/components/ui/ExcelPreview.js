@@ -3,10 +3,14 @@ import React, { useState, useEffect } from 'react';
 // Only import ExcelJSViewer since it's the only one we need now
 const ExcelJSViewer = React.lazy(() => import('./ExcelViewer/ExcelJSViewer'));
 
+// Visitors get the server-built preview copy of a model, never the file that
+// is sold; an explicit file (admin uploads) is shown as-is
+const getPreviewUrl = (modelId) => (modelId ? `/api/models/preview?modelId=${encodeURIComponent(modelId)}` : null);
+
 const ExcelPreview = ({ file, excelFile, modelId, title = "Model Viewer", height = "100%" }) => {
   const [retryKey, setRetryKey] = useState(0);
   const [hasError, setHasError] = useState(false);
-  const [fileUrl, setFileUrl] = useState(file || excelFile);
+  const [fileUrl, setFileUrl] = useState(file || excelFile || getPreviewUrl(modelId));
   const [isChecking, setIsChecking] = useState(false);
   const [fileNotFound, setFileNotFound] = useState(false);
 
@@ -16,6 +20,8 @@ const ExcelPreview = ({ file, excelFile, modelId, title = "Model Viewer", height
       // Only check if we have both fileUrl and modelId
       // If no modelId, just use the fileUrl as-is
       if (!fileUrl) return;
+      // The preview endpoint builds its copy on demand; there is no upload to look for
+      if (!file && !excelFile) return;
       if (!modelId) {
         console.log('No modelId provided, using fileUrl directly');
         return;
@@ -149,6 +155,7 @@ const ExcelPreview = ({ file, excelFile, modelId, title = "Model Viewer", height
             file={fileUrl}
             title={title}
             height={height}
+            modelId={modelId}
             onSuccess={() => setHasError(false)}
             onError={() => setHasError(true)}
           />
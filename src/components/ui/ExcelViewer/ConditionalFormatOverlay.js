@@ -0,0 +1,109 @@
+import React from 'react';
+
+const RED = '#DC2626';
+const YELLOW = '#EAB308';
+const GREEN = '#16A34A';
+const GRAY = '#6B7280';
+
+// Glyphs and colours per icon, lowest bucket first
+const ICON_SETS = {
+  '3Arrows': [['↓', RED], ['→', YELLOW], ['↑', GREEN]],
+  '3ArrowsGray': [['↓', GRAY], ['→', GRAY], ['↑', GRAY]],
+  '4Arrows': [['↓', RED], ['↘', YELLOW], ['↗', YELLOW], ['↑', GREEN]],
+  '4ArrowsGray': [['↓', GRAY], ['↘', GRAY], ['↗', GRAY], ['↑', GRAY]],
+  '5Arrows': [['↓', RED], ['↘', YELLOW], ['→', YELLOW], ['↗', YELLOW], ['↑', GREEN]],
+  '5ArrowsGray': [['↓', GRAY], ['↘', GRAY], ['→', GRAY], ['↗', GRAY], ['↑', GRAY]],
+  '3TrafficLights': [['●', RED], ['●', YELLOW], ['●', GREEN]],
+  '4TrafficLights': [['●', '#111827'], ['●', RED], ['●', YELLOW], ['●', GREEN]],
+  '4RedToBlack': [['●', '#111827'], ['●', GRAY], ['●', '#F87171'], ['●', RED]],
+  '3Signs': [['◆', RED], ['▲', YELLOW], ['●', GREEN]],
+  '3Symbols': [['✖', RED], ['!', YELLOW], ['✔', GREEN]],
+  '3Flags': [['⚑', RED], ['⚑', YELLOW], ['⚑', GREEN]],
+  '3Stars': [['☆', '#F59E0B'], ['⯪', '#F59E0B'], ['★', '#F59E0B']],
+  '3Triangles': [['▼', RED], ['▬', YELLOW], ['▲', GREEN]],
+  '4Rating': [['▂', '#2563EB'], ['▄', '#2563EB'], ['▆', '#2563EB'], ['█', '#2563EB']],
+  '5Rating': [['▁', '#2563EB'], ['▂', '#2563EB'], ['▄', '#2563EB'], ['▆', '#2563EB'], ['█', '#2563EB']],
+  '5Quarters': [['○', GRAY], ['◔', GRAY], ['◑', GRAY], ['◕', GRAY], ['●', GRAY]],
+  '5Boxes': [['□', '#2563EB'], ['▤', '#2563EB'], ['▥', '#2563EB'], ['▦', '#2563EB'], ['■', '#2563EB']]
+};
+
+// "3TrafficLights1", "3Symbols2" etc. share glyphs with their base set
+export const getIconGlyph = ({ set, index }) => {
+  const name = String(set || '').replace(/[12]$/, '');
+  const icons = ICON_SETS[name] || ICON_SETS['3TrafficLights'];
+  const [glyph, color] = icons[Math.min(Math.max(index, 0), icons.length - 1)];
+  return { glyph, color };
+};
+
+// Merge conditional font/fill overrides into a cell's own style
+export const applyConditionalStyle = (style = {}, conditional) => {
+  if (!conditional || (!conditional.font && !conditional.fill)) return style;
+
+  return {
+    ...style,
+    font: conditional.font ? { ...style.font, ...conditional.font } : style.font,
+    fill: conditional.fill ? { ...style.fill, color: conditional.fill, pattern: 'solid' } : style.fill
+  };
+};
+
+const ConditionalFormatOverlay = ({ conditional, darkMode = false }) => {
+  if (!conditional?.dataBar && !conditional?.icon) return null;
+
+  const { dataBar, icon } = conditional;
+  const iconGlyph = icon ? getIconGlyph(icon) : null;
+
+  return (
+    <>
+      {dataBar && dataBar.width > 0 && (
+        <div
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            top: 2,
+            bottom: 2,
+            left: `${dataBar.start * 100}%`,
+            width: `${dataBar.width * 100}%`,
+            // Gradient fades away from the axis like Excel's default bars
+            background: `linear-gradient(${dataBar.negative ? 'to left' : 'to right'}, ${dataBar.color}, ${dataBar.color}22)`,
+            border: `1px solid ${dataBar.color}`,
+            opacity: darkMode ? 0.6 : 1,
+            mixBlendMode: darkMode ? 'normal' : 'multiply',
+            pointerEvents: 'none'
+          }}
+        />
+      )}
+      {dataBar?.axis !== undefined && (
+        <div
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            top: 0,
+            bottom: 0,
+            left: `${dataBar.axis * 100}%`,
+            borderLeft: `1px dashed ${darkMode ? '#9CA3AF' : '#000000'}`,
+            pointerEvents: 'none'
+          }}
+        />
+      )}
+      {iconGlyph && (
+        <span
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            left: 3,
+            top: '50%',
+            transform: 'translateY(-50%)',
+            color: iconGlyph.color,
+            fontSize: '0.85em',
+            lineHeight: 1,
+            pointerEvents: 'none'
+          }}
+        >
+          {iconGlyph.glyph}
+        </span>
+      )}
+    </>
+  );
+};
+
+export default ConditionalFormatOverlay;
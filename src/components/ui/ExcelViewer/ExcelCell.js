@@ -1,5 +1,6 @@
 import React, { memo, useMemo } from 'react';
 import { useTheme } from './useTheme';
+import { formatCellValue } from './numberFormat';
 import styles from '../../../styles/ExcelViewer.module.css';
 
 const ExcelCell = memo(({ 
@@ -21,6 +22,8 @@ const ExcelCell = memo(({
   isSpilloverCell = false,
   spilloverData = null,
   isSpilloverSource = false,
+  isEditable = false,
+  isRecalculated = false,
   zoom = 100
 }) => {
   const { cellTheme } = useTheme(darkMode);
@@ -117,6 +120,17 @@ const ExcelCell = memo(({
     return null;
   }, [style.alignment, style.numberFormat, value]);
 
+  // Apply the cell's Excel number format to numbers, dates and text
+  const formattedValue = useMemo(() => {
+    if (!style.numberFormat) return null;
+    const isDate = value instanceof Date || Object.prototype.toString.call(value) === '[object Date]';
+    if (typeof value !== 'number' && typeof value !== 'string' && !isDate) return null;
+    return formatCellValue(value, style.numberFormat);
+  }, [value, style.numberFormat]);
+
+  // _) padding and * fills need the parts laid out rather than plain text
+  const hasFormatLayout = !!formattedValue?.parts.some(part => part.type !== 'text');
+
   // Memoize cell styles to prevent re-renders
   const cellStyle = useMemo(() => {
     const zoomFactor = zoom / 100;
@@ -365,6 +379,17 @@ const ExcelCell = memo(({
       baseStyle.zIndex = 1;
     }
 
+    // Section colours such as [Red] override the font colour, as in Excel
+    if (formattedValue?.color && !(darkMode && formattedValue.color === '#000000')) {
+      baseStyle.color = formattedValue.color;
+    }
+
+    // What-if inputs get a thin inset frame so prospects can find them
+    if (isEditable && !isPrintMode) {
+      baseStyle.boxShadow = `inset 0 0 0 1px ${darkMode ? '#60a5fa' : '#3b82f6'}`;
+      baseStyle.cursor = 'text';
+    }
+
     // Print mode overrides
     if (isPrintMode) {
       baseStyle.border = '1px solid #d1d5db';
@@ -418,7 +443,7 @@ const ExcelCell = memo(({
     }
 
     return baseStyle;
-  }, [style, isSelected, isHighlighted, width, height, darkMode, isPrintMode, showGridLines, row, columnName, isSpilloverCell, zoom]);
+  }, [style, formattedValue, isSelected, isHighlighted, isEditable, width, height, darkMode, isPrintMode, showGridLines, row, columnName, isSpilloverCell, zoom]);
 
   // Format the display value
   const displayValue = useMemo(() => {
@@ -445,20 +470,8 @@ const ExcelCell = memo(({
     
     // Apply number formatting if specified
     
-    if (style.numberFormat && typeof value === 'number') {
-      // console.log('[ExcelCell] About to call formatNumber:', { value, format: style.numberFormat, cell: `${columnName}${row}` });
-      const formatted = formatNumber(value, style.numberFormat);
-      // console.log('[ExcelCell] formatNumber returned:', { formatted, cell: `${columnName}${row}` });
-      
-      // if (columnName === 'D' && row === 26) {
-      //   console.log(`[D26 Debug] Cell ${columnName}${row}:`, 
-      //     'value=', value,
-      //     'format=', style.numberFormat,
-      //     'result=', formatted,
-      //     'typeOfValue=', typeof value
-      //   );
-      // }
-      return formatted;
+    if (formattedValue && typeof value === 'number') {
+      return formattedValue.text.trim();
     }
     
     // Check if value is an object before converting to string
@@ -466,8 +479,8 @@ const ExcelCell = memo(({
       // Handle Date objects first
       if (value instanceof Date || Object.prototype.toString.call(value) === '[object Date]') {
         // If we have a number format, use it to format the date
-        if (style.numberFormat) {
-          return formatDate(value, style.numberFormat);
+        if (formattedValue) {
+          return formattedValue.text.trim();
         }
         // Otherwise use default date format
         return value.toLocaleDateString();
@@ -536,6 +549,11 @@ const ExcelCell = memo(({
       return '';
     }
     
+    // A text section ("@" or the fourth section) can wrap text values
+    if (formattedValue) {
+      return formattedValue.text.trim();
+    }
+
     const result = String(value);
     
     // Debug logging for dash display
@@ -548,7 +566,7 @@ const ExcelCell = memo(({
     // }
     
     return result;
-  }, [value, style.numberFormat, row, columnName, isSpilloverCell, isSpilloverSource]);
+  }, [value, formattedValue, row, columnName, isSpilloverCell, isSpilloverSource]);
 
   // Get cell classes based on state
   const cellClasses = useMemo(() => {
@@ -580,6 +598,8 @@ const ExcelCell = memo(({
       data-col={col}
       data-selected={isSelected}
       data-highlighted={isHighlighted}
+      data-editable={isEditable || undefined}
+      data-recalculated={isRecalculated || undefined}
       data-type={typeof value === 'number' ? 'number' : 'text'}
       data-align={computedAlignment || 'left'}
       data-wrap={style.alignment?.wrapText || false}
@@ -591,6 +611,15 @@ const ExcelCell = memo(({
       tabIndex={isSelected ? 0 : -1}
     >
       
+      {/* Recalculated by a what-if change */}
+      {isRecalculated && !isPrintMode && (
+        <span className={`${styles.indicator} indicator absolute top-0 left-0 text-xs leading-none ${
+          darkMode ? 'text-teal-400' : 'text-teal-600'
+        }`} aria-hidden="true">
+          ◤
+        </span>
+      )}
+
       {/* Error indicator */}
       {cellType === 'error' && !isPrintMode && (
         <span className={`${styles.indicator} indicator absolute top-0 right-0 text-xs ${
@@ -601,7 +630,7 @@ const ExcelCell = memo(({
       )}
       
       <span className={isMerged ? 'flex items-center justify-center h-full' : ''}>
-        {height > 5 ? displayValue : ''}
+        {height > 5 ? (hasFormatLayout && !isSpilloverSource && !isSpilloverCell ? <FormattedParts parts={formattedValue.parts} /> : displayValue) : ''}
       </span>
     </div>
   );
@@ -610,7 +639,7 @@ const ExcelCell = memo(({
 ExcelCell.displayName = 'ExcelCell';
 
 // Helper functions
-function convertARGBToHex(argb) {
+export function convertARGBToHex(argb) {
   if (!argb) return null;
   
   // Debug logging for color conversion
@@ -736,279 +765,25 @@ function getBorderWidth(style) {
   }
 }
 
-function formatNumber(value, format) {
-  // Debug entry - log ALL calls to this function
-  // console.log('[formatNumber] Called with:', { value, format, valueType: typeof value });
-  
-  // Handle simple custom formats with quoted text
-  // Examples: "Month" 0, "Year" 0, "Quarter" 0, 0 "acres", etc.
-  const prefixCustomMatch = format.match(/^"([^"]+)"\s*0+$/);
-  if (prefixCustomMatch) {
-    const customText = prefixCustomMatch[1];
-    return customText + ' ' + value;
-  }
-  
-  // Handle custom formats where text comes after the number
-  // Examples: 0 "acres", 0.00 "kg", etc.
-  const suffixCustomMatch = format.match(/^0+(?:\.0+)?\s*"([^"]+)"$/);
-  if (suffixCustomMatch) {
-    const customText = suffixCustomMatch[1];
-    const decimalMatch = format.match(/0\.(0+)/);
-    const decimals = decimalMatch ? decimalMatch[1].length : 0;
-    const formattedValue = value.toFixed(decimals);
-    return formattedValue + ' ' + customText;
-  }
-  
-  // Handle Excel number format codes
-  if (!format) {
-    // console.log('[formatNumber] No format provided, returning value as-is');
-    return value;
-  }
-  
-  // Handle dates - enhanced detection - skip if custom format with quotes
-  // Only treat as date if it has date-specific patterns like mm, dd, yyyy, etc.
-  const datePatterns = /(?:d{1,4}|m{1,4}|y{1,4}|h{1,2}|s{1,2})/i;
-  const hasDatePattern = datePatterns.test(format);
-  const hasQuotes = format.includes('"');
-  const hasNumberPattern = /[#0]/.test(format);
-  
-  
-  if (value instanceof Date || 
-      (typeof value === 'number' && hasDatePattern && !hasNumberPattern && !hasQuotes)) {
-    return formatDate(value, format);
-  }
-  
-  if (typeof value !== 'number') {
-    // if (format === '"Month" 0') {
-    //   console.log('[formatNumber] Exiting - value not a number');
-    // }
-    return value;
-  }
-  
-  // Parse custom text in quotes
-  const extractCustomText = (fmt) => {
-    const textParts = [];
-    const regex = /"([^"]*)"/g;
-    let match;
-    while ((match = regex.exec(fmt)) !== null) {
-      textParts.push(match[1]);
-    }
-    return textParts;
-  };
-
-  // Accounting format detection - more comprehensive
-  if (format.includes('_(') || format.includes('_)') || format.includes('* ')) {
-    if (value === 0 && format.includes('"-"')) return '-';
-    if (value === 0 && format.includes('"–"')) return '–';
-    
-    // Extract decimal places from format
-    const decimalMatch = format.match(/0\.(0+)/);
-    const decimals = decimalMatch ? decimalMatch[1].length : 0;
-    
-    const formatted = Math.abs(value).toLocaleString('en-US', { 
-      minimumFractionDigits: decimals, 
-      maximumFractionDigits: decimals 
-    });
-    
-    // Check if format includes currency symbol
-    const hasDollar = format.includes('$');
-    const prefix = hasDollar ? '$' : '';
-    
-    if (value < 0) {
-      return `(${prefix}${formatted})`;
-    }
-    return prefix + formatted;
-  }
-  
-  // Currency formats
-  if (format.includes('$')) {
-    const isNegativeInParens = format.includes('($');
-    const decimals = (format.match(/0+\.?(0*)/)?.[0]?.split('.')[1]?.length) || 2;
-    const formatted = Math.abs(value).toLocaleString('en-US', { 
-      minimumFractionDigits: decimals, 
-      maximumFractionDigits: decimals 
-    });
-    if (value < 0 && isNegativeInParens) {
-      return `($${formatted})`;
-    }
-    return (value < 0 ? '-' : '') + '$' + formatted;
-  }
-  
-  // Percentage formats
-  if (format.includes('%')) {
-    const decimals = (format.match(/0+\.?(0*)/)?.[0]?.split('.')[1]?.length) || 0;
-    return (value * 100).toFixed(decimals) + '%';
-  }
-  
-  // Number with specific decimal places
-  const decimalMatch = format.match(/0+\.?(0*)/);
-  if (decimalMatch) {
-    const decimals = decimalMatch[0].split('.')[1]?.length || 0;
-    return value.toLocaleString('en-US', { 
-      minimumFractionDigits: decimals, 
-      maximumFractionDigits: decimals 
-    });
-  }
-  
-  // Second date check - remove this as we already have better date detection above
-  // This was causing issues with formats like "bps" that contain 's'
-  
-  // Custom formats with text
-  if (format.includes('"')) {
-    // Parse the format string to extract text and number patterns
-    const parts = [];
-    let currentPos = 0;
-    let inQuotes = false;
-    let currentPart = '';
-    
-    for (let i = 0; i < format.length; i++) {
-      const char = format[i];
-      
-      if (char === '"') {
-        if (currentPart) {
-          parts.push({ type: inQuotes ? 'text' : 'format', value: currentPart });
-          currentPart = '';
+// Lay out _x padding and *x fills inside the cell the way Excel does
+function FormattedParts({ parts }) {
+  return (
+    <span style={{ display: 'flex', width: '100%', whiteSpace: 'pre' }}>
+      {parts.map((part, index) => {
+        if (part.type === 'pad') {
+          return <span key={index} style={{ visibility: 'hidden' }} aria-hidden="true">{part.value}</span>;
         }
-        inQuotes = !inQuotes;
-      } else {
-        currentPart += char;
-      }
-    }
-    
-    // Add any remaining part
-    if (currentPart) {
-      parts.push({ type: inQuotes ? 'text' : 'format', value: currentPart });
-    }
-    
-    // Process each part
-    let result = '';
-    for (const part of parts) {
-      if (part.type === 'text') {
-        // Add text without quotes
-        result += part.value;
-      } else if (part.type === 'format') {
-        // Format the number based on the format pattern
-        const formatPattern = part.value.trim();
-        
-        if (formatPattern.includes('#') || formatPattern.includes('0')) {
-          // Extract decimal places
-          const decimalMatch = formatPattern.match(/0\.(0+)/);
-          const decimals = decimalMatch ? decimalMatch[1].length : 0;
-          
-          // Check for thousands separator
-          const hasThousands = formatPattern.includes(',');
-          
-          const formattedNumber = value.toLocaleString('en-US', {
-            useGrouping: hasThousands,
-            minimumFractionDigits: decimals,
-            maximumFractionDigits: decimals
-          });
-          
-          result += formattedNumber;
-        } else if (formatPattern) {
-          // Non-numeric format part, keep as is
-          result += formatPattern;
+        if (part.type === 'fill') {
+          return (
+            <span key={index} style={{ flex: 1, overflow: 'hidden' }} aria-hidden="true">
+              {part.value.trim() ? part.value.repeat(100) : ''}
+            </span>
+          );
         }
-      }
-    }
-    
-    return result.trim();
-  }
-  
-  // Default number formatting
-  return value.toLocaleString();
-}
-
-function formatDate(value, format) {
-  
-  // Convert Excel date serial to JS Date
-  let date;
-  if (typeof value === 'number') {
-    // Excel date system: dates are stored as numbers of days since Jan 1, 1900
-    // But Excel incorrectly considers 1900 a leap year, so we need to adjust
-    const excelEpoch = new Date(1899, 11, 30); // Dec 30, 1899
-    const msPerDay = 24 * 60 * 60 * 1000;
-    date = new Date(excelEpoch.getTime() + value * msPerDay);
-  } else if (value instanceof Date) {
-    date = value;
-  } else {
-    return value;
-  }
-  
-  // Determine which separator to use based on the format type
-  // If format contains month names (mmm), preserve hyphens for DD-Mon-Year style
-  // Otherwise, use slashes for numeric dates (mm/dd/yy style)
-  const hasMonthName = /mmm/i.test(format);
-  const originalSeparator = format.match(/[\/\-\.]/)?.[0] || '/';
-  const separator = hasMonthName ? originalSeparator : '/';
-  
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const monthsFull = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-  
-  // Common Excel date format patterns
-  const d = date.getDate();
-  const m = date.getMonth() + 1;
-  const y = date.getFullYear();
-  const yy = y.toString().substr(-2);
-  
-  // Build result by parsing the format string
-  let result = '';
-  let i = 0;
-  
-  while (i < format.length) {
-    // Check for year patterns
-    if (format.substring(i, i + 4).toLowerCase() === 'yyyy') {
-      result += y.toString();
-      i += 4;
-    } else if (format.substring(i, i + 2).toLowerCase() === 'yy') {
-      result += yy;
-      i += 2;
-    }
-    // Check for month patterns
-    else if (format.substring(i, i + 4).toLowerCase() === 'mmmm') {
-      result += monthsFull[date.getMonth()];
-      i += 4;
-    } else if (format.substring(i, i + 3).toLowerCase() === 'mmm') {
-      result += months[date.getMonth()];
-      i += 3;
-    } else if (format.substring(i, i + 2).toLowerCase() === 'mm') {
-      result += m.toString().padStart(2, '0');
-      i += 2;
-    } else if (format[i].toLowerCase() === 'm' && 
-               (i + 1 >= format.length || format[i + 1].toLowerCase() !== 'm')) {
-      result += m.toString();
-      i += 1;
-    }
-    // Check for day patterns
-    else if (format.substring(i, i + 4).toLowerCase() === 'dddd') {
-      result += date.toLocaleDateString('en-US', { weekday: 'long' });
-      i += 4;
-    } else if (format.substring(i, i + 3).toLowerCase() === 'ddd') {
-      result += date.toLocaleDateString('en-US', { weekday: 'short' });
-      i += 3;
-    } else if (format.substring(i, i + 2).toLowerCase() === 'dd') {
-      result += d.toString().padStart(2, '0');
-      i += 2;
-    } else if (format[i].toLowerCase() === 'd' && 
-               (i + 1 >= format.length || format[i + 1].toLowerCase() !== 'd')) {
-      result += d.toString();
-      i += 1;
-    }
-    // Handle separators - use the determined separator
-    else if (format[i] === '/' || format[i] === '-' || format[i] === '.') {
-      result += separator; // Use the appropriate separator based on format type
-      i += 1;
-    }
-    // Not a date pattern, copy the character as-is
-    else {
-      result += format[i];
-      i += 1;
-    }
-  }
-  
-  
-  // Common patterns like "d-mmm-yy" should now work correctly
-  return result;
+        return <span key={index}>{part.value}</span>;
+      })}
+    </span>
+  );
 }
 
 export default ExcelCell;
\ No newline at end of file
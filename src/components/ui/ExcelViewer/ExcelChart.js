@@ -0,0 +1,289 @@
+import React, { memo, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  PieChart,
+  ScatterChart,
+  Bar,
+  Line,
+  Area,
+  Pie,
+  Scatter,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { formatCellValue, formatGeneral } from './numberFormat';
+
+const LEGEND_LAYOUT = {
+  t: { verticalAlign: 'top', align: 'center', layout: 'horizontal' },
+  b: { verticalAlign: 'bottom', align: 'center', layout: 'horizontal' },
+  l: { verticalAlign: 'middle', align: 'left', layout: 'vertical' },
+  r: { verticalAlign: 'middle', align: 'right', layout: 'vertical' },
+  tr: { verticalAlign: 'top', align: 'right', layout: 'vertical' }
+};
+
+// Chart labels use the axis or series number format from the workbook
+const formatValue = (value, format) => {
+  if (typeof value !== 'number') return value ?? '';
+  return format && format !== 'General' ? formatCellValue(value, format).text.trim() : formatGeneral(value);
+};
+
+const seriesKey = index => `s${index}`;
+
+// One row per category with a column per series, as recharts expects
+const buildRows = (chart) => {
+  const length = Math.max(chart.categories.length, ...chart.series.map(s => s.values.length));
+  return Array.from({ length }, (_, i) => {
+    const row = { category: chart.categories[i] ?? i + 1 };
+    chart.series.forEach((series, index) => {
+      row[seriesKey(index)] = series.values[i];
+    });
+    return row;
+  });
+};
+
+// Floating bars: each step starts where the running total left off; subtotal
+// points are drawn from zero and reset the running total
+const buildWaterfallRows = (chart) => {
+  const subtotals = new Set(chart.subtotals || []);
+  let running = 0;
+  return chart.series[0].values.map((value, i) => {
+    const amount = value || 0;
+    if (subtotals.has(i)) {
+      running = amount;
+      return { category: chart.categories[i] ?? i + 1, base: 0, delta: amount, value: amount, kind: 'total' };
+    }
+    const start = running;
+    running += amount;
+    return {
+      category: chart.categories[i] ?? i + 1,
+      base: Math.min(start, running),
+      delta: Math.abs(amount),
+      value: amount,
+      kind: amount < 0 ? 'decrease' : 'increase'
+    };
+  });
+};
+
+const ExcelChart = ({ chart, zoomFactor = 1, darkMode = false }) => {
+  const fontSize = Math.max(8, Math.round(11 * zoomFactor));
+  const textColor = darkMode ? '#e5e7eb' : '#404040';
+  const gridColor = darkMode ? '#374151' : '#d9d9d9';
+  const background = chart.background && chart.background !== 'none'
+    ? chart.background
+    : (darkMode ? '#111827' : '#ffffff');
+
+  const rows = useMemo(
+    () => (chart.type === 'waterfall' ? buildWaterfallRows(chart) : buildRows(chart)),
+    [chart]
+  );
+
+  const tick = { fontSize, fill: textColor };
+  const legend = chart.legend && (
+    <Legend
+      {...(LEGEND_LAYOUT[chart.legend] || LEGEND_LAYOUT.r)}
+      wrapperStyle={{ fontSize, color: textColor }}
+    />
+  );
+  const tooltip = (format) => (
+    <Tooltip
+      formatter={(value) => formatValue(value, format)}
+      contentStyle={{ fontSize }}
+    />
+  );
+
+  const renderPie = () => {
+    const series = chart.series[0];
+    const slices = rows
+      .map((row, i) => ({ name: String(row.category), value: Math.abs(row[seriesKey(0)] || 0), index: i }))
+      .filter(slice => slice.value > 0);
+    const palette = chart.palette || [series.color];
+
+    return (
+      <PieChart>
+        <Pie
+          data={slices}
+          dataKey="value"
+          nameKey="name"
+          innerRadius={chart.type === 'doughnut' ? `${chart.holeSize || 50}%` : 0}
+          outerRadius="80%"
+          isAnimationActive={false}
+        >
+          {slices.map(slice => (
+            <Cell
+              key={slice.index}
+              fill={series.pointColors[slice.index] || (series.varyColors === false ? series.color : palette[slice.index % palette.length])}
+            />
+          ))}
+        </Pie>
+        {tooltip(series.formatCode || chart.valueFormat)}
+        {legend}
+      </PieChart>
+    );
+  };
+
+  const renderScatter = () => (
+    <ScatterChart>
+      <CartesianGrid stroke={gridColor} vertical={false} />
+      <XAxis type="number" dataKey="x" tick={tick} stroke={gridColor} />
+      <YAxis type="number" dataKey="y" tick={tick} stroke={gridColor} tickFormatter={value => formatValue(value, chart.valueFormat)} />
+      {tooltip(chart.valueFormat)}
+      {legend}
+      {chart.series.map((series, index) => (
+        <Scatter
+          key={index}
+          name={series.name}
+          data={series.values.map((y, i) => ({ x: series.categories[i] ?? i + 1, y })).filter(point => point.y !== null)}
+          fill={series.color}
+          line={series.line && series.scatterStyle !== 'marker' ? { stroke: series.color } : false}
+          isAnimationActive={false}
+        />
+      ))}
+    </ScatterChart>
+  );
+
+  const renderWaterfall = () => (
+    <ComposedChart data={rows}>
+      <CartesianGrid stroke={gridColor} vertical={false} />
+      <XAxis dataKey="category" tick={tick} stroke={gridColor} interval="preserveStartEnd" />
+      <YAxis tick={tick} stroke={gridColor} tickFormatter={value => formatValue(value, chart.valueFormat)} />
+      <Tooltip
+        formatter={(value, name, item) => [formatValue(item.payload.value, chart.valueFormat), chart.series[0].name]}
+        contentStyle={{ fontSize }}
+      />
+      <Bar dataKey="base" stackId="waterfall" fill="transparent" legendType="none" tooltipType="none" isAnimationActive={false} />
+      <Bar dataKey="delta" stackId="waterfall" isAnimationActive={false}>
+        {rows.map((row, i) => <Cell key={i} fill={chart.colors[row.kind]} />)}
+      </Bar>
+    </ComposedChart>
+  );
+
+  const renderCartesian = () => {
+    const horizontal = chart.barDirection === 'bar' && chart.series.every(s => s.type === 'bar');
+    const percent = chart.grouping === 'percentStacked';
+    const hasSecondary = chart.series.some(s => s.axis === 'secondary');
+    const categoryAxisProps = { dataKey: 'category', tick, stroke: gridColor, hide: chart.axes?.category?.hidden, interval: 'preserveStartEnd' };
+    const valueAxisProps = {
+      tick,
+      stroke: gridColor,
+      hide: chart.axes?.value?.hidden,
+      tickFormatter: value => (percent ? `${Math.round(value * 100)}%` : formatValue(value, chart.valueFormat))
+    };
+
+    return (
+      <ComposedChart
+        data={rows}
+        layout={horizontal ? 'vertical' : 'horizontal'}
+        stackOffset={percent ? 'expand' : 'none'}
+      >
+        <CartesianGrid stroke={gridColor} vertical={horizontal} horizontal={!horizontal} />
+        {horizontal ? (
+          <>
+            <XAxis type="number" {...valueAxisProps} />
+            <YAxis type="category" {...categoryAxisProps} reversed />
+          </>
+        ) : (
+          <>
+            <XAxis {...categoryAxisProps} />
+            <YAxis {...valueAxisProps} />
+            {hasSecondary && (
+              <YAxis
+                yAxisId="secondary"
+                orientation="right"
+                tick={tick}
+                stroke={gridColor}
+                tickFormatter={value => formatValue(value, chart.secondaryValueFormat || chart.valueFormat)}
+              />
+            )}
+          </>
+        )}
+        {tooltip(chart.valueFormat)}
+        {legend}
+        {chart.series.map((series, index) => {
+          const common = {
+            dataKey: seriesKey(index),
+            name: series.name,
+            isAnimationActive: false,
+            legendType: series.hidden ? 'none' : undefined,
+            // Secondary series are plotted against the right-hand axis
+            ...(!horizontal && series.axis === 'secondary' && { yAxisId: 'secondary' })
+          };
+          const stacked = series.grouping === 'stacked' || series.grouping === 'percentStacked';
+          const color = series.hidden ? 'transparent' : series.color;
+
+          if (series.type === 'line') {
+            return (
+              <Line
+                key={index}
+                {...common}
+                type={series.smooth ? 'monotone' : 'linear'}
+                stroke={color}
+                strokeWidth={2}
+                dot={series.marker && !series.hidden ? { r: 2, fill: series.color } : false}
+                connectNulls={false}
+              />
+            );
+          }
+          if (series.type === 'area') {
+            return <Area key={index} {...common} stackId={stacked ? 'area' : undefined} stroke={color} fill={color} fillOpacity={0.6} />;
+          }
+          return (
+            <Bar key={index} {...common} stackId={stacked ? 'bar' : undefined} fill={color}>
+              {Object.keys(series.pointColors).length > 0 && rows.map((row, i) => (
+                <Cell key={i} fill={series.pointColors[i] || color} />
+              ))}
+            </Bar>
+          );
+        })}
+      </ComposedChart>
+    );
+  };
+
+  const renderChart = () => {
+    switch (chart.type) {
+      case 'pie':
+      case 'doughnut':
+        return renderPie();
+      case 'scatter':
+        return renderScatter();
+      case 'waterfall':
+        return renderWaterfall();
+      default:
+        return renderCartesian();
+    }
+  };
+
+  return (
+    <div
+      className="w-full h-full flex flex-col"
+      style={{
+        backgroundColor: background,
+        border: `1px solid ${gridColor}`,
+        padding: 4 * zoomFactor,
+        boxSizing: 'border-box'
+      }}
+      role="img"
+      aria-label={chart.title ? `Chart: ${chart.title}` : 'Chart'}
+    >
+      {chart.title && (
+        <div
+          className="text-center font-medium truncate"
+          style={{ fontSize: Math.round(14 * zoomFactor), color: textColor }}
+        >
+          {chart.title}
+        </div>
+      )}
+      <div className="flex-1 min-h-0">
+        <ResponsiveContainer width="100%" height="100%">
+          {renderChart()}
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default memo(ExcelChart);
@@ -8,7 +8,16 @@ import { usePerformanceMonitor } from './usePerformanceMonitor';
 import LoadingStates from './LoadingStates';
 import ErrorStates from './ErrorStates';
 import SearchPanel from './SearchPanel';
+import WhatIfBar from './WhatIfBar';
 import { Toast, ToastProvider } from './Toast';
+import {
+  exportRange,
+  resolveExportRange,
+  formatRangeRef,
+  normalizeRange,
+  downloadBlob,
+  getExportFileName
+} from './exportSheet';
 import { useKeyboardNavigation } from './useKeyboardNavigation';
 import { useTheme } from './useTheme';
 import { retryFetch, retryWorker } from '../../../utils/retry';
@@ -23,6 +32,10 @@ const ExcelSheet = dynamic(() => import('./ExcelSheet'), {
   ssr: false
 });
 
+// Larger exports are refused rather than freezing the tab
+const EXPORT_MAX_CELLS = 250000;
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
 const ExcelJSViewer = ({ 
   file, 
   title = "Model Viewer", 
@@ -34,7 +47,10 @@ const ExcelJSViewer = ({
   showPrintButton = true,
   enableKeyboardShortcuts = true,
   accessibilityMode = false,
-  debugMode = false
+  debugMode = false,
+  enableWhatIf = true,
+  inputCells = null, // e.g. ['Inputs!C5', 'Inputs!C6']; defaults to blue-font constants
+  modelId = null // Buyers of this model get unwatermarked exports
 }) => {
   // State management
   const [worksheets, setWorksheets] = useState([]);
@@ -49,6 +65,8 @@ const ExcelJSViewer = ({
   const [isClient, setIsClient] = useState(false);
   const [zoom, setZoom] = useState(100);
   const [selectedCell, setSelectedCell] = useState(null);
+  const [selectionRange, setSelectionRange] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
   const [viewport, setViewport] = useState({
     start: { row: 0, col: 0 },  // Fixed: Excel uses 0-based indexing internally
     end: { row: 1000, col: 200 }  // Load more data upfront
@@ -61,6 +79,10 @@ const ExcelJSViewer = ({
   const [toastMessage, setToastMessage] = useState(null);
   const [sheetDimensions, setSheetDimensions] = useState({ width: 800, height: 480 });
   const [showGridLines, setShowGridLines] = useState(true); // Default to true, will be updated from Excel
+  const [whatIf, setWhatIf] = useState(null);
+  const [editedInputs, setEditedInputs] = useState(() => new Map());
+  const [lastChangeCount, setLastChangeCount] = useState(null);
+  const [isRecalculating, setIsRecalculating] = useState(false);
 
   // Refs
   const containerRef = useRef(null);
@@ -69,6 +91,9 @@ const ExcelJSViewer = ({
   const abortControllerRef = useRef(null);
   const loadedFileRef = useRef(null);
   const gridRef = useRef(null);
+  const selectionAnchorRef = useRef(null);
+  const shiftKeyRef = useRef(false);
+  const entitlementRef = useRef(null);
 
   // Show toast message
   const showToast = useCallback((message, type = 'info') => {
@@ -81,6 +106,8 @@ const ExcelJSViewer = ({
       // Clear current sheet data to prevent rendering issues
       setSheetData(null);
       setSelectedCell(null);
+      setSelectionRange(null);
+      selectionAnchorRef.current = null;
       setSearchResults([]);
       setIsInitialLoadComplete(false); // Reset for new sheet
       // Set new active sheet - this will trigger data loading via useEffect
@@ -98,7 +125,7 @@ const ExcelJSViewer = ({
   }, []);
 
   // Hooks
-  const { isWorkerReady, loadWorkbook, processSheet, searchInSheet } = useExcelProcessor();
+  const { isWorkerReady, loadWorkbook, processSheet, searchInSheet, setCellValue, resetInputs, exportXlsx } = useExcelProcessor();
   const { startMeasure, endMeasure, logPerformanceWarning } = usePerformanceMonitor('ExcelJSViewer');
   const { theme } = useTheme(darkMode);
   const { memoryInfo, isWarning, isCritical } = useMemoryMonitor();
@@ -389,7 +416,7 @@ const ExcelJSViewer = ({
         const workbookData = await retryWorker(
           async (attempt) => {
             console.log(`Loading workbook (attempt ${attempt})...`);
-            return await loadWorkbook(arrayBuffer);
+            return await loadWorkbook(arrayBuffer, inputCells ? { inputCells } : undefined);
           },
           {
             maxAttempts: PRODUCTION_CONFIG.retry.processing.maxAttempts,
@@ -421,6 +448,9 @@ const ExcelJSViewer = ({
         
         // Store both for reference
         setWorksheets(visibleWorksheets);
+        setWhatIf(workbookData.whatIf || null);
+        setEditedInputs(new Map());
+        setLastChangeCount(null);
         self.allWorksheets = allWorksheetsData; // Store all sheets for worker reference
         
         // Load first visible sheet
@@ -466,7 +496,7 @@ const ExcelJSViewer = ({
     };
 
     loadExcelFile();
-  }, [file, isWorkerReady, loadWorkbook, onSuccess, onError, startMeasure, endMeasure, logPerformanceWarning, showToast]);
+  }, [file, isWorkerReady, loadWorkbook, inputCells, onSuccess, onError, startMeasure, endMeasure, logPerformanceWarning, showToast]);
 
   // Load sheet data
   const loadSheetData = useCallback(async (sheetIndex) => {
@@ -627,6 +657,14 @@ const ExcelJSViewer = ({
 
   // Handle cell click
   const handleCellClick = useCallback((row, col, value) => {
+    // Shift-click selects a range from the last plain click; exports use it
+    const anchor = selectionAnchorRef.current;
+    if (shiftKeyRef.current && anchor && row > 0 && col > 0) {
+      setSelectionRange(normalizeRange({ startRow: anchor.row, startCol: anchor.col, endRow: row, endCol: col }));
+    } else {
+      selectionAnchorRef.current = row > 0 && col > 0 ? { row, col } : null;
+      setSelectionRange(null);
+    }
     setSelectedCell({ row, col });
     if (accessibilityMode) {
       // Announce cell value for screen readers
@@ -638,6 +676,86 @@ const ExcelJSViewer = ({
     }
   }, [accessibilityMode]);
 
+  // What-if: the selected cell, when it is an editable input
+  const selectedInput = useMemo(() => {
+    if (!enableWhatIf || !whatIf?.enabled || !selectedCell || !sheetData?.cells) return null;
+    const cell = sheetData.cells.find(c => c.row === selectedCell.row && c.col === selectedCell.col);
+    if (!cell?.editable) return null;
+    const sheetName = worksheets[activeSheet]?.name || '';
+    return {
+      row: cell.row,
+      col: cell.col,
+      value: cell.value,
+      label: `${sheetName}!${getColumnName(cell.col)}${cell.row}`
+    };
+  }, [enableWhatIf, whatIf, selectedCell, sheetData, worksheets, activeSheet]);
+
+  // Write recalculated values into the loaded sheet; other sheets pick them up when reloaded
+  const applyRecalculatedCells = useCallback((changes, inputKey = null) => {
+    const sheetIndex = worksheets[activeSheet]?.originalIndex ?? activeSheet;
+    const updates = new Map(
+      changes
+        .filter(change => change.sheetIndex === sheetIndex)
+        .map(change => [`${change.row}:${change.col}`, change.value])
+    );
+    if (updates.size === 0) return;
+
+    setSheetData(prev => prev && {
+      ...prev,
+      cells: prev.cells.map(cell => {
+        const key = `${cell.row}:${cell.col}`;
+        if (!updates.has(key)) return cell;
+        return { ...cell, value: updates.get(key), recalculated: inputKey !== null && key !== inputKey };
+      })
+    });
+  }, [worksheets, activeSheet]);
+
+  // Conditional formats can depend on any cell in their range, so re-evaluate the whole viewport
+  const refreshConditionalFormats = useCallback(async () => {
+    if (!sheetData?.hasConditionalFormatting) return;
+    const sheetIndex = worksheets[activeSheet]?.originalIndex ?? activeSheet;
+    try {
+      const data = await processSheet(sheetIndex, { start: viewport.start, end: viewport.end });
+      setSheetData(data);
+    } catch (err) {
+      console.error('Failed to refresh conditional formatting:', err);
+    }
+  }, [sheetData?.hasConditionalFormatting, worksheets, activeSheet, processSheet, viewport]);
+
+  const handleWhatIfApply = useCallback(async (value) => {
+    if (!selectedInput) return;
+    const sheetIndex = worksheets[activeSheet]?.originalIndex ?? activeSheet;
+
+    setIsRecalculating(true);
+    try {
+      const { changes } = await setCellValue(sheetIndex, selectedInput.row, selectedInput.col, value);
+      applyRecalculatedCells(changes, `${selectedInput.row}:${selectedInput.col}`);
+      setLastChangeCount(Math.max(0, changes.length - 1));
+      setEditedInputs(prev => new Map(prev).set(selectedInput.label, value));
+      await refreshConditionalFormats();
+    } catch (err) {
+      showToast(err.message || 'Recalculation failed', 'error');
+    } finally {
+      setIsRecalculating(false);
+    }
+  }, [selectedInput, worksheets, activeSheet, setCellValue, applyRecalculatedCells, refreshConditionalFormats, showToast]);
+
+  const handleWhatIfReset = useCallback(async () => {
+    setIsRecalculating(true);
+    try {
+      const { changes } = await resetInputs();
+      applyRecalculatedCells(changes);
+      await refreshConditionalFormats();
+      setEditedInputs(new Map());
+      setLastChangeCount(null);
+      showToast('Inputs restored to the values in the file', 'info');
+    } catch (err) {
+      showToast(err.message || 'Reset failed', 'error');
+    } finally {
+      setIsRecalculating(false);
+    }
+  }, [resetInputs, applyRecalculatedCells, refreshConditionalFormats, showToast]);
+
   // Handle cell navigation with keyboard
   const handleCellNavigation = useCallback((direction) => {
     if (!sheetData) return;
@@ -711,18 +829,92 @@ const ExcelJSViewer = ({
     registerKeyboardShortcuts();
   }, [registerKeyboardShortcuts]);
 
+  // Ask once per model whether this visitor bought it; everyone else gets
+  // watermarked preview exports
+  const getExportEntitlement = useCallback(async () => {
+    if (!modelId) return { level: 'preview', watermark: true };
+    if (entitlementRef.current?.modelId === modelId) return entitlementRef.current;
+
+    try {
+      const response = await fetch(`/api/models/entitlement?modelId=${encodeURIComponent(modelId)}`);
+      if (!response.ok) {
+        throw new Error(`Entitlement check failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      entitlementRef.current = { ...data, modelId };
+      return entitlementRef.current;
+    } catch (err) {
+      console.warn('[ExcelJSViewer] Could not check export access:', err);
+      return { level: 'preview', watermark: true };
+    }
+  }, [modelId]);
+
+  // What an export will contain: the selection, else the print area, else the sheet
+  const exportScope = useMemo(() => {
+    if (selectionRange) return `Selection ${formatRangeRef(selectionRange)}`;
+    if (sheetData?.pageSetup?.printArea) return `Print area ${sheetData.pageSetup.printArea}`;
+    return 'Whole sheet · shift-click to export a range';
+  }, [selectionRange, sheetData?.pageSetup?.printArea]);
+
   // Handle export
   const handleExport = useCallback(async (format) => {
+    const worksheet = worksheets[activeSheet];
+    if (!worksheet || !sheetData || isExporting) return;
+
+    setIsExporting(true);
     try {
-      showToast(`Exporting as ${format.toUpperCase()}...`, 'info');
-      // TODO: Implement actual export functionality
-      setTimeout(() => {
-        showToast(`Exported successfully as ${format.toUpperCase()}`, 'success');
-      }, 1500);
+      const { watermark } = await getExportEntitlement();
+      if (format === 'xlsx' && watermark) {
+        showToast('Excel exports come with a purchase. Previews can be exported as PDF, PNG, CSV or JSON.', 'info');
+        return;
+      }
+
+      const { range } = resolveExportRange({
+        selection: selectionRange,
+        pageSetup: sheetData.pageSetup,
+        bounds: worksheet
+      });
+      const cellCount = (range.endRow - range.startRow + 1) * (range.endCol - range.startCol + 1);
+      if (cellCount > EXPORT_MAX_CELLS) {
+        showToast('This range is too large to export. Select a smaller range and try again.', 'warning');
+        return;
+      }
+
+      showToast(`Exporting ${formatRangeRef(range)} as ${format.toUpperCase()}...`, 'info');
+      const sheetIndex = worksheet.originalIndex ?? activeSheet;
+      let blob;
+      if (format === 'xlsx') {
+        blob = new Blob([await exportXlsx(sheetIndex, range)], { type: XLSX_MIME_TYPE });
+      } else {
+        // The grid only holds the viewport, so process the whole range first
+        const data = await processSheet(sheetIndex, {
+          start: { row: 0, col: 0 },
+          end: { row: range.endRow, col: range.endCol }
+        });
+        blob = await exportRange(format, {
+          sheetData: data,
+          range,
+          sheetName: worksheet.name,
+          container: sheetContainerRef.current,
+          watermark,
+          gridLines: showGridLines
+        });
+      }
+
+      downloadBlob(blob, getExportFileName({ fileName: title, sheetName: worksheet.name, format, watermark }));
+      showToast(
+        watermark
+          ? `Preview exported as ${format.toUpperCase()}. Purchase the model for unwatermarked exports.`
+          : `Exported successfully as ${format.toUpperCase()}`,
+        'success'
+      );
     } catch (err) {
+      console.error('[ExcelJSViewer] Export failed:', err);
       showToast('Export failed. Please try again.', 'error');
+    } finally {
+      setIsExporting(false);
     }
-  }, [showToast]);
+  }, [worksheets, activeSheet, sheetData, isExporting, getExportEntitlement, selectionRange, exportXlsx, processSheet, showGridLines, title, showToast]);
 
 
   // Handle search
@@ -834,6 +1026,8 @@ const ExcelJSViewer = ({
           onZoomChange={handleZoomChange}
           zoom={zoom}
           onExport={handleExport}
+          exportScope={exportScope}
+          isExporting={isExporting}
           onPrint={showPrintButton ? handlePrint : null}
           onSearch={showSearch ? () => setSearchOpen(true) : null}
           showGridLines={showGridLines}
@@ -854,7 +1048,24 @@ const ExcelJSViewer = ({
           />
         )}
         
-        <div className="flex-1 overflow-hidden relative" ref={sheetContainerRef}>
+        {enableWhatIf && whatIf?.enabled && !isPrintMode && (
+          <WhatIfBar
+            cellLabel={selectedInput?.label}
+            value={selectedInput?.value}
+            editedCount={editedInputs.size}
+            lastChangeCount={lastChangeCount}
+            isRecalculating={isRecalculating}
+            onApply={handleWhatIfApply}
+            onReset={handleWhatIfReset}
+            darkMode={darkMode}
+          />
+        )}
+
+        <div
+          className="flex-1 overflow-hidden relative"
+          ref={sheetContainerRef}
+          onMouseDownCapture={(event) => { shiftKeyRef.current = event.shiftKey; }}
+        >
           {!sheetData ? (
             <div className="absolute inset-0 flex items-center justify-center">
               <div className={`text-center ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -870,6 +1081,7 @@ const ExcelJSViewer = ({
               height={sheetDimensions.height}
               onCellClick={handleCellClick}
               selectedCell={selectedCell}
+              selectionRange={selectionRange}
               highlightedCells={searchResults}
               zoom={zoom}
               onViewportChange={handleViewportChange}
@@ -920,4 +1132,14 @@ const ExcelJSViewer = ({
   return content;
 };
 
-export default ExcelJSViewer;
\ No newline at end of file
+export default ExcelJSViewer;
+// Helper function to convert column index to letter (1 -> A, 2 -> B, etc.)
+function getColumnName(index) {
+  let name = '';
+  while (index > 0) {
+    index--;
+    name = String.fromCharCode(65 + (index % 26)) + name;
+    index = Math.floor(index / 26);
+  }
+  return name;
+}
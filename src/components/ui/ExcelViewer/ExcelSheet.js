@@ -1,6 +1,8 @@
 import React, { memo, useCallback, useMemo, useRef, useEffect, useState, forwardRef, useImperativeHandle, useLayoutEffect } from 'react';
 import { VariableSizeGrid as Grid } from 'react-window';
 import ExcelCell from './ExcelCell';
+import ConditionalFormatOverlay, { applyConditionalStyle } from './ConditionalFormatOverlay';
+import ExcelChart from './ExcelChart';
 import styles from '../../../styles/ExcelViewer.module.css';
 
 const HEADER_HEIGHT = 25;
@@ -13,6 +15,7 @@ const DEFAULT_COLUMN_WIDTH = 64; // 8.43 units * 7.5 pixels/unit ≈ 64 pixels
 const DEFAULT_ROW_HEIGHT = 20; // Excel default is 15 points = 20 pixels
 const EXCEL_COLUMN_WIDTH_TO_PIXEL = 7.0; // Reduced for better proportional accuracy
 const EXCEL_ROW_HEIGHT_TO_PIXEL = 1.333; // Excel stores row height in points, 1pt = 1.333px
+const EMU_PER_PIXEL = 9525; // Drawing offsets are in EMUs: 914400 per inch at 96 DPI
 
 const ExcelSheet = memo(forwardRef(({ 
   data = {},
@@ -20,6 +23,7 @@ const ExcelSheet = memo(forwardRef(({
   height = 600,
   onCellClick,
   selectedCell,
+  selectionRange = null,
   highlightedCells = [],
   zoom = 100,
   onViewportChange,
@@ -33,6 +37,7 @@ const ExcelSheet = memo(forwardRef(({
   const [dimensionsReady, setDimensionsReady] = useState(false);
   const cellDataMap = useRef(new Map());
   const spilloverMap = useRef(new Map()); // Map to track spillover data
+  const [cellMaps, setCellMaps] = useState(() => ({ cells: new Map(), spillover: new Map() })); // Maps the Cell renderer reads; replaced when rebuilt so cells re-render
   const [collapsedGroups, setCollapsedGroups] = useState(new Set()); // Track collapsed column groups
   const [collapsedRowGroups, setCollapsedRowGroups] = useState(new Set()); // Track collapsed row groups
 
@@ -225,6 +230,7 @@ const ExcelSheet = memo(forwardRef(({
     
     cellDataMap.current = newMap;
     spilloverMap.current = newSpilloverMap;
+    setCellMaps({ cells: newMap, spillover: newSpilloverMap });
     
     // Debug logging
     const cellsWithStyles = Array.from(newMap.values()).filter(cell => 
@@ -746,8 +752,8 @@ const ExcelSheet = memo(forwardRef(({
     // react-window rowIndex/columnIndex are 0-based, but our data cells start at 1,1
     // rowIndex=1,columnIndex=1 should map to Excel A1 which is stored as row:1,col:1
     const cellKey = `${rowIndex}-${columnIndex}`;
-    const cellData = cellDataMap.current.get(cellKey);
-    const spilloverData = spilloverMap.current.get(cellKey);
+    const cellData = cellMaps.cells.get(cellKey);
+    const spilloverData = cellMaps.spillover.get(cellKey);
     
     // Debug logging to verify correct mapping (only for development)
     if (process.env.NODE_ENV === 'development' && debugMode && cellData) {
@@ -757,6 +763,10 @@ const ExcelSheet = memo(forwardRef(({
     // Calculate selection and highlight state early
     const isSelected = selectedCell?.row === rowIndex && selectedCell?.col === columnIndex;
     const isHighlighted = highlightedCells.some(cell => cell.row === rowIndex && cell.col === columnIndex);
+    const isInSelection = !!selectionRange &&
+      rowIndex >= selectionRange.startRow && rowIndex <= selectionRange.endRow &&
+      columnIndex >= selectionRange.startCol && columnIndex <= selectionRange.endCol;
+    const selectionTint = darkMode && !isPrintMode ? 'rgba(96, 165, 250, 0.2)' : 'rgba(37, 99, 235, 0.12)';
     
     // Check if this column is in a collapsed group
     const isInCollapsedGroup = columnGroups.some(group => {
@@ -789,7 +799,7 @@ const ExcelSheet = memo(forwardRef(({
     
     // Handle spillover cells - these should show part of another cell's text
     if (!cellData && spilloverData) {
-      const sourceCell = cellDataMap.current.get(`${spilloverData.sourceRow}-${spilloverData.sourceCol}`);
+      const sourceCell = cellMaps.cells.get(`${spilloverData.sourceRow}-${spilloverData.sourceCol}`);
       if (sourceCell) {
         return (
           <div style={{ ...style, overflow: 'hidden', boxSizing: 'border-box' }}>
@@ -825,6 +835,7 @@ const ExcelSheet = memo(forwardRef(({
             ...style,
             borderRight: showGridLines ? (darkMode && !isPrintMode ? '1px solid #4b5563' : '1px solid #d1d5db') : 'none',
             borderBottom: showGridLines ? (darkMode && !isPrintMode ? '1px solid #4b5563' : '1px solid #d1d5db') : 'none',
+            backgroundColor: isInSelection ? selectionTint : undefined,
             cursor: 'cell'
           }}
           className={`${isPrintMode ? 'print:border-gray-200' : ''}`}
@@ -840,11 +851,16 @@ const ExcelSheet = memo(forwardRef(({
       range.sourceRow === rowIndex && range.sourceCol === columnIndex
     );
 
+    // Conditional formats are evaluated by the worker; icon sets may hide the value
+    const conditional = cellData.conditional;
+    // Preview copies scramble these values on the server; blurring hides that they are fake
+    const redactedStyle = cellData.redacted ? { filter: 'blur(4px)', userSelect: 'none' } : null;
+
     return (
-      <div style={{ ...style, overflow: 'hidden', boxSizing: 'border-box' }}>
+      <div style={{ ...style, overflow: 'hidden', boxSizing: 'border-box', ...redactedStyle }}>
         <ExcelCell
-          value={cellData.value} // Show actual value in source cells
-          style={cellData.style || {}}
+          value={conditional?.hideValue ? '' : cellData.value} // Show actual value in source cells
+          style={applyConditionalStyle(cellData.style || {}, conditional)}
           row={rowIndex}
           col={columnIndex}
           columnName={getColumnName(columnIndex)}
@@ -858,11 +874,20 @@ const ExcelSheet = memo(forwardRef(({
           accessibilityMode={accessibilityMode}
           showGridLines={showGridLines}
           isSpilloverSource={isSpilloverSource}
+          isEditable={!!cellData.editable}
+          isRecalculated={!!cellData.recalculated}
           zoom={zoom}
         />
+        <ConditionalFormatOverlay conditional={conditional} darkMode={darkMode && !isPrintMode} />
+        {isInSelection && (
+          <div
+            aria-hidden="true"
+            style={{ position: 'absolute', inset: 0, backgroundColor: selectionTint, pointerEvents: 'none' }}
+          />
+        )}
       </div>
     );
-  }, [getColumnWidth, getRowHeight, selectedCell, highlightedCells, onCellClick, darkMode, isPrintMode, accessibilityMode, showGridLines, data.spilloverRanges, zoom, columnGroups, collapsedGroups, rowGroups, collapsedRowGroups]);
+  }, [getColumnWidth, getRowHeight, selectedCell, selectionRange, highlightedCells, onCellClick, darkMode, isPrintMode, accessibilityMode, showGridLines, data.spilloverRanges, zoom, columnGroups, collapsedGroups, rowGroups, collapsedRowGroups, debugMode, cellMaps]);
 
   // Handle merged cells overlay
   const MergedCellsOverlay = useMemo(() => {
@@ -1187,6 +1212,30 @@ const ExcelSheet = memo(forwardRef(({
         );
       });
       
+      // Render charts at their drawing anchors, above cells like images
+      const chartsInGrid = data.charts?.map((chart, index) => {
+        const bounds = getAnchorBounds(chart.anchor, getColumnWidth, getRowHeight, zoomFactor);
+        if (!bounds || bounds.width <= 0 || bounds.height <= 0) return null;
+
+        return (
+          <div
+            key={`chart-${index}-${chart.id}`}
+            className="absolute pointer-events-auto"
+            style={{
+              left: `${bounds.left}px`,
+              top: `${bounds.top}px`,
+              width: `${bounds.width}px`,
+              height: `${bounds.height}px`,
+              zIndex: 5
+            }}
+            title={chart.title || chart.name || `Chart ${index + 1}`}
+            data-excel-chart={index} // Located by exportSheet.js to snapshot the rendered SVG
+          >
+            <ExcelChart chart={chart} zoomFactor={zoomFactor} darkMode={darkMode && !isPrintMode} />
+          </div>
+        );
+      });
+      
       // Render spillover overlays inside the scrollable area
       const spilloverOverlays = data.spilloverRanges?.map((spillRange, index) => {
         const sourceCell = cellDataMap.current.get(`${spillRange.sourceRow}-${spillRange.sourceCol}`);
@@ -1314,6 +1363,7 @@ const ExcelSheet = memo(forwardRef(({
         <div ref={ref} style={style} {...rest}>
           {children}
           {imagesInGrid}
+          {chartsInGrid}
           {spilloverOverlays}
         </div>
       );
@@ -1321,7 +1371,7 @@ const ExcelSheet = memo(forwardRef(({
     
     InnerElement.displayName = 'ExcelSheetInnerElement';
     return InnerElement;
-  }, [data.spilloverRanges, data.images, getColumnWidth, getRowHeight, darkMode, isPrintMode, zoomFactor, columnGroups, collapsedGroups]);
+  }, [data.spilloverRanges, data.images, data.charts, getColumnWidth, getRowHeight, darkMode, isPrintMode, zoomFactor, columnGroups, collapsedGroups]);
 
   // Don't render Grid until dimensions are ready to prevent misalignment
   if (!dimensionsReady && data.columnWidths) {
@@ -1409,6 +1459,29 @@ function getColumnName(index) {
   return name;
 }
 
+// Pixel box for a drawing anchor. Anchor cells are zero-based while grid
+// row/column 0 are the headers, so Excel cell n starts after n + 1 grid tracks.
+function getAnchorBounds(anchor, getColumnWidth, getRowHeight, zoomFactor) {
+  if (!anchor) return null;
+  const sum = (count, size) => Array.from({ length: count }, (_, i) => size(i)).reduce((a, b) => a + b, 0);
+  const toPixels = emu => (emu / EMU_PER_PIXEL) * zoomFactor;
+  const x = marker => sum(marker.col + 1, getColumnWidth) + toPixels(marker.colOff);
+  const y = marker => sum(marker.row + 1, getRowHeight) + toPixels(marker.rowOff);
+
+  if (anchor.type === 'absolute') {
+    const left = ROW_NUMBER_WIDTH * zoomFactor + toPixels(anchor.x);
+    const top = HEADER_HEIGHT * zoomFactor + toPixels(anchor.y);
+    return { left, top, width: toPixels(anchor.ext?.cx || 0), height: toPixels(anchor.ext?.cy || 0) };
+  }
+
+  const left = x(anchor.from);
+  const top = y(anchor.from);
+  if (anchor.type === 'oneCell' || !anchor.to) {
+    return { left, top, width: toPixels(anchor.ext?.cx || 0), height: toPixels(anchor.ext?.cy || 0) };
+  }
+  return { left, top, width: x(anchor.to) - left, height: y(anchor.to) - top };
+}
+
 // Helper function to convert Excel color objects to CSS color strings
 function convertColorForCSS(colorObj) {
   if (!colorObj) return null;
@@ -10,6 +10,8 @@ const ExcelToolbar = memo(({
   onZoomChange,
   zoom = 100,
   onExport,
+  exportScope = null, // e.g. "Selection B2:F20"; describes what an export will contain
+  isExporting = false,
   onPrint,
   onSearch,
   fileName = "Spreadsheet",
@@ -31,6 +33,7 @@ const ExcelToolbar = memo(({
     { format: 'xlsx', label: 'Excel (.xlsx)', icon: '📊' },
     { format: 'csv', label: 'CSV (.csv)', icon: '📄' },
     { format: 'pdf', label: 'PDF (.pdf)', icon: '📑' },
+    { format: 'png', label: 'PNG image (.png)', icon: '🖼' },
     { format: 'json', label: 'JSON (.json)', icon: '{ }' }
   ];
   // Hide toolbar in print mode
@@ -243,7 +246,8 @@ const ExcelToolbar = memo(({
               e.stopPropagation();
               setShowExportMenu(!showExportMenu);
             }}
-            className={`flex items-center space-x-2 px-3 py-2 rounded-lg font-medium transition-colors ${
+            disabled={isExporting}
+            className={`flex items-center space-x-2 px-3 py-2 rounded-lg font-medium transition-colors disabled:opacity-60 disabled:cursor-wait ${
               darkMode
                 ? 'bg-teal-500 text-white hover:bg-teal-600'
                 : 'bg-navy-700 text-white hover:bg-navy-800'
@@ -255,7 +259,7 @@ const ExcelToolbar = memo(({
             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
             </svg>
-            <span className="text-sm">Export</span>
+            <span className="text-sm">{isExporting ? 'Exporting…' : 'Export'}</span>
             <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
             </svg>
@@ -274,6 +278,13 @@ const ExcelToolbar = memo(({
                   darkMode ? 'bg-navy-700 border border-navy-600' : 'bg-white border border-gray-200'
                 }`}
               >
+                {exportScope && (
+                  <div className={`px-4 py-2 text-xs border-b ${
+                    darkMode ? 'text-gray-400 border-navy-600' : 'text-gray-500 border-gray-200'
+                  }`}>
+                    {exportScope}
+                  </div>
+                )}
                 {exportFormats.map(({ format, label }) => (
                   <button
                     key={format}
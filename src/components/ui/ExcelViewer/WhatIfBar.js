@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+
+// Parse what a prospect types into an input: "1,250", "4.5%", "(200)"
+export const parseInputValue = (text) => {
+  const trimmed = String(text).trim();
+  if (!trimmed) return null;
+
+  const negative = /^\(.*\)$/.test(trimmed);
+  const isPercent = trimmed.endsWith('%');
+  const cleaned = trimmed.replace(/[(),$%\s]/g, '');
+  const number = Number(cleaned);
+  if (cleaned === '' || !isFinite(number)) return null;
+
+  const value = isPercent ? number / 100 : number;
+  return negative ? -value : value;
+};
+
+const WhatIfBar = ({
+  cellLabel,
+  value,
+  editedCount = 0,
+  lastChangeCount = null,
+  isRecalculating = false,
+  onApply,
+  onReset,
+  darkMode = false
+}) => {
+  const [draft, setDraft] = useState('');
+  const [invalid, setInvalid] = useState(false);
+
+  // Show the selected input's current value whenever the selection changes
+  useEffect(() => {
+    setDraft(value === null || value === undefined ? '' : String(value));
+    setInvalid(false);
+  }, [cellLabel, value]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const parsed = parseInputValue(draft);
+    if (parsed === null) {
+      setInvalid(true);
+      return;
+    }
+    setInvalid(false);
+    onApply(parsed);
+  };
+
+  return (
+    <div
+      className={`flex flex-wrap items-center gap-3 px-4 py-2 text-sm border-b ${
+        darkMode ? 'bg-navy-800 border-navy-700 text-gray-200' : 'bg-blue-50 border-blue-100 text-gray-700'
+      }`}
+      role="region"
+      aria-label="What-if inputs"
+    >
+      {cellLabel ? (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2">
+          <label htmlFor="what-if-input" className="font-medium whitespace-nowrap">
+            {cellLabel}
+          </label>
+          <input
+            id="what-if-input"
+            type="text"
+            inputMode="decimal"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            aria-invalid={invalid}
+            className={`w-32 px-2 py-1 rounded border text-right font-mono ${
+              invalid
+                ? 'border-red-500'
+                : darkMode ? 'border-navy-600 bg-navy-900' : 'border-gray-300 bg-white'
+            }`}
+          />
+          <button
+            type="submit"
+            disabled={isRecalculating}
+            className={`px-3 py-1 rounded font-medium text-white ${
+              isRecalculating ? 'bg-gray-400' : 'bg-teal-600 hover:bg-teal-700'
+            }`}
+          >
+            {isRecalculating ? 'Calculating…' : 'Apply'}
+          </button>
+          {invalid && <span className="text-red-600">Enter a number</span>}
+        </form>
+      ) : (
+        <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>
+          Select a cell outlined in blue to try your own assumptions.
+        </span>
+      )}
+
+      <div className="flex items-center gap-3 ml-auto">
+        {lastChangeCount !== null && (
+          <span className={darkMode ? 'text-gray-400' : 'text-gray-500'} aria-live="polite">
+            {lastChangeCount} {lastChangeCount === 1 ? 'cell' : 'cells'} recalculated
+          </span>
+        )}
+        {editedCount > 0 && (
+          <button
+            type="button"
+            onClick={onReset}
+            disabled={isRecalculating}
+            className={`px-3 py-1 rounded border font-medium ${
+              darkMode ? 'border-navy-600 hover:bg-navy-700' : 'border-gray-300 hover:bg-white'
+            }`}
+          >
+            Reset {editedCount} {editedCount === 1 ? 'input' : 'inputs'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WhatIfBar;
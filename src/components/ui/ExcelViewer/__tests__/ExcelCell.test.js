@@ -289,6 +289,25 @@ describe('ExcelCell', () => {
       
       expect(screen.getByText('Text')).toBeInTheDocument();
     });
+
+    it('should apply section colors from the format', () => {
+      const style = { numberFormat: '#,##0;[Red](#,##0)' };
+      
+      render(<ExcelCell {...defaultProps} value={-1234} style={style} />);
+      
+      expect(screen.getByRole('gridcell')).toHaveStyle({ color: '#FF0000' });
+      expect(screen.getByRole('gridcell')).toHaveAttribute('title', '(1,234)');
+    });
+
+    it('should lay out accounting fills and padding', () => {
+      const style = { numberFormat: '_("$"* #,##0.00_);_("$"* (#,##0.00);_("$"* "-"??_);_(@_)' };
+      
+      render(<ExcelCell {...defaultProps} value={1234.5} style={style} />);
+      
+      expect(screen.getByText('$')).toBeInTheDocument();
+      expect(screen.getByText('1,234.50')).toBeInTheDocument();
+      expect(screen.getByRole('gridcell')).toHaveAttribute('title', '$1,234.50');
+    });
   });
 
   describe('Accessibility', () => {
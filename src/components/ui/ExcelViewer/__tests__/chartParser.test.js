@@ -0,0 +1,113 @@
+import { parseChartXml, parseChartExXml, parseXml } from '../../../../../public/chartParser';
+
+const C = 'xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"';
+
+// A cached series the way Excel writes it: formula reference plus cached points
+const series = (idx, name, values, extra = '') => `
+  <c:ser>
+    <c:idx val="${idx}"/><c:order val="${idx}"/>
+    <c:tx><c:strRef><c:f>Sheet1!$A$${idx + 2}</c:f><c:strCache><c:ptCount val="1"/><c:pt idx="0"><c:v>${name}</c:v></c:pt></c:strCache></c:strRef></c:tx>
+    ${extra}
+    <c:cat><c:strRef><c:f>Sheet1!$B$1:$D$1</c:f><c:strCache><c:ptCount val="3"/>
+      <c:pt idx="0"><c:v>2024</c:v></c:pt><c:pt idx="1"><c:v>2025</c:v></c:pt><c:pt idx="2"><c:v>2026</c:v></c:pt>
+    </c:strCache></c:strRef></c:cat>
+    <c:val><c:numRef><c:f>Sheet1!$B$2:$D$2</c:f><c:numCache><c:formatCode>#,##0</c:formatCode><c:ptCount val="3"/>
+      ${values.map((v, i) => (v === null ? '' : `<c:pt idx="${i}"><c:v>${v}</c:v></c:pt>`)).join('')}
+    </c:numCache></c:numRef></c:val>
+  </c:ser>`;
+
+describe('chartParser', () => {
+  it('decodes entities and strips namespace prefixes', () => {
+    const node = parseXml('<?xml version="1.0"?><c:t a:val="R&amp;D &#8364;">Sources &amp; Uses</c:t>');
+    expect(node.name).toBe('t');
+    expect(node.text).toBe('Sources & Uses');
+    expect(node.attrs.val).toBe('R&D €');
+  });
+
+  it('reads a bar and line combo with a secondary axis from cached values', () => {
+    const chart = parseChartXml(`
+      <c:chartSpace ${C}><c:chart>
+        <c:title><c:tx><c:rich><a:p><a:r><a:t>Revenue &amp; Margin</a:t></a:r></a:p></c:rich></c:tx></c:title>
+        <c:plotArea>
+          <c:barChart><c:barDir val="col"/><c:grouping val="stacked"/>
+            ${series(0, 'Revenue', [100, 120, null], '<c:spPr><a:solidFill><a:srgbClr val="c00000"/></a:solidFill></c:spPr>')}
+            <c:axId val="1"/><c:axId val="2"/>
+          </c:barChart>
+          <c:lineChart><c:grouping val="standard"/>
+            ${series(1, 'Margin', [0.1, 0.12, 0.15], '<c:spPr><a:ln><a:solidFill><a:schemeClr val="accent2"/></a:solidFill></a:ln></c:spPr>')}
+            <c:axId val="3"/><c:axId val="4"/>
+          </c:lineChart>
+          <c:catAx><c:axId val="1"/><c:axPos val="b"/></c:catAx>
+          <c:valAx><c:axId val="2"/><c:axPos val="l"/><c:numFmt formatCode="#,##0" sourceLinked="1"/></c:valAx>
+          <c:catAx><c:axId val="3"/><c:axPos val="b"/><c:delete val="1"/></c:catAx>
+          <c:valAx><c:axId val="4"/><c:axPos val="r"/><c:numFmt formatCode="0%" sourceLinked="0"/></c:valAx>
+        </c:plotArea>
+        <c:legend><c:legendPos val="b"/></c:legend>
+      </c:chart></c:chartSpace>`);
+
+    expect(chart.type).toBe('combo');
+    expect(chart.title).toBe('Revenue & Margin');
+    expect(chart.legend).toBe('b');
+    expect(chart.grouping).toBe('stacked');
+    expect(chart.categories).toEqual(['2024', '2025', '2026']);
+    expect(chart.secondaryValueFormat).toBe('0%');
+
+    const [revenue, margin] = chart.series;
+    expect(revenue).toMatchObject({ name: 'Revenue', type: 'bar', color: '#C00000', axis: 'primary', values: [100, 120, null] });
+    expect(margin).toMatchObject({ name: 'Margin', type: 'line', color: '#ED7D31', axis: 'secondary' });
+  });
+
+  it('keeps per-point pie colours and hides no-fill series', () => {
+    const chart = parseChartXml(`
+      <c:chartSpace ${C}><c:chart><c:autoTitleDeleted val="1"/><c:plotArea>
+        <c:pieChart><c:varyColors val="1"/>
+          ${series(0, 'Uses', [60, 30, 10], '<c:dPt><c:idx val="1"/><c:spPr><a:solidFill><a:srgbClr val="00B050"/></a:solidFill></c:spPr></c:dPt>')}
+        </c:pieChart>
+      </c:plotArea></c:chart></c:chartSpace>`);
+
+    expect(chart.type).toBe('pie');
+    expect(chart.title).toBeNull();
+    expect(chart.series[0].pointColors).toEqual({ 1: '#00B050' });
+    expect(chart.palette[0]).toBe('#4472C4');
+
+    const stacked = parseChartXml(`
+      <c:chartSpace ${C}><c:chart><c:plotArea>
+        <c:barChart><c:barDir val="col"/><c:grouping val="stacked"/>
+          ${series(0, 'Base', [0, 100, 80], '<c:spPr><a:noFill/><a:ln><a:noFill/></a:ln></c:spPr>')}
+          ${series(1, 'Step', [100, 20, 30])}
+        </c:barChart>
+      </c:plotArea></c:chart></c:chartSpace>`);
+    expect(stacked.series.map(s => s.hidden)).toEqual([true, false]);
+  });
+
+  it('reads chartEx waterfalls with subtotal points', () => {
+    const chart = parseChartExXml(`
+      <cx:chartSpace xmlns:cx="http://schemas.microsoft.com/office/drawing/2014/chartex">
+        <cx:chartData><cx:data id="0">
+          <cx:strDim type="cat"><cx:f>Sheet1!$A$2:$A$4</cx:f><cx:lvl ptCount="3">
+            <cx:pt idx="0">Equity</cx:pt><cx:pt idx="1">Debt</cx:pt><cx:pt idx="2">Total</cx:pt>
+          </cx:lvl></cx:strDim>
+          <cx:numDim type="val"><cx:f>Sheet1!$B$2:$B$4</cx:f><cx:lvl ptCount="3" formatCode="#,##0">
+            <cx:pt idx="0">400</cx:pt><cx:pt idx="1">600</cx:pt><cx:pt idx="2">1000</cx:pt>
+          </cx:lvl></cx:numDim>
+        </cx:data></cx:chartData>
+        <cx:chart>
+          <cx:title><cx:tx><cx:txData><cx:v>Sources</cx:v></cx:txData></cx:tx></cx:title>
+          <cx:plotArea><cx:plotAreaRegion>
+            <cx:series layoutId="waterfall"><cx:dataId val="0"/>
+              <cx:layoutPr><cx:subtotals><cx:idx val="2"/></cx:subtotals></cx:layoutPr>
+            </cx:series>
+          </cx:plotAreaRegion></cx:plotArea>
+        </cx:chart>
+      </cx:chartSpace>`);
+
+    expect(chart).toMatchObject({
+      type: 'waterfall',
+      title: 'Sources',
+      categories: ['Equity', 'Debt', 'Total'],
+      subtotals: [2],
+      valueFormat: '#,##0'
+    });
+    expect(chart.series[0].values).toEqual([400, 600, 1000]);
+  });
+});
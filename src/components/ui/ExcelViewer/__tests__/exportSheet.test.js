@@ -0,0 +1,99 @@
+import {
+  parseRangeRef,
+  resolveExportRange,
+  toCSV,
+  layoutRange,
+  paginate,
+  buildPdf,
+  PREVIEW_NOTICE
+} from '../exportSheet';
+
+const decode = bytes => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+describe('exportSheet', () => {
+  it('parses print areas, whole rows and whole columns', () => {
+    expect(parseRangeRef("'Cash Flow'!$B$2:$H$40")).toEqual({ startRow: 2, startCol: 2, endRow: 40, endCol: 8 });
+    expect(parseRangeRef('D5')).toEqual({ startRow: 5, startCol: 4, endRow: 5, endCol: 4 });
+    expect(parseRangeRef('$1:$3')).toEqual({ startRow: 1, endRow: 3, startCol: null, endCol: null });
+    expect(parseRangeRef('AA:AB')).toEqual({ startRow: null, endRow: null, startCol: 27, endCol: 28 });
+    expect(parseRangeRef('not a range')).toBeNull();
+  });
+
+  it('exports the selection, then the print area, then the whole sheet', () => {
+    const bounds = { rowCount: 120, columnCount: 12 };
+    const selection = { startRow: 9, startCol: 5, endRow: 3, endCol: 2 };
+
+    expect(resolveExportRange({ selection, pageSetup: { printArea: 'A1:F50' }, bounds })).toEqual({
+      range: { startRow: 3, startCol: 2, endRow: 9, endCol: 5 },
+      scope: 'selection'
+    });
+    expect(resolveExportRange({ selection: null, pageSetup: { printArea: 'A:F' }, bounds })).toEqual({
+      range: { startRow: 1, startCol: 1, endRow: 120, endCol: 6 },
+      scope: 'printArea'
+    });
+    expect(resolveExportRange({ selection: null, pageSetup: {}, bounds }).scope).toBe('sheet');
+  });
+
+  it('writes displayed values to CSV with quoting and a preview notice', () => {
+    const cells = [
+      { row: 1, col: 1, value: 'Revenue, net' },
+      { row: 1, col: 2, value: 1234.5, style: { numberFormat: '#,##0' } },
+      { row: 2, col: 1, value: 'He said "hi"' },
+      { row: 2, col: 2, value: 0.125, style: { numberFormat: '0.0%' } },
+      { row: 3, col: 2, value: 3, conditional: { hideValue: true } }
+    ];
+    const range = { startRow: 1, startCol: 1, endRow: 3, endCol: 2 };
+
+    expect(toCSV({ cells, range })).toBe('﻿"Revenue, net","1,235"\r\n"He said ""hi""",12.5%\r\n,\r\n');
+
+    const preview = toCSV({ cells, range, watermark: true });
+    expect(preview.startsWith(`﻿"${PREVIEW_NOTICE}"\r\n`)).toBe(true);
+  });
+
+  it('paginates down then over, repeats title rows and honours fit-to-width', () => {
+    // 10 columns of 100px and 60 rows of 20px = 750pt x 900pt
+    const sheetData = { columnWidths: {}, rowHeights: {}, defaultColWidth: 100 / 7, defaultRowHeight: 15 };
+    const range = { startRow: 1, startCol: 1, endRow: 60, endCol: 10 };
+    const layout = layoutRange(sheetData, range);
+    expect(layout.width).toBe(1000);
+    expect(layout.height).toBeCloseTo(60 * 19.995, 1);
+
+    const pageSetup = {
+      paperSize: 1,
+      orientation: 'portrait',
+      margins: { left: 0.5, right: 0.5, top: 0.5, bottom: 0.5 },
+      printTitlesRow: '1:2'
+    };
+    const { pages, scale } = paginate({ layout, range, pageSetup });
+    expect(scale).toBe(1);
+    // 540pt printable width fits 7 columns of 75pt; pages run down the first band first
+    expect(pages.map(page => [page.cols.start, page.rows.start])).toEqual([[1, 1], [1, 49], [8, 1], [8, 49]]);
+    expect(pages[0].titleRows).toBeNull();
+    expect(pages[1].titleRows).toEqual({ start: 1, end: 2 });
+
+    const fitted = paginate({ layout, range, pageSetup: { ...pageSetup, fitToPage: true, fitToWidth: 1, fitToHeight: 0 } });
+    expect(fitted.scale).toBeCloseTo(540 / 750, 5);
+    expect(new Set(fitted.pages.map(page => page.cols.start))).toEqual(new Set([1]));
+  });
+
+  it('writes a PDF whose cross-reference table points at each object', () => {
+    const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xd9]);
+    const pdf = buildPdf([
+      { pageWidth: 612, pageHeight: 792, x: 36, y: 36, width: 300, height: 200, image: { data: jpeg, width: 10, height: 8 } },
+      { pageWidth: 612, pageHeight: 792, x: 36, y: 36, width: 300, height: 100, image: { data: jpeg, width: 10, height: 4 } }
+    ]);
+    const text = decode(pdf);
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/Count 2 /Kids [3 0 R 6 0 R]');
+    expect(text).toContain('q 300.00 0 0 200.00 36.00 556.00 cm /Im1 Do Q');
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = text.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    expect(offsets).toHaveLength(8);
+    offsets.forEach((offset, index) => {
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { createFormulaEngine, parseFormula } from '../../../../../public/formulaEngine';
+
+// Build an engine from { 'A1': value | '=formula' } maps keyed by sheet name
+const buildEngine = (sheets, definedNames = []) => createFormulaEngine({
+  sheets: Object.entries(sheets).map(([name, cells]) => ({
+    name,
+    cells: Object.entries(cells).map(([ref, content]) => {
+      const [, letters, row] = ref.match(/^([A-Z]+)(\d+)$/);
+      const col = letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+      const isFormula = typeof content === 'string' && content.startsWith('=');
+      return {
+        row: Number(row),
+        col,
+        value: isFormula ? null : content,
+        formula: isFormula ? content.slice(1) : null
+      };
+    })
+  })),
+  definedNames
+});
+
+describe('formulaEngine', () => {
+  describe('parsing and operators', () => {
+    it('follows Excel operator precedence', () => {
+      const engine = buildEngine({ Sheet1: { A1: '=-2^2+10%' } });
+      engine.recalculateAll();
+      expect(engine.getValue('Sheet1', 1, 1)).toBeCloseTo(4.1);
+    });
+
+    it('parses cross-sheet and quoted sheet references', () => {
+      expect(() => parseFormula("'Input Sheet'!B2*Calc!C3")).not.toThrow();
+    });
+  });
+
+  describe('functions', () => {
+    it('evaluates financial functions', () => {
+      const engine = buildEngine({
+        Sheet1: {
+          A1: -1000, A2: 300, A3: 400, A4: 500,
+          B1: '=IRR(A1:A4)',
+          B2: '=NPV(0.1,A2:A4)+A1',
+          B3: '=PMT(0.05/12,360,200000)'
+        }
+      });
+      engine.recalculateAll();
+
+      expect(engine.getValue('Sheet1', 1, 2)).toBeCloseTo(0.0889633947, 6);
+      expect(engine.getValue('Sheet1', 2, 2)).toBeCloseTo(-21.0368, 3);
+      expect(engine.getValue('Sheet1', 3, 2)).toBeCloseTo(-1073.64, 2);
+    });
+
+    it('evaluates lookups and conditional aggregates', () => {
+      const engine = buildEngine({
+        Sheet1: {
+          A1: 'North', B1: 10,
+          A2: 'South', B2: 20,
+          A3: 'North', B3: 30,
+          C1: '=SUMIFS(B1:B3,A1:A3,"North")',
+          C2: '=INDEX(B1:B3,MATCH("South",A1:A3,0))',
+          C3: '=VLOOKUP("North",A1:B3,2,FALSE)'
+        }
+      });
+      engine.recalculateAll();
+
+      expect(engine.getValue('Sheet1', 1, 3)).toBe(40);
+      expect(engine.getValue('Sheet1', 2, 3)).toBe(20);
+      expect(engine.getValue('Sheet1', 3, 3)).toBe(10);
+    });
+
+    it('keeps the cached value of unsupported formulas', () => {
+      const engine = buildEngine({ Sheet1: { A1: 5, B1: '=WEBSERVICE(A1)' } });
+      expect(engine.stats.unsupported).toBe(1);
+      expect(engine.unsupportedCells()).toHaveLength(1);
+    });
+  });
+
+  describe('conditional formatting formulas', () => {
+    const engine = buildEngine({ Sheet1: { A1: 5, A2: 12, B1: 10, B2: 10 } });
+    engine.recalculateAll();
+
+    it('shifts relative references from the anchor cell', () => {
+      expect(engine.evaluate('Sheet1', 'A1>$B$1', { row: 1, col: 1 })).toBe(false);
+      expect(engine.evaluate('Sheet1', 'A1>$B$1', { row: 2, col: 1, anchorRow: 1, anchorCol: 1 })).toBe(true);
+    });
+
+    it('reports errors and unsupported formulas', () => {
+      expect(engine.evaluate('Sheet1', 'A1/0', { row: 1, col: 1 })).toBe('#DIV/0!');
+      expect(engine.evaluate('Sheet1', 'WEBSERVICE(A1)', { row: 1, col: 1 })).toBeUndefined();
+    });
+  });
+
+  describe('what-if recalculation', () => {
+    const model = () => buildEngine({
+      Inputs: { B1: 0.05, B2: 1000 },
+      Calc: {
+        A1: '=Inputs!B2*(1+Inputs!B1)',
+        A2: '=A1*2',
+        A3: '=SUM(A1:A2)',
+        A4: 'Unrelated'
+      }
+    });
+
+    it('only offers constants that formulas read as inputs', () => {
+      const engine = model();
+      expect(engine.isInputCandidate('Inputs', 1, 2)).toBe(true);
+      expect(engine.isInputCandidate('Calc', 1, 1)).toBe(false);
+      expect(engine.isInputCandidate('Calc', 4, 1)).toBe(false);
+    });
+
+    it('recalculates every dependent across sheets', () => {
+      const engine = model();
+      engine.recalculateAll();
+
+      const changes = engine.setValue('Inputs', 1, 2, 0.1);
+      const changed = changes.map(c => `${c.sheet}!${c.row},${c.col}`);
+
+      expect(changed).toEqual(expect.arrayContaining(['Inputs!1,2', 'Calc!1,1', 'Calc!2,1', 'Calc!3,1']));
+      expect(engine.getValue('Calc', 3, 1)).toBeCloseTo(3300);
+      expect(engine.isChanged('Calc', 2, 1)).toBe(true);
+    });
+
+    it('marks every cell in a circular reference #REF! instead of keeping stale values', () => {
+      const engine = buildEngine({
+        Inputs: { B1: 10 },
+        Calc: {
+          A1: '=Inputs!B1+A2',
+          A2: '=A1*2',
+          A3: '=A1+1',
+          B1: '=B1+1',
+          C1: '=Inputs!B1*3'
+        }
+      });
+      engine.recalculateAll();
+
+      expect(engine.getValue('Calc', 1, 1)).toBe('#REF!');
+      expect(engine.getValue('Calc', 2, 1)).toBe('#REF!');
+      expect(engine.getValue('Calc', 3, 1)).toBe('#REF!');
+      expect(engine.getValue('Calc', 1, 2)).toBe('#REF!');
+
+      engine.setValue('Inputs', 1, 2, 20);
+
+      expect(engine.getValue('Calc', 1, 1)).toBe('#REF!');
+      expect(engine.getValue('Calc', 3, 1)).toBe('#REF!');
+      expect(engine.getValue('Calc', 1, 3)).toBe(60);
+    });
+
+    it('restores the original values on reset', () => {
+      const engine = model();
+      engine.recalculateAll();
+      engine.setValue('Inputs', 2, 2, 2000);
+
+      const changes = engine.reset();
+
+      expect(changes.length).toBeGreaterThan(0);
+      expect(engine.getValue('Calc', 3, 1)).toBeCloseTo(3150);
+      expect(engine.isChanged('Calc', 3, 1)).toBe(false);
+    });
+
+    it('rejects edits to formula cells', () => {
+      const engine = model();
+      expect(() => engine.setValue('Calc', 1, 1, 5)).toThrow(/formula cell/);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { formatCellValue, formatGeneral, isDateFormat } from '../numberFormat';
+
+const text = (value, format) => formatCellValue(value, format).text;
+
+describe('numberFormat', () => {
+  describe('Numbers', () => {
+    it('should round and group like Excel', () => {
+      expect(text(1234.5, '$#,##0.00')).toBe('$1,234.50');
+      expect(text(123.456, '0.00')).toBe('123.46');
+      expect(text(1.005, '0.00')).toBe('1.01');
+      expect(text(-1234.5, '#,##0')).toBe('-1,235');
+    });
+
+    it('should keep literal suffixes such as multiples', () => {
+      expect(text(12.345, '#,##0.0x')).toBe('12.3x');
+      expect(text(12.345, '0.0"x"')).toBe('12.3x');
+      expect(text(3, '0 "acres"')).toBe('3 acres');
+      expect(text(42, '"Month" 0')).toBe('Month 42');
+    });
+
+    it('should scale by trailing commas', () => {
+      expect(text(1234567, '#,##0,"K"')).toBe('1,235K');
+      expect(text(1234567890, '$#,##0.0,,"M"')).toBe('$1,234.6M');
+    });
+
+    it('should format percentages', () => {
+      expect(text(0.1234, '0.00%')).toBe('12.34%');
+      expect(text(0.5, '0%')).toBe('50%');
+    });
+
+    it('should drop optional digits', () => {
+      expect(text(0.5, '#.##')).toBe('.5');
+      expect(text(5, '#.##')).toBe('5.');
+      expect(text(0, '#,##0')).toBe('0');
+    });
+
+    it('should place digits around literals', () => {
+      expect(text(123456789, '000-00-0000')).toBe('123-45-6789');
+      expect(text(7, '000')).toBe('007');
+    });
+
+    it('should format scientific and engineering notation', () => {
+      expect(text(12345, '0.00E+00')).toBe('1.23E+04');
+      expect(text(0.00012, '0.00E+00')).toBe('1.20E-04');
+      expect(text(12345, '##0.0E+0')).toBe('12.3E+3');
+    });
+
+    it('should format fractions', () => {
+      expect(text(1.5, '# ?/?')).toBe('1 1/2');
+      expect(text(2.25, '# ?/4')).toBe('2 1/4');
+      expect(text(0.3333, '?/8')).toBe('3/8');
+      expect(text(3, '# ?/?').trimEnd()).toBe('3');
+    });
+  });
+
+  describe('Sections', () => {
+    it('should use the negative section without a minus sign', () => {
+      expect(text(-0.052, '0.0%;(0.0%)')).toBe('(5.2%)');
+      expect(text(-3, '0.0x;(0.0x)')).toBe('(3.0x)');
+    });
+
+    it('should use the zero section', () => {
+      expect(text(0, '0;-0;"zero"')).toBe('zero');
+    });
+
+    it('should hide values with empty sections', () => {
+      expect(text(-1, '0.00;;')).toBe('');
+    });
+
+    it('should apply the text section to text values', () => {
+      expect(text('hello', '@" units"')).toBe('hello units');
+      expect(text('Text', '$#,##0.00')).toBe('Text');
+    });
+
+    it('should return section colours', () => {
+      expect(formatCellValue(-1234, '#,##0;[Red](#,##0)')).toEqual(
+        expect.objectContaining({ text: '(1,234)', color: '#FF0000' })
+      );
+      expect(formatCellValue(1234, '#,##0;[Red](#,##0)').color).toBeNull();
+      expect(formatCellValue(1234, '[Color10]#,##0').color).toBe('#008000');
+    });
+
+    it('should pick sections by condition', () => {
+      expect(formatCellValue(150, '[>100][Red]0;[Blue]0')).toEqual(
+        expect.objectContaining({ text: '150', color: '#FF0000' })
+      );
+      expect(formatCellValue(50, '[>100][Red]0;[Blue]0')).toEqual(
+        expect.objectContaining({ text: '50', color: '#0000FF' })
+      );
+    });
+
+    it('should show locale currency symbols', () => {
+      expect(text(1234.5, '[$€-407]#,##0.00')).toBe('€1,234.50');
+      expect(text(1234.5, '[$-409]#,##0.00')).toBe('1,234.50');
+    });
+  });
+
+  describe('Accounting layout', () => {
+    const accounting = '_("$"* #,##0.00_);_("$"* (#,##0.00);_("$"* "-"??_);_(@_)';
+
+    it('should keep padding and fill characters as parts', () => {
+      expect(formatCellValue(1234.5, accounting).parts).toEqual([
+        { type: 'pad', value: '(' },
+        { type: 'text', value: '$' },
+        { type: 'fill', value: ' ' },
+        { type: 'text', value: '1,234.50' },
+        { type: 'pad', value: ')' }
+      ]);
+    });
+
+    it('should format negatives, zero and text', () => {
+      expect(text(-5, accounting).trim()).toBe('$(5.00)');
+      expect(text(0, accounting).trim()).toBe('$-');
+      expect(text('n/a', accounting).trim()).toBe('n/a');
+    });
+
+    it('should pad with the width of the given character', () => {
+      expect(text(1234, '#,##0_);(#,##0)')).toBe('1,234 ');
+    });
+  });
+
+  describe('Dates and times', () => {
+    it('should format date serials', () => {
+      expect(text(45292, 'yyyy-mm-dd')).toBe('2024-01-01');
+      expect(text(45292, 'd-mmm-yy')).toBe('1-Jan-24');
+      expect(text(45292, 'mmmm d, yyyy')).toBe('January 1, 2024');
+      expect(text(45292, 'mmm-yy')).toBe('Jan-24');
+      expect(text(45292.5, 'dddd')).toBe('Monday');
+    });
+
+    it('should format JS dates from ExcelJS', () => {
+      expect(text(new Date(Date.UTC(2024, 0, 15)), 'dd/mm/yyyy')).toBe('15/01/2024');
+    });
+
+    it('should keep the 1900 leap-year bug', () => {
+      expect(text(60, 'm/d/yyyy')).toBe('2/29/1900');
+      expect(text(61, 'm/d/yyyy')).toBe('3/1/1900');
+    });
+
+    it('should tell minutes from months', () => {
+      expect(text(45292.75, 'h:mm AM/PM')).toBe('6:00 PM');
+      expect(text(0.5 + 1 / 1440 * 5, 'hh:mm')).toBe('12:05');
+      expect(text(1 / 1440 * 61, 'mm:ss')).toBe('01:00');
+    });
+
+    it('should format elapsed time and fractional seconds', () => {
+      expect(text(1.5, '[h]:mm:ss')).toBe('36:00:00');
+      expect(text(0.000694444, 'mm:ss.00')).toBe('01:00.00');
+    });
+
+    it('should detect date formats', () => {
+      expect(isDateFormat('d-mmm-yy')).toBe(true);
+      expect(isDateFormat('[h]:mm')).toBe(true);
+      expect(isDateFormat('#,##0.0 "bps"')).toBe(false);
+    });
+  });
+
+  describe('General', () => {
+    it('should limit the width of General numbers', () => {
+      expect(formatGeneral(1 / 3)).toBe('0.333333333');
+      expect(formatGeneral(123456.789012)).toBe('123456.789');
+      expect(formatGeneral(-42)).toBe('-42');
+    });
+
+    it('should switch to scientific notation', () => {
+      expect(formatGeneral(123456789012)).toBe('1.23457E+11');
+      expect(formatGeneral(1.5e-12)).toBe('1.5E-12');
+    });
+  });
+});
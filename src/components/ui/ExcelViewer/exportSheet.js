@@ -0,0 +1,1121 @@
+// Client-side exports of the previewed sheet: CSV, JSON, PNG and PDF.
+// Everything is drawn from the cells the worker already processed, so exports
+// match the grid (number formats, conditional formats, what-if results).
+// PDF pages follow the workbook's page setup: print area, paper size,
+// orientation, margins, scaling / fit-to-page and repeated title rows.
+
+import { formatCellValue, formatGeneral } from './numberFormat';
+import { convertARGBToHex } from './ExcelCell';
+import { applyConditionalStyle, getIconGlyph } from './ConditionalFormatOverlay';
+
+// Same conversions as ExcelSheet so exports keep the on-screen proportions
+const DEFAULT_COLUMN_WIDTH = 64;
+const DEFAULT_ROW_HEIGHT = 20;
+const EXCEL_COLUMN_WIDTH_TO_PIXEL = 7.0;
+const EXCEL_ROW_HEIGHT_TO_PIXEL = 1.333;
+const EMU_PER_PIXEL = 9525;
+
+const POINTS_PER_PIXEL = 0.75;
+const POINTS_PER_INCH = 72;
+const PDF_RENDER_DPI = 150;
+const PNG_SCALE = 2;
+const MAX_CANVAS_PIXELS = 40 * 1000 * 1000;
+const MAX_CANVAS_SIDE = 16000;
+const CELL_PADDING = 3;
+const INDENT_WIDTH = 9;
+
+// Paper sizes in points keyed by the OOXML paperSize code
+const PAPER_SIZES = {
+  1: [612, 792], // Letter
+  3: [792, 1224], // Tabloid
+  5: [612, 1008], // Legal
+  8: [842, 1191], // A3
+  9: [595, 842], // A4
+  11: [420, 595] // A5
+};
+
+const DEFAULT_MARGINS = { left: 0.7, right: 0.7, top: 0.75, bottom: 0.75 };
+
+const BORDER_WIDTHS = {
+  hair: 0.5,
+  thin: 1,
+  dotted: 1,
+  dashed: 1,
+  dashDot: 1,
+  dashDotDot: 1,
+  medium: 2,
+  mediumDashed: 2,
+  mediumDashDot: 2,
+  mediumDashDotDot: 2,
+  slantDashDot: 2,
+  thick: 3,
+  double: 3
+};
+
+const BORDER_DASHES = {
+  dotted: [1, 2],
+  dashed: [4, 2],
+  mediumDashed: [6, 3],
+  dashDot: [4, 2, 1, 2],
+  mediumDashDot: [6, 3, 2, 3],
+  dashDotDot: [4, 2, 1, 2, 1, 2],
+  mediumDashDotDot: [6, 3, 2, 3, 2, 3],
+  slantDashDot: [6, 2, 2, 2]
+};
+
+export const PREVIEW_NOTICE = 'Preview export from Zencap Advisors. Purchase this model at zencap.co for full, unwatermarked exports.';
+const WATERMARK_TEXT = 'ZENCAP PREVIEW';
+
+export const EXPORT_EXTENSIONS = {
+  csv: 'csv',
+  json: 'json',
+  png: 'png',
+  pdf: 'pdf',
+  xlsx: 'xlsx'
+};
+
+// ---------------------------------------------------------------------------
+// Ranges
+// ---------------------------------------------------------------------------
+
+export function columnToNumber(letters) {
+  return String(letters).toUpperCase().split('').reduce((total, char) => total * 26 + char.charCodeAt(0) - 64, 0);
+}
+
+export function numberToColumn(number) {
+  let name = '';
+  let index = number;
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    index = Math.floor((index - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Parse "Sheet1!$A$1:$H$40", "B2", "1:3" or "A:C". Whole-row and whole-column
+ * references leave the other axis null so the caller can fill in the sheet bounds.
+ * @returns {{ startRow: number|null, startCol: number|null, endRow: number|null, endCol: number|null } | null}
+ */
+export function parseRangeRef(ref) {
+  if (!ref) return null;
+  const cleaned = String(ref).trim().replace(/^.*!/, '').replace(/\$/g, '').toUpperCase();
+  const [from, to = from] = cleaned.split(':');
+
+  const cellPattern = /^([A-Z]{1,3})(\d+)$/;
+  const start = from.match(cellPattern);
+  const end = to.match(cellPattern);
+  if (start && end) {
+    return normalizeRange({
+      startRow: Number(start[2]),
+      startCol: columnToNumber(start[1]),
+      endRow: Number(end[2]),
+      endCol: columnToNumber(end[1])
+    });
+  }
+
+  if (/^\d+$/.test(from) && /^\d+$/.test(to)) {
+    return { startRow: Math.min(from, to), endRow: Math.max(from, to), startCol: null, endCol: null };
+  }
+
+  if (/^[A-Z]{1,3}$/.test(from) && /^[A-Z]{1,3}$/.test(to)) {
+    const a = columnToNumber(from);
+    const b = columnToNumber(to);
+    return { startRow: null, endRow: null, startCol: Math.min(a, b), endCol: Math.max(a, b) };
+  }
+
+  return null;
+}
+
+export function normalizeRange({ startRow, startCol, endRow, endCol }) {
+  return {
+    startRow: Math.min(startRow, endRow),
+    startCol: Math.min(startCol, endCol),
+    endRow: Math.max(startRow, endRow),
+    endCol: Math.max(startCol, endCol)
+  };
+}
+
+export function formatRangeRef(range) {
+  const start = `${numberToColumn(range.startCol)}${range.startRow}`;
+  const end = `${numberToColumn(range.endCol)}${range.endRow}`;
+  return start === end ? start : `${start}:${end}`;
+}
+
+/**
+ * Pick what to export: the selected range, else the sheet's print area, else
+ * the used range of the sheet.
+ * @returns {{ range: object, scope: 'selection'|'printArea'|'sheet' }}
+ */
+export function resolveExportRange({ selection, pageSetup, bounds }) {
+  const lastRow = Math.max(bounds?.rowCount || 1, 1);
+  const lastCol = Math.max(bounds?.columnCount || 1, 1);
+
+  if (selection) {
+    return { range: normalizeRange(selection), scope: 'selection' };
+  }
+
+  const printArea = parseRangeRef(pageSetup?.printArea);
+  if (printArea) {
+    return {
+      range: {
+        startRow: printArea.startRow ?? 1,
+        startCol: printArea.startCol ?? 1,
+        endRow: printArea.endRow ?? lastRow,
+        endCol: printArea.endCol ?? lastCol
+      },
+      scope: 'printArea'
+    };
+  }
+
+  return { range: { startRow: 1, startCol: 1, endRow: lastRow, endCol: lastCol }, scope: 'sheet' };
+}
+
+// ---------------------------------------------------------------------------
+// Cell values
+// ---------------------------------------------------------------------------
+
+const EMPTY_TEXT = { text: '', color: null, numeric: false };
+
+/**
+ * The text a cell shows on screen, with the colour its number format picks
+ */
+export function getCellText(cell) {
+  if (!cell || cell.conditional?.hideValue) return EMPTY_TEXT;
+
+  const { value } = cell;
+  const format = cell.style?.numberFormat;
+  if (value === null || value === undefined || value === '') return EMPTY_TEXT;
+
+  if (typeof value === 'number' || value instanceof Date) {
+    if (format && format !== 'General') {
+      const formatted = formatCellValue(value, format);
+      return { text: formatted.text.trim(), color: formatted.color || null, numeric: true };
+    }
+    return {
+      text: value instanceof Date ? value.toLocaleDateString() : formatGeneral(value),
+      color: null,
+      numeric: true
+    };
+  }
+
+  if (typeof value === 'boolean') {
+    return { text: value ? 'TRUE' : 'FALSE', color: null, numeric: false };
+  }
+
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return { ...EMPTY_TEXT, text: value.richText.map(rt => rt.text || '').join('') };
+    if (value.error) return { ...EMPTY_TEXT, text: String(value.error).startsWith('#') ? value.error : `#${value.error}` };
+    if (value.result !== undefined) return getCellText({ ...cell, value: value.result });
+    if (value.text !== undefined) return { ...EMPTY_TEXT, text: String(value.text) };
+    return EMPTY_TEXT;
+  }
+
+  const text = String(value);
+  if (format && format !== 'General') {
+    const formatted = formatCellValue(text, format);
+    return { text: formatted.text.trim(), color: formatted.color || null, numeric: false };
+  }
+  return { ...EMPTY_TEXT, text };
+}
+
+// Raw value for JSON exports; dates become ISO strings
+function getCellRawValue(cell) {
+  if (!cell || cell.value === null || cell.value === undefined || cell.value === '') return null;
+  const { value } = cell;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return getCellText(cell).text;
+  return value;
+}
+
+function indexCells(cells = []) {
+  const map = new Map();
+  cells.forEach(cell => map.set(`${cell.row}-${cell.col}`, cell));
+  return map;
+}
+
+function rangeRows(range, cellMap, read) {
+  const rows = [];
+  for (let row = range.startRow; row <= range.endRow; row++) {
+    const values = [];
+    for (let col = range.startCol; col <= range.endCol; col++) {
+      values.push(read(cellMap.get(`${row}-${col}`)));
+    }
+    rows.push(values);
+  }
+  return rows;
+}
+
+function escapeCsvField(text) {
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the displayed values. Starts with a BOM so Excel reads UTF-8, and
+ * preview exports carry a notice row first.
+ */
+export function toCSV({ cells, range, watermark = false }) {
+  const lines = rangeRows(range, indexCells(cells), cell => escapeCsvField(getCellText(cell).text))
+    .map(values => values.join(','));
+  if (watermark) lines.unshift(escapeCsvField(PREVIEW_NOTICE));
+  return `﻿${lines.join('\r\n')}\r\n`;
+}
+
+export function toJSON({ cells, range, sheetName, watermark = false }) {
+  const cellMap = indexCells(cells);
+  return JSON.stringify({
+    sheet: sheetName,
+    range: formatRangeRef(range),
+    ...(watermark && { notice: PREVIEW_NOTICE }),
+    values: rangeRows(range, cellMap, getCellRawValue),
+    text: rangeRows(range, cellMap, cell => getCellText(cell).text)
+  }, null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// Layout
+// ---------------------------------------------------------------------------
+
+// Running offsets along one axis, extended on demand so drawings anchored
+// beyond the exported range can still be placed
+function createTrack(size) {
+  const starts = [0, 0];
+  return (index) => {
+    while (starts.length <= index) {
+      const last = starts.length - 1;
+      starts.push(starts[last] + size(last));
+    }
+    return starts[Math.max(index, 1)];
+  };
+}
+
+/**
+ * Pixel geometry of a range at 100% zoom, measured from its top-left corner
+ */
+export function layoutRange(sheetData, range) {
+  const defaultWidth = sheetData.defaultColWidth > 0
+    ? sheetData.defaultColWidth * EXCEL_COLUMN_WIDTH_TO_PIXEL
+    : DEFAULT_COLUMN_WIDTH;
+  const defaultHeight = sheetData.defaultRowHeight > 0
+    ? sheetData.defaultRowHeight * EXCEL_ROW_HEIGHT_TO_PIXEL
+    : DEFAULT_ROW_HEIGHT;
+
+  const colWidth = (col) => {
+    const width = sheetData.columnWidths?.[col];
+    if (width === undefined || width === null) return defaultWidth;
+    if (width === 0) return 0;
+    if (width < 0.5) return 1;
+    return Math.round(Math.min(width * EXCEL_COLUMN_WIDTH_TO_PIXEL, 400));
+  };
+  const rowHeight = (row) => {
+    const height = sheetData.rowHeights?.[row];
+    if (height === undefined || height === null) return defaultHeight;
+    if (height === 0) return 0;
+    if (height < 5) return 1;
+    return Math.round(height > 100 ? height : height * EXCEL_ROW_HEIGHT_TO_PIXEL);
+  };
+
+  const colTrack = createTrack(colWidth);
+  const rowTrack = createTrack(rowHeight);
+  const colLeft = col => colTrack(col) - colTrack(range.startCol);
+  const rowTop = row => rowTrack(row) - rowTrack(range.startRow);
+
+  return {
+    range,
+    colWidth,
+    rowHeight,
+    colLeft,
+    rowTop,
+    width: colLeft(range.endCol + 1),
+    height: rowTop(range.endRow + 1)
+  };
+}
+
+// Drawing anchors use zero-based cells and EMU offsets
+function getDrawingBounds(anchor, layout) {
+  if (!anchor) return null;
+  const toPixels = emu => (emu || 0) / EMU_PER_PIXEL;
+  const x = marker => layout.colLeft(marker.col + 1) + toPixels(marker.colOff);
+  const y = marker => layout.rowTop(marker.row + 1) + toPixels(marker.rowOff);
+
+  if (anchor.type === 'absolute') {
+    return {
+      left: layout.colLeft(1) + toPixels(anchor.x),
+      top: layout.rowTop(1) + toPixels(anchor.y),
+      width: toPixels(anchor.ext?.cx),
+      height: toPixels(anchor.ext?.cy)
+    };
+  }
+
+  const left = x(anchor.from);
+  const top = y(anchor.from);
+  if (anchor.type === 'oneCell' || !anchor.to) {
+    return { left, top, width: toPixels(anchor.ext?.cx), height: toPixels(anchor.ext?.cy) };
+  }
+  return { left, top, width: x(anchor.to) - left, height: y(anchor.to) - top };
+}
+
+function getImageBounds(position, layout) {
+  const toPixels = emu => (emu || 0) / EMU_PER_PIXEL;
+  const left = layout.colLeft(position.startCol + 1) + toPixels(position.tlColOffset);
+  const top = layout.rowTop(position.startRow + 1) + toPixels(position.tlRowOffset);
+  const right = layout.colLeft(Math.floor(position.brCol) + 1) + toPixels(position.brColOffset);
+  const bottom = layout.rowTop(Math.floor(position.brRow) + 1) + toPixels(position.brRowOffset);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// ---------------------------------------------------------------------------
+// Drawing
+// ---------------------------------------------------------------------------
+
+function toColor(color, fallback = null) {
+  if (!color) return fallback;
+  return convertARGBToHex(color) || fallback;
+}
+
+function fontFor(font = {}) {
+  const size = (font.size || 11) * (96 / 72);
+  const family = font.name ? `"${font.name}", Calibri, Arial, sans-serif` : 'Calibri, Arial, sans-serif';
+  return `${font.italic ? 'italic ' : ''}${font.bold ? 'bold ' : ''}${size.toFixed(2)}px ${family}`;
+}
+
+function wrapLines(ctx, text, maxWidth) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function buildMergeIndex(mergedCells = []) {
+  const masters = new Map();
+  const covered = new Set();
+  mergedCells.forEach(merge => {
+    masters.set(`${merge.startRow}-${merge.startCol}`, merge);
+    for (let row = merge.startRow; row <= merge.endRow; row++) {
+      for (let col = merge.startCol; col <= merge.endCol; col++) {
+        if (row !== merge.startRow || col !== merge.startCol) covered.add(`${row}-${col}`);
+      }
+    }
+  });
+  return { masters, covered };
+}
+
+// Visit every visible cell box of a region, with merged cells as one box
+function eachCellBox(region, context, visit) {
+  const { layout, cellMap, merges } = context;
+  for (let row = region.startRow; row <= region.endRow; row++) {
+    if (layout.rowHeight(row) === 0) continue;
+    for (let col = region.startCol; col <= region.endCol; col++) {
+      const key = `${row}-${col}`;
+      if (merges.covered.has(key) || layout.colWidth(col) === 0) continue;
+
+      const merge = merges.masters.get(key);
+      const lastRow = merge ? Math.min(merge.endRow, region.endRow) : row;
+      const lastCol = merge ? Math.min(merge.endCol, region.endCol) : col;
+      const cell = cellMap.get(key);
+      visit({
+        row,
+        col,
+        cell,
+        style: applyConditionalStyle(cell?.style || {}, cell?.conditional),
+        merged: !!merge,
+        x: layout.colLeft(col),
+        y: layout.rowTop(row),
+        width: layout.colLeft(lastCol + 1) - layout.colLeft(col),
+        height: layout.rowTop(lastRow + 1) - layout.rowTop(row)
+      });
+    }
+  }
+}
+
+function drawFills(ctx, region, context) {
+  eachCellBox(region, context, ({ style, x, y, width, height }) => {
+    const fill = style.fill;
+    if (!fill || fill.pattern === 'none') return;
+    const color = toColor(fill.color);
+    if (!color) return;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, width, height);
+  });
+}
+
+function drawGridLines(ctx, region, context) {
+  const { layout } = context;
+  const left = layout.colLeft(region.startCol);
+  const right = layout.colLeft(region.endCol + 1);
+  const top = layout.rowTop(region.startRow);
+  const bottom = layout.rowTop(region.endRow + 1);
+
+  ctx.save();
+  ctx.strokeStyle = '#D9D9D9';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let col = region.startCol; col <= region.endCol + 1; col++) {
+    const x = Math.round(layout.colLeft(col)) + 0.5;
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+  }
+  for (let row = region.startRow; row <= region.endRow + 1; row++) {
+    const y = Math.round(layout.rowTop(row)) + 0.5;
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Unwrapped text may run on into empty neighbours, like in Excel
+function overflowBounds(box, align, region, context) {
+  const { layout, cellMap, merges } = context;
+  const isFree = col => {
+    const key = `${box.row}-${col}`;
+    const neighbour = cellMap.get(key);
+    return !merges.covered.has(key) && !merges.masters.has(key) &&
+      (!neighbour || neighbour.value === null || neighbour.value === undefined || neighbour.value === '');
+  };
+
+  let startCol = box.col;
+  let endCol = box.col;
+  if (align !== 'right') {
+    while (endCol < region.endCol && isFree(endCol + 1)) endCol++;
+  }
+  if (align !== 'left') {
+    while (startCol > region.startCol && isFree(startCol - 1)) startCol--;
+  }
+  return { left: layout.colLeft(startCol), right: layout.colLeft(endCol + 1) };
+}
+
+function drawTexts(ctx, region, context) {
+  eachCellBox(region, context, (box) => {
+    const { cell, style, x, y, width, height } = box;
+    const { text, color, numeric } = getCellText(cell);
+    if (!text || height < 5) return;
+
+    const font = style.font || {};
+    const alignment = style.alignment || {};
+    const align = alignment.horizontal && alignment.horizontal !== 'general'
+      ? (alignment.horizontal === 'centerContinuous' ? 'center' : alignment.horizontal)
+      : (numeric ? 'right' : (typeof cell.value === 'boolean' ? 'center' : 'left'));
+    const indent = (alignment.indent || 0) * INDENT_WIDTH;
+    const wrap = !!alignment.wrapText;
+
+    ctx.save();
+    ctx.font = fontFor(font);
+    ctx.fillStyle = color || toColor(font.color, '#000000');
+    ctx.textBaseline = 'middle';
+
+    const lineHeight = (font.size || 11) * (96 / 72) * 1.2;
+    const lines = wrap ? wrapLines(ctx, text, Math.max(width - CELL_PADDING * 2 - indent, 1)) : [text];
+    const blockHeight = lines.length * lineHeight;
+    const vertical = alignment.vertical || 'bottom';
+    let lineY = vertical === 'top'
+      ? y + CELL_PADDING + lineHeight / 2
+      : vertical === 'middle' || vertical === 'center'
+        ? y + (height - blockHeight) / 2 + lineHeight / 2
+        : y + height - CELL_PADDING - blockHeight + lineHeight / 2;
+
+    const clip = wrap || box.merged || numeric
+      ? { left: x, right: x + width }
+      : overflowBounds(box, align, region, context);
+    ctx.beginPath();
+    ctx.rect(clip.left, y, clip.right - clip.left, height);
+    ctx.clip();
+
+    const textAlign = align === 'fill' || align === 'justify' || align === 'distributed' ? 'left' : align;
+    ctx.textAlign = textAlign;
+    const textX = textAlign === 'right'
+      ? x + width - CELL_PADDING - indent
+      : textAlign === 'center'
+        ? x + width / 2
+        : x + CELL_PADDING + indent;
+
+    lines.forEach(line => {
+      ctx.fillText(line, textX, lineY);
+      if (font.underline || font.strike) {
+        const lineWidth = ctx.measureText(line).width;
+        const startX = textAlign === 'right' ? textX - lineWidth : textAlign === 'center' ? textX - lineWidth / 2 : textX;
+        ctx.fillRect(startX, font.strike ? lineY : lineY + lineHeight * 0.35, lineWidth, 1);
+      }
+      lineY += lineHeight;
+    });
+    ctx.restore();
+  });
+}
+
+function strokeBorder(ctx, side, x1, y1, x2, y2) {
+  if (!side?.style) return;
+  ctx.save();
+  ctx.strokeStyle = toColor(side.color, '#000000');
+  ctx.lineWidth = BORDER_WIDTHS[side.style] || 1;
+  ctx.setLineDash(BORDER_DASHES[side.style] || []);
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+  if (side.style === 'double') {
+    // Two hairlines either side of the edge
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+function drawBorders(ctx, region, context) {
+  eachCellBox(region, context, ({ style, x, y, width, height }) => {
+    const border = style.border;
+    if (!border) return;
+    strokeBorder(ctx, border.top, x, y, x + width, y);
+    strokeBorder(ctx, border.bottom, x, y + height, x + width, y + height);
+    strokeBorder(ctx, border.left, x, y, x, y + height);
+    strokeBorder(ctx, border.right, x + width, y, x + width, y + height);
+  });
+}
+
+function drawConditionalOverlays(ctx, region, context) {
+  eachCellBox(region, context, ({ cell, x, y, width, height }) => {
+    const conditional = cell?.conditional;
+    if (!conditional) return;
+
+    const { dataBar, icon } = conditional;
+    if (dataBar && dataBar.width > 0) {
+      ctx.save();
+      ctx.globalAlpha = 0.6;
+      ctx.fillStyle = dataBar.color;
+      ctx.fillRect(x + dataBar.start * width, y + 2, dataBar.width * width, height - 4);
+      ctx.restore();
+    }
+    if (icon) {
+      const { glyph, color } = getIconGlyph(icon);
+      ctx.save();
+      ctx.font = `${Math.min(height * 0.7, 14)}px sans-serif`;
+      ctx.fillStyle = color;
+      ctx.textBaseline = 'middle';
+      ctx.fillText(glyph, x + CELL_PADDING, y + height / 2);
+      ctx.restore();
+    }
+  });
+}
+
+function drawChartSnapshot(ctx, snapshot, bounds) {
+  ctx.save();
+  ctx.fillStyle = snapshot.background || '#FFFFFF';
+  ctx.fillRect(bounds.left, bounds.top, bounds.width, bounds.height);
+  ctx.strokeStyle = '#D9D9D9';
+  ctx.strokeRect(bounds.left, bounds.top, bounds.width, bounds.height);
+
+  // Snapshot boxes were measured on screen; scale them into the anchor box
+  const ratio = bounds.width / snapshot.width;
+  const place = box => ({
+    left: bounds.left + box.left * ratio,
+    top: bounds.top + box.top * ratio,
+    width: box.width * ratio,
+    height: box.height * ratio
+  });
+
+  if (snapshot.title) {
+    const box = place(snapshot.title.box);
+    ctx.fillStyle = '#404040';
+    ctx.font = `500 ${Math.max(box.height * 0.75, 8)}px Arial, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(snapshot.title.text, box.left + box.width / 2, box.top + box.height / 2, box.width);
+  }
+
+  if (snapshot.image) {
+    const box = place(snapshot.imageBox);
+    ctx.drawImage(snapshot.image, box.left, box.top, box.width, box.height);
+  }
+
+  snapshot.legend.forEach(item => {
+    const box = place(item.box);
+    const swatch = Math.min(box.height * 0.6, 10 * ratio);
+    ctx.fillStyle = item.color || '#808080';
+    ctx.fillRect(box.left, box.top + (box.height - swatch) / 2, swatch, swatch);
+    ctx.fillStyle = '#404040';
+    ctx.font = `${Math.max(box.height * 0.7, 7)}px Arial, sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(item.text, box.left + swatch + 4 * ratio, box.top + box.height / 2);
+  });
+  ctx.restore();
+}
+
+function drawDrawings(ctx, context) {
+  const { layout, sheetData, chartSnapshots, images } = context;
+
+  (sheetData.images || []).forEach((image, index) => {
+    const loaded = images.get(index);
+    if (!loaded) return;
+    const bounds = getImageBounds(image.position, layout);
+    if (bounds.width > 0 && bounds.height > 0) {
+      ctx.drawImage(loaded, bounds.left, bounds.top, bounds.width, bounds.height);
+    }
+  });
+
+  (sheetData.charts || []).forEach((chart, index) => {
+    const bounds = getDrawingBounds(chart.anchor, layout);
+    if (!bounds || bounds.width <= 0 || bounds.height <= 0) return;
+    const snapshot = chartSnapshots.get(index) || { width: bounds.width, title: null, legend: [], image: null };
+    drawChartSnapshot(ctx, snapshot, bounds);
+  });
+}
+
+/**
+ * Draw a block of cells with its top-left corner at the context origin
+ */
+function drawRegion(ctx, region, context, { gridLines }) {
+  const { layout } = context;
+  const left = layout.colLeft(region.startCol);
+  const top = layout.rowTop(region.startRow);
+  const width = layout.colLeft(region.endCol + 1) - left;
+  const height = layout.rowTop(region.endRow + 1) - top;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, width, height);
+  ctx.clip();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, width, height);
+  ctx.translate(-left, -top);
+
+  drawFills(ctx, region, context);
+  if (gridLines) drawGridLines(ctx, region, context);
+  drawTexts(ctx, region, context);
+  drawBorders(ctx, region, context);
+  drawConditionalOverlays(ctx, region, context);
+  drawDrawings(ctx, context);
+  ctx.restore();
+
+  return { width, height };
+}
+
+function drawWatermark(ctx, width, height) {
+  ctx.save();
+  const size = Math.max(Math.min(width, height) / 10, 14);
+  ctx.font = `bold ${size}px Arial, sans-serif`;
+  ctx.fillStyle = 'rgba(30, 58, 95, 0.12)';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  // Tile the mark diagonally so cropping cannot remove it
+  const step = size * 6;
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate(-Math.PI / 6);
+  const reach = Math.hypot(width, height);
+  for (let line = 0, y = -reach; y <= reach; line++, y += step / 2) {
+    for (let x = -reach; x <= reach; x += step) {
+      ctx.fillText(WATERMARK_TEXT, x + (line % 2 ? step / 2 : 0), y);
+    }
+  }
+  ctx.restore();
+
+  const footer = Math.max(Math.min(height * 0.04, 18), 10);
+  ctx.save();
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(0, height - footer * 1.6, width, footer * 1.6);
+  ctx.fillStyle = '#1E3A5F';
+  ctx.font = `${footer * 0.75}px Arial, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(PREVIEW_NOTICE, width / 2, height - footer * 0.8, width - 8);
+  ctx.restore();
+}
+
+// ---------------------------------------------------------------------------
+// Snapshots of live DOM content
+// ---------------------------------------------------------------------------
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Image could not be loaded'));
+    image.src = src;
+  });
+}
+
+function relativeBox(rect, origin) {
+  return { left: rect.left - origin.left, top: rect.top - origin.top, width: rect.width, height: rect.height };
+}
+
+// recharts draws into SVG, but the title and legend are HTML, so those are
+// measured and redrawn by hand
+async function snapshotChart(element, chart) {
+  const wrapper = element.firstElementChild || element;
+  const origin = wrapper.getBoundingClientRect();
+  if (!origin.width || !origin.height) return null;
+
+  const svgs = Array.from(wrapper.querySelectorAll('svg'));
+  const svg = svgs.sort((a, b) => {
+    const ra = a.getBoundingClientRect();
+    const rb = b.getBoundingClientRect();
+    return rb.width * rb.height - ra.width * ra.height;
+  })[0];
+
+  let image = null;
+  let imageBox = null;
+  if (svg) {
+    const rect = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', rect.width);
+    clone.setAttribute('height', rect.height);
+    clone.setAttribute('style', 'font-family: Arial, sans-serif');
+    const markup = new XMLSerializer().serializeToString(clone);
+    image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+    imageBox = relativeBox(rect, origin);
+  }
+
+  const titleElement = chart.title ? wrapper.firstElementChild : null;
+  const legend = Array.from(wrapper.querySelectorAll('.recharts-legend-item')).map(item => {
+    const icon = item.querySelector('path, rect, line, circle');
+    const fill = icon?.getAttribute('fill');
+    return {
+      text: item.textContent.trim(),
+      color: fill && fill !== 'none' ? fill : icon?.getAttribute('stroke'),
+      box: relativeBox(item.getBoundingClientRect(), origin)
+    };
+  });
+
+  return {
+    width: origin.width,
+    height: origin.height,
+    background: getComputedStyle(wrapper).backgroundColor,
+    title: titleElement && titleElement !== svg
+      ? { text: chart.title, box: relativeBox(titleElement.getBoundingClientRect(), origin) }
+      : null,
+    image,
+    imageBox,
+    legend
+  };
+}
+
+async function captureDrawings(container, sheetData) {
+  const chartSnapshots = new Map();
+  const images = new Map();
+
+  if (container && sheetData.charts?.length) {
+    const elements = container.querySelectorAll('[data-excel-chart]');
+    for (const element of elements) {
+      const index = Number(element.getAttribute('data-excel-chart'));
+      try {
+        const snapshot = await snapshotChart(element, sheetData.charts[index]);
+        if (snapshot) chartSnapshots.set(index, snapshot);
+      } catch (error) {
+        console.warn(`[Export] Could not snapshot chart ${index}:`, error);
+      }
+    }
+  }
+
+  for (const [index, image] of (sheetData.images || []).entries()) {
+    try {
+      images.set(index, await loadImage(image.dataUrl));
+    } catch (error) {
+      console.warn(`[Export] Could not load image ${image.name}:`, error);
+    }
+  }
+
+  return { chartSnapshots, images };
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), type, quality);
+  });
+}
+
+function createCanvas(width, height, scale) {
+  // Keep within what browsers will allocate for a single canvas
+  const fit = Math.min(
+    1,
+    MAX_CANVAS_SIDE / (width * scale),
+    MAX_CANVAS_SIDE / (height * scale),
+    Math.sqrt(MAX_CANVAS_PIXELS / (width * height * scale * scale))
+  );
+  const finalScale = scale * fit;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(Math.ceil(width * finalScale), 1);
+  canvas.height = Math.max(Math.ceil(height * finalScale), 1);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(finalScale, finalScale);
+  return { canvas, ctx, scale: finalScale };
+}
+
+function buildContext(sheetData, range, drawings) {
+  return {
+    sheetData,
+    layout: layoutRange(sheetData, range),
+    cellMap: indexCells(sheetData.cells),
+    merges: buildMergeIndex(sheetData.mergedCells),
+    ...drawings
+  };
+}
+
+/**
+ * Snapshot a range as a PNG at twice the on-screen resolution
+ */
+export async function renderPng({ sheetData, range, container, watermark = false, gridLines = true }) {
+  const context = buildContext(sheetData, range, await captureDrawings(container, sheetData));
+  const { canvas, ctx } = createCanvas(context.layout.width, context.layout.height, PNG_SCALE);
+
+  drawRegion(ctx, range, context, { gridLines });
+  if (watermark) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    drawWatermark(ctx, canvas.width, canvas.height);
+  }
+  return canvasToBlob(canvas, 'image/png');
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+function splitTrack(start, end, size, available) {
+  const bands = [];
+  let bandStart = start;
+  let used = 0;
+  for (let index = start; index <= end; index++) {
+    const length = size(index);
+    const limit = available(bandStart);
+    if (index > bandStart && used + length > limit) {
+      bands.push({ start: bandStart, end: index - 1, size: used });
+      bandStart = index;
+      used = 0;
+    }
+    used += length;
+  }
+  bands.push({ start: bandStart, end, size: used });
+  return bands;
+}
+
+/**
+ * Split a range into printed pages the way Excel does: paper size and
+ * orientation, margins, scaling or fit-to-page, pages ordered down then over,
+ * and print-title rows repeated at the top of later pages.
+ * Sizes are in PDF points.
+ */
+export function paginate({ layout, range, pageSetup = {} }) {
+  const [paperWidth, paperHeight] = PAPER_SIZES[pageSetup.paperSize] || PAPER_SIZES[1];
+  const landscape = pageSetup.orientation === 'landscape';
+  const pageWidth = landscape ? paperHeight : paperWidth;
+  const pageHeight = landscape ? paperWidth : paperHeight;
+  const margins = { ...DEFAULT_MARGINS, ...pageSetup.margins };
+  const printableWidth = pageWidth - (margins.left + margins.right) * POINTS_PER_INCH;
+  const printableHeight = pageHeight - (margins.top + margins.bottom) * POINTS_PER_INCH;
+
+  const contentWidth = layout.width * POINTS_PER_PIXEL;
+  const contentHeight = layout.height * POINTS_PER_PIXEL;
+
+  // Fit-to-page only ever shrinks; 0 pages on an axis means "automatic"
+  let scale = (pageSetup.scale || 100) / 100;
+  if (pageSetup.fitToPage) {
+    const byWidth = pageSetup.fitToWidth > 0 ? (printableWidth * pageSetup.fitToWidth) / contentWidth : Infinity;
+    const byHeight = pageSetup.fitToHeight > 0 ? (printableHeight * pageSetup.fitToHeight) / contentHeight : Infinity;
+    scale = Math.min(1, byWidth, byHeight);
+  }
+  const toPoints = pixels => pixels * POINTS_PER_PIXEL * scale;
+
+  // Title rows repeat on every page that starts below them
+  const titles = parseRangeRef(pageSetup.printTitlesRow);
+  const titleRows = titles?.startRow ? { start: titles.startRow, end: titles.endRow } : null;
+  let titleHeight = 0;
+  if (titleRows) {
+    for (let row = titleRows.start; row <= titleRows.end; row++) titleHeight += toPoints(layout.rowHeight(row));
+  }
+  const repeatsTitles = bandStart => !!titleRows && titleRows.end < bandStart;
+
+  const rowBands = splitTrack(
+    range.startRow,
+    range.endRow,
+    row => toPoints(layout.rowHeight(row)),
+    bandStart => printableHeight - (repeatsTitles(bandStart) ? titleHeight : 0)
+  );
+  const colBands = splitTrack(range.startCol, range.endCol, col => toPoints(layout.colWidth(col)), () => printableWidth);
+
+  const pages = [];
+  colBands.forEach(colBand => {
+    rowBands.forEach(rowBand => {
+      const repeat = repeatsTitles(rowBand.start) ? titleRows : null;
+      const width = colBand.size;
+      const height = rowBand.size + (repeat ? titleHeight : 0);
+      pages.push({
+        rows: { start: rowBand.start, end: rowBand.end },
+        cols: { start: colBand.start, end: colBand.end },
+        titleRows: repeat,
+        x: margins.left * POINTS_PER_INCH + (pageSetup.horizontalCentered ? Math.max(printableWidth - width, 0) / 2 : 0),
+        y: margins.top * POINTS_PER_INCH,
+        width,
+        height
+      });
+    });
+  });
+
+  return { pageWidth, pageHeight, scale, pages };
+}
+
+function latin1(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Write a PDF with one JPEG per page.
+ * @param {Array<{ pageWidth: number, pageHeight: number, x: number, y: number, width: number, height: number,
+ *   image: { data: Uint8Array, width: number, height: number } }>} pages - Placement in points, y from the top
+ * @returns {Uint8Array}
+ */
+export function buildPdf(pages) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === 'string' ? latin1(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (number, parts) => {
+    offsets[number] = length;
+    push(`${number} 0 obj\n`);
+    parts.forEach(push);
+    push('\nendobj\n');
+  };
+
+  // 1: catalog, 2: page tree, then page, content and image per page
+  const pageNumber = index => 3 + index * 3;
+  push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  object(1, ['<< /Type /Catalog /Pages 2 0 R >>']);
+  object(2, [`<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((_, i) => `${pageNumber(i)} 0 R`).join(' ')}] >>`]);
+
+  pages.forEach((page, index) => {
+    const number = pageNumber(index);
+    const y = page.pageHeight - page.y - page.height;
+    const content = `q ${page.width.toFixed(2)} 0 0 ${page.height.toFixed(2)} ${page.x.toFixed(2)} ${y.toFixed(2)} cm /Im1 Do Q`;
+
+    object(number, [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.pageWidth} ${page.pageHeight}] ` +
+      `/Resources << /XObject << /Im1 ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>`
+    ]);
+    object(number + 1, [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+    object(number + 2, [
+      `<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.data.length} >>\nstream\n`,
+      page.image.data,
+      '\nendstream'
+    ]);
+  });
+
+  const count = pageNumber(pages.length);
+  const xref = length;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let number = 1; number < count; number++) {
+    push(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * Render a range to a paginated PDF using the sheet's page setup
+ */
+export async function renderPdf({ sheetData, range, container, pageSetup, watermark = false }) {
+  const setup = pageSetup || sheetData.pageSetup || {};
+  const context = buildContext(sheetData, range, await captureDrawings(container, sheetData));
+  const { pageWidth, pageHeight, scale, pages } = paginate({ layout: context.layout, range, pageSetup: setup });
+  const pixelScale = POINTS_PER_PIXEL * scale * (PDF_RENDER_DPI / POINTS_PER_INCH);
+  const gridLines = !!setup.printGridLines;
+
+  const rendered = [];
+  for (const page of pages) {
+    const band = { startRow: page.rows.start, endRow: page.rows.end, startCol: page.cols.start, endCol: page.cols.end };
+    const titles = page.titleRows && { ...band, startRow: page.titleRows.start, endRow: page.titleRows.end };
+    const { canvas, ctx } = createCanvas(page.width / (POINTS_PER_PIXEL * scale), page.height / (POINTS_PER_PIXEL * scale), pixelScale);
+
+    if (titles) {
+      ctx.translate(0, drawRegion(ctx, titles, context, { gridLines }).height);
+    }
+    drawRegion(ctx, band, context, { gridLines });
+    if (watermark) {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      drawWatermark(ctx, canvas.width, canvas.height);
+    }
+
+    const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+    rendered.push({
+      ...page,
+      pageWidth,
+      pageHeight,
+      image: { data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height }
+    });
+  }
+
+  return new Blob([buildPdf(rendered)], { type: 'application/pdf' });
+}
+
+// ---------------------------------------------------------------------------
+// Entry points
+// ---------------------------------------------------------------------------
+
+export function getExportFileName({ fileName, sheetName, format, watermark }) {
+  const base = [fileName, sheetName]
+    .filter(Boolean)
+    .join(' - ')
+    .replace(/\.(xlsx|xlsm|xls)$/i, '')
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .trim() || 'export';
+  return `${base}${watermark ? ' (preview)' : ''}.${EXPORT_EXTENSIONS[format]}`;
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build an export of a processed range.
+ * @param {'csv'|'json'|'png'|'pdf'} format
+ * @returns {Promise<Blob>}
+ */
+export async function exportRange(format, { sheetData, range, sheetName, container, watermark = false, gridLines = true }) {
+  switch (format) {
+    case 'csv':
+      return new Blob([toCSV({ cells: sheetData.cells, range, watermark })], { type: 'text/csv;charset=utf-8' });
+    case 'json':
+      return new Blob([toJSON({ cells: sheetData.cells, range, sheetName, watermark })], { type: 'application/json' });
+    case 'png':
+      return renderPng({ sheetData, range, container, watermark, gridLines });
+    case 'pdf':
+      return renderPdf({ sheetData, range, container, watermark });
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
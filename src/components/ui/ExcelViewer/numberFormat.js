@@ -0,0 +1,795 @@
+// Excel number-format interpreter for the preview grid.
+// Handles the format grammar our models use: up to four sections
+// (positive;negative;zero;text), [Red]/[ColorN] colours, [>=100] conditions,
+// thousands and scaling commas, percentages, scientific notation, fractions,
+// _x padding, *x fills, dates, times and elapsed [h]:mm durations.
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#FFFFFF',
+  red: '#FF0000',
+  green: '#00FF00',
+  blue: '#0000FF',
+  yellow: '#FFFF00',
+  magenta: '#FF00FF',
+  cyan: '#00FFFF'
+};
+
+// Excel's default 56-colour palette, addressed as [Color1]..[Color56]
+const PALETTE = [
+  '000000', 'FFFFFF', 'FF0000', '00FF00', '0000FF', 'FFFF00', 'FF00FF', '00FFFF',
+  '800000', '008000', '000080', '808000', '800080', '008080', 'C0C0C0', '808080',
+  '9999FF', '993366', 'FFFFCC', 'CCFFFF', '660066', 'FF8080', '0066CC', 'CCCCFF',
+  '000080', 'FF00FF', 'FFFF00', '00FFFF', '800080', '800000', '008080', '0000FF',
+  '00CCFF', 'CCFFFF', 'CCFFCC', 'FFFF99', '99CCFF', 'FF99CC', 'CC99FF', 'FFCC99',
+  '3366FF', '33CCCC', '99CC00', 'FFCC00', 'FF9900', 'FF6600', '666699', '969696',
+  '003366', '339966', '003300', '333300', '993300', '993366', '333399', '333333'
+];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MAX_CACHED_FORMATS = 500;
+
+const compiledFormats = new Map();
+
+/**
+ * Format a cell value the way Excel displays it.
+ * @param {number|Date|string} value - Cell value; dates may be JS Dates or serial numbers
+ * @param {string} format - Excel number format code, e.g. '#,##0.0x' or '0.0%;(0.0%)'
+ * @returns {{ text: string, color: string|null, parts: Array<{ type: 'text'|'pad'|'fill', value: string }> }}
+ *   `text` is the plain rendering (padding as spaces, fills omitted); `parts` keeps
+ *   padding and fill characters so the cell can lay them out like Excel does.
+ */
+export function formatCellValue(value, format) {
+  const compiled = compileFormat(format || 'General');
+
+  if (typeof value === 'string') {
+    if (!compiled.textSection) return plain(value);
+    return render(compiled.textSection, renderTextSection(compiled.textSection, value));
+  }
+
+  const number = value instanceof Date ? dateToSerial(value) : value;
+  if (typeof number !== 'number' || !isFinite(number)) return plain(String(value));
+
+  const { section, useAbsolute } = pickSection(compiled, number);
+  if (!section) return plain(formatGeneral(number));
+
+  const shown = useAbsolute ? Math.abs(number) : number;
+  switch (section.kind) {
+    case 'general':
+      return render(section, renderGeneralSection(section, shown));
+    case 'date':
+      return render(section, renderDateSection(section, shown));
+    case 'number':
+      return render(section, renderNumberSection(section, shown));
+    default:
+      return render(section, renderLiterals(section.tokens));
+  }
+}
+
+/**
+ * Whether a format displays numbers as dates or times
+ */
+export function isDateFormat(format) {
+  if (!format) return false;
+  const { numberSections } = compileFormat(format);
+  return numberSections.length > 0 && numberSections[0].kind === 'date';
+}
+
+/**
+ * Excel's "General" format: integers as-is, otherwise up to 11 characters,
+ * switching to scientific notation for very large or very small values.
+ */
+export function formatGeneral(value) {
+  if (!isFinite(value)) return String(value);
+  const abs = Math.abs(value);
+  if (abs === 0) return '0';
+
+  if (abs >= 1e11 || abs < 1e-9) {
+    const [mantissa, exponent] = value.toExponential(5).split('e');
+    const trimmed = mantissa.includes('.') ? mantissa.replace(/\.?0+$/, '') : mantissa;
+    const power = Number(exponent);
+    return `${trimmed}E${power < 0 ? '-' : '+'}${String(Math.abs(power)).padStart(2, '0')}`;
+  }
+
+  if (Number.isInteger(value)) return String(value);
+
+  const integerDigits = abs >= 1 ? Math.floor(Math.log10(abs)) + 1 : 1;
+  const decimals = Math.max(0, 10 - integerDigits);
+  const fixed = roundHalfAway(abs, decimals).toFixed(decimals);
+  const trimmed = fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+  return value < 0 && trimmed !== '0' ? `-${trimmed}` : trimmed;
+}
+
+// --- Compilation -----------------------------------------------------------
+
+function compileFormat(format) {
+  let compiled = compiledFormats.get(format);
+  if (compiled) return compiled;
+
+  const sections = splitSections(format).map(compileSection);
+  let numberSections = sections.slice(0, 3);
+  let textSection = sections[3] || null;
+
+  // A lone "@" (or '@" units"') section is a text format; numbers show as General
+  if (sections.length === 1 && sections[0].kind === 'text') {
+    textSection = sections[0];
+    numberSections = [];
+  }
+
+  compiled = {
+    numberSections,
+    textSection,
+    conditional: numberSections.some(section => section.condition)
+  };
+
+  if (compiledFormats.size >= MAX_CACHED_FORMATS) compiledFormats.clear();
+  compiledFormats.set(format, compiled);
+  return compiled;
+}
+
+// Split on ';' outside quotes, brackets and escapes
+function splitSections(format) {
+  const sections = [];
+  let current = '';
+  let inQuotes = false;
+  let inBrackets = false;
+
+  for (let i = 0; i < format.length; i++) {
+    const char = format[i];
+    if (char === '\\' && !inQuotes && i + 1 < format.length) {
+      current += char + format[++i];
+      continue;
+    }
+    if (char === '"' && !inBrackets) inQuotes = !inQuotes;
+    else if (char === '[' && !inQuotes) inBrackets = true;
+    else if (char === ']' && !inQuotes) inBrackets = false;
+
+    if (char === ';' && !inQuotes && !inBrackets) {
+      sections.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  sections.push(current);
+  return sections.slice(0, 4);
+}
+
+function compileSection(source) {
+  const section = { color: null, condition: null, tokens: [], kind: 'literal' };
+
+  tokenize(source).forEach(token => {
+    if (token.type === 'color') section.color = token.value;
+    else if (token.type === 'condition') section.condition = token;
+    else section.tokens.push(token);
+  });
+
+  classifySection(section);
+  return section;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  const lower = source.toLowerCase();
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const lowerChar = lower[i];
+
+    if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      const text = end === -1 ? source.slice(i + 1) : source.slice(i + 1, end);
+      tokens.push({ type: 'literal', value: text });
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === '\\') {
+      tokens.push({ type: 'literal', value: source[i + 1] || '' });
+      i += 2;
+    } else if (char === '[') {
+      const end = source.indexOf(']', i);
+      const content = end === -1 ? source.slice(i + 1) : source.slice(i + 1, end);
+      const token = parseBracket(content);
+      if (token) tokens.push(token);
+      i = end === -1 ? source.length : end + 1;
+    } else if (char === '_') {
+      tokens.push({ type: 'pad', value: source[i + 1] || ' ' });
+      i += 2;
+    } else if (char === '*') {
+      tokens.push({ type: 'fill', value: source[i + 1] || ' ' });
+      i += 2;
+    } else if (char === '0' || char === '#' || char === '?') {
+      tokens.push({ type: 'digit', value: char });
+      i++;
+    } else if (char === '.') {
+      tokens.push({ type: 'point', value: '.' });
+      i++;
+    } else if (char === ',') {
+      tokens.push({ type: 'comma', value: ',' });
+      i++;
+    } else if (char === '%') {
+      tokens.push({ type: 'percent', value: '%' });
+      i++;
+    } else if (char === '@') {
+      tokens.push({ type: 'text', value: '@' });
+      i++;
+    } else if (char === '/') {
+      tokens.push({ type: 'slash', value: '/' });
+      i++;
+    } else if (lowerChar === 'e' && (source[i + 1] === '+' || source[i + 1] === '-')) {
+      tokens.push({ type: 'exponent', value: source.slice(i, i + 2), showPlus: source[i + 1] === '+' });
+      i += 2;
+    } else if (lower.startsWith('general', i)) {
+      tokens.push({ type: 'general', value: source.slice(i, i + 7) });
+      i += 7;
+    } else if (lower.startsWith('am/pm', i)) {
+      tokens.push({ type: 'ampm', value: source.slice(i, i + 5) });
+      i += 5;
+    } else if (lower.startsWith('a/p', i)) {
+      tokens.push({ type: 'ampm', value: source.slice(i, i + 3) });
+      i += 3;
+    } else if ('ymdhs'.includes(lowerChar)) {
+      let end = i;
+      while (end < source.length && lower[end] === lowerChar) end++;
+      tokens.push({ type: 'date', code: lowerChar, length: end - i, value: source.slice(i, end) });
+      i = end;
+    } else {
+      tokens.push({ type: 'literal', value: char });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+function parseBracket(content) {
+  const lower = content.trim().toLowerCase();
+
+  if (NAMED_COLORS[lower]) return { type: 'color', value: NAMED_COLORS[lower] };
+
+  const paletteMatch = lower.match(/^color\s*(\d+)$/);
+  if (paletteMatch) {
+    const hex = PALETTE[Number(paletteMatch[1]) - 1];
+    return hex ? { type: 'color', value: `#${hex}` } : null;
+  }
+
+  const conditionMatch = lower.match(/^(<=|>=|<>|<|>|=)\s*(-?\d*\.?\d+(?:e[+-]?\d+)?)$/);
+  if (conditionMatch) {
+    return { type: 'condition', operator: conditionMatch[1], operand: Number(conditionMatch[2]) };
+  }
+
+  const elapsedMatch = lower.match(/^(h+|m+|s+)$/);
+  if (elapsedMatch) {
+    return { type: 'elapsed', code: elapsedMatch[1][0], length: elapsedMatch[1].length, value: `[${content}]` };
+  }
+
+  // [$€-407] shows the currency symbol; [$-409] only sets the locale
+  const currencyMatch = content.match(/^\$([^-]*)(?:-[0-9a-fA-F]+)?$/);
+  if (currencyMatch) {
+    return currencyMatch[1] ? { type: 'literal', value: currencyMatch[1] } : null;
+  }
+
+  return null; // [DBNum1], locale and calendar modifiers are ignored
+}
+
+function classifySection(section) {
+  const { tokens } = section;
+
+  if (tokens.some(token => token.type === 'general')) {
+    section.kind = 'general';
+    return;
+  }
+
+  const hasDateCodes = tokens.some(token => ['date', 'ampm', 'elapsed'].includes(token.type));
+  if (hasDateCodes) {
+    // ".0" after seconds is fractional seconds, not a digit placeholder
+    const dateTokens = [];
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].type === 'point' && tokens[i + 1]?.type === 'digit' && tokens[i + 1].value === '0') {
+        let length = 0;
+        while (tokens[i + 1 + length]?.type === 'digit' && tokens[i + 1 + length].value === '0') length++;
+        dateTokens.push({ type: 'subsecond', length: Math.min(length, 3) });
+        i += length;
+      } else {
+        dateTokens.push(tokens[i]);
+      }
+    }
+
+    if (!dateTokens.some(token => token.type === 'digit')) {
+      section.tokens = resolveMinutes(dateTokens);
+      section.kind = 'date';
+      section.hasAmPm = dateTokens.some(token => token.type === 'ampm');
+      section.subsecondDigits = Math.max(0, ...dateTokens.filter(token => token.type === 'subsecond').map(token => token.length));
+      return;
+    }
+
+    // Digit placeholders win: date letters in a number format are plain text
+    section.tokens = tokens.map(token =>
+      token.type === 'date' || token.type === 'ampm' || token.type === 'elapsed'
+        ? { type: 'literal', value: token.value }
+        : token
+    );
+  }
+
+  if (section.tokens.some(token => token.type === 'digit')) {
+    section.kind = 'number';
+    section.layout = analyzeNumberSection(section.tokens);
+  } else if (section.tokens.some(token => token.type === 'text')) {
+    section.kind = 'text';
+  }
+}
+
+// "m" means minutes right after an hour code or right before a seconds code
+function resolveMinutes(tokens) {
+  const codes = tokens
+    .map((token, index) => ({ token, index }))
+    .filter(({ token }) => token.type === 'date' || token.type === 'elapsed');
+
+  return tokens.map((token, index) => {
+    if (token.type !== 'date' || token.code !== 'm' || token.length > 2) return token;
+    const position = codes.findIndex(entry => entry.index === index);
+    const previous = codes[position - 1]?.token;
+    const next = codes[position + 1]?.token;
+    const afterHour = previous && previous.code === 'h';
+    const beforeSecond = next && next.code === 's';
+    return afterHour || beforeSecond ? { ...token, code: 'minute' } : token;
+  });
+}
+
+function analyzeNumberSection(tokens) {
+  const layout = {
+    percent: tokens.filter(token => token.type === 'percent').length,
+    scale: 0,
+    grouping: false,
+    integer: [],
+    decimal: [],
+    pointIndex: -1,
+    exponent: null,
+    fraction: null
+  };
+
+  const exponentIndex = tokens.findIndex(token => token.type === 'exponent');
+  const mantissaEnd = exponentIndex === -1 ? tokens.length : exponentIndex;
+
+  if (exponentIndex !== -1) {
+    layout.exponent = {
+      index: exponentIndex,
+      showPlus: tokens[exponentIndex].showPlus,
+      digits: tokens
+        .map((token, index) => ({ token, index }))
+        .filter(({ token, index }) => index > exponentIndex && token.type === 'digit')
+        .map(({ index }) => index)
+    };
+  }
+
+  const slashIndex = tokens.findIndex((token, index) =>
+    index < mantissaEnd && token.type === 'slash' && tokens[index - 1]?.type === 'digit'
+  );
+  if (slashIndex !== -1) {
+    layout.fraction = analyzeFraction(tokens, slashIndex);
+    if (layout.fraction) return layout;
+  }
+
+  layout.pointIndex = tokens.findIndex((token, index) => index < mantissaEnd && token.type === 'point');
+  const integerEnd = layout.pointIndex === -1 ? mantissaEnd : layout.pointIndex;
+
+  tokens.forEach((token, index) => {
+    if (index >= mantissaEnd) return;
+    if (token.type === 'digit') {
+      (index < integerEnd ? layout.integer : layout.decimal).push(index);
+    }
+  });
+
+  layout.integerHasHash = layout.integer.some(index => tokens[index].value === '#');
+
+  // A comma between integer placeholders groups thousands; any other comma
+  // (after the last placeholder) divides the value by 1,000
+  tokens.forEach((token, index) => {
+    if (index >= mantissaEnd || token.type !== 'comma') return;
+    const digitFollows = layout.integer.some(digitIndex => digitIndex > index);
+    const digitPrecedes = layout.integer.some(digitIndex => digitIndex < index);
+    if (digitFollows && digitPrecedes) layout.grouping = true;
+    else if (!digitFollows && digitPrecedes) layout.scale++;
+    else if (index > integerEnd) layout.scale++;
+  });
+
+  return layout;
+}
+
+function analyzeFraction(tokens, slashIndex) {
+  const numerator = [];
+  let index = slashIndex - 1;
+  while (index >= 0 && tokens[index].type === 'digit') numerator.unshift(index--);
+
+  const integer = [];
+  for (let i = 0; i < numerator[0]; i++) {
+    if (tokens[i].type === 'digit') integer.push(i);
+  }
+
+  const denominator = [];
+  let fixed = '';
+  for (let i = slashIndex + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'digit') {
+      denominator.push(i);
+      fixed += token.value === '0' ? '0' : '';
+    } else if (token.type === 'literal' && /^\d$/.test(token.value)) {
+      denominator.push(i);
+      fixed += token.value;
+    } else {
+      break;
+    }
+  }
+  if (denominator.length === 0) return null;
+
+  const hasFixedDenominator = denominator.some(i => tokens[i].type === 'literal');
+  return {
+    integer,
+    numerator,
+    slashIndex,
+    denominator,
+    fixedDenominator: hasFixedDenominator ? Number(fixed) : null,
+    // Literals between the whole number and the numerator (usually a space)
+    separator: integer.length
+      ? Array.from({ length: numerator[0] - integer[integer.length - 1] - 1 }, (_, i) => integer[integer.length - 1] + 1 + i)
+      : []
+  };
+}
+
+// --- Section selection -----------------------------------------------------
+
+function pickSection(compiled, value) {
+  const sections = compiled.numberSections;
+  if (sections.length === 0) return { section: null };
+
+  if (compiled.conditional) {
+    for (let index = 0; index < sections.length; index++) {
+      const section = sections[index];
+      if (!section.condition || testCondition(section.condition, value)) {
+        return { section, useAbsolute: index === 1 };
+      }
+    }
+    return { section: null };
+  }
+
+  if (sections.length === 1) return { section: sections[0], useAbsolute: false };
+  if (value < 0) return { section: sections[1], useAbsolute: true };
+  if (value === 0 && sections.length >= 3) return { section: sections[2], useAbsolute: false };
+  return { section: sections[0], useAbsolute: false };
+}
+
+function testCondition({ operator, operand }, value) {
+  switch (operator) {
+    case '<': return value < operand;
+    case '<=': return value <= operand;
+    case '>': return value > operand;
+    case '>=': return value >= operand;
+    case '=': return value === operand;
+    case '<>': return value !== operand;
+    default: return false;
+  }
+}
+
+// --- Rendering -------------------------------------------------------------
+
+function renderGeneralSection(section, value) {
+  return section.tokens.map(token =>
+    token.type === 'general' ? { type: 'text', value: formatGeneral(value) } : literalPart(token)
+  );
+}
+
+function renderTextSection(section, text) {
+  return section.tokens.map(token =>
+    token.type === 'text' ? { type: 'text', value: text } : literalPart(token)
+  );
+}
+
+function renderLiterals(tokens) {
+  return tokens.map(literalPart);
+}
+
+function literalPart(token) {
+  if (token.type === 'pad') return { type: 'pad', value: token.value };
+  if (token.type === 'fill') return { type: 'fill', value: token.value };
+  if (token.type === 'digit' || token.type === 'text') return { type: 'text', value: '' };
+  return { type: 'text', value: token.value || '' };
+}
+
+function renderNumberSection(section, value) {
+  const { tokens, layout } = section;
+  const negative = value < 0;
+  let magnitude = Math.abs(value) * Math.pow(100, layout.percent) / Math.pow(1000, layout.scale);
+  const output = new Map(); // token index -> rendered text
+
+  if (layout.fraction) {
+    renderFraction(tokens, layout.fraction, magnitude, output);
+  } else {
+    let exponent = 0;
+    if (layout.exponent) {
+      ({ magnitude, exponent } = scaleForExponent(magnitude, layout));
+    }
+
+    const decimals = layout.decimal.length;
+    const [integerText, decimalText = ''] = roundHalfAway(magnitude, decimals).toFixed(decimals).split('.');
+
+    fillInteger(tokens, layout.integer, integerText === '0' ? '' : integerText, layout.grouping, output);
+    fillDecimals(tokens, layout.decimal, decimalText, output);
+
+    if (layout.exponent) {
+      const { index, showPlus, digits } = layout.exponent;
+      output.set(index, `E${exponent < 0 ? '-' : showPlus ? '+' : ''}`);
+      fillInteger(tokens, digits, String(Math.abs(exponent)).replace(/^0$/, ''), false, output);
+    }
+  }
+
+  const parts = tokens.map((token, index) => {
+    if (output.has(index)) return { type: 'text', value: output.get(index) };
+    if (token.type === 'point') return { type: 'text', value: '.' };
+    if (token.type === 'percent') return { type: 'text', value: '%' };
+    if (token.type === 'comma') return { type: 'text', value: '' }; // grouping or scaling
+    return literalPart(token);
+  });
+
+  if (negative) parts.unshift({ type: 'text', value: '-' });
+  return parts;
+}
+
+function scaleForExponent(magnitude, layout) {
+  const integerCount = Math.max(1, layout.integer.length);
+  const engineering = integerCount > 1 && layout.integerHasHash;
+  if (magnitude === 0) return { magnitude: 0, exponent: 0 };
+
+  // "##0.0E+0" keeps exponents in multiples of three; "00.0E+0" fixes two leading digits
+  const step = engineering ? integerCount : 1;
+  let exponent = Math.floor(Math.log10(magnitude));
+  exponent = step > 1 ? Math.floor(exponent / step) * step : exponent - (integerCount - 1);
+
+  let mantissa = magnitude / Math.pow(10, exponent);
+  if (roundHalfAway(mantissa, layout.decimal.length) >= Math.pow(10, integerCount)) {
+    exponent += step;
+    mantissa = magnitude / Math.pow(10, exponent);
+  }
+  return { magnitude: mantissa, exponent };
+}
+
+function renderFraction(tokens, fraction, magnitude, output) {
+  let whole = 0;
+  let remainder = magnitude;
+  if (fraction.integer.length) {
+    whole = Math.floor(magnitude);
+    remainder = magnitude - whole;
+  }
+
+  let numerator;
+  let denominator;
+  if (fraction.fixedDenominator) {
+    denominator = fraction.fixedDenominator;
+    numerator = Math.round(remainder * denominator);
+  } else {
+    const maxDenominator = Math.pow(10, fraction.denominator.length) - 1;
+    [numerator, denominator] = approximateFraction(remainder, maxDenominator);
+  }
+
+  if (fraction.integer.length && numerator === denominator) {
+    whole += 1;
+    numerator = 0;
+  }
+
+  fillInteger(tokens, fraction.integer, whole === 0 ? '' : String(whole), false, output);
+
+  if (numerator === 0 && fraction.integer.length) {
+    // "# ?/?" shows 3 as "3" followed by blanks where the fraction would be
+    if (whole === 0) output.set(fraction.integer[fraction.integer.length - 1], '0');
+    const blanks = [...fraction.separator, ...fraction.numerator, fraction.slashIndex, ...fraction.denominator];
+    blanks.forEach(index => output.set(index, tokens[index].type === 'digit' && tokens[index].value === '#' ? '' : ' '));
+    return;
+  }
+
+  fillInteger(tokens, fraction.numerator, String(numerator), false, output);
+
+  // The denominator is left-aligned: "?/??" shows 1/4 as "1/4 "
+  if (fraction.fixedDenominator) {
+    fraction.denominator.forEach((index, position) => {
+      output.set(index, position === 0 ? String(denominator) : '');
+    });
+  } else {
+    const digits = String(denominator);
+    fraction.denominator.forEach((index, position) => {
+      if (position < digits.length) {
+        output.set(index, position === fraction.denominator.length - 1 ? digits.slice(position) : digits[position]);
+      } else {
+        output.set(index, tokens[index].value === '?' ? ' ' : tokens[index].value === '0' ? '0' : '');
+      }
+    });
+  }
+}
+
+// Best rational approximation with a bounded denominator (continued fractions)
+function approximateFraction(value, maxDenominator) {
+  if (value === 0) return [0, 1];
+
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  let rest = value;
+  for (let i = 0; i < 64; i++) {
+    const a = Math.floor(rest);
+    const h2 = a * h1 + h0;
+    const k2 = a * k1 + k0;
+    if (k2 > maxDenominator) {
+      // Check the best semiconvergent before giving up on this term
+      const t = Math.floor((maxDenominator - k0) / k1);
+      const semiN = h0 + t * h1;
+      const semiD = k0 + t * k1;
+      if (t > 0 && Math.abs(value - semiN / semiD) < Math.abs(value - h1 / k1)) return [semiN, semiD];
+      break;
+    }
+    [h0, h1, k0, k1] = [h1, h2, k1, k2];
+    if (Math.abs(rest - a) < 1e-12) break;
+    rest = 1 / (rest - a);
+  }
+  return [h1, k1];
+}
+
+// Place digits right-to-left; extra digits go to the leftmost placeholder
+function fillInteger(tokens, indices, digits, grouping, output) {
+  if (indices.length === 0) return;
+
+  let remaining = digits;
+  let placed = 0;
+  const nextDigit = (digit) => {
+    const separator = grouping && placed > 0 && placed % 3 === 0 ? ',' : '';
+    placed++;
+    return digit + separator;
+  };
+
+  for (let position = indices.length - 1; position >= 0; position--) {
+    const placeholder = tokens[indices[position]].value;
+    let text = '';
+
+    if (remaining.length > 0) {
+      const take = position === 0 ? remaining.length : 1;
+      for (let i = 0; i < take; i++) {
+        text = nextDigit(remaining[remaining.length - 1]) + text;
+        remaining = remaining.slice(0, -1);
+      }
+    } else if (placeholder === '0') {
+      text = nextDigit('0');
+    } else if (placeholder === '?') {
+      text = ' ';
+    }
+
+    output.set(indices[position], text);
+  }
+}
+
+// Place decimals left-to-right; trailing zeros under "#" vanish and under "?" become spaces
+function fillDecimals(tokens, indices, digits, output) {
+  const rendered = indices.map((index, position) => digits[position] || '0');
+
+  for (let position = indices.length - 1; position >= 0; position--) {
+    const placeholder = tokens[indices[position]].value;
+    if (placeholder === '0' || rendered[position] !== '0') break;
+    rendered[position] = placeholder === '?' ? ' ' : '';
+  }
+
+  indices.forEach((index, position) => output.set(index, rendered[position]));
+}
+
+function renderDateSection(section, serial) {
+  if (serial < 0) return [{ type: 'text', value: '#'.repeat(8) }];
+
+  const precision = Math.pow(10, section.subsecondDigits);
+  const totalSeconds = Math.round(serial * 86400 * precision) / precision;
+  const days = Math.floor(totalSeconds / 86400);
+  const secondsOfDay = totalSeconds - days * 86400;
+
+  const date = serialDayToDate(days);
+  const hours = Math.floor(secondsOfDay / 3600);
+  const minutes = Math.floor((secondsOfDay % 3600) / 60);
+  const seconds = Math.floor(secondsOfDay % 60);
+  const fraction = secondsOfDay - Math.floor(secondsOfDay);
+
+  return section.tokens.map(token => {
+    switch (token.type) {
+      case 'date':
+        return { type: 'text', value: renderDateCode(token, date, { hours, minutes, seconds }, section.hasAmPm) };
+      case 'elapsed': {
+        const total = token.code === 'h'
+          ? Math.floor(totalSeconds / 3600)
+          : token.code === 'm' ? Math.floor(totalSeconds / 60) : Math.floor(totalSeconds);
+        return { type: 'text', value: String(total).padStart(token.length, '0') };
+      }
+      case 'subsecond':
+        return { type: 'text', value: '.' + fraction.toFixed(section.subsecondDigits).slice(2, 2 + token.length) };
+      case 'ampm': {
+        const pm = hours >= 12;
+        const text = token.value.length === 3
+          ? (pm ? token.value[2] : token.value[0])
+          : (pm ? token.value.slice(3, 5) : token.value.slice(0, 2));
+        return { type: 'text', value: text };
+      }
+      default:
+        return literalPart(token);
+    }
+  });
+}
+
+function renderDateCode(token, date, time, twelveHour) {
+  const { length } = token;
+  switch (token.code) {
+    case 'y':
+      return length <= 2 ? String(date.year % 100).padStart(2, '0') : String(date.year);
+    case 'm':
+      if (length === 1) return String(date.month);
+      if (length === 2) return String(date.month).padStart(2, '0');
+      if (length === 3) return MONTHS[date.month - 1].slice(0, 3);
+      if (length === 5) return MONTHS[date.month - 1][0];
+      return MONTHS[date.month - 1];
+    case 'minute':
+      return length === 1 ? String(time.minutes) : String(time.minutes).padStart(2, '0');
+    case 'd':
+      if (length === 1) return String(date.day);
+      if (length === 2) return String(date.day).padStart(2, '0');
+      if (length === 3) return WEEKDAYS[date.weekday].slice(0, 3);
+      return WEEKDAYS[date.weekday];
+    case 'h': {
+      const hours = twelveHour ? (time.hours % 12 || 12) : time.hours;
+      return length === 1 ? String(hours) : String(hours).padStart(2, '0');
+    }
+    case 's':
+      return length === 1 ? String(time.seconds) : String(time.seconds).padStart(2, '0');
+    default:
+      return token.value;
+  }
+}
+
+// Serial day to calendar date, keeping Excel's fictitious 29 Feb 1900 (serial 60)
+function serialDayToDate(days) {
+  if (days === 0) return { year: 1900, month: 1, day: 0, weekday: 6 };
+  if (days === 60) return { year: 1900, month: 2, day: 29, weekday: 3 };
+
+  const base = days < 60 ? Date.UTC(1899, 11, 31) : EXCEL_EPOCH;
+  const date = new Date(base + days * MS_PER_DAY);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// ExcelJS hands dates over as UTC midnights
+function dateToSerial(date) {
+  const serial = (date.getTime() - EXCEL_EPOCH) / MS_PER_DAY;
+  return serial < 61 ? serial - 1 : serial;
+}
+
+// Round half away from zero without binary artefacts (1.005 -> 1.01)
+function roundHalfAway(value, decimals) {
+  if (!isFinite(value) || Math.abs(value) >= 1e15) return value;
+  const [mantissa, exponent = '0'] = Math.abs(value).toPrecision(15).split('e');
+  const shifted = Number(`${mantissa}e${Number(exponent) + decimals}`);
+  const rounded = Number(`${Math.round(shifted)}e-${decimals}`);
+  return value < 0 ? -rounded : rounded;
+}
+
+function render(section, parts) {
+  const merged = [];
+  parts.forEach(part => {
+    const last = merged[merged.length - 1];
+    if (part.type === 'text' && last?.type === 'text') last.value += part.value;
+    else if (part.type !== 'text' || part.value) merged.push({ ...part });
+  });
+
+  return {
+    text: merged.map(part => (part.type === 'pad' ? ' ' : part.type === 'fill' ? '' : part.value)).join(''),
+    color: section.color,
+    parts: merged
+  };
+}
+
+function plain(text) {
+  return { text, color: null, parts: text ? [{ type: 'text', value: text }] : [] };
+}
@@ -27,7 +27,7 @@ export const useExcelProcessor = () => {
       const pending = pendingMessages.current.get(id);
       if (pending) {
         if (error) {
-          pending.reject(new Error(error));
+          pending.reject(new Error(error.message || error));
         } else {
           pending.resolve({ type, data });
         }
@@ -83,9 +83,10 @@ export const useExcelProcessor = () => {
     });
   }, [isWorkerReady]);
 
-  // Load workbook from ArrayBuffer
-  const loadWorkbook = useCallback(async (arrayBuffer) => {
-    const response = await sendMessage('LOAD_WORKBOOK', { arrayBuffer });
+  // Load workbook from ArrayBuffer; options.inputCells lists the what-if
+  // inputs ("Sheet!B4") when the default blue-font detection isn't wanted
+  const loadWorkbook = useCallback(async (arrayBuffer, options = {}) => {
+    const response = await sendMessage('LOAD_WORKBOOK', { arrayBuffer, ...options });
     return response.data;
   }, [sendMessage]);
 
@@ -122,11 +123,32 @@ export const useExcelProcessor = () => {
     return response.data;
   }, [sendMessage]);
 
+  // Change a what-if input and get back every cell that recalculated
+  const setCellValue = useCallback(async (sheetIndex, row, col, value) => {
+    const response = await sendMessage('SET_CELL_VALUE', { sheetIndex, row, col, value });
+    return response.data;
+  }, [sendMessage]);
+
+  // Restore all what-if inputs to the values saved in the file
+  const resetInputs = useCallback(async () => {
+    const response = await sendMessage('RESET_INPUTS', {});
+    return response.data;
+  }, [sendMessage]);
+
+  // Build an .xlsx of a range holding values only; resolves to an ArrayBuffer
+  const exportXlsx = useCallback(async (sheetIndex, range) => {
+    const response = await sendMessage('EXPORT_XLSX', { sheetIndex, range });
+    return response.data.buffer;
+  }, [sendMessage]);
+
   return {
     isWorkerReady,
     loadWorkbook,
     processSheet,
     getCellRange,
-    searchInSheet
+    searchInSheet,
+    setCellValue,
+    resetInputs,
+    exportXlsx
   };
 };
\ No newline at end of file
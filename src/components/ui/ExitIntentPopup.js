@@ -274,9 +274,9 @@ export default function ExitIntentPopup() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                 </svg>
               </div>
-              <h3 className="text-xl font-bold text-gray-900 mb-2">Welcome Aboard!</h3>
+              <h3 className="text-xl font-bold text-gray-900 mb-2">Almost There!</h3>
               <p className="text-gray-600 mb-4">
-                Check your inbox for a welcome email with exclusive insights and your first financial modeling tip.
+                Check your inbox and click the link we sent to confirm your subscription.
               </p>
               <p className="text-sm text-gray-500">
                 This popup will close automatically in a few seconds.
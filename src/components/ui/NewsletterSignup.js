@@ -6,6 +6,7 @@ export default function NewsletterSignup() {
   const [email, setEmail] = useState('');
   const [status, setStatus] = useState('idle'); // idle, loading, success, error
   const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
   
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -38,9 +39,10 @@ export default function NewsletterSignup() {
       const data = await response.json();
 
       if (response.ok) {
-      setStatus('success');
-      setEmail('');
+        setStatus('success');
+        setEmail('');
         setErrorMessage('');
+        setSuccessMessage(data.message);
       } else {
         throw new Error(data.error || 'Failed to subscribe');
       }
@@ -66,7 +68,7 @@ export default function NewsletterSignup() {
             <svg className="h-5 w-5 text-green-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
             </svg>
-            <span>Thanks for subscribing! You&apos;ll receive our latest insights soon.</span>
+            <span>{successMessage || 'Check your inbox and click the link to confirm your subscription.'}</span>
           </div>
         </div>
       ) : (
@@ -1,6 +1,7 @@
 // src/components/ui/OptimizedImage.js
 import Image from 'next/image';
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import { mediaLoader } from '@/config/media';
 
 const OptimizedImage = ({ 
   src, 
@@ -11,6 +12,8 @@ const OptimizedImage = ({
   priority = false,
   sizes = '100vw',
   placeholder = 'blur',
+  blurDataURL,
+  variants,
   quality = 75,
   lazy = true,
   fadeIn = true,
@@ -24,6 +27,10 @@ const OptimizedImage = ({
   const imgRef = useRef(null);
   const observerRef = useRef(null);
 
+  // Media library images (src/config/media.js) come with pre-built widths
+  // and their own blurred preview
+  const loader = useMemo(() => (variants?.length ? mediaLoader(variants) : undefined), [variants]);
+
   // Generate a simple blur placeholder based on dimensions
   const generateBlurDataURL = (w, h) => {
     const canvas = document.createElement('canvas');
@@ -129,7 +136,8 @@ const OptimizedImage = ({
           quality={quality}
           sizes={getOptimizedSizes()}
           placeholder={placeholder}
-          blurDataURL={typeof window !== 'undefined' ? generateBlurDataURL(20, 20) : undefined}
+          loader={loader}
+          blurDataURL={blurDataURL || (typeof window !== 'undefined' ? generateBlurDataURL(20, 20) : undefined)}
           onLoad={handleLoad}
           onError={handleError}
           {...props}
@@ -1,5 +1,8 @@
+import { DEFAULT_CURRENCY, formatMoney } from '@/config/currencies';
+
 export default function PriceDisplay({ 
   price, 
+  currency = DEFAULT_CURRENCY,
   size = 'md', 
   showCurrency = true,
   className = '',
@@ -15,24 +18,24 @@ export default function PriceDisplay({
 
   const formatPrice = (amount) => {
     if (!amount) return 'Contact';
-    return amount.toLocaleString();
+    return showCurrency ? formatMoney(amount, currency) : amount.toLocaleString();
   };
 
   return (
     <div className={`flex items-baseline ${className}`}>
       {originalPrice && originalPrice > price && (
         <span className="text-sm text-gray-500 line-through mr-2">
-          ${formatPrice(originalPrice)}
+          {formatPrice(originalPrice)}
         </span>
       )}
       
       <span className={`font-bold text-teal-500 ${sizes[size]}`}>
-        {showCurrency && '$'}{formatPrice(price)}
+        {formatPrice(price)}
       </span>
       
       {showCurrency && price && (
         <span className="ml-1 text-sm text-gray-600 dark:text-gray-400">
-          USD
+          {currency.toUpperCase()}
         </span>
       )}
     </div>
@@ -1,7 +1,21 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Link from 'next/link';
 
+const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 8;
+
+const SOLUTION_PAGES = [
+  { title: 'Financial Modeling Services', type: 'solution', url: '/solutions/financial-modeling', description: 'Custom financial modeling' },
+  { title: 'Investment Infrastructure', type: 'solution', url: '/solutions/infrastructure', description: 'End-to-end investment systems' },
+  { title: 'Industry Research', type: 'solution', url: '/solutions/research', description: 'Specialized market research' },
+];
+
+const TYPE_LABELS = {
+  insight: 'Insights',
+  model: 'Models'
+};
+
 const SearchComponent = ({ 
   placeholder = "Search models, insights, and solutions...", 
   onSearch,
@@ -10,99 +24,61 @@ const SearchComponent = ({
   const [query, setQuery] = useState('');
   const [isOpen, setIsOpen] = useState(false);
   const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState({ types: [], categories: [] });
+  const [typeFilter, setTypeFilter] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [insights, setInsights] = useState([]);
-  const [models, setModels] = useState([]);
+  const abortRef = useRef(null);
+
+  // Results come from /api/search (src/utils/search.js); the handful of
+  // solution pages are matched here
+  const runSearch = useCallback(async (searchQuery, type) => {
+    const trimmed = searchQuery.trim();
+    abortRef.current?.abort();
+
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setFacets({ types: [], categories: [] });
+      setIsLoading(false);
+      return;
+    }
 
-  // Fetch insights and models on component mount
-  useEffect(() => {
-    fetchInsights();
-    fetchModels();
-  }, []);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsLoading(true);
 
-  const fetchInsights = async () => {
-    try {
-      const response = await fetch('/api/insights');
-      const data = await response.json();
-      setInsights(Array.isArray(data) ? data : []);
-    } catch (error) {
-      console.error('Error fetching insights for search:', error);
-      setInsights([]);
-    }
-  };
+    const solutions = type ? [] : SOLUTION_PAGES
+      .filter(item => `${item.title} ${item.description}`.toLowerCase().includes(trimmed.toLowerCase()))
+      .map(item => ({ ...item, titleHtml: escapeText(item.title), snippetHtml: escapeText(item.description) }));
 
-  const fetchModels = async () => {
     try {
-      const response = await fetch('/api/models');
+      const params = new URLSearchParams({ q: trimmed, limit: String(MAX_RESULTS) });
+      if (type) params.set('type', type);
+      const response = await fetch(`/api/search?${params}`, { signal: controller.signal });
       const data = await response.json();
-      setModels(Array.isArray(data) ? data : []);
+      if (!response.ok) throw new Error(data.error || 'Search failed');
+
+      setResults([...solutions, ...data.results].slice(0, MAX_RESULTS));
+      setFacets(data.facets);
     } catch (error) {
-      console.error('Error fetching models for search:', error);
-      setModels([]);
+      if (error.name === 'AbortError') return;
+      console.error('Error searching:', error);
+      setResults(solutions);
+      setFacets({ types: [], categories: [] });
     }
-  };
-
-  // Dynamic search data that includes real insights and models from the database
-  const searchData = useMemo(() => {
-    const staticData = [
-      { title: 'Financial Modeling Services', type: 'solution', url: '/solutions/financial-modeling', description: 'Custom financial modeling' },
-      { title: 'Investment Infrastructure', type: 'solution', url: '/solutions/infrastructure', description: 'End-to-end investment systems' },
-      { title: 'Industry Research', type: 'solution', url: '/solutions/research', description: 'Specialized market research' },
-    ];
-
-    // Add real models from the database
-    const modelData = models.map(model => ({
-      title: model.title,
-      type: 'model',
-      url: `/models/${model.slug}`,
-      description: model.description || 'Financial model and analysis tool'
-    }));
-
-    // Add real insights from the database
-    const insightData = insights.map(insight => ({
-      title: insight.title,
-      type: 'insight',
-      url: `/insights/${insight.slug}`,
-      description: insight.summary || 'Investment insight and analysis'
-    }));
-
-    return [...staticData, ...modelData, ...insightData];
-  }, [insights, models]);
-
-  // Debounced search function
-  const debouncedSearch = useCallback(
-    (searchQuery) => {
-      if (searchQuery.trim().length < 2) {
-        setResults([]);
-        setIsLoading(false);
-        return;
-      }
-
-      setIsLoading(true);
-      
-      // Simulate API call delay
-      setTimeout(() => {
-        const filteredResults = searchData.filter(item =>
-          item.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          item.description.toLowerCase().includes(searchQuery.toLowerCase())
-        );
-        
-        setResults(filteredResults.slice(0, 8)); // Limit to 8 results
-        setIsLoading(false);
-      }, 300);
-    },
-    [searchData]
-  );
+    setIsLoading(false);
+  }, []);
 
   // Debounced version of the search function
   const debouncedSearchHandler = useMemo(
-    () => debounce(debouncedSearch, 300),
-    [debouncedSearch]
+    () => debounce(runSearch, 300),
+    [runSearch]
   );
 
   useEffect(() => {
-    debouncedSearchHandler(query);
-  }, [query, debouncedSearchHandler]);
+    debouncedSearchHandler(query, typeFilter);
+  }, [query, typeFilter, debouncedSearchHandler]);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   const handleInputChange = (e) => {
     const value = e.target.value;
@@ -171,23 +147,48 @@ const SearchComponent = ({
             transition={{ duration: 0.2 }}
             className="absolute z-50 w-full mt-2 bg-white border border-gray-300 rounded-lg shadow-lg dark:bg-gray-800 dark:border-gray-600 max-h-96 overflow-y-auto"
           >
+            {facets.types.length > 0 && (
+              <div className="flex gap-2 px-4 pt-3" role="group" aria-label="Filter results by type">
+                {[{ value: null, label: 'All' }, ...facets.types.map(facet => ({ value: facet.value, label: `${TYPE_LABELS[facet.value] || facet.value} (${facet.count})` }))].map(option => (
+                  <button
+                    key={option.value || 'all'}
+                    type="button"
+                    aria-pressed={typeFilter === option.value}
+                    onMouseDown={e => e.preventDefault()}
+                    onClick={() => setTypeFilter(option.value)}
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      typeFilter === option.value
+                        ? 'bg-teal-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
             {results.length > 0 ? (
               <div className="py-2">
-                {results.map((result, index) => (
+                {results.map(result => (
                   <Link
-                    key={index}
+                    key={result.url}
                     href={result.url}
                     className="block px-4 py-3 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer"
                     onClick={() => handleResultClick(result)}
                   >
                     <div className="flex items-center justify-between">
                       <div className="flex-1">
-                        <h4 className="text-sm font-medium text-gray-900 dark:text-white">
-                          {result.title}
-                        </h4>
-                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                          {result.description}
-                        </p>
+                        {/* Highlights are escaped by the search API; only <mark> is markup */}
+                        <h4
+                          className="text-sm font-medium text-gray-900 dark:text-white [&_mark]:bg-yellow-200 [&_mark]:text-inherit dark:[&_mark]:bg-yellow-700"
+                          dangerouslySetInnerHTML={{ __html: result.titleHtml }}
+                        />
+                        {result.snippetHtml && (
+                          <p
+                            className="text-xs text-gray-500 dark:text-gray-400 mt-1 line-clamp-2 [&_mark]:bg-yellow-200 [&_mark]:text-inherit dark:[&_mark]:bg-yellow-700"
+                            dangerouslySetInnerHTML={{ __html: result.snippetHtml }}
+                          />
+                        )}
                       </div>
                       <span className={`ml-2 px-2 py-1 rounded-full text-xs font-medium ${getTypeColor(result.type)}`}>
                         {result.type}
@@ -196,7 +197,11 @@ const SearchComponent = ({
                   </Link>
                 ))}
               </div>
-            ) : query.length > 1 ? (
+            ) : isLoading ? (
+              <div className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
+                Searching...
+              </div>
+            ) : query.trim().length >= MIN_QUERY_LENGTH ? (
               <div className="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">
                 No results found for &quot;{query}&quot;
               </div>
@@ -212,6 +217,10 @@ const SearchComponent = ({
   );
 };
 
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 // Debounce utility function
 function debounce(func, wait) {
   let timeout;
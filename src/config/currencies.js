@@ -0,0 +1,51 @@
+// src/config/currencies.js - Currencies the store sells in.
+// Shared by the checkout API and the price displays, so keep it free of
+// server-only imports.
+
+export const DEFAULT_CURRENCY = 'usd';
+
+export const SUPPORTED_CURRENCIES = {
+  usd: { code: 'usd', label: 'US Dollar', locale: 'en-US' },
+  gbp: { code: 'gbp', label: 'British Pound', locale: 'en-GB' },
+  eur: { code: 'eur', label: 'Euro', locale: 'en-IE' }
+};
+
+// The visitor's own choice, which wins over geolocation
+export const CURRENCY_COOKIE = 'zencap-currency';
+
+export const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+  'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+/**
+ * Normalize a currency code, or null if the store doesn't sell in it
+ */
+export function normalizeCurrency(currency) {
+  const code = String(currency || '').toLowerCase();
+  return SUPPORTED_CURRENCIES[code] ? code : null;
+}
+
+/**
+ * The currency to offer a visitor from a two-letter country code
+ */
+export function currencyForCountry(country) {
+  const code = String(country || '').toUpperCase();
+  if (code === 'GB') return 'gbp';
+  if (EU_COUNTRIES.includes(code)) return 'eur';
+  return DEFAULT_CURRENCY;
+}
+
+/**
+ * Format a price in major units, e.g. formatMoney(4985, 'gbp') -> "£4,985"
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, { decimals = 0 } = {}) {
+  const code = String(currency || DEFAULT_CURRENCY).toLowerCase();
+
+  return new Intl.NumberFormat(SUPPORTED_CURRENCIES[code]?.locale || 'en-US', {
+    style: 'currency',
+    currency: code.toUpperCase(),
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(amount);
+}
@@ -0,0 +1,41 @@
+// src/config/editorial.js - Insight review states and the actions between them.
+// Shared by the insights API and the admin dashboard, so keep it free of
+// server-only imports.
+import { hasPermission } from '@/config/roles';
+
+export const INSIGHT_STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  approved: 'Approved',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+// Saving new content sends these back to draft: what was approved has changed.
+// A published insight goes offline too, so an edit is never live unreviewed.
+export const REVIEWED_STATUSES = ['in_review', 'approved', 'scheduled', 'published'];
+
+// Each action: the states it starts from, the state it leaves the insight
+// in and the permission it needs (src/config/roles.js)
+export const INSIGHT_ACTIONS = {
+  submit: { label: 'Submit for Review', from: ['draft'], to: 'in_review', permission: 'manage_content' },
+  request_changes: { label: 'Request Changes', from: ['in_review', 'approved'], to: 'draft', permission: 'approve_content' },
+  approve: { label: 'Approve', from: ['in_review'], to: 'approved', permission: 'approve_content' },
+  publish: { label: 'Publish Now', from: ['approved', 'scheduled'], to: 'published', permission: 'approve_content' },
+  schedule: { label: 'Schedule', from: ['approved'], to: 'scheduled', permission: 'approve_content' },
+  unschedule: { label: 'Unschedule', from: ['scheduled'], to: 'approved', permission: 'approve_content' },
+  unpublish: { label: 'Unpublish', from: ['published'], to: 'draft', permission: 'approve_content' },
+  archive: { label: 'Archive', from: ['draft', 'approved', 'published'], to: 'archived', permission: 'approve_content' },
+  reopen: { label: 'Reopen as Draft', from: ['archived'], to: 'draft', permission: 'manage_content' }
+};
+
+/**
+ * The actions a role may take on an insight in `status`
+ * @returns {string[]} Keys of INSIGHT_ACTIONS
+ */
+export function getInsightActions(status, role) {
+  return Object.keys(INSIGHT_ACTIONS).filter(action =>
+    INSIGHT_ACTIONS[action].from.includes(status) && hasPermission(role, INSIGHT_ACTIONS[action].permission)
+  );
+}
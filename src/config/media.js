@@ -0,0 +1,43 @@
+// src/config/media.js - Media library image sizes and formats.
+// Shared by the upload API, the admin picker and OptimizedImage, so keep it
+// free of server-only imports.
+
+// Widths of the WebP variants made on upload; none is wider than the original
+export const MEDIA_VARIANT_WIDTHS = [320, 640, 960, 1280, 1920];
+
+export const MEDIA_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+
+export const MAX_MEDIA_BYTES = 15 * 1024 * 1024; // 15MB
+
+export const MEDIA_URL_PREFIX = '/uploads/media/';
+
+/**
+ * The narrowest variant at least `width` wide, or the widest there is
+ */
+export function pickVariant(variants = [], width) {
+  if (!variants.length) return null;
+  return variants.find(variant => variant.width >= width) || variants[variants.length - 1];
+}
+
+/**
+ * A next/image loader that serves the pre-built variants instead of the
+ * image optimizer
+ */
+export function mediaLoader(variants) {
+  return ({ src, width }) => pickVariant(variants, width)?.url || src;
+}
+
+/**
+ * Props for OptimizedImage from a media asset; `alt` falls back to
+ * `fallbackAlt` until the asset has alt text of its own
+ */
+export function mediaImageProps(media, fallbackAlt = '') {
+  return {
+    src: media.url,
+    width: media.width,
+    height: media.height,
+    alt: media.alt_text || fallbackAlt,
+    variants: media.variants,
+    blurDataURL: media.blur_data_url || undefined
+  };
+}
@@ -0,0 +1,41 @@
+// src/config/roles.js - Admin roles and the permissions each one grants.
+// Shared by the API middleware and the admin dashboard, so keep it free of
+// server-only imports.
+
+export const ADMIN_ROLES = ['owner', 'editor', 'analyst', 'support'];
+
+export const ROLE_PERMISSIONS = {
+  // Runs the business: everything, including pricing and backups
+  owner: [
+    'view_analytics',
+    'manage_content',
+    'approve_content',
+    'manage_pricing',
+    'manage_customers',
+    'trace_downloads',
+    'issue_refunds',
+    'manage_system',
+    'manage_users'
+  ],
+  // Models, model versions, previews and insights. Insights are approved
+  // and published by someone holding approve_content.
+  editor: ['manage_content'],
+  // Read-only dashboards
+  analyst: ['view_analytics'],
+  // Customer questions, refunds and leaked-file traces
+  support: ['manage_customers', 'trace_downloads', 'issue_refunds']
+};
+
+/**
+ * Whether a role may access the admin area at all
+ */
+export function isAdminRole(role) {
+  return ADMIN_ROLES.includes(role);
+}
+
+/**
+ * Whether a role grants a permission
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
@@ -155,7 +155,13 @@ export const AUDIT_SETTINGS = {
     lowRisk: [
       'PAGE_VIEW',
       'CONTACT_FORM'
-    ]
+    ],
+    // Watermark records are how leaked files are traced, so keep them
+    // as long as the licence terms (retention in days)
+    FILE_WATERMARK: { severity: 'info', retention: 7 * 365 },
+    // Who changed what in the admin area; severity comes from the caller so
+    // denied attempts stand out
+    ADMIN_ACCESS: { retention: 2 * 365 }
   },
   
   retention: {
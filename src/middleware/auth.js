@@ -3,7 +3,12 @@
  * @module middleware/auth
  */
 
+import crypto from 'crypto';
+import { getSession } from 'next-auth/react';
 import { verifyAccessToken, extractToken, findUserById, hasRole } from '../utils/auth.js';
+import { createAuditLog } from '../utils/audit.js';
+import { hasPermission } from '../config/roles.js';
+import { getMembership } from '../utils/organizations.js';
 import winston from 'winston';
 
 // Configure logger
@@ -35,30 +40,46 @@ export async function authenticate(req, res) {
   try {
     // Extract token from Authorization header
     const token = extractToken(req.headers.authorization);
-    
-    if (!token) {
-      res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-      return false;
+
+    // Cron jobs and scripts call admin routes with the admin API key
+    if (token && isAdminApiKey(token)) {
+      req.user = { id: null, email: null, name: 'Admin API key', role: 'owner', apiKey: true };
+      return true;
     }
 
-    // Verify token
-    const decoded = verifyAccessToken(token);
-    
-    if (!decoded) {
+    let userId = null;
+
+    if (token) {
+      // Verify token
+      const decoded = verifyAccessToken(token);
+
+      if (!decoded) {
+        res.status(401).json({
+          success: false,
+          error: 'Invalid or expired token',
+          code: 'INVALID_TOKEN'
+        });
+        return false;
+      }
+
+      userId = decoded.userId;
+    } else {
+      // Browser requests, e.g. from the admin dashboard, carry the NextAuth session cookie
+      const session = await getSession({ req });
+      userId = session?.user?.id || null;
+    }
+
+    if (!userId) {
       res.status(401).json({
         success: false,
-        error: 'Invalid or expired token',
-        code: 'INVALID_TOKEN'
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
       });
       return false;
     }
 
-    // Get user from database
-    const user = await findUserById(decoded.userId);
+    // Get user from database; the role is read fresh so demotions apply at once
+    const user = await findUserById(userId);
     
     if (!user) {
       res.status(401).json({
@@ -208,16 +229,8 @@ export function requirePermission(permission) {
       return false;
     }
 
-    // Check specific permission based on role
-    const permissions = {
-      admin: ['create', 'read', 'update', 'delete', 'manage_users', 'view_analytics'],
-      user: ['create', 'read', 'update'],
-      viewer: ['read']
-    };
-
-    const userPermissions = permissions[req.user.role] || [];
-    
-    if (!userPermissions.includes(permission)) {
+    // Check specific permission based on role (see src/config/roles.js)
+    if (!hasPermission(req.user.role, permission)) {
       res.status(403).json({
         success: false,
         error: `Missing required permission: ${permission}`,
@@ -230,6 +243,91 @@ export function requirePermission(permission) {
   };
 }
 
+/**
+ * Require an admin permission and record the attempt in the audit log,
+ * whether it was allowed or not
+ * @param {string} permission - Required permission
+ * @param {Object} [options]
+ * @param {string} [options.resourceType] - What the route acts on, e.g. 'model'
+ * @returns {Function} Middleware function
+ */
+export function requireAdmin(permission, { resourceType = null } = {}) {
+  return async (req, res) => {
+    const allowed = await requirePermission(permission)(req, res);
+
+    await createAuditLog({
+      event: 'ADMIN_ACCESS',
+      userId: req.user?.id ?? null,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      resourceType,
+      resourceId: getResourceId(req),
+      action: ADMIN_ACTIONS[req.method] || String(req.method).toLowerCase(),
+      result: allowed ? 'authorized' : 'denied',
+      severity: allowed ? 'info' : 'warning',
+      metadata: {
+        method: req.method,
+        path: String(req.url || '').split('?')[0],
+        permission,
+        role: req.user?.role || null,
+        apiKey: !!req.user?.apiKey
+      }
+    });
+
+    return allowed;
+  };
+}
+
+/**
+ * Require the signed-in user to administer the organization named by
+ * `organizationId` in the body or query
+ * @returns {Function} Middleware resolving to the membership, or false
+ */
+export function requireOrganizationAdmin() {
+  return async (req, res) => {
+    const isAuthenticated = await authenticate(req, res);
+    if (!isAuthenticated) {
+      return false;
+    }
+
+    const organizationId = Number(req.body?.organizationId ?? req.query.organizationId);
+    const membership = Number.isInteger(organizationId) && req.user.id
+      ? await getMembership(organizationId, req.user.id)
+      : null;
+
+    if (membership?.role !== 'admin') {
+      res.status(403).json({
+        success: false,
+        error: 'Organization admin access required',
+        code: 'ORGANIZATION_ADMIN_REQUIRED'
+      });
+      return false;
+    }
+
+    return membership;
+  };
+}
+
+const ADMIN_ACTIONS = { GET: 'read', POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+function isAdminApiKey(token) {
+  if (!process.env.ADMIN_API_KEY) return false;
+  const given = Buffer.from(token);
+  const expected = Buffer.from(process.env.ADMIN_API_KEY);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  return (forwarded ? String(forwarded).split(',')[0].trim() : req.socket?.remoteAddress) || null;
+}
+
+function getResourceId(req) {
+  const source = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+  const id = source.id ?? source.slug ?? source.modelId ?? null;
+  return id === null ? null : String(id);
+}
+
 /**
  * CORS middleware for API routes
  * @param {import('next').NextApiRequest} req - Request object
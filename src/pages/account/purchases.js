@@ -1,8 +1,9 @@
 // src/pages/account/purchases.js
 import { useEffect, useState } from 'react';
+import Link from 'next/link';
 import { useSession, signIn } from 'next-auth/react';
 import Layout from '@/components/layout/Layout';
-import { DocumentArrowDownIcon, ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { DocumentArrowDownIcon, ClockIcon, ExclamationTriangleIcon, DocumentTextIcon } from '@heroicons/react/24/outline';
 
 export default function Purchases() {
   const { data: session, status } = useSession({
@@ -14,10 +15,13 @@ export default function Purchases() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [selectedVersions, setSelectedVersions] = useState({});
+  const [plan, setPlan] = useState(null);
 
   useEffect(() => {
     if (status === 'authenticated') {
       fetchOrders();
+      fetchPlan();
     } else if (status === 'unauthenticated') {
       setLoading(false);
     }
@@ -41,32 +45,33 @@ export default function Purchases() {
     }
   };
 
-  const handleDownload = async (orderId, modelTitle) => {
+  // Plan status is secondary to orders, so a failure here doesn't block the page
+  const fetchPlan = async () => {
     try {
-      const response = await fetch(`/api/download/${orderId}`);
-      
+      const response = await fetch('/api/account/subscription');
       if (response.ok) {
-        // Create download link
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = modelTitle || 'model.xlsx';
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
-        
-        // Refresh orders to update download count
-        fetchOrders();
-      } else {
-        const error = await response.json();
-        alert(error.message || 'Download failed');
+        setPlan(await response.json());
       }
     } catch (err) {
-      console.error('Download error:', err);
+      console.error('Error fetching subscription:', err);
+    }
+  };
+
+  const handleDownload = (order) => {
+    const selected = order.available_versions?.find(
+      version => String(version.versionNumber) === String(selectedVersions[order.id])
+    );
+    const url = selected?.downloadUrl || order.download_url;
+
+    if (!url) {
       alert('Download failed. Please try again.');
+      return;
     }
+
+    // Signed links download directly; refresh afterwards to update the count
+    // and pick up fresh links
+    window.location.href = url;
+    setTimeout(fetchOrders, 2000);
   };
 
   if (status === 'loading' || loading) {
@@ -132,6 +137,8 @@ export default function Purchases() {
             </p>
           </div>
 
+          {plan && <PlanStatus plan={plan} />}
+
           {orders.length === 0 ? (
             <div className="bg-white rounded-lg shadow p-8 text-center">
               <div className="text-gray-400 mb-4">
@@ -159,6 +166,11 @@ export default function Purchases() {
                       <h3 className="text-xl font-semibold text-gray-900 mb-2">
                         {order.model_title}
                       </h3>
+                      {order.organization_name && (
+                        <p className="text-sm text-gray-600 mb-2">
+                          {order.seat_id ? 'Seat' : `${order.seats}-seat team license`} from {order.organization_name}
+                        </p>
+                      )}
                       <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm text-gray-600 mb-4">
                         <div>
                           <span className="font-medium">Purchase Date:</span>
@@ -174,6 +186,20 @@ export default function Purchases() {
                         </div>
                       </div>
                       
+                      {/* Version Info */}
+                      {order.available_versions?.length > 0 && (
+                        <div className="flex items-center space-x-4 mb-4 text-sm text-gray-600">
+                          {order.purchased_version && (
+                            <span>Purchased version: v{order.purchased_version}</span>
+                          )}
+                          {order.available_versions[0].versionLabel !== order.purchased_version && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                              Free update: v{order.available_versions[0].versionLabel}
+                            </span>
+                          )}
+                        </div>
+                      )}
+
                       {/* Status and Expiry Info */}
                       <div className="flex items-center space-x-4 mb-4">
                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${
@@ -190,21 +216,50 @@ export default function Purchases() {
                             Expires: {new Date(order.download_expires_at).toLocaleDateString()}
                           </div>
                         )}
+
+                        {order.invoice_url && (
+                          <a
+                            href={order.invoice_url}
+                            className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+                          >
+                            <DocumentTextIcon className="h-4 w-4 mr-1" />
+                            {order.invoice_number ? `Invoice ${order.invoice_number}` : 'Invoice'} (PDF)
+                          </a>
+                        )}
                       </div>
                     </div>
                     
                     {/* Download Button */}
                     <div className="ml-4">
-                      {order.status === 'completed' && 
+                      {order.organization_id && !order.seat_id ? (
+                        <Link href="/account/team" className="text-sm text-blue-600 hover:text-blue-700">
+                          Assign seats
+                        </Link>
+                      ) : order.status === 'completed' && 
                        order.download_count < order.max_downloads && 
                        new Date(order.download_expires_at) > new Date() ? (
-                        <button
-                          onClick={() => handleDownload(order.id, order.model_title)}
-                          className="flex items-center px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors"
-                        >
-                          <DocumentArrowDownIcon className="h-5 w-5 mr-2" />
-                          Download
-                        </button>
+                        <div className="flex flex-col items-end space-y-2">
+                          {order.available_versions?.length > 1 && (
+                            <select
+                              value={selectedVersions[order.id] || order.available_versions[0].versionNumber}
+                              onChange={(e) => setSelectedVersions({ ...selectedVersions, [order.id]: e.target.value })}
+                              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            >
+                              {order.available_versions.map(version => (
+                                <option key={version.versionNumber} value={version.versionNumber}>
+                                  v{version.versionLabel}{version.versionLabel === order.purchased_version ? ' (purchased)' : ''}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <button
+                            onClick={() => handleDownload(order)}
+                            className="flex items-center px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors"
+                          >
+                            <DocumentArrowDownIcon className="h-5 w-5 mr-2" />
+                            Download
+                          </button>
+                        </div>
                       ) : (
                         <div className="text-sm text-gray-500 text-center">
                           {order.status !== 'completed' ? 'Processing...' :
@@ -224,6 +279,123 @@ export default function Purchases() {
   );
 }
 
+const SUBSCRIPTION_STATUS_LABELS = {
+  active: 'Active',
+  trialing: 'Trial',
+  past_due: 'Payment overdue',
+  unpaid: 'Unpaid',
+  paused: 'Paused',
+  canceled: 'Canceled',
+  incomplete: 'Awaiting payment',
+  incomplete_expired: 'Expired'
+};
+
+// All-access plan status, the subscriber's library, or an offer to subscribe
+function PlanStatus({ plan }) {
+  const [busy, setBusy] = useState(false);
+  const { subscription, entitled, library } = plan;
+
+  const redirectTo = async (url, body) => {
+    setBusy(true);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (response.ok && data.url) {
+        window.location.href = data.url;
+      } else {
+        alert(data.error || 'Something went wrong. Please try again.');
+        setBusy(false);
+      }
+    } catch (err) {
+      console.error('Subscription request error:', err);
+      alert('Network error occurred');
+      setBusy(false);
+    }
+  };
+
+  const periodEnd = subscription?.current_period_end
+    ? new Date(subscription.current_period_end).toLocaleDateString()
+    : null;
+
+  if (!subscription || (!entitled && ['canceled', 'incomplete_expired'].includes(subscription.status))) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 mb-8 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{plan.plan.name}</h2>
+          <p className="text-gray-600 text-sm mt-1">{plan.plan.description}.</p>
+        </div>
+        <button
+          onClick={() => redirectTo('/api/stripe/create-checkout-session', { plan: plan.plan.id })}
+          disabled={busy}
+          className="ml-4 flex-shrink-0 px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {subscription ? 'Resubscribe' : 'Subscribe'} - ${plan.plan.price.toLocaleString()}/{plan.plan.interval}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{plan.plan.name}</h2>
+          <div className="flex items-center space-x-4 mt-2 text-sm text-gray-600">
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+              entitled && subscription.status !== 'past_due'
+                ? 'bg-green-100 text-green-800'
+                : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              {SUBSCRIPTION_STATUS_LABELS[subscription.status] || subscription.status}
+            </span>
+            {periodEnd && (
+              <span className="flex items-center">
+                <ClockIcon className="h-4 w-4 mr-1" />
+                {subscription.cancel_at_period_end ? `Ends ${periodEnd}` : `Renews ${periodEnd}`}
+              </span>
+            )}
+          </div>
+          {subscription.status === 'past_due' && (
+            <p className="text-sm text-yellow-800 mt-2">
+              We couldn&apos;t charge your card for the renewal. Update your payment method to keep access.
+            </p>
+          )}
+        </div>
+        <button
+          onClick={() => redirectTo('/api/stripe/customer-portal', {})}
+          disabled={busy}
+          className="ml-4 flex-shrink-0 px-4 py-2 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          Manage Subscription
+        </button>
+      </div>
+
+      {entitled && library.length > 0 && (
+        <div className="mt-6 border-t border-gray-200 pt-4">
+          <h3 className="text-sm font-medium text-gray-900 mb-3">Your library</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {library.map(model => (
+              <a
+                key={model.id}
+                href={model.download_url}
+                className="flex items-center justify-between px-3 py-2 rounded-lg border border-gray-200 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <span>{model.title}</span>
+                <DocumentArrowDownIcon className="h-5 w-5 text-blue-600" />
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Prevent static generation for auth-protected page
 export async function getServerSideProps() {
   return {
@@ -0,0 +1,389 @@
+// src/pages/account/team.js
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSession, signIn } from 'next-auth/react';
+import Layout from '@/components/layout/Layout';
+import BuyNowButton from '@/components/ui/BuyNowButton';
+import { UserGroupIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+export default function Team() {
+  const { status } = useSession({
+    required: true,
+    onUnauthenticated() {
+      signIn();
+    },
+  });
+  const [organizations, setOrganizations] = useState([]);
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newOrganization, setNewOrganization] = useState('');
+
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const response = await fetch('/api/account/organizations');
+      const data = await response.json();
+
+      if (response.ok) {
+        setOrganizations(data.organizations);
+      } else {
+        setError(data.error || 'Failed to fetch organizations');
+      }
+    } catch (err) {
+      setError('Network error occurred');
+      console.error('Error fetching organizations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchModels = useCallback(async () => {
+    try {
+      const response = await fetch('/api/models');
+      const data = await response.json();
+      setModels(Array.isArray(data) ? data : (data.models || []));
+    } catch (err) {
+      console.error('Error fetching models:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (status === 'authenticated') {
+      fetchOrganizations();
+    } else if (status === 'unauthenticated') {
+      setLoading(false);
+    }
+  }, [status, fetchOrganizations]);
+
+  // Only organization admins buy seats, so only they need the model list
+  const isAnyAdmin = organizations.some(organization => organization.role === 'admin');
+  useEffect(() => {
+    if (isAnyAdmin) fetchModels();
+  }, [isAnyAdmin, fetchModels]);
+
+  // Every change goes through the API and then reloads the team
+  const send = async (url, method, body) => {
+    setMessage(null);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setMessage({ type: 'error', text: data.error || 'Request failed' });
+        return false;
+      }
+
+      setMessage({ type: 'success', text: data.message });
+      await fetchOrganizations();
+      return true;
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Network error occurred' });
+      console.error('Team request error:', err);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await send('/api/account/organizations', 'POST', { name: newOrganization })) {
+      setNewOrganization('');
+    }
+  };
+
+  if (status === 'loading' || loading) {
+    return (
+      <Layout>
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (error) {
+    return (
+      <Layout>
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+          <div className="text-center">
+            <ExclamationTriangleIcon className="h-12 w-12 text-red-600 mx-auto mb-4" />
+            <p className="text-gray-600">{error}</p>
+            <button
+              onClick={fetchOrganizations}
+              className="mt-4 bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="mb-8">
+            <h1 className="text-3xl font-bold text-gray-900">Team</h1>
+            <p className="text-gray-600 mt-2">
+              Buy models for your team and choose who can download them
+            </p>
+          </div>
+
+          {message && (
+            <div className={`mb-6 p-4 rounded-lg text-sm ${
+              message.type === 'error' ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'
+            }`}>
+              {message.text}
+            </div>
+          )}
+
+          {organizations.length === 0 ? (
+            <div className="bg-white rounded-lg shadow p-8 text-center">
+              <div className="text-gray-400 mb-4">
+                <UserGroupIcon className="h-16 w-16 mx-auto" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No organization yet
+              </h3>
+              <p className="text-gray-600 mb-6">
+                Create an organization to buy team licenses and invite your analysts. If someone invited you, sign in with the address they used.
+              </p>
+              <form onSubmit={handleCreate} className="flex max-w-md mx-auto space-x-2">
+                <input
+                  type="text"
+                  value={newOrganization}
+                  onChange={(e) => setNewOrganization(e.target.value)}
+                  placeholder="Organization name"
+                  required
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <button
+                  type="submit"
+                  className="bg-blue-600 text-white py-2 px-6 rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  Create
+                </button>
+              </form>
+            </div>
+          ) : (
+            <div className="space-y-8">
+              {organizations.map(organization => (
+                organization.role === 'admin' ? (
+                  <OrganizationAdmin
+                    key={organization.id}
+                    organization={organization}
+                    models={models}
+                    send={send}
+                  />
+                ) : (
+                  <div key={organization.id} className="bg-white rounded-lg shadow p-6">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-2">{organization.name}</h2>
+                    <p className="text-gray-600">
+                      You are a member of this organization. Models your admins assign to you appear on{' '}
+                      <Link href="/account/purchases" className="text-blue-600 hover:text-blue-700">My Purchases</Link>.
+                    </p>
+                  </div>
+                )
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
+
+// Members, invites, team licenses and seat assignment for one organization
+function OrganizationAdmin({ organization, models, send }) {
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [assignments, setAssignments] = useState({});
+  const [purchase, setPurchase] = useState({ modelId: '', seats: 5 });
+
+  const organizationId = organization.id;
+  const selectedModel = models.find(model => String(model.id) === String(purchase.modelId));
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await send('/api/account/organizations/members', 'POST', { organizationId, ...invite })) {
+      setInvite({ email: '', role: 'member' });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-8">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">{organization.name}</h2>
+        <p className="text-sm text-gray-500">You are an admin of this organization</p>
+      </div>
+
+      {/* Members */}
+      <section>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Members</h3>
+        <div className="divide-y divide-gray-200 mb-4">
+          {organization.members.map(member => (
+            <div key={member.id} className="flex items-center justify-between py-3 text-sm">
+              <div>
+                <span className="font-medium text-gray-900">{member.name || member.email}</span>
+                {member.name && <span className="text-gray-500 ml-2">{member.email}</span>}
+              </div>
+              <div className="flex items-center space-x-3">
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                  {member.role}
+                </span>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                  member.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                }`}>
+                  {member.status === 'active' ? 'Active' : 'Invited'}
+                </span>
+                <button
+                  onClick={() => send('/api/account/organizations/members', 'DELETE', { organizationId, memberId: member.id })}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <form onSubmit={handleInvite} className="flex flex-wrap gap-2">
+          <input
+            type="email"
+            value={invite.email}
+            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+            placeholder="analyst@yourfirm.com"
+            required
+            className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="member">Member</option>
+            <option value="admin">Admin</option>
+          </select>
+          <button
+            type="submit"
+            className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+          >
+            Send Invite
+          </button>
+        </form>
+      </section>
+
+      {/* Team licenses */}
+      <section>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Team Licenses</h3>
+        {organization.licenses.length === 0 ? (
+          <p className="text-sm text-gray-600 mb-4">No team licenses yet.</p>
+        ) : (
+          <div className="space-y-4 mb-4">
+            {organization.licenses.map(license => {
+              const seated = new Set(license.assigned_seats.map(seat => seat.memberId));
+              const unseated = organization.members.filter(member => !seated.has(member.id));
+              const full = license.assigned_seats.length >= license.seats;
+
+              return (
+                <div key={license.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="font-medium text-gray-900">{license.model_title}</span>
+                    <span className="text-sm text-gray-600">
+                      {license.assigned_seats.length} of {license.seats} seats assigned
+                    </span>
+                  </div>
+                  {license.assigned_seats.map(seat => (
+                    <div key={seat.id} className="flex items-center justify-between py-2 text-sm">
+                      <span className="text-gray-700">{seat.email}</span>
+                      <div className="flex items-center space-x-3">
+                        <span className="text-gray-500">{seat.downloadCount} downloads</span>
+                        <button
+                          onClick={() => send('/api/account/organizations/seats', 'DELETE', { organizationId, seatId: seat.id })}
+                          className="text-red-600 hover:text-red-700"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  {!full && unseated.length > 0 && (
+                    <div className="flex space-x-2 mt-3">
+                      <select
+                        value={assignments[license.id] || ''}
+                        onChange={(e) => setAssignments({ ...assignments, [license.id]: e.target.value })}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      >
+                        <option value="">Choose a member...</option>
+                        {unseated.map(member => (
+                          <option key={member.id} value={member.id}>{member.email}</option>
+                        ))}
+                      </select>
+                      <button
+                        disabled={!assignments[license.id]}
+                        onClick={() => send('/api/account/organizations/seats', 'POST', {
+                          organizationId,
+                          orderId: license.id,
+                          memberId: assignments[license.id]
+                        })}
+                        className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+                      >
+                        Assign Seat
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={purchase.modelId}
+            onChange={(e) => setPurchase({ ...purchase, modelId: e.target.value })}
+            className="flex-1 min-w-[200px] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">Buy a team license for...</option>
+            {models.map(model => (
+              <option key={model.id} value={model.id}>{model.title}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            max="500"
+            value={purchase.seats}
+            onChange={(e) => setPurchase({ ...purchase, seats: parseInt(e.target.value, 10) || 1 })}
+            className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="Seats"
+          />
+          {selectedModel && (
+            <BuyNowButton
+              modelId={selectedModel.id}
+              modelSlug={selectedModel.slug}
+              modelTitle={selectedModel.title}
+              modelPrice={selectedModel.price}
+              organizationId={organizationId}
+              seats={purchase.seats}
+              size="sm"
+            >
+              Buy {purchase.seats} seats - ${(selectedModel.price * purchase.seats).toLocaleString()}
+            </BuyNowButton>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+// Prevent static generation for auth-protected page
+export async function getServerSideProps() {
+  return {
+    props: {}
+  };
+}
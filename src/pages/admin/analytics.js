@@ -2,6 +2,7 @@
 import { useState, useEffect } from 'react';
 import { getSession } from 'next-auth/react';
 import Layout from '@/components/layout/Layout';
+import { hasPermission } from '@/config/roles';
 import ExecutiveAnalyticsDashboard from '@/components/dashboard/ExecutiveAnalyticsDashboard';
 import { getAnalytics } from '@/utils/advancedAnalytics';
 import { getHeatMapTracker } from '@/utils/heatMapping';
@@ -66,16 +67,14 @@ export async function getServerSideProps(context) {
     };
   }
 
-  // For now, we'll allow all authenticated users
-  // In production, add role-based access control
-  // if (session.user.role !== 'admin') {
-  //   return {
-  //     redirect: {
-  //       destination: '/',
-  //       permanent: false,
-  //     },
-  //   };
-  // }
+  if (!hasPermission(session.user.role, 'view_analytics')) {
+    return {
+      redirect: {
+        destination: '/admin',
+        permanent: false,
+      },
+    };
+  }
 
   return {
     props: {
@@ -1,13 +1,31 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import Head from 'next/head';
 import dynamic from 'next/dynamic';
+import { getSession, signOut } from 'next-auth/react';
 import Layout from '../../components/layout/Layout';
+import MediaPicker from '@/components/admin/MediaPicker';
+import { hasPermission, isAdminRole } from '@/config/roles';
+import { formatMoney } from '@/config/currencies';
+import { INSIGHT_ACTIONS, INSIGHT_STATUS_LABELS, getInsightActions } from '@/config/editorial';
 import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, PieChart, Pie, Cell } from 'recharts';
 
 // ZenCap brand colors
 const COLORS = ['#046B4E', '#3e6792', '#6187ad', '#8ba8c2', '#bccddc'];
 
+// Each tab is shown to the roles holding its permission (src/config/roles.js).
+// The API routes behind the tabs enforce the same permissions.
+const TAB_PERMISSIONS = {
+  overview: 'view_analytics',
+  models: 'manage_content',
+  promotions: 'manage_pricing',
+  orders: 'issue_refunds',
+  webhooks: 'manage_system',
+  insights: 'manage_content',
+  leads: 'manage_customers',
+  newsletter: 'manage_customers'
+};
+
 // Dynamically import heavy components with proper error handling
 const RichTextEditor = dynamic(
   () => import('@/components/ui/RichTextEditor').catch(err => {
@@ -92,7 +110,7 @@ const DashboardCharts = dynamic(
 
 // AdminTabs component removed for now - can be added later if needed
 
-function InsightsAdmin() {
+function InsightsAdmin({ role }) {
   const [isClient, setIsClient] = useState(false);
   useEffect(() => { setIsClient(true); }, []);
   const [insights, setInsights] = useState([]);
@@ -101,10 +119,13 @@ function InsightsAdmin() {
   const [editInsight, setEditInsight] = useState(null);
   const [editingInsightId, setEditingInsightId] = useState(null);
   const [form, setForm] = useState({
-    slug: '', title: '', summary: '', content: '', author: '', cover_image_url: '', status: 'draft', tags: '', date_published: ''
+    slug: '', title: '', summary: '', content: '', author: '', cover_image_url: '', tags: '', date_published: ''
   });
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  // The newer copy another editor saved, offered when ours is out of date
+  const [latestInsight, setLatestInsight] = useState(null);
 
   useEffect(() => { fetchInsights(); }, []);
 
@@ -130,12 +151,35 @@ function InsightsAdmin() {
       content: getSampleContent(), 
       author: '', 
       cover_image_url: '', 
-      status: 'draft', 
       tags: '',
       date_published: ''
     });
     setShowForm(true);
     setError('');
+    setMessage('');
+    setLatestInsight(null);
+  };
+
+  // Load an insight into the editor; its revision is the base the next
+  // save is checked against
+  const openInsight = (insight) => {
+    setEditInsight(insight);
+    setEditingInsightId(insight.id);
+    // Format date for input field
+    const formattedDate = insight.date_published ? new Date(insight.date_published).toISOString().split('T')[0] : '';
+    // content is the HTML rendered from the stored document; saving sends
+    // the edited HTML back to be converted again
+    setForm({
+      slug: insight.slug,
+      title: insight.title,
+      summary: insight.summary || '',
+      content: insight.content || '',
+      author: insight.author || '',
+      cover_image_url: insight.cover_image_url || '',
+      tags: insight.tags || '',
+      date_published: formattedDate
+    });
+    setLatestInsight(null);
   };
 
   const handleEdit = (insight) => {
@@ -145,19 +189,19 @@ function InsightsAdmin() {
       setEditingInsightId(null);
       setEditInsight(null);
     } else {
-      setEditInsight(insight);
-      setEditingInsightId(insight.id);
-      // Format date for input field
-      const formattedDate = insight.date_published ? new Date(insight.date_published).toISOString().split('T')[0] : '';
-      setForm({ 
-        ...insight, 
-        date_published: formattedDate
-      });
+      openInsight(insight);
       setShowForm(true);
       setError('');
+      setMessage('');
     }
   };
 
+  // A workflow action or restore changed the insight under the editor
+  const handleInsightChanged = (insight) => {
+    openInsight(insight);
+    fetchInsights();
+  };
+
   const handleDelete = async (slug) => {
     if (!window.confirm('Delete this insight?')) return;
     await fetch('/api/insights', { method: 'DELETE', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ slug }) });
@@ -166,28 +210,40 @@ function InsightsAdmin() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (editInsight?.status === 'published' &&
+        !window.confirm('This insight is live. Saving takes it offline and back to draft until it is approved and published again. Save?')) return;
     setSaving(true);
     setError('');
+    setMessage('');
     const method = editInsight ? 'PUT' : 'POST';
     const res = await fetch('/api/insights', {
       method,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(form)
+      body: JSON.stringify(editInsight ? { ...form, baseRevision: editInsight.revision } : form)
     });
+    const data = await res.json().catch(() => ({}));
     if (!res.ok) {
-      setError('Failed to save.');
+      setError(data.error || 'Failed to save.');
+      if (res.status === 409 && data.insight) setLatestInsight(data.insight);
       setSaving(false);
       return;
     }
-    setShowForm(false);
-    setEditingInsightId(null);
     setSaving(false);
     fetchInsights();
+    if (editInsight) {
+      // Stay in the editor so the saved revision can go on to review
+      const sentBack = editInsight.status !== data.status;
+      setEditInsight(data);
+      setMessage(`Saved as revision ${data.revision}.${sentBack ? ' The edit moved it back to draft for review.' : ''}`);
+      return;
+    }
+    setShowForm(false);
+    setEditingInsightId(null);
   };
 
   // Format date for display
   const formatDateForDisplay = (dateString, status) => {
-    if (status === 'draft') return 'TBD';
+    if (!dateString && status !== 'published') return 'TBD';
     if (!dateString) return 'No date';
     
     try {
@@ -321,7 +377,7 @@ function InsightsAdmin() {
                 <div className={`grid gap-4 px-4 py-3 hover:bg-gray-50 dark:hover:bg-navy-700 ${index !== insights.length - 1 ? 'border-b border-gray-200 dark:border-navy-700' : ''}`} style={{gridTemplateColumns: '3fr 1.5fr 1fr 1.5fr 1fr'}}>
                   <div className="text-gray-900 dark:text-white truncate">{insight.title}</div>
                   <div className="text-gray-500 dark:text-gray-400 truncate">{insight.slug}</div>
-                  <div className="text-gray-500 dark:text-gray-400">{insight.status}</div>
+                  <div className="text-gray-500 dark:text-gray-400">{INSIGHT_STATUS_LABELS[insight.status] || insight.status}</div>
                   <div className="text-gray-500 dark:text-gray-400">{formatDateForDisplay(insight.date_published, insight.status)}</div>
                   <div className="flex justify-end gap-2">
                      <button 
@@ -357,7 +413,7 @@ function InsightsAdmin() {
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Content</label>
                         {isClient && (
                           <RichTextEditor
-                            key={editInsight?.slug || 'new-insight'}
+                            key={editInsight ? `${editInsight.slug}-${editInsight.revision}` : 'new-insight'}
                             initialContent={form.content}
                             onChange={html => setForm(f => ({ ...f, content: html }))}
                           />
@@ -375,15 +431,10 @@ function InsightsAdmin() {
                         </div>
                         <div>
                           <label htmlFor="insight-cover-image-url" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Cover Image URL</label>
-                          <input id="insight-cover-image-url" name="cover_image_url" value={form.cover_image_url} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-white dark:bg-navy-800 text-gray-900 dark:text-white" />
-                        </div>
-                        <div>
-                          <label htmlFor="insight-status" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Status</label>
-                          <select id="insight-status" name="status" value={form.status} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-white dark:bg-navy-800 text-gray-900 dark:text-white">
-                            <option value="draft">Draft</option>
-                            <option value="published">Published</option>
-                            <option value="archived">Archived</option>
-                          </select>
+                          <div className="flex flex-wrap gap-2">
+                            <input id="insight-cover-image-url" name="cover_image_url" value={form.cover_image_url} onChange={handleFormChange} className="flex-1 min-w-0 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-white dark:bg-navy-800 text-gray-900 dark:text-white" />
+                            <MediaPicker value={form.cover_image_url} onSelect={url => setForm(f => ({ ...f, cover_image_url: url }))} />
+                          </div>
                         </div>
                         <div>
                           <label htmlFor="insight-date-published" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Date Published</label>
@@ -401,7 +452,17 @@ function InsightsAdmin() {
                           <input id="insight-tags" name="tags" value={form.tags} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-white dark:bg-navy-800 text-gray-900 dark:text-white" />
                         </div>
                       </div>
-                      {error && <div className="text-red-600 dark:text-red-400">{error}</div>}
+                      {error && (
+                        <div className="text-red-600 dark:text-red-400">
+                          {error}
+                          {latestInsight && (
+                            <button type="button" onClick={() => openInsight(latestInsight)} className="ml-2 underline">
+                              Load revision {latestInsight.revision} (discards your changes)
+                            </button>
+                          )}
+                        </div>
+                      )}
+                      {message && <div className="text-green-600 dark:text-green-400">{message}</div>}
                       <div className="flex gap-2 pt-4">
                         <button type="submit" className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 dark:hover:bg-teal-600" disabled={saving}>
                           {saving ? 'Saving...' : (editInsight ? 'Update' : 'Create')}
@@ -411,6 +472,8 @@ function InsightsAdmin() {
                         </button>
                       </div>
                     </form>
+                    <InsightWorkflowPanel insight={editInsight} role={role} onChanged={handleInsightChanged} />
+                    <InsightHistoryPanel insight={editInsight} onRestored={handleInsightChanged} />
                   </div>
                 )}
               </div>
@@ -453,15 +516,10 @@ function InsightsAdmin() {
             </div>
             <div>
               <label htmlFor="insight-cover-image-url" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Cover Image URL</label>
-              <input id="insight-cover-image-url" name="cover_image_url" value={form.cover_image_url} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white" />
-            </div>
-            <div>
-              <label htmlFor="insight-status" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Status</label>
-              <select id="insight-status" name="status" value={form.status} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white">
-                <option value="draft">Draft</option>
-                <option value="published">Published</option>
-                <option value="archived">Archived</option>
-              </select>
+              <div className="flex flex-wrap gap-2">
+                <input id="insight-cover-image-url" name="cover_image_url" value={form.cover_image_url} onChange={handleFormChange} className="flex-1 min-w-0 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white" />
+                <MediaPicker value={form.cover_image_url} onSelect={url => setForm(f => ({ ...f, cover_image_url: url }))} />
+              </div>
             </div>
             <div>
               <label htmlFor="insight-date-published" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Date Published</label>
@@ -494,6 +552,257 @@ function InsightsAdmin() {
   );
 }
 
+// Review state of the insight open in the editor: the actions the admin's
+// role allows from here (src/config/editorial.js) and a preview link for
+// reviewers outside the dashboard
+function InsightWorkflowPanel({ insight, role, onChanged }) {
+  const [comment, setComment] = useState('');
+  const [working, setWorking] = useState(false);
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const actions = getInsightActions(insight.status, role);
+
+  const handleAction = async (action) => {
+    if (['publish', 'unpublish'].includes(action) && !window.confirm(`${INSIGHT_ACTIONS[action].label}: "${insight.title}"?`)) return;
+    setWorking(true);
+    setError('');
+    setMessage('');
+    const res = await fetch('/api/insights/workflow', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ slug: insight.slug, action, comment, baseRevision: insight.revision })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(data.error || 'Failed to update status');
+    } else {
+      setComment('');
+      setMessage(`${INSIGHT_STATUS_LABELS[data.status]}.`);
+      onChanged(data);
+    }
+    setWorking(false);
+  };
+
+  const handlePreview = async () => {
+    setError('');
+    const res = await fetch('/api/insights/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ slug: insight.slug })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(data.error || 'Failed to create preview link');
+      return;
+    }
+    const url = `${window.location.origin}${data.url}`;
+    setPreviewUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage(`Preview link copied. It works until ${new Date(data.expiresAt).toLocaleDateString()}.`);
+    } catch (err) {
+      setMessage(`Preview link works until ${new Date(data.expiresAt).toLocaleDateString()}.`);
+    }
+  };
+
+  return (
+    <div className="p-6 border-t border-gray-200 dark:border-navy-700 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-md font-semibold text-gray-900 dark:text-white">Review</h4>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {INSIGHT_STATUS_LABELS[insight.status] || insight.status} · revision {insight.revision}
+          {insight.approved_revision ? ` · approved revision ${insight.approved_revision}` : ''}
+          {insight.status === 'scheduled' && insight.date_published
+            ? ` · publishes ${new Date(insight.date_published).toLocaleDateString('en-US', { timeZone: 'UTC' })}`
+            : ''}
+        </span>
+      </div>
+
+      {insight.status === 'in_review' && !hasPermission(role, 'approve_content') && (
+        <div className="text-sm text-gray-500 dark:text-gray-400">Waiting for an approver. Saving changes sends it back to draft.</div>
+      )}
+
+      {actions.length > 0 && (
+        <textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="Comment for the history (optional)"
+          rows={2}
+          className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+        />
+      )}
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+      {message && <div className="text-sm text-green-600 dark:text-green-400">{message}</div>}
+      {previewUrl && (
+        <input readOnly value={previewUrl} onFocus={(e) => e.target.select()} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-xs" />
+      )}
+      <div className="flex flex-wrap gap-2">
+        {actions.map(action => (
+          <button
+            key={action}
+            type="button"
+            onClick={() => handleAction(action)}
+            disabled={working}
+            className={`${action === 'request_changes' || action === 'unpublish' || action === 'archive'
+              ? 'bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-navy-600'
+              : 'bg-teal-600 dark:bg-teal-500 text-white hover:bg-teal-700'} px-4 py-2 rounded disabled:opacity-50 text-sm`}
+          >
+            {INSIGHT_ACTIONS[action].label}
+          </button>
+        ))}
+        {insight.status !== 'published' && (
+          <button type="button" onClick={handlePreview} className="bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 px-4 py-2 rounded hover:bg-gray-300 dark:hover:bg-navy-600 text-sm">
+            Preview Link
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const WORKFLOW_EVENT_LABELS = {
+  edit: 'Edited back to draft',
+  scheduled_publish: 'Published on schedule'
+};
+
+// Every saved revision of an insight with who saved it, the review events
+// between them, a diff of any two and a restore that saves an old revision
+// as the newest one
+function InsightHistoryPanel({ insight, onRestored }) {
+  const [history, setHistory] = useState({ revisions: [], events: [] });
+  const [compare, setCompare] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/insights/revisions?slug=${encodeURIComponent(insight.slug)}`);
+      const data = await res.json();
+      setHistory({ revisions: data.revisions || [], events: data.events || [] });
+    } catch (err) {
+      setError('Failed to load history');
+    }
+  }, [insight.slug]);
+
+  // Saves and review actions add to the history, so reload after each
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory, insight.revision, insight.status]);
+
+  const handleCompare = async (from, to) => {
+    setError('');
+    const res = await fetch(`/api/insights/revisions?slug=${encodeURIComponent(insight.slug)}&from=${from}&to=${to}`);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(data.error || 'Failed to compare revisions');
+      return;
+    }
+    setCompare(data);
+  };
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision}? It is saved as a new revision and goes back to draft.`)) return;
+    setError('');
+    const res = await fetch('/api/insights/revisions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ slug: insight.slug, revision, baseRevision: insight.revision })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setError(data.error || 'Failed to restore revision');
+      return;
+    }
+    setCompare(null);
+    onRestored(data);
+  };
+
+  return (
+    <div className="p-6 border-t border-gray-200 dark:border-navy-700 space-y-4">
+      <h4 className="text-md font-semibold text-gray-900 dark:text-white">History</h4>
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <ul className="divide-y divide-gray-200 dark:divide-navy-700 text-sm">
+          {history.revisions.map(revision => (
+            <li key={revision.id} className="py-2 flex items-start justify-between gap-4">
+              <div>
+                <span className="font-medium text-gray-900 dark:text-white">Revision {revision.revision}</span>
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  {new Date(revision.created_at).toLocaleString()}
+                  {(revision.created_by_name || revision.created_by_email) && ` · ${revision.created_by_name || revision.created_by_email}`}
+                </span>
+                {revision.note && <p className="text-gray-600 dark:text-gray-300">{revision.note}</p>}
+              </div>
+              {revision.revision !== insight.revision && (
+                <div className="flex gap-1 shrink-0">
+                  <button onClick={() => handleCompare(revision.revision, insight.revision)} className="bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 hover:bg-gray-300 px-2 py-1 rounded text-xs transition">
+                    Compare
+                  </button>
+                  <button onClick={() => handleRestore(revision.revision)} className="bg-orange-600 hover:bg-orange-700 text-white px-2 py-1 rounded text-xs transition">
+                    Restore
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <ul className="divide-y divide-gray-200 dark:divide-navy-700 text-sm">
+          {history.events.length === 0 ? (
+            <li className="py-2 text-gray-500 dark:text-gray-400">No review activity yet.</li>
+          ) : history.events.map(event => (
+            <li key={event.id} className="py-2">
+              <span className="font-medium text-gray-900 dark:text-white">
+                {WORKFLOW_EVENT_LABELS[event.action] || INSIGHT_ACTIONS[event.action]?.label || event.action}
+              </span>
+              <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                revision {event.revision} · {new Date(event.created_at).toLocaleString()}
+                {` · ${event.user_name || event.user_email || 'System'}`}
+              </span>
+              {event.comment && <p className="text-gray-600 dark:text-gray-300 whitespace-pre-line">{event.comment}</p>}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {compare && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-gray-900 dark:text-white">
+              Revision {compare.from.revision} → {compare.to.revision}
+            </span>
+            <button type="button" onClick={() => setCompare(null)} className="text-xs text-gray-500 dark:text-gray-400 underline">Close</button>
+          </div>
+          {compare.fields.map(change => (
+            <div key={change.field} className="text-sm">
+              <span className="text-gray-500 dark:text-gray-400">{change.field}: </span>
+              <span className="bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 line-through">{change.before || '(empty)'}</span>
+              {' '}
+              <span className="bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300">{change.after || '(empty)'}</span>
+            </div>
+          ))}
+          <div className="max-h-96 overflow-auto rounded border border-gray-200 dark:border-navy-700 font-mono text-xs whitespace-pre-wrap">
+            {compare.content.map((line, i) => (
+              <div
+                key={i}
+                className={line.type === 'added'
+                  ? 'bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-300'
+                  : line.type === 'removed'
+                    ? 'bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-300'
+                    : 'text-gray-600 dark:text-gray-400'}
+              >
+                {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function ModelsAdmin() {
   const [isClient, setIsClient] = useState(false);
   useEffect(() => { setIsClient(true); }, []);
@@ -891,7 +1200,10 @@ function ModelsAdmin() {
                         </div>
                         <div>
                           <label htmlFor="model-thumbnail-url" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Thumbnail URL</label>
-                          <input id="model-thumbnail-url" name="thumbnail_url" value={form.thumbnail_url} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white" />
+                          <div className="flex flex-wrap gap-2">
+                            <input id="model-thumbnail-url" name="thumbnail_url" value={form.thumbnail_url} onChange={handleFormChange} className="flex-1 min-w-0 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white" />
+                            <MediaPicker value={form.thumbnail_url} onSelect={url => setForm(f => ({ ...f, thumbnail_url: url }))} />
+                          </div>
                         </div>
                         <div>
                           <label htmlFor="model-file-url" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">File URL</label>
@@ -1050,6 +1362,8 @@ function ModelsAdmin() {
                         </button>
                       </div>
                     </form>
+                    <ModelVersionsPanel modelSlug={model.slug} />
+                    <ModelPreviewPanel modelId={model.id} />
                   </div>
                 )}
               </div>
@@ -1088,7 +1402,10 @@ function ModelsAdmin() {
             </div>
             <div>
               <label htmlFor="model-thumbnail-url" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Thumbnail URL</label>
-              <input id="model-thumbnail-url" name="thumbnail_url" value={form.thumbnail_url} onChange={handleFormChange} className="w-full px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white" />
+              <div className="flex flex-wrap gap-2">
+                <input id="model-thumbnail-url" name="thumbnail_url" value={form.thumbnail_url} onChange={handleFormChange} className="flex-1 min-w-0 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white" />
+                <MediaPicker value={form.thumbnail_url} onSelect={url => setForm(f => ({ ...f, thumbnail_url: url }))} />
+              </div>
             </div>
             <div>
               <label htmlFor="model-file-url" className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">File URL</label>
@@ -1238,12 +1555,12 @@ function ExportButton({ onClick, label }) {
   );
 }
 
-export default function AdminDashboard() {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [password, setPassword] = useState('');
+export default function AdminDashboard({ adminUser }) {
+  const isAuthenticated = isAdminRole(adminUser?.role);
+  const tabs = Object.keys(TAB_PERMISSIONS).filter(tab => hasPermission(adminUser?.role, TAB_PERMISSIONS[tab]));
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('overview');
+  const [activeTab, setActiveTab] = useState(tabs[0]);
   const [darkMode, setDarkMode] = useState(false);
   const [isClient, setIsClient] = useState(false);
   useEffect(() => { setIsClient(true); }, []);
@@ -1270,24 +1587,6 @@ export default function AdminDashboard() {
     }
   };
 
-  // Simple authentication (you can enhance this later)
-  const handleLogin = (e) => {
-    e.preventDefault();
-    if (password === 'zencap2024') { // Change this to a secure password
-      setIsAuthenticated(true);
-      localStorage.setItem('admin-authenticated', 'true');
-    } else {
-      alert('Incorrect password');
-    }
-  };
-
-  useEffect(() => {
-    const auth = localStorage.getItem('admin-authenticated');
-    if (auth === 'true') {
-      setIsAuthenticated(true);
-    }
-  }, []);
-
   useEffect(() => {
     if (isAuthenticated) {
       fetchAnalytics();
@@ -1307,15 +1606,14 @@ export default function AdminDashboard() {
   };
 
   const handleLogout = () => {
-    setIsAuthenticated(false);
-    localStorage.removeItem('admin-authenticated');
+    signOut({ callbackUrl: '/' });
   };
 
   if (!isAuthenticated) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-navy-900 via-navy-800 to-navy-900 dark:from-navy-950 dark:via-navy-900 dark:to-navy-950 flex items-center justify-center">
         <Head>
-          <title>Admin Login - ZenCap Analytics</title>
+          <title>Admin Access - ZenCap Analytics</title>
         </Head>
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -1324,26 +1622,17 @@ export default function AdminDashboard() {
         >
           <div className="text-center mb-8">
             <h1 className="text-3xl font-bold text-white mb-2">ZenCap Analytics</h1>
-            <p className="text-gray-300 dark:text-gray-400">Enter your admin password</p>
+            <p className="text-gray-300 dark:text-gray-400">
+              {adminUser?.email} does not have access to the admin dashboard. Ask an owner to grant you a role.
+            </p>
           </div>
-          <form onSubmit={handleLogin} className="space-y-6">
-            <div>
-              <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="Admin Password"
-                className="w-full px-4 py-3 bg-white/10 dark:bg-navy-700/50 border border-white/20 dark:border-navy-600/50 rounded-lg text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-teal-500 dark:focus:ring-teal-400"
-                required
-              />
-            </div>
-            <button
-              type="submit"
-              className="w-full bg-gradient-to-r from-teal-600 to-teal-700 dark:from-teal-500 dark:to-teal-600 text-white py-3 px-6 rounded-lg font-semibold hover:from-teal-700 hover:to-teal-800 dark:hover:from-teal-600 dark:hover:to-teal-700 transition-all duration-200"
-            >
-              Access Dashboard
-            </button>
-          </form>
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="w-full bg-gradient-to-r from-teal-600 to-teal-700 dark:from-teal-500 dark:to-teal-600 text-white py-3 px-6 rounded-lg font-semibold hover:from-teal-700 hover:to-teal-800 dark:hover:from-teal-600 dark:hover:to-teal-700 transition-all duration-200"
+          >
+            Sign in with another account
+          </button>
         </motion.div>
       </div>
     );
@@ -1457,7 +1746,7 @@ export default function AdminDashboard() {
       <div className="bg-white dark:bg-navy-800 border-b border-gray-200 dark:border-navy-700">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <nav className="flex space-x-8">
-            {['overview', 'models', 'insights', 'leads', 'newsletter'].map((tab) => (
+            {tabs.map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -1611,6 +1900,47 @@ export default function AdminDashboard() {
                 </ResponsiveContainer>
               </div>
             </div>
+
+            {analytics.search && (
+              <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mt-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">Site Search</h3>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                  {analytics.search.searches} searches in the last {analytics.search.days} days, {analytics.search.zeroResultSearches} with no results
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Top searches</h4>
+                    {analytics.search.topQueries.length === 0 ? (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">No searches yet</p>
+                    ) : (
+                      <ul className="space-y-1 text-sm">
+                        {analytics.search.topQueries.map(row => (
+                          <li key={row.query} className="flex justify-between text-gray-700 dark:text-gray-300">
+                            <span className="truncate mr-4">{row.query}</span>
+                            <span className="text-gray-500 dark:text-gray-400 whitespace-nowrap">{row.searches} · ~{row.avg_results} results</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Searches with no results</h4>
+                    {analytics.search.zeroResultQueries.length === 0 ? (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">None</p>
+                    ) : (
+                      <ul className="space-y-1 text-sm">
+                        {analytics.search.zeroResultQueries.map(row => (
+                          <li key={row.query} className="flex justify-between text-gray-700 dark:text-gray-300">
+                            <span className="truncate mr-4">{row.query}</span>
+                            <span className="text-gray-500 dark:text-gray-400">{row.searches}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
           </motion.div>
         )}
 
@@ -1721,7 +2051,7 @@ export default function AdminDashboard() {
               />
             </div>
             <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mb-8">
-              <InsightsAdmin />
+              <InsightsAdmin role={adminUser?.role} />
             </div>
           </motion.div>
         )}
@@ -1751,6 +2081,9 @@ export default function AdminDashboard() {
                 label="Export Subscribers"
               />
             </div>
+            <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mb-8">
+              <NewsletterCampaigns />
+            </div>
             <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mb-8">
               <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Newsletter Subscribers</h3>
               {/* Newsletter Subscribers Table */}
@@ -1792,97 +2125,491 @@ export default function AdminDashboard() {
             </div>
           </motion.div>
         )}
+        {activeTab === 'promotions' && (
+          <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
+            <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mb-8">
+              <PromotionsAdmin />
+            </div>
+          </motion.div>
+        )}
+        {activeTab === 'orders' && (
+          <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
+            <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mb-8">
+              <OrdersAdmin />
+            </div>
+          </motion.div>
+        )}
+        {activeTab === 'webhooks' && (
+          <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
+            <div className="bg-white dark:bg-navy-800 rounded-lg shadow p-6 border border-gray-200 dark:border-navy-700 mb-8">
+              <StripeEventsAdmin />
+            </div>
+          </motion.div>
+        )}
       </div>
     </div>
   );
 } 
 
+export async function getServerSideProps(context) {
+  const session = await getSession(context);
+
+  if (!session) {
+    return {
+      redirect: {
+        destination: '/auth/signin?callbackUrl=/admin',
+        permanent: false,
+      },
+    };
+  }
+
+  // Signed-in users without an admin role get the no-access card rather than
+  // a redirect, so they can see which account they're using
+  return {
+    props: {
+      session,
+      adminUser: {
+        email: session.user.email || null,
+        name: session.user.name || null,
+        role: session.user.role || 'user'
+      },
+    },
+  };
+}
+
 // Add NewsletterSubscribersTable component at the bottom of the file
-function NewsletterSubscribersTable() {
-  const [subscribers, setSubscribers] = useState([]);
+const EMPTY_CAMPAIGN = { subject: '', preheader: '', intro: '', insight_ids: [] };
+const LATEST_INSIGHTS_COUNT = 3;
+
+const CAMPAIGN_STATUS_STYLES = {
+  draft: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200',
+  sending: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200',
+  sent: 'bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200',
+  cancelled: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-200'
+};
+
+// Compose newsletter campaigns from recent insights, send them through the
+// email queue in batches (src/utils/newsletter.js) and follow their opens
+// and clicks
+function NewsletterCampaigns() {
+  const [campaigns, setCampaigns] = useState([]);
+  const [insights, setInsights] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null); // the campaign open in the composer or stats view
+  const [form, setForm] = useState(null);
+  const [testEmail, setTestEmail] = useState('');
+  const [working, setWorking] = useState(false);
   const [error, setError] = useState('');
-  const [actionLoading, setActionLoading] = useState(null); // id of row being acted on
+  const [message, setMessage] = useState('');
 
-  const fetchSubscribers = async () => {
-    setLoading(true);
-    setError('');
+  const fetchCampaigns = async () => {
     try {
-      const res = await fetch('/api/newsletter');
+      const res = await fetch('/api/newsletter/campaigns');
       const data = await res.json();
-      if (data.success) {
-        setSubscribers(data.subscribers);
-      } else {
-        setError('Failed to load subscribers');
-      }
+      setCampaigns(Array.isArray(data) ? data : []);
     } catch (err) {
-      setError('Failed to load subscribers');
+      setError('Failed to load campaigns');
     }
     setLoading(false);
   };
 
+  const fetchCampaign = async (id) => {
+    const res = await fetch(`/api/newsletter/campaigns?id=${id}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load campaign');
+    setSelected(data);
+    return data;
+  };
+
   useEffect(() => {
-    fetchSubscribers();
+    fetchCampaigns();
+    // Published insights, newest first, to pull into campaigns
+    fetch('/api/insights')
+      .then(res => res.json())
+      .then(data => setInsights(Array.isArray(data) ? data.slice(0, 20) : []))
+      .catch(() => setInsights([]));
   }, []);
 
-  const handleUnsubscribe = async (id) => {
-    setActionLoading(id);
+  // Follow a campaign's progress while it is sending
+  useEffect(() => {
+    if (selected?.status !== 'sending') return;
+    const timer = setInterval(() => {
+      fetchCampaign(selected.id).catch(() => {});
+      fetchCampaigns();
+    }, 10000);
+    return () => clearInterval(timer);
+  }, [selected?.id, selected?.status]);
+
+  const handleNew = () => {
+    setSelected(null);
+    setForm(EMPTY_CAMPAIGN);
+    setError('');
+    setMessage('');
+  };
+
+  const handleOpen = async (id) => {
+    setError('');
+    setMessage('');
     try {
-      const res = await fetch('/api/newsletter', {
-        method: 'PATCH',
+      const campaign = await fetchCampaign(id);
+      setForm(campaign.status === 'draft' ? {
+        subject: campaign.subject,
+        preheader: campaign.preheader || '',
+        intro: campaign.intro || '',
+        insight_ids: campaign.insight_ids || []
+      } : null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleInsight = (id) => {
+    setForm(f => ({
+      ...f,
+      insight_ids: f.insight_ids.includes(id) ? f.insight_ids.filter(i => i !== id) : [...f.insight_ids, id]
+    }));
+  };
+
+  const addLatestInsights = () => {
+    const latest = insights.slice(0, LATEST_INSIGHTS_COUNT).map(insight => insight.id);
+    setForm(f => ({ ...f, insight_ids: [...f.insight_ids, ...latest.filter(id => !f.insight_ids.includes(id))] }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError('');
+    setMessage('');
+    try {
+      const res = await fetch(selected ? `/api/newsletter/campaigns?id=${selected.id}` : '/api/newsletter/campaigns', {
+        method: selected ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id, status: 'unsubscribed' })
+        body: JSON.stringify(form)
       });
-      await fetchSubscribers();
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      await fetchCampaign(data.id);
+      setMessage('Draft saved.');
+      fetchCampaigns();
     } catch (err) {
-      alert('Failed to unsubscribe');
+      setError(err.message);
     }
-    setActionLoading(null);
+    setWorking(false);
   };
 
-  const handleDelete = async (id) => {
-    if (!window.confirm('Delete this subscriber?')) return;
-    setActionLoading(id);
+  const runAction = async (action, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    setWorking(true);
+    setError('');
+    setMessage('');
     try {
-      const res = await fetch('/api/newsletter', {
-        method: 'DELETE',
+      const res = await fetch('/api/newsletter/send', {
+        method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id })
+        body: JSON.stringify({ id: selected.id, action, email: testEmail || undefined })
       });
-      await fetchSubscribers();
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Failed to ${action}`);
+      if (action === 'test') {
+        setMessage(`Test email sent to ${data.to}.`);
+      } else {
+        setSelected(data);
+        setForm(null);
+        setMessage(action === 'send' ? `Sending to ${data.recipient_count} subscribers in batches.` : 'Campaign cancelled.');
+        fetchCampaigns();
+      }
     } catch (err) {
-      alert('Failed to delete');
+      setError(err.message);
     }
-    setActionLoading(null);
+    setWorking(false);
   };
 
-  if (loading) return <div className="text-gray-500 dark:text-gray-400">Loading...</div>;
-  if (error) return <div className="text-red-600 dark:text-red-400">{error}</div>;
-  if (!subscribers.length) return <div className="text-gray-500 dark:text-gray-400">No subscribers found.</div>;
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this draft?')) return;
+    const res = await fetch(`/api/newsletter/campaigns?id=${selected.id}`, { method: 'DELETE' });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Failed to delete');
+      return;
+    }
+    setSelected(null);
+    setForm(null);
+    fetchCampaigns();
+  };
+
+  const rate = (count, total) => (total ? `${Math.round((count / total) * 100)}%` : '–');
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-navy-600 rounded bg-white dark:bg-navy-700 text-gray-900 dark:text-white';
+  const insightTitle = id => insights.find(insight => insight.id === id)?.title || `Insight #${id} (not published)`;
 
   return (
-    <div className="overflow-x-auto">
-      <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700">
-        <thead className="bg-gray-50 dark:bg-navy-700">
-          <tr>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Email</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">IP Address</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Date Subscribed</th>
-            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Status</th>
-            <th className="px-6 py-3"></th>
-          </tr>
-        </thead>
-        <tbody className="bg-white dark:bg-navy-800 divide-y divide-gray-200 dark:divide-navy-700">
-          {subscribers.map(sub => (
-            <tr key={sub.id} className="hover:bg-gray-50 dark:hover:bg-navy-700">
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{sub.email}</td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{sub.ip_address || '-'}</td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{new Date(sub.created_at).toLocaleDateString()}</td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                  sub.status === 'unsubscribed'
-                    ? 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
-                    : 'bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200'
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Campaigns</h3>
+        <button onClick={handleNew} className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 dark:hover:bg-teal-600">New Campaign</button>
+      </div>
+
+      {error && <div className="mb-4 text-red-600 dark:text-red-400">{error}</div>}
+      {message && <div className="mb-4 text-teal-700 dark:text-teal-300">{message}</div>}
+
+      {form && (
+        <form onSubmit={handleSave} className="mb-6 p-4 border border-gray-200 dark:border-navy-700 rounded-lg space-y-4">
+          <input value={form.subject} onChange={e => setForm({ ...form, subject: e.target.value })} placeholder="Subject" maxLength={200} className={inputClass} required />
+          <input value={form.preheader} onChange={e => setForm({ ...form, preheader: e.target.value })} placeholder="Preheader (preview text shown after the subject)" maxLength={200} className={inputClass} />
+          <textarea value={form.intro} onChange={e => setForm({ ...form, intro: e.target.value })} placeholder="Introduction. Separate paragraphs with a blank line." rows={5} className={inputClass} />
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-200">Featured insights, in the order chosen</span>
+              <button type="button" onClick={addLatestInsights} className="text-sm text-teal-700 dark:text-teal-300 hover:underline">
+                Add latest {LATEST_INSIGHTS_COUNT}
+              </button>
+            </div>
+            {form.insight_ids.length > 0 && (
+              <ol className="list-decimal ml-5 mb-2 text-sm text-gray-700 dark:text-gray-200">
+                {form.insight_ids.map(id => <li key={id}>{insightTitle(id)}</li>)}
+              </ol>
+            )}
+            <div className="max-h-48 overflow-y-auto border border-gray-200 dark:border-navy-700 rounded p-2 space-y-1">
+              {insights.length === 0 ? (
+                <div className="text-sm text-gray-500 dark:text-gray-400">No published insights yet.</div>
+              ) : insights.map(insight => (
+                <label key={insight.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+                  <input type="checkbox" checked={form.insight_ids.includes(insight.id)} onChange={() => toggleInsight(insight.id)} />
+                  {insight.title}
+                  <span className="text-gray-400">{insight.date_published ? new Date(insight.date_published).toLocaleDateString() : ''}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button type="submit" disabled={working} className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 disabled:opacity-50">
+              {working ? 'Saving...' : 'Save Draft'}
+            </button>
+            {selected && (
+              <>
+                <input type="email" value={testEmail} onChange={e => setTestEmail(e.target.value)} placeholder="Test address (default: you)" className={`${inputClass} w-64`} />
+                <button type="button" disabled={working} onClick={() => runAction('test')} className="px-4 py-2 rounded border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300 disabled:opacity-50">
+                  Send Test
+                </button>
+                <button
+                  type="button"
+                  disabled={working}
+                  onClick={() => runAction('send', 'Send this campaign to every active subscriber? Save any changes first.')}
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded disabled:opacity-50"
+                >
+                  Send Campaign
+                </button>
+                <button type="button" onClick={handleDelete} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded">
+                  Delete
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => { setForm(null); setSelected(null); }} className="px-4 py-2 rounded border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300">
+              Close
+            </button>
+          </div>
+        </form>
+      )}
+
+      {selected && !form && (
+        <div className="mb-6 p-4 border border-gray-200 dark:border-navy-700 rounded-lg space-y-4">
+          <div className="flex justify-between items-start gap-4">
+            <div>
+              <div className="font-semibold text-gray-900 dark:text-white">{selected.subject}</div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">
+                {selected.status}{selected.started_at ? ` · started ${new Date(selected.started_at).toLocaleString()}` : ''}
+                {selected.completed_at ? ` · finished ${new Date(selected.completed_at).toLocaleString()}` : ''}
+              </div>
+            </div>
+            <div className="flex gap-2">
+              {selected.status === 'sending' && (
+                <>
+                  <button disabled={working} onClick={() => runAction('send')} title="Queue the next batch again if sending has stalled" className="px-4 py-2 rounded border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300 disabled:opacity-50">
+                    Resume
+                  </button>
+                  <button disabled={working} onClick={() => runAction('cancel', 'Stop sending? Subscribers not reached yet will not get this campaign.')} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded disabled:opacity-50">
+                    Cancel Sending
+                  </button>
+                </>
+              )}
+              <button onClick={() => setSelected(null)} className="px-4 py-2 rounded border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300">Close</button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+            {[
+              ['Recipients', selected.recipient_count],
+              ['Sent', selected.sent_count],
+              ['Waiting', selected.pending_count],
+              ['Failed', selected.failed_count],
+              ['Opened', `${selected.opened_count} (${rate(selected.opened_count, selected.sent_count)})`],
+              ['Clicked', `${selected.clicked_count} (${rate(selected.clicked_count, selected.sent_count)})`]
+            ].map(([label, value]) => (
+              <div key={label}>
+                <div className="text-xs text-gray-500 dark:text-gray-400 uppercase">{label}</div>
+                <div className="text-lg font-semibold text-gray-900 dark:text-white">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          {selected.links?.length > 0 && (
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700 text-sm">
+              <thead>
+                <tr>
+                  {['Link', 'Clicks', 'Unique'].map(heading => (
+                    <th key={heading} className="px-3 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-navy-700">
+                {selected.links.map(link => (
+                  <tr key={link.url}>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-200 break-all">{link.url}</td>
+                    <td className="px-3 py-2 text-gray-500 dark:text-gray-400">{link.clicks}</td>
+                    <td className="px-3 py-2 text-gray-500 dark:text-gray-400">{link.unique_clicks}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Opens are counted from a tracking image, which many mail clients block, so the open rate is a lower bound. A click also counts as an open.
+          </p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : !campaigns.length ? (
+        <div className="text-gray-500 dark:text-gray-400">No campaigns yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700">
+            <thead className="bg-gray-50 dark:bg-navy-700">
+              <tr>
+                {['Subject', 'Status', 'Sent', 'Opened', 'Clicked', 'Updated', ''].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-navy-800 divide-y divide-gray-200 dark:divide-navy-700">
+              {campaigns.map(campaign => (
+                <tr key={campaign.id} className="hover:bg-gray-50 dark:hover:bg-navy-700">
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900 dark:text-white">{campaign.subject}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${CAMPAIGN_STATUS_STYLES[campaign.status]}`}>
+                      {campaign.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {campaign.status === 'draft' ? '–' : `${campaign.sent_count} / ${campaign.recipient_count}`}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{rate(campaign.opened_count, campaign.sent_count)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{rate(campaign.clicked_count, campaign.sent_count)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{new Date(campaign.updated_at).toLocaleDateString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    <button onClick={() => handleOpen(campaign.id)} className="bg-teal-600 hover:bg-teal-700 dark:bg-teal-500 dark:hover:bg-teal-400 text-white px-4 py-2 rounded transition">
+                      {campaign.status === 'draft' ? 'Edit' : 'Stats'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function NewsletterSubscribersTable() {
+  const [subscribers, setSubscribers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionLoading, setActionLoading] = useState(null); // id of row being acted on
+
+  const fetchSubscribers = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch('/api/newsletter');
+      const data = await res.json();
+      if (data.success) {
+        setSubscribers(data.subscribers);
+      } else {
+        setError('Failed to load subscribers');
+      }
+    } catch (err) {
+      setError('Failed to load subscribers');
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchSubscribers();
+  }, []);
+
+  const handleUnsubscribe = async (id) => {
+    setActionLoading(id);
+    try {
+      const res = await fetch('/api/newsletter', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, status: 'unsubscribed' })
+      });
+      await fetchSubscribers();
+    } catch (err) {
+      alert('Failed to unsubscribe');
+    }
+    setActionLoading(null);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this subscriber?')) return;
+    setActionLoading(id);
+    try {
+      const res = await fetch('/api/newsletter', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
+      });
+      await fetchSubscribers();
+    } catch (err) {
+      alert('Failed to delete');
+    }
+    setActionLoading(null);
+  };
+
+  if (loading) return <div className="text-gray-500 dark:text-gray-400">Loading...</div>;
+  if (error) return <div className="text-red-600 dark:text-red-400">{error}</div>;
+  if (!subscribers.length) return <div className="text-gray-500 dark:text-gray-400">No subscribers found.</div>;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700">
+        <thead className="bg-gray-50 dark:bg-navy-700">
+          <tr>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Email</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">IP Address</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Date Subscribed</th>
+            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">Status</th>
+            <th className="px-6 py-3"></th>
+          </tr>
+        </thead>
+        <tbody className="bg-white dark:bg-navy-800 divide-y divide-gray-200 dark:divide-navy-700">
+          {subscribers.map(sub => (
+            <tr key={sub.id} className="hover:bg-gray-50 dark:hover:bg-navy-700">
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{sub.email}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{sub.ip_address || '-'}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{new Date(sub.created_at).toLocaleDateString()}</td>
+              <td className="px-6 py-4 whitespace-nowrap">
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                  sub.status === 'unsubscribed'
+                    ? 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
+                    : sub.status === 'pending'
+                      ? 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200'
+                      : 'bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200'
                 }`}>
                   {sub.status || 'active'}
                 </span>
@@ -1909,4 +2636,848 @@ function NewsletterSubscribersTable() {
       </table>
     </div>
   );
-} 
\ No newline at end of file
+} 
+const EMPTY_PROMOTION = {
+  code: '', description: '', discount_type: 'percent', discount_value: '', category: '',
+  starts_at: '', expires_at: '', usage_limit: '', first_time_only: false, status: 'active'
+};
+
+// Site-owned promotion codes, validated before checkout is sent to Stripe
+function PromotionsAdmin() {
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_PROMOTION);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchPromotions = async () => {
+    setLoading(true);
+    try {
+      const res = await fetch('/api/promotions');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load promotions');
+      setPromotions(data.promotions || []);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchPromotions();
+  }, []);
+
+  const handleFormChange = e => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleAdd = () => {
+    setEditingId(null);
+    setForm(EMPTY_PROMOTION);
+    setShowForm(true);
+    setError('');
+  };
+
+  const handleEdit = (promotion) => {
+    const toDateInput = value => value ? new Date(value).toISOString().split('T')[0] : '';
+    setEditingId(promotion.id);
+    setForm({
+      ...EMPTY_PROMOTION,
+      ...promotion,
+      category: promotion.category || '',
+      starts_at: toDateInput(promotion.starts_at),
+      expires_at: toDateInput(promotion.expires_at),
+      usage_limit: promotion.usage_limit ?? ''
+    });
+    setShowForm(true);
+    setError('');
+  };
+
+  const handleArchive = async (id) => {
+    if (!window.confirm('Archive this promotion? Existing orders keep their discount.')) return;
+    const res = await fetch('/api/promotions', { method: 'DELETE', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id }) });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Failed to archive.');
+      return;
+    }
+    setError('');
+    fetchPromotions();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    const res = await fetch('/api/promotions', {
+      method: editingId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(editingId ? { ...form, id: editingId } : form)
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Failed to save.');
+      setSaving(false);
+      return;
+    }
+    setShowForm(false);
+    setEditingId(null);
+    setSaving(false);
+    fetchPromotions();
+  };
+
+  const formatDiscount = (promotion) => promotion.discount_type === 'percent'
+    ? `${parseFloat(promotion.discount_value)}%`
+    : `$${parseFloat(promotion.discount_value).toLocaleString()}`;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-navy-600 rounded bg-white dark:bg-navy-700 text-gray-900 dark:text-white';
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Manage Promotions</h3>
+        <button onClick={handleAdd} className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 dark:hover:bg-teal-600">Add Promotion</button>
+      </div>
+
+      {error && !showForm && <div className="mb-4 text-red-600 dark:text-red-400">{error}</div>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 border border-gray-200 dark:border-navy-700 rounded-lg grid grid-cols-1 md:grid-cols-3 gap-4">
+          <input name="code" value={form.code} onChange={handleFormChange} placeholder="Code" className={`${inputClass} uppercase`} disabled={!!editingId} required />
+          <select name="discount_type" value={form.discount_type} onChange={handleFormChange} className={inputClass}>
+            <option value="percent">Percent off</option>
+            <option value="fixed">Fixed amount off ($)</option>
+          </select>
+          <input name="discount_value" type="number" min="0" step="0.01" value={form.discount_value} onChange={handleFormChange} placeholder="Discount value" className={inputClass} required />
+          <input name="description" value={form.description} onChange={handleFormChange} placeholder="Description" className={`${inputClass} md:col-span-3`} />
+          <input name="category" value={form.category} onChange={handleFormChange} placeholder="Model category (blank for all)" className={inputClass} />
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            Starts
+            <input name="starts_at" type="date" value={form.starts_at} onChange={handleFormChange} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            Expires
+            <input name="expires_at" type="date" value={form.expires_at} onChange={handleFormChange} className={inputClass} />
+          </label>
+          <input name="usage_limit" type="number" min="1" value={form.usage_limit} onChange={handleFormChange} placeholder="Usage limit (blank for unlimited)" className={inputClass} />
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            <input name="first_time_only" type="checkbox" checked={!!form.first_time_only} onChange={handleFormChange} />
+            First-time buyers only
+          </label>
+          <select name="status" value={form.status} onChange={handleFormChange} className={inputClass}>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+          {error && <div className="text-red-600 dark:text-red-400 md:col-span-3">{error}</div>}
+          <div className="flex gap-2 md:col-span-3">
+            <button type="submit" disabled={saving} className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Promotion'}
+            </button>
+            <button type="button" onClick={() => setShowForm(false)} className="px-4 py-2 rounded border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : !promotions.length ? (
+        <div className="text-gray-500 dark:text-gray-400">No promotions yet.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700">
+            <thead className="bg-gray-50 dark:bg-navy-700">
+              <tr>
+                {['Code', 'Discount', 'Scope', 'Window', 'Usage', 'Discount Given', 'Status', ''].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-navy-800 divide-y divide-gray-200 dark:divide-navy-700">
+              {promotions.map(promotion => (
+                <tr key={promotion.id} className="hover:bg-gray-50 dark:hover:bg-navy-700">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">{promotion.code}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{formatDiscount(promotion)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {promotion.category || 'All models'}{promotion.first_time_only ? ' · first purchase' : ''}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {promotion.starts_at ? new Date(promotion.starts_at).toLocaleDateString() : 'Now'}
+                    {' – '}
+                    {promotion.expires_at ? new Date(promotion.expires_at).toLocaleDateString() : 'No expiry'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {promotion.usage_count}{promotion.usage_limit ? ` / ${promotion.usage_limit}` : ''}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    ${(parseInt(promotion.total_discount || 0) / 100).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                      promotion.status === 'active'
+                        ? 'bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
+                    }`}>
+                      {promotion.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap flex justify-end gap-2">
+                    <button
+                      onClick={() => handleEdit(promotion)}
+                      className="bg-teal-600 hover:bg-teal-700 dark:bg-teal-500 dark:hover:bg-teal-400 text-white px-4 py-2 rounded transition"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleArchive(promotion.id)}
+                      className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded disabled:opacity-50 transition"
+                      disabled={promotion.status === 'archived'}
+                    >
+                      Archive
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Recent orders with refunds. A full refund ends the buyer's download
+// access; the customer is emailed either way.
+function OrdersAdmin() {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [refunding, setRefunding] = useState(null);
+  const [refundForm, setRefundForm] = useState({ amount: '', note: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchOrders = useCallback(async (query) => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/admin/orders?search=${encodeURIComponent(query)}`);
+      const data = await res.json();
+      setOrders(data.orders || []);
+    } catch (err) {
+      setError('Failed to load orders');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchOrders('');
+  }, [fetchOrders]);
+
+  // Refunds can include the tax charged with the order
+  const refundable = order => (parseInt(order.amount) + parseInt(order.tax_amount || 0) - parseInt(order.refunded_amount || 0)) / 100;
+  const money = (cents, order) => formatMoney(parseInt(cents) / 100, order.currency, { decimals: 2 });
+
+  const handleSearch = e => {
+    e.preventDefault();
+    fetchOrders(search);
+  };
+
+  const handleRefundStart = (order) => {
+    setRefunding(order.id);
+    setRefundForm({ amount: refundable(order).toFixed(2), note: '' });
+    setError('');
+  };
+
+  const handleRefund = async (e, order) => {
+    e.preventDefault();
+    const amount = Math.round(parseFloat(refundForm.amount) * 100);
+    const full = amount === Math.round(refundable(order) * 100);
+    if (!window.confirm(`Refund ${money(amount, order)} to ${order.email}?${full ? ' Their download access will end.' : ''}`)) return;
+
+    setSaving(true);
+    setError('');
+    const res = await fetch('/api/admin/orders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderId: order.id, amount, note: refundForm.note })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Refund failed.');
+      setSaving(false);
+      return;
+    }
+    setRefunding(null);
+    setSaving(false);
+    fetchOrders(search);
+  };
+
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-navy-600 rounded bg-white dark:bg-navy-700 text-gray-900 dark:text-white';
+  const statusClass = {
+    completed: 'bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200',
+    refunded: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200',
+    disputed: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-200'
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Orders &amp; Refunds</h3>
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Order #, email or session" className={inputClass} />
+          <button type="submit" className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 dark:hover:bg-teal-600">Search</button>
+        </form>
+      </div>
+
+      {error && <div className="mb-4 text-red-600 dark:text-red-400">{error}</div>}
+
+      {loading ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : !orders.length ? (
+        <div className="text-gray-500 dark:text-gray-400">No orders found.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700">
+            <thead className="bg-gray-50 dark:bg-navy-700">
+              <tr>
+                {['Order', 'Customer', 'Model', 'Amount', 'Refunded', 'Status', ''].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-navy-800 divide-y divide-gray-200 dark:divide-navy-700">
+              {orders.map(order => (
+                <tr key={order.id} className="hover:bg-gray-50 dark:hover:bg-navy-700">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                    #{order.id}
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{new Date(order.created_at).toLocaleDateString()}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{order.email || '—'}</td>
+                  <td className="px-6 py-4 text-sm text-gray-500 dark:text-gray-400">{order.model_title}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {money(order.amount, order)}
+                    {parseInt(order.tax_amount || 0) > 0 && (
+                      <div className="text-xs">+ {money(order.tax_amount, order)} tax</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {parseInt(order.refunded_amount || 0) > 0 ? money(order.refunded_amount, order) : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                      statusClass[order.status] || 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200'
+                    }`}>
+                      {order.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {refunding === order.id ? (
+                      <form onSubmit={e => handleRefund(e, order)} className="flex justify-end gap-2">
+                        <input
+                          type="number"
+                          min="0.01"
+                          max={refundable(order)}
+                          step="0.01"
+                          value={refundForm.amount}
+                          onChange={e => setRefundForm({ ...refundForm, amount: e.target.value })}
+                          className={`${inputClass} w-28`}
+                          required
+                        />
+                        <input
+                          value={refundForm.note}
+                          onChange={e => setRefundForm({ ...refundForm, note: e.target.value })}
+                          placeholder="Internal note"
+                          className={inputClass}
+                        />
+                        <button type="submit" disabled={saving} className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded disabled:opacity-50 transition">
+                          {saving ? 'Refunding...' : 'Confirm'}
+                        </button>
+                        <button type="button" onClick={() => setRefunding(null)} className="px-4 py-2 rounded border border-gray-300 dark:border-navy-600 text-gray-700 dark:text-gray-300">
+                          Cancel
+                        </button>
+                      </form>
+                    ) : (
+                      <div className="flex justify-end">
+                        <button
+                          onClick={() => handleRefundStart(order)}
+                          className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded disabled:opacity-50 transition"
+                          disabled={order.status !== 'completed' || !order.stripe_payment_intent_id || refundable(order) <= 0}
+                        >
+                          Refund
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The Stripe webhook event ledger. Failed events can be queued again once
+// whatever broke them is fixed.
+function StripeEventsAdmin() {
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [replaying, setReplaying] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchEvents = useCallback(async (filter) => {
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/admin/stripe-events?status=${encodeURIComponent(filter)}`);
+      const data = await res.json();
+      setEvents(data.events || []);
+      setCounts(data.counts || {});
+    } catch (err) {
+      setError('Failed to load webhook events');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchEvents('');
+  }, [fetchEvents]);
+
+  const handleFilter = (value) => {
+    setStatus(value);
+    fetchEvents(value);
+  };
+
+  const handleReplay = async (eventId) => {
+    setReplaying(eventId);
+    setError('');
+    const res = await fetch('/api/admin/stripe-events', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ eventId })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Replay failed.');
+    }
+    setReplaying(null);
+    fetchEvents(status);
+  };
+
+  const statusClass = {
+    processed: 'bg-teal-100 dark:bg-teal-900/30 text-teal-800 dark:text-teal-200',
+    failed: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-200',
+    ignored: 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200'
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Stripe Webhook Events</h3>
+        <select
+          value={status}
+          onChange={e => handleFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 dark:border-navy-600 rounded bg-white dark:bg-navy-700 text-gray-900 dark:text-white"
+        >
+          <option value="">All statuses</option>
+          {['received', 'processing', 'processed', 'failed', 'ignored'].map(value => (
+            <option key={value} value={value}>{value} ({counts[value] || 0})</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="mb-4 text-red-600 dark:text-red-400">{error}</div>}
+
+      {loading ? (
+        <div className="text-gray-500 dark:text-gray-400">Loading...</div>
+      ) : !events.length ? (
+        <div className="text-gray-500 dark:text-gray-400">No events recorded.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-navy-700">
+            <thead className="bg-gray-50 dark:bg-navy-700">
+              <tr>
+                {['Event', 'Type', 'Received', 'Attempts', 'Deliveries', 'Status', ''].map(heading => (
+                  <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-navy-800 divide-y divide-gray-200 dark:divide-navy-700">
+              {events.map(event => (
+                <tr key={event.id} className="hover:bg-gray-50 dark:hover:bg-navy-700">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900 dark:text-white">
+                    {event.stripe_event_id}
+                    {!event.livemode && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">test</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{event.type}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{new Date(event.created_at).toLocaleString()}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{event.attempts}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{event.delivery_count}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                      statusClass[event.status] || 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200'
+                    }`}>
+                      {event.status}
+                    </span>
+                    {event.last_error && (
+                      <div className="mt-1 text-xs text-red-600 dark:text-red-400 max-w-xs truncate" title={event.last_error}>{event.last_error}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex justify-end">
+                      {['failed', 'received'].includes(event.status) && (
+                        <button
+                          onClick={() => handleReplay(event.stripe_event_id)}
+                          disabled={replaying === event.stripe_event_id}
+                          className="bg-teal-600 hover:bg-teal-700 dark:bg-teal-500 dark:hover:bg-teal-400 text-white px-4 py-2 rounded disabled:opacity-50 transition"
+                        >
+                          {replaying === event.stripe_event_id ? 'Queueing...' : 'Replay'}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Version history for a model: upload a revised workbook, publish it and
+// email past buyers that a free update is available
+function ModelVersionsPanel({ modelSlug }) {
+  const [versions, setVersions] = useState([]);
+  const [form, setForm] = useState({ excel_url: '', version_label: '', release_notes: '' });
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/models/versions?slug=${encodeURIComponent(modelSlug)}&includeAll=true`);
+      const data = await res.json();
+      setVersions(data.versions || []);
+    } catch (err) {
+      setError('Failed to load versions');
+    }
+  }, [modelSlug]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleUpload = async (file) => {
+    if (!file) return;
+    setUploading(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await fetch('/api/upload-excel-simple?storage=private', { method: 'POST', body: formData });
+      const result = await res.json();
+      if (result.success) {
+        setForm(f => ({ ...f, excel_url: result.file.path }));
+      } else {
+        setError(result.error || 'Failed to upload Excel file');
+      }
+    } catch (err) {
+      setError(`Failed to upload Excel file: ${err.message}`);
+    }
+    setUploading(false);
+  };
+
+  const handleCreate = async (publish) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    const res = await fetch('/api/models/versions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...form, slug: modelSlug, publish, notify: publish })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to save version');
+    } else {
+      setForm({ excel_url: '', version_label: '', release_notes: '' });
+      setMessage(publish ? `Published. ${data.notified} past buyer(s) notified.` : 'Draft saved.');
+      fetchVersions();
+    }
+    setSaving(false);
+  };
+
+  const handleStatus = async (id, status) => {
+    setError('');
+    setMessage('');
+    const res = await fetch('/api/models/versions', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, status, notify: status === 'published' })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to update version');
+    } else if (status === 'published') {
+      setMessage(`Published. ${data.notified} past buyer(s) notified.`);
+    }
+    fetchVersions();
+  };
+
+  return (
+    <div className="p-6 border-t border-gray-200 dark:border-navy-700 space-y-4">
+      <h4 className="text-md font-semibold text-gray-900 dark:text-white">Versions</h4>
+
+      {versions.length === 0 ? (
+        <div className="text-sm text-gray-500 dark:text-gray-400">No versions recorded yet.</div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-navy-700 text-sm">
+          {versions.map(version => (
+            <li key={version.id} className="py-2 flex items-start justify-between gap-4">
+              <div>
+                <span className="font-medium text-gray-900 dark:text-white">v{version.version_label}</span>
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  {version.status}{version.published_at ? ` · ${new Date(version.published_at).toLocaleDateString()}` : ''}
+                </span>
+                {version.release_notes && (
+                  <p className="text-gray-600 dark:text-gray-300 whitespace-pre-line">{version.release_notes}</p>
+                )}
+              </div>
+              <div className="flex gap-1 shrink-0">
+                {version.status === 'draft' && (
+                  <button onClick={() => handleStatus(version.id, 'published')} className="bg-teal-600 hover:bg-teal-700 text-white px-2 py-1 rounded text-xs transition">
+                    Publish &amp; Notify
+                  </button>
+                )}
+                {version.status === 'published' && (
+                  <button onClick={() => handleStatus(version.id, 'withdrawn')} className="bg-orange-600 hover:bg-orange-700 text-white px-2 py-1 rounded text-xs transition">
+                    Withdraw
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <input
+          type="file"
+          accept=".xlsx,.xls,.xlsm"
+          onChange={(e) => e.target.files && e.target.files[0] && handleUpload(e.target.files[0])}
+          disabled={uploading}
+          className="px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+        />
+        <input
+          value={form.version_label}
+          onChange={(e) => setForm({ ...form, version_label: e.target.value })}
+          placeholder="Version label (e.g. 2.1)"
+          className="px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+        />
+        <textarea
+          value={form.release_notes}
+          onChange={(e) => setForm({ ...form, release_notes: e.target.value })}
+          placeholder="Release notes"
+          rows={3}
+          className="md:col-span-2 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+        />
+      </div>
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+      {message && <div className="text-sm text-green-600 dark:text-green-400">{message}</div>}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => handleCreate(true)}
+          disabled={!form.excel_url || uploading || saving}
+          className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 disabled:opacity-50 text-sm"
+        >
+          {uploading ? 'Uploading...' : 'Publish New Version'}
+        </button>
+        <button
+          type="button"
+          onClick={() => handleCreate(false)}
+          disabled={!form.excel_url || uploading || saving}
+          className="bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 px-4 py-2 rounded hover:bg-gray-300 dark:hover:bg-navy-600 disabled:opacity-50 text-sm"
+        >
+          Save Draft
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// What visitors see in the model page preview: the sheets and ranges kept
+// from the current version and the regions masked or blurred. Hidden sheets
+// and formulas never make it into the preview copy.
+function ModelPreviewPanel({ modelId }) {
+  const [rules, setRules] = useState({ sheets: [], masks: [] });
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const applyResponse = (data) => {
+    if (!data.preview) return;
+    setPreview(data.preview);
+    setRules({ sheets: data.preview.rules?.sheets || [], masks: data.preview.rules?.masks || [] });
+  };
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      try {
+        const res = await fetch(`/api/models/preview-rules?modelId=${modelId}`);
+        applyResponse(await res.json());
+      } catch (err) {
+        setError('Failed to load preview rules');
+      }
+    };
+    fetchPreview();
+  }, [modelId]);
+
+  const updateEntry = (list, index, changes) => {
+    setRules(r => ({ ...r, [list]: r[list].map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) }));
+  };
+
+  const removeEntry = (list, index) => {
+    setRules(r => ({ ...r, [list]: r[list].filter((_, i) => i !== index) }));
+  };
+
+  const submit = async (method) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const res = await fetch('/api/models/preview-rules', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(method === 'PUT' ? { modelId, rules } : { modelId })
+      });
+      const data = await res.json();
+      applyResponse(data);
+      if (!res.ok) {
+        setError(data.details ? `${data.error}: ${data.details}` : data.error || 'Failed to update preview');
+      } else {
+        setMessage(data.message);
+      }
+    } catch (err) {
+      setError(`Failed to update preview: ${err.message}`);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="p-6 border-t border-gray-200 dark:border-navy-700 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-md font-semibold text-gray-900 dark:text-white">Preview</h4>
+        {preview?.status === 'ready' && (
+          <a href={`/api/models/preview?modelId=${modelId}`} className="text-sm text-teal-600 dark:text-teal-400 hover:underline">
+            Download preview copy
+          </a>
+        )}
+      </div>
+      <div className="text-xs text-gray-500 dark:text-gray-400">
+        {preview?.status || 'pending'}
+        {preview?.generated_at ? ` · built ${new Date(preview.generated_at).toLocaleString()}` : ''}
+        {preview?.status === 'failed' && preview.error ? ` · ${preview.error}` : ''}
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-sm font-medium text-gray-700 dark:text-gray-300">Sheets shown (leave empty to show every visible sheet)</div>
+        {rules.sheets.map((sheet, index) => (
+          <div key={index} className="flex gap-2">
+            <input
+              value={sheet.name}
+              onChange={(e) => updateEntry('sheets', index, { name: e.target.value })}
+              placeholder="Sheet name"
+              className="flex-1 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+            />
+            <input
+              value={sheet.range || ''}
+              onChange={(e) => updateEntry('sheets', index, { range: e.target.value })}
+              placeholder="Range, e.g. A1:H40 (optional)"
+              className="flex-1 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+            />
+            <button type="button" onClick={() => removeEntry('sheets', index)} className="text-red-600 dark:text-red-400 text-xs px-2">
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setRules(r => ({ ...r, sheets: [...r.sheets, { name: '', range: '' }] }))}
+          className="text-xs text-teal-600 dark:text-teal-400 hover:underline"
+        >
+          + Add sheet
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-sm font-medium text-gray-700 dark:text-gray-300">Masked regions</div>
+        {rules.masks.map((mask, index) => (
+          <div key={index} className="flex gap-2">
+            <input
+              value={mask.sheet}
+              onChange={(e) => updateEntry('masks', index, { sheet: e.target.value })}
+              placeholder="Sheet name"
+              className="flex-1 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+            />
+            <input
+              value={mask.range}
+              onChange={(e) => updateEntry('masks', index, { range: e.target.value })}
+              placeholder="Range, e.g. D10:H25"
+              className="flex-1 px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+            />
+            <select
+              value={mask.mode}
+              onChange={(e) => updateEntry('masks', index, { mode: e.target.value })}
+              className="px-3 py-2 rounded border border-gray-300 dark:border-navy-600 bg-gray-50 dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+            >
+              <option value="mask">Mask (•••)</option>
+              <option value="blur">Blur</option>
+            </select>
+            <button type="button" onClick={() => removeEntry('masks', index)} className="text-red-600 dark:text-red-400 text-xs px-2">
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setRules(r => ({ ...r, masks: [...r.masks, { sheet: '', range: '', mode: 'mask' }] }))}
+          className="text-xs text-teal-600 dark:text-teal-400 hover:underline"
+        >
+          + Add masked region
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>}
+      {message && <div className="text-sm text-green-600 dark:text-green-400">{message}</div>}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => submit('PUT')}
+          disabled={saving}
+          className="bg-teal-600 dark:bg-teal-500 text-white px-4 py-2 rounded hover:bg-teal-700 disabled:opacity-50 text-sm"
+        >
+          {saving ? 'Building...' : 'Save & Rebuild Preview'}
+        </button>
+        <button
+          type="button"
+          onClick={() => submit('POST')}
+          disabled={saving}
+          className="bg-gray-200 dark:bg-navy-700 text-gray-700 dark:text-gray-200 px-4 py-2 rounded hover:bg-gray-300 dark:hover:bg-navy-600 disabled:opacity-50 text-sm"
+        >
+          Rebuild
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Layout from '../../components/layout/Layout';
+import { DEFAULT_CURRENCY, formatMoney } from '@/config/currencies';
 
 // Real-time Revenue Dashboard
 export default function RevenueDashboard() {
   const [dashboardData, setDashboardData] = useState({
+    reportingCurrency: DEFAULT_CURRENCY,
     todayRevenue: 0,
     monthRevenue: 0,
     totalRevenue: 0,
@@ -46,13 +48,9 @@ export default function RevenueDashboard() {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
+  // Every total is converted to the reporting currency by the API
+  const formatCurrency = (amount, currency = dashboardData.reportingCurrency) => {
+    return formatMoney(amount, currency);
   };
 
   const formatPercent = (value) => {
@@ -215,6 +213,9 @@ export default function RevenueDashboard() {
                     </div>
                     <div className="text-right">
                       <p className="font-bold text-green-600">{formatCurrency(transaction.amount)}</p>
+                      {transaction.originalCurrency && transaction.originalCurrency !== dashboardData.reportingCurrency && (
+                        <p className="text-xs text-gray-500">{formatCurrency(transaction.originalAmount, transaction.originalCurrency)} paid</p>
+                      )}
                       <p className="text-sm text-gray-500">{transaction.customerLocation}</p>
                     </div>
                   </div>
@@ -0,0 +1,64 @@
+// src/pages/api/account/invoices/[orderId].js - Download the invoice for one of your orders
+import Stripe from 'stripe';
+import { getSession } from 'next-auth/react';
+import { sql } from '@vercel/postgres';
+import { getBillingDetails, getInvoiceForOrder, getInvoicePdf, issueInvoice } from '@/utils/invoices';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  try {
+    const session = await getSession({ req });
+    if (!session?.user?.email) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Only the buyer gets the invoice, not team members holding a seat
+    const orderResult = await sql`
+      SELECT o.id, o.stripe_session_id
+      FROM orders o
+      JOIN customers c ON c.id = o.customer_id
+      WHERE o.id = ${parseInt(req.query.orderId, 10) || null}
+        AND LOWER(c.email) = LOWER(${session.user.email})
+        AND o.status IN ('completed', 'refunded', 'disputed');
+    `;
+    const order = orderResult.rows[0];
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    // Orders paid before invoicing existed get theirs on first download,
+    // with the billing details Stripe still holds for the checkout
+    let invoice = await getInvoiceForOrder(order.id);
+    if (!invoice) {
+      let billing = null;
+      if (order.stripe_session_id) {
+        try {
+          const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+            apiVersion: '2023-10-16',
+          });
+          billing = getBillingDetails(await stripe.checkout.sessions.retrieve(order.stripe_session_id));
+        } catch (stripeError) {
+          console.error('Error fetching checkout billing details:', stripeError);
+        }
+      }
+      invoice = await issueInvoice(order.id, billing);
+    }
+
+    const { filename, content } = getInvoicePdf(invoice);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', content.length);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).send(content);
+  } catch (error) {
+    console.error('Invoice download error:', error);
+    return res.status(500).json({
+      error: 'Failed to generate invoice',
+      details: error.message
+    });
+  }
+}
@@ -1,6 +1,8 @@
 // src/pages/api/account/orders.js
 import { getSession } from 'next-auth/react';
-import { sql } from '@vercel/postgres';
+import { getCustomersByEmail, getOrdersByCustomer } from '@/utils/database';
+import { createDownloadUrl } from '@/utils/downloads';
+import { getSeatLicensesForEmail } from '@/utils/organizations';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -14,17 +16,43 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Get orders for the user
-    const result = await sql`
-      SELECT o.*, m.title as model_title, m.slug as model_slug
-      FROM orders o
-      LEFT JOIN models m ON o.model_id = m.id
-      LEFT JOIN customers c ON o.customer_id = c.id
-      WHERE c.email = ${session.user.email}
-      ORDER BY o.created_at DESC;
-    `;
-
-    res.status(200).json(result.rows);
+    // Get orders for the user across every customer record on their email
+    const customers = await getCustomersByEmail(session.user.email);
+    const customerOrders = await getOrdersByCustomer(customers.map(customer => customer.id));
+
+    // Team licenses download through the seat, whoever paid for them
+    const seatOrders = await getSeatLicensesForEmail(session.user.email);
+    const seatOrderIds = new Set(seatOrders.map(order => order.id));
+
+    // Buyers can download the invoice for anything they paid for; it is
+    // issued on first download if the order predates invoicing
+    const ownOrders = customerOrders
+      .filter(order => !seatOrderIds.has(order.id))
+      .map(order => ['completed', 'refunded', 'disputed'].includes(order.status)
+        ? { ...order, invoice_url: `/api/account/invoices/${order.id}` }
+        : order);
+
+    // Hand out short-lived signed links rather than exposing file paths
+    const orders = [...seatOrders, ...ownOrders].map(order => {
+      const downloadable = order.status === 'completed' &&
+        (!order.organization_id || order.seat_id) &&
+        order.download_count < order.max_downloads &&
+        new Date(order.download_expires_at) > new Date();
+
+      if (!downloadable) return order;
+
+      const seatId = order.seat_id || null;
+      return {
+        ...order,
+        download_url: createDownloadUrl(order.id, { seatId }),
+        available_versions: order.available_versions.map(version => ({
+          ...version,
+          downloadUrl: createDownloadUrl(order.id, { versionNumber: version.versionNumber, seatId })
+        }))
+      };
+    });
+
+    res.status(200).json(orders);
   } catch (error) {
     console.error('Error fetching user orders:', error);
     res.status(500).json({ 
@@ -0,0 +1,51 @@
+// src/pages/api/account/organizations.js
+import { getSession } from 'next-auth/react';
+import {
+  createOrganization,
+  getOrganizationsForUser,
+  getOrganizationDetails
+} from '@/utils/organizations';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  const session = await getSession({ req });
+  if (!session?.user?.id) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (method === 'GET') {
+    // The user's organizations; admins also get members and licenses
+    try {
+      const organizations = await getOrganizationsForUser(session.user.id);
+      const detailed = await Promise.all(organizations.map(async organization => (
+        organization.role === 'admin'
+          ? { ...organization, ...(await getOrganizationDetails(organization.id)) }
+          : organization
+      )));
+
+      return res.status(200).json({ organizations: detailed });
+    } catch (error) {
+      console.error('Organizations API Error:', error);
+      return res.status(500).json({ error: 'Failed to fetch organizations' });
+    }
+  }
+
+  if (method === 'POST') {
+    const name = String(req.body?.name || '').trim();
+    if (!name || name.length > 255) {
+      return res.status(400).json({ error: 'An organization name of up to 255 characters is required' });
+    }
+
+    try {
+      const organization = await createOrganization({ name, user: session.user });
+      return res.status(201).json({ organization, message: 'Organization created' });
+    } catch (error) {
+      console.error('Organization creation error:', error);
+      return res.status(500).json({ error: 'Failed to create organization', details: error.message });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'POST']);
+  res.status(405).end(`Method ${method} Not Allowed`);
+}
@@ -0,0 +1,55 @@
+// src/pages/api/account/organizations/members.js
+import { requireOrganizationAdmin } from '@/middleware/auth';
+import { inviteMember, removeMember, ORGANIZATION_ROLES } from '@/utils/organizations';
+
+const EMAIL_PATTERN = /^[^\s@"]+@[^\s@"]+\.[^\s@"]+$/;
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!['POST', 'DELETE'].includes(method)) {
+    res.setHeader('Allow', ['POST', 'DELETE']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  const membership = await requireOrganizationAdmin()(req, res);
+  if (!membership) return;
+
+  if (method === 'POST') {
+    // Invite by email; the invite link signs them in and joins them
+    const { email, role = 'member' } = req.body;
+
+    if (!EMAIL_PATTERN.test(String(email || '').trim())) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+    }
+
+    try {
+      const member = await inviteMember({
+        organizationId: membership.organization_id,
+        email,
+        role,
+        invitedBy: req.user
+      });
+      return res.status(201).json({ member, message: `Invitation sent to ${member.email}` });
+    } catch (error) {
+      console.error('Organization invite error:', error);
+      return res.status(500).json({ error: 'Failed to send invitation', details: error.message });
+    }
+  }
+
+  // DELETE: remove a member and release their seats
+  try {
+    const removed = await removeMember(membership.organization_id, Number(req.body.memberId));
+    if (!removed) {
+      return res.status(400).json({ error: 'Member not found, or they are the last admin' });
+    }
+
+    return res.status(200).json({ member: removed, message: 'Member removed' });
+  } catch (error) {
+    console.error('Organization member removal error:', error);
+    return res.status(500).json({ error: 'Failed to remove member', details: error.message });
+  }
+}
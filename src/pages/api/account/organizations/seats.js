@@ -0,0 +1,49 @@
+// src/pages/api/account/organizations/seats.js
+import { requireOrganizationAdmin } from '@/middleware/auth';
+import { assignSeat, revokeSeat } from '@/utils/organizations';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!['POST', 'DELETE'].includes(method)) {
+    res.setHeader('Allow', ['POST', 'DELETE']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  const membership = await requireOrganizationAdmin()(req, res);
+  if (!membership) return;
+
+  if (method === 'POST') {
+    // Give a member a seat on one of the organization's team licenses
+    try {
+      const result = await assignSeat({
+        organizationId: membership.organization_id,
+        orderId: Number(req.body.orderId),
+        memberId: Number(req.body.memberId),
+        assignedBy: req.user.id
+      });
+
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      return res.status(201).json({ seat: result.seat, message: 'Seat assigned' });
+    } catch (error) {
+      console.error('Seat assignment error:', error);
+      return res.status(500).json({ error: 'Failed to assign seat', details: error.message });
+    }
+  }
+
+  // DELETE: revoke a seat so it can be reassigned
+  try {
+    const seat = await revokeSeat(membership.organization_id, Number(req.body.seatId));
+    if (!seat) {
+      return res.status(404).json({ error: 'Seat not found' });
+    }
+
+    return res.status(200).json({ seat, message: 'Seat revoked' });
+  } catch (error) {
+    console.error('Seat revocation error:', error);
+    return res.status(500).json({ error: 'Failed to revoke seat', details: error.message });
+  }
+}
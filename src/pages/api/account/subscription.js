@@ -0,0 +1,62 @@
+// src/pages/api/account/subscription.js
+import { getSession } from 'next-auth/react';
+import { sql } from '@vercel/postgres';
+import { ALL_ACCESS_PLAN, getLatestSubscription, isEntitled } from '@/utils/subscriptions';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getSession({ req });
+
+    if (!session?.user?.email) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const subscription = await getLatestSubscription(session.user.email);
+    const entitled = isEntitled(subscription);
+
+    // Subscribers download straight from the library; the route checks
+    // the subscription again on every download
+    let library = [];
+    if (entitled) {
+      const models = await sql`
+        SELECT id, slug, title, category FROM models
+        WHERE status = 'active'
+        ORDER BY title;
+      `;
+      library = models.rows.map(model => ({
+        ...model,
+        download_url: `/api/download/subscription?model=${encodeURIComponent(model.slug)}`
+      }));
+    }
+
+    res.status(200).json({
+      plan: {
+        id: ALL_ACCESS_PLAN.id,
+        name: ALL_ACCESS_PLAN.name,
+        description: ALL_ACCESS_PLAN.description,
+        price: ALL_ACCESS_PLAN.price,
+        currency: ALL_ACCESS_PLAN.currency,
+        interval: ALL_ACCESS_PLAN.interval
+      },
+      subscription: subscription && {
+        status: subscription.status,
+        current_period_end: subscription.current_period_end,
+        cancel_at_period_end: subscription.cancel_at_period_end,
+        canceled_at: subscription.canceled_at,
+        latest_invoice_status: subscription.latest_invoice_status
+      },
+      entitled,
+      library
+    });
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Subscription lookup failed'
+    });
+  }
+}
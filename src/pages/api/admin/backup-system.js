@@ -5,13 +5,11 @@
 
 import { getBackupSystemManager, initializeCompleteBackupSystem } from '../../../utils/backupSystemManager.js';
 import { sql } from '@vercel/postgres';
+import { requireAdmin } from '../../../middleware/auth.js';
 
 export default async function handler(req, res) {
-  // Authentication check
-  const authHeader = req.headers.authorization;
-  if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_API_KEY}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  // Owners only; cron jobs authenticate with the admin API key
+  if (!(await requireAdmin('manage_system', { resourceType: 'backup' })(req, res))) return;
 
   const { method, query, body } = req;
 
@@ -1,13 +1,11 @@
 import { getBackupManager } from '../../../utils/backupManager.js';
 import { cleanupOldUploads } from '../../../utils/fileCleanup.js';
 import path from 'path';
+import { requireAdmin } from '../../../middleware/auth.js';
 
 export default async function handler(req, res) {
-  // Simple auth check - in production, use proper authentication
-  const authHeader = req.headers.authorization;
-  if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_API_KEY}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  // Owners only; cron jobs authenticate with the admin API key
+  if (!(await requireAdmin('manage_system', { resourceType: 'backup' })(req, res))) return;
 
   const backupManager = getBackupManager();
   const uploadsDir = path.join(process.cwd(), 'public', 'uploads', 'excel');
@@ -0,0 +1,81 @@
+// src/pages/api/admin/exchange-rates.js - Rates used to report revenue in one currency
+import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
+import { REPORTING_CURRENCY } from '@/utils/pricing';
+import { normalizeCurrency } from '@/config/currencies';
+import { createAuditLog } from '@/utils/audit';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_pricing', { resourceType: 'exchange_rate' })(req, res))) return;
+
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        const result = await sql`
+          SELECT currency, rate, updated_at FROM exchange_rates ORDER BY currency;
+        `;
+
+        return res.status(200).json({ rates: result.rows, reportingCurrency: REPORTING_CURRENCY });
+      }
+
+      case 'PUT': {
+        // Units of the reporting currency one unit of `currency` buys. Only
+        // orders placed after the change use the new rate, apart from those
+        // taken while the currency had no rate at all, which get this one.
+        const currency = normalizeCurrency(req.body.currency);
+        const rate = parseFloat(req.body.rate);
+
+        if (!currency || currency === REPORTING_CURRENCY) {
+          return res.status(400).json({ error: 'Choose a supported currency other than the reporting currency' });
+        }
+        if (!(rate > 0)) {
+          return res.status(400).json({ error: 'Rate must be greater than zero' });
+        }
+
+        const result = await sql`
+          INSERT INTO exchange_rates (currency, rate, updated_at)
+          VALUES (${currency}, ${rate}, NOW())
+          ON CONFLICT (currency) DO UPDATE SET rate = EXCLUDED.rate, updated_at = NOW()
+          RETURNING *;
+        `;
+
+        const backfilled = await sql`
+          WITH filled AS (
+            UPDATE orders SET exchange_rate = ${rate}, updated_at = NOW()
+            WHERE currency = ${currency} AND exchange_rate IS NULL
+            RETURNING id
+          ), reported AS (
+            UPDATE revenue_events SET reporting_amount = ROUND(amount * ${rate}, 2)
+            WHERE reporting_amount IS NULL AND order_id IN (SELECT id FROM filled)
+          )
+          SELECT COUNT(*)::int AS orders FROM filled;
+        `;
+
+        await createAuditLog({
+          event: 'EXCHANGE_RATE_UPDATED',
+          userId: req.user?.id ?? null,
+          resourceType: 'exchange_rate',
+          resourceId: currency,
+          action: 'update',
+          result: 'success',
+          severity: 'info',
+          metadata: { currency, rate, reportingCurrency: REPORTING_CURRENCY, backfilledOrders: backfilled.rows[0].orders }
+        });
+
+        return res.status(200).json({ rate: result.rows[0], backfilledOrders: backfilled.rows[0].orders });
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'PUT']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Admin Exchange Rates API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process exchange rate request',
+      details: error.message
+    });
+  }
+}
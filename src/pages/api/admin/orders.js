@@ -0,0 +1,89 @@
+import Stripe from 'stripe';
+import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
+import { refundOrder } from '@/utils/refunds';
+import { createAuditLog } from '@/utils/audit';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('issue_refunds', { resourceType: 'order' })(req, res))) return;
+
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        // Search by order number, customer email or Stripe session
+        const search = String(req.query.search || '').trim();
+        const orderId = /^\d+$/.test(search) ? parseInt(search, 10) : null;
+        const pattern = `%${search.toLowerCase()}%`;
+
+        const result = await sql`
+          SELECT o.id, o.status, o.amount, o.tax_amount, o.currency, o.refunded_amount, o.refunded_at,
+                 o.disputed_at, o.stripe_session_id, o.stripe_payment_intent_id, o.created_at,
+                 c.email, c.name AS customer_name,
+                 COALESCE(m.title, o.metadata->>'modelTitle', o.model_slug) AS model_title
+          FROM orders o
+          LEFT JOIN customers c ON c.id = o.customer_id
+          LEFT JOIN models m ON m.id = o.model_id
+          WHERE ${search} = ''
+             OR o.id = ${orderId}
+             OR LOWER(c.email) LIKE ${pattern}
+             OR o.stripe_session_id = ${search}
+          ORDER BY o.created_at DESC
+          LIMIT 50;
+        `;
+
+        return res.status(200).json({ orders: result.rows });
+      }
+
+      case 'POST': {
+        const { orderId, amount = null, note = '' } = req.body;
+        if (!orderId) {
+          return res.status(400).json({ error: 'orderId is required' });
+        }
+
+        const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+          apiVersion: '2023-10-16',
+        });
+
+        const result = await refundOrder(stripe, {
+          orderId,
+          amount,
+          note,
+          refundedBy: req.user?.email || req.user?.id
+        });
+        if (!result.valid) {
+          return res.status(400).json({ error: result.error });
+        }
+
+        await createAuditLog({
+          event: 'ORDER_REFUNDED',
+          userId: req.user?.id ?? null,
+          resourceType: 'order',
+          resourceId: String(orderId),
+          action: 'refund',
+          result: 'success',
+          severity: 'warning',
+          metadata: {
+            refundId: result.refund.id,
+            amount: result.refund.amount,
+            status: result.order.status,
+            note
+          }
+        });
+
+        return res.status(200).json({ order: result.order, refundId: result.refund.id });
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Admin Orders API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process order request',
+      details: error.message
+    });
+  }
+}
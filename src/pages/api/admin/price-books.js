@@ -0,0 +1,133 @@
+// src/pages/api/admin/price-books.js - Model and bundle prices in other currencies
+import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
+import { REPORTING_CURRENCY } from '@/utils/pricing';
+import { normalizeCurrency } from '@/config/currencies';
+import { createAuditLog } from '@/utils/audit';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_pricing', { resourceType: 'price_book' })(req, res))) return;
+
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        const result = await sql`
+          SELECT p.*, COALESCE(m.title, b.name) AS title, COALESCE(m.slug, b.slug) AS slug,
+                 COALESCE(m.price, b.price) AS own_price, COALESCE(m.currency, b.currency) AS own_currency
+          FROM price_book_entries p
+          LEFT JOIN models m ON m.id = p.model_id
+          LEFT JOIN bundles b ON b.id = p.bundle_id
+          ORDER BY title, p.currency;
+        `;
+
+        return res.status(200).json({ entries: result.rows, reportingCurrency: REPORTING_CURRENCY });
+      }
+
+      case 'PUT': {
+        // Add or change the price of a model or bundle in one currency
+        const { modelId = null, bundleId = null, price, salePrice = null } = req.body;
+        const currency = normalizeCurrency(req.body.currency);
+
+        if (!modelId === !bundleId) {
+          return res.status(400).json({ error: 'Give either modelId or bundleId' });
+        }
+        if (!currency) {
+          return res.status(400).json({ error: 'Unsupported currency' });
+        }
+        if (!(parseFloat(price) > 0)) {
+          return res.status(400).json({ error: 'Price must be greater than zero' });
+        }
+        if (salePrice !== null && !(parseFloat(salePrice) > 0 && parseFloat(salePrice) <= parseFloat(price))) {
+          return res.status(400).json({ error: 'Sale price must be between zero and the price' });
+        }
+        if (bundleId && salePrice !== null) {
+          return res.status(400).json({ error: 'Bundles have no sale price' });
+        }
+
+        const target = modelId
+          ? await sql`SELECT id, currency FROM models WHERE id = ${modelId};`
+          : await sql`SELECT id, currency FROM bundles WHERE id = ${bundleId};`;
+        if (!target.rows[0]) {
+          return res.status(404).json({ error: modelId ? 'Model not found' : 'Bundle not found' });
+        }
+        if ((target.rows[0].currency || 'usd').toLowerCase() === currency) {
+          return res.status(400).json({ error: `The ${currency.toUpperCase()} price is set on the ${modelId ? 'model' : 'bundle'} itself` });
+        }
+
+        // Sales in a currency are reported at its exchange rate, so one must exist first
+        if (currency !== REPORTING_CURRENCY) {
+          const rate = await sql`SELECT 1 FROM exchange_rates WHERE currency = ${currency};`;
+          if (rate.rows.length === 0) {
+            return res.status(400).json({
+              error: `Set the ${currency.toUpperCase()} to ${REPORTING_CURRENCY.toUpperCase()} exchange rate first`
+            });
+          }
+        }
+
+        const result = modelId
+          ? await sql`
+              INSERT INTO price_book_entries (model_id, currency, price, sale_price)
+              VALUES (${modelId}, ${currency}, ${price}, ${salePrice})
+              ON CONFLICT (model_id, currency) WHERE model_id IS NOT NULL
+              DO UPDATE SET price = EXCLUDED.price, sale_price = EXCLUDED.sale_price
+              RETURNING *;
+            `
+          : await sql`
+              INSERT INTO price_book_entries (bundle_id, currency, price)
+              VALUES (${bundleId}, ${currency}, ${price})
+              ON CONFLICT (bundle_id, currency) WHERE bundle_id IS NOT NULL
+              DO UPDATE SET price = EXCLUDED.price
+              RETURNING *;
+            `;
+
+        await createAuditLog({
+          event: 'PRICE_BOOK_UPDATED',
+          userId: req.user?.id ?? null,
+          resourceType: 'price_book',
+          resourceId: String(result.rows[0].id),
+          action: 'update',
+          result: 'success',
+          severity: 'info',
+          metadata: { modelId, bundleId, currency, price, salePrice }
+        });
+
+        return res.status(200).json({ entry: result.rows[0] });
+      }
+
+      case 'DELETE': {
+        const { id } = req.body;
+        const result = await sql`
+          DELETE FROM price_book_entries WHERE id = ${id} RETURNING *;
+        `;
+        if (!result.rows[0]) {
+          return res.status(404).json({ error: 'Price not found' });
+        }
+
+        await createAuditLog({
+          event: 'PRICE_BOOK_UPDATED',
+          userId: req.user?.id ?? null,
+          resourceType: 'price_book',
+          resourceId: String(id),
+          action: 'delete',
+          result: 'success',
+          severity: 'info',
+          metadata: { modelId: result.rows[0].model_id, bundleId: result.rows[0].bundle_id, currency: result.rows[0].currency }
+        });
+
+        return res.status(200).json({ success: true });
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Admin Price Books API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process price book request',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,74 @@
+import { requireAdmin } from '@/middleware/auth';
+import { listStripeEvents, getStripeEvent } from '@/utils/stripeEvents';
+import { queueStripeEvent } from '@/utils/queue';
+import { createAuditLog } from '@/utils/audit';
+
+// Events in these states have not run to completion and can be queued again
+const REPLAYABLE_STATUSES = ['failed', 'received'];
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_system', { resourceType: 'stripe_event' })(req, res))) return;
+
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        const { status, type, limit } = req.query;
+        const ledger = await listStripeEvents({
+          status: status || null,
+          type: type || null,
+          limit
+        });
+
+        return res.status(200).json(ledger);
+      }
+
+      case 'POST': {
+        // Replay a failed event
+        const { eventId } = req.body;
+        if (!eventId) {
+          return res.status(400).json({ error: 'eventId is required' });
+        }
+
+        const entry = await getStripeEvent(eventId);
+        if (!entry) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!REPLAYABLE_STATUSES.includes(entry.status)) {
+          return res.status(409).json({ error: `Event is ${entry.status} and can't be replayed` });
+        }
+
+        const job = await queueStripeEvent(eventId, { replay: true });
+
+        await createAuditLog({
+          event: 'STRIPE_EVENT_REPLAYED',
+          userId: req.user?.id ?? null,
+          resourceType: 'stripe_event',
+          resourceId: eventId,
+          action: 'replay',
+          result: 'success',
+          severity: 'info',
+          metadata: {
+            type: entry.type,
+            previousStatus: entry.status,
+            attempts: entry.attempts,
+            lastError: entry.last_error
+          }
+        });
+
+        return res.status(202).json({ queued: true, jobId: job.id });
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Stripe Events API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process Stripe event request',
+      details: error.message
+    });
+  }
+}
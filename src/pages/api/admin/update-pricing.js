@@ -1,4 +1,5 @@
 import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -6,11 +7,7 @@ export default async function handler(req, res) {
     return res.status(405).end(`Method ${req.method} Not Allowed`);
   }
 
-  // Simple auth check (you can improve this)
-  const { adminKey } = req.body;
-  if (adminKey !== 'update-pricing-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  if (!(await requireAdmin('manage_pricing', { resourceType: 'model' })(req, res))) return;
 
   try {
     // Get current models to see what needs updating
@@ -0,0 +1,42 @@
+import { findWatermark } from '@/utils/watermark';
+import { requireAdmin } from '@/middleware/auth';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('trace_downloads', { resourceType: 'watermark' })(req, res))) return;
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  // The ID is printed on the hidden "zc_license" sheet and in the file's keywords
+  const { id } = req.query;
+  if (!id || !/^[a-f0-9]{16}$/.test(id)) {
+    return res.status(400).json({ error: 'A 16-character watermark ID is required' });
+  }
+
+  try {
+    const record = await findWatermark(id);
+    if (!record) {
+      return res.status(404).json({ error: 'Watermark not found' });
+    }
+
+    return res.status(200).json({
+      watermarkId: id,
+      orderId: record.order_id,
+      stripeSessionId: record.stripe_session_id,
+      modelSlug: record.model_slug,
+      customerEmail: record.email,
+      customerName: record.name,
+      versionNumber: record.metadata?.versionNumber ?? null,
+      signedLink: !!record.metadata?.signedLink,
+      downloadedAt: record.created_at
+    });
+  } catch (error) {
+    console.error('Watermark trace error:', error);
+    return res.status(500).json({
+      error: 'Failed to trace watermark',
+      details: error.message
+    });
+  }
+}
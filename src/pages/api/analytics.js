@@ -1,5 +1,6 @@
 import { sql } from '@vercel/postgres';
 import { getAllLeads, getNewsletterSubscribersCount } from '../../utils/database';
+import { getSearchAnalytics } from '@/utils/search';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -80,6 +81,8 @@ export default async function handler(req, res) {
     const modelsResult = await sql`SELECT COUNT(*) as count FROM models WHERE status = 'active'`;
     // Get insights count
     const insightsResult = await sql`SELECT COUNT(*) as count FROM insights WHERE status = 'published'`;
+    // What visitors searched for in the last 30 days
+    const search = await getSearchAnalytics();
 
     const analytics = {
       leads: {
@@ -100,6 +103,7 @@ export default async function handler(req, res) {
       insights: {
         total: parseInt(insightsResult.rows[0].count)
       },
+      search,
       summary: {
         totalLeads: leadsResult.rows.length,
         totalSubscribers: parseInt(newsletterResult.rows[0].count),
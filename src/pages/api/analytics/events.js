@@ -43,10 +43,10 @@ export default async function handler(req, res) {
     `;
 
     // Handle different event types for additional processing
+    // Purchases are only stored above: revenue is recorded from the verified
+    // Stripe payment (recordPurchase in src/utils/stripeEventHandlers.js),
+    // never from what the browser reports
     switch (eventType) {
-      case 'purchase_completed':
-        await handlePurchaseEvent(eventData);
-        break;
       case 'lead_generated':
         await handleLeadEvent(eventData);
         break;
@@ -73,61 +73,6 @@ export default async function handler(req, res) {
   }
 }
 
-// Handle purchase events for revenue tracking
-async function handlePurchaseEvent(eventData) {
-  try {
-    const { transactionId, modelId, modelTitle, amount, customerEmail } = eventData;
-
-    // Record in revenue tracking table
-    await sql`
-      INSERT INTO revenue_events (
-        transaction_id,
-        model_id,
-        model_title,
-        amount,
-        currency,
-        customer_email,
-        created_at
-      ) VALUES (
-        ${transactionId},
-        ${modelId},
-        ${modelTitle},
-        ${amount},
-        'USD',
-        ${customerEmail},
-        NOW()
-      )
-      ON CONFLICT (transaction_id) DO NOTHING
-    `;
-
-    // Update daily revenue aggregates
-    await sql`
-      INSERT INTO daily_revenue (
-        date,
-        total_revenue,
-        transaction_count,
-        avg_order_value,
-        updated_at
-      ) VALUES (
-        CURRENT_DATE,
-        ${amount},
-        1,
-        ${amount},
-        NOW()
-      )
-      ON CONFLICT (date) DO UPDATE SET
-        total_revenue = daily_revenue.total_revenue + EXCLUDED.total_revenue,
-        transaction_count = daily_revenue.transaction_count + 1,
-        avg_order_value = (daily_revenue.total_revenue + EXCLUDED.total_revenue) / 
-                         (daily_revenue.transaction_count + 1),
-        updated_at = NOW()
-    `;
-
-  } catch (error) {
-    console.error('Error handling purchase event:', error);
-  }
-}
-
 // Handle lead generation events
 async function handleLeadEvent(eventData) {
   try {
@@ -66,9 +66,9 @@ async function getRevenueData(dateRange) {
   // Current period revenue
   const currentRevenue = await sql`
     SELECT 
-      SUM(amount) as total_revenue,
+      SUM(reporting_amount) as total_revenue,
       COUNT(*) as transaction_count,
-      AVG(amount) as avg_order_value,
+      AVG(reporting_amount) as avg_order_value,
       COUNT(DISTINCT customer_email) as unique_customers
     FROM revenue_events 
     WHERE created_at >= ${startDate} AND created_at <= ${endDate}
@@ -77,9 +77,9 @@ async function getRevenueData(dateRange) {
   // Previous period for comparison
   const previousRevenue = await sql`
     SELECT 
-      SUM(amount) as total_revenue,
+      SUM(reporting_amount) as total_revenue,
       COUNT(*) as transaction_count,
-      AVG(amount) as avg_order_value
+      AVG(reporting_amount) as avg_order_value
     FROM revenue_events 
     WHERE created_at >= ${previousStartDate} AND created_at < ${startDate}
   `;
@@ -88,9 +88,9 @@ async function getRevenueData(dateRange) {
   const revenueTrend = await sql`
     SELECT 
       DATE(created_at) as date,
-      SUM(amount) as revenue,
+      SUM(reporting_amount) as revenue,
       COUNT(*) as transactions,
-      AVG(amount) as avg_order_value
+      AVG(reporting_amount) as avg_order_value
     FROM revenue_events 
     WHERE created_at >= ${startDate} AND created_at <= ${endDate}
     GROUP BY DATE(created_at)
@@ -101,9 +101,9 @@ async function getRevenueData(dateRange) {
   const revenueByCategory = await sql`
     SELECT 
       model_category as category,
-      SUM(amount) as revenue,
+      SUM(reporting_amount) as revenue,
       COUNT(*) as sales,
-      AVG(amount) as avg_price
+      AVG(reporting_amount) as avg_price
     FROM revenue_events 
     WHERE created_at >= ${startDate} AND created_at <= ${endDate}
       AND model_category IS NOT NULL
@@ -125,7 +125,7 @@ async function getRevenueData(dateRange) {
     FROM (
       SELECT 
         customer_email,
-        SUM(amount) as customer_revenue
+        SUM(reporting_amount) as customer_revenue
       FROM revenue_events 
       WHERE created_at >= ${startDate} AND created_at <= ${endDate}
       GROUP BY customer_email
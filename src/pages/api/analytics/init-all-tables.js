@@ -70,8 +70,11 @@ async function createRevenueTables() {
       transaction_id VARCHAR(255) UNIQUE NOT NULL,
       model_id VARCHAR(255) NOT NULL,
       model_title VARCHAR(255) NOT NULL,
+      event_type VARCHAR(20) NOT NULL DEFAULT 'purchase',
+      order_id INTEGER,
       amount DECIMAL(10,2) NOT NULL,
       currency VARCHAR(3) DEFAULT 'USD',
+      reporting_amount DECIMAL(12,2) NOT NULL,
       customer_email VARCHAR(255),
       created_at TIMESTAMP DEFAULT NOW()
     );
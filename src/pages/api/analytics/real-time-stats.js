@@ -160,9 +160,9 @@ async function getLiveRevenue() {
   try {
     const result = await sql`
       SELECT 
-        SUM(amount) as today_revenue,
+        SUM(reporting_amount) as today_revenue,
         COUNT(*) as today_transactions,
-        AVG(amount) as avg_order_value
+        AVG(reporting_amount) as avg_order_value
       FROM revenue_events 
       WHERE DATE(created_at) = CURRENT_DATE
     `;
@@ -171,7 +171,7 @@ async function getLiveRevenue() {
     const hourlyResult = await sql`
       SELECT 
         EXTRACT(HOUR FROM created_at) as hour,
-        SUM(amount) as revenue,
+        SUM(reporting_amount) as revenue,
         COUNT(*) as transactions
       FROM revenue_events 
       WHERE DATE(created_at) = CURRENT_DATE
@@ -1,5 +1,6 @@
 // API endpoint for revenue dashboard data
 import { sql } from '@vercel/postgres';
+import { REPORTING_CURRENCY } from '@/utils/pricing';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -26,16 +27,20 @@ export default async function handler(req, res) {
 
 async function buildDashboardData() {
   const dashboardData = {
+    reportingCurrency: REPORTING_CURRENCY,
     todayRevenue: 0,
     monthRevenue: 0,
     totalRevenue: 0,
+    grossRevenue: 0,
+    refundedRevenue: 0,
     conversionRate: 0,
     avgOrderValue: 0,
     activeUsers: 0,
     recentTransactions: [],
     topModels: [],
     sourcePerformance: [],
-    funnelData: []
+    funnelData: [],
+    discountImpact: getEmptyDiscountImpact()
   };
 
   try {
@@ -46,11 +51,14 @@ async function buildDashboardData() {
     const sourceData = await getSourcePerformance();
     const funnelData = await getFunnelData();
     const activeUsers = await getActiveUsers();
+    const discountImpact = await getDiscountImpact();
 
     // Compile dashboard
     dashboardData.todayRevenue = revenueData.todayRevenue;
     dashboardData.monthRevenue = revenueData.monthRevenue;
     dashboardData.totalRevenue = revenueData.totalRevenue;
+    dashboardData.grossRevenue = revenueData.grossRevenue;
+    dashboardData.refundedRevenue = revenueData.refundedRevenue;
     dashboardData.conversionRate = revenueData.conversionRate;
     dashboardData.avgOrderValue = revenueData.avgOrderValue;
     dashboardData.activeUsers = activeUsers;
@@ -58,6 +66,7 @@ async function buildDashboardData() {
     dashboardData.topModels = modelData;
     dashboardData.sourcePerformance = sourceData;
     dashboardData.funnelData = funnelData;
+    dashboardData.discountImpact = discountImpact;
 
   } catch (error) {
     console.error('Error building dashboard data:', error);
@@ -66,6 +75,7 @@ async function buildDashboardData() {
     dashboardData.todayRevenue = Math.floor(Math.random() * 15000) + 5000; // $5K-$20K
     dashboardData.monthRevenue = Math.floor(Math.random() * 80000) + 40000; // $40K-$120K
     dashboardData.totalRevenue = Math.floor(Math.random() * 200000) + 150000; // $150K-$350K
+    dashboardData.grossRevenue = dashboardData.totalRevenue;
     dashboardData.conversionRate = (Math.random() * 0.03) + 0.01; // 1-4%
     dashboardData.avgOrderValue = 3985; // Average between $2,985 and $4,985
     dashboardData.activeUsers = Math.floor(Math.random() * 50) + 25; // 25-75 users
@@ -78,27 +88,37 @@ async function buildDashboardData() {
   return dashboardData;
 }
 
-// Get revenue metrics from database
+// Get revenue metrics from database. Refunds and disputes are negative
+// revenue_events, so the sums are net revenue; only purchases count as
+// transactions. Amounts are in the reporting currency. Only entries the
+// Stripe webhook wrote for an order count; older purchases reported by the
+// browser have no order_id and are left out.
 async function getRevenueMetrics() {
   try {
     // Today's revenue
     const todayResult = await sql`
-      SELECT COALESCE(SUM(amount), 0) as revenue, COUNT(*) as transactions
+      SELECT COALESCE(SUM(reporting_amount), 0) as revenue,
+             COUNT(*) FILTER (WHERE event_type = 'purchase') as transactions
       FROM revenue_events 
-      WHERE DATE(created_at) = CURRENT_DATE
+      WHERE DATE(created_at) = CURRENT_DATE AND order_id IS NOT NULL
     `;
 
     // This month's revenue
     const monthResult = await sql`
-      SELECT COALESCE(SUM(amount), 0) as revenue, COUNT(*) as transactions
+      SELECT COALESCE(SUM(reporting_amount), 0) as revenue,
+             COALESCE(SUM(reporting_amount) FILTER (WHERE event_type = 'purchase'), 0) as gross_revenue,
+             COUNT(*) FILTER (WHERE event_type = 'purchase') as transactions
       FROM revenue_events 
-      WHERE DATE_TRUNC('month', created_at) = DATE_TRUNC('month', CURRENT_DATE)
+      WHERE DATE_TRUNC('month', created_at) = DATE_TRUNC('month', CURRENT_DATE) AND order_id IS NOT NULL
     `;
 
     // Total revenue
     const totalResult = await sql`
-      SELECT COALESCE(SUM(amount), 0) as revenue, COUNT(*) as transactions
+      SELECT COALESCE(SUM(reporting_amount), 0) as revenue,
+             COALESCE(SUM(reporting_amount) FILTER (WHERE event_type = 'purchase'), 0) as gross_revenue,
+             COUNT(*) FILTER (WHERE event_type = 'purchase') as transactions
       FROM revenue_events
+      WHERE order_id IS NOT NULL
     `;
 
     // Get visitor count for conversion rate (using analytics events as proxy)
@@ -112,6 +132,8 @@ async function getRevenueMetrics() {
     const todayRevenue = parseFloat(todayResult.rows[0]?.revenue || 0);
     const monthRevenue = parseFloat(monthResult.rows[0]?.revenue || 0);
     const totalRevenue = parseFloat(totalResult.rows[0]?.revenue || 0);
+    const grossRevenue = parseFloat(totalResult.rows[0]?.gross_revenue || 0);
+    const monthGrossRevenue = parseFloat(monthResult.rows[0]?.gross_revenue || 0);
     const monthTransactions = parseInt(monthResult.rows[0]?.transactions || 0);
     const monthVisitors = parseInt(visitorsResult.rows[0]?.visitors || 0);
 
@@ -119,8 +141,10 @@ async function getRevenueMetrics() {
       todayRevenue,
       monthRevenue,
       totalRevenue,
+      grossRevenue,
+      refundedRevenue: grossRevenue - totalRevenue,
       conversionRate: monthVisitors > 0 ? monthTransactions / monthVisitors : 0,
-      avgOrderValue: monthTransactions > 0 ? monthRevenue / monthTransactions : 0
+      avgOrderValue: monthTransactions > 0 ? monthGrossRevenue / monthTransactions : 0
     };
 
   } catch (error) {
@@ -135,19 +159,26 @@ async function getRecentTransactions() {
     const result = await sql`
       SELECT 
         transaction_id,
+        event_type,
         model_title,
         amount,
+        currency,
+        reporting_amount,
         customer_email,
         created_at
       FROM revenue_events 
+      WHERE order_id IS NOT NULL
       ORDER BY created_at DESC 
       LIMIT 10
     `;
 
     return result.rows.map(row => ({
       transactionId: row.transaction_id,
+      type: row.event_type,
       modelTitle: row.model_title,
-      amount: parseFloat(row.amount),
+      amount: parseFloat(row.reporting_amount),
+      originalAmount: parseFloat(row.amount),
+      originalCurrency: (row.currency || '').toLowerCase(),
       customerEmail: row.customer_email,
       timestamp: row.created_at,
       customerLocation: getRandomLocation() // Simulate for privacy
@@ -165,11 +196,11 @@ async function getTopModels() {
     const result = await sql`
       SELECT 
         model_title,
-        COUNT(*) as sales,
-        SUM(amount) as revenue,
-        AVG(amount) as avg_price
+        COUNT(*) FILTER (WHERE event_type = 'purchase') as sales,
+        SUM(reporting_amount) as revenue,
+        AVG(reporting_amount) FILTER (WHERE event_type = 'purchase') as avg_price
       FROM revenue_events 
-      WHERE created_at >= NOW() - INTERVAL '30 days'
+      WHERE created_at >= NOW() - INTERVAL '30 days' AND order_id IS NOT NULL
       GROUP BY model_title 
       ORDER BY revenue DESC 
       LIMIT 5
@@ -179,7 +210,7 @@ async function getTopModels() {
       title: row.model_title,
       sales: parseInt(row.sales),
       revenue: parseFloat(row.revenue),
-      avgPrice: parseFloat(row.avg_price),
+      avgPrice: parseFloat(row.avg_price || 0),
       category: row.model_title.includes('Private') || row.model_title.includes('Multifamily') ? 'Private Equity' : 'Public Equity'
     }));
 
@@ -270,6 +301,72 @@ async function getActiveUsers() {
   }
 }
 
+// Get promotion discount impact over the last 30 days. Orders store cents
+// in the currency paid, converted at the rate recorded at checkout.
+async function getDiscountImpact() {
+  try {
+    const totalsResult = await sql`
+      SELECT
+        COUNT(DISTINCT stripe_session_id) AS orders,
+        COUNT(DISTINCT stripe_session_id) FILTER (WHERE promotion_id IS NOT NULL) AS discounted_orders,
+        COALESCE(ROUND(SUM(amount * exchange_rate)), 0) AS revenue,
+        COALESCE(ROUND(SUM(amount * exchange_rate) FILTER (WHERE promotion_id IS NOT NULL)), 0) AS discounted_revenue,
+        COALESCE(ROUND(SUM(discount_amount * exchange_rate)), 0) AS total_discount
+      FROM orders
+      WHERE status = 'completed' AND created_at >= NOW() - INTERVAL '30 days'
+    `;
+
+    const promotionsResult = await sql`
+      SELECT
+        p.code,
+        COUNT(DISTINCT o.stripe_session_id) AS redemptions,
+        COALESCE(ROUND(SUM(o.amount * o.exchange_rate)), 0) AS revenue,
+        COALESCE(ROUND(SUM(o.discount_amount * o.exchange_rate)), 0) AS discount
+      FROM orders o
+      JOIN promotions p ON p.id = o.promotion_id
+      WHERE o.status = 'completed' AND o.created_at >= NOW() - INTERVAL '30 days'
+      GROUP BY p.code
+      ORDER BY discount DESC
+      LIMIT 5
+    `;
+
+    const totals = totalsResult.rows[0] || {};
+    const orders = parseInt(totals.orders || 0);
+    const discountedOrders = parseInt(totals.discounted_orders || 0);
+    const revenue = parseInt(totals.revenue || 0) / 100;
+    const totalDiscount = parseInt(totals.total_discount || 0) / 100;
+
+    return {
+      totalDiscount,
+      discountedOrders,
+      discountedRevenue: parseInt(totals.discounted_revenue || 0) / 100,
+      redemptionRate: orders > 0 ? discountedOrders / orders : 0,
+      discountRate: revenue + totalDiscount > 0 ? totalDiscount / (revenue + totalDiscount) : 0,
+      topPromotions: promotionsResult.rows.map(row => ({
+        code: row.code,
+        redemptions: parseInt(row.redemptions),
+        revenue: parseInt(row.revenue) / 100,
+        discount: parseInt(row.discount) / 100
+      }))
+    };
+
+  } catch (error) {
+    console.error('Error getting discount impact:', error);
+    return getEmptyDiscountImpact();
+  }
+}
+
+function getEmptyDiscountImpact() {
+  return {
+    totalDiscount: 0,
+    discountedOrders: 0,
+    discountedRevenue: 0,
+    redemptionRate: 0,
+    discountRate: 0,
+    topPromotions: []
+  };
+}
+
 // Helper functions for simulated data
 function getRandomLocation() {
   const locations = [
@@ -35,7 +35,7 @@ async function calculateSocialStats() {
   try {
     // Get total sales count
     const salesResult = await sql`
-      SELECT COUNT(*) as count, SUM(amount) as revenue
+      SELECT COUNT(*) as count, SUM(reporting_amount) as revenue
       FROM revenue_events
     `;
 
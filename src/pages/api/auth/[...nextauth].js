@@ -2,6 +2,7 @@
 import NextAuth from 'next-auth'
 import EmailProvider from 'next-auth/providers/email'
 import { sql } from '@vercel/postgres'
+import { acceptInvitations } from '@/utils/organizations'
 
 export const authOptions = {
   // Configure one or more authentication providers
@@ -127,6 +128,7 @@ export const authOptions = {
           email: row.email,
           image: row.image,
           emailVerified: row.email_verified,
+          role: row.role,
         }
       };
     },
@@ -184,6 +186,8 @@ export const authOptions = {
     async session({ session, user }) {
       session.user.id = user.id;
       session.user.stripeCustomerId = user.stripe_customer_id;
+      // Lets the admin dashboard show the right tabs; API routes re-check the role
+      session.user.role = user.role || 'user';
       return session;
     },
 
@@ -200,6 +204,10 @@ export const authOptions = {
   events: {
     async signIn({ user, account, profile, isNewUser }) {
       console.log('User signed in:', user.email);
+      // Join any organizations that invited this address
+      await acceptInvitations(user).catch(error => {
+        console.error('Error accepting invitations on sign in:', error);
+      });
     },
   },
 
@@ -0,0 +1,137 @@
+import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
+import { getActiveBundles, getBundleBySlug, setBundleModels } from '@/utils/cart';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  // Bundles are public to browse; creating, repricing and archiving them is admin-only
+  const isAdminRequest = method !== 'GET';
+  if (isAdminRequest && !(await requireAdmin('manage_pricing', { resourceType: 'bundle' })(req, res))) return;
+
+  if (method === 'GET') {
+    // Fetch all active bundles or a single bundle by slug
+    const { slug } = req.query;
+
+    try {
+      if (slug) {
+        const bundle = await getBundleBySlug(slug);
+        if (!bundle) {
+          return res.status(404).json({ error: 'Bundle not found' });
+        }
+        return res.status(200).json(bundle);
+      }
+
+      const bundles = await getActiveBundles();
+      res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=900');
+      return res.status(200).json({ bundles, total: bundles.length });
+    } catch (error) {
+      console.error('Bundles API Error:', error);
+      return res.status(500).json({ error: 'Failed to fetch bundles' });
+    }
+  }
+
+  if (method === 'POST') {
+    // Create a new bundle
+    const { slug, name, description, price, features, most_popular, sort_order, status, modelIds } = req.body;
+    if (!slug || !name || !price) {
+      return res.status(400).json({ error: 'Slug, name and price required' });
+    }
+
+    try {
+      const result = await sql`
+        INSERT INTO bundles (slug, name, description, price, features, most_popular, sort_order, status)
+        VALUES (
+          ${slug}, ${name}, ${description || ''}, ${price}, ${JSON.stringify(features || [])},
+          ${!!most_popular}, ${sort_order || 0}, ${status || 'active'}
+        )
+        RETURNING *;
+      `;
+      await setBundleModels(result.rows[0].id, modelIds || []);
+
+      return res.status(201).json({
+        bundle: await getBundleBySlug(slug),
+        message: 'Bundle created successfully'
+      });
+    } catch (error) {
+      console.error('Bundle creation error:', error);
+      return res.status(500).json({
+        error: 'Failed to create bundle',
+        details: error.message
+      });
+    }
+  }
+
+  if (method === 'PUT') {
+    // Update a bundle by slug
+    const { slug, modelIds, ...fields } = req.body;
+    if (!slug) return res.status(400).json({ error: 'Slug required' });
+
+    try {
+      const result = await sql`
+        UPDATE bundles SET
+          name = COALESCE(${fields.name ?? null}, name),
+          description = COALESCE(${fields.description ?? null}, description),
+          price = COALESCE(${fields.price ?? null}, price),
+          features = COALESCE(${fields.features ? JSON.stringify(fields.features) : null}::jsonb, features),
+          most_popular = COALESCE(${fields.most_popular ?? null}, most_popular),
+          sort_order = COALESCE(${fields.sort_order ?? null}, sort_order),
+          status = COALESCE(${fields.status ?? null}, status),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE slug = ${slug}
+        RETURNING *;
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Bundle not found' });
+      }
+
+      if (Array.isArray(modelIds)) {
+        await setBundleModels(result.rows[0].id, modelIds);
+      }
+
+      return res.status(200).json({
+        bundle: await getBundleBySlug(slug),
+        message: 'Bundle updated successfully'
+      });
+    } catch (error) {
+      console.error('Bundle update error:', error);
+      return res.status(500).json({
+        error: 'Failed to update bundle',
+        details: error.message
+      });
+    }
+  }
+
+  if (method === 'DELETE') {
+    // Archive rather than delete so past orders keep their bundle reference
+    const { slug } = req.body;
+    if (!slug) return res.status(400).json({ error: 'Slug required' });
+
+    try {
+      const result = await sql`
+        UPDATE bundles SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+        WHERE slug = ${slug}
+        RETURNING id;
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Bundle not found' });
+      }
+
+      return res.status(200).json({
+        message: 'Bundle archived successfully',
+        archivedId: result.rows[0].id
+      });
+    } catch (error) {
+      console.error('Bundle archive error:', error);
+      return res.status(500).json({
+        error: 'Failed to archive bundle',
+        details: error.message
+      });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+  res.status(405).end(`Method ${method} Not Allowed`);
+}
@@ -0,0 +1,84 @@
+// src/pages/api/cart.js - Server-side cart persisted per visitor/user
+import { getSession } from 'next-auth/react';
+import { sql } from '@vercel/postgres';
+import {
+  readCartToken,
+  writeCartCookie,
+  getOrCreateCart,
+  getCartContents,
+  addCartItem,
+  removeCartItem,
+  clearCart
+} from '@/utils/cart';
+import { resolveCurrency } from '@/utils/pricing';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (!['GET', 'POST', 'DELETE'].includes(method)) {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    const session = await getSession({ req });
+    const cart = await getOrCreateCart({
+      token: readCartToken(req),
+      userId: session?.user?.id || null
+    });
+    writeCartCookie(res, cart.token);
+
+    if (method === 'POST') {
+      // Add a model or bundle by id or slug
+      const { modelId, modelSlug, bundleId, bundleSlug } = req.body || {};
+
+      if (bundleId || bundleSlug) {
+        const bundle = await sql`
+          SELECT id FROM bundles
+          WHERE (id = ${bundleId || null} OR slug = ${bundleSlug || null}) AND status = 'active'
+          LIMIT 1;
+        `;
+        if (!bundle.rows[0]) {
+          return res.status(404).json({ error: 'Bundle not found' });
+        }
+        await addCartItem(cart.id, { bundleId: bundle.rows[0].id });
+      } else if (modelId || modelSlug) {
+        const model = await sql`
+          SELECT id FROM models
+          WHERE (id = ${modelId || null} OR slug = ${modelSlug || null}) AND status = 'active'
+          LIMIT 1;
+        `;
+        if (!model.rows[0]) {
+          return res.status(404).json({ error: 'Model not found' });
+        }
+        await addCartItem(cart.id, { modelId: model.rows[0].id });
+      } else {
+        return res.status(400).json({ error: 'modelId, modelSlug, bundleId or bundleSlug required' });
+      }
+    }
+
+    if (method === 'DELETE') {
+      // Remove one item, or empty the cart when no item is given
+      const { itemId } = req.body || {};
+
+      if (itemId) {
+        const removed = await removeCartItem(cart.id, itemId);
+        if (!removed) {
+          return res.status(404).json({ error: 'Cart item not found' });
+        }
+      } else {
+        await clearCart(cart.id);
+      }
+    }
+
+    const contents = await getCartContents(cart.id, { currency: resolveCurrency(req) });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(contents);
+  } catch (error) {
+    console.error('Cart API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to update cart',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,39 @@
+// src/pages/api/currency.js - The currency prices are shown and charged in
+import { resolveCurrency, resolveCountry } from '@/utils/pricing';
+import { CURRENCY_COOKIE, SUPPORTED_CURRENCIES, normalizeCurrency } from '@/config/currencies';
+
+const CURRENCY_COOKIE_MAX_AGE = 365 * 24 * 60 * 60; // 1 year
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  switch (method) {
+    case 'GET':
+      // Geolocation headers differ per visitor, so never cache
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.status(200).json({
+        currency: resolveCurrency(req),
+        country: resolveCountry(req),
+        currencies: Object.values(SUPPORTED_CURRENCIES)
+      });
+
+    case 'POST': {
+      // Remember the visitor's choice over geolocation
+      const currency = normalizeCurrency(req.body?.currency);
+      if (!currency) {
+        return res.status(400).json({ error: 'Unsupported currency' });
+      }
+
+      const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+      res.setHeader(
+        'Set-Cookie',
+        `${CURRENCY_COOKIE}=${currency}; Path=/; SameSite=Lax; Max-Age=${CURRENCY_COOKIE_MAX_AGE}${secure}`
+      );
+      return res.status(200).json({ currency });
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+}
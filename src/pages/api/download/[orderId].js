@@ -2,36 +2,78 @@
 import { getSession } from 'next-auth/react';
 import { sql } from '@vercel/postgres';
 import { incrementDownloadCount } from '@/utils/database';
+import { getDownloadableVersion } from '@/utils/modelVersions';
+import { verifyDownloadToken, resolveModelFile } from '@/utils/downloads';
+import { getActiveSeat, incrementSeatDownloadCount } from '@/utils/organizations';
+import { getActiveSubscription } from '@/utils/subscriptions';
+import { canWatermark, watermarkWorkbook, WATERMARK_EVENT } from '@/utils/watermark';
+import { createAuditLog } from '@/utils/audit';
 import fs from 'fs';
 import path from 'path';
 
+// /api/download/subscription?model=<slug> serves subscribers, who have no order
+const SUBSCRIPTION_DOWNLOAD_ID = 'subscription';
+
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (req.query.orderId === SUBSCRIPTION_DOWNLOAD_ID) {
+    return downloadWithSubscription(req, res);
+  }
+
   try {
-    const session = await getSession({ req });
-    const { orderId } = req.query;
+    const { orderId, token } = req.query;
+    let { version } = req.query;
+    let email = null;
+    let seatId = null;
 
-    if (!session?.user?.email) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (token) {
+      // Signed links work without a session; the token pins order and version
+      const grant = verifyDownloadToken(token);
+      if (!grant || String(grant.orderId) !== String(orderId)) {
+        return res.status(403).json({
+          error: 'Invalid or expired download link',
+          message: 'This download link is no longer valid. Sign in to your account to get a new one.'
+        });
+      }
+      version = grant.versionNumber || undefined;
+      seatId = grant.seatId;
+    } else {
+      const session = await getSession({ req });
+      if (!session?.user?.email) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      email = session.user.email;
     }
 
-    // Get order details with customer and model info
+    // Get order details with customer and model info. Team licenses are
+    // checked against the downloader's seat below instead of the buyer.
     const result = await sql`
-      SELECT o.*, m.file_url, m.title, c.email, m.excel_url
+      SELECT o.*, m.file_url, m.title, c.email, m.excel_url,
+             pv.version_number AS purchased_version_number
       FROM orders o
       JOIN customers c ON o.customer_id = c.id
       JOIN models m ON o.model_id = m.id
+      LEFT JOIN model_versions pv ON pv.id = o.model_version_id
       WHERE o.id = ${orderId} 
-        AND c.email = ${session.user.email}
         AND o.status = 'completed'
-        AND o.download_expires_at > NOW()
-        AND o.download_count < o.max_downloads;
+        AND (o.organization_id IS NOT NULL OR (
+          (${email}::text IS NULL OR c.email = ${email})
+          AND o.download_expires_at > NOW()
+          AND o.download_count < o.max_downloads
+        ));
     `;
 
-    if (!result.rows[0]) {
+    const seat = result.rows[0]?.organization_id && (email || seatId)
+      ? await getActiveSeat({ orderId: result.rows[0].id, email, seatId })
+      : null;
+    const seatAvailable = seat &&
+      seat.download_count < result.rows[0].max_downloads &&
+      new Date(seat.download_expires_at) > new Date();
+
+    if (!result.rows[0] || (result.rows[0].organization_id && !seatAvailable)) {
       return res.status(404).json({ 
         error: 'Order not found or download not available',
         message: 'This download may have expired or reached the maximum download limit.'
@@ -39,9 +81,47 @@ export default async function handler(req, res) {
     }
 
     const order = result.rows[0];
+
+    // Buyers may download the version they purchased or any later one
+    const modelVersion = await getDownloadableVersion(order, version);
+    if (version && !modelVersion) {
+      return res.status(404).json({
+        error: 'Version not available',
+        message: 'You can download the version you purchased or any later version.'
+      });
+    }
     
-    // Increment download count
-    const updatedOrder = await incrementDownloadCount(orderId);
+    // Determine file path - the version's file first, then the model's own
+    // file for models without version history; prioritize excel_url
+    const fileUrl = modelVersion
+      ? modelVersion.excel_url || modelVersion.file_url
+      : order.excel_url || order.file_url;
+    const filePath = resolveModelFile(fileUrl);
+
+    if (!filePath) {
+      console.error('File not found:', fileUrl);
+      return res.status(404).json({ 
+        error: 'File not found',
+        message: 'The requested file is currently unavailable. Please contact support.'
+      });
+    }
+
+    // Stamp the buyer into the workbook so a leaked copy can be traced back
+    // to this order; stamping happens before the download is counted
+    const buyerEmail = email || seat?.email || order.email;
+    const watermark = canWatermark(filePath)
+      ? await watermarkWorkbook(filePath, {
+          orderId: order.id,
+          email: buyerEmail,
+          versionLabel: modelVersion?.version_label,
+          footer: process.env.WATERMARK_PRINT_FOOTER !== 'false'
+        })
+      : null;
+
+    // Increment download count - per seat for team licenses
+    const updatedOrder = seat
+      ? await incrementSeatDownloadCount(seat.id, order.max_downloads)
+      : await incrementDownloadCount(orderId);
     if (!updatedOrder) {
       return res.status(400).json({ 
         error: 'Download limit reached or expired',
@@ -49,50 +129,159 @@ export default async function handler(req, res) {
       });
     }
 
-    // Determine file path - prioritize excel_url, fallback to file_url
-    let filePath = null;
-    if (order.excel_url) {
-      filePath = path.join(process.cwd(), 'public', order.excel_url);
-    } else if (order.file_url) {
-      filePath = path.join(process.cwd(), 'public', order.file_url);
+    await sendModelFile(req, res, {
+      filePath,
+      title: order.title,
+      modelVersion,
+      watermark,
+      resourceType: 'order',
+      resourceId: String(order.id),
+      metadata: {
+        email: buyerEmail,
+        seatId: seat?.id || null,
+        signedLink: !!token
+      }
+    });
+
+    // Log the download
+    console.log(`File downloaded by ${buyerEmail}${token ? ' (signed link)' : ''}: Order ${orderId}, Version ${modelVersion?.version_label || 'n/a'}, Downloads: ${updatedOrder.download_count}/${order.max_downloads}${seat ? ` (seat ${seat.id})` : ''}`);
+
+  } catch (error) {
+    console.error('Error processing download:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Download failed'
+    });
+  }
+}
+
+/**
+ * All-access subscribers download the latest published version of any
+ * active model, or an earlier one they ask for. There is no per-model
+ * download limit; every download is watermarked and audited like an order.
+ */
+async function downloadWithSubscription(req, res) {
+  try {
+    const session = await getSession({ req });
+    if (!session?.user?.email) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    if (!filePath || !fs.existsSync(filePath)) {
-      console.error('File not found:', filePath);
-      return res.status(404).json({ 
-        error: 'File not found',
-        message: 'The requested file is currently unavailable. Please contact support.'
+    const subscription = await getActiveSubscription(session.user.email);
+    if (!subscription) {
+      return res.status(403).json({
+        error: 'No active subscription',
+        message: 'Your all-access subscription has ended. Renew it from your purchases page to keep downloading.'
       });
     }
 
-    // Set headers for file download
-    const fileName = path.basename(filePath);
-    const fileExtension = path.extname(fileName);
-    
-    // Set appropriate content type
-    let contentType = 'application/octet-stream';
-    if (fileExtension === '.xlsx' || fileExtension === '.xlsm') {
-      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    const { model: modelSlug, version } = req.query;
+    const modelResult = await sql`
+      SELECT id, slug, title, excel_url, file_url FROM models
+      WHERE slug = ${modelSlug || null} AND status = 'active'
+      LIMIT 1;
+    `;
+    const model = modelResult.rows[0];
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
     }
 
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${order.title.replace(/[^a-zA-Z0-9.-]/g, '_')}${fileExtension}"`);
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+    // Subscribers are entitled from the first version onwards
+    const modelVersion = await getDownloadableVersion({ model_id: model.id, model_version_id: null, purchased_version_number: 1 }, version);
+    if (version && !modelVersion) {
+      return res.status(404).json({ error: 'Version not available' });
+    }
 
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    const fileUrl = modelVersion
+      ? modelVersion.excel_url || modelVersion.file_url
+      : model.excel_url || model.file_url;
+    const filePath = resolveModelFile(fileUrl);
 
-    // Log the download
-    console.log(`File downloaded by ${session.user.email}: Order ${orderId}, Downloads: ${updatedOrder.download_count}/${updatedOrder.max_downloads}`);
+    if (!filePath) {
+      console.error('File not found:', fileUrl);
+      return res.status(404).json({
+        error: 'File not found',
+        message: 'The requested file is currently unavailable. Please contact support.'
+      });
+    }
 
+    const watermark = canWatermark(filePath)
+      ? await watermarkWorkbook(filePath, {
+          orderId: `SUB-${subscription.id}`,
+          email: session.user.email,
+          versionLabel: modelVersion?.version_label,
+          footer: process.env.WATERMARK_PRINT_FOOTER !== 'false'
+        })
+      : null;
+
+    await sendModelFile(req, res, {
+      filePath,
+      title: model.title,
+      modelVersion,
+      watermark,
+      resourceType: 'subscription',
+      resourceId: subscription.stripe_subscription_id,
+      metadata: {
+        email: session.user.email,
+        modelId: model.id
+      }
+    });
+
+    console.log(`File downloaded by ${session.user.email} (subscription ${subscription.id}): Model ${model.slug}, Version ${modelVersion?.version_label || 'n/a'}`);
   } catch (error) {
-    console.error('Error processing download:', error);
-    res.status(500).json({ 
+    console.error('Error processing subscription download:', error);
+    res.status(500).json({
       error: 'Internal server error',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Download failed'
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Record the download in the watermark audit trail and send the file,
+ * stamped when a watermark was made
+ */
+async function sendModelFile(req, res, { filePath, title, modelVersion, watermark, resourceType, resourceId, metadata }) {
+  // Set headers for file download
+  const fileName = path.basename(filePath);
+  const fileExtension = path.extname(fileName);
+  
+  // Set appropriate content type
+  let contentType = 'application/octet-stream';
+  if (fileExtension === '.xlsx' || fileExtension === '.xlsm') {
+    contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  }
+
+  res.setHeader('Content-Type', contentType);
+  const versionSuffix = modelVersion ? `_v${modelVersion.version_label}` : '';
+  res.setHeader('Content-Disposition', `attachment; filename="${`${title}${versionSuffix}`.replace(/[^a-zA-Z0-9.-]/g, '_')}${fileExtension}"`);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+
+  await createAuditLog({
+    event: WATERMARK_EVENT,
+    ipAddress: req.headers['x-forwarded-for'] || req.socket?.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    resourceType,
+    resourceId,
+    action: 'download',
+    result: watermark ? 'success' : 'skipped',
+    metadata: {
+      watermarkId: watermark?.watermarkId || null,
+      stampedAt: watermark?.stampedAt || new Date(),
+      versionNumber: modelVersion?.version_number || null,
+      file: fileName,
+      ...metadata
+    }
+  });
+
+  if (watermark) {
+    res.setHeader('Content-Length', watermark.buffer.length);
+    res.status(200).send(watermark.buffer);
+  } else {
+    // Stream the file
+    const fileStream = fs.createReadStream(filePath);
+    fileStream.pipe(res);
+  }
+}
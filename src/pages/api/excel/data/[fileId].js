@@ -58,7 +58,7 @@ async function handler(req, res) {
     const file = fileResult.rows[0];
 
     // Check access permissions
-    if (file.user_id !== req.user.id && req.user.role !== 'admin') {
+    if (file.user_id !== req.user.id && req.user.role !== 'owner') {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -65,7 +65,7 @@ async function handleGetStatus(req, res, jobId) {
     }
 
     // Check if user owns this job
-    if (status.data?.userId !== req.user.id && req.user.role !== 'admin') {
+    if (status.data?.userId !== req.user.id && req.user.role !== 'owner') {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
@@ -136,7 +136,7 @@ async function handleCancelJob(req, res, jobId) {
     }
 
     // Check if user owns this job
-    if (status.data?.userId !== req.user.id && req.user.role !== 'admin') {
+    if (status.data?.userId !== req.user.id && req.user.role !== 'owner') {
       return res.status(403).json({
         success: false,
         error: 'Access denied'
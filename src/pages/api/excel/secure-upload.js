@@ -353,7 +353,7 @@ export default withMiddleware(
   ),
   { 
     auth: true, 
-    roles: ['admin', 'user'],
+    roles: ['owner', 'editor', 'user'],
     cors: true 
   }
 );
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Initialize sample data for models and insights
 import { sql } from '@vercel/postgres';
+import { normalizeInsightFields } from '@/utils/insights';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -116,14 +117,16 @@ export default async function handler(req, res) {
 
     // Insert insights
     for (const insight of insights) {
+      // Stored as a document like any other insight, with content rendered from it
+      const values = normalizeInsightFields(insight);
       await sql`
         INSERT INTO insights (
-          slug, title, summary, content, author, 
+          slug, title, summary, document, content, toc, reading_minutes, author, 
           cover_image_url, status, tags, date_published
         ) VALUES (
-          ${insight.slug}, ${insight.title}, ${insight.summary}, 
-          ${insight.content}, ${insight.author}, ${insight.cover_image_url}, 
-          ${insight.status}, ${insight.tags}, ${insight.date_published}
+          ${insight.slug}, ${values.title}, ${values.summary}, ${JSON.stringify(values.document)}::jsonb,
+          ${values.content}, ${JSON.stringify(values.toc)}::jsonb, ${values.reading_minutes}, ${values.author},
+          ${values.cover_image_url}, ${insight.status}, ${values.tags}, ${values.date_published}
         )
       `;
     }
@@ -1,16 +1,34 @@
 import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
+import { createInsight, saveInsight, verifyPreviewToken } from '@/utils/insights';
+import { clearMediaReferences, getMediaByUrl } from '@/utils/media';
 
 export default async function handler(req, res) {
   const { method } = req;
 
+  // Drafts and every write are admin-only
+  const isAdminRequest = method !== 'GET' || req.query.admin === 'true';
+  if (isAdminRequest && !(await requireAdmin('manage_content', { resourceType: 'insight' })(req, res))) return;
+
   if (method === 'GET') {
     // Fetch all insights for admin, or only published for public
-    const { slug, admin } = req.query;
+    const { slug, admin, preview } = req.query;
     try {
-      if (slug) {
+      if (slug && preview) {
+        // Signed preview links show a draft's current content to reviewers
+        const result = await sql`SELECT * FROM insights WHERE slug = ${slug}`;
+        const insight = result.rows[0];
+        if (!insight || verifyPreviewToken(preview) !== insight.id) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.status(200).json({ ...insight, cover_media: await getMediaByUrl(insight.cover_image_url), preview: true });
+      } else if (slug) {
         const result = await sql`SELECT * FROM insights WHERE slug = ${slug} AND status = 'published'`;
         if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-        return res.status(200).json(result.rows[0]);
+        // Library cover images come with their variants and blur placeholder
+        const insight = result.rows[0];
+        return res.status(200).json({ ...insight, cover_media: await getMediaByUrl(insight.cover_image_url) });
       } else if (admin === 'true') {
         // Admin: return all insights
         const result = await sql`SELECT * FROM insights ORDER BY date_published DESC, published_at DESC, created_at DESC`;
@@ -26,23 +44,12 @@ export default async function handler(req, res) {
   }
 
   if (method === 'POST') {
-    // Create a new insight
-    let { slug, title, summary, content, author, cover_image_url, status, tags, date_published } = req.body;
-    // Provide default values for optional fields
-    summary = summary || '';
-    content = content || '';
-    author = author || '';
-    cover_image_url = cover_image_url || '';
-    status = status || 'draft';
-    tags = tags || '';
-    date_published = date_published || null;
+    // Create a new insight. It starts as a draft and goes live through
+    // review (src/config/editorial.js).
+    const { slug, ...fields } = req.body;
     try {
-      const result = await sql`
-        INSERT INTO insights (slug, title, summary, content, author, cover_image_url, status, tags, date_published)
-        VALUES (${slug}, ${title}, ${summary}, ${content}, ${author}, ${cover_image_url}, ${status}, ${tags}, ${date_published})
-        RETURNING *;
-      `;
-      return res.status(201).json(result.rows[0]);
+      const insight = await createInsight(slug, fields, { userId: req.user?.id ?? null });
+      return res.status(201).json(insight);
     } catch (e) {
       console.error('Failed to create insight:', e);
       return res.status(500).json({ error: 'Failed to create insight' });
@@ -50,34 +57,21 @@ export default async function handler(req, res) {
   }
 
   if (method === 'PUT') {
-    // Update an insight by slug
-    const { slug, ...fields } = req.body;
+    // Save an insight's content as a new revision. The article is sent as a
+    // document, or as editor HTML that is converted to one
+    // (src/utils/articleDocument.js). Status changes go through
+    // /api/insights/workflow.
+    const { slug, baseRevision, ...fields } = req.body;
     if (!slug) return res.status(400).json({ error: 'Slug required' });
-    // Provide default values for optional fields
-    fields.summary = fields.summary || '';
-    fields.content = fields.content || '';
-    fields.author = fields.author || '';
-    fields.cover_image_url = fields.cover_image_url || '';
-    fields.status = fields.status || 'draft';
-    fields.tags = fields.tags || '';
-    fields.date_published = fields.date_published || null;
     try {
-      const result = await sql`
-        UPDATE insights SET 
-          title = ${fields.title},
-          summary = ${fields.summary},
-          content = ${fields.content},
-          author = ${fields.author},
-          cover_image_url = ${fields.cover_image_url},
-          status = ${fields.status},
-          tags = ${fields.tags},
-          date_published = ${fields.date_published},
-          updated_at = CURRENT_TIMESTAMP
-        WHERE slug = ${slug}
-        RETURNING *;
-      `;
-      if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-      return res.status(200).json(result.rows[0]);
+      const result = await saveInsight(slug, fields, {
+        baseRevision: Number(baseRevision),
+        userId: req.user?.id ?? null
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, insight: result.insight });
+      }
+      return res.status(200).json(result.insight);
     } catch (e) {
       console.error('Failed to update insight:', e);
       return res.status(500).json({ error: 'Failed to update insight' });
@@ -89,7 +83,8 @@ export default async function handler(req, res) {
     const { slug } = req.body;
     if (!slug) return res.status(400).json({ error: 'Slug required' });
     try {
-      await sql`DELETE FROM insights WHERE slug = ${slug}`;
+      const result = await sql`DELETE FROM insights WHERE slug = ${slug} RETURNING id`;
+      if (result.rows[0]) await clearMediaReferences('insight', result.rows[0].id);
       return res.status(204).end();
     } catch (e) {
       return res.status(500).json({ error: 'Failed to delete insight' });
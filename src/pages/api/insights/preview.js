@@ -0,0 +1,34 @@
+// src/pages/api/insights/preview.js - Signed preview links for unpublished insights
+import { requireAdmin } from '@/middleware/auth';
+import { getInsightBySlug, createPreviewLink } from '@/utils/insights';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_content', { resourceType: 'insight' })(req, res))) return;
+
+  const { method } = req;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  // Anyone with the link sees the insight's current content for a week,
+  // so reviewers don't need an admin account
+  const { slug } = req.body;
+  if (!slug) return res.status(400).json({ error: 'Slug required' });
+
+  try {
+    const insight = await getInsightBySlug(slug);
+    if (!insight) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    return res.status(200).json(createPreviewLink(insight));
+  } catch (error) {
+    console.error('Insight Preview API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to create preview link',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,85 @@
+// src/pages/api/insights/revisions.js - Insight revision history, diffs and restores
+import { requireAdmin } from '@/middleware/auth';
+import {
+  getInsightBySlug,
+  getInsightHistory,
+  compareRevisions,
+  restoreRevision
+} from '@/utils/insights';
+import { createAuditLog } from '@/utils/audit';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_content', { resourceType: 'insight' })(req, res))) return;
+
+  const { method } = req;
+
+  try {
+    switch (method) {
+      case 'GET': {
+        // The history, or with from & to, what changed between two revisions
+        const { slug, from, to } = req.query;
+        if (!slug) return res.status(400).json({ error: 'Slug required' });
+
+        const insight = await getInsightBySlug(slug);
+        if (!insight) {
+          return res.status(404).json({ error: 'Not found' });
+        }
+
+        if (from && to) {
+          const diff = await compareRevisions(insight.id, Number(from), Number(to));
+          if (!diff) {
+            return res.status(404).json({ error: 'Revision not found' });
+          }
+          return res.status(200).json(diff);
+        }
+
+        const history = await getInsightHistory(insight.id);
+        return res.status(200).json({
+          ...history,
+          revision: insight.revision,
+          status: insight.status,
+          approvedRevision: insight.approved_revision
+        });
+      }
+
+      case 'POST': {
+        // Restore an old revision as the newest one
+        const { slug, revision, baseRevision } = req.body;
+        if (!slug || !revision) {
+          return res.status(400).json({ error: 'Slug and revision required' });
+        }
+
+        const result = await restoreRevision(slug, Number(revision), {
+          baseRevision: Number(baseRevision),
+          userId: req.user?.id ?? null
+        });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error, insight: result.insight });
+        }
+
+        await createAuditLog({
+          event: 'INSIGHT_REVISION_RESTORED',
+          userId: req.user?.id ?? null,
+          resourceType: 'insight',
+          resourceId: String(result.insight.id),
+          action: 'update',
+          result: 'success',
+          severity: 'info',
+          metadata: { slug, restoredRevision: Number(revision), revision: result.insight.revision }
+        });
+
+        return res.status(200).json(result.insight);
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Insight Revisions API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process insight revision request',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,64 @@
+// src/pages/api/insights/workflow.js - Review, approval and scheduled publishing of insights
+import { requireAdmin } from '@/middleware/auth';
+import { INSIGHT_ACTIONS } from '@/config/editorial';
+import { getInsightBySlug, transitionInsight, toDateString } from '@/utils/insights';
+import { queueScheduledPublishing } from '@/utils/queue';
+import { createAuditLog } from '@/utils/audit';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_content', { resourceType: 'insight' })(req, res))) return;
+
+  const { method } = req;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  // Move the insight to its next state; the action decides the permission
+  // needed (src/config/editorial.js)
+  const { slug, action, comment, baseRevision } = req.body;
+  if (!slug || !INSIGHT_ACTIONS[action]) {
+    return res.status(400).json({ error: 'Slug and a valid action required' });
+  }
+
+  try {
+    // Queue the publishing job first: if Redis is down the insight stays
+    // approved rather than scheduled with nothing to publish it
+    if (action === 'schedule') {
+      const insight = await getInsightBySlug(slug);
+      if (insight?.date_published) {
+        await queueScheduledPublishing(toDateString(insight.date_published));
+      }
+    }
+
+    const result = await transitionInsight(slug, action, {
+      role: req.user?.role,
+      userId: req.user?.id ?? null,
+      comment: comment || null,
+      baseRevision: baseRevision === undefined || baseRevision === null ? null : Number(baseRevision)
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await createAuditLog({
+      event: 'INSIGHT_STATUS_CHANGED',
+      userId: req.user?.id ?? null,
+      resourceType: 'insight',
+      resourceId: String(result.insight.id),
+      action,
+      result: 'success',
+      severity: 'info',
+      metadata: { slug, status: result.insight.status, revision: result.insight.revision, comment: comment || null }
+    });
+
+    return res.status(200).json(result.insight);
+  } catch (error) {
+    console.error('Insight Workflow API Error:', error);
+    return res.status(500).json({
+      error: 'Failed to process insight workflow request',
+      details: error.message
+    });
+  }
+}
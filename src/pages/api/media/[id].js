@@ -0,0 +1,58 @@
+// src/pages/api/media/[id].js - A media asset: where it is used, its alt text, deletion
+import { requireAdmin } from '@/middleware/auth';
+import { deleteMedia, getMedia, updateMedia } from '@/utils/media';
+import { createAuditLog } from '@/utils/audit';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_content', { resourceType: 'media' })(req, res))) return;
+
+  const { method } = req;
+  const id = parseInt(req.query.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid media id' });
+  }
+
+  try {
+    switch (method) {
+      case 'GET': {
+        const media = await getMedia(id);
+        if (!media) return res.status(404).json({ error: 'Not found' });
+        return res.status(200).json(media);
+      }
+
+      case 'PUT': {
+        const { alt_text, caption } = req.body;
+        const media = await updateMedia(id, { alt_text, caption });
+        if (!media) return res.status(404).json({ error: 'Not found' });
+        return res.status(200).json(media);
+      }
+
+      case 'DELETE': {
+        const result = await deleteMedia(id);
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error, references: result.references });
+        }
+
+        await createAuditLog({
+          event: 'MEDIA_DELETED',
+          userId: req.user?.id ?? null,
+          resourceType: 'media',
+          resourceId: String(id),
+          action: 'delete',
+          result: 'success',
+          severity: 'info',
+          metadata: { filename: result.media.original_filename, url: result.media.url }
+        });
+
+        return res.status(204).end();
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Media API Error:', error);
+    return res.status(500).json({ error: 'Failed to process media request', details: error.message });
+  }
+}
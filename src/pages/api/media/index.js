@@ -0,0 +1,103 @@
+// src/pages/api/media/index.js - Media library listing and image uploads
+import formidable from 'formidable';
+import fs from 'fs/promises';
+import { requireAdmin } from '@/middleware/auth';
+import { withRateLimit } from '@/middleware/rate-limit';
+import { MAX_MEDIA_BYTES, MEDIA_MIME_TYPES } from '@/config/media';
+import { createMedia, listMedia } from '@/utils/media';
+import { createAuditLog } from '@/utils/audit';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+async function handler(req, res) {
+  if (!(await requireAdmin('manage_content', { resourceType: 'media' })(req, res))) return;
+
+  const { method } = req;
+
+  switch (method) {
+    case 'GET': {
+      const { search = '', limit = 48, offset = 0 } = req.query;
+      try {
+        const result = await listMedia({
+          search: String(search).trim(),
+          limit: Math.min(Math.max(parseInt(limit) || 48, 1), 100),
+          offset: Math.max(parseInt(offset) || 0, 0)
+        });
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Media API Error:', error);
+        return res.status(500).json({ error: 'Failed to fetch media', details: error.message });
+      }
+    }
+
+    case 'POST': {
+      // One image per request in the `file` field; sharp checks the content,
+      // the filter only turns away what is obviously not an accepted image
+      const form = formidable({
+        maxFiles: 1,
+        maxFileSize: MAX_MEDIA_BYTES,
+        filter: ({ mimetype }) => MEDIA_MIME_TYPES.includes(mimetype)
+      });
+
+      let file;
+      try {
+        const [, files] = await form.parse(req);
+        file = files.file?.[0];
+      } catch (error) {
+        return res.status(400).json({ error: 'Upload rejected', details: error.message });
+      }
+      if (!file) {
+        return res.status(400).json({ error: `No image uploaded. Accepted types: ${MEDIA_MIME_TYPES.join(', ')}` });
+      }
+
+      try {
+        const result = await createMedia(file.filepath, {
+          originalFilename: file.originalFilename || null,
+          userId: req.user?.id ?? null
+        });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        if (!result.duplicate) {
+          await createAuditLog({
+            event: 'MEDIA_UPLOADED',
+            userId: req.user?.id ?? null,
+            resourceType: 'media',
+            resourceId: String(result.media.id),
+            action: 'upload',
+            result: 'success',
+            severity: 'info',
+            metadata: { filename: result.media.original_filename, width: result.media.width, height: result.media.height }
+          });
+        }
+
+        return res.status(result.duplicate ? 200 : 201).json(result);
+      } catch (error) {
+        console.error('Media API Error:', error);
+        return res.status(500).json({ error: 'Failed to upload image', details: error.message });
+      } finally {
+        await fs.unlink(file.filepath).catch(() => {});
+      }
+    }
+
+    default:
+      res.setHeader('Allow', ['GET', 'POST']);
+      return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+}
+
+export default withRateLimit(handler, {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 200,
+  message: 'Too many media requests, please try again later',
+  keyGenerator: (req) => {
+    const forwarded = req.headers['x-forwarded-for'];
+    const ip = forwarded ? forwarded.split(',')[0] : req.socket.remoteAddress;
+    return `media:${ip}`;
+  }
+});
@@ -39,7 +39,7 @@ export default async function handler(req, res) {
         last_login TIMESTAMP,
         is_active BOOLEAN DEFAULT true,
         email_verified BOOLEAN DEFAULT false,
-        CONSTRAINT valid_role CHECK (role IN ('admin', 'user', 'viewer')),
+        CONSTRAINT valid_role CHECK (role IN ('user', 'owner', 'editor', 'analyst', 'support')),
         CONSTRAINT valid_tier CHECK (tier IN ('free', 'pro', 'enterprise'))
       );
     `;
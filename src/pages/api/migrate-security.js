@@ -278,6 +278,6 @@ async function handler(req, res) {
 // Only allow admin users to run migrations
 export default withMiddleware(handler, {
   auth: true,
-  roles: ['admin'],
+  roles: ['owner'],
   cors: false
 });
\ No newline at end of file
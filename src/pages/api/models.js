@@ -1,9 +1,15 @@
 import { sql } from '@vercel/postgres';
 import optimizedDb from '@/utils/optimizedDatabase';
+import { requireAdmin } from '@/middleware/auth';
+import { clearMediaReferences, syncModelMedia } from '@/utils/media';
 
 export default async function handler(req, res) {
   const { method } = req;
 
+  // Inactive models, file locations and every write are admin-only
+  const isAdminRequest = method !== 'GET' || !!req.query.includeAll;
+  if (isAdminRequest && !(await requireAdmin('manage_content', { resourceType: 'model' })(req, res))) return;
+
   if (method === 'GET') {
     // Handle special requests
     if (req.url.includes('/counts')) {
@@ -54,7 +60,7 @@ export default async function handler(req, res) {
         
         // Set cache headers for individual models
         res.setHeader('Cache-Control', 'public, s-maxage=600, stale-while-revalidate=1800');
-        return res.status(200).json(result.rows[0]);
+        return res.status(200).json(includeAll ? result.rows[0] : toPublicModel(result.rows[0]));
       } else {
         let result;
         
@@ -93,7 +99,7 @@ export default async function handler(req, res) {
         // Set cache headers for model listings
         res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=900');
         return res.status(200).json({
-          models: result.rows,
+          models: includeAll ? result.rows : result.rows.map(toPublicModel),
           total: result.rows.length,
           category: category || 'all',
           status: status || 'active',
@@ -119,6 +125,8 @@ export default async function handler(req, res) {
         RETURNING *;
       `;
       
+      await syncModelMedia(result.rows[0]);
+
       // Clear cache for model listings after creating new model
       optimizedDb.clearCache('SELECT_ACTIVE_MODELS');
       
@@ -186,6 +194,8 @@ export default async function handler(req, res) {
         return res.status(404).json({ error: 'Model not found' });
       }
       
+      await syncModelMedia(result.rows[0]);
+      
       // Clear relevant caches after update
       optimizedDb.clearCache('SELECT_ACTIVE_MODELS');
       optimizedDb.clearCache(`SELECT_MODEL_BY_SLUG_${slug}`);
@@ -214,6 +224,8 @@ export default async function handler(req, res) {
         return res.status(404).json({ error: 'Model not found' });
       }
       
+      await clearMediaReferences('model', result.rows[0].id);
+      
       // Clear all model-related caches
       optimizedDb.clearCache('SELECT_ACTIVE_MODELS');
       optimizedDb.clearCache(`SELECT_MODEL_BY_SLUG_${slug}`);
@@ -233,4 +245,10 @@ export default async function handler(req, res) {
 
   res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
   res.status(405).end(`Method ${method} Not Allowed`);
-} 
\ No newline at end of file
+} 
+
+// Visitors see the redacted preview from /api/models/preview; the paid
+// workbook's location is only returned to the admin views
+function toPublicModel({ excel_url, file_url, ...model }) {
+  return { ...model, has_preview: !!excel_url };
+}
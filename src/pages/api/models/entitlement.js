@@ -0,0 +1,32 @@
+import { getSession } from 'next-auth/react';
+import { getModelEntitlement, ENTITLEMENT_LEVELS } from '@/utils/entitlements';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { modelId } = req.query;
+  if (!/^\d+$/.test(String(modelId || ''))) {
+    return res.status(400).json({ error: 'A numeric modelId is required' });
+  }
+
+  try {
+    const session = await getSession({ req });
+    const { level } = await getModelEntitlement({
+      email: session?.user?.email || null,
+      modelId: Number(modelId)
+    });
+
+    // Depends on who is asking, so never share it between visitors
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json({
+      level,
+      watermark: level !== ENTITLEMENT_LEVELS.FULL
+    });
+  } catch (error) {
+    console.error('Model entitlement API Error:', error);
+    return res.status(500).json({ error: 'Failed to check export access' });
+  }
+}
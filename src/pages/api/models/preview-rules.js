@@ -0,0 +1,70 @@
+import {
+  getModelPreview,
+  savePreviewRules,
+  buildModelPreview,
+  validatePreviewRules
+} from '@/utils/previews';
+import { requireAdmin } from '@/middleware/auth';
+
+export default async function handler(req, res) {
+  const { method } = req;
+  if (!(await requireAdmin('manage_content', { resourceType: 'model_preview' })(req, res))) return;
+
+  const modelId = Number(method === 'GET' ? req.query.modelId : req.body?.modelId);
+
+  if (!Number.isInteger(modelId) || modelId <= 0) {
+    return res.status(400).json({ error: 'A numeric modelId is required' });
+  }
+
+  if (method === 'GET') {
+    // Rules and build status for the admin panel
+    try {
+      const preview = await getModelPreview(modelId);
+      return res.status(200).json({ preview });
+    } catch (error) {
+      console.error('Model preview rules API Error:', error);
+      return res.status(500).json({ error: 'Failed to fetch preview rules' });
+    }
+  }
+
+  if (method === 'PUT') {
+    // Save new rules and rebuild straight away so mistakes show up here,
+    // not on the model page
+    const validation = validatePreviewRules(req.body.rules);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+      await savePreviewRules(modelId, validation.rules);
+    } catch (error) {
+      console.error('Model preview rules update error:', error);
+      return res.status(500).json({ error: 'Failed to save preview rules', details: error.message });
+    }
+
+    return rebuild(modelId, res, 'Preview rules saved');
+  }
+
+  if (method === 'POST') {
+    // Rebuild with the saved rules, e.g. after replacing the source file
+    return rebuild(modelId, res, 'Preview rebuilt');
+  }
+
+  res.setHeader('Allow', ['GET', 'PUT', 'POST']);
+  res.status(405).end(`Method ${method} Not Allowed`);
+}
+
+async function rebuild(modelId, res, message) {
+  try {
+    const preview = await buildModelPreview(modelId);
+    return res.status(200).json({ preview, message });
+  } catch (error) {
+    // The failure is recorded on the preview, so the rules stay saved
+    const preview = await getModelPreview(modelId).catch(() => null);
+    return res.status(422).json({
+      error: 'Failed to build preview',
+      details: error.message,
+      preview
+    });
+  }
+}
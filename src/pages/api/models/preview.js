@@ -0,0 +1,44 @@
+import fs from 'fs';
+import { sql } from '@vercel/postgres';
+import { getPreviewFile } from '@/utils/previews';
+
+// The redacted workbook shown on model pages. The purchasable file itself is
+// never served here; see src/utils/previews.js for what the copy keeps.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { modelId } = req.query;
+  if (!/^\d+$/.test(String(modelId || ''))) {
+    return res.status(400).json({ error: 'A numeric modelId is required' });
+  }
+
+  try {
+    const model = await sql`
+      SELECT id FROM models WHERE id = ${Number(modelId)} AND status = 'active' LIMIT 1;
+    `;
+    if (!model.rows[0]) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const preview = await getPreviewFile(Number(modelId));
+    const stat = fs.statSync(preview.preview_path);
+    const etag = `"${Number(modelId)}-${new Date(preview.generated_at).getTime()}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=600, stale-while-revalidate=1800');
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Length', stat.size);
+    res.setHeader('Content-Disposition', `inline; filename="preview-${Number(modelId)}.xlsx"`);
+    fs.createReadStream(preview.preview_path).pipe(res);
+  } catch (error) {
+    console.error('Model preview API Error:', error);
+    return res.status(500).json({ error: 'Failed to load model preview' });
+  }
+}
@@ -0,0 +1,141 @@
+import { sql } from '@vercel/postgres';
+import {
+  getModelVersions,
+  createModelVersion,
+  publishModelVersion,
+  notifyPastPurchasers
+} from '@/utils/modelVersions';
+import { requireAdmin } from '@/middleware/auth';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  // Drafts and every write are admin-only
+  const isAdminRequest = method !== 'GET' || !!req.query.includeAll;
+  if (isAdminRequest && !(await requireAdmin('manage_content', { resourceType: 'model_version' })(req, res))) return;
+
+  if (method === 'GET') {
+    // Public changelog of published versions; admins can include drafts
+    const { slug, includeAll } = req.query;
+    if (!slug) return res.status(400).json({ error: 'Slug required' });
+
+    try {
+      const model = await findModel(slug);
+      if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+
+      const versions = await getModelVersions(model.id, { includeDrafts: !!includeAll });
+      if (!includeAll) {
+        res.setHeader('Cache-Control', 'public, s-maxage=600, stale-while-revalidate=1800');
+      }
+      return res.status(200).json({ versions, currentVersionId: model.current_version_id });
+    } catch (error) {
+      console.error('Model versions API Error:', error);
+      return res.status(500).json({ error: 'Failed to fetch model versions' });
+    }
+  }
+
+  if (method === 'POST') {
+    // Add a version, optionally publishing it and emailing past buyers
+    const { slug, excel_url, file_url, version_label, release_notes, publish, notify } = req.body;
+    if (!slug || (!excel_url && !file_url)) {
+      return res.status(400).json({ error: 'Slug and a file are required' });
+    }
+
+    try {
+      const model = await findModel(slug);
+      if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+      }
+
+      let version = await createModelVersion(model.id, { excel_url, file_url, version_label, release_notes });
+      let notified = 0;
+
+      if (publish) {
+        version = await publishModelVersion(version.id);
+        if (notify) {
+          notified = await notifyPastPurchasers(version.id);
+        }
+      }
+
+      return res.status(201).json({
+        version,
+        notified,
+        message: publish ? 'Version published successfully' : 'Version saved as draft'
+      });
+    } catch (error) {
+      console.error('Model version creation error:', error);
+      return res.status(500).json({
+        error: 'Failed to create model version',
+        details: error.message
+      });
+    }
+  }
+
+  if (method === 'PUT') {
+    // Publish, withdraw or edit the notes of an existing version
+    const { id, status, release_notes, notify } = req.body;
+    if (!id) return res.status(400).json({ error: 'ID required' });
+
+    try {
+      let version;
+
+      if (release_notes !== undefined) {
+        const result = await sql`
+          UPDATE model_versions SET release_notes = ${release_notes}
+          WHERE id = ${id}
+          RETURNING *;
+        `;
+        version = result.rows[0];
+      }
+
+      if (status === 'published') {
+        version = await publishModelVersion(id);
+      } else if (status === 'withdrawn') {
+        // Withdrawn versions disappear from the changelog, but buyers of that
+        // exact version can still download it
+        const result = await sql`
+          UPDATE model_versions SET status = 'withdrawn'
+          WHERE id = ${id}
+            AND id NOT IN (SELECT current_version_id FROM models WHERE current_version_id IS NOT NULL)
+          RETURNING *;
+        `;
+        if (!result.rows[0]) {
+          return res.status(409).json({ error: 'Publish a newer version before withdrawing the current one' });
+        }
+        version = result.rows[0];
+      }
+
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      const notified = notify && version.status === 'published'
+        ? await notifyPastPurchasers(version.id)
+        : 0;
+
+      return res.status(200).json({
+        version,
+        notified,
+        message: 'Version updated successfully'
+      });
+    } catch (error) {
+      console.error('Model version update error:', error);
+      return res.status(500).json({
+        error: 'Failed to update model version',
+        details: error.message
+      });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'POST', 'PUT']);
+  res.status(405).end(`Method ${method} Not Allowed`);
+}
+
+async function findModel(slug) {
+  const result = await sql`
+    SELECT id, slug, title, current_version_id FROM models WHERE slug = ${slug} LIMIT 1;
+  `;
+  return result.rows[0] || null;
+}
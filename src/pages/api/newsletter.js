@@ -1,13 +1,21 @@
-// Simplified newsletter API that handles missing database tables gracefully
+// Simplified newsletter API that handles missing database tables gracefully.
+// POST signs an address up (double opt-in); the other methods are for admins.
 import { sql } from '@vercel/postgres';
 import { withRateLimit } from '@/middleware/rate-limit-simple';
+import { requireAdmin } from '@/middleware/auth';
+import { subscribe } from '@/utils/newsletter';
 
 async function handler(req, res) {
+  if (['GET', 'DELETE', 'PATCH'].includes(req.method) &&
+      !(await requireAdmin('manage_customers', { resourceType: 'newsletter_subscriber' })(req, res))) {
+    return;
+  }
+
   if (req.method === 'GET') {
     try {
       // Try to fetch newsletter subscribers if table exists
       const result = await sql`
-        SELECT id, email, created_at, status, ip_address 
+        SELECT id, email, created_at, status, ip_address, confirmed_at, unsubscribed_at
         FROM newsletter_subscribers 
         ORDER BY created_at DESC
       `;
@@ -42,7 +50,12 @@ async function handler(req, res) {
     try {
       const { id, status } = req.body;
       if (!id || !status) return res.status(400).json({ success: false, message: 'Missing id or status' });
-      await sql`UPDATE newsletter_subscribers SET status = ${status} WHERE id = ${id}`;
+      await sql`
+        UPDATE newsletter_subscribers SET
+          status = ${status},
+          unsubscribed_at = CASE WHEN ${status} = 'unsubscribed' THEN COALESCE(unsubscribed_at, CURRENT_TIMESTAMP) ELSE unsubscribed_at END
+        WHERE id = ${id}
+      `;
       return res.status(200).json({ success: true });
     } catch (error) {
       console.error('Failed to update newsletter subscriber status:', error);
@@ -73,19 +86,15 @@ async function handler(req, res) {
     }
 
     // Get client information
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+    const forwarded = req.headers['x-forwarded-for'];
+    const ipAddress = (forwarded ? forwarded.split(',')[0].trim() : req.socket?.remoteAddress) || 'unknown';
     const userAgent = req.headers['user-agent'] || 'unknown';
 
-    // Try to insert into database if table exists
     try {
-      // First check if email already exists
-      const existing = await sql`
-        SELECT id FROM newsletter_subscribers 
-        WHERE email = ${email.trim().toLowerCase()}
-        LIMIT 1
-      `;
-      
-      if (existing.rows.length > 0) {
+      const source = typeof req.body.source === 'string' ? req.body.source.slice(0, 100) : 'website';
+      const result = await subscribe(email.trim().toLowerCase(), { ipAddress, userAgent, source });
+
+      if (result.alreadySubscribed) {
         return res.status(200).json({ 
           message: 'You are already subscribed to our newsletter',
           success: true,
@@ -93,17 +102,7 @@ async function handler(req, res) {
         });
       }
 
-      // Insert new subscriber
-      const result = await sql`
-        INSERT INTO newsletter_subscribers (email, ip_address, user_agent, status, created_at)
-        VALUES (${email.trim().toLowerCase()}, ${ipAddress}, ${userAgent}, 'active', NOW())
-        RETURNING id;
-      `;
-      
-      console.log('Newsletter subscriber saved:', result.rows[0]?.id);
-      
-      // In production, send welcome email here
-      
+      console.log('Newsletter subscriber pending confirmation:', result.subscriber.id);
     } catch (dbError) {
       if (dbError.message.includes('does not exist')) {
         // Table doesn't exist, log the subscription
@@ -111,23 +110,16 @@ async function handler(req, res) {
           email: email.trim().toLowerCase(),
           timestamp: new Date().toISOString()
         });
-      } else if (dbError.message.includes('unique constraint')) {
-        // Email already exists
-        return res.status(200).json({ 
-          message: 'You are already subscribed to our newsletter',
-          success: true,
-          alreadySubscribed: true
-        });
       } else {
-        // Other database error
-        console.error('Newsletter database error:', dbError);
+        throw dbError;
       }
     }
 
-    // Return success response
+    // Return success response. No newsletters go out until the address is confirmed.
     res.status(200).json({ 
-      message: 'Successfully subscribed to newsletter',
-      success: true
+      message: 'Almost done! Check your inbox and click the link to confirm your subscription.',
+      success: true,
+      pendingConfirmation: true
     });
 
   } catch (error) {
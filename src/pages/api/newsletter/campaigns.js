@@ -0,0 +1,63 @@
+// src/pages/api/newsletter/campaigns.js - Compose newsletter campaigns and read their stats
+import { requireAdmin } from '@/middleware/auth';
+import {
+  createCampaign,
+  deleteCampaign,
+  getCampaign,
+  listCampaigns,
+  updateCampaign,
+  validateCampaignFields
+} from '@/utils/newsletter';
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_customers', { resourceType: 'newsletter_campaign' })(req, res))) return;
+
+  const { method } = req;
+  const id = req.query.id === undefined ? null : parseInt(req.query.id);
+  if (id !== null && !Number.isInteger(id)) {
+    return res.status(400).json({ error: 'Invalid campaign id' });
+  }
+
+  try {
+    switch (method) {
+      case 'GET': {
+        if (id === null) {
+          return res.status(200).json(await listCampaigns());
+        }
+        const campaign = await getCampaign(id);
+        if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+        return res.status(200).json(campaign);
+      }
+
+      case 'POST':
+      case 'PUT': {
+        const { fields, error } = validateCampaignFields(req.body || {});
+        if (error) return res.status(400).json({ error });
+
+        if (method === 'POST') {
+          const campaign = await createCampaign(fields, { userId: req.user?.id ?? null });
+          return res.status(201).json(campaign);
+        }
+
+        if (id === null) return res.status(400).json({ error: 'Campaign id required' });
+        const result = await updateCampaign(id, fields);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        return res.status(200).json(result.campaign);
+      }
+
+      case 'DELETE': {
+        if (id === null) return res.status(400).json({ error: 'Campaign id required' });
+        const result = await deleteCampaign(id);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        return res.status(204).end();
+      }
+
+      default:
+        res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+        return res.status(405).end(`Method ${method} Not Allowed`);
+    }
+  } catch (error) {
+    console.error('Newsletter Campaigns API Error:', error);
+    return res.status(500).json({ error: 'Failed to process campaign request', details: error.message });
+  }
+}
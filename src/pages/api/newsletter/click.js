@@ -0,0 +1,28 @@
+// src/pages/api/newsletter/click.js - Count a newsletter link click and redirect to the link
+import { recordClick } from '@/utils/newsletter';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  // Unknown links go to the home page rather than an error, so a reader
+  // with an old or mangled link still lands somewhere useful
+  // Number, not parseInt, so "1abc" or "1.5" is not read as link 1; a
+  // blank l would be 0, so it counts as missing
+  const linkIndex = req.query.l ? Number(req.query.l) : NaN;
+  let destination = null;
+  try {
+    if (Number.isInteger(linkIndex)) {
+      destination = await recordClick(req.query.t, linkIndex);
+    }
+  } catch (error) {
+    console.error('Newsletter Click API Error:', error);
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.redirect(302, destination || process.env.NEXT_PUBLIC_BASE_URL || '/');
+}
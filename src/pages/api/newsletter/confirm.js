@@ -0,0 +1,31 @@
+// src/pages/api/newsletter/confirm.js - Confirm a subscription from the emailed link (double opt-in)
+import { withRateLimit } from '@/middleware/rate-limit';
+import { confirmSubscription } from '@/utils/newsletter';
+
+async function handler(req, res) {
+  const { method } = req;
+
+  // POST rather than GET so link scanners that follow the email link
+  // can't confirm on someone's behalf; the confirm page posts the token
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    const result = await confirmSubscription(req.body?.token);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      email: result.subscriber.email,
+      alreadyConfirmed: result.alreadyConfirmed
+    });
+  } catch (error) {
+    console.error('Newsletter Confirm API Error:', error);
+    return res.status(500).json({ error: 'Failed to confirm subscription', details: error.message });
+  }
+}
+
+export default withRateLimit(handler, 'public');
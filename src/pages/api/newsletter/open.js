@@ -0,0 +1,25 @@
+// src/pages/api/newsletter/open.js - Tracking pixel counting newsletter opens
+import { TRACKING_PIXEL, recordOpen } from '@/utils/newsletter';
+
+// Not rate limited: mail providers fetch images for many recipients
+// through a few proxy addresses
+export default async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  // The pixel is returned whatever happens; tracking must never show
+  // the reader a broken image
+  try {
+    await recordOpen(req.query.t);
+  } catch (error) {
+    console.error('Newsletter Open API Error:', error);
+  }
+
+  res.setHeader('Content-Type', 'image/gif');
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  return res.status(200).send(TRACKING_PIXEL);
+}
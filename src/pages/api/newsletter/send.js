@@ -0,0 +1,70 @@
+// src/pages/api/newsletter/send.js - Send, resume, cancel or test-send a newsletter campaign
+import { requireAdmin } from '@/middleware/auth';
+import { cancelCampaign, getCampaign, sendCampaignTest, startCampaign } from '@/utils/newsletter';
+import { queueCampaignBatch } from '@/utils/queue';
+import { createAuditLog } from '@/utils/audit';
+
+const ACTIONS = ['send', 'cancel', 'test'];
+
+export default async function handler(req, res) {
+  if (!(await requireAdmin('manage_customers', { resourceType: 'newsletter_campaign' })(req, res))) return;
+
+  const { method } = req;
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  const { action, email } = req.body || {};
+  const id = parseInt(req.body?.id);
+  if (!Number.isInteger(id) || !ACTIONS.includes(action)) {
+    return res.status(400).json({ error: 'Campaign id and a valid action required' });
+  }
+
+  try {
+    if (action === 'test') {
+      const to = email || req.user?.email;
+      if (!to) return res.status(400).json({ error: 'Email required' });
+
+      const result = await sendCampaignTest(id, to);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      return res.status(200).json({ sent: true, to });
+    }
+
+    let result;
+    if (action === 'cancel') {
+      result = await cancelCampaign(id);
+    } else {
+      // Sending a campaign that is already sending queues its next batch
+      // again, which restarts one whose batch job was lost (Redis down
+      // when it started, or the job failed). Deliveries are claimed, so
+      // nothing is sent twice.
+      const campaign = await getCampaign(id);
+      if (campaign?.status === 'sending') {
+        result = { campaign };
+        await queueCampaignBatch(id, { resume: true });
+      } else {
+        result = await startCampaign(id, { userId: req.user?.id ?? null });
+        if (!result.error) await queueCampaignBatch(id);
+      }
+    }
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    await createAuditLog({
+      event: action === 'send' ? 'NEWSLETTER_CAMPAIGN_SENT' : 'NEWSLETTER_CAMPAIGN_CANCELLED',
+      userId: req.user?.id ?? null,
+      resourceType: 'newsletter_campaign',
+      resourceId: String(id),
+      action,
+      result: 'success',
+      severity: 'info',
+      metadata: { subject: result.campaign.subject, recipients: result.campaign.recipient_count }
+    });
+
+    return res.status(200).json(await getCampaign(id));
+  } catch (error) {
+    console.error('Newsletter Send API Error:', error);
+    return res.status(500).json({ error: 'Failed to process campaign send request', details: error.message });
+  }
+}
@@ -0,0 +1,33 @@
+// src/pages/api/newsletter/unsubscribe.js - One-click unsubscribe (List-Unsubscribe, RFC 8058)
+import { withRateLimit } from '@/middleware/rate-limit';
+import { unsubscribe } from '@/utils/newsletter';
+
+async function handler(req, res) {
+  const { method } = req;
+  const token = req.query.token || req.body?.token;
+
+  // Mail clients POST "List-Unsubscribe=One-Click" to the header URL. A GET
+  // only shows the unsubscribe page, since scanners fetch links in emails.
+  if (method === 'GET') {
+    return res.redirect(302, `/newsletter/unsubscribe?token=${encodeURIComponent(token || '')}`);
+  }
+
+  if (method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  try {
+    const result = await unsubscribe(token);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({ email: result.subscriber.email, status: result.subscriber.status });
+  } catch (error) {
+    console.error('Newsletter Unsubscribe API Error:', error);
+    return res.status(500).json({ error: 'Failed to unsubscribe', details: error.message });
+  }
+}
+
+export default withRateLimit(handler, 'public');
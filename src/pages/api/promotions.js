@@ -0,0 +1,165 @@
+import { sql } from '@vercel/postgres';
+import { requireAdmin } from '@/middleware/auth';
+import { normalizePromotionCode, getPromotionByCode } from '@/utils/promotions';
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  // Listing every code and every write are admin-only; shoppers check a
+  // code through /api/promotions/validate
+  const isAdminRequest = method !== 'GET' || !req.query.code;
+  if (isAdminRequest && !(await requireAdmin('manage_pricing', { resourceType: 'promotion' })(req, res))) return;
+
+  if (method === 'GET') {
+    // Fetch all promotions with redemption totals, or a single promotion by code
+    const { code, status } = req.query;
+
+    try {
+      if (code) {
+        const promotion = await getPromotionByCode(code);
+        if (!promotion) {
+          return res.status(404).json({ error: 'Promotion not found' });
+        }
+        return res.status(200).json(promotion);
+      }
+
+      const result = await sql`
+        SELECT p.*,
+               COUNT(r.id) AS redemptions,
+               COALESCE(SUM(r.discount_amount), 0) AS total_discount
+        FROM promotions p
+        LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+        WHERE ${status || null}::text IS NULL OR p.status = ${status || null}
+        GROUP BY p.id
+        ORDER BY p.created_at DESC;
+      `;
+
+      return res.status(200).json({ promotions: result.rows, total: result.rows.length });
+    } catch (error) {
+      console.error('Promotions API Error:', error);
+      return res.status(500).json({ error: 'Failed to fetch promotions' });
+    }
+  }
+
+  if (method === 'POST') {
+    // Create a new promotion
+    const {
+      code, description, discount_type, discount_value, currency, category,
+      starts_at, expires_at, usage_limit, first_time_only, status
+    } = req.body;
+    const normalized = normalizePromotionCode(code);
+
+    if (!normalized || !discount_value) {
+      return res.status(400).json({ error: 'Code and discount value required' });
+    }
+    if (!/^[A-Z0-9_-]{3,50}$/.test(normalized)) {
+      return res.status(400).json({ error: 'Code must be 3-50 letters, numbers, dashes or underscores' });
+    }
+
+    try {
+      const result = await sql`
+        INSERT INTO promotions (
+          code, description, discount_type, discount_value, currency, category,
+          starts_at, expires_at, usage_limit, first_time_only, status
+        )
+        VALUES (
+          ${normalized}, ${description || ''}, ${discount_type || 'percent'}, ${discount_value},
+          ${(currency || 'usd').toLowerCase()}, ${category || null}, ${starts_at || null},
+          ${expires_at || null}, ${usage_limit || null}, ${!!first_time_only}, ${status || 'active'}
+        )
+        RETURNING *;
+      `;
+
+      return res.status(201).json({
+        promotion: result.rows[0],
+        message: 'Promotion created successfully'
+      });
+    } catch (error) {
+      console.error('Promotion creation error:', error);
+
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A promotion with this code already exists' });
+      }
+
+      return res.status(500).json({
+        error: 'Failed to create promotion',
+        details: error.message
+      });
+    }
+  }
+
+  if (method === 'PUT') {
+    // Update a promotion by id; the code itself is immutable once created
+    const { id, ...fields } = req.body;
+    if (!id) return res.status(400).json({ error: 'ID required' });
+
+    // Empty strings clear the optional scope, window and limit fields
+    const clear = field => fields[field] === '';
+
+    try {
+      const result = await sql`
+        UPDATE promotions SET
+          description = COALESCE(${fields.description ?? null}, description),
+          discount_type = COALESCE(${fields.discount_type ?? null}, discount_type),
+          discount_value = COALESCE(${fields.discount_value ?? null}, discount_value),
+          currency = COALESCE(${fields.currency ? fields.currency.toLowerCase() : null}, currency),
+          category = CASE WHEN ${clear('category')} THEN NULL ELSE COALESCE(${fields.category || null}, category) END,
+          starts_at = CASE WHEN ${clear('starts_at')} THEN NULL ELSE COALESCE(${fields.starts_at || null}, starts_at) END,
+          expires_at = CASE WHEN ${clear('expires_at')} THEN NULL ELSE COALESCE(${fields.expires_at || null}, expires_at) END,
+          usage_limit = CASE WHEN ${clear('usage_limit')} THEN NULL ELSE COALESCE(${fields.usage_limit || null}, usage_limit) END,
+          first_time_only = COALESCE(${fields.first_time_only ?? null}, first_time_only),
+          status = COALESCE(${fields.status ?? null}, status),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+        RETURNING *;
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Promotion not found' });
+      }
+
+      return res.status(200).json({
+        promotion: result.rows[0],
+        message: 'Promotion updated successfully'
+      });
+    } catch (error) {
+      console.error('Promotion update error:', error);
+      return res.status(500).json({
+        error: 'Failed to update promotion',
+        details: error.message
+      });
+    }
+  }
+
+  if (method === 'DELETE') {
+    // Archive rather than delete so orders and redemptions keep their promotion
+    const { id } = req.body;
+    if (!id) return res.status(400).json({ error: 'ID required' });
+
+    try {
+      const result = await sql`
+        UPDATE promotions SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${id}
+        RETURNING id;
+      `;
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Promotion not found' });
+      }
+
+      return res.status(200).json({
+        message: 'Promotion archived successfully',
+        archivedId: result.rows[0].id
+      });
+    } catch (error) {
+      console.error('Promotion archive error:', error);
+      return res.status(500).json({
+        error: 'Failed to archive promotion',
+        details: error.message
+      });
+    }
+  }
+
+  res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+  res.status(405).end(`Method ${method} Not Allowed`);
+}
@@ -0,0 +1,83 @@
+// src/pages/api/promotions/validate.js - Preview a promotion code before checkout
+import { getSession } from 'next-auth/react';
+import { readCartToken, getOrCreateCart, getCartContents } from '@/utils/cart';
+import { getModelForCheckout, getEffectivePrice, resolveCurrency } from '@/utils/pricing';
+import { validatePromotion } from '@/utils/promotions';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).end(`Method ${req.method} Not Allowed`);
+  }
+
+  const { code, customerEmail, modelSlug, currency } = req.body || {};
+  if (!code) {
+    return res.status(400).json({ error: 'Code required' });
+  }
+
+  try {
+    const session = await getSession({ req });
+    const pricedIn = currency || resolveCurrency(req);
+    const items = modelSlug
+      ? await getModelItems(modelSlug, pricedIn)
+      : await getCartItems(req, session, pricedIn);
+
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'Nothing to apply the code to' });
+    }
+
+    const result = await validatePromotion({
+      code,
+      items,
+      customerEmail: customerEmail || session?.user?.email || null
+    });
+
+    if (!result.valid) {
+      return res.status(200).json({ valid: false, reason: result.reason, error: result.message });
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.price, 0);
+
+    return res.status(200).json({
+      valid: true,
+      code: result.promotion.code,
+      description: result.promotion.description,
+      discount: result.discountAmount / 100,
+      subtotal,
+      total: subtotal - result.discountAmount / 100,
+      currency: items[0].currency,
+      items: result.items.map(item => ({ id: item.id ?? null, slug: item.slug, discount: item.discount / 100 }))
+    });
+  } catch (error) {
+    console.error('Promotion validation error:', error);
+    return res.status(500).json({
+      error: 'Failed to validate promotion code',
+      details: error.message
+    });
+  }
+}
+
+async function getModelItems(modelSlug, currency) {
+  const model = await getModelForCheckout({ modelSlug });
+  if (!model) return [];
+
+  const effective = getEffectivePrice(model, new Date(), currency);
+  return [{
+    type: 'model',
+    modelId: model.id,
+    slug: model.slug,
+    title: model.title,
+    category: model.category,
+    price: effective.price,
+    currency: effective.currency
+  }];
+}
+
+async function getCartItems(req, session, currency) {
+  const token = readCartToken(req);
+  if (!token) return [];
+
+  const cart = await getOrCreateCart({ token, userId: session?.user?.id || null });
+  const { items } = await getCartContents(cart.id, { currency });
+  return items;
+}
@@ -0,0 +1,47 @@
+// src/pages/api/search.js - Site search over published insights and active models
+import { withRateLimit } from '@/middleware/rate-limit';
+import { MIN_QUERY_LENGTH, SEARCH_TYPES, logSearch, normalizeQuery, search, searcherHash } from '@/utils/search';
+
+const MAX_LIMIT = 50;
+
+async function handler(req, res) {
+  const { method } = req;
+
+  if (method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).end(`Method ${method} Not Allowed`);
+  }
+
+  const query = normalizeQuery(req.query.q);
+  const type = req.query.type || null;
+  const category = req.query.category || null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (query.length < MIN_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Search for at least ${MIN_QUERY_LENGTH} characters` });
+  }
+  if (type && !SEARCH_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Type must be one of: ${SEARCH_TYPES.join(', ')}` });
+  }
+
+  try {
+    const result = await search(query, { type, category, limit, offset });
+
+    // Later pages are the same search
+    if (offset === 0) {
+      await logSearch({ query, type, category, resultCount: result.total, searcher: searcherHash(req) });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Search API Error:', error);
+    return res.status(500).json({
+      error: 'Search failed',
+      details: error.message
+    });
+  }
+}
+
+export default withRateLimit(handler, 'public');
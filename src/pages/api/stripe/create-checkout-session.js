@@ -1,4 +1,25 @@
 import Stripe from 'stripe';
+import { getSession } from 'next-auth/react';
+import { createOrder, getCustomersByEmail } from '@/utils/database';
+import {
+  readCartToken,
+  getOrCreateCart,
+  getCartContents,
+  attachCheckoutSession,
+  expandCartToOrderLines
+} from '@/utils/cart';
+import {
+  toCents,
+  getEffectivePrice,
+  getModelForCheckout,
+  findPriceMismatch,
+  resolveCurrency,
+  getExchangeRate
+} from '@/utils/pricing';
+import { getTaxProvider } from '@/utils/tax';
+import { validatePromotion, releasePromotion } from '@/utils/promotions';
+import { getMembership, MAX_SEATS } from '@/utils/organizations';
+import { ALL_ACCESS_PLAN, getPlanLineItem, getActiveSubscription } from '@/utils/subscriptions';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -6,64 +27,344 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { 
-      modelId, 
-      modelTitle, 
-      modelPrice, 
+    // Initialize Stripe inside the handler with explicit API version
+    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+      apiVersion: '2023-10-16',
+    });
+
+    const authSession = await getSession({ req });
+
+    if (req.body.source === 'cart') {
+      return await createCartCheckoutSession(stripe, authSession, req, res);
+    }
+
+    if (req.body.plan === ALL_ACCESS_PLAN.id) {
+      return await createSubscriptionCheckoutSession(stripe, authSession, res);
+    }
+
+    const {
+      modelId,
       modelSlug,
+      modelPrice,
+      currency,
       customerEmail,
-      customerName 
+      customerName,
+      promotionCode,
+      organizationId,
+      seats
     } = req.body;
 
     // Validate required fields
-    if (!modelId || !modelTitle || !modelPrice) {
+    if (!modelId && !modelSlug) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    // Initialize Stripe inside the handler with explicit API version
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-      apiVersion: '2023-10-16',
-    });
+    // Price, currency and promotions always come from the catalog. The
+    // client says which currency it showed; without one the model's own
+    // currency is used.
+    const model = await getModelForCheckout({ modelId, modelSlug });
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
 
-    // Create Checkout Session
-    const session = await stripe.checkout.sessions.create({
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: modelTitle,
-              description: `Professional Financial Model - ${modelTitle}`,
-            },
-            unit_amount: Math.round(modelPrice * 100), // Stripe expects cents
-          },
-          quantity: 1,
-        },
-      ],
-      mode: 'payment',
-      success_url: `https://zencap-website.vercel.app/purchase/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `https://zencap-website.vercel.app/models`,
-      billing_address_collection: 'required',
-      customer_creation: 'always',
-      allow_promotion_codes: true,
+    const mismatch = findPriceMismatch(model, { price: modelPrice, currency });
+    if (mismatch) {
+      return res.status(409).json({
+        error: 'The price for this model has changed. Please refresh the page and try again.',
+        code: 'PRICE_MISMATCH',
+        field: mismatch.field,
+        expected: mismatch.expected
+      });
+    }
+
+    const team = organizationId ? await getTeamPurchase(authSession, organizationId, seats) : null;
+    if (team?.error) {
+      return res.status(team.status).json({ error: team.error });
+    }
+
+    // A team license is one line priced per seat
+    const effective = getEffectivePrice(model, new Date(), currency);
+    const seatCount = team?.seats || 1;
+    const price = effective.price * seatCount;
+    const item = {
+      type: 'model',
+      modelId: model.id,
+      slug: model.slug,
+      title: team ? `${model.title} (${seatCount}-seat team license)` : model.title,
+      category: model.category,
+      price,
+      currency: effective.currency,
+      models: [{ id: model.id, slug: model.slug, title: model.title, price }]
+    };
+
+    const email = customerEmail || authSession?.user?.email;
+    const promotion = await applyPromotionCode([item], promotionCode, email);
+    if (!promotion.valid) {
+      return rejectPromotion(res, promotion);
+    }
+
+    const session = await createSessionForItems(stripe, promotion.items, {
+      cancelUrl: `https://zencap-website.vercel.app/models`,
+      customerEmail: email,
+      stripeCustomerId: await getReturningCustomerId(authSession, email),
+      promotion: promotion.promotion,
+      team,
       metadata: {
-        modelId: modelId.toString(),
-        modelSlug: modelSlug || '',
-        modelTitle: modelTitle,
+        ...(team && { organizationId: team.organizationId.toString(), seats: seatCount.toString() }),
+        modelId: model.id.toString(),
+        modelSlug: model.slug,
+        modelTitle: model.title,
         customerName: customerName || '',
       },
     });
 
-    res.status(200).json({ 
+    res.status(200).json({
       url: session.url,
-      sessionId: session.id 
+      sessionId: session.id
     });
   } catch (error) {
     console.error('Stripe error:', error);
-    
-    res.status(500).json({ 
+
+    res.status(500).json({
       error: 'Failed to create checkout session. Please try again.',
       details: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Create one Stripe session for every item in the visitor's cart.
+ */
+async function createCartCheckoutSession(stripe, authSession, req, res) {
+  const { customerEmail, customerName, promotionCode, currency } = req.body;
+  const token = readCartToken(req);
+
+  if (!token) {
+    return res.status(400).json({ error: 'Your cart is empty' });
+  }
+
+  const cart = await getOrCreateCart({ token, userId: authSession?.user?.id || null });
+  const { items } = await getCartContents(cart.id, { currency: currency || resolveCurrency(req) });
+
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'Your cart is empty' });
+  }
+
+  if (new Set(items.map(item => item.currency)).size > 1) {
+    return res.status(400).json({ error: 'Cart items must share a single currency' });
+  }
+
+  const email = customerEmail || authSession?.user?.email;
+  const promotion = await applyPromotionCode(items, promotionCode, email);
+  if (!promotion.valid) {
+    return rejectPromotion(res, promotion);
+  }
+
+  const titles = items.map(item => item.title).join(', ');
+
+  const session = await createSessionForItems(stripe, promotion.items, {
+    cancelUrl: `https://zencap-website.vercel.app/cart`,
+    customerEmail: email,
+    stripeCustomerId: await getReturningCustomerId(authSession, email),
+    promotion: promotion.promotion,
+    metadata: {
+      source: 'cart',
+      cartId: cart.id.toString(),
+      modelTitle: titles.length > 500 ? `${titles.slice(0, 497)}...` : titles,
+      customerName: customerName || '',
+    },
+  });
+
+  await attachCheckoutSession(cart.id, session.id);
+
+  return res.status(200).json({
+    url: session.url,
+    sessionId: session.id
+  });
+}
+
+/**
+ * Start the all-access subscription. The plan is tied to the account's
+ * email, so the visitor must be signed in, and the email is copied onto
+ * the subscription so later webhooks can find the subscriber.
+ */
+async function createSubscriptionCheckoutSession(stripe, authSession, res) {
+  const email = authSession?.user?.email;
+  if (!email) {
+    return res.status(401).json({ error: 'Sign in to subscribe' });
+  }
+
+  if (await getActiveSubscription(email)) {
+    return res.status(409).json({
+      error: 'You already have an active all-access subscription',
+      code: 'ALREADY_SUBSCRIBED'
+    });
+  }
+
+  // Reuse the Stripe customer from earlier purchases so billing stays in one place
+  const stripeCustomerId = await getReturningCustomerId(authSession, email);
+  const metadata = { plan: ALL_ACCESS_PLAN.id, email, userId: String(authSession.user.id || '') };
+
+  const session = await stripe.checkout.sessions.create({
+    line_items: [getPlanLineItem()],
+    mode: 'subscription',
+    success_url: `https://zencap-website.vercel.app/account/purchases?subscribed=1`,
+    cancel_url: `https://zencap-website.vercel.app/models`,
+    billing_address_collection: 'required',
+    ...(stripeCustomerId ? { customer: stripeCustomerId } : { customer_email: email }),
+    allow_promotion_codes: true,
+    subscription_data: { metadata },
+    metadata,
+  });
+
+  return res.status(200).json({
+    url: session.url,
+    sessionId: session.id
+  });
+}
+
+/**
+ * The Stripe customer a signed-in buyer paid with before, so billing
+ * details saved in the customer portal prefill their next checkout. An
+ * email typed at checkout proves nothing, so guests get a new customer.
+ */
+async function getReturningCustomerId(authSession, email) {
+  const accountEmail = authSession?.user?.email;
+  if (!email || !accountEmail || accountEmail.toLowerCase() !== email.toLowerCase()) {
+    return null;
+  }
+
+  const [customer] = await getCustomersByEmail(email);
+  return customer?.stripe_customer_id || null;
+}
+
+/**
+ * Check a team license purchase: only admins of the organization may buy
+ * seats for it, and the seat count must be sensible
+ */
+async function getTeamPurchase(authSession, organizationId, seats) {
+  if (!authSession?.user?.id) {
+    return { status: 401, error: 'Sign in to buy a team license' };
+  }
+
+  const membership = await getMembership(Number(organizationId), authSession.user.id);
+  if (membership?.role !== 'admin') {
+    return { status: 403, error: 'Only organization admins can buy team licenses' };
+  }
+
+  const seatCount = Number(seats);
+  if (!Number.isInteger(seatCount) || seatCount < 1 || seatCount > MAX_SEATS) {
+    return { status: 400, error: `Seats must be a whole number between 1 and ${MAX_SEATS}` };
+  }
+
+  return { organizationId: membership.organization_id, seats: seatCount };
+}
+
+/**
+ * Validate a site promotion code, if one was entered, and return the
+ * items priced with its discount. A valid code has one use reserved for
+ * this checkout; it is given back if the checkout expires.
+ */
+async function applyPromotionCode(items, promotionCode, customerEmail) {
+  if (!promotionCode) {
+    return { valid: true, promotion: null, items };
+  }
+
+  return validatePromotion({ code: promotionCode, items, customerEmail, reserve: true });
+}
+
+function rejectPromotion(res, result) {
+  return res.status(400).json({
+    error: result.message,
+    code: 'PROMOTION_INVALID',
+    reason: result.reason
+  });
+}
+
+/**
+ * Create the Stripe session for server-priced items and record a pending
+ * order per model, so the webhook can verify the amount paid against
+ * what the catalog charged before completing them.
+ * Site promotions are already applied to the item prices, so Stripe's own
+ * promotion codes are turned off to keep discounts from stacking.
+ * Tax comes from the configured provider (src/utils/tax.js). Stripe
+ * charges it for the billing address entered at checkout, and the webhook
+ * records it on each order next to its amount.
+ */
+async function createSessionForItems(stripe, items, { cancelUrl, customerEmail, stripeCustomerId = null, promotion = null, team = null, metadata }) {
+  const currency = items[0].currency;
+  const lines = expandCartToOrderLines(items);
+  const exchangeRate = await getExchangeRate(currency);
+
+  if (promotion) {
+    metadata = { ...metadata, promotionId: promotion.id.toString(), promotionCode: promotion.code };
+  }
+
+  // The promotion use reserved for this checkout goes back if the session
+  // can't be created; once it exists, its expiry gives the use back
+  let session;
+  try {
+    const taxCheckout = await getTaxProvider().checkoutParams(stripe, currency);
+    session = await stripe.checkout.sessions.create({
+      line_items: items.map(item => ({
+        price_data: {
+          currency,
+          product_data: {
+            name: item.title,
+            description: item.type === 'bundle'
+              ? `Model Bundle - ${item.models.map(model => model.title).join(', ')}`.slice(0, 500)
+              : `Professional Financial Model - ${item.title}`,
+          },
+          unit_amount: toCents(item.price), // Stripe expects cents
+        },
+        quantity: 1,
+        ...taxCheckout.lineItemParams,
+      })),
+      ...taxCheckout.params,
+      mode: 'payment',
+      success_url: `https://zencap-website.vercel.app/purchase/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl,
+      billing_address_collection: 'required',
+      // Tax id collection and Stripe Tax require a returning customer's
+      // name and address to be updatable from checkout
+      ...(stripeCustomerId
+        ? { customer: stripeCustomerId, customer_update: { name: 'auto', address: 'auto' } }
+        : { customer_creation: 'always', customer_email: customerEmail || undefined }),
+      // Printed on the invoice (src/utils/invoices.js)
+      tax_id_collection: { enabled: true },
+      custom_fields: [{
+        key: 'company_name',
+        label: { type: 'custom', custom: 'Company name (for your invoice)' },
+        type: 'text',
+        optional: true,
+      }],
+      allow_promotion_codes: false,
+      metadata,
+    });
+  } catch (error) {
+    if (promotion) await releasePromotion(promotion.id);
+    throw error;
+  }
+
+  for (const line of lines) {
+    await createOrder({
+      stripe_session_id: session.id,
+      stripe_payment_intent_id: null,
+      customer_id: null,
+      model_id: line.modelId,
+      model_slug: line.modelSlug,
+      bundle_id: line.bundleId,
+      promotion_id: line.discount > 0 ? promotion.id : null,
+      discount_amount: line.discount,
+      organization_id: team?.organizationId || null,
+      seats: team?.seats || 1,
+      amount: line.amount,
+      currency,
+      exchange_rate: exchangeRate,
+      status: 'pending',
+      metadata: { ...metadata, modelTitle: line.modelTitle }
+    });
+  }
+
+  return session;
+}
@@ -1,7 +1,10 @@
 // src/pages/api/stripe/customer-portal.js
 import Stripe from 'stripe';
 import { getSession } from 'next-auth/react';
-import { sql } from '@vercel/postgres';
+import { getCustomersByEmail } from '@/utils/database';
+
+// Pages that open the billing portal and may be returned to
+const RETURN_PATHS = ['/account/purchases', '/customer-portal'];
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -20,21 +23,20 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    // Find customer by email
-    const result = await sql`
-      SELECT stripe_customer_id FROM customers WHERE email = ${session.user.email};
-    `;
+    // The most recently used customer is the one checkout reuses, so
+    // details changed in the portal carry over to the next purchase
+    const [customer] = await getCustomersByEmail(session.user.email);
 
-    if (!result.rows[0]) {
+    if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
 
-    const stripeCustomerId = result.rows[0].stripe_customer_id;
+    const returnPath = RETURN_PATHS.includes(req.body?.returnPath) ? req.body.returnPath : RETURN_PATHS[0];
 
     // Create customer portal session
     const portalSession = await stripe.billingPortal.sessions.create({
-      customer: stripeCustomerId,
-      return_url: `${process.env.NEXTAUTH_URL}/account/purchases`,
+      customer: customer.stripe_customer_id,
+      return_url: `${process.env.NEXTAUTH_URL}${returnPath}`,
     });
 
     res.status(200).json({ url: portalSession.url });
@@ -3,6 +3,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import { withRateLimit } from '@/middleware/rate-limit';
+import { requireAdmin } from '@/middleware/auth';
+import { MODEL_STORAGE_DIR, PRIVATE_UPLOAD_PREFIX } from '@/utils/downloads';
 
 export const config = {
   api: {
@@ -12,10 +14,14 @@ export const config = {
 
 const uploadDir = path.join(process.cwd(), 'public', 'uploads', 'excel');
 
-// Ensure upload directory exists
+// Purchasable files (model versions) are kept out of public/ and never pruned
+const privateUploadDir = path.join(MODEL_STORAGE_DIR, 'uploads');
+
+// Ensure upload directories exist
 (async () => {
   try {
     await fs.mkdir(uploadDir, { recursive: true });
+    await fs.mkdir(privateUploadDir, { recursive: true });
   } catch (error) {
     console.error('Failed to create upload directory:', error);
   }
@@ -26,9 +32,15 @@ async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Model workbooks are uploaded from the admin dashboard only
+  if (!(await requireAdmin('manage_content', { resourceType: 'model_file' })(req, res))) return;
+
+  const isPrivate = req.query.storage === 'private';
+  const targetDir = isPrivate ? privateUploadDir : uploadDir;
+
   try {
     const form = formidable({
-      uploadDir: uploadDir,
+      uploadDir: targetDir,
       keepExtensions: true,
       maxFileSize: 100 * 1024 * 1024, // 100MB
       filter: function ({ name, originalFilename, mimetype }) {
@@ -59,8 +71,8 @@ async function handler(req, res) {
       .replace(/[^a-zA-Z0-9._-]/g, '_')
       .replace(/__+/g, '_');
     
-    // Check for existing files with the same base name to maintain backup
-    const existingFiles = await fs.readdir(uploadDir);
+    // Check for existing preview files with the same base name to maintain backup
+    const existingFiles = isPrivate ? [] : await fs.readdir(uploadDir);
     const relatedFiles = existingFiles.filter(f => f.endsWith(baseName));
     
     // Sort by timestamp to identify the most recent files
@@ -95,7 +107,7 @@ async function handler(req, res) {
     const timestamp = Date.now();
     const randomString = crypto.randomBytes(8).toString('hex');
     const newFilename = `${timestamp}_${randomString}_${baseName}`;
-    const newFilepath = path.join(uploadDir, newFilename);
+    const newFilepath = path.join(targetDir, newFilename);
     
     // Move file to final location
     await fs.rename(uploadedFile.filepath, newFilepath);
@@ -117,7 +129,7 @@ async function handler(req, res) {
       originalName: originalFilename,
       filename: newFilename,
       size: uploadedFile.size,
-      path: `/uploads/excel/${newFilename}`,
+      path: isPrivate ? `${PRIVATE_UPLOAD_PREFIX}${newFilename}` : `/uploads/excel/${newFilename}`,
       uploadedAt: new Date().toISOString(),
       backupAvailable: relatedFiles.length > 0,
       backupFile: relatedFiles.length > 0 ? relatedFiles[0] : null
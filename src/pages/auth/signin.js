@@ -1,5 +1,5 @@
 // src/pages/auth/signin.js
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { signIn, getSession } from 'next-auth/react';
 import { useRouter } from 'next/router';
 import Layout from '@/components/layout/Layout';
@@ -12,6 +12,13 @@ export default function SignIn() {
   const [error, setError] = useState(null);
   const router = useRouter();
 
+  // Team invites link here with the invited address filled in
+  useEffect(() => {
+    if (router.isReady && typeof router.query.email === 'string') {
+      setEmail(router.query.email);
+    }
+  }, [router.isReady, router.query.email]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
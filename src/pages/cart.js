@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import Layout from '@/components/layout/Layout';
+import Button from '@/components/ui/Button';
+import Card from '@/components/ui/Card';
+import SEO from '@/components/SEO';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import TrustBadges from '@/components/ui/TrustBadges';
+import CurrencySelector, { useCurrency } from '@/components/ui/CurrencySelector';
+import { DEFAULT_CURRENCY, formatMoney } from '@/config/currencies';
+
+export default function Cart() {
+  const [cart, setCart] = useState({ items: [], itemCount: 0, currency: DEFAULT_CURRENCY, subtotal: 0, savings: 0 });
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+  const [promoCode, setPromoCode] = useState('');
+  const [promoEmail, setPromoEmail] = useState('');
+  const [needsEmail, setNeedsEmail] = useState(false);
+  const [promotion, setPromotion] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [, chooseCurrency] = useCurrency();
+
+  const formatPrice = (value) => formatMoney(Number(value || 0), cart.currency);
+
+  useEffect(() => {
+    fetchCart();
+  }, []);
+
+  const fetchCart = async () => {
+    try {
+      const response = await fetch('/api/cart');
+      if (response.ok) {
+        setCart(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching cart:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemove = async (itemId) => {
+    try {
+      const response = await fetch('/api/cart', {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ itemId }),
+      });
+      if (response.ok) {
+        setCart(await response.json());
+        // The discount depends on the cart, so the code must be re-applied
+        setPromotion(null);
+      }
+    } catch (error) {
+      console.error('Error removing cart item:', error);
+    }
+  };
+
+  // The cart is repriced on the server; promotions are priced per currency
+  const handleCurrencyChange = async (currency) => {
+    await chooseCurrency(currency);
+    setPromotion(null);
+    await fetchCart();
+  };
+
+  const handleApplyPromotion = async (e) => {
+    e.preventDefault();
+    setPromoError('');
+
+    try {
+      const response = await fetch('/api/promotions/validate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code: promoCode, customerEmail: promoEmail || undefined, currency: cart.currency }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.valid) {
+        setPromotion(null);
+        setNeedsEmail(needsEmail || data.reason === 'email_required');
+        setPromoError(data.error || 'This promotion code is not valid.');
+        return;
+      }
+
+      setPromotion(data);
+    } catch (error) {
+      console.error('Error applying promotion code:', error);
+      setPromoError('Could not apply the promotion code. Please try again.');
+    }
+  };
+
+  const handleRemovePromotion = () => {
+    setPromotion(null);
+    setPromoCode('');
+    setPromoError('');
+  };
+
+  const handleCheckout = async () => {
+    setProcessing(true);
+
+    try {
+      const response = await fetch('/api/stripe/create-checkout-session', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          source: 'cart',
+          currency: cart.currency,
+          promotionCode: promotion?.code,
+          customerEmail: promoEmail || undefined,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.url) {
+        throw new Error(data.error || 'Failed to create checkout session');
+      }
+
+      // Redirect to Stripe Checkout
+      window.location.href = data.url;
+    } catch (error) {
+      console.error('Checkout error:', error);
+      alert(error.message || 'Checkout failed. Please try again.');
+      setProcessing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="min-h-screen flex items-center justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <SEO
+        title="Your Cart"
+        description="Review the financial models and bundles in your cart"
+      />
+
+      <div className="min-h-screen bg-gray-50 dark:bg-navy-900 py-12">
+        <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-navy-700 dark:text-white mb-4">
+              Your Cart
+            </h1>
+            <TrustBadges className="max-w-2xl mx-auto" />
+          </div>
+
+          {cart.items.length === 0 ? (
+            <Card className="bg-white dark:bg-navy-800 p-8 text-center">
+              <p className="text-gray-600 dark:text-gray-300 mb-6">
+                Your cart is empty.
+              </p>
+              <Button href="/models" variant="primary">
+                Browse All Models
+              </Button>
+            </Card>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+              <div className="lg:col-span-2 space-y-4">
+                {cart.items.map(item => (
+                  <Card key={item.id} className="bg-white dark:bg-navy-800 p-6">
+                    <div className="flex items-start justify-between">
+                      <div className="flex-1 pr-4">
+                        {item.type === 'bundle' && (
+                          <span className="inline-block px-2 py-0.5 mb-2 bg-teal-100 dark:bg-teal-900 text-teal-700 dark:text-teal-300 rounded text-xs font-medium">
+                            Bundle
+                          </span>
+                        )}
+                        <h2 className="font-bold text-navy-700 dark:text-white">
+                          {item.type === 'model' ? (
+                            <Link href={`/models/${item.slug}`} className="hover:underline">
+                              {item.title}
+                            </Link>
+                          ) : item.title}
+                        </h2>
+                        {item.type === 'bundle' && (
+                          <ul className="mt-2 space-y-1 text-sm text-gray-600 dark:text-gray-300">
+                            {item.models.map(model => (
+                              <li key={model.id}>{model.title}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+
+                      <div className="text-right">
+                        {item.originalPrice > item.price && (
+                          <div className="text-sm text-gray-500 line-through">
+                            {formatPrice(item.originalPrice)}
+                          </div>
+                        )}
+                        <div className="text-xl font-bold text-teal-500">
+                          {formatPrice(item.price)}
+                        </div>
+                        <button
+                          onClick={() => handleRemove(item.id)}
+                          className="mt-2 text-sm text-red-600 hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  </Card>
+                ))}
+              </div>
+
+              <div>
+                <Card className="bg-white dark:bg-navy-800 p-6 sticky top-6">
+                  <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-xl font-bold text-navy-700 dark:text-white">
+                      Order Summary
+                    </h2>
+                    <CurrencySelector value={cart.currency} onChange={handleCurrencyChange} />
+                  </div>
+
+                  <div className="space-y-2">
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600 dark:text-gray-300">Items</span>
+                      <span className="text-gray-900 dark:text-white">{cart.itemCount}</span>
+                    </div>
+                    {cart.savings > 0 && (
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">Bundle Savings</span>
+                        <span className="text-green-600 dark:text-green-400">-{formatPrice(cart.savings)}</span>
+                      </div>
+                    )}
+                    {promotion && (
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-300">
+                          Promotion ({promotion.code})
+                          <button
+                            onClick={handleRemovePromotion}
+                            className="ml-2 text-xs text-red-600 hover:text-red-700"
+                          >
+                            Remove
+                          </button>
+                        </span>
+                        <span className="text-green-600 dark:text-green-400">-{formatPrice(promotion.discount)}</span>
+                      </div>
+                    )}
+                  </div>
+
+                  {!promotion && (
+                    <form onSubmit={handleApplyPromotion} className="mt-4 space-y-2">
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={promoCode}
+                          onChange={(e) => setPromoCode(e.target.value)}
+                          placeholder="Promotion code"
+                          className="flex-1 px-3 py-2 border border-gray-300 dark:border-navy-600 rounded-lg bg-white dark:bg-navy-700 text-gray-900 dark:text-white text-sm uppercase"
+                        />
+                        <Button type="submit" variant="secondary" size="sm" disabled={!promoCode.trim()}>
+                          Apply
+                        </Button>
+                      </div>
+                      {needsEmail && (
+                        <input
+                          type="email"
+                          value={promoEmail}
+                          onChange={(e) => setPromoEmail(e.target.value)}
+                          placeholder="Email address"
+                          className="w-full px-3 py-2 border border-gray-300 dark:border-navy-600 rounded-lg bg-white dark:bg-navy-700 text-gray-900 dark:text-white text-sm"
+                        />
+                      )}
+                      {promoError && (
+                        <p className="text-sm text-red-600 dark:text-red-400">{promoError}</p>
+                      )}
+                    </form>
+                  )}
+
+                  <hr className="my-4 border-gray-200 dark:border-navy-600" />
+
+                  <div className="flex justify-between items-center mb-1">
+                    <span className="text-lg font-bold text-navy-700 dark:text-white">Total</span>
+                    <span className="text-2xl font-bold text-teal-500">
+                      {formatPrice(promotion ? promotion.total : cart.subtotal)}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-6 text-right">
+                    Plus VAT or sales tax where applicable, shown at checkout
+                  </p>
+
+                  <Button
+                    variant="accent"
+                    size="lg"
+                    fullWidth
+                    disabled={processing}
+                    onClick={handleCheckout}
+                  >
+                    {processing ? (
+                      <div className="flex items-center justify-center">
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Processing...
+                      </div>
+                    ) : (
+                      'Proceed to Checkout'
+                    )}
+                  </Button>
+                </Card>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
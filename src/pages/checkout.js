@@ -92,7 +92,7 @@ export default function Checkout() {
       window.location.href = url;
     } catch (error) {
       console.error('Payment error:', error);
-      alert('Payment failed. Please try again.');
+      alert(error.message || 'Payment failed. Please try again.');
       setProcessing(false);
     }
   };
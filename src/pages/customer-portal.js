@@ -1,69 +1,161 @@
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useSession, signIn, signOut } from 'next-auth/react';
 import Layout from '@/components/layout/Layout';
 import Button from '@/components/ui/Button';
 import Card from '@/components/ui/Card';
 import SEO from '@/components/SEO';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { formatMoney } from '@/config/currencies';
+
+const ORDER_STATUSES = {
+  completed: { label: 'Completed', className: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' },
+  refunded: { label: 'Refunded', className: 'bg-gray-100 text-gray-800 dark:bg-navy-700 dark:text-gray-200' },
+  disputed: { label: 'Under review', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' },
+  pending: { label: 'Processing', className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' }
+};
+
+const formatDate = (dateString, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('en-US', options);
+};
+
+// Team licenses are bought by an organization; seats are handed to members
+function describeLicense(order, email) {
+  if (order.seat_id) {
+    return { type: `Seat on ${order.organization_name}'s team license`, holder: email };
+  }
+  if (order.organization_id) {
+    return { type: `${order.seats}-seat team license`, holder: order.organization_name };
+  }
+  return { type: 'Single-user license', holder: email };
+}
+
+function canDownload(order) {
+  return order.status === 'completed' &&
+    (!order.organization_id || order.seat_id) &&
+    order.download_count < order.max_downloads &&
+    new Date(order.download_expires_at) > new Date();
+}
 
 export default function CustomerPortal() {
+  const { data: session, status } = useSession();
   const [email, setEmail] = useState('');
-  const [isLoggedIn, setIsLoggedIn] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [purchases, setPurchases] = useState([]);
-
-  // Mock data for demonstration
-  const mockPurchases = [
-    {
-      id: 1,
-      title: 'NVIDIA (NVDA) 3-Statement Model',
-      price: 4985,
-      purchaseDate: '2025-01-15',
-      status: 'completed',
-      downloadUrl: '#'
-    },
-    {
-      id: 2,
-      title: 'Multifamily Development Model',
-      price: 4985,
-      purchaseDate: '2025-01-10',
-      status: 'completed',
-      downloadUrl: '#'
+  const [emailSent, setEmailSent] = useState(false);
+  const [error, setError] = useState(null);
+  const [purchases, setPurchases] = useState(null);
+  const [selectedVersions, setSelectedVersions] = useState({});
+  const [billingBusy, setBillingBusy] = useState(false);
+
+  useEffect(() => {
+    if (status === 'authenticated') {
+      fetchPurchases();
     }
-  ];
+  }, [status]);
 
+  const fetchPurchases = async () => {
+    setError(null);
+    try {
+      const response = await fetch('/api/account/orders');
+      const data = await response.json();
+
+      if (response.ok) {
+        setPurchases(data);
+      } else {
+        setError(data.error || 'Failed to fetch your purchases');
+      }
+    } catch (err) {
+      console.error('Error fetching purchases:', err);
+      setError('Network error occurred');
+    }
+  };
+
+  // Passwordless: we email a one-time link that signs the buyer in and
+  // brings them back here
   const handleLogin = async (e) => {
     e.preventDefault();
     setLoading(true);
-    
-    // Simulate authentication
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    
-    // Mock successful login
-    if (email) {
-      setIsLoggedIn(true);
-      setPurchases(mockPurchases);
+    setError(null);
+
+    try {
+      const result = await signIn('email', {
+        email,
+        redirect: false,
+        callbackUrl: '/customer-portal',
+      });
+
+      if (result?.error) {
+        setError('We could not send a sign-in link. Please try again.');
+      } else {
+        setEmailSent(true);
+      }
+    } catch (err) {
+      console.error('Sign in error:', err);
+      setError('An error occurred during sign in. Please try again.');
+    } finally {
+      setLoading(false);
     }
-    
-    setLoading(false);
   };
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+  // Billing details and payment methods are edited in Stripe's portal
+  const openBillingPortal = async () => {
+    setBillingBusy(true);
+    try {
+      const response = await fetch('/api/stripe/customer-portal', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ returnPath: '/customer-portal' })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.url) {
+        window.location.href = data.url;
+        return;
+      }
+      alert(data.error || 'Could not open billing settings. Please try again.');
+    } catch (err) {
+      console.error('Billing portal error:', err);
+      alert('Network error occurred');
+    }
+    setBillingBusy(false);
+  };
+
+  const handleDownload = (order) => {
+    const selected = order.available_versions?.find(
+      version => String(version.versionNumber) === String(selectedVersions[order.id])
+    );
+    const url = selected?.downloadUrl || order.download_url;
+
+    if (!url) {
+      alert('Download failed. Please try again.');
+      return;
+    }
+
+    // Signed links download directly; refresh afterwards to update the count
+    // and pick up fresh links
+    window.location.href = url;
+    setTimeout(fetchPurchases, 2000);
   };
 
-  if (!isLoggedIn) {
+  if (status === 'loading' || (status === 'authenticated' && purchases === null && !error)) {
+    return (
+      <Layout>
+        <div className="min-h-screen bg-gray-50 dark:bg-navy-900 flex items-center justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      </Layout>
+    );
+  }
+
+  if (status !== 'authenticated') {
     return (
       <Layout>
         <SEO
           title="Customer Portal - Zenith Capital Advisors"
           description="Access your purchased financial models and account information"
         />
-        
+
         <div className="min-h-screen bg-gray-50 dark:bg-navy-900 py-12">
           <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8">
             <div className="text-center mb-8">
@@ -72,7 +164,7 @@ export default function CustomerPortal() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
                 </svg>
               </div>
-              
+
               <h1 className="text-3xl font-bold text-navy-700 dark:text-white mb-4">
                 Customer Portal
               </h1>
@@ -80,44 +172,72 @@ export default function CustomerPortal() {
                 Access your purchased financial models
               </p>
             </div>
-            
+
             <Card className="bg-white dark:bg-navy-800 p-6">
-              <form onSubmit={handleLogin} className="space-y-6">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                    Email Address
-                  </label>
-                  <input
-                    type="email"
-                    required
-                    value={email}
-                    onChange={(e) => setEmail(e.target.value)}
-                    placeholder="Enter your email address"
-                    className="w-full px-3 py-2 border border-gray-300 dark:border-navy-600 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-navy-700 dark:text-white"
-                  />
-                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                    Use the email address you used for your purchase
+              {emailSent ? (
+                <div className="text-center">
+                  <h2 className="text-xl font-bold text-navy-700 dark:text-white mb-4">
+                    Check your email
+                  </h2>
+                  <p className="text-gray-600 dark:text-gray-300 mb-4">
+                    We&apos;ve sent a sign-in link to <strong>{email}</strong>. It opens this portal with your purchases.
                   </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+                    If you don&apos;t see it, check your spam folder.
+                  </p>
+                  <Button
+                    onClick={() => {
+                      setEmailSent(false);
+                      setEmail('');
+                    }}
+                    variant="ghost"
+                    size="sm"
+                  >
+                    Use a different email
+                  </Button>
                 </div>
-                
-                <Button
-                  type="submit"
-                  variant="accent"
-                  size="lg"
-                  fullWidth
-                  disabled={loading || !email}
-                >
-                  {loading ? (
-                    <div className="flex items-center justify-center">
-                      <LoadingSpinner size="sm" className="mr-2" />
-                      Accessing Portal...
-                    </div>
-                  ) : (
-                    'Access My Purchases'
+              ) : (
+                <form onSubmit={handleLogin} className="space-y-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Email Address
+                    </label>
+                    <input
+                      type="email"
+                      required
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      placeholder="Enter your email address"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-navy-600 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-500 dark:bg-navy-700 dark:text-white"
+                    />
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      Use the email address you used for your purchase. We&apos;ll email you a sign-in link, no password needed.
+                    </p>
+                  </div>
+
+                  {error && (
+                    <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
                   )}
-                </Button>
-              </form>
-              
+
+                  <Button
+                    type="submit"
+                    variant="accent"
+                    size="lg"
+                    fullWidth
+                    disabled={loading || !email}
+                  >
+                    {loading ? (
+                      <div className="flex items-center justify-center">
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Sending Link...
+                      </div>
+                    ) : (
+                      'Email Me a Sign-In Link'
+                    )}
+                  </Button>
+                </form>
+              )}
+
               <div className="mt-6 p-4 bg-blue-50 dark:bg-blue-900/20 rounded-lg border border-blue-200 dark:border-blue-800">
                 <div className="flex items-start">
                   <svg className="w-5 h-5 text-blue-600 dark:text-blue-400 mr-2 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -125,7 +245,7 @@ export default function CustomerPortal() {
                   </svg>
                   <div className="text-sm text-blue-700 dark:text-blue-300">
                     <p className="font-medium mb-1">Need Help?</p>
-                    <p>If you can't access your purchases, please <a href="/contact" className="underline">contact our support team</a> with your order details.</p>
+                    <p>If you can&apos;t access your purchases, please <Link href="/contact" className="underline">contact our support team</Link> with your order details.</p>
                   </div>
                 </div>
               </div>
@@ -136,13 +256,21 @@ export default function CustomerPortal() {
     );
   }
 
+  const orders = purchases || [];
+  const ownOrders = orders.filter(order => !order.seat_id);
+  const firstPurchase = ownOrders.reduce(
+    (earliest, order) => (!earliest || new Date(order.created_at) < new Date(earliest) ? order.created_at : earliest),
+    null
+  );
+  const customerSince = firstPurchase ? formatDate(firstPurchase, { year: 'numeric', month: 'long' }) : null;
+
   return (
     <Layout>
       <SEO
         title="My Purchases - Zenith Capital Advisors"
         description="View and download your purchased financial models"
       />
-      
+
       <div className="min-h-screen bg-gray-50 dark:bg-navy-900 py-12">
         <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
           {/* Header */}
@@ -155,48 +283,73 @@ export default function CustomerPortal() {
                 Welcome back! Here are your purchased financial models.
               </p>
             </div>
-            
+
             <Button
-              onClick={() => {
-                setIsLoggedIn(false);
-                setEmail('');
-                setPurchases([]);
-              }}
+              onClick={() => signOut({ callbackUrl: '/customer-portal' })}
               variant="ghost"
               size="sm"
             >
               Sign Out
             </Button>
           </div>
-          
+
           {/* Account Info */}
           <Card className="bg-white dark:bg-navy-800 p-6 mb-8">
-            <div className="flex items-center">
-              <div className="h-12 w-12 rounded-full bg-teal-100 dark:bg-teal-900 flex items-center justify-center mr-4">
-                <svg className="h-6 w-6 text-teal-600 dark:text-teal-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
-                </svg>
-              </div>
-              <div>
-                <h2 className="text-xl font-bold text-navy-700 dark:text-white">
-                  {email}
-                </h2>
-                <p className="text-gray-600 dark:text-gray-300">
-                  Customer since January 2025
-                </p>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <div className="h-12 w-12 rounded-full bg-teal-100 dark:bg-teal-900 flex items-center justify-center mr-4">
+                  <svg className="h-6 w-6 text-teal-600 dark:text-teal-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                  </svg>
+                </div>
+                <div>
+                  <h2 className="text-xl font-bold text-navy-700 dark:text-white">
+                    {session.user.email}
+                  </h2>
+                  {customerSince && (
+                    <p className="text-gray-600 dark:text-gray-300">
+                      Customer since {customerSince}
+                    </p>
+                  )}
+                </div>
               </div>
+
+              {ownOrders.length > 0 && (
+                <div className="text-right">
+                  <Button
+                    onClick={openBillingPortal}
+                    variant="secondary"
+                    size="sm"
+                    disabled={billingBusy}
+                  >
+                    {billingBusy ? 'Opening...' : 'Manage Billing Details'}
+                  </Button>
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Name, address, tax ID and payment methods for future purchases
+                  </p>
+                </div>
+              )}
             </div>
           </Card>
-          
+
+          {error && (
+            <Card className="bg-white dark:bg-navy-800 p-6 mb-8 text-center">
+              <p className="text-gray-600 dark:text-gray-300 mb-4">{error}</p>
+              <Button onClick={fetchPurchases} variant="primary" size="sm">
+                Try Again
+              </Button>
+            </Card>
+          )}
+
           {/* Purchases List */}
           <div className="space-y-6">
             <div className="flex justify-between items-center">
               <h2 className="text-2xl font-bold text-navy-700 dark:text-white">
-                Your Models ({purchases.length})
+                Your Models ({orders.length})
               </h2>
             </div>
-            
-            {purchases.length === 0 ? (
+
+            {orders.length === 0 ? (
               <Card className="bg-white dark:bg-navy-800 p-12 text-center">
                 <div className="h-16 w-16 mx-auto rounded-full bg-gray-100 dark:bg-navy-700 flex items-center justify-center mb-6">
                   <svg className="h-8 w-8 text-gray-400 dark:text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -215,69 +368,20 @@ export default function CustomerPortal() {
               </Card>
             ) : (
               <div className="grid grid-cols-1 gap-6">
-                {purchases.map((purchase) => (
-                  <Card key={purchase.id} className="bg-white dark:bg-navy-800 p-6">
-                    <div className="flex items-center justify-between">
-                      <div className="flex items-center space-x-4">
-                        <div className="h-16 w-16 bg-gray-200 dark:bg-navy-700 rounded-lg flex items-center justify-center">
-                          <svg className="h-8 w-8 text-gray-400 dark:text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                          </svg>
-                        </div>
-                        
-                        <div>
-                          <h3 className="text-lg font-bold text-navy-700 dark:text-white">
-                            {purchase.title}
-                          </h3>
-                          <p className="text-sm text-gray-600 dark:text-gray-300">
-                            Purchased on {formatDate(purchase.purchaseDate)}
-                          </p>
-                          <div className="flex items-center mt-2">
-                            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
-                              <svg className="w-3 h-3 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                              </svg>
-                              {purchase.status}
-                            </span>
-                            <span className="ml-4 text-lg font-bold text-teal-500">
-                              ${purchase.price.toLocaleString()}
-                            </span>
-                          </div>
-                        </div>
-                      </div>
-                      
-                      <div className="flex items-center space-x-3">
-                        <Button
-                          href={purchase.downloadUrl}
-                          variant="accent"
-                          size="sm"
-                          className="flex items-center"
-                        >
-                          <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                          </svg>
-                          Download
-                        </Button>
-                        
-                        <Button
-                          href="/contact"
-                          variant="ghost"
-                          size="sm"
-                          className="flex items-center"
-                        >
-                          <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                          </svg>
-                          Support
-                        </Button>
-                      </div>
-                    </div>
-                  </Card>
+                {orders.map((order) => (
+                  <PurchaseCard
+                    key={order.seat_id ? `seat-${order.seat_id}` : order.id}
+                    order={order}
+                    email={session.user.email}
+                    selectedVersion={selectedVersions[order.id]}
+                    onSelectVersion={(version) => setSelectedVersions({ ...selectedVersions, [order.id]: version })}
+                    onDownload={() => handleDownload(order)}
+                  />
                 ))}
               </div>
             )}
           </div>
-          
+
           {/* Support Section */}
           <Card className="bg-white dark:bg-navy-800 p-6 mt-8">
             <h3 className="text-lg font-bold text-navy-700 dark:text-white mb-4">
@@ -297,7 +401,7 @@ export default function CustomerPortal() {
                   </p>
                 </div>
               </div>
-              
+
               <div className="flex items-start">
                 <svg className="w-5 h-5 text-teal-500 mr-3 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -307,12 +411,12 @@ export default function CustomerPortal() {
                     Re-download Files
                   </h4>
                   <p className="text-sm text-gray-600 dark:text-gray-300">
-                    Download your models again anytime
+                    Download your models again, including free updates, until the download window closes
                   </p>
                 </div>
               </div>
             </div>
-            
+
             <div className="mt-6">
               <Button href="/contact" variant="secondary" size="lg">
                 Contact Support Team
@@ -323,4 +427,167 @@ export default function CustomerPortal() {
       </div>
     </Layout>
   );
-}
\ No newline at end of file
+}
+
+// One purchased model: what was paid, the license it grants, its
+// versions, and the download and invoice for it
+function PurchaseCard({ order, email, selectedVersion, onSelectVersion, onDownload }) {
+  const orderStatus = ORDER_STATUSES[order.status] || ORDER_STATUSES.pending;
+  const license = describeLicense(order, email);
+  const latestVersion = order.available_versions?.[0];
+  const downloadable = canDownload(order);
+
+  return (
+    <Card className="bg-white dark:bg-navy-800 p-6">
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-6">
+        <div className="flex items-start space-x-4">
+          <div className="h-16 w-16 flex-shrink-0 bg-gray-200 dark:bg-navy-700 rounded-lg flex items-center justify-center">
+            <svg className="h-8 w-8 text-gray-400 dark:text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-bold text-navy-700 dark:text-white">
+              {order.model_slug ? (
+                <Link href={`/models/${order.model_slug}`} className="hover:text-teal-500">
+                  {order.model_title}
+                </Link>
+              ) : order.model_title}
+            </h3>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Order #{order.id} - purchased on {formatDate(order.created_at)}
+            </p>
+            <div className="flex items-center mt-2">
+              <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${orderStatus.className}`}>
+                {orderStatus.label}
+              </span>
+              {!order.seat_id && (
+                <span className="ml-4 text-lg font-bold text-teal-500">
+                  {formatMoney((parseInt(order.amount) + parseInt(order.tax_amount || 0)) / 100, order.currency, { decimals: 2 })}
+                </span>
+              )}
+            </div>
+
+            {/* License and versions */}
+            <dl className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-x-8 gap-y-2 text-sm">
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">License</dt>
+                <dd className="text-navy-700 dark:text-white">{license.type}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500 dark:text-gray-400">Licensed to</dt>
+                <dd className="text-navy-700 dark:text-white">{license.holder}</dd>
+              </div>
+              {order.purchased_version && (
+                <div>
+                  <dt className="text-gray-500 dark:text-gray-400">Version purchased</dt>
+                  <dd className="text-navy-700 dark:text-white">v{order.purchased_version}</dd>
+                </div>
+              )}
+              {latestVersion && (
+                <div>
+                  <dt className="text-gray-500 dark:text-gray-400">Latest version</dt>
+                  <dd className="text-navy-700 dark:text-white">
+                    v{latestVersion.versionLabel}
+                    {latestVersion.versionLabel !== order.purchased_version && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                        Free update
+                      </span>
+                    )}
+                  </dd>
+                </div>
+              )}
+              {order.status === 'completed' && (!order.organization_id || order.seat_id) && (
+                <div>
+                  <dt className="text-gray-500 dark:text-gray-400">Downloads</dt>
+                  <dd className="text-navy-700 dark:text-white">
+                    {order.download_count} of {order.max_downloads}
+                    {order.download_expires_at && `, until ${formatDate(order.download_expires_at)}`}
+                  </dd>
+                </div>
+              )}
+            </dl>
+
+            {latestVersion?.releaseNotes && latestVersion.versionLabel !== order.purchased_version && (
+              <p className="mt-3 text-sm text-gray-600 dark:text-gray-300">
+                <span className="font-medium">What&apos;s new in v{latestVersion.versionLabel}:</span> {latestVersion.releaseNotes}
+              </p>
+            )}
+
+            <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+              Licensed for internal business use under our <Link href="/terms" className="underline">terms of service</Link>.
+            </p>
+          </div>
+        </div>
+
+        <div className="flex flex-col items-start md:items-end space-y-3 flex-shrink-0">
+          {order.organization_id && !order.seat_id ? (
+            <Button href="/account/team" variant="accent" size="sm">
+              Assign Seats
+            </Button>
+          ) : downloadable ? (
+            <>
+              {order.available_versions?.length > 1 && (
+                <select
+                  value={selectedVersion || order.available_versions[0].versionNumber}
+                  onChange={(e) => onSelectVersion(e.target.value)}
+                  aria-label="Version to download"
+                  className="px-3 py-2 border border-gray-300 dark:border-navy-600 rounded-md text-sm dark:bg-navy-700 dark:text-white"
+                >
+                  {order.available_versions.map(version => (
+                    <option key={version.versionNumber} value={version.versionNumber}>
+                      v{version.versionLabel}{version.versionLabel === order.purchased_version ? ' (purchased)' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <Button
+                onClick={onDownload}
+                variant="accent"
+                size="sm"
+                className="flex items-center"
+              >
+                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                </svg>
+                Download
+              </Button>
+            </>
+          ) : (
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {order.status === 'pending' ? 'Processing...' :
+               order.status !== 'completed' ? 'Download unavailable' :
+               order.download_count >= order.max_downloads ? 'Download limit reached' :
+               'Download expired'}
+            </span>
+          )}
+
+          {order.invoice_url && (
+            <a
+              href={order.invoice_url}
+              className="flex items-center text-sm text-teal-600 dark:text-teal-400 hover:underline"
+            >
+              <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+              </svg>
+              {order.invoice_number ? `Invoice ${order.invoice_number}` : 'Invoice'} (PDF)
+            </a>
+          )}
+
+          <Button
+            href="/contact"
+            variant="ghost"
+            size="sm"
+            className="flex items-center"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            Support
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+}
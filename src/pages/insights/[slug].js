@@ -7,11 +7,16 @@ import Button from '@/components/ui/Button';
 import Motion from '@/components/ui/Motion';
 import SEO from '@/components/SEO';
 import NewsletterSignup from '@/components/ui/NewsletterSignup';
+import OptimizedImage from '@/components/ui/OptimizedImage';
+import { mediaImageProps } from '@/config/media';
 import { FiArrowLeft, FiCalendar, FiClock, FiUser, FiShare2 } from 'react-icons/fi';
 
+const TOC_INDENT = ['', 'pl-4', 'pl-8'];
+
 export default function InsightDetail() {
   const router = useRouter();
-  const { slug } = router.query;
+  // preview is a signed link from the admin dashboard for unpublished drafts
+  const { slug, preview } = router.query;
   const [insight, setInsight] = useState(null);
   const [loading, setLoading] = useState(true);
   const [relatedInsights, setRelatedInsights] = useState([]);
@@ -21,11 +26,11 @@ export default function InsightDetail() {
       fetchInsight();
       fetchRelatedInsights();
     }
-  }, [slug]);
+  }, [slug, preview]);
 
   const fetchInsight = async () => {
     try {
-      const response = await fetch(`/api/insights?slug=${slug}`);
+      const response = await fetch(`/api/insights?slug=${slug}${preview ? `&preview=${encodeURIComponent(preview)}` : ''}`);
       if (response.ok) {
         const data = await response.json();
         setInsight(data);
@@ -74,7 +79,9 @@ export default function InsightDetail() {
     }
   };
 
-  const estimateReadTime = (content) => {
+  // reading_minutes is worked out from the document when the insight is saved
+  const estimateReadTime = ({ reading_minutes: readingMinutes, content }) => {
+    if (readingMinutes) return `${readingMinutes} min read`;
     if (!content) return '5 min read';
     const wordsPerMinute = 200;
     const wordCount = content.split(/\s+/).length;
@@ -128,7 +135,14 @@ export default function InsightDetail() {
       <SEO
         title={`${insight.title} | Zenith Capital Advisors`}
         description={insight.summary || 'Read our latest investment insights and market analysis.'}
+        noIndex={!!insight.preview}
       />
+
+      {insight.preview && (
+        <div className="bg-yellow-100 dark:bg-yellow-900/40 text-yellow-900 dark:text-yellow-200 text-sm text-center px-4 py-2">
+          Preview of an unpublished insight ({insight.status.replace('_', ' ')}, revision {insight.revision}). Don&apos;t share this link publicly.
+        </div>
+      )}
       
       {/* Article Header */}
       <section className="bg-gradient-to-b from-gray-50 to-white dark:from-navy-900 dark:to-navy-800 pt-16 pb-8">
@@ -175,7 +189,7 @@ export default function InsightDetail() {
               </div>
               <div className="flex items-center">
                 <FiClock className="w-4 h-4 mr-2" />
-                <span>{estimateReadTime(insight.content)}</span>
+                <span>{estimateReadTime(insight)}</span>
               </div>
               <Button
                 type="button"
@@ -197,7 +211,22 @@ export default function InsightDetail() {
         <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
           <Motion variant="fade-in" delay={0.2}>
             {/* Cover Image */}
-            {insight.cover_image_url && (
+            {insight.cover_media ? (
+              <figure className="mb-12">
+                <OptimizedImage
+                  {...mediaImageProps(insight.cover_media, insight.title)}
+                  className="rounded-xl shadow-lg"
+                  sizes="(max-width: 896px) 100vw, 896px"
+                  priority
+                  style={{ width: '100%', height: 'auto' }}
+                />
+                {insight.cover_media.caption && (
+                  <figcaption className="mt-3 text-sm text-center text-gray-500 dark:text-gray-400">
+                    {insight.cover_media.caption}
+                  </figcaption>
+                )}
+              </figure>
+            ) : insight.cover_image_url && (
               <div className="mb-12 rounded-xl overflow-hidden shadow-lg">
                 <img 
                   src={insight.cover_image_url} 
@@ -207,6 +236,24 @@ export default function InsightDetail() {
             </div>
             )}
           
+            {/* Table of Contents, linking to the anchors the renderer puts on headings */}
+            {insight.toc?.length > 1 && (
+              <nav aria-label="Table of contents" className="mb-10 p-6 rounded-lg bg-gray-50 dark:bg-navy-900 border border-gray-200 dark:border-navy-700">
+                <h2 className="text-sm font-semibold text-gray-900 dark:text-white uppercase tracking-wide mb-3">
+                  In this article
+                </h2>
+                <ol className="space-y-2 text-sm">
+                  {insight.toc.map(entry => (
+                    <li key={entry.id} className={TOC_INDENT[entry.level - Math.min(...insight.toc.map(item => item.level))]}>
+                      <a href={`#${entry.id}`} className="text-teal-600 dark:text-teal-400 hover:underline">
+                        {entry.text}
+                      </a>
+                    </li>
+                  ))}
+                </ol>
+              </nav>
+            )}
+
             {/* Content */}
             <div className="prose prose-lg dark:prose-invert max-w-none article-content">
               {insight.content ? (
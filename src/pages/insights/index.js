@@ -95,7 +95,9 @@ export default function InsightsPage() {
     }
   };
 
-  const estimateReadTime = (content) => {
+  // reading_minutes is worked out from the document when the insight is saved
+  const estimateReadTime = ({ reading_minutes: readingMinutes, content }) => {
+    if (readingMinutes) return `${readingMinutes} min read`;
     if (!content) return '5 min read';
     const wordsPerMinute = 200;
     const wordCount = content.split(/\s+/).length;
@@ -210,7 +212,7 @@ export default function InsightsPage() {
                               </div>
                               <div className="flex items-center">
                                 <FiClock className="w-4 h-4 mr-1" />
-                                <span>{estimateReadTime(insight.content)}</span>
+                                <span>{estimateReadTime(insight)}</span>
                               </div>
                             </div>
                           </div>
@@ -373,7 +375,7 @@ export default function InsightsPage() {
                             </div>
                             <div className="flex items-center">
                               <FiClock className="w-4 h-4 mr-1" />
-                              <span>{estimateReadTime(insight.content)}</span>
+                              <span>{estimateReadTime(insight)}</span>
                             </div>
                           </div>
                         </div>
@@ -4,9 +4,12 @@ import Link from 'next/link';
 import Layout from '@/components/layout/Layout';
 import Button from '@/components/ui/Button';
 import BuyNowButton from '@/components/ui/BuyNowButton';
+import AddToCartButton from '@/components/ui/AddToCartButton';
 import Motion from '@/components/ui/Motion';
 import Card from '@/components/ui/Card';
 import SEO from '@/components/SEO';
+import CurrencySelector, { useCurrency } from '@/components/ui/CurrencySelector';
+import { formatMoney } from '@/config/currencies';
 import dynamic from 'next/dynamic';
 
 const ExcelPreview = dynamic(
@@ -19,13 +22,21 @@ const ExcelPreview = dynamic(
 
 // Import database utilities directly for build time
 import { sql } from '@vercel/postgres';
+import { getPriceBook, getEffectivePrice } from '@/utils/pricing';
 
 // Fetch models from database - direct database call for build time
 async function fetchModels() {
   try {
     // Direct database query during build time
     if (process.env.POSTGRES_URL) {
-      const result = await sql`SELECT * FROM models WHERE status = 'active' ORDER BY published_at DESC`;
+      const result = await sql`
+        SELECT models.*,
+               (SELECT json_object_agg(p.currency, json_build_object('price', p.price, 'sale_price', p.sale_price))
+                FROM price_book_entries p WHERE p.model_id = models.id) AS price_book
+        FROM models
+        WHERE status = 'active'
+        ORDER BY published_at DESC
+      `;
       return result.rows || [];
     }
     return [];
@@ -40,7 +51,13 @@ async function fetchModelBySlug(slug) {
   try {
     // Direct database query during build time
     if (process.env.POSTGRES_URL) {
-      const result = await sql`SELECT * FROM models WHERE slug = ${slug} AND status = 'active'`;
+      const result = await sql`
+        SELECT models.*,
+               (SELECT json_object_agg(p.currency, json_build_object('price', p.price, 'sale_price', p.sale_price))
+                FROM price_book_entries p WHERE p.model_id = models.id) AS price_book
+        FROM models
+        WHERE slug = ${slug} AND status = 'active'
+      `;
       if (result.rows && result.rows.length > 0) {
         return result.rows[0];
       }
@@ -52,6 +69,25 @@ async function fetchModelBySlug(slug) {
   }
 }
 
+// Fetch published versions for the changelog - direct database call for build time
+async function fetchModelChangelog(modelId) {
+  try {
+    if (process.env.POSTGRES_URL) {
+      const result = await sql`
+        SELECT version_number, version_label, release_notes, published_at
+        FROM model_versions
+        WHERE model_id = ${modelId} AND status = 'published'
+        ORDER BY version_number DESC
+      `;
+      return result.rows || [];
+    }
+    return [];
+  } catch (error) {
+    console.error('Error fetching model changelog:', error);
+    return [];
+  }
+}
+
 // Convert database features string to array
 function parseFeatures(featuresString) {
   if (!featuresString) return [];
@@ -87,8 +123,17 @@ const getRelatedModels = (model, allModels) => {
   ).slice(0, 3);
 };
 
-export default function ModelDetail({ model, relatedModels }) {
+// The price in the visitor's currency, or the model's own when it isn't
+// sold in that currency
+function priceIn(model, currency) {
+  const prices = model.prices || {};
+  const shown = prices[currency] !== undefined ? currency : Object.keys(prices)[0] || model.currency || 'usd';
+  return { price: prices[shown] ?? model.price, currency: shown };
+}
+
+export default function ModelDetail({ model, relatedModels, changelog = [] }) {
   const router = useRouter();
+  const [currency, chooseCurrency] = useCurrency();
   
   // If the page is still loading or model not found
   if (router.isFallback || !model) {
@@ -111,6 +156,12 @@ export default function ModelDetail({ model, relatedModels }) {
     );
   }
   
+  const { price, currency: priceCurrency } = priceIn(model, currency);
+  const formatPriceIn = item => {
+    const shown = priceIn(item, currency);
+    return formatMoney(shown.price, shown.currency);
+  };
+
   // Parse features from database tags
   const features = parseFeatures(model.tags);
   const faq = generateFAQ(model);
@@ -133,18 +184,18 @@ export default function ModelDetail({ model, relatedModels }) {
     },
     "image": model.thumbnail_url || "https://zencap-website.vercel.app/images/models/default-model.jpg",
     "sku": model.slug,
-    "offers": {
+    "offers": Object.entries(model.prices || { usd: model.price }).map(([offerCurrency, offerPrice]) => ({
       "@type": "Offer",
       "url": `https://zencap-website.vercel.app/models/${model.slug}`,
-      "price": model.price,
-      "priceCurrency": "USD",
+      "price": offerPrice,
+      "priceCurrency": offerCurrency.toUpperCase(),
       "availability": "https://schema.org/InStock",
       "itemCondition": "https://schema.org/NewCondition",
       "seller": {
         "@type": "Organization",
         "name": "Zenith Capital Advisors"
       }
-    },
+    })),
     "review": {
       "@type": "Review",
       "reviewRating": {
@@ -218,8 +269,14 @@ export default function ModelDetail({ model, relatedModels }) {
                 </p>
                 
                 <div className="flex items-baseline mb-8">
-                  <span className="text-3xl font-bold text-white">${model.price.toLocaleString()}</span>
-                  <span className="ml-2 text-lg text-gray-300">USD</span>
+                  <span className="text-3xl font-bold text-white">{formatMoney(price, priceCurrency)}</span>
+                  <span className="ml-2 text-lg text-gray-300">{priceCurrency.toUpperCase()}</span>
+                  <CurrencySelector
+                    value={priceCurrency}
+                    onChange={chooseCurrency}
+                    currencies={Object.keys(model.prices || {})}
+                    className="ml-4 self-center"
+                  />
                 </div>
                 
                 <div className="flex flex-wrap gap-4">
@@ -227,15 +284,17 @@ export default function ModelDetail({ model, relatedModels }) {
                     modelId={model.id}
                     modelSlug={model.slug}
                     modelTitle={model.title}
-                    modelPrice={model.price}
+                    modelPrice={price}
+                    currency={priceCurrency}
                     variant="accent" 
                     size="lg"
                   >
                     <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                     </svg>
-                    Buy Now - ${model.price.toLocaleString()}
+                    Buy Now - {formatMoney(price, priceCurrency)}
                   </BuyNowButton>
+                  <AddToCartButton modelSlug={model.slug} size="lg" />
                   <Button href="#faq" variant="secondary" size="lg">
                     Learn More
                   </Button>
@@ -310,7 +369,7 @@ export default function ModelDetail({ model, relatedModels }) {
       )}
       
       {/* Interactive Excel Preview */}
-      {model.excel_url && (
+      {model.has_preview && (
         <section className="py-16">
           <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
             <Motion animation="fade" direction="up">
@@ -327,7 +386,6 @@ export default function ModelDetail({ model, relatedModels }) {
             <Motion animation="fade" direction="up" delay={200}>
               <Card className="bg-white dark:bg-navy-800 p-6">
                 <ExcelPreview
-                  excelFile={model.excel_url}
                   modelId={model.id}
                   title={model.title}
                   height="800px"
@@ -353,6 +411,44 @@ export default function ModelDetail({ model, relatedModels }) {
         </section>
       )}
       
+      {/* Changelog */}
+      {changelog.length > 0 && (
+        <section id="changelog" className="py-16 bg-gray-50 dark:bg-navy-900/50">
+          <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+            <Motion animation="fade" direction="up">
+              <h2 className="text-2xl font-bold text-navy-700 dark:text-white mb-2 text-center">
+                Changelog
+              </h2>
+              <p className="text-gray-600 dark:text-gray-300 mb-8 text-center">
+                Every buyer can download new versions at no extra cost.
+              </p>
+            </Motion>
+
+            <div className="space-y-4">
+              {changelog.map((version) => (
+                <Card key={version.version_number} className="bg-white dark:bg-navy-800 p-6">
+                  <div className="flex items-baseline justify-between mb-2">
+                    <h3 className="text-lg font-bold text-navy-700 dark:text-white">
+                      v{version.version_label}
+                    </h3>
+                    {version.published_at && (
+                      <span className="text-sm text-gray-500 dark:text-gray-400">
+                        {new Date(version.published_at).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })}
+                      </span>
+                    )}
+                  </div>
+                  {version.release_notes && (
+                    <p className="text-gray-600 dark:text-gray-300 whitespace-pre-line">
+                      {version.release_notes}
+                    </p>
+                  )}
+                </Card>
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+
       {/* FAQ Section */}
       <section id="faq" className="py-16">
         <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -413,7 +509,7 @@ export default function ModelDetail({ model, relatedModels }) {
                             {related.category}
                           </span>
                           <span className="text-lg font-bold text-teal-500">
-                            ${related.price.toLocaleString()}
+                            {formatPriceIn(related)}
                           </span>
                         </div>
                         <h3 className="text-lg font-bold text-navy-700 dark:text-white mb-2">
@@ -461,14 +557,15 @@ export default function ModelDetail({ model, relatedModels }) {
                 modelId={model.id}
                 modelSlug={model.slug}
                 modelTitle={model.title}
-                modelPrice={model.price}
+                modelPrice={price}
+                currency={priceCurrency}
                 variant="accent" 
                 size="lg"
               >
                 <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
                 </svg>
-                Purchase for ${model.price.toLocaleString()}
+                Purchase for {formatMoney(price, priceCurrency)}
               </BuyNowButton>
               <Button href="/contact" variant="secondary" size="lg">
                 Contact Sales
@@ -483,7 +580,7 @@ export default function ModelDetail({ model, relatedModels }) {
         <div className="flex items-center justify-between">
           <div>
             <div className="text-lg font-bold text-navy-700 dark:text-white">
-              ${model.price.toLocaleString()}
+              {formatMoney(price, priceCurrency)}
             </div>
             <div className="text-sm text-gray-600 dark:text-gray-300">
               {model.title}
@@ -493,7 +590,8 @@ export default function ModelDetail({ model, relatedModels }) {
             modelId={model.id}
             modelSlug={model.slug}
             modelTitle={model.title}
-            modelPrice={model.price}
+            modelPrice={price}
+            currency={priceCurrency}
             variant="accent" 
             size="lg"
           >
@@ -541,6 +639,26 @@ export async function getStaticPaths() {
   }
 }
 
+// Page props are public, so file locations stay on the server; the preview is
+// fetched from /api/models/preview instead. Dates become strings because
+// Next.js cannot serialize Date objects. `prices` holds what the model costs
+// in each currency it's sold in, sale prices included.
+function serializeModel({ excel_url, file_url, price_book, ...model }) {
+  const currencies = Object.keys(getPriceBook({ ...model, price_book }));
+
+  return {
+    ...model,
+    prices: Object.fromEntries(currencies.map(currency => [
+      currency,
+      getEffectivePrice({ ...model, price_book }, new Date(), currency).price
+    ])),
+    has_preview: !!excel_url,
+    created_at: model.created_at ? new Date(model.created_at).toISOString() : null,
+    updated_at: model.updated_at ? new Date(model.updated_at).toISOString() : null,
+    published_at: model.published_at ? new Date(model.published_at).toISOString() : null,
+  };
+}
+
 // This function gets called at build time
 export async function getStaticProps({ params }) {
   try {
@@ -556,26 +674,19 @@ export async function getStaticProps({ params }) {
     // Fetch all models for related models
     const allModels = await fetchModels();
     const relatedModels = getRelatedModels(model, allModels);
+    const changelog = await fetchModelChangelog(model.id);
 
-    // Serialize dates to strings to avoid Next.js serialization error
-    const serializedModel = {
-      ...model,
-      created_at: model.created_at ? new Date(model.created_at).toISOString() : null,
-      updated_at: model.updated_at ? new Date(model.updated_at).toISOString() : null,
-      published_at: model.published_at ? new Date(model.published_at).toISOString() : null,
-    };
-
-    const serializedRelatedModels = relatedModels.map(m => ({
-      ...m,
-      created_at: m.created_at ? new Date(m.created_at).toISOString() : null,
-      updated_at: m.updated_at ? new Date(m.updated_at).toISOString() : null,
-      published_at: m.published_at ? new Date(m.published_at).toISOString() : null,
-    }));
+    const serializedModel = serializeModel(model);
+    const serializedRelatedModels = relatedModels.map(serializeModel);
 
     return {
       props: {
         model: serializedModel,
         relatedModels: serializedRelatedModels,
+        changelog: changelog.map(version => ({
+          ...version,
+          published_at: version.published_at ? new Date(version.published_at).toISOString() : null,
+        })),
       },
       // Re-generate the page at most once per hour
       revalidate: 3600,
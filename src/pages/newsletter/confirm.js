@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '@/components/layout/Layout';
+import Button from '@/components/ui/Button';
+import SEO from '@/components/SEO';
+
+// Landing page for the link in the confirmation email. The token is posted
+// from here, not confirmed by the GET, so link scanners don't subscribe anyone.
+export default function NewsletterConfirm() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [state, setState] = useState({ status: 'loading' });
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (!token) {
+      setState({ status: 'error', message: 'This confirmation link is incomplete. Please use the link from your email.' });
+      return;
+    }
+
+    fetch('/api/newsletter/confirm', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    })
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to confirm your subscription');
+        setState({ status: 'confirmed', email: data.email, alreadyConfirmed: data.alreadyConfirmed });
+      })
+      .catch(err => setState({ status: 'error', message: err.message }));
+  }, [router.isReady, token]);
+
+  return (
+    <Layout>
+      <SEO
+        title="Confirm Subscription - Zenith Capital Advisors"
+        description="Confirm your Zenith Capital Advisors newsletter subscription"
+        noIndex
+      />
+
+      <div className="min-h-screen bg-gray-50 dark:bg-navy-900 py-12">
+        <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          {state.status === 'loading' && (
+            <p className="text-xl text-gray-600 dark:text-gray-300">Confirming your subscription…</p>
+          )}
+
+          {state.status === 'confirmed' && (
+            <>
+              <h1 className="text-3xl font-bold text-navy-700 dark:text-white mb-4">
+                {state.alreadyConfirmed ? 'Already confirmed' : 'You\'re subscribed!'}
+              </h1>
+              <p className="text-xl text-gray-600 dark:text-gray-300 mb-8">
+                {state.email} will receive our latest insights. Every email has a link to unsubscribe.
+              </p>
+              <Button href="/insights">Read our insights</Button>
+            </>
+          )}
+
+          {state.status === 'error' && (
+            <>
+              <h1 className="text-3xl font-bold text-navy-700 dark:text-white mb-4">We couldn&apos;t confirm your subscription</h1>
+              <p className="text-xl text-gray-600 dark:text-gray-300 mb-8">{state.message}</p>
+              <Button href="/">Back to home</Button>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '@/components/layout/Layout';
+import Button from '@/components/ui/Button';
+import SEO from '@/components/SEO';
+
+// The unsubscribe link in every newsletter footer. Mail clients that support
+// one-click unsubscribe post to /api/newsletter/unsubscribe directly.
+export default function NewsletterUnsubscribe() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [state, setState] = useState({ status: 'idle' });
+
+  const handleUnsubscribe = async () => {
+    setState({ status: 'loading' });
+    try {
+      const res = await fetch('/api/newsletter/unsubscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to unsubscribe');
+      setState({ status: 'done', email: data.email });
+    } catch (err) {
+      setState({ status: 'error', message: err.message });
+    }
+  };
+
+  return (
+    <Layout>
+      <SEO
+        title="Unsubscribe - Zenith Capital Advisors"
+        description="Unsubscribe from the Zenith Capital Advisors newsletter"
+        noIndex
+      />
+
+      <div className="min-h-screen bg-gray-50 dark:bg-navy-900 py-12">
+        <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+          {state.status === 'done' ? (
+            <>
+              <h1 className="text-3xl font-bold text-navy-700 dark:text-white mb-4">You&apos;ve been unsubscribed</h1>
+              <p className="text-xl text-gray-600 dark:text-gray-300 mb-8">
+                {state.email} won&apos;t receive our newsletter any more. You can subscribe again at any time.
+              </p>
+              <Button href="/">Back to home</Button>
+            </>
+          ) : (
+            <>
+              <h1 className="text-3xl font-bold text-navy-700 dark:text-white mb-4">Unsubscribe from our newsletter</h1>
+              {router.isReady && !token ? (
+                <p className="text-xl text-gray-600 dark:text-gray-300 mb-8">
+                  Please use the unsubscribe link from one of our emails.
+                </p>
+              ) : (
+                <>
+                  <p className="text-xl text-gray-600 dark:text-gray-300 mb-8">
+                    You&apos;ll stop receiving the Zenith Capital Advisors newsletter.
+                  </p>
+                  {state.status === 'error' && (
+                    <p className="text-red-600 dark:text-red-400 mb-4">{state.message}</p>
+                  )}
+                  <Button onClick={handleUnsubscribe} loading={state.status === 'loading'} disabled={!token || state.status === 'loading'}>
+                    Unsubscribe
+                  </Button>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
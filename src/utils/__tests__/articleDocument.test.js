@@ -0,0 +1,28 @@
+import { safeUrl } from '../articleDocument';
+
+describe('articleDocument', () => {
+  describe('safeUrl', () => {
+    it('keeps http(s), mailto, tel and relative links', () => {
+      expect(safeUrl('https://zencap.test/insights')).toBe('https://zencap.test/insights');
+      expect(safeUrl('mailto:info@zencap.test')).toBe('mailto:info@zencap.test');
+      expect(safeUrl('tel:+358401234567')).toBe('tel:+358401234567');
+      expect(safeUrl('/models/dcf')).toBe('/models/dcf');
+      expect(safeUrl('#section-2')).toBe('#section-2');
+    });
+
+    it('rejects other schemes, even when split by whitespace or control characters', () => {
+      expect(safeUrl('javascript:alert(1)')).toBeNull();
+      expect(safeUrl('java\tscript:alert(1)')).toBeNull();
+      expect(safeUrl(' JAVASCRIPT:alert(1)')).toBeNull();
+      expect(safeUrl('data:text/html,<script>')).toBeNull();
+    });
+
+    it('rejects protocol-relative links, however the slashes are written', () => {
+      expect(safeUrl('//evil.com')).toBeNull();
+      expect(safeUrl('\\\\evil.com')).toBeNull();
+      expect(safeUrl('/\\evil.com')).toBeNull();
+      expect(safeUrl('\\/evil.com')).toBeNull();
+      expect(safeUrl('/\t/evil.com')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+jest.mock('next-auth/react', () => ({ getSession: jest.fn() }));
+jest.mock('@/utils/auth', () => ({
+  extractToken: jest.fn(() => null),
+  verifyAccessToken: jest.fn(),
+  findUserById: jest.fn(),
+  hasRole: jest.fn()
+}));
+jest.mock('@/utils/audit', () => ({ createAuditLog: jest.fn() }));
+jest.mock('@/utils/organizations', () => ({ getMembership: jest.fn() }));
+
+import { getSession } from 'next-auth/react';
+import { findUserById } from '@/utils/auth';
+import { createAuditLog } from '@/utils/audit';
+import { getMembership } from '@/utils/organizations';
+import { requireAdmin, requireOrganizationAdmin } from '@/middleware/auth';
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function request({ method = 'GET', query = {}, body } = {}) {
+  return { method, url: '/api/admin/models', headers: {}, query, body };
+}
+
+// Sign in as a user with the given site role
+function signIn(role) {
+  getSession.mockImplementation(() => Promise.resolve({ user: { id: 9 } }));
+  findUserById.mockImplementation(() => Promise.resolve({ id: 9, email: 'staff@example.com', name: 'Staff', role }));
+}
+
+describe('auth middleware', () => {
+  beforeEach(() => {
+    getSession.mockReset();
+    findUserById.mockReset();
+    createAuditLog.mockClear();
+    getMembership.mockReset();
+  });
+
+  describe('requireAdmin', () => {
+    it('refuses a role without the permission with 403 and audits the attempt', async () => {
+      signIn('analyst');
+      const res = fakeResponse();
+
+      const allowed = await requireAdmin('manage_content', { resourceType: 'model' })(request({ method: 'DELETE', query: { id: '12' } }), res);
+
+      expect(allowed).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('PERMISSION_DENIED');
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'ADMIN_ACCESS',
+        userId: 9,
+        resourceType: 'model',
+        resourceId: '12',
+        action: 'delete',
+        result: 'denied'
+      }));
+    });
+
+    it('refuses a customer account with 403', async () => {
+      signIn('user');
+      const res = fakeResponse();
+
+      expect(await requireAdmin('view_analytics')(request(), res)).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('refuses a visitor without a session with 401', async () => {
+      getSession.mockImplementation(() => Promise.resolve(null));
+      const res = fakeResponse();
+
+      expect(await requireAdmin('manage_content')(request(), res)).toBe(false);
+      expect(res.statusCode).toBe(401);
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({ userId: null, result: 'denied' }));
+    });
+
+    it('lets a role with the permission through', async () => {
+      signIn('editor');
+      const res = fakeResponse();
+
+      expect(await requireAdmin('manage_content')(request(), res)).toBe(true);
+      expect(res.body).toBeNull();
+      expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({ result: 'authorized' }));
+    });
+  });
+
+  describe('requireOrganizationAdmin', () => {
+    it('refuses someone who is not a member with 403', async () => {
+      signIn('user');
+      getMembership.mockImplementation(() => Promise.resolve(null));
+      const res = fakeResponse();
+
+      expect(await requireOrganizationAdmin()(request({ query: { organizationId: '8' } }), res)).toBe(false);
+      expect(getMembership).toHaveBeenCalledWith(8, 9);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('ORGANIZATION_ADMIN_REQUIRED');
+    });
+
+    it('refuses a member who is not an admin with 403', async () => {
+      signIn('user');
+      getMembership.mockImplementation(() => Promise.resolve({ organization_id: 8, user_id: 9, role: 'member' }));
+      const res = fakeResponse();
+
+      expect(await requireOrganizationAdmin()(request({ method: 'POST', body: { organizationId: 8 } }), res)).toBe(false);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('refuses a request that names no organization with 403', async () => {
+      signIn('owner');
+      const res = fakeResponse();
+
+      expect(await requireOrganizationAdmin()(request(), res)).toBe(false);
+      expect(getMembership).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('resolves to the membership of an organization admin', async () => {
+      const membership = { organization_id: 8, user_id: 9, role: 'admin' };
+      signIn('user');
+      getMembership.mockImplementation(() => Promise.resolve(membership));
+      const res = fakeResponse();
+
+      expect(await requireOrganizationAdmin()(request({ query: { organizationId: '8' } }), res)).toEqual(membership);
+      expect(res.body).toBeNull();
+    });
+  });
+});
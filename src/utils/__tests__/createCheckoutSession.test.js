@@ -0,0 +1,88 @@
+jest.mock('@vercel/postgres', () => ({ sql: jest.fn() }));
+jest.mock('stripe', () => jest.fn());
+jest.mock('next-auth/react', () => ({ getSession: jest.fn(() => Promise.resolve(null)) }));
+jest.mock('@/utils/database', () => ({ createOrder: jest.fn(), getCustomersByEmail: jest.fn(() => Promise.resolve([])) }));
+jest.mock('@/utils/tax', () => ({
+  getTaxProvider: () => ({ checkoutParams: () => Promise.resolve({ lineItemParams: {}, params: {} }) })
+}));
+jest.mock('@/utils/promotions', () => ({ validatePromotion: jest.fn(), releasePromotion: jest.fn() }));
+jest.mock('@/utils/organizations', () => ({ getMembership: jest.fn(), MAX_SEATS: 50 }));
+jest.mock('@/utils/subscriptions', () => ({
+  ALL_ACCESS_PLAN: { id: 'all-access' },
+  getPlanLineItem: jest.fn(),
+  getActiveSubscription: jest.fn()
+}));
+
+import Stripe from 'stripe';
+import { sql } from '@vercel/postgres';
+import { createOrder } from '@/utils/database';
+import handler from '../../pages/api/stripe/create-checkout-session';
+
+// An active model sold at 2,985.00 USD, with no other currencies
+const MODEL = {
+  id: 12,
+  slug: 'dcf-model',
+  title: 'DCF Model',
+  category: 'Private Equity',
+  price: '2985.00',
+  currency: 'usd',
+  sale_price: null,
+  sale_starts_at: null,
+  sale_ends_at: null,
+  price_book: null
+};
+
+async function checkout(body) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader() {}
+  };
+  await handler({ method: 'POST', headers: {}, cookies: {}, body }, res);
+  return res;
+}
+
+describe('create-checkout-session', () => {
+  let createSession;
+
+  beforeEach(() => {
+    sql.mockReset();
+    sql.mockImplementation(strings => Promise.resolve({
+      rows: strings.join('?').includes('FROM models') ? [{ ...MODEL }] : []
+    }));
+    createOrder.mockClear();
+    createSession = jest.fn(() => Promise.resolve({ id: 'cs_test_1', url: 'https://checkout.stripe.test/cs_test_1' }));
+    Stripe.mockImplementation(() => ({ checkout: { sessions: { create: createSession } } }));
+  });
+
+  it('rejects a tampered price with 409 and never reaches Stripe', async () => {
+    const res = await checkout({ modelSlug: 'dcf-model', modelPrice: 1, currency: 'usd' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual(expect.objectContaining({ code: 'PRICE_MISMATCH', field: 'price', expected: 2985 }));
+    expect(createSession).not.toHaveBeenCalled();
+    expect(createOrder).not.toHaveBeenCalled();
+  });
+
+  it('rejects a currency the model is not sold in with 409', async () => {
+    const res = await checkout({ modelSlug: 'dcf-model', modelPrice: 2985, currency: 'jpy' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual(expect.objectContaining({ code: 'PRICE_MISMATCH', field: 'currency', expected: 'usd' }));
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it('charges the catalog price when the client agrees with it', async () => {
+    const res = await checkout({ modelSlug: 'dcf-model', modelPrice: '2985.00', currency: 'usd' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sessionId).toBe('cs_test_1');
+    expect(createSession.mock.calls[0][0].line_items[0].price_data).toEqual(expect.objectContaining({
+      currency: 'usd',
+      unit_amount: 298500
+    }));
+    expect(createOrder).toHaveBeenCalledWith(expect.objectContaining({ model_id: 12, amount: 298500, status: 'pending' }));
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('@vercel/postgres', () => ({ sql: jest.fn() }));
+jest.mock('next-auth/react', () => ({ getSession: jest.fn(() => Promise.resolve(null)) }));
+jest.mock('@/utils/database', () => ({ incrementDownloadCount: jest.fn() }));
+jest.mock('@/utils/modelVersions', () => ({ getDownloadableVersion: jest.fn(() => Promise.resolve(null)) }));
+jest.mock('@/utils/organizations', () => ({ getActiveSeat: jest.fn(), incrementSeatDownloadCount: jest.fn() }));
+jest.mock('@/utils/subscriptions', () => ({ getActiveSubscription: jest.fn() }));
+jest.mock('@/utils/watermark', () => ({
+  canWatermark: () => true,
+  watermarkWorkbook: jest.fn(() => Promise.resolve({ buffer: Buffer.from('xlsx'), watermarkId: 'wm_1' })),
+  WATERMARK_EVENT: 'FILE_WATERMARKED'
+}));
+jest.mock('@/utils/audit', () => ({ createAuditLog: jest.fn() }));
+jest.mock('@/utils/downloads', () => ({
+  ...jest.requireActual('@/utils/downloads'),
+  resolveModelFile: jest.fn(() => '/srv/models/dcf.xlsx')
+}));
+
+import { sql } from '@vercel/postgres';
+import { incrementDownloadCount } from '@/utils/database';
+import { getActiveSeat, incrementSeatDownloadCount } from '@/utils/organizations';
+import { createDownloadToken, verifyDownloadToken } from '@/utils/downloads';
+import handler from '../../pages/api/download/[orderId]';
+
+const ORDER = {
+  id: 41,
+  organization_id: null,
+  email: 'buyer@example.com',
+  title: 'DCF Model',
+  excel_url: '/models/dcf.xlsx',
+  max_downloads: 5
+};
+
+async function download(orderId, token) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    setHeader() {}
+  };
+  await handler({ method: 'GET', headers: {}, query: { orderId: String(orderId), token } }, res);
+  return res;
+}
+
+function withSecret(secret, create) {
+  const original = process.env.DOWNLOAD_TOKEN_SECRET;
+  process.env.DOWNLOAD_TOKEN_SECRET = secret;
+  try {
+    return create();
+  } finally {
+    process.env.DOWNLOAD_TOKEN_SECRET = original;
+  }
+}
+
+describe('download tokens', () => {
+  beforeAll(() => {
+    process.env.DOWNLOAD_TOKEN_SECRET = 'test-download-secret';
+  });
+
+  beforeEach(() => {
+    sql.mockReset();
+    sql.mockImplementation(() => Promise.resolve({ rows: [{ ...ORDER }] }));
+    incrementDownloadCount.mockReset();
+    incrementDownloadCount.mockImplementation(() => Promise.resolve({ download_count: 1 }));
+    getActiveSeat.mockReset();
+    incrementSeatDownloadCount.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('serves a signed link without a session', async () => {
+    const res = await download(41, createDownloadToken({ orderId: 41 }));
+
+    expect(res.statusCode).toBe(200);
+    expect(incrementDownloadCount).toHaveBeenCalledWith('41');
+  });
+
+  it('refuses an expired link', async () => {
+    const token = createDownloadToken({ orderId: 41, expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await download(41, token);
+
+    expect(verifyDownloadToken(token)).toBeNull();
+    expect(res.statusCode).toBe(403);
+    expect(sql).not.toHaveBeenCalled();
+  });
+
+  it('refuses a link signed with another secret', async () => {
+    const token = withSecret('someone-elses-secret', () => createDownloadToken({ orderId: 41 }));
+
+    const res = await download(41, token);
+
+    expect(res.statusCode).toBe(403);
+    expect(sql).not.toHaveBeenCalled();
+  });
+
+  it('refuses a link whose order, seat or expiry was edited', async () => {
+    const [payload, signature] = createDownloadToken({ orderId: 41, seatId: 3 }).split('.');
+    const grant = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    for (const edit of [{ o: 42 }, { s: 4 }, { exp: grant.exp + 365 * 24 * 60 * 60 }]) {
+      const forged = Buffer.from(JSON.stringify({ ...grant, ...edit })).toString('base64url');
+      const res = await download(edit.o || 41, `${forged}.${signature}`);
+      expect(res.statusCode).toBe(403);
+    }
+
+    // An unsigned payload is not a token at all
+    expect((await download(41, payload)).statusCode).toBe(403);
+    expect(sql).not.toHaveBeenCalled();
+  });
+
+  it('refuses a valid link used for a different order', async () => {
+    const res = await download(42, createDownloadToken({ orderId: 41 }));
+
+    expect(res.statusCode).toBe(403);
+    expect(sql).not.toHaveBeenCalled();
+  });
+
+  it('counts a team download against the seat in the link, and refuses a used-up seat', async () => {
+    sql.mockImplementation(() => Promise.resolve({ rows: [{ ...ORDER, organization_id: 8 }] }));
+    getActiveSeat.mockImplementation(() => Promise.resolve({
+      id: 3, email: 'analyst@example.com', download_count: 0, download_expires_at: new Date(Date.now() + 60000)
+    }));
+    incrementSeatDownloadCount.mockImplementation(() => Promise.resolve({ download_count: 1 }));
+
+    const token = createDownloadToken({ orderId: 41, seatId: 3 });
+    const res = await download(41, token);
+
+    expect(res.statusCode).toBe(200);
+    expect(getActiveSeat).toHaveBeenCalledWith({ orderId: 41, email: null, seatId: 3 });
+    expect(incrementSeatDownloadCount).toHaveBeenCalledWith(3, 5);
+    expect(incrementDownloadCount).not.toHaveBeenCalled();
+
+    getActiveSeat.mockImplementation(() => Promise.resolve({
+      id: 3, email: 'analyst@example.com', download_count: 5, download_expires_at: new Date(Date.now() + 60000)
+    }));
+    expect((await download(41, token)).statusCode).toBe(404);
+    expect(incrementSeatDownloadCount).toHaveBeenCalledTimes(1);
+  });
+});
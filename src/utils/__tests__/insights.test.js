@@ -0,0 +1,124 @@
+jest.mock('@vercel/postgres', () => ({ sql: jest.fn() }));
+jest.mock('@/middleware/auth', () => ({ requireAdmin: jest.fn() }));
+jest.mock('@/utils/media', () => ({
+  syncInsightMedia: jest.fn(),
+  getMediaByUrl: jest.fn(() => Promise.resolve(null)),
+  clearMediaReferences: jest.fn()
+}));
+
+import { sql } from '@vercel/postgres';
+import { saveInsight, transitionInsight } from '../insights';
+import handler from '../../pages/api/insights';
+
+// The value interpolated right after the first piece of SQL ending in `name = `
+function valueAfter(strings, values, name) {
+  const index = strings.findIndex(part => part.trimEnd().endsWith(`${name} =`));
+  return index === -1 ? undefined : values[index];
+}
+
+// Enough of the insights table for saving, reviewing and reading one insight
+function fakeInsightsTable(row) {
+  const events = [];
+
+  sql.mockImplementation((strings, ...values) => {
+    const query = strings.join('?');
+    if (query.includes('WITH updated AS')) {
+      // saveInsight: new content, and back to draft from a reviewed status
+      const reviewed = values[strings.findIndex(part => part.includes('status = ANY('))];
+      Object.assign(row, {
+        title: valueAfter(strings, values, 'title'),
+        content: valueAfter(strings, values, 'content'),
+        revision: row.revision + 1,
+        status: reviewed.includes(row.status) ? 'draft' : row.status
+      });
+      return Promise.resolve({ rows: [{ ...row }] });
+    }
+    if (query.includes('UPDATE insights SET')) {
+      // transitionInsight
+      row.status = valueAfter(strings, values, 'status');
+      return Promise.resolve({ rows: [{ ...row }] });
+    }
+    if (query.includes('INSERT INTO insight_workflow_events')) {
+      events.push(values);
+      return Promise.resolve({ rows: [] });
+    }
+    if (query.includes('FROM insights WHERE slug')) {
+      const visible = !query.includes("status = 'published'") || row.status === 'published';
+      return Promise.resolve({ rows: visible ? [{ ...row }] : [] });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+
+  return { row, events };
+}
+
+async function readPublic(slug) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader() {}
+  };
+  await handler({ method: 'GET', query: { slug } }, res);
+  return res;
+}
+
+describe('insights', () => {
+  beforeEach(() => {
+    sql.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('takes an edited published insight offline until it is approved and published again', async () => {
+    const { row, events } = fakeInsightsTable({
+      id: 5,
+      slug: 'rates-outlook',
+      title: 'Rates Outlook',
+      summary: '',
+      content: '<p>Approved text</p>',
+      author: '',
+      cover_image_url: '',
+      tags: '',
+      date_published: '2026-01-05',
+      status: 'published',
+      revision: 3,
+      approved_revision: 3
+    });
+
+    expect((await readPublic('rates-outlook')).body.title).toBe('Rates Outlook');
+
+    const saved = await saveInsight('rates-outlook', { title: 'Rates Outlook (unreviewed)' }, { baseRevision: 3, userId: 9 });
+    expect(saved.insight.status).toBe('draft');
+    expect(row.title).toBe('Rates Outlook (unreviewed)');
+    expect(events).toHaveLength(1);
+
+    expect((await readPublic('rates-outlook')).statusCode).toBe(404);
+
+    // The editor can put it up for review but not back online
+    expect((await transitionInsight('rates-outlook', 'submit', { role: 'editor', userId: 9 })).error).toBeUndefined();
+    expect((await transitionInsight('rates-outlook', 'approve', { role: 'editor', userId: 9 })).status).toBe(403);
+    expect((await transitionInsight('rates-outlook', 'approve', { role: 'owner', userId: 2 })).error).toBeUndefined();
+    expect((await readPublic('rates-outlook')).statusCode).toBe(404);
+
+    await transitionInsight('rates-outlook', 'publish', { role: 'owner', userId: 2 });
+    const live = await readPublic('rates-outlook');
+    expect(live.statusCode).toBe(200);
+    expect(live.body.title).toBe('Rates Outlook (unreviewed)');
+  });
+
+  it('leaves a draft as a draft when it is saved', async () => {
+    fakeInsightsTable({
+      id: 6, slug: 'credit', title: 'Credit', summary: '', content: '', author: '', cover_image_url: '', tags: '',
+      date_published: null, status: 'draft', revision: 1
+    });
+
+    const saved = await saveInsight('credit', { title: 'Credit Spreads' }, { baseRevision: 1 });
+    expect(saved.insight.status).toBe('draft');
+    expect(saved.insight.revision).toBe(2);
+  });
+});
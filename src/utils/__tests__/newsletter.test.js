@@ -0,0 +1,143 @@
+import { setImmediate as nodeSetImmediate } from 'timers';
+import { startSmtpSink } from '../../../scripts/smtp-sink';
+
+jest.mock('@vercel/postgres', () => ({ sql: jest.fn() }));
+
+const CONTENT = {
+  subject: 'Q3 <Outlook>',
+  preheader: 'Rates, credit & more',
+  intro: 'First paragraph.\n\nSecond <b>paragraph</b>.',
+  insights: [
+    { title: 'Credit & Rates', summary: 'Spreads widen.', url: 'https://zencap.test/insights/credit', image_url: null }
+  ],
+  links: ['https://zencap.test/insights/credit', 'https://zencap.test/insights']
+};
+
+describe('newsletter', () => {
+  let sink;
+  let sql;
+  let newsletter;
+
+  beforeAll(async () => {
+    // nodemailer needs setImmediate, which the jsdom environment leaves out
+    global.setImmediate = global.setImmediate || nodeSetImmediate;
+
+    sink = await startSmtpSink({ port: 0 });
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(sink.port);
+    process.env.NEWSLETTER_TOKEN_SECRET = 'test-secret';
+    process.env.NEXT_PUBLIC_BASE_URL = 'https://zencap.test';
+    delete process.env.SENDGRID_API_KEY;
+
+    // email.js creates its transport when loaded, so load it after the env is set
+    sql = require('@vercel/postgres').sql;
+    newsletter = require('../newsletter');
+  });
+
+  afterAll(async () => {
+    await sink.close();
+  });
+
+  beforeEach(() => {
+    sql.mockReset();
+    sink.messages.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('tokens', () => {
+    it('round-trips the id for the same purpose only', () => {
+      const token = newsletter.createNewsletterToken('unsubscribe', 42);
+      expect(newsletter.verifyNewsletterToken(token, 'unsubscribe')).toBe(42);
+      expect(newsletter.verifyNewsletterToken(token, 'confirm')).toBeNull();
+    });
+
+    it('rejects tampered and expired tokens', () => {
+      const token = newsletter.createNewsletterToken('confirm', 7, 60);
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ p: 'confirm', i: 8 })).toString('base64url');
+
+      expect(newsletter.verifyNewsletterToken(`${forged}.${signature}`, 'confirm')).toBeNull();
+      expect(newsletter.verifyNewsletterToken(`${payload}.x`, 'confirm')).toBeNull();
+      expect(newsletter.verifyNewsletterToken('nonsense', 'confirm')).toBeNull();
+      expect(newsletter.verifyNewsletterToken(newsletter.createNewsletterToken('confirm', 7, -1), 'confirm')).toBeNull();
+    });
+  });
+
+  it('renders escaped content with every link tracked', () => {
+    const { html, text } = newsletter.renderCampaignEmail(CONTENT, {
+      clickUrl: index => `https://track.test/c?l=${index}`,
+      openUrl: 'https://track.test/o',
+      unsubscribeUrl: 'https://zencap.test/newsletter/unsubscribe?token=abc'
+    });
+
+    expect(html).toContain('Q3 &lt;Outlook&gt;');
+    expect(html).toContain('Second &lt;b&gt;paragraph&lt;/b&gt;.');
+    expect(html).toContain('Credit &amp; Rates');
+    expect(html).not.toContain('href="https://zencap.test/insights');
+    expect(html).toContain('href="https://track.test/c?l=0"');
+    expect(html).toContain('href="https://track.test/c?l=1"');
+    expect(html).toContain('<img src="https://track.test/o"');
+    expect(text).toContain('https://track.test/c?l=0');
+    expect(text).toContain('Unsubscribe: https://zencap.test/newsletter/unsubscribe?token=abc');
+  });
+
+  it('sends a batch over SMTP with one-click unsubscribe headers and skips those who left', async () => {
+    sql.mockImplementation(strings => {
+      const query = strings.join('?');
+      if (query.includes('FROM newsletter_campaigns WHERE id')) {
+        return Promise.resolve({ rows: [{ id: 3, status: 'sending', content: CONTENT }] });
+      }
+      if (query.includes("SET status = 'sending'")) {
+        return Promise.resolve({
+          rows: [
+            { id: 11, subscriber_id: 1, email: 'reader@example.com' },
+            { id: 12, subscriber_id: 2, email: 'gone@example.com' }
+          ]
+        });
+      }
+      if (query.includes('FROM newsletter_subscribers')) {
+        return Promise.resolve({ rows: [{ id: 1 }] });
+      }
+      if (query.includes('AS remaining')) {
+        return Promise.resolve({ rows: [{ remaining: 0 }] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    const result = await newsletter.sendCampaignBatch(3);
+
+    expect(result).toEqual({ sent: 1, failed: 0, skipped: 1, remaining: 0 });
+    expect(sink.messages).toHaveLength(1);
+
+    const [message] = sink.messages;
+    expect(message.to).toEqual(['reader@example.com']);
+    expect(message.headers['list-unsubscribe']).toMatch(/^<https:\/\/zencap\.test\/api\/newsletter\/unsubscribe\?token=.+>$/);
+    expect(message.headers['list-unsubscribe-post']).toBe('List-Unsubscribe=One-Click');
+
+    const token = decodeURIComponent(message.headers['list-unsubscribe'].match(/token=([^>]+)/)[1]);
+    expect(newsletter.verifyNewsletterToken(token, 'unsubscribe')).toBe(1);
+
+    // Quoted-printable soft breaks and escapes aside, the tracked links and pixel are in the body
+    const body = message.body.replace(/=\r\n/g, '').replace(/=3D/g, '=');
+    expect(body).toContain('https://zencap.test/api/newsletter/open?t=');
+    expect(body).toContain('https://zencap.test/api/newsletter/click?t=');
+
+    const queries = sql.mock.calls.map(([strings]) => strings.join('?'));
+    expect(queries.some(query => query.includes("SET status = 'skipped'"))).toBe(true);
+    expect(queries.some(query => query.includes("SET status = 'sent'") && query.includes('newsletter_campaigns'))).toBe(true);
+  });
+
+  it('refuses clicks with a bad token or a link outside the campaign', async () => {
+    expect(await newsletter.recordClick('bad-token', 0)).toBeNull();
+    expect(await newsletter.recordClick(newsletter.createNewsletterToken('delivery', 11), -1)).toBeNull();
+    expect(sql).not.toHaveBeenCalled();
+
+    sql.mockResolvedValueOnce({ rows: [{ url: null }] });
+    expect(await newsletter.recordClick(newsletter.createNewsletterToken('delivery', 11), 9)).toBeNull();
+    expect(sql).toHaveBeenCalledTimes(1);
+  });
+});
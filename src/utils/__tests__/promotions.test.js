@@ -0,0 +1,99 @@
+jest.mock('@vercel/postgres', () => ({ sql: jest.fn() }));
+
+import { sql } from '@vercel/postgres';
+import { validatePromotion, releasePromotion, recordRedemption } from '../promotions';
+
+const ITEMS = [{ type: 'model', modelId: 1, title: 'DCF Model', price: 2985, currency: 'usd' }];
+
+// Enough of the promotions table for checking and counting one code. The
+// conditional UPDATE checks and counts in one step, as Postgres does.
+function fakePromotionsTable(promotion) {
+  const row = {
+    id: 3,
+    code: 'LAUNCH10',
+    status: 'active',
+    starts_at: null,
+    expires_at: null,
+    usage_limit: null,
+    usage_count: 0,
+    first_time_only: false,
+    category: null,
+    discount_type: 'percent',
+    discount_value: '10',
+    currency: 'usd',
+    ...promotion
+  };
+
+  sql.mockImplementation(strings => {
+    const query = strings.join('?');
+    if (query.includes('SELECT * FROM promotions WHERE code')) {
+      return Promise.resolve({ rows: [{ ...row }] });
+    }
+    if (query.includes('usage_count = usage_count + 1')) {
+      const available = row.status === 'active' && (row.usage_limit === null || row.usage_count < row.usage_limit);
+      if (available) row.usage_count += 1;
+      return Promise.resolve({ rows: available ? [{ id: row.id }] : [] });
+    }
+    if (query.includes('GREATEST(usage_count - 1, 0)')) {
+      row.usage_count = Math.max(row.usage_count - 1, 0);
+      return Promise.resolve({ rows: [] });
+    }
+    if (query.includes('INSERT INTO promotion_redemptions')) {
+      return Promise.resolve({ rows: [{ id: 1 }] });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+
+  return row;
+}
+
+describe('promotions', () => {
+  beforeEach(() => {
+    sql.mockReset();
+  });
+
+  it('discounts eligible items without taking a use unless asked to', async () => {
+    const row = fakePromotionsTable({ usage_limit: 1 });
+
+    const result = await validatePromotion({ code: ' launch10 ', items: ITEMS });
+
+    expect(result.valid).toBe(true);
+    expect(result.discountAmount).toBe(29850);
+    expect(result.items[0].price).toBe(2686.5);
+    expect(row.usage_count).toBe(0);
+  });
+
+  it('refuses a code that has reached its usage limit', async () => {
+    fakePromotionsTable({ usage_limit: 5, usage_count: 5 });
+
+    const result = await validatePromotion({ code: 'LAUNCH10', items: ITEMS, reserve: true });
+
+    expect(result).toEqual(expect.objectContaining({ valid: false, reason: 'usage_limit' }));
+  });
+
+  it('lets only as many checkouts as the limit allows through at once', async () => {
+    const row = fakePromotionsTable({ usage_limit: 2 });
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => validatePromotion({ code: 'LAUNCH10', items: ITEMS, reserve: true }))
+    );
+
+    expect(results.filter(result => result.valid)).toHaveLength(2);
+    expect(results.filter(result => result.reason === 'usage_limit')).toHaveLength(3);
+    expect(row.usage_count).toBe(2);
+  });
+
+  it('gives a use back when a checkout expires, and counts a redemption only once', async () => {
+    const row = fakePromotionsTable({ usage_limit: 1 });
+
+    expect((await validatePromotion({ code: 'LAUNCH10', items: ITEMS, reserve: true })).valid).toBe(true);
+    expect((await validatePromotion({ code: 'LAUNCH10', items: ITEMS, reserve: true })).valid).toBe(false);
+
+    await releasePromotion(row.id);
+    expect(row.usage_count).toBe(0);
+
+    expect((await validatePromotion({ code: 'LAUNCH10', items: ITEMS, reserve: true })).valid).toBe(true);
+    await recordRedemption({ promotionId: row.id, stripeSessionId: 'cs_2', customerId: 7, customerEmail: 'a@example.com', discountAmount: 29850 });
+    expect(row.usage_count).toBe(1);
+  });
+});
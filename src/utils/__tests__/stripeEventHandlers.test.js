@@ -0,0 +1,168 @@
+jest.mock('@vercel/postgres', () => ({ sql: jest.fn() }));
+jest.mock('stripe', () => jest.fn(() => ({})));
+jest.mock('@/utils/cart', () => ({ markCartConverted: jest.fn() }));
+jest.mock('@/utils/pricing', () => ({ getModelForCheckout: jest.fn(), getEffectivePrice: jest.fn() }));
+jest.mock('@/utils/promotions', () => ({ recordRedemption: jest.fn(), releasePromotion: jest.fn() }));
+jest.mock('@/utils/downloads', () => ({ createDownloadUrl: jest.fn(id => `https://zencap.test/download/${id}`) }));
+jest.mock('@/utils/subscriptions', () => ({ upsertSubscription: jest.fn(), recordSubscriptionInvoice: jest.fn() }));
+jest.mock('@/utils/invoices', () => ({ getBillingDetails: jest.fn(() => ({})), issueInvoice: jest.fn(() => null) }));
+jest.mock('@/utils/audit', () => ({ createAuditLog: jest.fn() }));
+jest.mock('@/utils/email', () => ({ sendRefundEmail: jest.fn() }));
+
+import { sql } from '@vercel/postgres';
+import { createAuditLog } from '@/utils/audit';
+import { releasePromotion } from '@/utils/promotions';
+import { handleStripeEvent } from '../stripeEventHandlers';
+
+// A two-model checkout priced at 2,985.00 + 4,985.00 with no tax
+const PENDING_ORDERS = [
+  { id: 41, model_slug: 'dcf', amount: 298500, tax_amount: 0, currency: 'usd' },
+  { id: 42, model_slug: 'lbo', amount: 498500, tax_amount: 0, currency: 'usd' }
+];
+
+function checkoutCompleted(session) {
+  return {
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        id: 'cs_test_1',
+        mode: 'payment',
+        customer: 'cus_1',
+        payment_intent: 'pi_1',
+        currency: 'usd',
+        customer_details: { email: 'buyer@example.com' },
+        metadata: {},
+        ...session
+      }
+    }
+  };
+}
+
+// Enough of the orders, customers and revenue_events tables for a checkout
+function fakeDatabase() {
+  const state = { revenue: new Map(), failed: false, completed: false };
+
+  sql.mockImplementation((strings, ...values) => {
+    const query = strings.join('?');
+    if (query.includes('INSERT INTO customers')) {
+      return Promise.resolve({ rows: [{ id: 7 }] });
+    }
+    if (query.includes("SET status = 'failed'")) {
+      state.failed = true;
+      return Promise.resolve({ rows: [] });
+    }
+    if (query.includes("status = 'completed',")) {
+      state.completed = true;
+      return Promise.resolve({ rows: PENDING_ORDERS.map(order => ({ ...order, model_title: order.model_slug })) });
+    }
+    if (query.includes('FROM orders o')) {
+      const rows = state.completed ? PENDING_ORDERS.map(order => ({ ...order, email: 'buyer@example.com', model_title: order.model_slug })) : [];
+      return Promise.resolve({ rows });
+    }
+    if (query.includes('FROM orders')) {
+      return Promise.resolve({ rows: PENDING_ORDERS });
+    }
+    if (query.includes('INSERT INTO revenue_events')) {
+      const [transactionId, eventType, orderId, , , amount] = values;
+      if (state.revenue.has(transactionId)) return Promise.resolve({ rows: [] });
+      state.revenue.set(transactionId, { eventType, orderId, amount });
+      return Promise.resolve({ rows: [{ id: state.revenue.size }] });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+
+  return state;
+}
+
+describe('stripeEventHandlers', () => {
+  beforeEach(() => {
+    sql.mockReset();
+    createAuditLog.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('records purchase revenue from the verified payment, once per order', async () => {
+    const state = fakeDatabase();
+    const event = checkoutCompleted({ amount_subtotal: 797000, amount_total: 797000 });
+
+    const result = await handleStripeEvent(event);
+    await handleStripeEvent(event);
+
+    expect(result.summary.orderIds).toEqual([41, 42]);
+    expect([...state.revenue.entries()]).toEqual([
+      ['cs_test_1:41', { eventType: 'purchase', orderId: 41, amount: 2985 }],
+      ['cs_test_1:42', { eventType: 'purchase', orderId: 42, amount: 4985 }]
+    ]);
+  });
+
+  it('gives back the promotion use of an expired checkout once', async () => {
+    let pending = [{ id: 41, promotion_id: null }, { id: 42, promotion_id: 3 }];
+    sql.mockImplementation(strings => {
+      if (strings.join('?').includes("SET status = 'cancelled'")) {
+        const cancelled = pending;
+        pending = [];
+        return Promise.resolve({ rows: cancelled });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+    releasePromotion.mockClear();
+    const event = { type: 'checkout.session.expired', data: { object: { id: 'cs_test_1' } } };
+
+    expect((await handleStripeEvent(event)).summary.cancelledOrderIds).toEqual([41, 42]);
+    await handleStripeEvent(event);
+
+    expect(releasePromotion).toHaveBeenCalledTimes(1);
+    expect(releasePromotion).toHaveBeenCalledWith(3);
+  });
+
+  it('refuses a session whose price was tampered with and records no revenue', async () => {
+    const state = fakeDatabase();
+
+    const result = await handleStripeEvent(checkoutCompleted({ amount_subtotal: 100, amount_total: 100 }));
+
+    expect(result).toEqual({ summary: { orderIds: [], invoiceNumbers: [] }, emails: [] });
+    expect(state.failed).toBe(true);
+    expect(state.revenue.size).toBe(0);
+    expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'PURCHASE_AMOUNT_MISMATCH',
+      metadata: expect.objectContaining({ reason: 'amount_mismatch', expected: 797000, paid: 100 })
+    }));
+  });
+
+  it('refuses a session a Stripe promotion code discounted below the catalog price', async () => {
+    const state = fakeDatabase();
+
+    const result = await handleStripeEvent(checkoutCompleted({
+      amount_subtotal: 797000,
+      amount_total: 697000,
+      total_details: { amount_discount: 100000, amount_tax: 0 }
+    }));
+
+    expect(result.summary.orderIds).toEqual([]);
+    expect(state.failed).toBe(true);
+    expect(state.revenue.size).toBe(0);
+    expect(createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'PURCHASE_AMOUNT_MISMATCH',
+      metadata: expect.objectContaining({ expected: 797000, paid: 697000, discount: 100000 })
+    }));
+  });
+
+  it('takes Stripe Tax off the total before comparing it with the catalog price', async () => {
+    const state = fakeDatabase();
+
+    const result = await handleStripeEvent(checkoutCompleted({
+      amount_subtotal: 797000,
+      amount_total: 956400,
+      total_details: { amount_discount: 0, amount_tax: 159400 }
+    }));
+
+    expect(result.summary.orderIds).toEqual([41, 42]);
+    expect(state.failed).toBe(false);
+  });
+});
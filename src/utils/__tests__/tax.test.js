@@ -0,0 +1,76 @@
+import {
+  createLocalTaxProvider,
+  createStripeTaxProvider,
+  allocateTax,
+  formatTaxLabel
+} from '../tax';
+
+// Stripe's tax rates API, with the rates created so far
+function fakeStripe(existing = []) {
+  const taxRates = [...existing];
+  return {
+    taxRates: {
+      list: jest.fn(() => (async function* () { yield* taxRates; })()),
+      create: jest.fn(params => {
+        const taxRate = { id: `txr_${taxRates.length + 1}`, ...params };
+        taxRates.push(taxRate);
+        return Promise.resolve(taxRate);
+      })
+    }
+  };
+}
+
+describe('tax', () => {
+  it('offers every country rate so Stripe charges the one for the billing address', async () => {
+    const stripe = fakeStripe();
+    const provider = createLocalTaxProvider({ GB: 0.2, FI: 0.255 });
+
+    expect(await provider.checkoutParams(stripe, 'gbp')).toEqual({
+      lineItemParams: { dynamic_tax_rates: ['txr_1', 'txr_2'] },
+      params: {}
+    });
+    expect(stripe.taxRates.create).toHaveBeenCalledWith(expect.objectContaining({
+      country: 'FI', percentage: 25.5, inclusive: false, tax_type: 'vat'
+    }));
+  });
+
+  it('reuses the Stripe tax rates it created before', async () => {
+    const stripe = fakeStripe([
+      { id: 'txr_de', country: 'DE', percentage: 19, inclusive: false, metadata: { source: 'zencap-tax-table' } },
+      { id: 'txr_other', country: 'FR', percentage: 20, inclusive: false, metadata: {} }
+    ]);
+    const provider = createLocalTaxProvider({ DE: 0.19, FR: 0.2 });
+
+    const { lineItemParams } = await provider.checkoutParams(stripe, 'eur');
+    await provider.checkoutParams(stripe, 'eur');
+
+    expect(lineItemParams.dynamic_tax_rates).toEqual(['txr_de', 'txr_3']);
+    expect(stripe.taxRates.create).toHaveBeenCalledTimes(1);
+    expect(stripe.taxRates.list).toHaveBeenCalledTimes(1);
+  });
+
+  it('charges nothing with an empty rate table', async () => {
+    const stripe = fakeStripe();
+
+    expect(await createLocalTaxProvider({}).checkoutParams(stripe, 'usd')).toEqual({ lineItemParams: {}, params: {} });
+    expect(stripe.taxRates.list).not.toHaveBeenCalled();
+  });
+
+  it('leaves the calculation to Stripe with the Stripe provider', async () => {
+    expect(await createStripeTaxProvider().checkoutParams(fakeStripe(), 'eur')).toEqual({
+      lineItemParams: {},
+      params: { automatic_tax: { enabled: true } }
+    });
+  });
+
+  it('allocates a tax total in proportion to line amounts', () => {
+    expect(allocateTax(1000, [3000, 3000, 3000])).toEqual([333, 333, 334]);
+    expect(allocateTax(500, [1000, 0])).toEqual([500, 0]);
+    expect(allocateTax(0, [1000])).toEqual([0]);
+  });
+
+  it('formats the label without trailing zeros', () => {
+    expect(formatTaxLabel(0.19)).toBe('VAT (19%)');
+    expect(formatTaxLabel(0.255)).toBe('VAT (25.5%)');
+  });
+});
@@ -0,0 +1,628 @@
+// src/utils/articleDocument.js - The structured document insights are stored as
+//
+// A document is a JSON tree: { type: 'doc', content: [blocks] }. Node and
+// mark names follow Tiptap's (ProseMirror) JSON, so an editor built on the
+// installed Tiptap packages can read and write it as is:
+//
+//   blocks  paragraph, heading, bulletList, orderedList, listItem, blockquote,
+//           codeBlock, horizontalRule, image, table, tableRow, tableHeader,
+//           tableCell, callout
+//   inline  text (with marks), hardBreak
+//   marks   bold, italic, underline, strike, code, subscript, superscript,
+//           highlight, link, textStyle (color)
+//
+// Anything else is dropped by normalizeDocument, which every document passes
+// through before it is saved or rendered (src/utils/articleRenderer.js).
+
+export const TEXT_ALIGNMENTS = ['center', 'right', 'justify'];
+
+const SIMPLE_MARKS = ['bold', 'italic', 'underline', 'strike', 'code', 'subscript', 'superscript', 'highlight'];
+
+// Outermost first; the renderer nests marks in this order
+export const MARK_ORDER = ['link', 'textStyle', ...SIMPLE_MARKS];
+
+const MAX_ATTRIBUTE_LENGTH = 2048;
+
+/**
+ * A URL that is safe to put in href or src: http(s), mailto and tel links,
+ * and relative paths. Returns null for anything else (javascript:, data:...).
+ */
+export function safeUrl(value, { schemes = ['http', 'https', 'mailto', 'tel'] } = {}) {
+  if (typeof value !== 'string') return null;
+  const url = value.trim();
+  if (!url || url.length > MAX_ATTRIBUTE_LENGTH) return null;
+
+  // Browsers ignore control characters and whitespace when reading the
+  // scheme, so "java\tscript:" must be judged as "javascript:", and read
+  // backslashes as slashes, so "/\evil.com" is protocol-relative too
+  const compact = url.replace(/[\u0000- \u007f]+/g, '').replace(/\\/g, '/');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme) {
+    return schemes.includes(scheme[1].toLowerCase()) ? url : null;
+  }
+  if (compact.startsWith('//')) return null;
+  return url;
+}
+
+/**
+ * A CSS color from the editor's palette syntax: hex, rgb()/rgba() or a name
+ */
+export function safeColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+  return /^(#[0-9a-f]{3,8}|rgba?\(\s*[\d.]+%?\s*(,\s*[\d.]+%?\s*){2,3}\)|[a-z]{3,20})$/.test(color) ? color : null;
+}
+
+function cleanString(value, max = 500) {
+  return typeof value === 'string' ? value.slice(0, max) : '';
+}
+
+function normalizeMark(mark) {
+  if (!mark || typeof mark !== 'object') return null;
+  if (SIMPLE_MARKS.includes(mark.type)) return { type: mark.type };
+  if (mark.type === 'link') {
+    const href = safeUrl(mark.attrs?.href);
+    return href ? { type: 'link', attrs: { href } } : null;
+  }
+  if (mark.type === 'textStyle') {
+    const color = safeColor(mark.attrs?.color);
+    return color ? { type: 'textStyle', attrs: { color } } : null;
+  }
+  return null;
+}
+
+function normalizeMarks(marks) {
+  if (!Array.isArray(marks)) return [];
+  const byType = new Map();
+  for (const mark of marks.map(normalizeMark).filter(Boolean)) {
+    byType.set(mark.type, mark); // the innermost link or color wins
+  }
+  return MARK_ORDER.filter(type => byType.has(type)).map(type => byType.get(type));
+}
+
+export function sameMarks(a = [], b = []) {
+  return a.length === b.length && a.every((mark, i) => JSON.stringify(mark) === JSON.stringify(b[i]));
+}
+
+/**
+ * Text and hard breaks, with adjacent text of the same marks merged
+ */
+function normalizeInline(nodes) {
+  if (!Array.isArray(nodes)) return [];
+  const inline = [];
+  for (const node of nodes) {
+    if (node?.type === 'hardBreak') {
+      inline.push({ type: 'hardBreak' });
+    } else if (node?.type === 'text' && typeof node.text === 'string' && node.text) {
+      const marks = normalizeMarks(node.marks);
+      const previous = inline[inline.length - 1];
+      if (previous?.type === 'text' && sameMarks(previous.marks, marks)) {
+        previous.text += node.text;
+      } else {
+        inline.push(marks.length ? { type: 'text', text: node.text, marks } : { type: 'text', text: node.text });
+      }
+    }
+  }
+
+  // Breaks at either end of a block only add blank space
+  while (inline[0]?.type === 'hardBreak') inline.shift();
+  while (inline[inline.length - 1]?.type === 'hardBreak') inline.pop();
+  return inline;
+}
+
+function textblock(type, node, attrs) {
+  const content = normalizeInline(node.content);
+  if (!content.some(child => child.type === 'text' && child.text.trim())) return null;
+  return attrs ? { type, attrs, content } : { type, content };
+}
+
+function alignment(node) {
+  const textAlign = node.attrs?.textAlign;
+  return TEXT_ALIGNMENTS.includes(textAlign) ? { textAlign } : undefined;
+}
+
+function normalizeBlock(node) {
+  if (!node || typeof node !== 'object') return null;
+
+  switch (node.type) {
+    case 'paragraph':
+      return textblock('paragraph', node, alignment(node));
+
+    case 'heading': {
+      const level = Math.min(6, Math.max(1, parseInt(node.attrs?.level, 10) || 2));
+      return textblock('heading', node, { level, ...alignment(node) });
+    }
+
+    case 'bulletList':
+    case 'orderedList': {
+      const items = (Array.isArray(node.content) ? node.content : [])
+        .filter(item => item?.type === 'listItem')
+        .map(item => ({ type: 'listItem', content: normalizeBlocks(item.content) }))
+        .filter(item => item.content.length);
+      if (!items.length) return null;
+      const start = parseInt(node.attrs?.start, 10);
+      return node.type === 'orderedList' && start >= 0 && start !== 1
+        ? { type: 'orderedList', attrs: { start }, content: items }
+        : { type: node.type, content: items };
+    }
+
+    case 'blockquote':
+    case 'callout': {
+      const content = normalizeBlocks(node.content);
+      return content.length ? { type: node.type, content } : null;
+    }
+
+    case 'codeBlock': {
+      const text = (Array.isArray(node.content) ? node.content : [])
+        .map(child => (child?.type === 'text' && typeof child.text === 'string' ? child.text : ''))
+        .join('');
+      if (!text.trim()) return null;
+      const language = /^[a-z0-9+#-]{1,20}$/i.test(node.attrs?.language || '') ? node.attrs.language.toLowerCase() : null;
+      return { type: 'codeBlock', attrs: { language }, content: [{ type: 'text', text }] };
+    }
+
+    case 'horizontalRule':
+      return { type: 'horizontalRule' };
+
+    case 'image': {
+      const src = safeUrl(node.attrs?.src, { schemes: ['http', 'https'] });
+      if (!src) return null;
+      return { type: 'image', attrs: { src, alt: cleanString(node.attrs?.alt), title: cleanString(node.attrs?.title) } };
+    }
+
+    case 'table': {
+      const rows = (Array.isArray(node.content) ? node.content : [])
+        .filter(row => row?.type === 'tableRow')
+        .map(row => ({
+          type: 'tableRow',
+          content: (Array.isArray(row.content) ? row.content : [])
+            .filter(cell => cell?.type === 'tableHeader' || cell?.type === 'tableCell')
+            .map(cell => ({ type: cell.type, content: normalizeBlocks(cell.content) }))
+        }))
+        .filter(row => row.content.length);
+      return rows.length ? { type: 'table', content: rows } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+function normalizeBlocks(nodes) {
+  return (Array.isArray(nodes) ? nodes : []).map(normalizeBlock).filter(Boolean);
+}
+
+/**
+ * Keep only the nodes, marks and attributes of the document format, with
+ * unsafe URLs and colors removed. Accepts a document or its JSON string.
+ */
+export function normalizeDocument(document) {
+  let doc = document;
+  if (typeof doc === 'string') {
+    try {
+      doc = JSON.parse(doc);
+    } catch (error) {
+      doc = null;
+    }
+  }
+  return { type: 'doc', content: doc?.type === 'doc' ? normalizeBlocks(doc.content) : [] };
+}
+
+/**
+ * The plain text of a node and everything in it
+ */
+export function nodeText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.text;
+  if (node.type === 'hardBreak') return ' ';
+  return (node.content || []).map(nodeText).join(' ');
+}
+
+// -- HTML import -------------------------------------------------------------
+// Converts the HTML the rich text editor saves (and articles saved before
+// documents existed) into a document. The parser is deliberately forgiving:
+// it only needs to recover the structure, and whatever it can't place is
+// dropped by normalizeDocument rather than passed through.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Dropped along with everything inside them
+const SKIPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'iframe', 'object', 'svg', 'math', 'textarea', 'select', 'title', 'head']);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot',
+  'th', 'thead', 'tr', 'ul'
+]);
+
+const TEXTBLOCK_TAGS = new Set(['p', 'dt', 'dd', 'figcaption', 'summary', 'caption', 'address']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', ensp: '\u2002', emsp: '\u2003',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', sbquo: '‚',
+  ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»', bull: '•',
+  middot: '·', copy: '©', reg: '®', trade: '™', euro: '€', pound: '£',
+  yen: '¥', cent: '¢', deg: '°', plusmn: '±', times: '×', divide: '÷',
+  minus: '−', permil: '‰', frac12: '½', frac14: '¼', frac34: '¾', sect: '§',
+  para: '¶', rarr: '→', larr: '←', uarr: '↑', darr: '↓', le: '≤', ge: '≥',
+  ne: '≠', asymp: '≈', infin: '∞', check: '✓', zwj: '\u200d', zwnj: '\u200c'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff) ? String.fromCodePoint(code) : '\ufffd';
+    }
+    return NAMED_ENTITIES[entity] ?? NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+const TAG_PATTERN = /<(\/?)([a-z][a-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/iy;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) {
+      attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+  return attrs;
+}
+
+// Opening one of these closes an open element of the listed tags, as long
+// as none of the boundary tags sits between them
+const IMPLIED_CLOSES = [
+  { opens: BLOCK_TAGS, closes: ['p'], boundaries: ['li', 'td', 'th', 'blockquote', 'div', 'table', 'body'] },
+  { opens: new Set(['li']), closes: ['li'], boundaries: ['ul', 'ol'] },
+  { opens: new Set(['dt', 'dd']), closes: ['dt', 'dd'], boundaries: ['dl'] },
+  { opens: new Set(['td', 'th']), closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+  { opens: new Set(['tr']), closes: ['tr', 'td', 'th'], boundaries: ['table', 'thead', 'tbody', 'tfoot'] },
+  { opens: new Set(['thead', 'tbody', 'tfoot']), closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], boundaries: ['table'] }
+];
+
+function closeImplied(stack, tag) {
+  for (const rule of IMPLIED_CLOSES) {
+    if (!rule.opens.has(tag)) continue;
+    let outermost = -1;
+    for (let i = stack.length - 1; i > 0 && !rule.boundaries.includes(stack[i].tag); i--) {
+      if (rule.closes.includes(stack[i].tag)) outermost = i;
+    }
+    if (outermost !== -1) stack.length = outermost;
+  }
+}
+
+/**
+ * Parse HTML into a tree of { tag, attrs, children } elements and
+ * { text } nodes
+ */
+export function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const source = String(html || '');
+  let position = 0;
+
+  const appendText = (text) => {
+    if (text) stack[stack.length - 1].children.push({ text: decodeEntities(text) });
+  };
+
+  while (position < source.length) {
+    const next = source.indexOf('<', position);
+    if (next === -1) {
+      appendText(source.slice(position));
+      break;
+    }
+    appendText(source.slice(position, next));
+    position = next;
+
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position + 4);
+      position = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[position + 1] === '!' || source[position + 1] === '?') {
+      const end = source.indexOf('>', position);
+      position = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    TAG_PATTERN.lastIndex = position;
+    const match = TAG_PATTERN.exec(source);
+    if (!match) {
+      appendText('<');
+      position++;
+      continue;
+    }
+    position = TAG_PATTERN.lastIndex;
+
+    const [, closing, rawTag, attributes] = match;
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tag) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (SKIPPED_TAGS.has(tag)) {
+      const end = source.toLowerCase().indexOf(`</${tag}`, position);
+      position = end === -1 ? source.length : source.indexOf('>', end) + 1 || source.length;
+      continue;
+    }
+
+    closeImplied(stack, tag);
+    const element = { tag, attrs: parseAttributes(attributes), children: [] };
+    stack[stack.length - 1].children.push(element);
+    if (!VOID_TAGS.has(tag)) stack.push(element);
+  }
+
+  return root;
+}
+
+function styleProperty(element, property) {
+  const style = element.attrs.style || '';
+  const match = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i'));
+  return match ? match[1].replace(/!important/i, '').trim() : null;
+}
+
+function classes(element) {
+  return (element.attrs.class || '').split(/\s+/).filter(Boolean);
+}
+
+function textContent(node) {
+  if (node.text !== undefined) return node.text;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(textContent).join('');
+}
+
+function elementAlignment(element) {
+  const value = (styleProperty(element, 'text-align') || element.attrs.align || '').toLowerCase();
+  return TEXT_ALIGNMENTS.includes(value) ? { textAlign: value } : undefined;
+}
+
+function withMark(marks, mark) {
+  return [...marks.filter(existing => existing.type !== mark.type), mark];
+}
+
+function inlineMarks(element, marks) {
+  const add = (mark) => withMark(marks, mark);
+
+  switch (element.tag) {
+    case 'strong':
+    case 'b':
+      return add({ type: 'bold' });
+    case 'em':
+    case 'i':
+    case 'cite':
+    case 'dfn':
+      return add({ type: 'italic' });
+    case 'u':
+    case 'ins':
+      return add({ type: 'underline' });
+    case 's':
+    case 'strike':
+    case 'del':
+      return add({ type: 'strike' });
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt':
+      return add({ type: 'code' });
+    case 'sub':
+      return add({ type: 'subscript' });
+    case 'sup':
+      return add({ type: 'superscript' });
+    case 'mark':
+      return add({ type: 'highlight' });
+    case 'a':
+      return element.attrs.href ? add({ type: 'link', attrs: { href: element.attrs.href } }) : marks;
+    default: {
+      // The editor's "default color" span only resets color; real colors
+      // carry data-custom-color
+      if (element.tag === 'span' && classes(element).includes('custom-text-color') && !element.attrs['data-custom-color']) {
+        return marks.filter(mark => mark.type !== 'textStyle');
+      }
+      let next = marks;
+      const color = styleProperty(element, 'color') || (element.tag === 'font' ? element.attrs.color : null);
+      if (color) next = withMark(next, { type: 'textStyle', attrs: { color } });
+      if (/^(bold|[6-9]00)$/i.test(styleProperty(element, 'font-weight') || '')) next = withMark(next, { type: 'bold' });
+      if (/^italic$/i.test(styleProperty(element, 'font-style') || '')) next = withMark(next, { type: 'italic' });
+      return next;
+    }
+  }
+}
+
+function imageNode(element) {
+  return { type: 'image', attrs: { src: element.attrs.src, alt: element.attrs.alt || '', title: element.attrs.title || '' } };
+}
+
+/**
+ * Inline content of an element, with images (which are blocks in the
+ * document) left in place for the caller to split around
+ */
+function collectInline(nodes, marks, out) {
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      const text = node.text.replace(/[\t\n\f\r ]+/g, ' ');
+      if (text) out.push(marks.length ? { type: 'text', text, marks } : { type: 'text', text });
+    } else if (node.tag === 'br') {
+      out.push({ type: 'hardBreak' });
+    } else if (node.tag === 'img') {
+      out.push(imageNode(node));
+    } else if (BLOCK_TAGS.has(node.tag)) {
+      // A block inside inline markup: keep its text on a new line
+      out.push({ type: 'hardBreak' });
+      collectInline(node.children, marks, out);
+      out.push({ type: 'hardBreak' });
+    } else {
+      collectInline(node.children, inlineMarks(node, marks), out);
+    }
+  }
+  return out;
+}
+
+// HTML collapses runs of whitespace, including across element boundaries,
+// and ignores it at the start and end of a line
+function collapseWhitespace(inline) {
+  const result = [];
+  for (const node of inline) {
+    if (node.type !== 'text') {
+      const previous = result[result.length - 1];
+      if (previous?.type === 'text') previous.text = previous.text.replace(/ $/, '');
+      result.push(node);
+      continue;
+    }
+    const previous = result[result.length - 1];
+    const atLineStart = !previous || previous.type === 'hardBreak';
+    const afterSpace = previous?.type === 'text' && previous.text.endsWith(' ');
+    const text = atLineStart || afterSpace ? node.text.replace(/^ /, '') : node.text;
+    if (text) result.push({ ...node, text });
+  }
+  const last = result[result.length - 1];
+  if (last?.type === 'text') last.text = last.text.replace(/ $/, '');
+  return result.filter(node => node.type !== 'text' || node.text);
+}
+
+/**
+ * Textblocks (paragraphs or headings) for a run of inline HTML, split
+ * around any images in it
+ */
+function textblocks(nodes, type = 'paragraph', attrs) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    const content = collapseWhitespace(run);
+    if (content.length) blocks.push(attrs ? { type, attrs, content } : { type, content });
+    run = [];
+  };
+  for (const node of collectInline(nodes, [], [])) {
+    if (node.type === 'image') {
+      flush();
+      blocks.push(node);
+    } else {
+      run.push(node);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function isCalloutIcon(node) {
+  if (node.tag !== 'div' && node.tag !== 'span') return false;
+  const text = textContent(node).trim();
+  return text.length > 0 && text.length <= 4 && !/[\p{L}\p{N}]/u.test(text);
+}
+
+function convertList(element) {
+  const items = element.children
+    .filter(child => child.tag !== undefined || child.text.trim())
+    .map(child => ({ type: 'listItem', content: child.tag === 'li' ? convertBlocks(child.children) : convertBlocks([child]) }));
+  const start = parseInt(element.attrs.start, 10);
+  return element.tag === 'ol'
+    ? { type: 'orderedList', attrs: Number.isNaN(start) ? {} : { start }, content: items }
+    : { type: 'bulletList', content: items };
+}
+
+function tableRows(element) {
+  return element.children.flatMap(child => {
+    if (child.tag === 'tr') return [child];
+    if (['thead', 'tbody', 'tfoot'].includes(child.tag)) return tableRows(child);
+    return [];
+  });
+}
+
+function convertTable(element) {
+  return {
+    type: 'table',
+    content: tableRows(element).map(row => ({
+      type: 'tableRow',
+      content: row.children
+        .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+        .map(cell => ({ type: cell.tag === 'th' ? 'tableHeader' : 'tableCell', content: convertBlocks(cell.children) }))
+    }))
+  };
+}
+
+function convertBlock(element) {
+  const { tag } = element;
+
+  if (/^h[1-6]$/.test(tag)) {
+    return textblocks(element.children, 'heading', { level: Number(tag[1]), ...elementAlignment(element) });
+  }
+  if (TEXTBLOCK_TAGS.has(tag)) {
+    return textblocks(element.children, 'paragraph', elementAlignment(element));
+  }
+
+  switch (tag) {
+    case 'ul':
+    case 'ol':
+      return [convertList(element)];
+    case 'li':
+      return [{ type: 'bulletList', content: [{ type: 'listItem', content: convertBlocks(element.children) }] }];
+    case 'blockquote':
+      return [{ type: 'blockquote', content: convertBlocks(element.children) }];
+    case 'pre': {
+      const code = element.children.find(child => child.tag === 'code');
+      const language = [...classes(element), ...(code ? classes(code) : [])]
+        .map(name => name.match(/^(?:language|lang)-(.+)$/)?.[1])
+        .find(Boolean);
+      return [{
+        type: 'codeBlock',
+        attrs: { language: language || null },
+        content: [{ type: 'text', text: textContent(element).replace(/^\n/, '').replace(/\s+$/, '') }]
+      }];
+    }
+    case 'hr':
+      return [{ type: 'horizontalRule' }];
+    case 'table':
+      return [convertTable(element)];
+    default:
+      break;
+  }
+
+  if (tag === 'div' && classes(element).some(name => name === 'callout' || name === 'callout-box')) {
+    const children = element.children.filter(child => child.text === undefined || child.text.trim());
+    return [{ type: 'callout', content: convertBlocks(isCalloutIcon(children[0] || {}) ? children.slice(1) : children) }];
+  }
+
+  // div, section, figure and other containers only group their content
+  const align = elementAlignment(element);
+  const blocks = convertBlocks(element.children);
+  return align
+    ? blocks.map(block => (block.type === 'paragraph' && !block.attrs ? { ...block, attrs: align } : block))
+    : blocks;
+}
+
+function convertBlocks(nodes) {
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    blocks.push(...textblocks(inline));
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (node.text === undefined && BLOCK_TAGS.has(node.tag)) {
+      flush();
+      blocks.push(...convertBlock(node));
+    } else {
+      inline.push(node);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Convert HTML into a normalized document
+ */
+export function htmlToDocument(html) {
+  return normalizeDocument({ type: 'doc', content: convertBlocks(parseHtml(html).children) });
+}
@@ -0,0 +1,196 @@
+// src/utils/articleRenderer.js - Render insight documents to sanitized HTML
+//
+// The HTML is built from the document alone: every tag and attribute below
+// is written here, text is escaped and URLs and colors have already been
+// checked by normalizeDocument, so nothing in a document can inject markup.
+import { nodeText, normalizeDocument, sameMarks } from './articleDocument.js';
+
+export const WORDS_PER_MINUTE = 200;
+export const TOC_MAX_LEVEL = 3; // deeper headings get anchors but stay out of the contents
+
+const MARK_TAGS = {
+  bold: 'strong',
+  italic: 'em',
+  underline: 'u',
+  strike: 's',
+  code: 'code',
+  subscript: 'sub',
+  superscript: 'sup',
+  highlight: 'mark'
+};
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * The anchor id for a heading's text
+ */
+export function headingSlug(text) {
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 60)
+    .replace(/^-+|-+$/g, '');
+  return slug || 'section';
+}
+
+function uniqueId(base, used) {
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+  used.add(id);
+  return id;
+}
+
+function openMark(mark) {
+  if (mark.type === 'link') {
+    const external = /^https?:\/\//i.test(mark.attrs.href);
+    return `<a href="${escapeHtml(mark.attrs.href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>`;
+  }
+  if (mark.type === 'textStyle') {
+    return `<span style="color: ${escapeHtml(mark.attrs.color)}">`;
+  }
+  return `<${MARK_TAGS[mark.type]}>`;
+}
+
+function closeMark(mark) {
+  if (mark.type === 'link') return '</a>';
+  if (mark.type === 'textStyle') return '</span>';
+  return `</${MARK_TAGS[mark.type]}>`;
+}
+
+/**
+ * Text with its marks nested in MARK_ORDER, keeping a mark open across
+ * neighbouring text that shares it
+ */
+function renderInline(nodes = []) {
+  let html = '';
+  let open = [];
+
+  for (const node of nodes) {
+    const marks = node.type === 'text' ? node.marks || [] : [];
+    let keep = 0;
+    while (keep < open.length && keep < marks.length && sameMarks([open[keep]], [marks[keep]])) keep++;
+
+    html += open.slice(keep).reverse().map(closeMark).join('');
+    html += marks.slice(keep).map(openMark).join('');
+    open = marks;
+
+    html += node.type === 'hardBreak' ? '<br>' : escapeHtml(node.text);
+  }
+
+  return html + open.slice().reverse().map(closeMark).join('');
+}
+
+function alignStyle(node) {
+  return node.attrs?.textAlign ? ` style="text-align: ${node.attrs.textAlign}"` : '';
+}
+
+// List items and table cells holding one plain paragraph render as just
+// its text, the way the editor writes them
+function renderCompact(content, state) {
+  const [only] = content;
+  return content.length === 1 && only.type === 'paragraph' && !only.attrs
+    ? renderInline(only.content)
+    : renderBlocks(content, state);
+}
+
+function renderCell(cell, state) {
+  const tag = cell.type === 'tableHeader' ? 'th' : 'td';
+  return `<${tag}>${renderCompact(cell.content, state)}</${tag}>`;
+}
+
+function renderTable(node, state) {
+  const rows = node.content;
+  let headerRows = 0;
+  while (headerRows < rows.length && rows[headerRows].content.every(cell => cell.type === 'tableHeader')) headerRows++;
+
+  const renderRows = list => list.map(row => `<tr>${row.content.map(cell => renderCell(cell, state)).join('')}</tr>`).join('');
+  const head = headerRows ? `<thead>${renderRows(rows.slice(0, headerRows))}</thead>` : '';
+  const body = headerRows < rows.length ? `<tbody>${renderRows(rows.slice(headerRows))}</tbody>` : '';
+  return `<table>${head}${body}</table>`;
+}
+
+function renderBlock(node, state) {
+  switch (node.type) {
+    case 'paragraph':
+      return `<p${alignStyle(node)}>${renderInline(node.content)}</p>`;
+
+    case 'heading': {
+      const { level } = node.attrs;
+      const text = nodeText(node).replace(/\s+/g, ' ').trim();
+      const id = uniqueId(headingSlug(text), state.ids);
+      if (level <= TOC_MAX_LEVEL) state.toc.push({ id, text, level });
+      return `<h${level} id="${id}"${alignStyle(node)}>${renderInline(node.content)}</h${level}>`;
+    }
+
+    case 'bulletList':
+      return `<ul>${node.content.map(item => `<li>${renderCompact(item.content, state)}</li>`).join('')}</ul>`;
+
+    case 'orderedList': {
+      const start = node.attrs?.start !== undefined ? ` start="${node.attrs.start}"` : '';
+      return `<ol${start}>${node.content.map(item => `<li>${renderCompact(item.content, state)}</li>`).join('')}</ol>`;
+    }
+
+    case 'blockquote':
+      return `<blockquote>${renderBlocks(node.content, state)}</blockquote>`;
+
+    case 'callout':
+      return `<div class="callout">${renderBlocks(node.content, state)}</div>`;
+
+    case 'codeBlock': {
+      const language = node.attrs?.language ? ` class="language-${escapeHtml(node.attrs.language)}"` : '';
+      return `<pre><code${language}>${escapeHtml(nodeText(node))}</code></pre>`;
+    }
+
+    case 'horizontalRule':
+      return '<hr>';
+
+    case 'image': {
+      const { src, alt, title } = node.attrs;
+      return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''} loading="lazy">`;
+    }
+
+    case 'table':
+      return renderTable(node, state);
+
+    default:
+      return '';
+  }
+}
+
+function renderBlocks(nodes, state) {
+  return nodes.map(node => renderBlock(node, state)).join('\n');
+}
+
+function countWords(node) {
+  if (node.type === 'text') return node.text.split(/\s+/).filter(Boolean).length;
+  return (node.content || []).reduce((total, child) => total + countWords(child), 0);
+}
+
+/**
+ * Render a document to the HTML shown on the insight page, with an id on
+ * every heading, the table of contents those ids make up and the estimated
+ * reading time
+ * @returns {{ html: string, toc: Array<{ id: string, text: string, level: number }>, wordCount: number, readingMinutes: number }}
+ */
+export function renderArticle(document) {
+  const doc = normalizeDocument(document);
+  const state = { ids: new Set(), toc: [] };
+  const html = renderBlocks(doc.content, state);
+  const wordCount = countWords(doc);
+
+  return {
+    html,
+    toc: state.toc,
+    wordCount,
+    readingMinutes: wordCount ? Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) : 0
+  };
+}
@@ -17,7 +17,7 @@ const REFRESH_TOKEN_EXPIRY = '7d';
  * @property {number} id - User ID
  * @property {string} email - User email
  * @property {string} name - User name
- * @property {string} role - User role (admin, user)
+ * @property {string} role - User role: 'user', or an admin role from src/config/roles.js
  * @property {Date} created_at - Creation timestamp
  */
 
@@ -0,0 +1,407 @@
+// src/utils/cart.js - Server-side cart and bundle utilities
+import crypto from 'crypto';
+import { sql } from '@vercel/postgres';
+import { toCents, getEffectivePrice, getPriceBook, DEFAULT_CURRENCY } from '@/utils/pricing';
+import { normalizeCurrency } from '@/config/currencies';
+
+export const CART_COOKIE = 'zencap-cart';
+const CART_COOKIE_MAX_AGE = 30 * 24 * 60 * 60; // 30 days
+
+/**
+ * Read the anonymous cart token from the request cookies
+ */
+export function readCartToken(req) {
+  const token = req.cookies?.[CART_COOKIE];
+  return token && /^[a-f0-9]{32,64}$/.test(token) ? token : null;
+}
+
+/**
+ * Persist the cart token in an httpOnly cookie
+ */
+export function writeCartCookie(res, token) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  res.setHeader(
+    'Set-Cookie',
+    `${CART_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${CART_COOKIE_MAX_AGE}${secure}`
+  );
+}
+
+/**
+ * Find the open cart for this visitor, creating one if needed.
+ * A signed-in user keeps a single cart across devices; an anonymous
+ * cart is claimed by the user the first time they sign in.
+ */
+export async function getOrCreateCart({ token, userId = null }) {
+  try {
+    if (token) {
+      const result = await sql`
+        SELECT * FROM carts WHERE token = ${token} AND status = 'open' LIMIT 1;
+      `;
+      const cart = result.rows[0];
+
+      if (cart) {
+        if (userId && !cart.user_id) {
+          const claimed = await sql`
+            UPDATE carts SET user_id = ${userId}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ${cart.id}
+            RETURNING *;
+          `;
+          return claimed.rows[0];
+        }
+        return cart;
+      }
+    }
+
+    if (userId) {
+      const result = await sql`
+        SELECT * FROM carts
+        WHERE user_id = ${userId} AND status = 'open'
+        ORDER BY updated_at DESC
+        LIMIT 1;
+      `;
+      if (result.rows[0]) return result.rows[0];
+    }
+
+    const newToken = crypto.randomBytes(24).toString('hex');
+    const created = await sql`
+      INSERT INTO carts (token, user_id)
+      VALUES (${newToken}, ${userId})
+      RETURNING *;
+    `;
+    return created.rows[0];
+  } catch (error) {
+    console.error('Error getting or creating cart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all active bundles with their models and undiscounted total
+ */
+export async function getActiveBundles() {
+  try {
+    const result = await sql`
+      SELECT b.*,
+             COALESCE(SUM(m.price), 0) AS original_price,
+             COALESCE(
+               json_agg(json_build_object('id', m.id, 'slug', m.slug, 'title', m.title, 'price', m.price) ORDER BY m.title)
+                 FILTER (WHERE m.id IS NOT NULL),
+               '[]'
+             ) AS models
+      FROM bundles b
+      LEFT JOIN bundle_models bm ON bm.bundle_id = b.id
+      LEFT JOIN models m ON m.id = bm.model_id AND m.status = 'active'
+      WHERE b.status = 'active'
+      GROUP BY b.id
+      ORDER BY b.sort_order, b.id;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching bundles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single bundle with its models, regardless of status
+ */
+export async function getBundleBySlug(slug) {
+  try {
+    const result = await sql`
+      SELECT b.*,
+             COALESCE(SUM(m.price), 0) AS original_price,
+             COALESCE(
+               json_agg(json_build_object('id', m.id, 'slug', m.slug, 'title', m.title, 'price', m.price) ORDER BY m.title)
+                 FILTER (WHERE m.id IS NOT NULL),
+               '[]'
+             ) AS models
+      FROM bundles b
+      LEFT JOIN bundle_models bm ON bm.bundle_id = b.id
+      LEFT JOIN models m ON m.id = bm.model_id AND m.status = 'active'
+      WHERE b.slug = ${slug}
+      GROUP BY b.id;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching bundle by slug:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the set of models that make up a bundle
+ */
+export async function setBundleModels(bundleId, modelIds = []) {
+  try {
+    await sql`DELETE FROM bundle_models WHERE bundle_id = ${bundleId};`;
+
+    for (const modelId of modelIds) {
+      await sql`
+        INSERT INTO bundle_models (bundle_id, model_id)
+        VALUES (${bundleId}, ${modelId})
+        ON CONFLICT DO NOTHING;
+      `;
+    }
+  } catch (error) {
+    console.error('Error setting bundle models:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get cart items with current catalog pricing. The cart is priced in the
+ * requested currency when every item is sold in it, otherwise in the
+ * default currency, so a checkout never mixes currencies.
+ */
+export async function getCartContents(cartId, { currency = null } = {}) {
+  try {
+    const modelItems = await sql`
+      SELECT ci.id, ci.model_id, m.slug, m.title, m.price, m.category,
+             m.currency, m.sale_price, m.sale_starts_at, m.sale_ends_at,
+             (SELECT json_object_agg(p.currency, json_build_object('price', p.price, 'sale_price', p.sale_price))
+              FROM price_book_entries p WHERE p.model_id = m.id) AS price_book
+      FROM cart_items ci
+      JOIN models m ON m.id = ci.model_id
+      WHERE ci.cart_id = ${cartId} AND m.status = 'active'
+      ORDER BY ci.created_at;
+    `;
+
+    const bundleItems = await sql`
+      SELECT ci.id, ci.bundle_id, b.slug, b.name AS title, b.price, b.currency,
+             (SELECT json_object_agg(p.currency, json_build_object('price', p.price))
+              FROM price_book_entries p WHERE p.bundle_id = b.id) AS price_book,
+             COALESCE(
+               json_agg(json_build_object(
+                 'id', m.id, 'slug', m.slug, 'title', m.title, 'price', m.price, 'currency', m.currency,
+                 'price_book', (SELECT json_object_agg(p.currency, json_build_object('price', p.price))
+                                FROM price_book_entries p WHERE p.model_id = m.id)
+               ) ORDER BY m.title)
+                 FILTER (WHERE m.id IS NOT NULL),
+               '[]'
+             ) AS models
+      FROM cart_items ci
+      JOIN bundles b ON b.id = ci.bundle_id
+      LEFT JOIN bundle_models bm ON bm.bundle_id = b.id
+      LEFT JOIN models m ON m.id = bm.model_id AND m.status = 'active'
+      WHERE ci.cart_id = ${cartId} AND b.status = 'active'
+      GROUP BY ci.id, b.id
+      ORDER BY ci.created_at;
+    `;
+
+    const requested = normalizeCurrency(currency);
+    const rows = [...bundleItems.rows, ...modelItems.rows];
+    const selected = requested && rows.every(row => getPriceBook(row)[requested])
+      ? requested
+      : DEFAULT_CURRENCY;
+
+    const items = [
+      ...bundleItems.rows.map(row => {
+        const effective = getEffectivePrice(row, new Date(), selected);
+        // Bundle models are shown at their list price in the bundle's currency
+        const models = row.models.map(model => ({
+          id: model.id,
+          slug: model.slug,
+          title: model.title,
+          price: getEffectivePrice(model, new Date(), effective.currency).listPrice
+        }));
+        return {
+          id: row.id,
+          type: 'bundle',
+          bundleId: row.bundle_id,
+          slug: row.slug,
+          title: row.title,
+          price: effective.price,
+          originalPrice: models.reduce((sum, model) => sum + model.price, 0),
+          currency: effective.currency,
+          models
+        };
+      }),
+      ...modelItems.rows.map(row => {
+        const effective = getEffectivePrice(row, new Date(), selected);
+        return {
+          id: row.id,
+          type: 'model',
+          modelId: row.model_id,
+          slug: row.slug,
+          title: row.title,
+          category: row.category,
+          price: effective.price,
+          originalPrice: effective.listPrice,
+          currency: effective.currency,
+          promotion: effective.promotion,
+          models: [{ id: row.model_id, slug: row.slug, title: row.title, price: effective.price }]
+        };
+      })
+    ];
+
+    const subtotal = items.reduce((sum, item) => sum + item.price, 0);
+    const originalTotal = items.reduce((sum, item) => sum + item.originalPrice, 0);
+
+    return {
+      items,
+      itemCount: items.length,
+      currency: items[0]?.currency || selected,
+      subtotal,
+      savings: Math.max(0, originalTotal - subtotal)
+    };
+  } catch (error) {
+    console.error('Error fetching cart contents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a model or bundle to the cart.
+ * Adding a bundle drops individual items it already covers, and a model
+ * already covered by a bundle in the cart is not added twice.
+ */
+export async function addCartItem(cartId, { modelId = null, bundleId = null }) {
+  try {
+    if (bundleId) {
+      await sql`
+        DELETE FROM cart_items
+        WHERE cart_id = ${cartId}
+          AND model_id IN (SELECT model_id FROM bundle_models WHERE bundle_id = ${bundleId});
+      `;
+      await sql`
+        INSERT INTO cart_items (cart_id, bundle_id)
+        VALUES (${cartId}, ${bundleId})
+        ON CONFLICT DO NOTHING;
+      `;
+    } else {
+      const covered = await sql`
+        SELECT 1 FROM cart_items ci
+        JOIN bundle_models bm ON bm.bundle_id = ci.bundle_id
+        WHERE ci.cart_id = ${cartId} AND bm.model_id = ${modelId}
+        LIMIT 1;
+      `;
+      if (covered.rows.length === 0) {
+        await sql`
+          INSERT INTO cart_items (cart_id, model_id)
+          VALUES (${cartId}, ${modelId})
+          ON CONFLICT DO NOTHING;
+        `;
+      }
+    }
+
+    await sql`UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ${cartId};`;
+  } catch (error) {
+    console.error('Error adding cart item:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a single item from the cart
+ */
+export async function removeCartItem(cartId, itemId) {
+  try {
+    const result = await sql`
+      DELETE FROM cart_items
+      WHERE id = ${itemId} AND cart_id = ${cartId}
+      RETURNING id;
+    `;
+    await sql`UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ${cartId};`;
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove every item from the cart
+ */
+export async function clearCart(cartId) {
+  try {
+    await sql`DELETE FROM cart_items WHERE cart_id = ${cartId};`;
+    await sql`UPDATE carts SET updated_at = CURRENT_TIMESTAMP WHERE id = ${cartId};`;
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remember which Stripe session the cart was sent to
+ */
+export async function attachCheckoutSession(cartId, stripeSessionId) {
+  try {
+    await sql`
+      UPDATE carts
+      SET stripe_session_id = ${stripeSessionId}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${cartId};
+    `;
+  } catch (error) {
+    console.error('Error attaching checkout session to cart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Close the cart once its checkout session has been paid
+ */
+export async function markCartConverted(stripeSessionId) {
+  try {
+    const result = await sql`
+      UPDATE carts
+      SET status = 'converted', updated_at = CURRENT_TIMESTAMP
+      WHERE stripe_session_id = ${stripeSessionId} AND status = 'open'
+      RETURNING id;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking cart converted:', error);
+    throw error;
+  }
+}
+
+/**
+ * Expand cart items into one order line per model.
+ * Bundle prices are split across their models in proportion to list
+ * price, with rounding drift assigned to the last model so the lines
+ * always sum to the amount charged. Any promotion discount on the item
+ * is split the same way. Amounts are in cents.
+ */
+export function expandCartToOrderLines(items) {
+  const lines = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const models = (item.models || []).filter(model => !seen.has(model.id));
+    if (models.length === 0) continue;
+
+    const itemCents = toCents(item.price);
+    const itemDiscount = item.discount || 0;
+    const listCents = models.reduce((sum, model) => sum + toCents(model.price), 0);
+    const shareOf = (total, model) => listCents > 0
+      ? Math.round(total * toCents(model.price) / listCents)
+      : Math.round(total / models.length);
+    let allocated = 0;
+    let allocatedDiscount = 0;
+
+    models.forEach((model, index) => {
+      const isLast = index === models.length - 1;
+      const amount = isLast ? itemCents - allocated : shareOf(itemCents, model);
+      const discount = isLast ? itemDiscount - allocatedDiscount : shareOf(itemDiscount, model);
+      allocated += amount;
+      allocatedDiscount += discount;
+      seen.add(model.id);
+
+      lines.push({
+        modelId: model.id,
+        modelSlug: model.slug,
+        modelTitle: model.title,
+        bundleId: item.type === 'bundle' ? item.bundleId : null,
+        amount,
+        discount
+      });
+    });
+  }
+
+  return lines;
+}
@@ -568,8 +568,18 @@ export async function createOrder(orderData) {
       customer_id,
       model_id,
       model_slug,
+      bundle_id = null,
+      promotion_id = null,
+      discount_amount = 0,
+      model_version_id = null,
+      organization_id = null,
+      seats = 1,
       amount,
       currency = 'usd',
+      tax_amount = 0,
+      tax_rate = null,
+      tax_country = null,
+      exchange_rate = 1,
       status = 'pending',
       metadata = {}
     } = orderData;
@@ -581,11 +591,15 @@ export async function createOrder(orderData) {
     const result = await sql`
       INSERT INTO orders (
         stripe_session_id, stripe_payment_intent_id, customer_id, model_id, 
-        model_slug, amount, currency, status, download_expires_at, metadata
+        model_slug, bundle_id, promotion_id, discount_amount, model_version_id, organization_id, seats,
+        amount, currency, tax_amount, tax_rate, tax_country, exchange_rate, status, download_expires_at, metadata
       )
       VALUES (
         ${stripe_session_id}, ${stripe_payment_intent_id}, ${customer_id}, ${model_id},
-        ${model_slug}, ${amount}, ${currency}, ${status}, ${downloadExpiresAt}, ${JSON.stringify(metadata)}
+        ${model_slug}, ${bundle_id}, ${promotion_id}, ${discount_amount},
+        COALESCE(${model_version_id}, (SELECT current_version_id FROM models WHERE id = ${model_id})),
+        ${organization_id}, ${seats}, ${amount}, ${currency}, ${tax_amount}, ${tax_rate}, ${tax_country},
+        ${exchange_rate}, ${status}, ${downloadExpiresAt}, ${JSON.stringify(metadata)}
       )
       RETURNING *;
     `;
@@ -634,14 +648,59 @@ export async function getOrderBySessionId(sessionId) {
   }
 }
 
-// Get orders by customer
-export async function getOrdersByCustomer(customerId) {
+// Get customer records for an email address, most recently used first.
+// Every one-off checkout used to create a new Stripe customer, so one
+// buyer can have several.
+export async function getCustomersByEmail(email) {
   try {
     const result = await sql`
-      SELECT o.*, m.title as model_title, m.slug as model_slug
+      SELECT * FROM customers
+      WHERE LOWER(email) = LOWER(${email})
+      ORDER BY updated_at DESC;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching customers by email:', error);
+    throw error;
+  }
+}
+
+// Get orders by customer (one id or several), with the version bought,
+// every later published version the buyer may download and the invoice
+// issued for it. Abandoned and failed checkouts are left out.
+export async function getOrdersByCustomer(customerIds) {
+  const ids = [].concat(customerIds).map(Number);
+  if (ids.length === 0) return [];
+
+  try {
+    const result = await sql`
+      SELECT o.*, m.title as model_title, m.slug as model_slug,
+             org.name as organization_name,
+             pv.version_label as purchased_version,
+             inv.invoice_number,
+             COALESCE(
+               (
+                 SELECT json_agg(json_build_object(
+                   'versionNumber', v.version_number,
+                   'versionLabel', v.version_label,
+                   'releaseNotes', v.release_notes,
+                   'publishedAt', v.published_at
+                 ) ORDER BY v.version_number DESC)
+                 FROM model_versions v
+                 WHERE v.model_id = o.model_id
+                   AND v.version_number >= COALESCE(pv.version_number, 1)
+                   AND (v.status = 'published' OR v.id = o.model_version_id)
+               ),
+               '[]'
+             ) as available_versions
       FROM orders o
       LEFT JOIN models m ON o.model_id = m.id
-      WHERE o.customer_id = ${customerId} AND o.status = 'completed'
+      LEFT JOIN model_versions pv ON pv.id = o.model_version_id
+      LEFT JOIN organizations org ON org.id = o.organization_id
+      LEFT JOIN invoices inv ON inv.order_id = o.id
+      WHERE o.customer_id = ANY(${ids}::int[])
+        AND o.status NOT IN ('failed', 'cancelled')
       ORDER BY o.created_at DESC;
     `;
     
@@ -0,0 +1,90 @@
+// src/utils/downloads.js - Private model storage and signed download links
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const MODEL_STORAGE_DIR = process.env.MODEL_STORAGE_DIR || path.join(process.cwd(), 'storage', 'models');
+export const PRIVATE_UPLOAD_PREFIX = '/models/uploads/';
+
+const LINK_TTL_SECONDS = 60 * 60; // links issued on the purchases page
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+function getSecret() {
+  const secret = process.env.DOWNLOAD_TOKEN_SECRET || process.env.NEXTAUTH_SECRET;
+  if (!secret) {
+    throw new Error('DOWNLOAD_TOKEN_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Create an HMAC-signed token for one order and, optionally, one version.
+ * Team licenses also pin the seat the download counts against.
+ * The token expires at `expiresAt`, or after an hour when not given.
+ */
+export function createDownloadToken({ orderId, versionNumber = null, seatId = null, expiresAt = null }) {
+  const exp = expiresAt
+    ? Math.floor(new Date(expiresAt).getTime() / 1000)
+    : Math.floor(Date.now() / 1000) + LINK_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ o: Number(orderId), v: versionNumber, s: seatId, exp })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a download token's signature and expiry
+ * @returns {{ orderId: number, versionNumber: number|null, seatId: number|null, expiresAt: Date } | null}
+ */
+export function verifyDownloadToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  const expected = sign(payload);
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { o, v, s, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isInteger(o) || !Number.isInteger(exp) || exp * 1000 <= Date.now()) return null;
+
+    return { orderId: o, versionNumber: v ?? null, seatId: s ?? null, expiresAt: new Date(exp * 1000) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build an absolute, signed download URL for an order
+ */
+export function createDownloadUrl(orderId, options = {}) {
+  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+  const token = createDownloadToken({ orderId, ...options });
+
+  return `${baseUrl}/api/download/${orderId}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Map a stored file reference to a path on disk.
+ * Deliverables under `/models/` live in private storage; anything else is
+ * a legacy upload still served from `public/`. Returns null for
+ * references that would escape their directory.
+ */
+export function resolveModelFile(fileUrl) {
+  if (!fileUrl || /^https?:\/\//i.test(fileUrl)) return null;
+
+  const isPrivate = fileUrl.startsWith('/models/');
+  const root = isPrivate ? MODEL_STORAGE_DIR : PUBLIC_DIR;
+  const relative = isPrivate ? fileUrl.slice('/models/'.length) : fileUrl;
+  const filePath = path.resolve(root, `.${path.sep}${relative}`);
+
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) return null;
+
+  return fs.existsSync(filePath) ? filePath : null;
+}
@@ -1,5 +1,6 @@
 // src/utils/email.js - Enhanced email utilities with fallback systems
 import sgMail from '@sendgrid/mail';
+import { formatMoney } from '@/config/currencies';
 
 // Conditional import for nodemailer (not always available)
 let nodemailer = null;
@@ -14,27 +15,31 @@ if (process.env.SENDGRID_API_KEY) {
   sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 }
 
-// Initialize Nodemailer SMTP fallback
+// Initialize Nodemailer SMTP fallback. Servers without auth, such as the
+// local stand-in (scripts/smtp-sink.js), need only SMTP_HOST and SMTP_PORT.
 let smtpTransporter = null;
-if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-  smtpTransporter = nodemailer.createTransporter({
+if (nodemailer && process.env.SMTP_HOST) {
+  smtpTransporter = nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: parseInt(process.env.SMTP_PORT) || 587,
     secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
+    ...(process.env.SMTP_USER && {
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    }),
   });
 }
 
+const hasSendGrid = !!process.env.SENDGRID_API_KEY &&
+  !process.env.SENDGRID_API_KEY.includes('mock') &&
+  process.env.SENDGRID_API_KEY !== 'SG.mock-local-key';
+
 // Email service configuration
 const EMAIL_CONFIG = {
   isDevelopment: process.env.NODE_ENV !== 'production',
-  mockMode: !process.env.SENDGRID_API_KEY || 
-           process.env.SENDGRID_API_KEY.includes('mock') || 
-           process.env.SENDGRID_API_KEY === 'SG.mock-local-key' ||
-           (!smtpTransporter && process.env.NODE_ENV !== 'production'),
+  mockMode: !hasSendGrid && !smtpTransporter,
   fromEmail: process.env.SENDGRID_FROM_EMAIL || process.env.SMTP_USER || 'info@zencap.co',
   fromName: process.env.SENDGRID_FROM_NAME || 'Zenith Capital Advisors',
   fallbackEmail: process.env.FALLBACK_CONTACT_EMAIL || 'admin@zencap.co',
@@ -45,6 +50,11 @@ const mockEmailLogs = [];
 
 /**
  * Core email sending function with fallback mechanisms
+ * @param {Object} [options]
+ * @param {Array<{ filename: string, content: Buffer, type: string }>} [options.attachments]
+ *   - Sent by SendGrid and SMTP; the Formspree fallback drops them
+ * @param {Object<string, string>} [options.headers] - Extra headers such as
+ *   List-Unsubscribe; also dropped by Formspree
  */
 export async function sendEmailWithFallback(to, subject, textContent, htmlContent, options = {}) {
   const emailData = {
@@ -62,6 +72,9 @@ export async function sendEmailWithFallback(to, subject, textContent, htmlConten
     console.log(`To: ${to}`);
     console.log(`Subject: ${subject}`);
     console.log(`Content Preview: ${textContent?.substring(0, 100) || 'HTML content'}...`);
+    if (options.attachments?.length) {
+      console.log(`Attachments: ${options.attachments.map(attachment => attachment.filename).join(', ')}`);
+    }
     console.log('=====================\n');
     
     mockEmailLogs.push(emailData);
@@ -69,9 +82,7 @@ export async function sendEmailWithFallback(to, subject, textContent, htmlConten
   }
 
   // Try SendGrid first (only if real API key)
-  if (process.env.SENDGRID_API_KEY && 
-      !process.env.SENDGRID_API_KEY.includes('mock') && 
-      process.env.SENDGRID_API_KEY !== 'SG.mock-local-key') {
+  if (hasSendGrid) {
     try {
       const msg = {
         to,
@@ -84,6 +95,15 @@ export async function sendEmailWithFallback(to, subject, textContent, htmlConten
         html: htmlContent,
         ...(options.templateId && { templateId: options.templateId }),
         ...(options.dynamicTemplateData && { dynamicTemplateData: options.dynamicTemplateData }),
+        ...(options.headers && { headers: options.headers }),
+        ...(options.attachments?.length && {
+          attachments: options.attachments.map(attachment => ({
+            content: attachment.content.toString('base64'),
+            filename: attachment.filename,
+            type: attachment.type,
+            disposition: 'attachment'
+          }))
+        }),
       };
 
       const result = await sgMail.send(msg);
@@ -104,6 +124,14 @@ export async function sendEmailWithFallback(to, subject, textContent, htmlConten
         subject,
         text: textContent,
         html: htmlContent,
+        ...(options.headers && { headers: options.headers }),
+        ...(options.attachments?.length && {
+          attachments: options.attachments.map(attachment => ({
+            filename: attachment.filename,
+            content: attachment.content,
+            contentType: attachment.type
+          }))
+        }),
       };
 
       const result = await smtpTransporter.sendMail(mailOptions);
@@ -314,9 +342,53 @@ export async function sendContactConfirmation(leadData) {
 }
 
 /**
- * Send newsletter welcome email
+ * Ask a new subscriber to confirm their address (double opt-in)
+ */
+export async function sendNewsletterConfirmation(email, confirmUrl) {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #1a3a5f; border-bottom: 2px solid #046B4E; padding-bottom: 10px;">
+        Confirm your subscription
+      </h2>
+
+      <p style="line-height: 1.6; color: #333;">
+        Someone, hopefully you, asked to receive the Zenith Capital Advisors newsletter at this address.
+        Please confirm to start receiving it.
+      </p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${confirmUrl}" style="background-color: #046B4E; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          Confirm subscription
+        </a>
+      </div>
+
+      <p style="color: #666; font-size: 14px; line-height: 1.6;">
+        If you didn't ask for this, ignore this email and you won't hear from us again.
+      </p>
+    </div>
+  `;
+
+  try {
+    return await sendEmailWithFallback(
+      email,
+      'Confirm your Zenith Capital Advisors newsletter subscription',
+      `Someone, hopefully you, asked to receive the Zenith Capital Advisors newsletter at this address.\n\nConfirm your subscription: ${confirmUrl}\n\nIf you didn't ask for this, ignore this email and you won't hear from us again.`,
+      html
+    );
+  } catch (error) {
+    console.error('Error sending newsletter confirmation email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send newsletter welcome email, once the subscription is confirmed
+ * @param {Object} [options]
+ * @param {string} [options.unsubscribeUrl] - Linked in the footer and sent
+ *   as the List-Unsubscribe header
+ * @param {Object<string, string>} [options.headers]
  */
-export async function sendNewsletterWelcome(email) {
+export async function sendNewsletterWelcome(email, { unsubscribeUrl, headers } = {}) {
   try {
     const msg = {
       to: email,
@@ -357,7 +429,7 @@ export async function sendNewsletterWelcome(email) {
           
           <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
             <p style="color: #666; font-size: 14px;">
-              You can unsubscribe at any time by clicking the link in our emails.
+              You can unsubscribe at any time by clicking the link in our emails${unsubscribeUrl ? `, or <a href="${unsubscribeUrl}" style="color: #666;">unsubscribe now</a>` : ''}.
             </p>
           </div>
         </div>
@@ -367,8 +439,9 @@ export async function sendNewsletterWelcome(email) {
     const result = await sendEmailWithFallback(
       email,
       'Welcome to Zenith Capital Advisors Newsletter',
-      `Thank you for subscribing to the Zenith Capital Advisors newsletter. You're now part of an exclusive community of investment professionals and financial analysts.\n\nWhat you'll receive:\n- Weekly market insights and analysis\n- Financial modeling tips and best practices\n- Investment strategy updates\n- Exclusive access to our latest research\n- Early access to new financial models\n\nOur first newsletter will arrive in your inbox within the next few days.\n\nBest regards,\nThe Zenith Capital Advisors Team`,
-      msg.html
+      `Thank you for subscribing to the Zenith Capital Advisors newsletter. You're now part of an exclusive community of investment professionals and financial analysts.\n\nWhat you'll receive:\n- Weekly market insights and analysis\n- Financial modeling tips and best practices\n- Investment strategy updates\n- Exclusive access to our latest research\n- Early access to new financial models\n\nOur first newsletter will arrive in your inbox within the next few days.\n\nBest regards,\nThe Zenith Capital Advisors Team${unsubscribeUrl ? `\n\nUnsubscribe: ${unsubscribeUrl}` : ''}`,
+      msg.html,
+      { headers }
     );
     
     console.log('Newsletter welcome email sent successfully');
@@ -390,16 +463,17 @@ export async function sendEmail(to, subject, textContent, htmlContent, options =
  * Email templates
  */
 export const emailTemplates = {
-  purchaseConfirmation: (customerName, modelTitle, orderId, downloadUrl = '', purchaseAmount = '') => `
+  purchaseConfirmation: (customerName, modelTitle, orderId, downloadUrl = '', purchaseAmount = '', downloadLinks = [], currency = 'usd') => `
     Dear ${customerName},
 
     Thank you for your purchase of ${modelTitle}!
 
     Your order has been processed successfully.
     Order ID: ${orderId}
-    ${purchaseAmount ? `Amount Paid: $${(purchaseAmount / 100).toFixed(2)}` : ''}
+    ${purchaseAmount ? `Amount Paid: ${formatMoney(purchaseAmount / 100, currency, { decimals: 2 })}` : ''}
 
-    ${downloadUrl ? `Download your model: ${downloadUrl}` : 'You can download your financial model from your customer portal at any time.'}
+    ${downloadUrl ? `Download your model: ${downloadUrl}` : downloadLinks.length > 0 ? `Download your models:
+${downloadLinks.map(link => `    - ${link.title}: ${link.url}`).join('\n')}` : 'You can download your financial model from your customer portal at any time.'}
 
     Your purchase includes:
     - Complete Excel financial model
@@ -413,7 +487,7 @@ export const emailTemplates = {
     The Zenith Capital Advisors Team
   `,
   
-  purchaseConfirmationHtml: (customerName, modelTitle, orderId, downloadUrl = '', purchaseAmount = '') => `
+  purchaseConfirmationHtml: (customerName, modelTitle, orderId, downloadUrl = '', purchaseAmount = '', downloadLinks = [], currency = 'usd') => `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <div style="text-align: center; padding: 20px; background-color: #1a3a5f; color: white;">
         <h1 style="margin: 0;">Purchase Confirmation</h1>
@@ -434,7 +508,7 @@ export const emailTemplates = {
           <h3 style="color: #1a3a5f; margin-top: 0;">Order Details</h3>
           <p><strong>Product:</strong> ${modelTitle}</p>
           <p><strong>Order ID:</strong> ${orderId}</p>
-          ${purchaseAmount ? `<p><strong>Amount Paid:</strong> $${(purchaseAmount / 100).toFixed(2)}</p>` : ''}
+          ${purchaseAmount ? `<p><strong>Amount Paid:</strong> ${formatMoney(purchaseAmount / 100, currency, { decimals: 2 })}</p>` : ''}
           <p><strong>Status:</strong> <span style="color: #046B4E; font-weight: bold;">Complete</span></p>
           <p><strong>Purchase Date:</strong> ${new Date().toLocaleDateString()}</p>
         </div>
@@ -458,6 +532,15 @@ export const emailTemplates = {
           <li>Lifetime access and updates</li>
         </ul>
         
+        ${downloadLinks.length > 0 ? `
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1a3a5f; margin-top: 0;">Your Downloads</h3>
+            <ul style="color: #333; line-height: 1.8; padding-left: 20px; margin: 0;">
+              ${downloadLinks.map(link => `<li><a href="${link.url}" style="color: #046B4E; font-weight: bold;">${link.title}</a></li>`).join('')}
+            </ul>
+          </div>
+        ` : ''}
+
         <div style="text-align: center; margin: 30px 0;">
           ${downloadUrl ? `
             <a href="${downloadUrl}" 
@@ -566,16 +649,18 @@ export async function sendPasswordResetEmail(email, resetToken, resetUrl) {
  */
 export async function sendOrderConfirmationEmail(orderData) {
   try {
-    const { customerEmail, customerName, modelTitle, orderId, downloadUrl, purchaseAmount } = orderData;
+    const { customerEmail, customerName, modelTitle, orderId, downloadUrl, purchaseAmount, currency = 'usd', downloadLinks = [], attachments = [] } = orderData;
     
-    const html = emailTemplates.purchaseConfirmationHtml(customerName, modelTitle, orderId, downloadUrl, purchaseAmount);
-    const text = emailTemplates.purchaseConfirmation(customerName, modelTitle, orderId, downloadUrl, purchaseAmount);
+    const html = emailTemplates.purchaseConfirmationHtml(customerName, modelTitle, orderId, downloadUrl, purchaseAmount, downloadLinks, currency);
+    const text = emailTemplates.purchaseConfirmation(customerName, modelTitle, orderId, downloadUrl, purchaseAmount, downloadLinks, currency);
     
+    // Invoices are attached as PDFs and can be downloaded again from the purchases page
     const result = await sendEmailWithFallback(
       customerEmail,
       `Order Confirmation - ${modelTitle}`,
       text,
-      html
+      html,
+      { attachments }
     );
     
     console.log('Order confirmation email sent successfully');
@@ -586,6 +671,169 @@ export async function sendOrderConfirmationEmail(orderData) {
   }
 }
 
+/**
+ * Tell a past buyer that a new version of their model is available
+ */
+export async function sendModelUpdateEmail(updateData) {
+  try {
+    const { customerEmail, customerName, modelTitle, versionLabel, releaseNotes, purchasesUrl } = updateData;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1a3a5f; border-bottom: 2px solid #046B4E; padding-bottom: 10px;">
+          ${modelTitle} v${versionLabel} is available
+        </h2>
+
+        <p style="line-height: 1.6; color: #333;">
+          Dear ${customerName},
+        </p>
+
+        <p style="line-height: 1.6; color: #333;">
+          A new version of <strong>${modelTitle}</strong> has been released. As a past buyer, you can download it at no extra cost.
+        </p>
+
+        ${releaseNotes ? `
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1a3a5f; margin-top: 0;">What's new in v${versionLabel}</h3>
+            <p style="white-space: pre-line; color: #333; margin-bottom: 0;">${releaseNotes}</p>
+          </div>
+        ` : ''}
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${purchasesUrl}"
+             style="background-color: #046B4E; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+            View My Purchases
+          </a>
+        </div>
+
+        <p style="line-height: 1.6; color: #333;">
+          Your earlier version remains available from the same page.
+        </p>
+
+        <p style="line-height: 1.6; color: #333;">
+          Best regards,<br>
+          <strong>The Zenith Capital Advisors Team</strong>
+        </p>
+      </div>
+    `;
+
+    const result = await sendEmailWithFallback(
+      customerEmail,
+      `New version available - ${modelTitle} v${versionLabel}`,
+      `Dear ${customerName},\n\nA new version of ${modelTitle} (v${versionLabel}) has been released and is free for past buyers.\n\n${releaseNotes ? `What's new:\n${releaseNotes}\n\n` : ''}Download it from your purchases page: ${purchasesUrl}\n\nBest regards,\nThe Zenith Capital Advisors Team`,
+      html
+    );
+
+    console.log('Model update email sent successfully');
+    return result;
+  } catch (error) {
+    console.error('Error sending model update email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Invite someone to an organization. The link signs them in and joins
+ * them to the team in one step.
+ */
+export async function sendOrganizationInviteEmail(inviteData) {
+  try {
+    const { email, organizationName, invitedBy, signInUrl } = inviteData;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1a3a5f; border-bottom: 2px solid #046B4E; padding-bottom: 10px;">
+          Join ${organizationName} on Zenith Capital Advisors
+        </h2>
+
+        <p style="line-height: 1.6; color: #333;">
+          ${invitedBy} has invited you to join <strong>${organizationName}</strong>. Team members can download the financial models their organization has licensed for them.
+        </p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${signInUrl}"
+             style="background-color: #046B4E; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+            Accept Invitation
+          </a>
+        </div>
+
+        <p style="line-height: 1.6; color: #333;">
+          Sign in as ${email} and you will join the team. We email you a one-time sign-in link when you do.
+        </p>
+
+        <p style="line-height: 1.6; color: #333;">
+          Best regards,<br>
+          <strong>The Zenith Capital Advisors Team</strong>
+        </p>
+      </div>
+    `;
+
+    const result = await sendEmailWithFallback(
+      email,
+      `You're invited to join ${organizationName}`,
+      `${invitedBy} has invited you to join ${organizationName} on Zenith Capital Advisors.\n\nAccept the invitation by signing in as ${email}: ${signInUrl}\n\nWe email you a one-time sign-in link when you do.\n\nBest regards,\nThe Zenith Capital Advisors Team`,
+      html
+    );
+
+    console.log('Organization invite email sent successfully');
+    return result;
+  } catch (error) {
+    console.error('Error sending organization invite email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Confirm a refund issued from the admin dashboard
+ */
+export async function sendRefundEmail(refundData) {
+  try {
+    const { customerEmail, customerName, modelTitle, amount, currency = 'usd', fullRefund } = refundData;
+    const formattedAmount = formatMoney(amount, currency, { decimals: 2 });
+    const accessNote = fullRefund
+      ? 'Download access for this purchase has ended.'
+      : 'This was a partial refund, so your download access is unchanged.';
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #1a3a5f; border-bottom: 2px solid #046B4E; padding-bottom: 10px;">
+          Your refund for ${modelTitle}
+        </h2>
+
+        <p style="line-height: 1.6; color: #333;">
+          Dear ${customerName},
+        </p>
+
+        <p style="line-height: 1.6; color: #333;">
+          We have refunded <strong>${formattedAmount}</strong> for <strong>${modelTitle}</strong> to your original payment method. It usually appears on your statement within 5-10 business days.
+        </p>
+
+        <p style="line-height: 1.6; color: #333;">
+          ${accessNote}
+        </p>
+
+        <p style="line-height: 1.6; color: #333;">
+          Best regards,<br>
+          <strong>The Zenith Capital Advisors Team</strong>
+        </p>
+      </div>
+    `;
+
+    const result = await sendEmailWithFallback(
+      customerEmail,
+      `Refund issued - ${modelTitle}`,
+      `Dear ${customerName},\n\nWe have refunded ${formattedAmount} for ${modelTitle} to your original payment method. It usually appears on your statement within 5-10 business days.\n\n${accessNote}\n\nBest regards,\nThe Zenith Capital Advisors Team`,
+      html
+    );
+
+    console.log('Refund email sent successfully');
+    return result;
+  } catch (error) {
+    console.error('Error sending refund email:', error);
+    throw error;
+  }
+}
+
 /**
  * Test all email configurations
  */
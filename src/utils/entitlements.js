@@ -0,0 +1,58 @@
+// src/utils/entitlements.js - What a visitor may do with a model they are previewing
+import { sql } from '@vercel/postgres';
+import { getActiveSubscription } from '@/utils/subscriptions';
+
+export const ENTITLEMENT_LEVELS = {
+  PREVIEW: 'preview',
+  FULL: 'full'
+};
+
+/**
+ * Decide whether a visitor gets full exports of a model or watermarked previews.
+ * Any completed order for the model under the visitor's email grants full access,
+ * as does an active seat on a team license for it or an all-access
+ * subscription; anonymous visitors always get previews.
+ * @returns {Promise<{ level: 'full'|'preview', orderId: number|null, subscriptionId?: number }>}
+ */
+export async function getModelEntitlement({ email, modelId }) {
+  if (!email || !modelId) {
+    return { level: ENTITLEMENT_LEVELS.PREVIEW, orderId: null };
+  }
+
+  try {
+    // Team licenses belong to the seat holders, not to whoever paid for them
+    const result = await sql`
+      SELECT o.id, o.created_at
+      FROM orders o
+      JOIN customers c ON o.customer_id = c.id
+      WHERE c.email = ${email}
+        AND o.model_id = ${modelId}
+        AND o.status = 'completed'
+        AND o.organization_id IS NULL
+      UNION ALL
+      SELECT o.id, o.created_at
+      FROM license_seats s
+      JOIN organization_members m ON m.id = s.member_id
+      JOIN orders o ON o.id = s.order_id
+      WHERE LOWER(m.email) = LOWER(${email})
+        AND o.model_id = ${modelId}
+        AND o.status = 'completed'
+        AND s.revoked_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1;
+    `;
+
+    const order = result.rows[0];
+    if (order) {
+      return { level: ENTITLEMENT_LEVELS.FULL, orderId: order.id };
+    }
+
+    const subscription = await getActiveSubscription(email);
+    return subscription
+      ? { level: ENTITLEMENT_LEVELS.FULL, orderId: null, subscriptionId: subscription.id }
+      : { level: ENTITLEMENT_LEVELS.PREVIEW, orderId: null };
+  } catch (error) {
+    console.error('Error checking model entitlement:', error);
+    throw error;
+  }
+}
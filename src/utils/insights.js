@@ -0,0 +1,398 @@
+// src/utils/insights.js - Insight revisions, review workflow, scheduling and draft previews
+import crypto from 'crypto';
+import { sql } from '@vercel/postgres';
+import { INSIGHT_ACTIONS, REVIEWED_STATUSES } from '@/config/editorial';
+import { hasPermission } from '@/config/roles';
+import { diffLines } from '@/utils/textDiff';
+import { htmlToDocument, normalizeDocument } from '@/utils/articleDocument';
+import { renderArticle } from '@/utils/articleRenderer';
+import { syncInsightMedia } from '@/utils/media';
+
+// The fields a revision keeps; status and dates of review live on the insight.
+// Each revision also keeps the document its content was rendered from.
+export const REVISION_FIELDS = ['title', 'summary', 'content', 'author', 'cover_image_url', 'tags', 'date_published'];
+
+const PREVIEW_TTL_SECONDS = 7 * 24 * 60 * 60; // preview links shared with reviewers
+
+/**
+ * Fill in the optional revision fields the way the insights API always has.
+ * The article comes as a document, or as HTML from the rich text editor
+ * which is converted to one; content is always the document re-rendered.
+ */
+export function normalizeInsightFields(fields) {
+  const document = fields.document ? normalizeDocument(fields.document) : htmlToDocument(fields.content || '');
+  const { html, toc, readingMinutes } = renderArticle(document);
+
+  return {
+    title: fields.title,
+    summary: fields.summary || '',
+    document,
+    content: html,
+    toc,
+    reading_minutes: readingMinutes,
+    author: fields.author || '',
+    cover_image_url: fields.cover_image_url || '',
+    tags: fields.tags || '',
+    date_published: toDateString(fields.date_published)
+  };
+}
+
+/**
+ * DATE columns come back as local-midnight Dates; compare and store them as YYYY-MM-DD
+ */
+export function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function sameFields(insight, fields) {
+  return REVISION_FIELDS.every(field => field === 'date_published'
+    ? toDateString(insight.date_published) === fields.date_published
+    : (insight[field] || '') === (fields[field] || ''));
+}
+
+export async function getInsightBySlug(slug) {
+  const result = await sql`SELECT * FROM insights WHERE slug = ${slug};`;
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a draft insight with its first revision
+ */
+export async function createInsight(slug, fields, { userId = null } = {}) {
+  const values = normalizeInsightFields(fields);
+
+  try {
+    const result = await sql`
+      WITH created AS (
+        INSERT INTO insights (slug, title, summary, document, content, toc, reading_minutes, author, cover_image_url, status, tags, date_published, revision)
+        VALUES (${slug}, ${values.title}, ${values.summary}, ${JSON.stringify(values.document)}::jsonb, ${values.content},
+                ${JSON.stringify(values.toc)}::jsonb, ${values.reading_minutes}, ${values.author},
+                ${values.cover_image_url}, 'draft', ${values.tags}, ${values.date_published}, 1)
+        RETURNING *
+      ), first_revision AS (
+        INSERT INTO insight_revisions (insight_id, revision, title, summary, document, content, author, cover_image_url, tags, date_published, note, created_by)
+        SELECT id, revision, title, summary, document, content, author, cover_image_url, tags, date_published, 'Created', ${userId}
+        FROM created
+      )
+      SELECT * FROM created;
+    `;
+
+    await syncInsightMedia(result.rows[0]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating insight:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save new content as the next revision. `baseRevision` is the revision
+ * the editor started from; if someone saved since, nothing is written and
+ * the current insight is returned with a 409 so the editor can reload.
+ * Changing an insight that is in review, approved, scheduled or published
+ * sends it back to draft, since the approved content no longer matches; a
+ * published one stays offline until it is approved and published again.
+ * @returns {Promise<{ insight: Object, unchanged?: boolean } | { status: number, error: string, insight?: Object }>}
+ */
+export async function saveInsight(slug, fields, { baseRevision, userId = null, note = null }) {
+  const current = await getInsightBySlug(slug);
+  if (!current) {
+    return { status: 404, error: 'Not found' };
+  }
+  if (!Number.isInteger(baseRevision)) {
+    return { status: 400, error: 'baseRevision required' };
+  }
+  if (baseRevision !== current.revision) {
+    return {
+      status: 409,
+      error: `Someone else saved this insight (revision ${current.revision}) after you opened revision ${baseRevision}. Reload it and apply your changes again.`,
+      insight: current
+    };
+  }
+
+  // Edited HTML replaces the stored document unless a document is sent too
+  const base = fields.content !== undefined && !fields.document ? { ...current, document: null } : current;
+  const values = normalizeInsightFields({ ...base, ...fields });
+  if (sameFields(current, values)) {
+    return { insight: current, unchanged: true };
+  }
+
+  try {
+    const result = await sql`
+      WITH updated AS (
+        UPDATE insights SET
+          title = ${values.title},
+          summary = ${values.summary},
+          document = ${JSON.stringify(values.document)}::jsonb,
+          content = ${values.content},
+          toc = ${JSON.stringify(values.toc)}::jsonb,
+          reading_minutes = ${values.reading_minutes},
+          author = ${values.author},
+          cover_image_url = ${values.cover_image_url},
+          tags = ${values.tags},
+          date_published = ${values.date_published},
+          revision = revision + 1,
+          status = CASE WHEN status = ANY(${REVIEWED_STATUSES}::text[]) THEN 'draft' ELSE status END,
+          approved_revision = CASE WHEN status = ANY(${REVIEWED_STATUSES}::text[]) THEN NULL ELSE approved_revision END,
+          approved_by = CASE WHEN status = ANY(${REVIEWED_STATUSES}::text[]) THEN NULL ELSE approved_by END,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${current.id} AND revision = ${baseRevision}
+        RETURNING *
+      ), saved AS (
+        INSERT INTO insight_revisions (insight_id, revision, title, summary, document, content, author, cover_image_url, tags, date_published, note, created_by)
+        SELECT id, revision, title, summary, document, content, author, cover_image_url, tags, date_published, ${note}, ${userId}
+        FROM updated
+      )
+      SELECT * FROM updated;
+    `;
+
+    const insight = result.rows[0];
+    if (!insight) {
+      // Lost a race with another save between the read and the update
+      return {
+        status: 409,
+        error: 'Someone else saved this insight while you were editing. Reload it and apply your changes again.',
+        insight: await getInsightBySlug(slug)
+      };
+    }
+
+    await syncInsightMedia(insight);
+
+    if (insight.status !== current.status) {
+      await recordWorkflowEvent(insight, 'edit', current.status, userId, 'Edited after review; back to draft');
+    }
+
+    return { insight };
+  } catch (error) {
+    console.error('Error saving insight:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make an old revision's content current again, as a new revision
+ */
+export async function restoreRevision(slug, revision, { baseRevision, userId = null }) {
+  const insight = await getInsightBySlug(slug);
+  if (!insight) {
+    return { status: 404, error: 'Not found' };
+  }
+
+  const saved = await getRevision(insight.id, revision);
+  if (!saved) {
+    return { status: 404, error: 'Revision not found' };
+  }
+
+  return saveInsight(slug, saved, { baseRevision, userId, note: `Restored revision ${revision}` });
+}
+
+export async function getRevision(insightId, revision) {
+  const result = await sql`
+    SELECT * FROM insight_revisions WHERE insight_id = ${insightId} AND revision = ${revision};
+  `;
+  return result.rows[0] || null;
+}
+
+/**
+ * Revisions (without their content) and review events, newest first
+ */
+export async function getInsightHistory(insightId) {
+  try {
+    const revisions = await sql`
+      SELECT r.id, r.revision, r.title, r.note, r.created_at, LENGTH(COALESCE(r.content, '')) AS content_length,
+             u.email AS created_by_email, u.name AS created_by_name
+      FROM insight_revisions r
+      LEFT JOIN users u ON u.id = r.created_by
+      WHERE r.insight_id = ${insightId}
+      ORDER BY r.revision DESC;
+    `;
+    const events = await sql`
+      SELECT e.*, u.email AS user_email, u.name AS user_name
+      FROM insight_workflow_events e
+      LEFT JOIN users u ON u.id = e.user_id
+      WHERE e.insight_id = ${insightId}
+      ORDER BY e.created_at DESC;
+    `;
+
+    return { revisions: revisions.rows, events: events.rows };
+  } catch (error) {
+    console.error('Error fetching insight history:', error);
+    throw error;
+  }
+}
+
+/**
+ * What changed between two revisions: each changed field, and the content
+ * line by line
+ */
+export async function compareRevisions(insightId, fromRevision, toRevision) {
+  const [from, to] = await Promise.all([
+    getRevision(insightId, fromRevision),
+    getRevision(insightId, toRevision)
+  ]);
+  if (!from || !to) return null;
+
+  const fields = REVISION_FIELDS
+    .filter(field => field !== 'content')
+    .map(field => field === 'date_published'
+      ? { field, before: toDateString(from[field]), after: toDateString(to[field]) }
+      : { field, before: from[field] || '', after: to[field] || '' })
+    .filter(change => change.before !== change.after);
+
+  return {
+    from: { revision: from.revision, created_at: from.created_at },
+    to: { revision: to.revision, created_at: to.created_at },
+    fields,
+    content: diffLines(from.content, to.content)
+  };
+}
+
+/**
+ * Move an insight through review: submit, approve, schedule, publish...
+ * (INSIGHT_ACTIONS in src/config/editorial.js). Reviewers act on the
+ * revision they read, so a stale `baseRevision` is refused.
+ * @returns {Promise<{ insight: Object } | { status: number, error: string }>}
+ */
+export async function transitionInsight(slug, action, { role, userId = null, comment = null, baseRevision = null }) {
+  const definition = INSIGHT_ACTIONS[action];
+  if (!definition) {
+    return { status: 400, error: `Unknown action: ${action}` };
+  }
+  if (!hasPermission(role, definition.permission)) {
+    return { status: 403, error: `Your role can't ${definition.label.toLowerCase()}` };
+  }
+
+  const insight = await getInsightBySlug(slug);
+  if (!insight) {
+    return { status: 404, error: 'Not found' };
+  }
+  if (!definition.from.includes(insight.status)) {
+    return { status: 409, error: `Can't ${definition.label.toLowerCase()} an insight that is ${insight.status.replace('_', ' ')}` };
+  }
+  if (baseRevision !== null && baseRevision !== insight.revision) {
+    return { status: 409, error: `The insight has changed since revision ${baseRevision}. Reload it before you ${definition.label.toLowerCase()}.` };
+  }
+  if (action === 'schedule' && !(toDateString(insight.date_published) > toDateString(new Date()))) {
+    return { status: 400, error: 'Set a future Date Published to schedule, or publish now' };
+  }
+
+  const approving = action === 'approve';
+  const keepsApproval = ['approved', 'scheduled', 'published'].includes(definition.to);
+  const publishing = definition.to === 'published';
+
+  try {
+    const result = await sql`
+      UPDATE insights SET
+        status = ${definition.to},
+        approved_revision = CASE WHEN ${approving} THEN revision WHEN ${keepsApproval} THEN approved_revision ELSE NULL END,
+        approved_by = CASE WHEN ${approving} THEN ${userId}::int WHEN ${keepsApproval} THEN approved_by ELSE NULL END,
+        published_at = CASE WHEN ${publishing} THEN CURRENT_TIMESTAMP ELSE published_at END,
+        date_published = CASE WHEN ${publishing} THEN LEAST(COALESCE(date_published, CURRENT_DATE), CURRENT_DATE) ELSE date_published END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${insight.id} AND status = ${insight.status} AND revision = ${insight.revision}
+      RETURNING *;
+    `;
+
+    if (!result.rows[0]) {
+      return { status: 409, error: 'The insight changed while you were reviewing it. Reload and try again.' };
+    }
+
+    await recordWorkflowEvent(result.rows[0], action, insight.status, userId, comment);
+    return { insight: result.rows[0] };
+  } catch (error) {
+    console.error('Error changing insight status:', error);
+    throw error;
+  }
+}
+
+async function recordWorkflowEvent(insight, action, fromStatus, userId, comment) {
+  await sql`
+    INSERT INTO insight_workflow_events (insight_id, revision, action, from_status, to_status, comment, user_id)
+    VALUES (${insight.id}, ${insight.revision}, ${action}, ${fromStatus}, ${insight.status}, ${comment || null}, ${userId});
+  `;
+}
+
+/**
+ * Publish every scheduled insight whose date_published has arrived. Run by
+ * the content queue (src/utils/queue.js); safe to run at any time.
+ * @returns {Promise<Object[]>} The insights published
+ */
+export async function publishDueInsights() {
+  try {
+    const result = await sql`
+      WITH due AS (
+        UPDATE insights SET
+          status = 'published',
+          published_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'scheduled' AND date_published <= CURRENT_DATE
+        RETURNING *
+      ), logged AS (
+        INSERT INTO insight_workflow_events (insight_id, revision, action, from_status, to_status)
+        SELECT id, revision, 'scheduled_publish', 'scheduled', 'published' FROM due
+      )
+      SELECT id, slug, title, revision FROM due;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error publishing scheduled insights:', error);
+    throw error;
+  }
+}
+
+function getPreviewSecret() {
+  const secret = process.env.PREVIEW_TOKEN_SECRET || process.env.NEXTAUTH_SECRET;
+  if (!secret) {
+    throw new Error('PREVIEW_TOKEN_SECRET is not configured');
+  }
+  return secret;
+}
+
+function signPreview(payload) {
+  return crypto.createHmac('sha256', getPreviewSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * A signed link that shows an unpublished insight's current content to
+ * anyone holding it, for a week
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+export function createPreviewLink(insight) {
+  const exp = Math.floor(Date.now() / 1000) + PREVIEW_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ i: insight.id, exp })).toString('base64url');
+  const token = `${payload}.${signPreview(payload)}`;
+
+  return {
+    url: `/insights/${insight.slug}?preview=${encodeURIComponent(token)}`,
+    expiresAt: new Date(exp * 1000)
+  };
+}
+
+/**
+ * The insight id a preview token grants, or null if it is forged or expired
+ */
+export function verifyPreviewToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  const expected = signPreview(payload);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { i, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isInteger(i) || !Number.isInteger(exp) || exp * 1000 <= Date.now()) return null;
+    return i;
+  } catch (error) {
+    return null;
+  }
+}
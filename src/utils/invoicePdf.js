@@ -0,0 +1,216 @@
+// src/utils/invoicePdf.js - Render an invoice as a one-page A4 PDF
+//
+// Uses the standard Helvetica fonts every PDF reader ships with, so the
+// file needs no embedded fonts and stays a few kilobytes.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+const NAVY = '0.102 0.227 0.373';
+const TEAL = '0.016 0.420 0.306';
+const GRAY = '0.4 0.4 0.4';
+const TEXT = '0.2 0.2 0.2';
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// WinAnsi has the euro sign at 0x80; everything else outside Latin-1 is replaced
+function toWinAnsi(text) {
+  return String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, char => (char === '€' ? '\x80' : '?'));
+}
+
+function escapePdfText(text) {
+  return toWinAnsi(text).replace(/[\\()]/g, char => `\\${char}`);
+}
+
+function textWidth(text, size) {
+  let width = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (width * size) / 1000;
+}
+
+function wrapText(text, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+export function formatInvoiceAmount(cents, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format(cents / 100);
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function formatAddress(address) {
+  if (!address) return [];
+  const cityLine = [address.city, address.state, address.postal_code].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+}
+
+// Stripe tax id types are like "eu_vat" or "gb_vat"; show them as "EU VAT"
+function formatTaxId(taxId) {
+  return `${String(taxId.type || 'Tax ID').replace(/_/g, ' ').toUpperCase()}: ${taxId.value}`;
+}
+
+/**
+ * Collects drawing operators for one page, with y measured from the top
+ */
+function createPage() {
+  const ops = [];
+
+  return {
+    text(value, x, y, { size = 10, bold = false, color = TEXT, align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(value, size) : x;
+      ops.push(`BT ${color} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapePdfText(value)}) Tj ET`);
+    },
+    rule(x1, x2, y, { color = '0.85 0.85 0.85', width = 0.75 } = {}) {
+      ops.push(`${color} RG ${width} w ${x1} ${PAGE_HEIGHT - y} m ${x2} ${PAGE_HEIGHT - y} l S`);
+    },
+    fill(x, y, width, height, color) {
+      ops.push(`${color} rg ${x} ${PAGE_HEIGHT - y - height} ${width} ${height} re f`);
+    },
+    content: () => ops.join('\n')
+  };
+}
+
+function buildDocument(content) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Count 1 /Kids [3 0 R] >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+/**
+ * Render an invoice row (see migrations/018_invoices.sql)
+ * @param {Object} invoice - Invoice with `order_id`, billing details and amounts in cents
+ * @param {{ name: string, address: string[], taxId: string|null, email: string }} seller
+ * @returns {Buffer} PDF file contents
+ */
+export function renderInvoicePdf(invoice, seller) {
+  const page = createPage();
+  const currency = invoice.currency || 'usd';
+
+  // Seller and title
+  page.text(seller.name, MARGIN, 70, { size: 18, bold: true, color: NAVY });
+  page.text('INVOICE', RIGHT, 70, { size: 20, bold: true, color: TEAL, align: 'right' });
+
+  let y = 90;
+  for (const line of [...seller.address, seller.email, seller.taxId && `Tax ID: ${seller.taxId}`].filter(Boolean)) {
+    page.text(line, MARGIN, y, { size: 9, color: GRAY });
+    y += 12;
+  }
+
+  // Invoice details
+  const details = [
+    ['Invoice number', invoice.invoice_number],
+    ['Issue date', formatDate(invoice.issued_at)],
+    ['Order', `#${invoice.order_id}`],
+    ['Status', 'Paid']
+  ];
+  details.forEach(([label, value], index) => {
+    page.text(label, RIGHT - 150, 90 + index * 14, { size: 9, color: GRAY });
+    page.text(value, RIGHT, 90 + index * 14, { size: 9, bold: true, align: 'right' });
+  });
+
+  // Bill to
+  y = Math.max(y, 90 + details.length * 14) + 25;
+  page.text('BILL TO', MARGIN, y, { size: 9, bold: true, color: GRAY });
+  y += 16;
+  const billTo = [
+    invoice.company_name && { value: invoice.company_name, bold: true },
+    invoice.billing_name && invoice.billing_name !== invoice.company_name && { value: invoice.billing_name },
+    ...formatAddress(invoice.billing_address).map(value => ({ value })),
+    { value: invoice.billing_email },
+    ...(invoice.tax_ids || []).map(taxId => ({ value: formatTaxId(taxId) }))
+  ].filter(Boolean);
+  for (const line of billTo) {
+    page.text(line.value, MARGIN, y, { size: 10, bold: !!line.bold });
+    y += 14;
+  }
+
+  // Line items
+  y += 20;
+  page.fill(MARGIN, y - 14, RIGHT - MARGIN, 22, '0.95 0.96 0.97');
+  page.text('DESCRIPTION', MARGIN + 8, y, { size: 9, bold: true, color: GRAY });
+  page.text('AMOUNT', RIGHT - 8, y, { size: 9, bold: true, color: GRAY, align: 'right' });
+  y += 26;
+
+  const descriptionLines = wrapText(invoice.description, 10, 330);
+  descriptionLines.forEach((line, index) => {
+    page.text(line, MARGIN + 8, y + index * 14, { size: 10 });
+  });
+  page.text(formatInvoiceAmount(invoice.subtotal, currency), RIGHT - 8, y, { size: 10, align: 'right' });
+  y += descriptionLines.length * 14 + 8;
+  page.rule(MARGIN, RIGHT, y);
+
+  // Totals
+  const totals = [['Subtotal', invoice.subtotal]];
+  if (invoice.discount_amount > 0) {
+    totals.push(['Discount', -invoice.discount_amount]);
+  }
+  if (invoice.tax_amount > 0) {
+    totals.push([invoice.tax_label || 'Tax', invoice.tax_amount]);
+  }
+  y += 20;
+  for (const [label, amount] of totals) {
+    page.text(label, RIGHT - 150, y, { size: 10, color: GRAY });
+    page.text(formatInvoiceAmount(amount, currency), RIGHT - 8, y, { size: 10, align: 'right' });
+    y += 16;
+  }
+  page.rule(RIGHT - 150, RIGHT, y - 6);
+  y += 10;
+  page.text(`Total paid (${currency.toUpperCase()})`, RIGHT - 150, y, { size: 11, bold: true, color: NAVY });
+  page.text(formatInvoiceAmount(invoice.total, currency), RIGHT - 8, y, { size: 11, bold: true, color: NAVY, align: 'right' });
+
+  // Footer
+  page.rule(MARGIN, RIGHT, PAGE_HEIGHT - 70);
+  page.text('Paid in full by card. Thank you for your business.', MARGIN, PAGE_HEIGHT - 52, { size: 9, color: GRAY });
+
+  return buildDocument(page.content());
+}
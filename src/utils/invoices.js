@@ -0,0 +1,145 @@
+// src/utils/invoices.js - Sequentially numbered invoices for paid orders
+import { sql } from '@vercel/postgres';
+import { renderInvoicePdf } from '@/utils/invoicePdf';
+import { formatTaxLabel } from '@/utils/tax';
+
+export const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'ZC';
+
+// Printed at the top of every invoice. Address lines are separated by "|"
+export const INVOICE_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'Zenith Capital Advisors',
+  address: (process.env.INVOICE_SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  taxId: process.env.INVOICE_SELLER_TAX_ID || null,
+  email: process.env.INVOICE_SELLER_EMAIL || 'billing@zencap.co'
+};
+
+// Orders that were paid, even if later refunded or disputed, keep their invoice
+const INVOICEABLE_STATUSES = ['completed', 'refunded', 'disputed'];
+
+/**
+ * Billing details from a Stripe Checkout session: the customer's name and
+ * address, any tax ids they entered and the optional company name field
+ */
+export function getBillingDetails(session) {
+  const details = session?.customer_details || {};
+  const companyField = (session?.custom_fields || []).find(field => field.key === 'company_name');
+
+  return {
+    name: details.name || session?.metadata?.customerName || null,
+    email: details.email || session?.customer_email || null,
+    companyName: companyField?.text?.value?.trim() || null,
+    taxIds: (details.tax_ids || []).map(({ type, value }) => ({ type, value })),
+    address: details.address || null
+  };
+}
+
+/**
+ * The invoice for an order, if one has been issued
+ */
+export async function getInvoiceForOrder(orderId) {
+  try {
+    const result = await sql`
+      SELECT * FROM invoices WHERE order_id = ${orderId};
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    throw error;
+  }
+}
+
+/**
+ * Issue the invoice for a paid order. Issuing twice returns the first
+ * invoice, so the number is only ever taken once per order.
+ * @param {number} orderId
+ * @param {ReturnType<typeof getBillingDetails>} billing
+ * @returns {Promise<Object|null>} the invoice, or null if the order isn't paid
+ */
+export async function issueInvoice(orderId, billing) {
+  try {
+    const existing = await getInvoiceForOrder(orderId);
+    if (existing) return existing;
+
+    const orderResult = await sql`
+      SELECT o.id, o.customer_id, o.amount, o.discount_amount, o.tax_amount, o.tax_rate,
+             o.currency, o.seats, o.organization_id, o.status, c.email, c.name,
+             COALESCE(m.title, o.metadata->>'modelTitle', o.model_slug) AS model_title
+      FROM orders o
+      LEFT JOIN customers c ON c.id = o.customer_id
+      LEFT JOIN models m ON m.id = o.model_id
+      WHERE o.id = ${orderId};
+    `;
+    const order = orderResult.rows[0];
+    if (!order || !INVOICEABLE_STATUSES.includes(order.status)) return null;
+
+    const net = parseInt(order.amount, 10);
+    const discount = parseInt(order.discount_amount || 0, 10);
+    const tax = parseInt(order.tax_amount || 0, 10);
+    const taxLabel = tax > 0 ? (order.tax_rate ? formatTaxLabel(parseFloat(order.tax_rate)) : 'Tax') : null;
+    const description = order.organization_id
+      ? `${order.model_title} - ${order.seats}-seat team license`
+      : `${order.model_title} - financial model license`;
+    const year = new Date().getUTCFullYear();
+
+    // Taking the number and inserting the invoice is one statement, so a
+    // failed insert doesn't leave a gap in the sequence
+    const result = await sql`
+      WITH next AS (
+        INSERT INTO invoice_counters (year, last_number) VALUES (${year}, 1)
+        ON CONFLICT (year) DO UPDATE SET last_number = invoice_counters.last_number + 1
+        RETURNING last_number
+      )
+      INSERT INTO invoices (
+        invoice_number, order_id, customer_id, billing_name, billing_email, company_name,
+        tax_ids, billing_address, description, subtotal, discount_amount,
+        tax_amount, tax_rate, tax_label, total, currency
+      )
+      SELECT
+        ${`${INVOICE_PREFIX}-${year}-`} || LPAD(next.last_number::text, 5, '0'),
+        ${order.id}, ${order.customer_id}, ${billing?.name || order.name || null},
+        ${billing?.email || order.email}, ${billing?.companyName || null},
+        ${JSON.stringify(billing?.taxIds || [])}, ${billing?.address ? JSON.stringify(billing.address) : null},
+        ${description}, ${net + discount}, ${discount},
+        ${tax}, ${order.tax_rate}, ${taxLabel}, ${net + tax}, ${order.currency || 'usd'}
+      FROM next
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error issuing invoice:', error);
+    throw error;
+  }
+}
+
+/**
+ * Render an invoice as a PDF
+ * @returns {{ filename: string, content: Buffer }}
+ */
+export function getInvoicePdf(invoice) {
+  return {
+    filename: `${invoice.invoice_number}.pdf`,
+    content: renderInvoicePdf(invoice, INVOICE_SELLER)
+  };
+}
+
+/**
+ * Invoices as email attachments
+ * @param {number[]} invoiceIds
+ * @returns {Promise<Array<{ filename: string, content: Buffer, type: string }>>}
+ */
+export async function getInvoiceAttachments(invoiceIds = []) {
+  if (invoiceIds.length === 0) return [];
+
+  try {
+    const result = await sql`
+      SELECT * FROM invoices WHERE id = ANY(${invoiceIds}::int[]) ORDER BY invoice_number;
+    `;
+
+    return result.rows.map(invoice => ({ ...getInvoicePdf(invoice), type: 'application/pdf' }));
+  } catch (error) {
+    console.error('Error building invoice attachments:', error);
+    throw error;
+  }
+}
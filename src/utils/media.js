@@ -0,0 +1,289 @@
+// src/utils/media.js - Media library uploads, image variants and reference tracking
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { sql } from '@vercel/postgres';
+import { MEDIA_MIME_TYPES, MEDIA_URL_PREFIX, MEDIA_VARIANT_WIDTHS } from '@/config/media';
+
+export const MEDIA_STORAGE_DIR = path.join(process.cwd(), 'public', 'uploads', 'media');
+
+const VARIANT_QUALITY = 80;
+const BLUR_SIZE = 16; // px on the longest side; next/image scales and blurs it
+
+// sharp's format names for the accepted upload types
+const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  heif: 'image/avif',
+  gif: 'image/gif'
+};
+
+// The columns the public pages need to render an asset with OptimizedImage
+const PUBLIC_FIELDS = ['url', 'width', 'height', 'variants', 'blur_data_url', 'alt_text', 'caption'];
+
+/**
+ * Store an uploaded image: the original re-encoded (which applies its EXIF
+ * rotation and drops the rest of its metadata, GPS included), WebP variants
+ * at each of MEDIA_VARIANT_WIDTHS narrower than it plus one at full width,
+ * and a blurred preview as a data URL.
+ * Uploading a file that is already in the library returns that asset.
+ * @returns {Promise<{ media: Object, duplicate: boolean } | { status: number, error: string }>}
+ */
+export async function createMedia(filepath, { originalFilename = null, userId = null } = {}) {
+  const buffer = await fs.readFile(filepath);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const existing = await sql`SELECT * FROM media WHERE sha256 = ${sha256}`;
+  if (existing.rows[0]) {
+    return { media: existing.rows[0], duplicate: true };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { status: 400, error: 'The file is not an image that can be read' };
+  }
+  const mimeType = FORMAT_MIME_TYPES[metadata.format];
+  if (!mimeType || !MEDIA_MIME_TYPES.includes(mimeType)) {
+    return { status: 400, error: `Unsupported image format. Upload ${MEDIA_MIME_TYPES.map(type => type.split('/')[1].toUpperCase()).join(', ')}.` };
+  }
+
+  const storageKey = crypto.randomBytes(12).toString('hex');
+  const dir = path.join(MEDIA_STORAGE_DIR, storageKey);
+  const urlFor = filename => `${MEDIA_URL_PREFIX}${storageKey}/${filename}`;
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+
+    const original = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+    const { width, height } = original.info;
+    const originalName = `original.${metadata.format === 'heif' ? 'avif' : metadata.format}`;
+    await fs.writeFile(path.join(dir, originalName), original.data);
+
+    const widths = [...MEDIA_VARIANT_WIDTHS.filter(variantWidth => variantWidth < width), width];
+    const variants = [];
+    for (const variantWidth of widths) {
+      const filename = `${variantWidth}.webp`;
+      const info = await sharp(original.data)
+        .resize({ width: variantWidth })
+        .webp({ quality: VARIANT_QUALITY })
+        .toFile(path.join(dir, filename));
+      variants.push({ width: info.width, height: info.height, url: urlFor(filename) });
+    }
+
+    const blur = await sharp(original.data)
+      .resize(BLUR_SIZE, BLUR_SIZE, { fit: 'inside' })
+      .webp({ quality: 40 })
+      .toBuffer();
+    const blurDataUrl = `data:image/webp;base64,${blur.toString('base64')}`;
+
+    const result = await sql`
+      INSERT INTO media (storage_key, sha256, original_filename, mime_type, url, width, height, size_bytes, variants, blur_data_url, uploaded_by)
+      VALUES (${storageKey}, ${sha256}, ${originalFilename}, ${mimeType}, ${urlFor(originalName)}, ${width}, ${height},
+              ${original.data.length}, ${JSON.stringify(variants)}::jsonb, ${blurDataUrl}, ${userId})
+      ON CONFLICT (sha256) DO NOTHING
+      RETURNING *
+    `;
+
+    if (!result.rows[0]) {
+      // The same file finished uploading first in another request
+      await fs.rm(dir, { recursive: true, force: true });
+      const winner = await sql`SELECT * FROM media WHERE sha256 = ${sha256}`;
+      return { media: winner.rows[0], duplicate: true };
+    }
+
+    return { media: result.rows[0], duplicate: false };
+  } catch (error) {
+    console.error('Error creating media:', error);
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Assets newest first with how many places use each, optionally filtered
+ * by filename, alt text or caption
+ */
+export async function listMedia({ search = '', limit = 48, offset = 0 } = {}) {
+  const pattern = `%${search}%`;
+
+  try {
+    const result = await sql`
+      SELECT m.*, COUNT(r.id)::int AS reference_count, COUNT(*) OVER()::int AS total
+      FROM media m
+      LEFT JOIN media_references r ON r.media_id = m.id
+      WHERE ${search} = ''
+         OR m.original_filename ILIKE ${pattern}
+         OR m.alt_text ILIKE ${pattern}
+         OR m.caption ILIKE ${pattern}
+      GROUP BY m.id
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    return {
+      media: result.rows.map(({ total, ...media }) => media),
+      total: result.rows[0]?.total || 0
+    };
+  } catch (error) {
+    console.error('Error listing media:', error);
+    throw error;
+  }
+}
+
+/**
+ * An asset with the insights and models that use it
+ */
+export async function getMedia(id) {
+  const result = await sql`SELECT * FROM media WHERE id = ${id}`;
+  const media = result.rows[0];
+  if (!media) return null;
+
+  return { ...media, references: await getMediaReferences(id) };
+}
+
+export async function getMediaReferences(mediaId) {
+  const result = await sql`
+    SELECT r.resource_type, r.resource_id, r.field,
+           COALESCE(i.title, m.title) AS title,
+           COALESCE(i.slug, m.slug) AS slug
+    FROM media_references r
+    LEFT JOIN insights i ON r.resource_type = 'insight' AND i.id = r.resource_id
+    LEFT JOIN models m ON r.resource_type = 'model' AND m.id = r.resource_id
+    WHERE r.media_id = ${mediaId}
+    ORDER BY r.resource_type, title, r.field
+  `;
+  return result.rows;
+}
+
+/**
+ * Set an asset's alt text and caption
+ */
+export async function updateMedia(id, { alt_text, caption }) {
+  try {
+    const result = await sql`
+      UPDATE media SET
+        alt_text = COALESCE(${alt_text === undefined ? null : String(alt_text).trim()}, alt_text),
+        caption = CASE WHEN ${caption === undefined} THEN caption ELSE ${String(caption ?? '').trim() || null} END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING *
+    `;
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating media:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an asset and its files. An asset still used by an insight or
+ * model is refused, listing where it is used.
+ * @returns {Promise<{ media: Object } | { status: number, error: string, references?: Array }>}
+ */
+export async function deleteMedia(id) {
+  try {
+    const result = await sql`
+      DELETE FROM media
+      WHERE id = ${id}
+        AND NOT EXISTS (SELECT 1 FROM media_references WHERE media_id = ${id})
+      RETURNING *
+    `;
+
+    const media = result.rows[0];
+    if (!media) {
+      const references = await getMediaReferences(id);
+      if (references.length) {
+        return { status: 409, error: 'This image is still used. Replace it where it is used before deleting it.', references };
+      }
+      return { status: 404, error: 'Not found' };
+    }
+
+    await fs.rm(path.join(MEDIA_STORAGE_DIR, media.storage_key), { recursive: true, force: true });
+    return { media };
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    throw error;
+  }
+}
+
+// The library path of a URL, with any origin removed, or null if it isn't
+// a library URL
+function mediaPath(url) {
+  const pathname = String(url || '').replace(/^https?:\/\/[^/]+/i, '');
+  return pathname.startsWith(MEDIA_URL_PREFIX) ? pathname : null;
+}
+
+/**
+ * The public fields of the asset an original or variant URL belongs to
+ */
+export async function getMediaByUrl(url) {
+  const pathname = mediaPath(url);
+  if (!pathname) return null;
+
+  const result = await sql`
+    SELECT * FROM media
+    WHERE url = ${pathname}
+       OR variants @> jsonb_build_array(jsonb_build_object('url', ${pathname}::text))
+    LIMIT 1
+  `;
+  const media = result.rows[0];
+  return media ? Object.fromEntries(PUBLIC_FIELDS.map(field => [field, media[field]])) : null;
+}
+
+/**
+ * The src of every image in an insight document
+ */
+export function documentImageUrls(node) {
+  if (!node) return [];
+  if (node.type === 'image') return [node.attrs?.src];
+  return (node.content || []).flatMap(documentImageUrls);
+}
+
+/**
+ * Record which assets a saved insight or model uses, replacing what was
+ * recorded for it before. `fields` maps each field to the URLs in it.
+ * The references are derived data, so a failure is logged rather than
+ * failing the save; the next save records them again.
+ */
+export async function syncMediaReferences(resourceType, resourceId, fields) {
+  const pairs = Object.entries(fields).flatMap(([field, urls]) =>
+    urls.map(mediaPath).filter(Boolean).map(url => [field, url]));
+
+  try {
+    await sql`DELETE FROM media_references WHERE resource_type = ${resourceType} AND resource_id = ${resourceId}`;
+    if (!pairs.length) return;
+
+    await sql`
+      INSERT INTO media_references (media_id, resource_type, resource_id, field)
+      SELECT DISTINCT m.id, ${resourceType}, ${resourceId}::int, ref.field
+      FROM unnest(${pairs.map(([field]) => field)}::text[], ${pairs.map(([, url]) => url)}::text[]) AS ref(field, url)
+      JOIN media m ON m.url = ref.url
+                   OR m.variants @> jsonb_build_array(jsonb_build_object('url', ref.url))
+      ON CONFLICT (media_id, resource_type, resource_id, field) DO NOTHING
+    `;
+  } catch (error) {
+    console.error(`Error syncing media references for ${resourceType} ${resourceId}:`, error);
+  }
+}
+
+export async function syncInsightMedia(insight) {
+  await syncMediaReferences('insight', insight.id, {
+    cover_image_url: [insight.cover_image_url],
+    content: documentImageUrls(insight.document)
+  });
+}
+
+export async function syncModelMedia(model) {
+  await syncMediaReferences('model', model.id, { thumbnail_url: [model.thumbnail_url] });
+}
+
+/**
+ * Forget what a deleted insight or model used
+ */
+export async function clearMediaReferences(resourceType, resourceId) {
+  await syncMediaReferences(resourceType, resourceId, {});
+}
@@ -0,0 +1,173 @@
+// src/utils/modelVersions.js - Model file history, changelog and update notices
+import { sql } from '@vercel/postgres';
+import { sendModelUpdateEmail } from '@/utils/email';
+
+/**
+ * Get a model's versions, newest first. Drafts are only included for admins.
+ */
+export async function getModelVersions(modelId, { includeDrafts = false } = {}) {
+  try {
+    const result = includeDrafts
+      ? await sql`
+          SELECT * FROM model_versions
+          WHERE model_id = ${modelId}
+          ORDER BY version_number DESC;
+        `
+      : await sql`
+          SELECT id, model_id, version_number, version_label, release_notes, published_at
+          FROM model_versions
+          WHERE model_id = ${modelId} AND status = 'published'
+          ORDER BY version_number DESC;
+        `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching model versions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a draft version with the next version number
+ */
+export async function createModelVersion(modelId, { excel_url, file_url, version_label, release_notes }) {
+  try {
+    const result = await sql`
+      INSERT INTO model_versions (model_id, version_number, version_label, excel_url, file_url, release_notes)
+      SELECT ${modelId}, next.number, COALESCE(${version_label || null}, next.number || '.0'),
+             ${excel_url || null}, ${file_url || null}, ${release_notes || ''}
+      FROM (
+        SELECT COALESCE(MAX(version_number), 0) + 1 AS number
+        FROM model_versions WHERE model_id = ${modelId}
+      ) next
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating model version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Publish a version and make it the model's current file.
+ * Version files live in private storage, so the model's own excel_url
+ * keeps pointing at the separate public preview workbook.
+ */
+export async function publishModelVersion(versionId) {
+  try {
+    const result = await sql`
+      UPDATE model_versions
+      SET status = 'published', published_at = COALESCE(published_at, CURRENT_TIMESTAMP)
+      WHERE id = ${versionId} AND status <> 'withdrawn'
+      RETURNING *;
+    `;
+    const version = result.rows[0];
+    if (!version) return null;
+
+    await sql`
+      UPDATE models SET
+        current_version_id = ${version.id},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${version.model_id}
+        AND (current_version_id IS NULL OR current_version_id IN (
+          SELECT id FROM model_versions WHERE model_id = ${version.model_id} AND version_number < ${version.version_number}
+        ));
+    `;
+
+    return version;
+  } catch (error) {
+    console.error('Error publishing model version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the file a buyer may download for an order.
+ * Buyers get the version they purchased or any later published version;
+ * without a requested version number they get the latest one.
+ */
+export async function getDownloadableVersion(order, versionNumber = null) {
+  try {
+    const purchased = order.purchased_version_number || 1;
+    const requested = versionNumber ? parseInt(versionNumber, 10) : null;
+
+    if (requested !== null && (!Number.isInteger(requested) || requested < purchased)) {
+      return null;
+    }
+
+    const result = requested
+      ? await sql`
+          SELECT * FROM model_versions
+          WHERE model_id = ${order.model_id} AND version_number = ${requested}
+            AND (status = 'published' OR id = ${order.model_version_id})
+          LIMIT 1;
+        `
+      : await sql`
+          SELECT * FROM model_versions
+          WHERE model_id = ${order.model_id} AND version_number >= ${purchased}
+            AND (status = 'published' OR id = ${order.model_version_id})
+          ORDER BY version_number DESC
+          LIMIT 1;
+        `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error resolving downloadable version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Email everyone who bought an earlier version of the model.
+ * Each version is announced at most once.
+ * @returns {Promise<number>} number of buyers notified
+ */
+export async function notifyPastPurchasers(versionId) {
+  try {
+    const claimed = await sql`
+      UPDATE model_versions SET notified_at = CURRENT_TIMESTAMP
+      WHERE id = ${versionId} AND status = 'published' AND notified_at IS NULL
+      RETURNING *;
+    `;
+    const version = claimed.rows[0];
+    if (!version) return 0;
+
+    const buyers = await sql`
+      SELECT DISTINCT ON (LOWER(c.email)) c.email, c.name, m.title
+      FROM orders o
+      JOIN customers c ON c.id = o.customer_id
+      JOIN models m ON m.id = o.model_id
+      LEFT JOIN model_versions pv ON pv.id = o.model_version_id
+      WHERE o.model_id = ${version.model_id}
+        AND o.status = 'completed'
+        AND COALESCE(pv.version_number, 1) < ${version.version_number}
+      ORDER BY LOWER(c.email);
+    `;
+
+    const purchasesUrl = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/account/purchases`;
+    let notified = 0;
+
+    for (const buyer of buyers.rows) {
+      try {
+        await sendModelUpdateEmail({
+          customerEmail: buyer.email,
+          customerName: buyer.name || 'Valued Customer',
+          modelTitle: buyer.title,
+          versionLabel: version.version_label,
+          releaseNotes: version.release_notes,
+          purchasesUrl
+        });
+        notified++;
+      } catch (emailError) {
+        console.error('Error sending model update email:', emailError);
+      }
+    }
+
+    return notified;
+  } catch (error) {
+    console.error('Error notifying past purchasers:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,661 @@
+// src/utils/newsletter.js - Double opt-in subscriptions, newsletter campaigns and their tracking
+import crypto from 'crypto';
+import { sql } from '@vercel/postgres';
+import { escapeHtml } from '@/utils/articleRenderer';
+import { sendEmailWithFallback, sendNewsletterConfirmation, sendNewsletterWelcome } from '@/utils/email';
+
+// Sends are throttled: the email queue sends one batch, then queues the
+// next one this long after it (src/utils/queue.js)
+export const CAMPAIGN_BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE) || 50;
+export const CAMPAIGN_BATCH_INTERVAL_MS = (parseInt(process.env.NEWSLETTER_BATCH_INTERVAL_SECONDS) || 60) * 1000;
+export const CAMPAIGN_INSIGHT_LIMIT = 6;
+
+const CONFIRMATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const CONFIRMATION_RESEND_MINUTES = 10; // signing up again sooner doesn't send another email
+const CLAIM_TIMEOUT_MINUTES = 10; // deliveries a crashed batch claimed are sent again after this
+
+// A transparent 1x1 GIF for open tracking
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function getBaseUrl() {
+  return process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+}
+
+function getTokenSecret() {
+  const secret = process.env.NEWSLETTER_TOKEN_SECRET || process.env.NEXTAUTH_SECRET;
+  if (!secret) {
+    throw new Error('NEWSLETTER_TOKEN_SECRET is not configured');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * A signed token for a subscriber or delivery id. `purpose` keeps a token
+ * made for one link from working on another; confirmation tokens expire,
+ * unsubscribe and tracking tokens have to work for as long as the email
+ * sits in an inbox.
+ */
+export function createNewsletterToken(purpose, id, ttlSeconds = null) {
+  const exp = ttlSeconds ? Math.floor(Date.now() / 1000) + ttlSeconds : undefined;
+  const payload = Buffer.from(JSON.stringify({ p: purpose, i: id, exp })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * The id a token was made for, or null if it is forged, expired or for
+ * another purpose
+ */
+export function verifyNewsletterToken(token, purpose) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  const expected = sign(payload);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { p, i, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (p !== purpose || !Number.isInteger(i)) return null;
+    if (exp !== undefined && exp * 1000 <= Date.now()) return null;
+    return i;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The links that let a subscriber leave: a page for people (the footer
+ * link) and the one-click endpoint mail clients POST to (RFC 8058)
+ */
+export function unsubscribeLinks(subscriberId) {
+  const token = encodeURIComponent(createNewsletterToken('unsubscribe', subscriberId));
+  const oneClickUrl = `${getBaseUrl()}/api/newsletter/unsubscribe?token=${token}`;
+
+  return {
+    pageUrl: `${getBaseUrl()}/newsletter/unsubscribe?token=${token}`,
+    headers: {
+      'List-Unsubscribe': `<${oneClickUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+/**
+ * Sign an address up. New addresses, and ones that left or bounced, are
+ * pending until confirmed; the confirmation email is sent at most once per
+ * CONFIRMATION_RESEND_MINUTES. Active subscribers are left alone.
+ * @returns {Promise<{ subscriber: Object, alreadySubscribed: boolean, confirmationSent: boolean }>}
+ */
+export async function subscribe(email, { ipAddress = null, userAgent = null, source = 'website' } = {}) {
+  try {
+    const result = await sql`
+      INSERT INTO newsletter_subscribers (email, ip_address, user_agent, status, source)
+      VALUES (${email}, ${ipAddress}, ${userAgent}, 'pending', ${source})
+      ON CONFLICT (email) DO UPDATE SET
+        status = CASE WHEN newsletter_subscribers.status = 'active' THEN 'active' ELSE 'pending' END,
+        ip_address = CASE WHEN newsletter_subscribers.status = 'active' THEN newsletter_subscribers.ip_address ELSE EXCLUDED.ip_address END,
+        user_agent = CASE WHEN newsletter_subscribers.status = 'active' THEN newsletter_subscribers.user_agent ELSE EXCLUDED.user_agent END
+      RETURNING *;
+    `;
+    const subscriber = result.rows[0];
+
+    if (subscriber.status === 'active') {
+      return { subscriber, alreadySubscribed: true, confirmationSent: false };
+    }
+
+    // Claim the send first so two quick sign-ups send one email
+    const claimed = await sql`
+      UPDATE newsletter_subscribers SET confirmation_sent_at = CURRENT_TIMESTAMP
+      WHERE id = ${subscriber.id}
+        AND (confirmation_sent_at IS NULL OR confirmation_sent_at < NOW() - make_interval(mins => ${CONFIRMATION_RESEND_MINUTES}))
+      RETURNING id;
+    `;
+    if (claimed.rows.length === 0) {
+      return { subscriber, alreadySubscribed: false, confirmationSent: false };
+    }
+
+    const token = encodeURIComponent(createNewsletterToken('confirm', subscriber.id, CONFIRMATION_TTL_SECONDS));
+    await sendNewsletterConfirmation(subscriber.email, `${getBaseUrl()}/newsletter/confirm?token=${token}`);
+
+    return { subscriber, alreadySubscribed: false, confirmationSent: true };
+  } catch (error) {
+    console.error('Error subscribing to newsletter:', error);
+    throw error;
+  }
+}
+
+/**
+ * Confirm a pending subscription from the emailed link and send the
+ * welcome email. Following the link again is harmless; it does not undo
+ * an unsubscribe made since.
+ * @returns {Promise<{ subscriber: Object, alreadyConfirmed: boolean } | { status: number, error: string }>}
+ */
+export async function confirmSubscription(token) {
+  const subscriberId = verifyNewsletterToken(token, 'confirm');
+  if (!subscriberId) {
+    return { status: 400, error: 'This confirmation link is invalid or has expired. Please subscribe again.' };
+  }
+
+  try {
+    const result = await sql`
+      UPDATE newsletter_subscribers SET status = 'active', confirmed_at = CURRENT_TIMESTAMP
+      WHERE id = ${subscriberId} AND status = 'pending'
+      RETURNING *;
+    `;
+
+    const subscriber = result.rows[0];
+    if (!subscriber) {
+      const current = await sql`SELECT * FROM newsletter_subscribers WHERE id = ${subscriberId}`;
+      if (current.rows[0]?.status === 'active') {
+        return { subscriber: current.rows[0], alreadyConfirmed: true };
+      }
+      return { status: 410, error: 'This address is no longer subscribed. Please subscribe again.' };
+    }
+
+    // The subscription stands even if the welcome email can't be sent
+    try {
+      const { pageUrl, headers } = unsubscribeLinks(subscriber.id);
+      await sendNewsletterWelcome(subscriber.email, { unsubscribeUrl: pageUrl, headers });
+    } catch (error) {
+      console.error('Error sending newsletter welcome email:', error);
+    }
+
+    return { subscriber, alreadyConfirmed: false };
+  } catch (error) {
+    console.error('Error confirming newsletter subscription:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unsubscribe the address a token was made for
+ * @returns {Promise<{ subscriber: Object } | { status: number, error: string }>}
+ */
+export async function unsubscribe(token) {
+  const subscriberId = verifyNewsletterToken(token, 'unsubscribe');
+  if (!subscriberId) {
+    return { status: 400, error: 'This unsubscribe link is invalid' };
+  }
+
+  try {
+    const result = await sql`
+      UPDATE newsletter_subscribers SET
+        status = 'unsubscribed',
+        unsubscribed_at = COALESCE(unsubscribed_at, CURRENT_TIMESTAMP)
+      WHERE id = ${subscriberId} AND status <> 'deleted'
+      RETURNING id, email, status;
+    `;
+
+    if (!result.rows[0]) {
+      return { status: 404, error: 'Subscriber not found' };
+    }
+    return { subscriber: result.rows[0] };
+  } catch (error) {
+    console.error('Error unsubscribing from newsletter:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check and tidy composer input
+ * @returns {{ fields: Object } | { error: string }}
+ */
+export function validateCampaignFields({ subject, preheader, intro, insight_ids: insightIds }) {
+  const trimmedSubject = String(subject || '').trim();
+  if (!trimmedSubject) return { error: 'Subject required' };
+  if (trimmedSubject.length > 200) return { error: 'Subject must be at most 200 characters' };
+
+  const ids = [...new Set((insightIds || []).map(Number).filter(Number.isInteger))];
+  if (ids.length > CAMPAIGN_INSIGHT_LIMIT) {
+    return { error: `A campaign can feature at most ${CAMPAIGN_INSIGHT_LIMIT} insights` };
+  }
+
+  return {
+    fields: {
+      subject: trimmedSubject,
+      preheader: String(preheader || '').trim().slice(0, 200) || null,
+      intro: String(intro || '').trim(),
+      insight_ids: ids
+    }
+  };
+}
+
+// Per-campaign delivery, open and click counts
+const CAMPAIGN_STATS = `
+  COUNT(d.id)::int AS delivery_count,
+  COUNT(d.id) FILTER (WHERE d.status = 'sent')::int AS sent_count,
+  COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_count,
+  COUNT(d.id) FILTER (WHERE d.status IN ('queued', 'sending'))::int AS pending_count,
+  COUNT(d.opened_at)::int AS opened_count,
+  COUNT(d.clicked_at)::int AS clicked_count
+`;
+
+export async function listCampaigns() {
+  try {
+    const result = await sql.query(`
+      SELECT c.id, c.subject, c.status, c.recipient_count, c.started_at, c.completed_at, c.created_at, c.updated_at,
+             ${CAMPAIGN_STATS}
+      FROM newsletter_campaigns c
+      LEFT JOIN newsletter_deliveries d ON d.campaign_id = c.id
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing newsletter campaigns:', error);
+    throw error;
+  }
+}
+
+/**
+ * A campaign with its counts and, once sent, the clicks on each link
+ */
+export async function getCampaign(id) {
+  try {
+    const result = await sql.query(`
+      SELECT c.*, ${CAMPAIGN_STATS}
+      FROM newsletter_campaigns c
+      LEFT JOIN newsletter_deliveries d ON d.campaign_id = c.id
+      WHERE c.id = $1
+      GROUP BY c.id
+    `, [id]);
+
+    const campaign = result.rows[0];
+    if (!campaign) return null;
+
+    const clicks = await sql`
+      SELECT k.link_index, COUNT(*)::int AS clicks, COUNT(DISTINCT k.delivery_id)::int AS unique_clicks
+      FROM newsletter_clicks k
+      JOIN newsletter_deliveries d ON d.id = k.delivery_id
+      WHERE d.campaign_id = ${id}
+      GROUP BY k.link_index
+    `;
+    const byIndex = new Map(clicks.rows.map(row => [row.link_index, row]));
+
+    return {
+      ...campaign,
+      links: (campaign.content?.links || []).map((url, index) => ({
+        url,
+        clicks: byIndex.get(index)?.clicks || 0,
+        unique_clicks: byIndex.get(index)?.unique_clicks || 0
+      }))
+    };
+  } catch (error) {
+    console.error('Error fetching newsletter campaign:', error);
+    throw error;
+  }
+}
+
+export async function createCampaign(fields, { userId = null } = {}) {
+  try {
+    const result = await sql`
+      INSERT INTO newsletter_campaigns (subject, preheader, intro, insight_ids, created_by)
+      VALUES (${fields.subject}, ${fields.preheader}, ${fields.intro}, ${fields.insight_ids}::int[], ${userId})
+      RETURNING *;
+    `;
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating newsletter campaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Change a draft; campaigns that have started sending can't be edited
+ * @returns {Promise<{ campaign: Object } | { status: number, error: string }>}
+ */
+export async function updateCampaign(id, fields) {
+  try {
+    const result = await sql`
+      UPDATE newsletter_campaigns SET
+        subject = ${fields.subject},
+        preheader = ${fields.preheader},
+        intro = ${fields.intro},
+        insight_ids = ${fields.insight_ids}::int[]
+      WHERE id = ${id} AND status = 'draft'
+      RETURNING *;
+    `;
+
+    if (!result.rows[0]) {
+      const exists = await sql`SELECT status FROM newsletter_campaigns WHERE id = ${id}`;
+      return exists.rows[0]
+        ? { status: 409, error: 'Only draft campaigns can be edited' }
+        : { status: 404, error: 'Campaign not found' };
+    }
+    return { campaign: result.rows[0] };
+  } catch (error) {
+    console.error('Error updating newsletter campaign:', error);
+    throw error;
+  }
+}
+
+export async function deleteCampaign(id) {
+  try {
+    const result = await sql`
+      DELETE FROM newsletter_campaigns WHERE id = ${id} AND status = 'draft' RETURNING id;
+    `;
+    if (!result.rows[0]) {
+      return { status: 409, error: 'Only draft campaigns can be deleted' };
+    }
+    return { deleted: true };
+  } catch (error) {
+    console.error('Error deleting newsletter campaign:', error);
+    throw error;
+  }
+}
+
+function absoluteUrl(url) {
+  if (!url) return null;
+  if (url.startsWith('/') && !url.startsWith('//')) return `${getBaseUrl()}${url}`;
+  return /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * What a campaign sends: its text and the published insights it pulls in,
+ * in the order chosen, with every link the email contains. Frozen on the
+ * campaign when sending starts.
+ */
+export async function buildCampaignContent(campaign) {
+  const result = await sql`
+    SELECT id, slug, title, summary, cover_image_url
+    FROM insights
+    WHERE id = ANY(${campaign.insight_ids || []}::int[]) AND status = 'published'
+  `;
+  const byId = new Map(result.rows.map(row => [row.id, row]));
+
+  const insights = (campaign.insight_ids || [])
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .map(insight => ({
+      title: insight.title,
+      summary: insight.summary || '',
+      url: `${getBaseUrl()}/insights/${insight.slug}`,
+      image_url: absoluteUrl(insight.cover_image_url)
+    }));
+
+  return {
+    subject: campaign.subject,
+    preheader: campaign.preheader || '',
+    intro: campaign.intro || '',
+    insights,
+    links: [...insights.map(insight => insight.url), `${getBaseUrl()}/insights`]
+  };
+}
+
+/**
+ * The email for one recipient. Links go through `clickUrl(index)` so
+ * clicks can be counted; `openUrl` is the tracking pixel.
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderCampaignEmail(content, { clickUrl = index => content.links[index], openUrl = null, unsubscribeUrl }) {
+  const link = url => clickUrl(content.links.indexOf(url));
+  const paragraphs = content.intro.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const allInsightsUrl = content.links[content.links.length - 1];
+
+  const insightHtml = content.insights.map(insight => `
+      <div style="margin: 24px 0; padding-bottom: 24px; border-bottom: 1px solid #eee;">
+        ${insight.image_url ? `<a href="${escapeHtml(link(insight.url))}"><img src="${escapeHtml(insight.image_url)}" alt="" width="560" style="width: 100%; max-width: 560px; height: auto; border-radius: 6px;"></a>` : ''}
+        <h3 style="color: #1a3a5f; margin: 12px 0 6px;">
+          <a href="${escapeHtml(link(insight.url))}" style="color: #1a3a5f; text-decoration: none;">${escapeHtml(insight.title)}</a>
+        </h3>
+        ${insight.summary ? `<p style="line-height: 1.6; color: #333; margin: 0 0 8px;">${escapeHtml(insight.summary)}</p>` : ''}
+        <a href="${escapeHtml(link(insight.url))}" style="color: #046B4E;">Read more</a>
+      </div>`).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${content.preheader ? `<div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(content.preheader)}</div>` : ''}
+      <h2 style="color: #1a3a5f; border-bottom: 2px solid #046B4E; padding-bottom: 10px;">${escapeHtml(content.subject)}</h2>
+      ${paragraphs.map(paragraph => `<p style="line-height: 1.6; color: #333;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('\n      ')}
+      ${insightHtml}
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${escapeHtml(link(allInsightsUrl))}" style="background-color: #046B4E; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">All insights</a>
+      </p>
+      <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+        <p style="color: #666; font-size: 14px;">
+          You receive this because you subscribed to the Zenith Capital Advisors newsletter.
+          <a href="${escapeHtml(unsubscribeUrl)}" style="color: #666;">Unsubscribe</a>
+        </p>
+      </div>
+      ${openUrl ? `<img src="${escapeHtml(openUrl)}" alt="" width="1" height="1" style="display: block; border: 0;">` : ''}
+    </div>
+  `;
+
+  const text = [
+    content.subject,
+    ...paragraphs,
+    ...content.insights.map(insight => [insight.title, insight.summary, link(insight.url)].filter(Boolean).join('\n')),
+    `All insights: ${link(allInsightsUrl)}`,
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join('\n\n');
+
+  return { subject: content.subject, html, text };
+}
+
+/**
+ * Send a draft (or a sent campaign's frozen content) to one address, with
+ * untracked links and "[Test]" in the subject
+ */
+export async function sendCampaignTest(id, email) {
+  const result = await sql`SELECT * FROM newsletter_campaigns WHERE id = ${id}`;
+  const campaign = result.rows[0];
+  if (!campaign) return { status: 404, error: 'Campaign not found' };
+
+  const content = campaign.content || await buildCampaignContent(campaign);
+  const message = renderCampaignEmail(content, { unsubscribeUrl: `${getBaseUrl()}/newsletter/unsubscribe` });
+
+  try {
+    const sent = await sendEmailWithFallback(email, `[Test] ${message.subject}`, message.text, message.html);
+    return { sent };
+  } catch (error) {
+    console.error('Error sending newsletter test email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Freeze a draft's content and queue a delivery for every active
+ * subscriber. The caller queues the first batch.
+ * @returns {Promise<{ campaign: Object } | { status: number, error: string }>}
+ */
+export async function startCampaign(id, { userId = null } = {}) {
+  const existing = await sql`SELECT * FROM newsletter_campaigns WHERE id = ${id}`;
+  const draft = existing.rows[0];
+  if (!draft) return { status: 404, error: 'Campaign not found' };
+  if (draft.status !== 'draft') return { status: 409, error: `The campaign is already ${draft.status}` };
+
+  const content = await buildCampaignContent(draft);
+
+  try {
+    const result = await sql`
+      WITH started AS (
+        UPDATE newsletter_campaigns SET
+          status = 'sending',
+          content = ${JSON.stringify(content)}::jsonb,
+          recipient_count = (SELECT COUNT(*) FROM newsletter_subscribers WHERE status = 'active'),
+          sent_by = ${userId},
+          started_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND status = 'draft'
+        RETURNING *
+      ), deliveries AS (
+        INSERT INTO newsletter_deliveries (campaign_id, subscriber_id, email)
+        SELECT started.id, s.id, s.email
+        FROM started, newsletter_subscribers s
+        WHERE s.status = 'active'
+        RETURNING id
+      )
+      SELECT started.*, (SELECT COUNT(*) FROM deliveries)::int AS queued_count FROM started;
+    `;
+
+    if (!result.rows[0]) {
+      return { status: 409, error: 'The campaign was started by someone else' };
+    }
+    return { campaign: result.rows[0] };
+  } catch (error) {
+    console.error('Error starting newsletter campaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop a campaign that is sending; deliveries not yet sent are skipped
+ */
+export async function cancelCampaign(id) {
+  try {
+    const result = await sql`
+      WITH cancelled AS (
+        UPDATE newsletter_campaigns SET status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND status = 'sending'
+        RETURNING *
+      ), skipped AS (
+        UPDATE newsletter_deliveries SET status = 'skipped'
+        WHERE campaign_id IN (SELECT id FROM cancelled) AND status = 'queued'
+      )
+      SELECT * FROM cancelled;
+    `;
+
+    if (!result.rows[0]) {
+      return { status: 409, error: 'Only a campaign that is sending can be cancelled' };
+    }
+    return { campaign: result.rows[0] };
+  } catch (error) {
+    console.error('Error cancelling newsletter campaign:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send the next CAMPAIGN_BATCH_SIZE deliveries of a campaign. Deliveries
+ * are claimed with SKIP LOCKED so overlapping jobs never send twice, and
+ * anyone who unsubscribed since the campaign started is skipped. Marks the
+ * campaign sent when nothing is left.
+ * @returns {Promise<{ sent: number, failed: number, skipped: number, remaining: number }>}
+ */
+export async function sendCampaignBatch(campaignId) {
+  const campaignResult = await sql`SELECT * FROM newsletter_campaigns WHERE id = ${campaignId}`;
+  const campaign = campaignResult.rows[0];
+  if (!campaign || campaign.status !== 'sending') {
+    return { sent: 0, failed: 0, skipped: 0, remaining: 0 };
+  }
+
+  const claimed = await sql`
+    UPDATE newsletter_deliveries SET status = 'sending', claimed_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM newsletter_deliveries
+      WHERE campaign_id = ${campaignId}
+        AND (status = 'queued' OR (status = 'sending' AND claimed_at < NOW() - make_interval(mins => ${CLAIM_TIMEOUT_MINUTES})))
+      ORDER BY id
+      LIMIT ${CAMPAIGN_BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+  `;
+
+  const deliveries = claimed.rows;
+  const subscribers = await sql`
+    SELECT id FROM newsletter_subscribers
+    WHERE id = ANY(${deliveries.map(delivery => delivery.subscriber_id).filter(Boolean)}::int[]) AND status = 'active'
+  `;
+  const active = new Set(subscribers.rows.map(row => row.id));
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const delivery of deliveries) {
+    if (!active.has(delivery.subscriber_id)) {
+      await sql`UPDATE newsletter_deliveries SET status = 'skipped' WHERE id = ${delivery.id}`;
+      counts.skipped++;
+      continue;
+    }
+
+    const token = encodeURIComponent(createNewsletterToken('delivery', delivery.id));
+    const { pageUrl, headers } = unsubscribeLinks(delivery.subscriber_id);
+    const message = renderCampaignEmail(campaign.content, {
+      clickUrl: index => `${getBaseUrl()}/api/newsletter/click?t=${token}&l=${index}`,
+      openUrl: `${getBaseUrl()}/api/newsletter/open?t=${token}`,
+      unsubscribeUrl: pageUrl
+    });
+
+    try {
+      const sent = await sendEmailWithFallback(delivery.email, message.subject, message.text, message.html, { headers });
+      await sql`
+        UPDATE newsletter_deliveries SET status = 'sent', sent_at = CURRENT_TIMESTAMP, message_id = ${sent.messageId || null}, error = NULL
+        WHERE id = ${delivery.id}
+      `;
+      counts.sent++;
+    } catch (error) {
+      console.error(`Error sending newsletter delivery ${delivery.id}:`, error);
+      await sql`UPDATE newsletter_deliveries SET status = 'failed', error = ${error.message} WHERE id = ${delivery.id}`;
+      counts.failed++;
+    }
+  }
+
+  const remainingResult = await sql`
+    SELECT COUNT(*)::int AS remaining FROM newsletter_deliveries
+    WHERE campaign_id = ${campaignId} AND status IN ('queued', 'sending')
+  `;
+  const { remaining } = remainingResult.rows[0];
+
+  if (remaining === 0) {
+    await sql`
+      UPDATE newsletter_campaigns SET status = 'sent', completed_at = CURRENT_TIMESTAMP
+      WHERE id = ${campaignId} AND status = 'sending'
+    `;
+  }
+
+  return { ...counts, remaining };
+}
+
+/**
+ * Count an open from the tracking pixel. Unknown tokens are ignored.
+ */
+export async function recordOpen(token) {
+  const deliveryId = verifyNewsletterToken(token, 'delivery');
+  if (!deliveryId) return;
+
+  await sql`
+    UPDATE newsletter_deliveries SET
+      open_count = open_count + 1,
+      opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+    WHERE id = ${deliveryId}
+  `;
+}
+
+/**
+ * Count a click and return where it goes. Only links in the campaign's
+ * frozen content can be reached, so the endpoint is not an open redirect.
+ * A click also counts as an open, since many clients block the pixel.
+ * @returns {Promise<string|null>} the link, or null if the token or index is unknown
+ */
+export async function recordClick(token, linkIndex) {
+  const deliveryId = verifyNewsletterToken(token, 'delivery');
+  if (!deliveryId || !Number.isInteger(linkIndex) || linkIndex < 0) return null;
+
+  const result = await sql`
+    SELECT c.content->'links'->>${linkIndex}::int AS url
+    FROM newsletter_deliveries d
+    JOIN newsletter_campaigns c ON c.id = d.campaign_id
+    WHERE d.id = ${deliveryId}
+  `;
+  const url = result.rows[0]?.url;
+  if (!url) return null;
+
+  await sql`
+    WITH clicked AS (
+      UPDATE newsletter_deliveries SET
+        click_count = click_count + 1,
+        clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP),
+        opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP)
+      WHERE id = ${deliveryId}
+      RETURNING id
+    )
+    INSERT INTO newsletter_clicks (delivery_id, link_index)
+    SELECT id, ${linkIndex} FROM clicked
+  `;
+
+  return url;
+}
@@ -0,0 +1,377 @@
+// src/utils/organizations.js - Organizations, member invites and team license seats
+import { sql } from '@vercel/postgres';
+import { sendOrganizationInviteEmail } from '@/utils/email';
+
+export const ORGANIZATION_ROLES = ['admin', 'member'];
+export const MAX_SEATS = 500;
+
+const SEAT_DOWNLOAD_DAYS = 7; // same window a single purchase gets
+
+function baseUrl() {
+  return process.env.NEXTAUTH_URL || process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+}
+
+/**
+ * Create an organization with the signed-in user as its first admin
+ */
+export async function createOrganization({ name, user }) {
+  try {
+    const result = await sql`
+      WITH org AS (
+        INSERT INTO organizations (name, created_by)
+        VALUES (${name}, ${user.id})
+        RETURNING *
+      ), admin AS (
+        INSERT INTO organization_members (organization_id, user_id, email, role, status, invited_by, joined_at)
+        SELECT org.id, ${user.id}, ${user.email.toLowerCase()}, 'admin', 'active', ${user.id}, CURRENT_TIMESTAMP
+        FROM org
+      )
+      SELECT * FROM org;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    throw error;
+  }
+}
+
+/**
+ * Organizations the user belongs to, with their role in each
+ */
+export async function getOrganizationsForUser(userId) {
+  try {
+    const result = await sql`
+      SELECT o.*, m.id AS member_id, m.role
+      FROM organization_members m
+      JOIN organizations o ON o.id = m.organization_id
+      WHERE m.user_id = ${userId} AND m.status = 'active'
+      ORDER BY o.name;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching organizations for user:', error);
+    throw error;
+  }
+}
+
+/**
+ * The user's active membership of an organization, or null
+ */
+export async function getMembership(organizationId, userId) {
+  try {
+    const result = await sql`
+      SELECT * FROM organization_members
+      WHERE organization_id = ${organizationId} AND user_id = ${userId} AND status = 'active'
+      LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching organization membership:', error);
+    throw error;
+  }
+}
+
+/**
+ * Members, team licenses and the seats assigned on each
+ */
+export async function getOrganizationDetails(organizationId) {
+  try {
+    const [organization, members, licenses] = await Promise.all([
+      sql`SELECT * FROM organizations WHERE id = ${organizationId};`,
+      sql`
+        SELECT m.id, m.email, m.role, m.status, m.invited_at, m.joined_at, u.name
+        FROM organization_members m
+        LEFT JOIN users u ON u.id = m.user_id
+        WHERE m.organization_id = ${organizationId}
+        ORDER BY m.role, LOWER(m.email);
+      `,
+      sql`
+        SELECT o.id, o.model_id, o.seats, o.status, o.created_at,
+               m.title AS model_title, m.slug AS model_slug,
+               COALESCE(
+                 (
+                   SELECT json_agg(json_build_object(
+                     'id', s.id,
+                     'memberId', s.member_id,
+                     'email', om.email,
+                     'assignedAt', s.assigned_at,
+                     'downloadCount', s.download_count
+                   ) ORDER BY s.assigned_at)
+                   FROM license_seats s
+                   JOIN organization_members om ON om.id = s.member_id
+                   WHERE s.order_id = o.id AND s.revoked_at IS NULL
+                 ),
+                 '[]'
+               ) AS assigned_seats
+        FROM orders o
+        LEFT JOIN models m ON m.id = o.model_id
+        WHERE o.organization_id = ${organizationId} AND o.status = 'completed'
+        ORDER BY o.created_at DESC;
+      `
+    ]);
+
+    if (!organization.rows[0]) return null;
+
+    return {
+      organization: organization.rows[0],
+      members: members.rows,
+      licenses: licenses.rows
+    };
+  } catch (error) {
+    console.error('Error fetching organization details:', error);
+    throw error;
+  }
+}
+
+/**
+ * Invite someone to an organization and email them a sign-in link.
+ * Inviting an existing member again only resends the email.
+ */
+export async function inviteMember({ organizationId, email, role = 'member', invitedBy }) {
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const inserted = await sql`
+      INSERT INTO organization_members (organization_id, email, role, invited_by)
+      VALUES (${organizationId}, ${normalizedEmail}, ${role}, ${invitedBy.id})
+      ON CONFLICT (organization_id, LOWER(email)) DO NOTHING
+      RETURNING *;
+    `;
+
+    const member = inserted.rows[0] || (await sql`
+      SELECT * FROM organization_members
+      WHERE organization_id = ${organizationId} AND LOWER(email) = ${normalizedEmail};
+    `).rows[0];
+
+    const organization = await sql`SELECT name FROM organizations WHERE id = ${organizationId};`;
+    const signInUrl = createSignInUrl(normalizedEmail, '/account/team');
+
+    await sendOrganizationInviteEmail({
+      email: normalizedEmail,
+      organizationName: organization.rows[0].name,
+      invitedBy: invitedBy.name || invitedBy.email,
+      signInUrl
+    });
+
+    return member;
+  } catch (error) {
+    console.error('Error inviting organization member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a member; their seats are released with them.
+ * The last admin cannot be removed.
+ */
+export async function removeMember(organizationId, memberId) {
+  try {
+    const result = await sql`
+      DELETE FROM organization_members
+      WHERE id = ${memberId} AND organization_id = ${organizationId}
+        AND (role <> 'admin' OR (
+          SELECT COUNT(*) FROM organization_members
+          WHERE organization_id = ${organizationId} AND role = 'admin'
+        ) > 1)
+      RETURNING *;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error removing organization member:', error);
+    throw error;
+  }
+}
+
+/**
+ * Link pending invites to a user when they sign in with the invited address
+ */
+export async function acceptInvitations(user) {
+  if (!user?.id || !user?.email) return [];
+
+  try {
+    const result = await sql`
+      UPDATE organization_members
+      SET user_id = ${user.id}, status = 'active', joined_at = CURRENT_TIMESTAMP
+      WHERE LOWER(email) = ${user.email.toLowerCase()} AND status = 'invited'
+      RETURNING *;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error accepting organization invitations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Give a member one seat of a team license
+ * @returns {Promise<{ valid: boolean, seat?: object, error?: string }>}
+ */
+export async function assignSeat({ organizationId, orderId, memberId, assignedBy }) {
+  try {
+    const license = await sql`
+      SELECT o.seats,
+             (SELECT COUNT(*) FROM license_seats s WHERE s.order_id = o.id AND s.revoked_at IS NULL)::int AS used,
+             EXISTS (
+               SELECT 1 FROM license_seats s
+               WHERE s.order_id = o.id AND s.member_id = ${memberId} AND s.revoked_at IS NULL
+             ) AS already_assigned,
+             EXISTS (
+               SELECT 1 FROM organization_members m
+               WHERE m.id = ${memberId} AND m.organization_id = o.organization_id
+             ) AS is_member
+      FROM orders o
+      WHERE o.id = ${orderId} AND o.organization_id = ${organizationId} AND o.status = 'completed';
+    `;
+
+    const row = license.rows[0];
+    if (!row) return { valid: false, error: 'License not found' };
+    if (!row.is_member) return { valid: false, error: 'Member not found' };
+    if (row.already_assigned) return { valid: false, error: 'This member already has a seat on this license' };
+    if (row.used >= row.seats) return { valid: false, error: 'All seats on this license are assigned' };
+
+    const expiresAt = new Date(Date.now() + SEAT_DOWNLOAD_DAYS * 24 * 60 * 60 * 1000);
+
+    // Re-check the seat count in the insert so two admins can't over-assign
+    const result = await sql`
+      INSERT INTO license_seats (order_id, member_id, assigned_by, download_expires_at)
+      SELECT ${orderId}, ${memberId}, ${assignedBy}, ${expiresAt}
+      WHERE (
+        SELECT COUNT(*) FROM license_seats WHERE order_id = ${orderId} AND revoked_at IS NULL
+      ) < ${row.seats}
+      ON CONFLICT (order_id, member_id) WHERE revoked_at IS NULL DO NOTHING
+      RETURNING *;
+    `;
+
+    return result.rows[0]
+      ? { valid: true, seat: result.rows[0] }
+      : { valid: false, error: 'All seats on this license are assigned' };
+  } catch (error) {
+    console.error('Error assigning license seat:', error);
+    throw error;
+  }
+}
+
+/**
+ * Take a seat back so it can be given to someone else
+ */
+export async function revokeSeat(organizationId, seatId) {
+  try {
+    const result = await sql`
+      UPDATE license_seats s
+      SET revoked_at = CURRENT_TIMESTAMP
+      FROM orders o
+      WHERE s.id = ${seatId} AND s.order_id = o.id
+        AND o.organization_id = ${organizationId} AND s.revoked_at IS NULL
+      RETURNING s.*;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error revoking license seat:', error);
+    throw error;
+  }
+}
+
+/**
+ * The active seat on a team license held by an email address, or a
+ * specific seat when `seatId` comes from a signed download link
+ */
+export async function getActiveSeat({ orderId, email = null, seatId = null }) {
+  try {
+    const result = await sql`
+      SELECT s.*, m.email
+      FROM license_seats s
+      JOIN organization_members m ON m.id = s.member_id
+      WHERE s.order_id = ${orderId} AND s.revoked_at IS NULL
+        AND (${seatId}::int IS NULL OR s.id = ${seatId})
+        AND (${email}::text IS NULL OR LOWER(m.email) = LOWER(${email}))
+      LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching license seat:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a download against a seat's own allowance
+ */
+export async function incrementSeatDownloadCount(seatId, maxDownloads) {
+  try {
+    const result = await sql`
+      UPDATE license_seats
+      SET download_count = download_count + 1
+      WHERE id = ${seatId} AND revoked_at IS NULL
+        AND download_count < ${maxDownloads} AND download_expires_at > NOW()
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error incrementing seat download count:', error);
+    throw error;
+  }
+}
+
+/**
+ * Team licenses an email address holds a seat on, shaped like the
+ * buyer's own orders for the purchases page. The seat's download count
+ * and window take the place of the order's.
+ */
+export async function getSeatLicensesForEmail(email) {
+  try {
+    const result = await sql`
+      SELECT o.*, s.id AS seat_id, s.download_count, s.download_expires_at,
+             org.name AS organization_name,
+             m.title AS model_title, m.slug AS model_slug,
+             pv.version_label AS purchased_version,
+             COALESCE(
+               (
+                 SELECT json_agg(json_build_object(
+                   'versionNumber', v.version_number,
+                   'versionLabel', v.version_label,
+                   'releaseNotes', v.release_notes,
+                   'publishedAt', v.published_at
+                 ) ORDER BY v.version_number DESC)
+                 FROM model_versions v
+                 WHERE v.model_id = o.model_id
+                   AND v.version_number >= COALESCE(pv.version_number, 1)
+                   AND (v.status = 'published' OR v.id = o.model_version_id)
+               ),
+               '[]'
+             ) AS available_versions
+      FROM license_seats s
+      JOIN organization_members om ON om.id = s.member_id
+      JOIN orders o ON o.id = s.order_id
+      JOIN organizations org ON org.id = o.organization_id
+      LEFT JOIN models m ON m.id = o.model_id
+      LEFT JOIN model_versions pv ON pv.id = o.model_version_id
+      WHERE LOWER(om.email) = LOWER(${email})
+        AND s.revoked_at IS NULL
+        AND o.status = 'completed'
+      ORDER BY s.assigned_at DESC;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching seat licenses:', error);
+    throw error;
+  }
+}
+
+/**
+ * The sign-in page with the invitee's address filled in. Signing in there
+ * goes through the email provider like any other sign-in, and accepts the
+ * invite (acceptInvitations in [...nextauth].js).
+ */
+function createSignInUrl(email, callbackPath) {
+  const params = new URLSearchParams({ email, callbackUrl: callbackPath });
+  return `${baseUrl()}/auth/signin?${params}`;
+}
@@ -0,0 +1,347 @@
+// src/utils/previews.js - Server-built, redacted preview workbooks for model pages
+import fs from 'fs';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { sql } from '@vercel/postgres';
+import { MODEL_STORAGE_DIR, resolveModelFile } from '@/utils/downloads';
+
+export const PREVIEW_DIR = path.join(MODEL_STORAGE_DIR, 'previews');
+export const PREVIEW_BLUR_NAME = 'ZC_PREVIEW_BLUR'; // read by public/excelWorker.js
+export const PREVIEW_MASK_TEXT = '•••';
+export const MASK_MODES = ['mask', 'blur'];
+
+const RANGE_PATTERN = /^\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/;
+const MAX_RULE_ENTRIES = 50;
+const MAX_SEARCH_LABEL_LENGTH = 200; // longer text is notes, not labels
+const MAX_SEARCH_TEXT_LENGTH = 100000;
+
+function columnNumber(letters) {
+  return letters.split('').reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+function columnLetters(number) {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Parse an A1 range such as "B2:H40" or "D5" into 1-based bounds
+ * @returns {{ top: number, left: number, bottom: number, right: number } | null}
+ */
+export function parsePreviewRange(ref) {
+  const match = String(ref || '').trim().toUpperCase().match(RANGE_PATTERN);
+  if (!match) return null;
+
+  const [, startCol, startRow, endCol = startCol, endRow = startRow] = match;
+  const top = Number(startRow);
+  const bottom = Number(endRow);
+  const left = columnNumber(startCol);
+  const right = columnNumber(endCol);
+  if (!top || !bottom) return null;
+
+  return {
+    top: Math.min(top, bottom),
+    left: Math.min(left, right),
+    bottom: Math.max(top, bottom),
+    right: Math.max(left, right)
+  };
+}
+
+const inRange = (range, row, col) =>
+  row >= range.top && row <= range.bottom && col >= range.left && col <= range.right;
+
+/**
+ * Check admin-entered preview rules and return them in canonical form.
+ * `sheets` lists the sheets to keep (all visible sheets when empty), each
+ * optionally cut down to one range; `masks` hide regions of kept sheets.
+ *
+ * @returns {{ valid: true, rules: Object } | { valid: false, error: string }}
+ */
+export function validatePreviewRules(rules = {}) {
+  const invalid = error => ({ valid: false, error });
+  const sheets = rules.sheets || [];
+  const masks = rules.masks || [];
+
+  if (!Array.isArray(sheets) || !Array.isArray(masks)) return invalid('Sheets and masks must be lists');
+  if (sheets.length > MAX_RULE_ENTRIES || masks.length > MAX_RULE_ENTRIES) {
+    return invalid(`At most ${MAX_RULE_ENTRIES} sheets and ${MAX_RULE_ENTRIES} masks are allowed`);
+  }
+
+  const normalizedSheets = [];
+  for (const sheet of sheets) {
+    const name = String(sheet?.name || '').trim();
+    const range = String(sheet?.range || '').trim().toUpperCase();
+    if (!name) return invalid('Every kept sheet needs a name');
+    if (range && !parsePreviewRange(range)) return invalid(`"${range}" is not a valid range for sheet "${name}"`);
+    normalizedSheets.push({ name, range: range || null });
+  }
+
+  const normalizedMasks = [];
+  for (const mask of masks) {
+    const sheet = String(mask?.sheet || '').trim();
+    const range = String(mask?.range || '').trim().toUpperCase();
+    const mode = mask?.mode || 'mask';
+    if (!sheet) return invalid('Every mask needs a sheet');
+    if (!parsePreviewRange(range)) return invalid(`"${range}" is not a valid mask range for sheet "${sheet}"`);
+    if (!MASK_MODES.includes(mode)) return invalid(`Mask mode must be one of: ${MASK_MODES.join(', ')}`);
+    normalizedMasks.push({ sheet, range, mode });
+  }
+
+  return { valid: true, rules: { sheets: normalizedSheets, masks: normalizedMasks } };
+}
+
+// Keep the shape of a value so a blurred cell looks plausible, without
+// shipping any of the real characters
+function scrambleValue(value) {
+  const scramble = text => String(text)
+    .replace(/[0-9]/g, () => String(Math.floor(Math.random() * 10)))
+    .replace(/[A-Za-z]/g, letter => (letter === letter.toUpperCase() ? 'X' : 'x'));
+
+  if (typeof value === 'number') return Number(scramble(value)) || 0;
+  if (value instanceof Date) return new Date(Date.UTC(value.getUTCFullYear(), 0, 1));
+  if (typeof value === 'boolean') return value;
+  return scramble(value);
+}
+
+// Formula cells become their cached result, so nothing in the copy can be
+// traced back to the model's logic
+function toPlainValue(cell) {
+  const { value } = cell;
+  if (value === null || value === undefined || typeof value !== 'object' || value instanceof Date) return value;
+  if ('formula' in value || 'sharedFormula' in value) return value.result ?? null;
+  if (value.richText) return value.richText.map(run => run.text).join('');
+  if ('text' in value && 'hyperlink' in value) return value.text;
+  return value;
+}
+
+/**
+ * Apply preview rules to a loaded workbook in place: strip hidden and
+ * unlisted sheets, replace formulas with values, clear everything outside
+ * the kept range and mask or scramble the configured regions. Blurred
+ * regions are listed in the PREVIEW_BLUR_NAME defined name for the viewer.
+ */
+export function redactWorkbook(workbook, rules = {}) {
+  const keep = new Map((rules.sheets || []).map(sheet => [sheet.name, sheet.range ? parsePreviewRange(sheet.range) : null]));
+  const visible = workbook.worksheets.filter(worksheet => worksheet.state === 'visible').map(worksheet => worksheet.name);
+
+  // A typo in a sheet name would otherwise silently drop a sheet or a mask
+  [...keep.keys(), ...(rules.masks || []).map(mask => mask.sheet)].forEach(name => {
+    if (!visible.includes(name)) {
+      throw new Error(`"${name}" is not a visible sheet of the workbook`);
+    }
+  });
+
+  workbook.worksheets
+    .filter(worksheet => worksheet.state !== 'visible' || (keep.size > 0 && !keep.has(worksheet.name)))
+    .forEach(worksheet => workbook.removeWorksheet(worksheet.id));
+
+  if (workbook.worksheets.length === 0) {
+    throw new Error('The workbook has no visible sheets to preview');
+  }
+
+  // Names point at removed sheets and formulas that no longer exist
+  workbook.definedNames.model = [];
+  const blurred = [];
+
+  workbook.worksheets.forEach(worksheet => {
+    const area = keep.get(worksheet.name) || null;
+    const masks = (rules.masks || [])
+      .filter(mask => mask.sheet === worksheet.name)
+      .map(mask => ({ ...mask, bounds: parsePreviewRange(mask.range) }));
+
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+        // Merged cells repeat the master's value; only the master is real
+        if (cell.type === ExcelJS.ValueType.Merge) return;
+
+        if (area && !inRange(area, rowNumber, colNumber)) {
+          cell.value = null;
+          return;
+        }
+
+        let value = toPlainValue(cell);
+        const mask = masks.find(entry => inRange(entry.bounds, rowNumber, colNumber));
+        if (mask && value !== null && value !== undefined && value !== '') {
+          value = mask.mode === 'blur' ? scrambleValue(value) : PREVIEW_MASK_TEXT;
+        }
+
+        cell.value = value;
+        // ExcelJS has no public way to remove a note
+        delete cell._comment;
+      });
+    });
+
+    worksheet.dataValidations.model = {};
+    masks
+      .filter(mask => mask.mode === 'blur')
+      .forEach(mask => {
+        const { top, left, bottom, right } = mask.bounds;
+        const sheetName = `'${worksheet.name.replace(/'/g, "''")}'`;
+        blurred.push(`${sheetName}!$${columnLetters(left)}$${top}:$${columnLetters(right)}$${bottom}`);
+      });
+  });
+
+  blurred.forEach(ref => workbook.definedNames.add(ref, PREVIEW_BLUR_NAME));
+
+  workbook.company = 'Zenith Capital Advisors';
+  workbook.description = 'Preview copy - purchase the model for the full workbook';
+  workbook.keywords = '';
+  workbook.creator = 'ZenCap';
+  workbook.lastModifiedBy = 'ZenCap';
+
+  return workbook;
+}
+
+/**
+ * Sheet names and text labels of a redacted workbook for the search index
+ * (src/utils/search.js). Masked regions are skipped, so search only finds
+ * what the preview itself shows; numbers are left out.
+ */
+export function previewSearchText(workbook, rules = {}) {
+  const labels = new Set();
+
+  workbook.worksheets.forEach(worksheet => {
+    labels.add(worksheet.name);
+    const masks = (rules.masks || [])
+      .filter(mask => mask.sheet === worksheet.name)
+      .map(mask => parsePreviewRange(mask.range));
+
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+        if (typeof cell.value !== 'string' || masks.some(bounds => inRange(bounds, rowNumber, colNumber))) return;
+        const label = cell.value.replace(/\s+/g, ' ').trim();
+        if (/[A-Za-z]{2}/.test(label) && label.length <= MAX_SEARCH_LABEL_LENGTH) labels.add(label);
+      });
+    });
+  });
+
+  return [...labels].join('\n').slice(0, MAX_SEARCH_TEXT_LENGTH);
+}
+
+/**
+ * Get a model's preview row, or defaults when none has been saved yet
+ */
+export async function getModelPreview(modelId) {
+  try {
+    const result = await sql`
+      SELECT * FROM model_previews WHERE model_id = ${modelId} LIMIT 1;
+    `;
+
+    return result.rows[0] || { model_id: modelId, rules: { sheets: [], masks: [] }, status: 'pending' };
+  } catch (error) {
+    console.error('Error fetching model preview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a model's preview rules. The artifact is marked pending so the
+ * next request rebuilds it.
+ */
+export async function savePreviewRules(modelId, rules) {
+  try {
+    const result = await sql`
+      INSERT INTO model_previews (model_id, rules, status)
+      VALUES (${modelId}, ${JSON.stringify(rules)}, 'pending')
+      ON CONFLICT (model_id) DO UPDATE
+      SET rules = EXCLUDED.rules, status = 'pending', error = NULL
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving preview rules:', error);
+    throw error;
+  }
+}
+
+// The preview is cut from the current published version; models without
+// one fall back to the workbook on the model itself
+async function getPreviewSource(modelId) {
+  const result = await sql`
+    SELECT COALESCE(v.excel_url, m.excel_url) AS source_url
+    FROM models m
+    LEFT JOIN model_versions v ON v.id = m.current_version_id
+    WHERE m.id = ${modelId}
+    LIMIT 1;
+  `;
+
+  return result.rows[0]?.source_url || null;
+}
+
+/**
+ * Build (or rebuild) the preview artifact for a model and record the result
+ * @returns {Promise<Object>} the model_previews row
+ */
+export async function buildModelPreview(modelId) {
+  const preview = await getModelPreview(modelId);
+  const sourceUrl = await getPreviewSource(modelId);
+  const sourcePath = resolveModelFile(sourceUrl);
+
+  try {
+    if (!sourcePath) {
+      throw new Error('The model has no workbook to preview');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(sourcePath);
+    redactWorkbook(workbook, preview.rules || {});
+
+    fs.mkdirSync(PREVIEW_DIR, { recursive: true });
+    const previewPath = path.join(PREVIEW_DIR, `model-${modelId}.xlsx`);
+    // Write beside the live file first so a visitor never reads half a workbook
+    const tempPath = `${previewPath}.${process.pid}.tmp`;
+    await workbook.xlsx.writeFile(tempPath);
+    fs.renameSync(tempPath, previewPath);
+
+    // Only written when it changed, as it touches the model's updated_at
+    const searchText = previewSearchText(workbook, preview.rules || {});
+    await sql`UPDATE models SET workbook_text = ${searchText} WHERE id = ${modelId} AND workbook_text IS DISTINCT FROM ${searchText}`;
+
+    const result = await sql`
+      INSERT INTO model_previews (model_id, rules, preview_path, source_url, status, error, generated_at)
+      VALUES (${modelId}, ${JSON.stringify(preview.rules || {})}, ${previewPath}, ${sourceUrl}, 'ready', NULL, CURRENT_TIMESTAMP)
+      ON CONFLICT (model_id) DO UPDATE
+      SET preview_path = EXCLUDED.preview_path, source_url = EXCLUDED.source_url,
+          status = 'ready', error = NULL, generated_at = EXCLUDED.generated_at
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error building model preview:', error);
+    await sql`
+      INSERT INTO model_previews (model_id, rules, source_url, status, error)
+      VALUES (${modelId}, ${JSON.stringify(preview.rules || {})}, ${sourceUrl}, 'failed', ${error.message})
+      ON CONFLICT (model_id) DO UPDATE
+      SET source_url = EXCLUDED.source_url, status = 'failed', error = EXCLUDED.error;
+    `;
+    throw error;
+  }
+}
+
+/**
+ * Get the path of an up-to-date preview for a model, building it first
+ * when the rules changed, the model got a new version or the file is gone
+ */
+export async function getPreviewFile(modelId) {
+  const preview = await getModelPreview(modelId);
+  const sourceUrl = await getPreviewSource(modelId);
+
+  const isCurrent = preview.status === 'ready' &&
+    preview.source_url === sourceUrl &&
+    preview.preview_path && fs.existsSync(preview.preview_path);
+
+  if (isCurrent) return preview;
+
+  // Do not retry a failed build on every page view; saving the rules or
+  // publishing a new version tries again
+  if (preview.status === 'failed' && preview.source_url === sourceUrl) {
+    throw new Error(preview.error || 'Preview build failed');
+  }
+
+  return buildModelPreview(modelId);
+}
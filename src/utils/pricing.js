@@ -0,0 +1,162 @@
+// src/utils/pricing.js - Server-authoritative catalog pricing
+import { sql } from '@vercel/postgres';
+import {
+  DEFAULT_CURRENCY,
+  CURRENCY_COOKIE,
+  normalizeCurrency,
+  currencyForCountry
+} from '@/config/currencies';
+
+export { DEFAULT_CURRENCY };
+
+// Analytics are summed in this currency whatever the customer paid in
+export const REPORTING_CURRENCY = normalizeCurrency(process.env.REPORTING_CURRENCY) || DEFAULT_CURRENCY;
+
+/**
+ * Convert a NUMERIC price from the database to integer minor units (cents)
+ */
+export function toCents(price) {
+  return Math.round(parseFloat(price || 0) * 100);
+}
+
+/**
+ * Check whether a model's sale price applies at the given time
+ */
+export function isSaleActive(model, now = new Date()) {
+  if (model.sale_price === null || model.sale_price === undefined) return false;
+  if (model.sale_starts_at && new Date(model.sale_starts_at) > now) return false;
+  if (model.sale_ends_at && new Date(model.sale_ends_at) <= now) return false;
+  return parseFloat(model.sale_price) > 0 && parseFloat(model.sale_price) < parseFloat(model.price);
+}
+
+/**
+ * Every currency a model or bundle is sold in, keyed by currency code.
+ * The row's own price comes first; `price_book` holds the other entries
+ * from price_book_entries as { [currency]: { price, sale_price } }.
+ */
+export function getPriceBook(item) {
+  const own = (item.currency || DEFAULT_CURRENCY).toLowerCase();
+  const book = { [own]: { price: item.price, sale_price: item.sale_price ?? null } };
+
+  for (const [currency, entry] of Object.entries(item.price_book || {})) {
+    if (currency !== own) book[currency] = entry;
+  }
+
+  return book;
+}
+
+/**
+ * Resolve the price a customer pays for a model right now. A currency the
+ * model has no price in falls back to the model's own currency, so check
+ * `currency` on the result.
+ * @returns {{ price: number, listPrice: number, amount: number, currency: string, promotion: Object|null }}
+ */
+export function getEffectivePrice(model, now = new Date(), currency = null) {
+  const book = getPriceBook(model);
+  const selected = book[normalizeCurrency(currency)] ? normalizeCurrency(currency) : Object.keys(book)[0];
+  const entry = { ...model, ...book[selected] };
+
+  const listPrice = parseFloat(entry.price);
+  const onSale = isSaleActive(entry, now);
+  const price = onSale ? parseFloat(entry.sale_price) : listPrice;
+
+  return {
+    price,
+    listPrice,
+    amount: toCents(price),
+    currency: selected,
+    promotion: onSale
+      ? { type: 'sale', endsAt: model.sale_ends_at || null }
+      : null
+  };
+}
+
+/**
+ * The visitor's country from the CDN's geolocation header, if any
+ */
+export function resolveCountry(req) {
+  const country = req.headers?.['x-vercel-ip-country'] || req.headers?.['cf-ipcountry'];
+  return /^[A-Za-z]{2}$/.test(country || '') ? country.toUpperCase() : null;
+}
+
+/**
+ * The currency to price a visitor in: their own choice if they made one,
+ * otherwise the currency of the country they're browsing from
+ */
+export function resolveCurrency(req) {
+  return normalizeCurrency(req.cookies?.[CURRENCY_COOKIE]) || currencyForCountry(resolveCountry(req));
+}
+
+/**
+ * Units of the reporting currency one unit of `currency` buys, from the
+ * exchange_rates table. Null when no rate is set (or it can't be read):
+ * the sale goes ahead, is never reported at a made-up rate, and is filled
+ * in when the rate is set (src/pages/api/admin/exchange-rates.js).
+ * @returns {Promise<number|null>}
+ */
+export async function getExchangeRate(currency) {
+  const code = String(currency || DEFAULT_CURRENCY).toLowerCase();
+  if (code === REPORTING_CURRENCY) return 1;
+
+  try {
+    const result = await sql`
+      SELECT rate FROM exchange_rates WHERE currency = ${code};
+    `;
+
+    if (!result.rows[0]) {
+      console.warn(`No exchange rate from ${code.toUpperCase()} to ${REPORTING_CURRENCY.toUpperCase()}; reporting it once one is set`);
+      return null;
+    }
+
+    return parseFloat(result.rows[0].rate);
+  } catch (error) {
+    console.error('Error fetching exchange rate:', error);
+    return null;
+  }
+}
+
+/**
+ * Look up an active model for checkout by numeric id or slug
+ */
+export async function getModelForCheckout({ modelId, modelSlug }) {
+  try {
+    const id = /^\d+$/.test(String(modelId ?? '')) ? parseInt(modelId, 10) : null;
+
+    if (!id && !modelSlug) return null;
+
+    const result = await sql`
+      SELECT id, slug, title, category, price, currency, sale_price, sale_starts_at, sale_ends_at,
+             (SELECT json_object_agg(p.currency, json_build_object('price', p.price, 'sale_price', p.sale_price))
+              FROM price_book_entries p WHERE p.model_id = models.id) AS price_book
+      FROM models
+      WHERE (id = ${id} OR slug = ${modelSlug || null}) AND status = 'active'
+      ORDER BY (id = ${id}) DESC NULLS LAST
+      LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching model for checkout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare a client-supplied price against the catalog, in the currency the
+ * client was shown. Returns null when the request agrees with the server,
+ * or a description of the mismatch otherwise. Omitted fields are not
+ * compared; an omitted currency means the model's own.
+ */
+export function findPriceMismatch(model, { price, currency } = {}, now = new Date()) {
+  const effective = getEffectivePrice(model, now, currency);
+
+  if (currency && currency.toLowerCase() !== effective.currency) {
+    return { field: 'currency', expected: effective.currency, received: currency.toLowerCase() };
+  }
+
+  if (price !== undefined && price !== null && price !== '' && Math.round(parseFloat(price) * 100) !== effective.amount) {
+    return { field: 'price', expected: effective.price, received: parseFloat(price) };
+  }
+
+  return null;
+}
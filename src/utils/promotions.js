@@ -0,0 +1,206 @@
+// src/utils/promotions.js - Site-owned promotion codes
+import { sql } from '@vercel/postgres';
+import { toCents } from '@/utils/pricing';
+
+const PROMOTION_ERRORS = {
+  not_found: 'This promotion code is not valid.',
+  inactive: 'This promotion code is no longer active.',
+  not_started: 'This promotion code is not active yet.',
+  expired: 'This promotion code has expired.',
+  usage_limit: 'This promotion code has reached its usage limit.',
+  first_time_only: 'This promotion code is only available on your first purchase.',
+  email_required: 'Enter your email address to use this promotion code.',
+  not_applicable: 'This promotion code does not apply to the items in your order.',
+  currency_mismatch: 'This promotion code cannot be used with this currency.',
+  zero_total: 'This promotion code cannot be applied to this order.'
+};
+
+/**
+ * Codes are stored and compared in upper case without surrounding spaces
+ */
+export function normalizePromotionCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Get a promotion by code, regardless of status
+ */
+export async function getPromotionByCode(code) {
+  try {
+    const normalized = normalizePromotionCode(code);
+    if (!normalized) return null;
+
+    const result = await sql`
+      SELECT * FROM promotions WHERE code = ${normalized} LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching promotion by code:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether an email has never completed a purchase
+ */
+export async function isFirstTimeCustomer(email) {
+  try {
+    const result = await sql`
+      SELECT 1 FROM orders o
+      JOIN customers c ON c.id = o.customer_id
+      WHERE LOWER(c.email) = LOWER(${email}) AND o.status = 'completed'
+      LIMIT 1;
+    `;
+
+    return result.rows.length === 0;
+  } catch (error) {
+    console.error('Error checking first-time customer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Validate a promotion code against server-priced checkout items and
+ * work out the discount for each one. Category-scoped codes apply only
+ * to individual models in that category, never to bundles.
+ *
+ * With `reserve`, a valid code also has one use taken for the checkout
+ * (reservePromotion), so the usage limit holds when checkouts race.
+ *
+ * @returns {{ valid: false, reason: string, message: string } |
+ *           { valid: true, promotion: Object, items: Array, discountAmount: number }}
+ *          On success each item carries `discount` in cents and `price`
+ *          already reduced by it.
+ */
+export async function validatePromotion({ code, items, customerEmail = null, now = new Date(), reserve = false }) {
+  const promotion = await getPromotionByCode(code);
+  const invalid = reason => ({ valid: false, reason, message: PROMOTION_ERRORS[reason] });
+
+  if (!promotion) return invalid('not_found');
+  if (promotion.status !== 'active') return invalid('inactive');
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) return invalid('not_started');
+  if (promotion.expires_at && new Date(promotion.expires_at) <= now) return invalid('expired');
+  if (promotion.usage_limit !== null && promotion.usage_count >= promotion.usage_limit) {
+    return invalid('usage_limit');
+  }
+
+  if (promotion.first_time_only) {
+    if (!customerEmail) return invalid('email_required');
+    if (!(await isFirstTimeCustomer(customerEmail))) return invalid('first_time_only');
+  }
+
+  const category = promotion.category ? promotion.category.toLowerCase() : null;
+  const isEligible = item => !category || (item.type === 'model' && (item.category || '').toLowerCase() === category);
+  const eligible = items.filter(isEligible);
+
+  if (eligible.length === 0) return invalid('not_applicable');
+
+  const currency = items[0]?.currency;
+  if (promotion.discount_type === 'fixed' && (promotion.currency || 'usd').toLowerCase() !== currency) {
+    return invalid('currency_mismatch');
+  }
+
+  const discounts = allocateDiscount(promotion, eligible.map(item => toCents(item.price)));
+  const discounted = items.map(item => {
+    const index = eligible.indexOf(item);
+    const discount = index === -1 ? 0 : discounts[index];
+    return { ...item, price: (toCents(item.price) - discount) / 100, discount };
+  });
+
+  const discountAmount = discounts.reduce((sum, discount) => sum + discount, 0);
+  if (discounted.every(item => toCents(item.price) === 0)) return invalid('zero_total');
+  if (reserve && !(await reservePromotion(promotion.id))) return invalid('usage_limit');
+
+  return { valid: true, promotion, items: discounted, discountAmount };
+}
+
+/**
+ * Split a promotion across eligible item amounts (cents).
+ * Percentages apply per item; fixed amounts are shared in proportion to
+ * item price with rounding drift on the last item, and never exceed it.
+ */
+function allocateDiscount(promotion, amounts) {
+  const value = parseFloat(promotion.discount_value);
+
+  if (promotion.discount_type === 'percent') {
+    return amounts.map(amount => Math.min(amount, Math.round(amount * value / 100)));
+  }
+
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  const fixed = Math.min(toCents(value), total);
+  let allocated = 0;
+
+  return amounts.map((amount, index) => {
+    const share = index === amounts.length - 1
+      ? fixed - allocated
+      : Math.round(fixed * amount / total);
+    allocated += share;
+    return share;
+  });
+}
+
+/**
+ * Take one use of a promotion for a checkout that is about to start.
+ * Checking and counting happen in one statement, so checkouts started at
+ * the same moment cannot all squeeze under the usage limit. The use is
+ * given back by releasePromotion if the checkout never completes.
+ * @returns {Promise<boolean>} false when the code is used up or no longer active
+ */
+export async function reservePromotion(promotionId) {
+  try {
+    const result = await sql`
+      UPDATE promotions SET usage_count = usage_count + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${promotionId}
+        AND status = 'active'
+        AND (usage_limit IS NULL OR usage_count < usage_limit)
+      RETURNING id;
+    `;
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error reserving promotion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Give back a use taken by reservePromotion, for a checkout that expired
+ * or could not be created
+ */
+export async function releasePromotion(promotionId) {
+  try {
+    await sql`
+      UPDATE promotions SET usage_count = GREATEST(usage_count - 1, 0), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${promotionId};
+    `;
+  } catch (error) {
+    console.error('Error releasing promotion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record that a paid checkout session used a promotion. The use itself
+ * was counted when the checkout started (reservePromotion).
+ * Safe to call more than once per session.
+ */
+export async function recordRedemption({ promotionId, stripeSessionId, customerId, customerEmail, discountAmount, currency }) {
+  try {
+    const result = await sql`
+      INSERT INTO promotion_redemptions (
+        promotion_id, customer_id, customer_email, stripe_session_id, discount_amount, currency
+      )
+      VALUES (
+        ${promotionId}, ${customerId}, ${customerEmail}, ${stripeSessionId}, ${discountAmount}, ${currency || 'usd'}
+      )
+      ON CONFLICT (promotion_id, stripe_session_id) DO NOTHING
+      RETURNING *;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error recording promotion redemption:', error);
+    throw error;
+  }
+}
@@ -7,6 +7,12 @@ import Bull from 'bull';
 import winston from 'winston';
 import { processExcelFile } from './excel-processor.js';
 import { setCache, CacheKeys, TTL, publish } from './redis.js';
+import { sendOrderConfirmationEmail } from './email.js';
+import { getInvoiceAttachments } from './invoices.js';
+import { claimStripeEvent, completeStripeEvent, failStripeEvent } from './stripeEvents.js';
+import { handleStripeEvent } from './stripeEventHandlers.js';
+import { publishDueInsights } from './insights.js';
+import { CAMPAIGN_BATCH_INTERVAL_MS, sendCampaignBatch } from './newsletter.js';
 import { sql } from '@vercel/postgres';
 
 // Configure logger
@@ -47,6 +53,20 @@ export const excelQueue = new Bull('excel-processing', redisConfig);
  */
 export const emailQueue = new Bull('email-notifications', redisConfig);
 
+/**
+ * Stripe webhook event queue. Jobs carry only the event id; the payload
+ * is read from the stripe_events ledger.
+ */
+export const paymentsQueue = new Bull('stripe-payments', redisConfig);
+
+/**
+ * Content publishing queue. Every job publishes whatever scheduled
+ * insights are due, so duplicate or late jobs are harmless.
+ */
+export const contentQueue = new Bull('content-publishing', redisConfig);
+
+const CONTENT_SWEEP_CRON = '*/15 * * * *'; // catches schedules whose own job was lost
+
 /**
  * Configure queue event handlers
  * @param {Bull.Queue} queue - Bull queue instance
@@ -94,6 +114,8 @@ function configureQueueEvents(queue, queueName) {
 // Configure event handlers for all queues
 configureQueueEvents(excelQueue, 'Excel');
 configureQueueEvents(emailQueue, 'Email');
+configureQueueEvents(paymentsQueue, 'Payments');
+configureQueueEvents(contentQueue, 'Content');
 
 /**
  * Excel processing job handler
@@ -214,13 +236,30 @@ excelQueue.process(3, async (job) => {
 });
 
 /**
- * Email notification job handler
+ * Email notification job handler. Jobs are named by email type.
  */
-emailQueue.process(10, async (job) => {
-  const { type, data } = job;
+emailQueue.process('*', 10, async (job) => {
+  const { name: type, data } = job;
 
   try {
     switch (type) {
+      case 'purchase-confirmation':
+        await sendOrderConfirmationEmail({
+          ...data,
+          attachments: await getInvoiceAttachments(data.invoiceIds)
+        });
+        break;
+
+      case 'newsletter-batch': {
+        // One batch per job; the next is queued after the throttle interval
+        const result = await sendCampaignBatch(data.campaignId);
+        logger.info('Newsletter batch sent:', { campaignId: data.campaignId, batch: data.batch, ...result });
+        if (result.remaining > 0) {
+          await queueCampaignBatch(data.campaignId, { batch: data.batch + 1, delay: CAMPAIGN_BATCH_INTERVAL_MS });
+        }
+        break;
+      }
+
       case 'processing-complete':
         // Send completion email
         logger.info('Sending completion email:', data);
@@ -242,6 +281,125 @@ emailQueue.process(10, async (job) => {
   }
 });
 
+/**
+ * Stripe event job handler. Claiming the ledger row is what makes
+ * processing exactly-once: a duplicate job, or one for an event another
+ * worker holds, finds nothing to claim and returns.
+ */
+paymentsQueue.process(5, async (job) => {
+  const { eventId } = job.data;
+
+  const entry = await claimStripeEvent(eventId);
+  if (!entry) {
+    logger.info('Stripe event already processed or in progress:', { eventId });
+    return { eventId, skipped: true };
+  }
+
+  try {
+    const { summary, emails } = await handleStripeEvent(entry.payload);
+
+    // Job ids dedupe the emails if the event has to be retried later
+    for (const email of emails) {
+      await emailQueue.add(email.type, email.data, {
+        jobId: email.jobId,
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 }
+      });
+    }
+
+    await completeStripeEvent(eventId, summary);
+    return { eventId, ...summary };
+  } catch (error) {
+    logger.error('Stripe event processing error:', { eventId, error: error.message });
+    await failStripeEvent(eventId, error);
+    throw error;
+  }
+});
+
+/**
+ * Scheduled publishing job handler
+ */
+contentQueue.process(async () => {
+  const published = await publishDueInsights();
+  if (published.length > 0) {
+    logger.info('Published scheduled insights:', { slugs: published.map(insight => insight.slug) });
+  }
+  return { published: published.length };
+});
+
+/**
+ * Publish scheduled insights when their day starts (UTC), with a
+ * recurring sweep as a backstop
+ * @param {string} date - date_published, YYYY-MM-DD
+ * @returns {Promise<Bull.Job>} Created job
+ */
+export async function queueScheduledPublishing(date) {
+  await contentQueue.add({ sweep: true }, {
+    jobId: 'scheduled-publishing-sweep',
+    repeat: { cron: CONTENT_SWEEP_CRON },
+    removeOnComplete: true
+  });
+
+  return await contentQueue.add({ date }, {
+    jobId: `scheduled-publishing:${date}`,
+    delay: Math.max(0, Date.parse(`${date}T00:00:00Z`) - Date.now()),
+    attempts: 5,
+    backoff: {
+      type: 'exponential',
+      delay: 60000
+    },
+    removeOnComplete: true,
+    removeOnFail: false
+  });
+}
+
+/**
+ * Queue a recorded Stripe event for processing
+ * @param {string} eventId - Stripe event id, already in the stripe_events ledger
+ * @param {Object} [options]
+ * @param {boolean} [options.replay=false] - Use a fresh job id so an event whose
+ *   earlier job is still kept as failed is run again
+ * @returns {Promise<Bull.Job>} Created job
+ */
+export async function queueStripeEvent(eventId, { replay = false } = {}) {
+  return await paymentsQueue.add({ eventId }, {
+    jobId: replay ? `${eventId}:replay:${Date.now()}` : eventId,
+    attempts: 5,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    },
+    removeOnComplete: true,
+    removeOnFail: false
+  });
+}
+
+/**
+ * Queue the next batch of a newsletter campaign. Each batch queues the one
+ * after it until every delivery is sent.
+ * @param {number} campaignId
+ * @param {Object} [options]
+ * @param {number} [options.batch=0] - Batch number, part of the job id so a
+ *   batch is only queued once
+ * @param {number} [options.delay=0] - Milliseconds to wait before sending
+ * @param {boolean} [options.resume=false] - Use a fresh job id to restart a
+ *   campaign whose batch job was lost
+ * @returns {Promise<Bull.Job>} Created job
+ */
+export async function queueCampaignBatch(campaignId, { batch = 0, delay = 0, resume = false } = {}) {
+  return await emailQueue.add('newsletter-batch', { campaignId, batch }, {
+    jobId: resume ? `newsletter:${campaignId}:resume:${Date.now()}` : `newsletter:${campaignId}:${batch}`,
+    delay,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 60000
+    },
+    removeOnComplete: true,
+    removeOnFail: false
+  });
+}
+
 /**
  * Add Excel processing job to queue
  * @param {ExcelJobData} jobData - Job data
@@ -405,4 +563,6 @@ export async function resumeQueue() {
 export async function closeQueues() {
   await excelQueue.close();
   await emailQueue.close();
+  await paymentsQueue.close();
+  await contentQueue.close();
 }
\ No newline at end of file
@@ -0,0 +1,307 @@
+// src/utils/refunds.js - Refunds, disputes and the download access they revoke
+import { sql } from '@vercel/postgres';
+import { sendRefundEmail } from '@/utils/email';
+
+// Stripe only accepts these reasons; anything the admin types goes in metadata
+const STRIPE_REFUND_REASON = 'requested_by_customer';
+
+/**
+ * Orders paid by one payment intent, with what is left to refund on each
+ */
+export async function getOrdersForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return [];
+
+  try {
+    const result = await sql`
+      SELECT o.*, c.email, c.name AS customer_name,
+             COALESCE(m.title, o.metadata->>'modelTitle', o.model_slug) AS model_title
+      FROM orders o
+      LEFT JOIN customers c ON c.id = o.customer_id
+      LEFT JOIN models m ON m.id = o.model_id
+      WHERE o.stripe_payment_intent_id = ${paymentIntentId}
+      ORDER BY o.id;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching orders for payment intent:', error);
+    throw error;
+  }
+}
+
+/**
+ * What is charged for an order in cents, tax included
+ */
+function chargedAmount(order) {
+  return parseInt(order.amount, 10) + parseInt(order.tax_amount || 0, 10);
+}
+
+/**
+ * The part of a refund or dispute that was revenue rather than tax
+ */
+function revenueShare(order, cents) {
+  const charged = chargedAmount(order);
+  return charged > 0 ? Math.round(cents * parseInt(order.amount, 10) / charged) : cents;
+}
+
+/**
+ * Add a signed entry to revenue_events, converted to the reporting
+ * currency at the order's rate. Orders still waiting for a rate get a
+ * NULL reporting amount, filled in when the rate is set. Returns false
+ * when the entry was already recorded, which is how replayed webhooks
+ * are ignored.
+ */
+export async function recordRevenueEvent({ transactionId, eventType, order, amount }) {
+  const reportingAmount = order.exchange_rate === null
+    ? null
+    : Math.round(amount * parseFloat(order.exchange_rate ?? 1)) / 100;
+
+  const result = await sql`
+    INSERT INTO revenue_events (
+      transaction_id, event_type, order_id, model_id, model_title,
+      amount, currency, reporting_amount, customer_email, created_at
+    ) VALUES (
+      ${transactionId}, ${eventType}, ${order.id}, ${String(order.model_id ?? '')},
+      ${order.model_title || `Order #${order.id}`}, ${amount / 100},
+      ${(order.currency || 'usd').toUpperCase()}, ${reportingAmount}, ${order.email || null}, NOW()
+    )
+    ON CONFLICT (transaction_id) DO NOTHING
+    RETURNING id;
+  `;
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Apply part of a Stripe refund to one order. Refunding the whole amount
+ * marks the order refunded, which ends download access. Only the share
+ * that wasn't tax comes off revenue.
+ * @param {number} amount - Cents refunded against this order, tax included
+ * @returns {Promise<Object|null>} the updated order, or null if already applied
+ */
+export async function applyRefund({ order, refundId, amount }) {
+  try {
+    const recorded = await recordRevenueEvent({
+      transactionId: `${refundId}:${order.id}`,
+      eventType: 'refund',
+      order,
+      amount: -revenueShare(order, amount)
+    });
+    if (!recorded) return null;
+
+    const result = await sql`
+      UPDATE orders SET
+        refunded_amount = LEAST(amount + tax_amount, refunded_amount + ${amount}),
+        refunded_at = NOW(),
+        status = CASE
+          WHEN LEAST(amount + tax_amount, refunded_amount + ${amount}) >= amount + tax_amount THEN 'refunded'
+          ELSE status
+        END,
+        updated_at = NOW()
+      WHERE id = ${order.id}
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error applying refund:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply every refund on a charge to the orders it paid for. Refunds made
+ * from the admin dashboard name their order; refunds made in Stripe are
+ * spread over the orders in turn, each up to what is left on it.
+ * @returns {Promise<Object[]>} orders that changed
+ */
+export async function applyChargeRefunds(stripe, charge) {
+  const orders = await getOrdersForPaymentIntent(charge.payment_intent);
+  if (orders.length === 0) return [];
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const remaining = new Map(orders.map(order => [order.id, chargedAmount(order) - (order.refunded_amount || 0)]));
+  const changed = [];
+
+  for (const refund of refunds.data.filter(refund => refund.status === 'succeeded')) {
+    const named = orders.find(order => String(order.id) === refund.metadata?.orderId);
+    let left = refund.amount;
+
+    for (const order of named ? [named] : orders) {
+      const share = Math.min(left, remaining.get(order.id));
+      if (share <= 0) continue;
+
+      const updated = await applyRefund({ order, refundId: refund.id, amount: share });
+      if (updated) {
+        remaining.set(order.id, remaining.get(order.id) - share);
+        changed.push(updated);
+      }
+      left -= share;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Revoke access to the orders behind a disputed charge and take the
+ * disputed amount out of net revenue
+ * @returns {Promise<Object[]>} orders that changed
+ */
+export async function applyDispute(dispute) {
+  try {
+    const orders = await getOrdersForPaymentIntent(dispute.payment_intent);
+    const changed = [];
+    let left = dispute.amount;
+
+    for (const order of orders) {
+      const share = Math.min(left, chargedAmount(order) - (order.refunded_amount || 0));
+      if (share <= 0) continue;
+      left -= share;
+
+      const recorded = await recordRevenueEvent({
+        transactionId: `${dispute.id}:${order.id}`,
+        eventType: 'dispute',
+        order,
+        amount: -revenueShare(order, share)
+      });
+      if (!recorded) continue;
+
+      const result = await sql`
+        UPDATE orders SET status = 'disputed', disputed_at = NOW(), updated_at = NOW()
+        WHERE id = ${order.id} AND status = 'completed'
+        RETURNING *;
+      `;
+      if (result.rows[0]) changed.push(result.rows[0]);
+    }
+
+    return changed;
+  } catch (error) {
+    console.error('Error applying dispute:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore access and revenue when a dispute is won. Lost disputes stay
+ * disputed; the money has already left net revenue.
+ * @returns {Promise<Object[]>} orders that changed
+ */
+export async function resolveDispute(dispute) {
+  if (dispute.status !== 'won') return [];
+
+  try {
+    const disputed = await sql`
+      SELECT * FROM revenue_events
+      WHERE event_type = 'dispute' AND transaction_id LIKE ${`${dispute.id}:%`};
+    `;
+    const orders = await getOrdersForPaymentIntent(dispute.payment_intent);
+    const changed = [];
+
+    for (const entry of disputed.rows) {
+      const order = orders.find(order => order.id === entry.order_id);
+      if (!order) continue;
+
+      const recorded = await recordRevenueEvent({
+        transactionId: `${entry.transaction_id}:won`,
+        eventType: 'dispute_reversal',
+        order,
+        amount: Math.round(-parseFloat(entry.amount) * 100)
+      });
+      if (!recorded) continue;
+
+      const result = await sql`
+        UPDATE orders SET status = 'completed', updated_at = NOW()
+        WHERE id = ${order.id} AND status = 'disputed'
+        RETURNING *;
+      `;
+      if (result.rows[0]) changed.push(result.rows[0]);
+    }
+
+    return changed;
+  } catch (error) {
+    console.error('Error resolving dispute:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel the pending orders of a checkout session that expired unpaid
+ */
+export async function cancelExpiredCheckout(sessionId) {
+  try {
+    const result = await sql`
+      UPDATE orders SET status = 'cancelled', updated_at = NOW()
+      WHERE stripe_session_id = ${sessionId} AND status = 'pending'
+      RETURNING *;
+    `;
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error cancelling expired checkout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Refund an order from the admin dashboard and email the customer.
+ * Without an amount, whatever is left on the order is refunded.
+ * @returns {Promise<{ valid: boolean, order?: object, refund?: object, error?: string }>}
+ */
+export async function refundOrder(stripe, { orderId, amount = null, note = '', refundedBy = null }) {
+  const result = await sql`
+    SELECT o.*, c.email, c.name AS customer_name,
+           COALESCE(m.title, o.metadata->>'modelTitle', o.model_slug) AS model_title
+    FROM orders o
+    LEFT JOIN customers c ON c.id = o.customer_id
+    LEFT JOIN models m ON m.id = o.model_id
+    WHERE o.id = ${orderId};
+  `;
+  const order = result.rows[0];
+
+  if (!order) return { valid: false, error: 'Order not found' };
+  if (order.status !== 'completed') {
+    return { valid: false, error: `Only completed orders can be refunded; this one is ${order.status}` };
+  }
+  if (!order.stripe_payment_intent_id) {
+    return { valid: false, error: 'This order has no Stripe payment to refund' };
+  }
+
+  const refundable = chargedAmount(order) - (order.refunded_amount || 0);
+  const cents = amount === null ? refundable : Math.round(Number(amount));
+  if (!Number.isInteger(cents) || cents <= 0 || cents > refundable) {
+    return { valid: false, error: `Refund amount must be between 1 and ${refundable} cents` };
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: order.stripe_payment_intent_id,
+    amount: cents,
+    reason: STRIPE_REFUND_REASON,
+    metadata: {
+      orderId: String(order.id),
+      refundedBy: refundedBy ? String(refundedBy) : '',
+      note: String(note || '').slice(0, 500)
+    }
+  });
+
+  // Apply now rather than waiting for charge.refunded; the webhook then
+  // finds the refund already recorded
+  const updated = await applyRefund({ order, refundId: refund.id, amount: cents }) || order;
+
+  if (order.email) {
+    try {
+      await sendRefundEmail({
+        customerEmail: order.email,
+        customerName: order.customer_name || 'Valued Customer',
+        modelTitle: order.model_title,
+        amount: cents / 100,
+        currency: order.currency,
+        fullRefund: updated.status === 'refunded'
+      });
+    } catch (emailError) {
+      console.error('Error sending refund email:', emailError);
+    }
+  }
+
+  return { valid: true, order: updated, refund };
+}
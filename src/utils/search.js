@@ -0,0 +1,241 @@
+// src/utils/search.js - Full-text search over published insights and active models
+import crypto from 'crypto';
+import { sql } from '@vercel/postgres';
+import { escapeHtml } from '@/utils/articleRenderer';
+
+export const SEARCH_TYPES = ['insight', 'model'];
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_QUERY_LENGTH = 200;
+
+const MAX_MATCHES = 500; // facets are counted over at most this many matches
+const LOG_FOLD_SECONDS = 60; // keystrokes of one search within this window share a log row
+
+// ts_headline wraps matches in these; the text is escaped before they
+// become <mark> tags, so nothing from the content reaches the page as markup
+const MARK_START = '⟦';
+const MARK_END = '⟧';
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=30, MinWords=12, MaxFragments=1, FragmentDelimiter=" … "`;
+const TITLE_HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true`;
+
+// The renderer (src/utils/articleRenderer.js) only ever writes these entities
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+export function normalizeQuery(query) {
+  return String(query || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Escape a ts_headline result and turn its match markers into <mark> tags
+ */
+export function highlightHtml(headline) {
+  const text = String(headline || '').replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+  return escapeHtml(text)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Every published insight and active model matching the query, best first.
+ * A document matches on its full-text index (titles, summaries, tags,
+ * insight bodies, workbook sheet names and labels) or, to tolerate typos,
+ * when its title or tags are trigram-similar to the query.
+ */
+async function findMatches(query) {
+  const result = await sql`
+    WITH q AS (
+      SELECT websearch_to_tsquery('english', ${query}) AS tsquery, ${query.toLowerCase()}::text AS text
+    )
+    SELECT * FROM (
+      SELECT 'insight' AS type, i.id, i.slug, i.title, NULL AS category,
+             ts_rank_cd(i.search_vector, q.tsquery, 32) + GREATEST(word_similarity(q.text, i.title), word_similarity(q.text, COALESCE(i.tags, ''))) * 0.5 AS score,
+             i.date_published
+      FROM insights i, q
+      WHERE i.status = 'published'
+        AND (i.search_vector @@ q.tsquery OR q.text <% i.title OR q.text <% i.tags)
+      UNION ALL
+      SELECT 'model' AS type, m.id, m.slug, m.title, m.category,
+             ts_rank_cd(m.search_vector, q.tsquery, 32) + GREATEST(word_similarity(q.text, m.title), word_similarity(q.text, COALESCE(m.tags, ''))) * 0.5 AS score,
+             NULL AS date_published
+      FROM models m, q
+      WHERE m.status = 'active'
+        AND (m.search_vector @@ q.tsquery OR q.text <% m.title OR q.text <% m.tags)
+    ) matches
+    ORDER BY score DESC, date_published DESC NULLS LAST, title
+    LIMIT ${MAX_MATCHES}
+  `;
+  return result.rows;
+}
+
+/**
+ * Highlighted title and best-matching snippet for one page of matches
+ */
+async function getHeadlines(query, matches) {
+  const ids = type => matches.filter(match => match.type === type).map(match => match.id);
+
+  const result = await sql`
+    WITH q AS (SELECT websearch_to_tsquery('english', ${query}) AS tsquery)
+    SELECT 'insight' AS type, i.id, i.cover_image_url AS image_url, i.date_published, i.reading_minutes, NULL::numeric AS price,
+           ts_headline('english', translate(i.title, ${MARK_START + MARK_END}, ''), q.tsquery, ${TITLE_HEADLINE_OPTIONS}) AS title_highlight,
+           ts_headline('english', translate(COALESCE(i.summary, '') || ' ' || regexp_replace(COALESCE(i.content, ''), '<[^>]+>', ' ', 'g'), ${MARK_START + MARK_END}, ''),
+                       q.tsquery, ${HEADLINE_OPTIONS}) AS snippet
+    FROM insights i, q
+    WHERE i.id = ANY(${ids('insight')}::int[])
+    UNION ALL
+    SELECT 'model' AS type, m.id, m.thumbnail_url AS image_url, NULL AS date_published, NULL AS reading_minutes, m.price,
+           ts_headline('english', translate(m.title, ${MARK_START + MARK_END}, ''), q.tsquery, ${TITLE_HEADLINE_OPTIONS}) AS title_highlight,
+           ts_headline('english', translate(COALESCE(m.description, '') || ' ' || COALESCE(m.workbook_text, ''), ${MARK_START + MARK_END}, ''),
+                       q.tsquery, ${HEADLINE_OPTIONS}) AS snippet
+    FROM models m, q
+    WHERE m.id = ANY(${ids('model')}::int[])
+  `;
+
+  return new Map(result.rows.map(row => [`${row.type}-${row.id}`, row]));
+}
+
+function countBy(rows, key) {
+  const counts = {};
+  rows.forEach(row => {
+    if (row[key]) counts[row[key]] = (counts[row[key]] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Search insights and models. `type` and `category` narrow the results;
+ * each facet is counted with the other filter applied, so a visitor can
+ * see what switching would find. Only models have a category.
+ * @returns {Promise<{ query: string, total: number, results: Array, facets: { types: Array, categories: Array } }>}
+ */
+export async function search(rawQuery, { type = null, category = null, limit = 10, offset = 0 } = {}) {
+  const query = normalizeQuery(rawQuery);
+
+  try {
+    const matches = await findMatches(query);
+    const ofType = match => !type || match.type === type;
+    const inCategory = match => !category || match.category === category;
+
+    const filtered = matches.filter(match => ofType(match) && inCategory(match));
+    const page = filtered.slice(offset, offset + limit);
+    const headlines = page.length ? await getHeadlines(query, page) : new Map();
+
+    return {
+      query,
+      total: filtered.length,
+      results: page.map(match => {
+        const details = headlines.get(`${match.type}-${match.id}`) || {};
+        return {
+          type: match.type,
+          slug: match.slug,
+          title: match.title,
+          url: `/${match.type === 'model' ? 'models' : 'insights'}/${match.slug}`,
+          category: match.category,
+          imageUrl: details.image_url || null,
+          datePublished: details.date_published || null,
+          readingMinutes: details.reading_minutes || null,
+          price: details.price ?? null,
+          titleHtml: highlightHtml(details.title_highlight || match.title),
+          snippetHtml: highlightHtml(details.snippet || ''),
+          score: Number(match.score)
+        };
+      }),
+      facets: {
+        types: countBy(matches.filter(inCategory), 'type'),
+        categories: countBy(matches.filter(ofType), 'category')
+      }
+    };
+  } catch (error) {
+    console.error('Error searching:', error);
+    throw error;
+  }
+}
+
+/**
+ * A stable, anonymous key for a visitor, used only to fold the keystrokes
+ * of one search into a single log row
+ */
+export function searcherHash(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? forwarded.split(',')[0].trim() : req.socket?.remoteAddress || '';
+  return crypto.createHash('sha256').update(`${ip}|${req.headers['user-agent'] || ''}`).digest('hex');
+}
+
+/**
+ * Record a search for analytics. While a visitor is still typing, the
+ * previous row is updated rather than a new one written: a query that
+ * extends or shortens the one they searched for a moment ago is the same
+ * search. Logging never fails the search itself.
+ */
+export async function logSearch({ query, type = null, category = null, resultCount, searcher = null }) {
+  const normalized = normalizeQuery(query).toLowerCase();
+
+  try {
+    await sql`
+      WITH previous AS (
+        SELECT id FROM search_queries
+        WHERE searcher_hash = ${searcher}
+          AND created_at > NOW() - make_interval(secs => ${LOG_FOLD_SECONDS})
+          AND (starts_with(${normalized}, query) OR starts_with(query, ${normalized}))
+        ORDER BY created_at DESC
+        LIMIT 1
+      ), updated AS (
+        UPDATE search_queries SET
+          query = ${normalized},
+          type_filter = ${type},
+          category_filter = ${category},
+          result_count = ${resultCount},
+          created_at = CURRENT_TIMESTAMP
+        WHERE id IN (SELECT id FROM previous)
+        RETURNING id
+      )
+      INSERT INTO search_queries (query, type_filter, category_filter, result_count, searcher_hash)
+      SELECT ${normalized}, ${type}, ${category}, ${resultCount}, ${searcher}
+      WHERE NOT EXISTS (SELECT 1 FROM updated)
+    `;
+  } catch (error) {
+    console.error('Error logging search:', error);
+  }
+}
+
+/**
+ * The most frequent searches and the most frequent ones that found nothing
+ */
+export async function getSearchAnalytics({ days = 30, limit = 10 } = {}) {
+  try {
+    const [top, empty, totals] = await Promise.all([
+      sql`
+        SELECT query, COUNT(*)::int AS searches, ROUND(AVG(result_count))::int AS avg_results
+        FROM search_queries
+        WHERE created_at >= NOW() - make_interval(days => ${days})
+        GROUP BY query
+        ORDER BY searches DESC, query
+        LIMIT ${limit}
+      `,
+      sql`
+        SELECT query, COUNT(*)::int AS searches
+        FROM search_queries
+        WHERE created_at >= NOW() - make_interval(days => ${days}) AND result_count = 0
+        GROUP BY query
+        ORDER BY searches DESC, query
+        LIMIT ${limit}
+      `,
+      sql`
+        SELECT COUNT(*)::int AS searches, COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_searches
+        FROM search_queries
+        WHERE created_at >= NOW() - make_interval(days => ${days})
+      `
+    ]);
+
+    return {
+      days,
+      searches: totals.rows[0].searches,
+      zeroResultSearches: totals.rows[0].zero_result_searches,
+      topQueries: top.rows,
+      zeroResultQueries: empty.rows
+    };
+  } catch (error) {
+    console.error('Error fetching search analytics:', error);
+    throw error;
+  }
+}
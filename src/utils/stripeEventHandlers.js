@@ -0,0 +1,596 @@
+// src/utils/stripeEventHandlers.js - What the site does for each Stripe webhook event
+import Stripe from 'stripe';
+import { sql } from '@vercel/postgres';
+import { markCartConverted } from '@/utils/cart';
+import { getModelForCheckout, getEffectivePrice } from '@/utils/pricing';
+import { recordRedemption, releasePromotion } from '@/utils/promotions';
+import { createDownloadUrl } from '@/utils/downloads';
+import { upsertSubscription, recordSubscriptionInvoice } from '@/utils/subscriptions';
+import { applyChargeRefunds, applyDispute, resolveDispute, cancelExpiredCheckout, recordRevenueEvent } from '@/utils/refunds';
+import { getBillingDetails, issueInvoice } from '@/utils/invoices';
+import { allocateTax } from '@/utils/tax';
+import { createAuditLog } from '@/utils/audit';
+
+// Events of any other type are recorded in the ledger as ignored
+export const HANDLED_EVENT_TYPES = [
+  'checkout.session.completed',
+  'checkout.session.expired',
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'customer.subscription.paused',
+  'customer.subscription.resumed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'invoice.payment_action_required',
+  'charge.refunded',
+  'charge.dispute.created',
+  'charge.dispute.closed'
+];
+
+/**
+ * Apply one Stripe event to the database. Errors propagate so the payments
+ * queue can mark the event failed and retry it; every step is safe to run
+ * again. Emails are returned rather than sent so the queue can hand them
+ * to the email queue once.
+ * @returns {Promise<{ summary: Object, emails: Array<{ type: string, jobId: string, data: Object }> }>}
+ */
+export async function handleStripeEvent(event) {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+    apiVersion: '2023-10-16',
+  });
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+
+      if (session.mode === 'subscription') {
+        // The subscription events carry the details; fetch it now so
+        // access starts as soon as the subscriber lands on their account
+        const subscription = await stripe.subscriptions.retrieve(session.subscription);
+        const saved = await syncSubscription(stripe, subscription);
+        return { summary: { subscriptionId: saved.stripe_subscription_id, status: saved.status }, emails: [] };
+      }
+
+      // Confirmation emails go out only for verified purchases
+      const orders = await recordPurchase(session);
+
+      // One invoice per order; a retried event gets the same invoices back
+      const billing = getBillingDetails(session);
+      const invoices = [];
+      for (const order of orders) {
+        invoices.push(await issueInvoice(order.id, billing));
+      }
+
+      return {
+        summary: {
+          orderIds: orders.map(order => order.id),
+          invoiceNumbers: invoices.filter(Boolean).map(invoice => invoice.invoice_number)
+        },
+        emails: orders.length > 0 ? getPurchaseConfirmation(session, orders, invoices) : []
+      };
+    }
+
+    case 'checkout.session.expired': {
+      const cancelled = await cancelExpiredCheckout(event.data.object.id);
+      // Give back the promotion use the checkout reserved. Only the first
+      // delivery cancels anything, so a replayed event gives nothing back.
+      const promotionId = cancelled.find(order => order.promotion_id)?.promotion_id;
+      if (promotionId) {
+        await releasePromotion(promotionId);
+      }
+      return { summary: { cancelledOrderIds: cancelled.map(order => order.id) }, emails: [] };
+    }
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed': {
+      const subscription = await syncSubscription(stripe, event.data.object);
+      return { summary: { subscriptionId: subscription.stripe_subscription_id, status: subscription.status }, emails: [] };
+    }
+
+    case 'invoice.paid':
+    case 'invoice.payment_failed':
+    case 'invoice.payment_action_required': {
+      await recordInvoice(event.type, event.data.object);
+      return { summary: { invoiceId: event.data.object.id }, emails: [] };
+    }
+
+    case 'charge.refunded': {
+      const orders = await applyChargeRefunds(stripe, event.data.object);
+      await auditOrderChanges('ORDER_REFUNDED', 'refund', orders, { chargeId: event.data.object.id });
+      return { summary: { orderIds: orders.map(order => order.id) }, emails: [] };
+    }
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed': {
+      const dispute = event.data.object;
+      const orders = event.type === 'charge.dispute.created'
+        ? await applyDispute(dispute)
+        : await resolveDispute(dispute);
+      await auditOrderChanges(
+        event.type === 'charge.dispute.created' ? 'ORDER_DISPUTED' : 'ORDER_DISPUTE_WON',
+        'dispute',
+        orders,
+        { disputeId: dispute.id, reason: dispute.reason, status: dispute.status }
+      );
+      return { summary: { orderIds: orders.map(order => order.id) }, emails: [] };
+    }
+
+    default:
+      return { summary: { ignored: true }, emails: [] };
+  }
+}
+
+// Checkouts for a returning customer only carry the email in customer_details
+function getSessionEmail(session) {
+  return session.customer_details?.email || session.customer_email || null;
+}
+
+/**
+ * Count each verified order of a checkout as purchase revenue, without tax.
+ * Keyed on session and order, so a replayed webhook adds nothing.
+ */
+async function recordPurchaseRevenue(session) {
+  const result = await sql`
+    SELECT o.*, c.email, COALESCE(m.title, o.metadata->>'modelTitle', o.model_slug) AS model_title
+    FROM orders o
+    LEFT JOIN customers c ON c.id = o.customer_id
+    LEFT JOIN models m ON m.id = o.model_id
+    WHERE o.stripe_session_id = ${session.id} AND o.status = 'completed'
+    ORDER BY o.id;
+  `;
+
+  for (const order of result.rows) {
+    await recordRevenueEvent({
+      transactionId: `${session.id}:${order.id}`,
+      eventType: 'purchase',
+      order,
+      amount: parseInt(order.amount, 10)
+    });
+  }
+}
+
+async function recordPurchase(session) {
+  try {
+    console.log('Recording purchase:', {
+      sessionId: session.id,
+      customerEmail: getSessionEmail(session),
+      amountTotal: session.amount_total,
+      modelId: session.metadata?.modelId,
+      modelSlug: session.metadata?.modelSlug,
+    });
+
+    // Create or get customer record
+    let customer;
+    try {
+      const customerResult = await sql`
+        INSERT INTO customers (stripe_customer_id, email, name, created_at, updated_at)
+        VALUES (${session.customer}, ${getSessionEmail(session)}, ${session.metadata?.customerName || 'Unknown'}, NOW(), NOW())
+        ON CONFLICT (stripe_customer_id) DO UPDATE SET
+          email = EXCLUDED.email,
+          name = EXCLUDED.name,
+          updated_at = NOW()
+        RETURNING id;
+      `;
+      customer = customerResult.rows[0];
+    } catch (customerError) {
+      console.error('Error creating/updating customer:', customerError);
+      // Try to get existing customer
+      const existingCustomer = await sql`
+        SELECT id FROM customers WHERE stripe_customer_id = ${session.customer} LIMIT 1;
+      `;
+      customer = existingCustomer.rows[0];
+      
+      if (!customer) {
+        throw new Error('Failed to create or retrieve customer record');
+      }
+    }
+
+    const downloadExpiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
+
+    // Checkout records one pending order per model, priced from the catalog
+    const pendingResult = await sql`
+      SELECT id, model_slug, amount, tax_amount, currency
+      FROM orders
+      WHERE stripe_session_id = ${session.id}
+        AND status IN ('pending', 'completed');
+    `;
+
+    const verification = await verifyPaidAmount(session, pendingResult.rows);
+    if (!verification.valid) {
+      await sql`
+        UPDATE orders SET status = 'failed', customer_id = ${customer.id}, updated_at = NOW()
+        WHERE stripe_session_id = ${session.id} AND status = 'pending';
+      `;
+
+      await createAuditLog({
+        event: 'PURCHASE_AMOUNT_MISMATCH',
+        userId: customer.id,
+        resourceType: 'order',
+        resourceId: session.id,
+        action: 'verify',
+        result: 'failure',
+        severity: 'critical',
+        metadata: {
+          stripeSessionId: session.id,
+          ...verification
+        }
+      });
+
+      console.error('Paid amount does not match catalog price:', { sessionId: session.id, ...verification });
+      return [];
+    }
+
+    let orders = [];
+
+    if (pendingResult.rows.length > 0) {
+      const completedResult = await sql`
+        UPDATE orders SET
+          status = 'completed',
+          customer_id = ${customer.id},
+          stripe_payment_intent_id = ${session.payment_intent},
+          download_expires_at = ${downloadExpiresAt},
+          updated_at = NOW()
+        WHERE stripe_session_id = ${session.id}
+          AND status IN ('pending', 'completed')
+        RETURNING id, model_slug, amount, promotion_id, discount_amount, download_expires_at,
+                  organization_id, metadata->>'modelTitle' AS model_title;
+      `;
+      orders = completedResult.rows;
+      await recordStripeTax(session, orders);
+    }
+
+    if (orders.length === 0) {
+      // Get model ID if provided
+      let modelId = null;
+      if (session.metadata?.modelSlug) {
+        try {
+          const modelResult = await sql`
+            SELECT id FROM models WHERE slug = ${session.metadata.modelSlug} LIMIT 1;
+          `;
+          modelId = modelResult.rows[0]?.id || null;
+        } catch (modelError) {
+          console.warn('Error retrieving model ID:', modelError);
+        }
+      }
+
+      // Record the order
+      const orderResult = await sql`
+        INSERT INTO orders (
+          stripe_session_id,
+          stripe_payment_intent_id,
+          customer_id,
+          model_id,
+          model_slug,
+          model_version_id,
+          amount,
+          currency,
+          status,
+          download_expires_at,
+          metadata,
+          created_at,
+          updated_at
+        ) VALUES (
+          ${session.id},
+          ${session.payment_intent},
+          ${customer.id},
+          ${modelId},
+          ${session.metadata?.modelSlug || null},
+          (SELECT current_version_id FROM models WHERE id = ${modelId}),
+          ${session.amount_total},
+          ${session.currency || 'usd'},
+          'completed',
+          ${downloadExpiresAt},
+          ${JSON.stringify(session.metadata || {})},
+          NOW(),
+          NOW()
+        )
+        ON CONFLICT (stripe_session_id, model_id) DO UPDATE SET
+          status = 'completed',
+          stripe_payment_intent_id = EXCLUDED.stripe_payment_intent_id,
+          updated_at = NOW()
+        RETURNING id, model_slug, amount, download_expires_at, metadata->>'modelTitle' AS model_title;
+      `;
+
+      orders = orderResult.rows;
+    }
+
+    await recordPurchaseRevenue(session);
+
+    if (session.metadata?.cartId) {
+      await markCartConverted(session.id);
+    }
+
+    if (session.metadata?.promotionId) {
+      await recordRedemption({
+        promotionId: parseInt(session.metadata.promotionId, 10),
+        stripeSessionId: session.id,
+        customerId: customer.id,
+        customerEmail: getSessionEmail(session),
+        discountAmount: orders.reduce((sum, order) => sum + parseInt(order.discount_amount || 0, 10), 0),
+        currency: session.currency
+      });
+    }
+
+    // Create security audit log
+    for (const order of orders) {
+      await createAuditLog({
+        event: 'PURCHASE_COMPLETED',
+        userId: customer.id,
+        resourceType: 'order',
+        resourceId: order.id.toString(),
+        action: 'create',
+        result: 'success',
+        severity: 'info',
+        metadata: {
+          stripeSessionId: session.id,
+          amount: order.amount,
+          currency: session.currency,
+          modelSlug: order.model_slug,
+          organizationId: order.organization_id || undefined,
+          promotionCode: order.promotion_id ? session.metadata?.promotionCode : undefined
+        }
+      });
+    }
+
+    console.log('Purchase recorded successfully:', {
+      orderIds: orders.map(order => order.id),
+      customerId: customer.id,
+      sessionId: session.id
+    });
+
+    return orders;
+
+  } catch (error) {
+    console.error('Error recording purchase:', error);
+    
+    // Create error audit log
+    await createAuditLog({
+      event: 'PURCHASE_ERROR',
+      resourceType: 'order',
+      action: 'create',
+      result: 'failure',
+      severity: 'error',
+      metadata: {
+        stripeSessionId: session.id,
+        error: error.message
+      },
+      errorDetails: {
+        message: error.message,
+        stack: error.stack
+      }
+    }).catch(auditError => {
+      console.error('Failed to create audit log:', auditError);
+    });
+    
+    // Re-throw so the event is marked failed and retried
+    throw error;
+  }
+}
+
+/**
+ * Copy a Stripe subscription into the subscriptions table, creating the
+ * customer record on first sight. The subscriber's email comes from the
+ * metadata set at checkout, falling back to the Stripe customer.
+ */
+async function syncSubscription(stripe, subscription) {
+  const stripeCustomerId = typeof subscription.customer === 'string'
+    ? subscription.customer
+    : subscription.customer?.id;
+
+  let email = subscription.metadata?.email || null;
+  let name = null;
+  if (!email) {
+    const stripeCustomer = await stripe.customers.retrieve(stripeCustomerId);
+    email = stripeCustomer.email;
+    name = stripeCustomer.name;
+  }
+  if (!email) {
+    throw new Error(`No email for subscription ${subscription.id}`);
+  }
+
+  const customerResult = await sql`
+    INSERT INTO customers (stripe_customer_id, email, name, created_at, updated_at)
+    VALUES (${stripeCustomerId}, ${email}, ${name || 'Unknown'}, NOW(), NOW())
+    ON CONFLICT (stripe_customer_id) DO UPDATE SET
+      email = EXCLUDED.email,
+      updated_at = NOW()
+    RETURNING id;
+  `;
+  const customerId = customerResult.rows[0].id;
+
+  const saved = await upsertSubscription(subscription, { email, customerId });
+
+  await createAuditLog({
+    event: 'SUBSCRIPTION_UPDATED',
+    userId: customerId,
+    resourceType: 'subscription',
+    resourceId: subscription.id,
+    action: 'update',
+    result: 'success',
+    severity: 'info',
+    metadata: {
+      status: subscription.status,
+      plan: saved.plan,
+      currentPeriodEnd: saved.current_period_end,
+      cancelAtPeriodEnd: saved.cancel_at_period_end
+    }
+  });
+
+  return saved;
+}
+
+/**
+ * Note the latest invoice on its subscription. Failed renewals are
+ * flagged in the audit log; Stripe's own dunning emails the customer.
+ */
+async function recordInvoice(eventType, invoice) {
+  const subscription = await recordSubscriptionInvoice(invoice);
+  if (!subscription) {
+    console.log('Invoice is not for a known subscription:', invoice.id);
+    return;
+  }
+
+  if (eventType !== 'invoice.paid') {
+    await createAuditLog({
+      event: 'SUBSCRIPTION_PAYMENT_FAILED',
+      userId: subscription.customer_id,
+      resourceType: 'subscription',
+      resourceId: subscription.stripe_subscription_id,
+      action: 'charge',
+      result: 'failure',
+      severity: 'warning',
+      metadata: {
+        invoiceId: invoice.id,
+        invoiceStatus: invoice.status,
+        attemptCount: invoice.attempt_count,
+        nextPaymentAttempt: invoice.next_payment_attempt
+      }
+    });
+  }
+}
+
+/**
+ * Audit each order whose access a refund or dispute changed
+ */
+async function auditOrderChanges(event, action, orders, metadata) {
+  for (const order of orders) {
+    await createAuditLog({
+      event,
+      userId: order.customer_id,
+      resourceType: 'order',
+      resourceId: String(order.id),
+      action,
+      result: 'success',
+      severity: 'warning',
+      metadata: {
+        ...metadata,
+        status: order.status,
+        refundedAmount: order.refunded_amount
+      }
+    });
+  }
+}
+
+/**
+ * Stripe charges the tax for the billing address on top of the line items;
+ * spread it over the orders it was charged with. Without the breakdown
+ * (it is only sent when expanded) the rate is worked out from the amounts.
+ */
+async function recordStripeTax(session, orders) {
+  const total = session.total_details?.amount_tax || 0;
+  if (total === 0 || orders.length === 0) return;
+
+  const amounts = orders.map(order => parseInt(order.amount, 10));
+  const subtotal = amounts.reduce((sum, amount) => sum + amount, 0);
+  const percentage = session.total_details?.breakdown?.taxes?.[0]?.rate?.percentage;
+  const rate = percentage !== undefined
+    ? percentage / 100
+    : subtotal > 0 ? Math.round(total / subtotal * 10000) / 10000 : null;
+  const country = session.customer_details?.address?.country || null;
+  const shares = allocateTax(total, amounts);
+
+  for (const [index, order] of orders.entries()) {
+    await sql`
+      UPDATE orders SET
+        tax_amount = ${shares[index]},
+        tax_rate = ${rate},
+        tax_country = ${country},
+        updated_at = NOW()
+      WHERE id = ${order.id};
+    `;
+  }
+}
+
+/**
+ * Compare what Stripe charged with what the catalog priced at checkout.
+ * Site promotions are already reflected in the line item prices and
+ * one-off checkouts take no Stripe promotion codes, so any Stripe discount
+ * shows up as a shortfall in the total. Tax is charged by Stripe for the
+ * billing address, so it is taken off the total and recorded after
+ * verification.
+ */
+async function verifyPaidAmount(session, pendingOrders) {
+  const paid = session.amount_total - (session.total_details?.amount_tax || 0);
+  const paidCurrency = (session.currency || '').toLowerCase();
+  const discount = session.total_details?.amount_discount || 0;
+
+  let expected;
+  let expectedCurrency;
+
+  if (pendingOrders.length > 0) {
+    expected = pendingOrders.reduce(
+      (sum, order) => sum + parseInt(order.amount, 10) + parseInt(order.tax_amount || 0, 10),
+      0
+    );
+    expectedCurrency = (pendingOrders[0].currency || 'usd').toLowerCase();
+  } else {
+    // Sessions created before pending orders existed: price the model now
+    const model = await getModelForCheckout({
+      modelId: session.metadata?.modelId,
+      modelSlug: session.metadata?.modelSlug
+    });
+    if (!model) {
+      return { valid: false, reason: 'unknown_model', paid, paidCurrency };
+    }
+    const effective = getEffectivePrice(model);
+    expected = effective.amount;
+    expectedCurrency = effective.currency;
+  }
+
+  return {
+    valid: paid === expected && paidCurrency === expectedCurrency,
+    reason: paid !== expected ? 'amount_mismatch' : paidCurrency !== expectedCurrency ? 'currency_mismatch' : null,
+    expected,
+    expectedCurrency,
+    paid,
+    paidCurrency,
+    discount
+  };
+}
+
+/**
+ * The order confirmation for a purchase, as an email job. Keyed by session
+ * so a retried event can't queue a second copy. The invoices are rendered
+ * and attached when the email is sent.
+ */
+function getPurchaseConfirmation(session, orders, invoices = []) {
+  const customerEmail = getSessionEmail(session);
+  if (!customerEmail) {
+    console.warn('No customer email found in session:', session.id);
+    return [];
+  }
+
+  const customerName = session.metadata?.customerName || 'Valued Customer';
+  const modelTitle = session.line_items?.data?.[0]?.description || session.metadata?.modelTitle || 'Financial Model';
+
+  // Signed links work straight from the inbox until the download window
+  // closes. Team licenses are downloaded through seats, so the buyer is
+  // sent to assign them instead.
+  const teamUrl = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/account/team`;
+  const downloadLinks = orders.map(order => ({
+    title: order.model_title || order.model_slug || modelTitle,
+    url: order.organization_id
+      ? teamUrl
+      : createDownloadUrl(order.id, { expiresAt: order.download_expires_at })
+  }));
+
+  return [{
+    type: 'purchase-confirmation',
+    jobId: `purchase-confirmation:${session.id}`,
+    data: {
+      customerEmail,
+      customerName,
+      modelTitle,
+      orderId: session.id,
+      downloadUrl: downloadLinks.length === 1 ? downloadLinks[0].url : '',
+      downloadLinks: downloadLinks.length > 1 ? downloadLinks : [],
+      purchaseAmount: session.amount_total,
+      currency: session.currency,
+      invoiceIds: invoices.filter(Boolean).map(invoice => invoice.id)
+    }
+  }];
+}
@@ -0,0 +1,138 @@
+// src/utils/stripeEvents.js - Ledger of Stripe webhook events for exactly-once processing
+import { sql } from '@vercel/postgres';
+
+// A claim older than this belongs to a worker that died mid-event
+const STALE_CLAIM_MINUTES = 10;
+
+/**
+ * Record a verified webhook event. Redeliveries of an event already in the
+ * ledger only bump its delivery count.
+ * @param {boolean} handled - Whether the site acts on this event type
+ * @returns {Promise<Object>} the ledger row, with `inserted` set on first delivery
+ */
+export async function recordStripeEvent(event, { handled = true } = {}) {
+  try {
+    const result = await sql`
+      INSERT INTO stripe_events (
+        stripe_event_id, type, livemode, payload, status, stripe_created_at
+      ) VALUES (
+        ${event.id}, ${event.type}, ${!!event.livemode}, ${JSON.stringify(event)},
+        ${handled ? 'received' : 'ignored'},
+        ${event.created ? new Date(event.created * 1000) : null}
+      )
+      ON CONFLICT (stripe_event_id) DO UPDATE SET
+        delivery_count = stripe_events.delivery_count + 1
+      RETURNING *, (xmax = 0) AS inserted;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error recording Stripe event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Take an event for processing. Only one worker can hold a claim, and
+ * processed events can't be claimed again.
+ * @returns {Promise<Object|null>} the claimed row, or null if unavailable
+ */
+export async function claimStripeEvent(eventId) {
+  try {
+    const result = await sql`
+      UPDATE stripe_events
+      SET status = 'processing', attempts = attempts + 1
+      WHERE stripe_event_id = ${eventId}
+        AND (
+          status IN ('received', 'failed')
+          OR (status = 'processing' AND updated_at < NOW() - make_interval(mins => ${STALE_CLAIM_MINUTES}))
+        )
+      RETURNING *;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error claiming Stripe event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a claimed event done, keeping a short summary of what it changed
+ */
+export async function completeStripeEvent(eventId, summary = {}) {
+  try {
+    await sql`
+      UPDATE stripe_events
+      SET status = 'processed', processed_at = NOW(), last_error = NULL,
+          result = ${JSON.stringify(summary)}
+      WHERE stripe_event_id = ${eventId};
+    `;
+  } catch (error) {
+    console.error('Error completing Stripe event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Release a claimed event after an error so a retry or replay can take it
+ */
+export async function failStripeEvent(eventId, error) {
+  try {
+    await sql`
+      UPDATE stripe_events
+      SET status = 'failed', last_error = ${String(error?.message || error).slice(0, 2000)}
+      WHERE stripe_event_id = ${eventId};
+    `;
+  } catch (ledgerError) {
+    console.error('Error failing Stripe event:', ledgerError);
+    throw ledgerError;
+  }
+}
+
+/**
+ * Recent ledger entries for the admin view, newest first, with counts per status
+ */
+export async function listStripeEvents({ status = null, type = null, limit = 50 } = {}) {
+  try {
+    const eventsResult = await sql`
+      SELECT id, stripe_event_id, type, livemode, status, attempts, delivery_count,
+             last_error, result, stripe_created_at, processed_at, created_at, updated_at
+      FROM stripe_events
+      WHERE (${status}::text IS NULL OR status = ${status})
+        AND (${type}::text IS NULL OR type = ${type})
+      ORDER BY created_at DESC
+      LIMIT ${Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)};
+    `;
+
+    const countsResult = await sql`
+      SELECT status, COUNT(*) AS count
+      FROM stripe_events
+      GROUP BY status;
+    `;
+
+    return {
+      events: eventsResult.rows,
+      counts: Object.fromEntries(countsResult.rows.map(row => [row.status, parseInt(row.count, 10)]))
+    };
+  } catch (error) {
+    console.error('Error listing Stripe events:', error);
+    throw error;
+  }
+}
+
+/**
+ * A single ledger entry by Stripe event id
+ */
+export async function getStripeEvent(eventId) {
+  try {
+    const result = await sql`
+      SELECT * FROM stripe_events WHERE stripe_event_id = ${eventId};
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching Stripe event:', error);
+    throw error;
+  }
+}
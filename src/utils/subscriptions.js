@@ -0,0 +1,164 @@
+// src/utils/subscriptions.js - The all-access plan and its Stripe subscriptions
+import { sql } from '@vercel/postgres';
+import { toCents, DEFAULT_CURRENCY } from '@/utils/pricing';
+
+export const ALL_ACCESS_PLAN = {
+  id: 'all_access',
+  name: 'All-Access Annual',
+  description: 'Every model in the library, including new releases and updates, for one year',
+  interval: 'year',
+  price: parseFloat(process.env.ALL_ACCESS_ANNUAL_PRICE || '1999'),
+  currency: DEFAULT_CURRENCY,
+  // A Stripe Price configured in the dashboard wins over the inline price
+  stripePriceId: process.env.STRIPE_ALL_ACCESS_PRICE_ID || null
+};
+
+// past_due keeps access while Stripe retries the renewal payment
+export const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * The plan as a Checkout line item
+ */
+export function getPlanLineItem() {
+  if (ALL_ACCESS_PLAN.stripePriceId) {
+    return { price: ALL_ACCESS_PLAN.stripePriceId, quantity: 1 };
+  }
+
+  return {
+    price_data: {
+      currency: ALL_ACCESS_PLAN.currency,
+      product_data: {
+        name: ALL_ACCESS_PLAN.name,
+        description: ALL_ACCESS_PLAN.description,
+      },
+      unit_amount: toCents(ALL_ACCESS_PLAN.price),
+      recurring: { interval: ALL_ACCESS_PLAN.interval },
+    },
+    quantity: 1,
+  };
+}
+
+/**
+ * Whether a subscription row currently grants library access
+ */
+export function isEntitled(subscription, now = new Date()) {
+  return !!subscription &&
+    ENTITLED_STATUSES.includes(subscription.status) &&
+    (!subscription.current_period_end || new Date(subscription.current_period_end) > now);
+}
+
+/**
+ * Insert or update our copy of a Stripe subscription object
+ */
+export async function upsertSubscription(subscription, { email, customerId = null }) {
+  try {
+    const stripeCustomerId = typeof subscription.customer === 'string'
+      ? subscription.customer
+      : subscription.customer?.id;
+    const latestInvoiceId = typeof subscription.latest_invoice === 'string'
+      ? subscription.latest_invoice
+      : subscription.latest_invoice?.id || null;
+
+    const result = await sql`
+      INSERT INTO subscriptions (
+        stripe_subscription_id, stripe_customer_id, customer_id, email, plan, status,
+        current_period_start, current_period_end, cancel_at_period_end,
+        canceled_at, ended_at, latest_invoice_id
+      )
+      VALUES (
+        ${subscription.id}, ${stripeCustomerId}, ${customerId}, ${email},
+        ${subscription.metadata?.plan || ALL_ACCESS_PLAN.id}, ${subscription.status},
+        ${fromUnix(subscription.current_period_start)}, ${fromUnix(subscription.current_period_end)},
+        ${!!subscription.cancel_at_period_end},
+        ${fromUnix(subscription.canceled_at)}, ${fromUnix(subscription.ended_at)}, ${latestInvoiceId}
+      )
+      ON CONFLICT (stripe_subscription_id) DO UPDATE SET
+        customer_id = COALESCE(EXCLUDED.customer_id, subscriptions.customer_id),
+        status = EXCLUDED.status,
+        current_period_start = EXCLUDED.current_period_start,
+        current_period_end = EXCLUDED.current_period_end,
+        cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+        canceled_at = EXCLUDED.canceled_at,
+        ended_at = EXCLUDED.ended_at,
+        latest_invoice_id = COALESCE(EXCLUDED.latest_invoice_id, subscriptions.latest_invoice_id)
+      RETURNING *;
+    `;
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving subscription:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of a subscription invoice. Returns null for invoices
+ * that don't belong to a subscription we know about.
+ */
+export async function recordSubscriptionInvoice(invoice) {
+  try {
+    const subscriptionId = typeof invoice.subscription === 'string'
+      ? invoice.subscription
+      : invoice.subscription?.id;
+    if (!subscriptionId) return null;
+
+    const result = await sql`
+      UPDATE subscriptions
+      SET latest_invoice_id = ${invoice.id}, latest_invoice_status = ${invoice.status}
+      WHERE stripe_subscription_id = ${subscriptionId}
+      RETURNING *;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error recording subscription invoice:', error);
+    throw error;
+  }
+}
+
+/**
+ * The subscription that currently grants an email address library access
+ */
+export async function getActiveSubscription(email) {
+  if (!email) return null;
+
+  try {
+    const result = await sql`
+      SELECT * FROM subscriptions
+      WHERE LOWER(email) = LOWER(${email})
+        AND status = ANY(${ENTITLED_STATUSES}::text[])
+        AND (current_period_end IS NULL OR current_period_end > NOW())
+      ORDER BY current_period_end DESC NULLS FIRST
+      LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching active subscription:', error);
+    throw error;
+  }
+}
+
+/**
+ * The most recent subscription for an email address, whatever its status,
+ * for showing plan status on the account pages
+ */
+export async function getLatestSubscription(email) {
+  try {
+    const result = await sql`
+      SELECT * FROM subscriptions
+      WHERE LOWER(email) = LOWER(${email})
+      ORDER BY (status = ANY(${ENTITLED_STATUSES}::text[])) DESC, created_at DESC
+      LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,140 @@
+// src/utils/tax.js - Sales tax and VAT at checkout
+//
+// Checkout only talks to a TaxProvider, so tax can be charged here from a
+// rate table or left to Stripe Tax by setting TAX_PROVIDER. Either way
+// Stripe applies it from the billing address entered at checkout, and the
+// webhook reads it back from the session onto the orders.
+
+/**
+ * @typedef {Object} TaxProvider
+ * @property {string} name
+ * @property {(stripe: Object, currency: string) => Promise<{ lineItemParams: Object, params: Object }>} checkoutParams
+ *   Params added to each Stripe Checkout line item and to the session so
+ *   that Stripe charges the tax
+ */
+
+// Standard rates for digital services sold to consumers, by buyer country
+export const DEFAULT_TAX_RATES = {
+  GB: 0.2,
+  AT: 0.2, BE: 0.21, BG: 0.2, CY: 0.19, CZ: 0.21, DE: 0.19, DK: 0.25, EE: 0.24,
+  ES: 0.21, FI: 0.255, FR: 0.2, GR: 0.24, HR: 0.25, HU: 0.27, IE: 0.23, IT: 0.22,
+  LT: 0.21, LU: 0.17, LV: 0.21, MT: 0.18, NL: 0.21, PL: 0.23, PT: 0.23, RO: 0.21,
+  SE: 0.25, SI: 0.22, SK: 0.23
+};
+
+// Marks the Stripe tax rates this file creates, so they are found again
+const TAX_RATE_SOURCE = 'zencap-tax-table';
+
+// Stripe tax rate ids by "country:percentage", kept for the process
+const stripeTaxRateIds = new Map();
+
+export function formatTaxLabel(rate) {
+  return `VAT (${parseFloat((rate * 100).toFixed(2))}%)`;
+}
+
+const taxRateKey = (country, percentage) => `${country}:${percentage}`;
+
+/**
+ * The Stripe tax rate for each country in the table, creating any that
+ * don't exist yet
+ * @returns {Promise<string[]>} Stripe tax rate ids
+ */
+async function getStripeTaxRates(stripe, rates) {
+  const wanted = Object.entries(rates).map(([country, rate]) => ({
+    country: country.toUpperCase(),
+    percentage: parseFloat((rate * 100).toFixed(4))
+  }));
+  const isMissing = ({ country, percentage }) => !stripeTaxRateIds.has(taxRateKey(country, percentage));
+
+  if (wanted.some(isMissing)) {
+    for await (const taxRate of stripe.taxRates.list({ active: true, limit: 100 })) {
+      if (taxRate.metadata?.source === TAX_RATE_SOURCE && !taxRate.inclusive && taxRate.country) {
+        stripeTaxRateIds.set(taxRateKey(taxRate.country, taxRate.percentage), taxRate.id);
+      }
+    }
+
+    for (const { country, percentage } of wanted.filter(isMissing)) {
+      const taxRate = await stripe.taxRates.create({
+        display_name: 'VAT',
+        percentage,
+        country,
+        jurisdiction: country,
+        inclusive: false,
+        tax_type: 'vat',
+        metadata: { source: TAX_RATE_SOURCE }
+      });
+      stripeTaxRateIds.set(taxRateKey(country, percentage), taxRate.id);
+    }
+  }
+
+  return wanted.map(({ country, percentage }) => stripeTaxRateIds.get(taxRateKey(country, percentage)));
+}
+
+/**
+ * Tax from a table of rates keyed by country. Every line is offered each
+ * country's rate as a dynamic tax rate, and Stripe charges the one for the
+ * country of the billing address.
+ * @param {Object<string, number>} rates
+ * @returns {TaxProvider}
+ */
+export function createLocalTaxProvider(rates = DEFAULT_TAX_RATES) {
+  return {
+    name: 'local',
+
+    async checkoutParams(stripe) {
+      if (Object.keys(rates).length === 0) return { lineItemParams: {}, params: {} };
+
+      return {
+        lineItemParams: { dynamic_tax_rates: await getStripeTaxRates(stripe, rates) },
+        params: {}
+      };
+    }
+  };
+}
+
+/**
+ * Stripe Tax works out the tax from the billing address entered at
+ * checkout.
+ * @returns {TaxProvider}
+ */
+export function createStripeTaxProvider() {
+  return {
+    name: 'stripe',
+
+    async checkoutParams() {
+      return { lineItemParams: {}, params: { automatic_tax: { enabled: true } } };
+    }
+  };
+}
+
+/**
+ * The provider chosen by TAX_PROVIDER: "local" (default), "stripe" or "none"
+ * @returns {TaxProvider}
+ */
+export function getTaxProvider() {
+  switch ((process.env.TAX_PROVIDER || 'local').toLowerCase()) {
+    case 'stripe':
+      return createStripeTaxProvider();
+    case 'none':
+      return createLocalTaxProvider({});
+    default:
+      return createLocalTaxProvider();
+  }
+}
+
+/**
+ * Split a tax total over lines in proportion to their amounts, with
+ * rounding drift on the last line so the shares always sum to the total
+ * @returns {number[]} cents per line
+ */
+export function allocateTax(total, lines) {
+  const base = lines.reduce((sum, amount) => sum + amount, 0);
+  let allocated = 0;
+
+  return lines.map((amount, index) => {
+    if (index === lines.length - 1) return total - allocated;
+    const share = base > 0 ? Math.round(total * amount / base) : Math.round(total / lines.length);
+    allocated += share;
+    return share;
+  });
+}
@@ -0,0 +1,81 @@
+// src/utils/textDiff.js - Line diffs for comparing saved revisions of text
+
+// Rich text is saved as HTML that often sits on a single line, so break it
+// after block-level tags before comparing
+const BLOCK_END = /(<\/(?:p|h[1-6]|li|ul|ol|blockquote|div|pre|table|tr)>|<br\s*\/?>|<hr[^>]*>)/gi;
+const MAX_CELLS = 4000000; // larger middles are reported as a full replacement
+
+/**
+ * Split text (or HTML) into the non-empty lines a diff is made of
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  return String(text)
+    .replace(BLOCK_END, '$1\n')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Diff two texts line by line, longest common subsequence first
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Most edits touch the middle of an article; compare only what differs
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = text => ({ type: 'same', text });
+  return [
+    ...a.slice(0, start).map(same),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(same)
+  ];
+}
+
+function diffMiddle(a, b) {
+  const removed = text => ({ type: 'removed', text });
+  const added = text => ({ type: 'added', text });
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [...a.map(removed), ...b.map(added)];
+  }
+
+  // lengths[i][j] is the longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push(removed(a[i++]));
+    } else {
+      result.push(added(b[j++]));
+    }
+  }
+
+  return [...result, ...a.slice(i).map(removed), ...b.slice(j).map(added)];
+}
@@ -0,0 +1,87 @@
+// src/utils/watermark.js - Per-buyer stamping of delivered workbooks
+import crypto from 'crypto';
+import ExcelJS from 'exceljs';
+import { sql } from '@vercel/postgres';
+
+export const WATERMARK_EVENT = 'FILE_WATERMARK';
+export const WATERMARK_SHEET_NAME = 'zc_license';
+
+/**
+ * Only .xlsx files are stamped; ExcelJS would drop the VBA project of an .xlsm
+ */
+export function canWatermark(filePath) {
+  return /\.xlsx$/i.test(filePath || '');
+}
+
+/**
+ * Stamp a workbook with the buyer's order id, email and download time.
+ * The stamp goes into the document properties and a very hidden sheet,
+ * and optionally into the print footer of every visible sheet.
+ * @returns {Promise<{ buffer: Buffer, watermarkId: string, stampedAt: Date }>}
+ */
+export async function watermarkWorkbook(filePath, { orderId, email, versionLabel = null, footer = true }) {
+  const watermarkId = crypto.randomBytes(8).toString('hex');
+  const stampedAt = new Date();
+  const licensee = `Licensed to ${email} - Order #${orderId}`;
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  workbook.company = 'Zenith Capital Advisors';
+  workbook.description = `${licensee} - ${stampedAt.toISOString()}`;
+  workbook.keywords = [workbook.keywords, `zc-wm:${watermarkId}`].filter(Boolean).join(' ');
+  workbook.modified = stampedAt;
+
+  const existing = workbook.getWorksheet(WATERMARK_SHEET_NAME);
+  if (existing) workbook.removeWorksheet(existing.id);
+
+  const licenseSheet = workbook.addWorksheet(WATERMARK_SHEET_NAME, { state: 'veryHidden' });
+  licenseSheet.addRows([
+    ['Watermark ID', watermarkId],
+    ['Order ID', String(orderId)],
+    ['Licensed to', email],
+    ['Version', versionLabel || ''],
+    ['Issued at', stampedAt.toISOString()]
+  ]);
+
+  if (footer) {
+    // '&' starts a footer code, so literal ampersands must be doubled
+    const footerText = `&L&8${licensee.replace(/&/g, '&&')}`;
+    workbook.eachSheet(sheet => {
+      if (sheet.state !== 'visible') return;
+      // Keep any centre/right footer the author set; the left section is ours.
+      // Footer text before any section code is centred.
+      const current = sheet.headerFooter?.oddFooter || '';
+      let kept = current.includes('&L') ? current.replace(/&L.*?(?=&[CR]|$)/, '') : current;
+      if (kept && !/^&[CR]/.test(kept)) kept = `&C${kept}`;
+      sheet.headerFooter = { ...sheet.headerFooter, oddFooter: `${footerText}${kept}` };
+    });
+  }
+
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+  return { buffer, watermarkId, stampedAt };
+}
+
+/**
+ * Look up the download that produced a watermarked file
+ */
+export async function findWatermark(watermarkId) {
+  try {
+    const result = await sql`
+      SELECT l.event_id, l.resource_id AS order_id, l.metadata, l.created_at,
+             o.stripe_session_id, o.model_slug, c.email, c.name
+      FROM security_audit_logs l
+      LEFT JOIN orders o ON o.id::text = l.resource_id
+      LEFT JOIN customers c ON c.id = o.customer_id
+      WHERE l.event_type = ${WATERMARK_EVENT}
+        AND l.metadata->>'watermarkId' = ${watermarkId}
+      ORDER BY l.created_at DESC
+      LIMIT 1;
+    `;
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding watermark:', error);
+    throw error;
+  }
+}